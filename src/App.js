@@ -1,8 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Toaster } from 'react-hot-toast';
 import LoginPage from './components/LoginPage';
 import ConfigTab from './components/ConfigTab';
 import { api, setAuthToken } from './services/api';
+import { subscribeStore } from './services/localStore';
+import { syncPushSubscription } from './services/push';
+import { startTelemetryRecording } from './services/telemetry';
+import { isServiceWorkerSupported } from './serviceWorkerRegistration';
+import toast from './utils/toast';
 import { LanguageProvider, LanguageSelector, useLanguage } from './i18n';
 import { safeJsonParse } from './utils/safeJson';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -42,6 +47,7 @@ import OrderTrackingPage from './components/OrderTrackingPage';
 import TimeTracker from './components/TimeTracker';
 import ShiftNotes from './components/ShiftNotes';
 import NotificationCenter, { NotificationBell, useNotificationCount } from './components/NotificationCenter';
+import OfflineOutbox, { OutboxBadge } from './components/OfflineOutbox';
 
 // Printers
 import PrinterDashboard from './components/PrinterDashboard';
@@ -53,6 +59,7 @@ import PrinterToolsEnhanced from './components/PrinterToolsEnhanced';
 import StatisticsDashboard from './components/StatisticsDashboard';
 import PrintProgressTracker from './components/PrintProgressTracker';
 import { AlertProvider } from './components/AlertSystem';
+import ThermalAnomalyAlerts from './components/ThermalAnomalyAlerts';
 import ExportPanel from './components/ExportSystem';
 
 // Production  
@@ -200,6 +207,17 @@ function AppContent() {
     }
   }, []);
 
+  // Local store running out of space - tell the user instead of losing data quietly
+  const tRef = useRef(t);
+  tRef.current = t;
+  useEffect(() => subscribeStore((event) => {
+    if (event.type === 'quota-exceeded') {
+      toast.error(tRef.current('store.quotaExceeded'), { id: 'store-quota' });
+    } else if (event.type === 'quota-warning') {
+      toast.warning(tRef.current('store.quotaWarning'), { id: 'store-quota' });
+    }
+  }), []);
+
   const handleLogin = (sessionData) => {
     const userData = {
       user_id: sessionData.user_id,
@@ -305,6 +323,35 @@ function AuthenticatedAppContent({
 }) {
   const { t } = useLanguage();
   const { can, isOwner, isAdmin } = usePermissions();
+  const [showOutbox, setShowOutbox] = useState(false);
+
+  // Printer telemetry history (replay, 24 h / 7 d charts) is recorded while signed in
+  useEffect(() => startTelemetryRecording(), []);
+
+  // Push notifications: keep this device's subscription current and open
+  // the right tab when one is clicked (?tab= when the app was closed)
+  useEffect(() => {
+    syncPushSubscription();
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('tab')) {
+      setActiveTab(params.get('tab'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    if (!isServiceWorkerSupported()) return undefined;
+    const onMessage = (event) => {
+      if (event.data?.type !== 'notification-click') return;
+      const { tab } = event.data.payload || {};
+      if (tab) {
+        setActiveTab(tab);
+      } else {
+        setShowNotifications(true);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', onMessage);
+  }, [setActiveTab, setShowNotifications]);
 
   const tabIcons = {
     'home': '🏠',
@@ -357,6 +404,9 @@ function AuthenticatedAppContent({
             <div className="flex items-center gap-3">
               <LanguageSelector className="btn-ghost" />
               
+              {/* Offline changes waiting to sync */}
+              <OutboxBadge onClick={() => setShowOutbox(true)} />
+
               {/* Notification Bell */}
               <NotificationBell 
                 currentUser={currentUser}
@@ -630,6 +680,15 @@ function AuthenticatedAppContent({
         onClose={() => setShowNotifications(false)}
       />
 
+      {/* Offline outbox */}
+      <OfflineOutbox
+        isOpen={showOutbox}
+        onClose={() => setShowOutbox(false)}
+      />
+
+      {/* On-device thermal / progress anomaly alerts */}
+      <ThermalAnomalyAlerts canPause={can('production.printers.control')} />
+
       {/* Footer with gradient accent */}
       <footer className="app-footer mt-auto">
         <div className="max-w-7xl mx-auto px-4">
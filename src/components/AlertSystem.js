@@ -3,6 +3,13 @@ import React, { useState, useEffect, useCallback } from 'react';
 
 const AlertContext = React.createContext(null);
 
+// Date.now() alone collides when two alerts land in the same millisecond
+let lastId = 0;
+const nextId = () => {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+};
+
 export const ALERT_TYPES = {
   SUCCESS: 'success',
   ERROR: 'error',
@@ -32,13 +39,13 @@ export function AlertProvider({ children }) {
   }, [toasts]);
 
   const addToast = useCallback((type, message, title = '') => {
-    const id = Date.now();
+    const id = nextId();
     setToasts(prev => [...prev, { id, type, title, message }]);
     return id;
   }, []);
 
   const addAlert = useCallback((alert) => {
-    const id = Date.now();
+    const id = nextId();
     setPersistentAlerts(prev => [...prev, { id, ...alert }]);
     return id;
   }, []);
@@ -220,6 +227,13 @@ export const AlertGenerator = {
     title: `📡 Printer Offline`,
     message: `${printerName} is no longer connected to the network.`,
   }),
+
+  // anomaly from services/thermalMonitor.js
+  thermalAnomaly: (anomaly, label, icon) => ({
+    type: anomaly.severity === 'medium' ? ALERT_TYPES.WARNING : ALERT_TYPES.ERROR,
+    title: `${icon} ${label}`,
+    message: `${anomaly.printer}: ${anomaly.message}`,
+  }),
 };
 
 export default AlertProvider;
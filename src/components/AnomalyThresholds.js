@@ -0,0 +1,170 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getAnomalyThresholds,
+  getMonitoredPrinterTypes,
+  resetAnomalyThresholds,
+  saveAnomalyThresholds,
+} from '../services/thermalMonitor';
+import { PRINTER_BEDS } from '../utils/printerBeds';
+import { ANOMALY_TYPES, thresholdsFor } from '../utils/thermalAnomalies';
+import toast from '../utils/toast';
+
+const FIELDS = {
+  runaway: [
+    { key: 'drift_c', label: 'Off target by', unit: '°C' },
+    { key: 'hold_s', label: 'For at least', unit: 's' },
+  ],
+  heating_timeout: [
+    { key: 'nozzle_s', label: 'Nozzle heat-up limit', unit: 's' },
+    { key: 'bed_s', label: 'Bed heat-up limit', unit: 's' },
+    { key: 'tolerance_c', label: 'Reached within', unit: '°C' },
+  ],
+  bed_oscillation: [
+    { key: 'window_s', label: 'Over the last', unit: 's' },
+    { key: 'amplitude_c', label: 'Swing of at least', unit: '°C' },
+    { key: 'min_crossings', label: 'Target crossings', unit: '×' },
+  ],
+  progress_stall: [
+    { key: 'stall_s', label: 'No progress for', unit: 's' },
+  ],
+};
+
+/**
+ * AnomalyThresholds - Per printer type settings for the on-device anomaly
+ * detectors. Only what differs from the built-in values is stored.
+ */
+function AnomalyThresholds({ canEdit = false }) {
+  const [printerType, setPrinterType] = useState('default');
+  const [overrides, setOverrides] = useState(getAnomalyThresholds);
+
+  const types = useMemo(() => [...new Set([
+    'default',
+    ...Object.keys(PRINTER_BEDS),
+    ...getMonitoredPrinterTypes(),
+    ...Object.keys(overrides),
+  ])], [overrides]);
+
+  const builtIn = thresholdsFor(printerType);
+  const current = thresholdsFor(printerType, overrides);
+
+  const update = (detector, key, value) => {
+    const changed = { ...current[detector], [key]: value };
+    // Keep only the differences from the built-in values
+    const diff = Object.fromEntries(Object.entries(changed).filter(([k, v]) => builtIn[detector][k] !== v));
+    const forType = { ...(overrides[printerType] || {}), [detector]: diff };
+    if (Object.keys(diff).length === 0) delete forType[detector];
+    setOverrides(prev => {
+      const next = { ...prev, [printerType]: forType };
+      if (Object.keys(forType).length === 0) delete next[printerType];
+      return next;
+    });
+  };
+
+  const handleSave = () => {
+    saveAnomalyThresholds(overrides)
+      .then(() => toast.success('Anomaly thresholds saved'))
+      .catch(err => toast.error(`Could not save the thresholds: ${err.message}`));
+  };
+
+  const handleReset = () => {
+    resetAnomalyThresholds(printerType).catch(err => toast.error(`Could not reset the thresholds: ${err.message}`));
+    setOverrides(getAnomalyThresholds());
+    toast.success(`${PRINTER_BEDS[printerType]?.name || printerType} back to built-in thresholds`);
+  };
+
+  const customised = Boolean(overrides[printerType]);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={printerType}
+          onChange={(e) => setPrinterType(e.target.value)}
+          className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white"
+        >
+          {types.map(type => (
+            <option key={type} value={type}>
+              {type === 'default' ? 'Other printers' : PRINTER_BEDS[type]?.name || type}
+              {overrides[type] ? ' •' : ''}
+            </option>
+          ))}
+        </select>
+        {customised && <span className="text-xs text-purple-400">Customised</span>}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {Object.entries(ANOMALY_TYPES).map(([detector, meta]) => {
+          const config = current[detector];
+          return (
+            <div key={detector} className="p-3 rounded-lg bg-gray-800/60 border border-gray-700 space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-white">{meta.icon} {meta.label}</span>
+                <label className="flex items-center gap-1 text-xs text-zinc-400">
+                  <input
+                    type="checkbox"
+                    checked={config.enabled}
+                    disabled={!canEdit}
+                    onChange={(e) => update(detector, 'enabled', e.target.checked)}
+                  />
+                  On
+                </label>
+              </div>
+              {FIELDS[detector].map(field => (
+                <label key={field.key} className="flex items-center justify-between gap-2 text-xs text-zinc-400">
+                  <span>{field.label}</span>
+                  <span className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="0"
+                      value={config[field.key]}
+                      disabled={!canEdit || !config.enabled}
+                      onChange={(e) => update(detector, field.key, Number(e.target.value) || 0)}
+                      className="w-20 bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-right disabled:opacity-50"
+                    />
+                    <span className="w-5">{field.unit}</span>
+                  </span>
+                </label>
+              ))}
+              <label className="flex items-center gap-2 text-xs text-zinc-400">
+                <input
+                  type="checkbox"
+                  checked={config.auto_pause}
+                  disabled={!canEdit || !config.enabled}
+                  onChange={(e) => update(detector, 'auto_pause', e.target.checked)}
+                />
+                Ask to pause the printer as soon as it's detected
+              </label>
+            </div>
+          );
+        })}
+      </div>
+
+      {canEdit ? (
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-purple-600 hover:bg-purple-500"
+          >
+            💾 Save
+          </button>
+          <button
+            onClick={handleReset}
+            disabled={!customised}
+            className="px-4 py-2 rounded-lg text-sm text-zinc-300 border border-gray-700 hover:bg-gray-800 disabled:opacity-40"
+          >
+            Reset to built-in
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-zinc-500">You need permission to edit printers to change thresholds.</p>
+      )}
+    </div>
+  );
+}
+
+AnomalyThresholds.propTypes = {
+  canEdit: PropTypes.bool,
+};
+
+export default AnomalyThresholds;
@@ -1,22 +1,60 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { api, unwrap } from '../services/api';
+import { loadMaintenanceItems } from '../services/maintenance';
+import { getAcceptedPlan, getOperatorShifts, loadOperatorAvailability } from '../services/printScheduling';
+import { isOnShift } from '../utils/operatorAvailability';
+import { jobMinutesOf, maintenanceWindowsOf } from '../utils/printScheduler';
+
+// A plan slot (utils/printScheduler.js) as a timeline job
+const jobOfSlot = (slot) => ({
+  id: slot.job_id,
+  name: slot.name,
+  printer: slot.printer,
+  status: slot.fixed ? slot.status : 'planned',
+  progress: slot.progress,
+  scheduled_start: slot.start,
+  scheduled_end: slot.end,
+  setup_start: slot.setup_start,
+  estimated_time_minutes: Math.round((new Date(slot.end) - new Date(slot.start)) / 60000),
+  filament_swap: slot.filament_swap,
+  due: slot.due,
+  late_minutes: slot.late_minutes,
+  unattended_finish: slot.unattended_finish,
+  collect_at: slot.collect_at,
+  start_by: slot.start_by,
+  start_by_attended: slot.start_by_attended,
+});
 
 /**
  * CapacityTimeline - Visual timeline showing printer availability
- * Gantt-chart style view for print scheduling
+ * Gantt-chart style view for print scheduling. Given a `plan` it shows that
+ * plan instead of the live queue; otherwise queued jobs sit where the last
+ * accepted plan put them.
  */
-function CapacityTimeline({ onScheduleJob }) {
+function CapacityTimeline({ onScheduleJob, plan }) {
   const [printers, setPrinters] = useState([]);
   const [jobs, setJobs] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [maintenance, setMaintenance] = useState([]);
+  const [loading, setLoading] = useState(!plan);
   const [viewDays, setViewDays] = useState(3);
   const [startDate, setStartDate] = useState(new Date());
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [hoveredJob, setHoveredJob] = useState(null);
+  const [availability, setAvailability] = useState(null);
+
+  const shifts = useMemo(() => plan?.shifts || availability || getOperatorShifts(), [plan, availability]);
 
   useEffect(() => {
-    loadData();
-  }, []);
+    if (plan) {
+      setPrinters(plan.printers);
+      setJobs(plan.slots.map(jobOfSlot));
+      setMaintenance(plan.maintenance);
+      setLoading(false);
+    } else {
+      loadData();
+    }
+  }, [plan]);
 
   const loadData = async () => {
     setLoading(true);
@@ -35,8 +73,28 @@ function CapacityTimeline({ onScheduleJob }) {
         ? jobsData 
         : (jobsData?.jobs || jobsData?.data || []);
 
-      setPrinters(printersList.length > 0 ? printersList : getMockPrinters());
-      setJobs(jobsList.length > 0 ? jobsList : getMockJobs());
+      // Jobs in the accepted plan go where it put them
+      const accepted = getAcceptedPlan();
+      const planned = Object.fromEntries((accepted?.slots || []).map(slot => [String(slot.job_id), slot]));
+      const placed = jobsList.map(job => {
+        const slot = planned[String(job.job_id ?? job.id)];
+        return slot && !job.started_at ? { ...jobOfSlot(slot), ...job, scheduled_start: slot.start, scheduled_end: slot.end, printer: slot.printer } : job;
+      });
+
+      const shownPrinters = printersList.length > 0 ? printersList : getMockPrinters();
+      setPrinters(shownPrinters);
+      setJobs(placed.length > 0 ? placed : getMockJobs());
+
+      const [items, operators] = await Promise.all([
+        loadMaintenanceItems().catch(() => []),
+        loadOperatorAvailability().catch(() => null),
+      ]);
+      setAvailability(operators);
+      setMaintenance(maintenanceWindowsOf(items, shownPrinters, operators || shifts).map(w => ({
+        ...w,
+        start: new Date(w.start).toISOString(),
+        end: new Date(w.end).toISOString(),
+      })));
     } catch (err) {
       console.error('Failed to load data:', err);
       setPrinters(getMockPrinters());
@@ -105,23 +163,27 @@ function CapacityTimeline({ onScheduleJob }) {
           time: slotTime,
           hour: h,
           day: d,
-          isWorkHour: h >= 8 && h <= 20,
+          isWorkHour: isOnShift(slotTime.getTime() + 30 * 60 * 1000, shifts),
           isNow: Math.abs(slotTime.getTime() - Date.now()) < 30 * 60 * 1000,
         });
       }
     }
     return slots;
-  }, [startDate, viewDays]);
+  }, [startDate, viewDays, shifts]);
 
   // Get jobs for each printer
   const getJobsForPrinter = useCallback((printerName) => {
     return jobs.filter(job => 
       job.printer === printerName || 
-      job.printer_name === printerName
+      job.printer_name === printerName ||
+      job.assigned_printer === printerName
     );
   }, [jobs]);
 
-  // Calculate job position on timeline
+  const getMaintenanceForPrinter = (printerName) =>
+    maintenance.filter(w => w.printer === null || w.printer === printerName);
+
+  // Calculate position on timeline - jobs use their planned or actual times
   const getJobPosition = (job) => {
     const startTime = job.started_at 
       ? new Date(job.started_at)
@@ -129,8 +191,9 @@ function CapacityTimeline({ onScheduleJob }) {
         ? new Date(job.scheduled_start)
         : new Date();
     
-    const duration = job.estimated_time_minutes || 60;
-    const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+    const endTime = job.scheduled_end && !job.started_at
+      ? new Date(job.scheduled_end)
+      : new Date(startTime.getTime() + jobMinutesOf(job) * 60 * 1000);
     
     const timelineStart = new Date(startDate);
     timelineStart.setHours(0, 0, 0, 0);
@@ -159,13 +222,8 @@ function CapacityTimeline({ onScheduleJob }) {
     // Find the last job end time
     let lastEndTime = now;
     printerJobs.forEach(job => {
-      const startTime = job.started_at 
-        ? new Date(job.started_at).getTime()
-        : job.scheduled_start 
-          ? new Date(job.scheduled_start).getTime()
-          : now;
-      const duration = (job.estimated_time_minutes || 60) * 60 * 1000;
-      const endTime = startTime + duration;
+      const { endTime: end } = getJobPosition(job);
+      const endTime = end.getTime();
       if (endTime > lastEndTime) {
         lastEndTime = endTime;
       }
@@ -197,6 +255,7 @@ function CapacityTimeline({ onScheduleJob }) {
       paused: { bg: 'bg-yellow-500', border: 'border-yellow-400', text: 'text-yellow-400' },
       failed: { bg: 'bg-red-500', border: 'border-red-400', text: 'text-red-400' },
       completed: { bg: 'bg-slate-500', border: 'border-slate-400', text: 'text-slate-400' },
+      planned: { bg: 'bg-purple-500', border: 'border-purple-400', text: 'text-purple-400' },
     };
     return colors[status] || colors.queued;
   };
@@ -246,6 +305,7 @@ function CapacityTimeline({ onScheduleJob }) {
           <h2 className="text-xl font-bold text-white">📅 Capacity Timeline</h2>
           <p className="text-slate-400 text-sm mt-1">
             {printers.length} printers • {jobs.length} scheduled jobs
+            {plan && ` • ${plan.strategy === 'edd' ? 'earliest due date' : 'max utilization'} plan (not yet accepted)`}
           </p>
         </div>
 
@@ -284,12 +344,14 @@ function CapacityTimeline({ onScheduleJob }) {
             </button>
           </div>
 
-          <button
-            onClick={loadData}
-            className="px-3 py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700"
-          >
-            🔄
-          </button>
+          {!plan && (
+            <button
+              onClick={loadData}
+              className="px-3 py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700"
+            >
+              🔄
+            </button>
+          )}
         </div>
       </div>
 
@@ -426,46 +488,93 @@ function CapacityTimeline({ onScheduleJob }) {
                   return null;
                 })()}
 
+                {/* Maintenance Windows */}
+                {getMaintenanceForPrinter(printer.name).map(window => {
+                  const pos = getJobPosition({ scheduled_start: window.start, scheduled_end: window.end });
+                  if (!pos.visible) return null;
+                  return (
+                    <div
+                      key={window.id}
+                      className="absolute top-0 bottom-0 z-10 bg-slate-500/40 border-x border-slate-400 pointer-events-none"
+                      style={{
+                        left: `${pos.left}%`,
+                        width: `${pos.width}%`,
+                        backgroundImage: 'repeating-linear-gradient(45deg, transparent 0 4px, rgba(148,163,184,0.35) 4px 8px)',
+                      }}
+                      title={`🔧 ${window.title}`}
+                    />
+                  );
+                })}
+
                 {/* Jobs */}
                 {printerJobs.map(job => {
                   const pos = getJobPosition(job);
                   if (!pos.visible) return null;
                   
                   const colors = getJobColor(job.status);
+                  const setup = job.setup_start && job.setup_start !== job.scheduled_start
+                    ? getJobPosition({ scheduled_start: job.setup_start, scheduled_end: job.scheduled_start })
+                    : null;
+                  // Finished with nobody in: the print sits on the bed until the next shift
+                  const waiting = job.unattended_finish && job.collect_at
+                    ? getJobPosition({ scheduled_start: pos.endTime.toISOString(), scheduled_end: job.collect_at })
+                    : null;
                   
                   return (
-                    <div
-                      key={job.id}
-                      className={`absolute top-1 bottom-1 rounded-lg cursor-pointer transition-all z-10 ${colors.bg} opacity-80 hover:opacity-100`}
-                      style={{
-                        left: `${pos.left}%`,
-                        width: `${pos.width}%`,
-                        minWidth: '20px',
-                      }}
-                      onMouseEnter={() => setHoveredJob(job)}
-                      onMouseLeave={() => setHoveredJob(null)}
-                    >
-                      <div className="px-2 py-1 h-full flex items-center overflow-hidden">
-                        <span className="text-xs text-white font-medium truncate">
-                          {job.name}
-                        </span>
-                      </div>
-                      
-                      {/* Progress Bar for Printing Jobs */}
-                      {job.status === 'printing' && job.progress && (
-                        <div 
-                          className="absolute bottom-0 left-0 h-1 bg-white/50 rounded-b"
-                          style={{ width: `${job.progress}%` }}
+                    <React.Fragment key={job.id}>
+                      {setup?.visible && (
+                        <div
+                          className="absolute top-3 bottom-3 rounded-l z-10 bg-slate-300/60"
+                          style={{ left: `${setup.left}%`, width: `${setup.width}%` }}
+                          title={job.filament_swap ? `Filament swap ${job.filament_swap.from} → ${job.filament_swap.to}` : 'Plate change'}
                         />
                       )}
-                    </div>
+                      {waiting?.visible && (
+                        <div
+                          className="absolute top-3 bottom-3 rounded-r z-10 bg-amber-500/30 border-y border-r border-amber-500/60"
+                          style={{
+                            left: `${waiting.left}%`,
+                            width: `${waiting.width}%`,
+                            backgroundImage: 'repeating-linear-gradient(-45deg, transparent 0 4px, rgba(245,158,11,0.35) 4px 8px)',
+                          }}
+                          title={`Done, waiting for an operator until ${formatDate(job.collect_at)} ${formatTime(job.collect_at)}`}
+                        />
+                      )}
+                      <div
+                        className={`absolute top-1 bottom-1 rounded-lg cursor-pointer transition-all z-10 ${colors.bg} opacity-80 hover:opacity-100 ${
+                          job.late_minutes > 0 ? 'ring-2 ring-red-500' : ''
+                        }`}
+                        style={{
+                          left: `${pos.left}%`,
+                          width: `${pos.width}%`,
+                          minWidth: '20px',
+                        }}
+                        onMouseEnter={() => setHoveredJob(job)}
+                        onMouseLeave={() => setHoveredJob(null)}
+                      >
+                        <div className="px-2 py-1 h-full flex items-center overflow-hidden">
+                          <span className="text-xs text-white font-medium truncate">
+                            {job.filament_swap && '🔄 '}{job.unattended_finish && '🌙 '}{job.name || job.item_name || job.job_id}
+                          </span>
+                        </div>
+                        
+                        {/* Progress Bar for Printing Jobs */}
+                        {job.status === 'printing' && job.progress > 0 && (
+                          <div 
+                            className="absolute bottom-0 left-0 h-1 bg-white/50 rounded-b"
+                            style={{ width: `${job.progress}%` }}
+                          />
+                        )}
+                      </div>
+                    </React.Fragment>
                   );
                 })}
 
                 {/* Click to schedule (empty slots) */}
                 <div 
-                  className="absolute inset-0 z-0 cursor-pointer"
+                  className={`absolute inset-0 z-0 ${plan ? '' : 'cursor-pointer'}`}
                   onClick={(e) => {
+                    if (plan) return;
                     const rect = e.currentTarget.getBoundingClientRect();
                     const x = e.clientX - rect.left;
                     const percent = x / rect.width;
@@ -497,12 +606,33 @@ function CapacityTimeline({ onScheduleJob }) {
             transform: 'translate(-50%, -50%)',
           }}
         >
-          <p className="font-medium text-white mb-1">{hoveredJob.name}</p>
+          <p className="font-medium text-white mb-1">{hoveredJob.name || hoveredJob.item_name || hoveredJob.job_id}</p>
           <div className="text-xs text-slate-400 space-y-1">
-            <p>Printer: {hoveredJob.printer || hoveredJob.printer_name}</p>
-            <p>Duration: {hoveredJob.estimated_time_minutes}min</p>
+            <p>Printer: {hoveredJob.printer || hoveredJob.printer_name || hoveredJob.assigned_printer}</p>
+            {hoveredJob.scheduled_start && (
+              <p>Starts: {formatDate(hoveredJob.scheduled_start)} {formatTime(hoveredJob.scheduled_start)}</p>
+            )}
+            <p>Duration: {jobMinutesOf(hoveredJob)}min</p>
             <p>Status: {hoveredJob.status}</p>
-            {hoveredJob.progress && <p>Progress: {hoveredJob.progress}%</p>}
+            {hoveredJob.progress > 0 && <p>Progress: {hoveredJob.progress}%</p>}
+            {hoveredJob.filament_swap && (
+              <p>Filament swap: {hoveredJob.filament_swap.from} → {hoveredJob.filament_swap.to}</p>
+            )}
+            {hoveredJob.due && <p>Due: {formatDate(hoveredJob.due)} {formatTime(hoveredJob.due)}</p>}
+            {hoveredJob.start_by && (
+              <p>Start by: {formatDate(hoveredJob.start_by)} {formatTime(hoveredJob.start_by)}</p>
+            )}
+            {hoveredJob.start_by_attended && (
+              <p>Start by {formatTime(hoveredJob.start_by_attended)} to take it off before the shift ends</p>
+            )}
+            {hoveredJob.unattended_finish && (
+              <p className="text-amber-400">
+                🌙 Finishes unattended - waits until {formatDate(hoveredJob.collect_at)} {formatTime(hoveredJob.collect_at)}
+              </p>
+            )}
+            {hoveredJob.late_minutes > 0 && (
+              <p className="text-red-400">Late by {Math.round(hoveredJob.late_minutes / 6) / 10}h</p>
+            )}
           </div>
         </div>
       )}
@@ -535,13 +665,33 @@ function CapacityTimeline({ onScheduleJob }) {
           <div className="w-3 h-3 rounded bg-yellow-500"></div>
           <span>Paused</span>
         </div>
+        <div className="flex items-center gap-1">
+          <div className="w-3 h-3 rounded bg-purple-500"></div>
+          <span>Planned</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-3 h-3 rounded bg-slate-300/60"></div>
+          <span>Plate change / filament swap</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-3 h-3 rounded bg-slate-500/40 border border-slate-400"></div>
+          <span>Maintenance</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-3 h-3 rounded bg-amber-500/30 border border-amber-500/60"></div>
+          <span>Done, waiting for an operator</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-3 h-3 rounded ring-2 ring-red-500"></div>
+          <span>Late</span>
+        </div>
         <div className="flex items-center gap-1">
           <div className="w-0.5 h-3 bg-red-500"></div>
           <span>Now</span>
         </div>
         <div className="flex items-center gap-1">
           <div className="w-3 h-3 rounded bg-slate-800/50 border border-slate-700"></div>
-          <span>Work Hours (8-20)</span>
+          <span>Operator shift</span>
         </div>
       </div>
     </div>
@@ -653,4 +803,15 @@ function ScheduleSlotModal({ slot, onClose, onSchedule }) {
   );
 }
 
+CapacityTimeline.propTypes = {
+  onScheduleJob: PropTypes.func,
+  plan: PropTypes.shape({
+    strategy: PropTypes.string,
+    printers: PropTypes.array.isRequired,
+    slots: PropTypes.array.isRequired,
+    maintenance: PropTypes.array,
+    shifts: PropTypes.object,
+  }),
+};
+
 export default CapacityTimeline;
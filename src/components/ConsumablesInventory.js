@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
+import { collection } from '../services/localStore';
 
 /**
  * ConsumablesInventory - Track printer parts and consumables
@@ -20,8 +21,7 @@ function ConsumablesInventory() {
   const loadItems = async () => {
     setLoading(true);
     try {
-      const saved = localStorage.getItem('polywerk_consumables');
-      const data = saved ? JSON.parse(saved) : getDefaultItems();
+      const data = await collection('consumables').getAll({ fallback: getDefaultItems() });
       setItems(data);
     } catch (err) {
       console.error('Failed to load consumables:', err);
@@ -31,8 +31,9 @@ function ConsumablesInventory() {
   };
 
   const saveItems = (newItems) => {
-    localStorage.setItem('polywerk_consumables', JSON.stringify(newItems));
     setItems(newItems);
+    collection('consumables').replaceAll(newItems)
+      .catch(err => console.error('Failed to save consumables:', err));
   };
 
   const getDefaultItems = () => [
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../services/api';
+import {
+  ORDER_EMAIL_TEMPLATES,
+  customerEmailOf,
+  renderOrderTemplate,
+  sendOrderNotification,
+  trackingUrlFor,
+} from '../services/orderNotifications';
+import { shipmentsOf } from '../utils/orderShipments';
 
 /**
  * CustomerNotifications - Email templates and notification sending
@@ -11,191 +18,24 @@ function CustomerNotifications({ order, onClose, onSent }) {
   const [sendMethod, setSendMethod] = useState('email');
   const [previewMode, setPreviewMode] = useState(false);
 
-  // Email templates
-  const templates = [
-    {
-      id: 'order_received',
-      name: 'Order Received',
-      icon: '📥',
-      subject: 'Your order has been received - {{order_number}}',
-      body: `Hello {{customer_name}},
+  const templates = ORDER_EMAIL_TEMPLATES;
 
-Thank you for your order! We have received your order {{order_number}} and will begin processing it shortly.
-
-Order Details:
-{{order_items}}
-
-Total: {{total_price}}
-
-You can track your order status here: {{tracking_url}}
-
-If you have any questions, please don't hesitate to contact us.
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'printing_started',
-      name: 'Printing Started',
-      icon: '🖨️',
-      subject: 'Your order is now printing - {{order_number}}',
-      body: `Hello {{customer_name}},
-
-Great news! We've started printing your order {{order_number}}.
-
-Estimated completion: {{estimated_completion}}
-
-Track your order: {{tracking_url}}
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'quality_check',
-      name: 'Quality Check Passed',
-      icon: '✅',
-      subject: 'Your order passed quality control - {{order_number}}',
-      body: `Hello {{customer_name}},
-
-Your order {{order_number}} has passed our quality control inspection and is being prepared for delivery/pickup.
-
-You'll receive another notification when it's ready.
-
-Track your order: {{tracking_url}}
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'ready_pickup',
-      name: 'Ready for Pickup',
-      icon: '📦',
-      subject: 'Your order is ready for pickup - {{order_number}}',
-      body: `Hello {{customer_name}},
-
-Your order {{order_number}} is ready for pickup!
-
-Pickup Location:
-Polywerk OÜ
-[Address]
-[Opening Hours]
-
-Please bring your order confirmation or ID.
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'shipped',
-      name: 'Order Shipped',
-      icon: '🚚',
-      subject: 'Your order has been shipped - {{order_number}}',
-      body: `Hello {{customer_name}},
-
-Your order {{order_number}} has been shipped!
-
-Tracking Number: {{tracking_number}}
-Carrier: {{carrier}}
-
-Track your delivery: {{carrier_tracking_url}}
-
-Estimated delivery: {{estimated_delivery}}
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'delivered',
-      name: 'Order Delivered',
-      icon: '🎉',
-      subject: 'Your order has been delivered - {{order_number}}',
-      body: `Hello {{customer_name}},
-
-Your order {{order_number}} has been delivered!
-
-We hope you're happy with your items. If you have any questions or concerns, please let us know.
-
-Leave us a review: {{review_url}}
-
-Thank you for choosing Polywerk!
-
-Best regards,
-Polywerk Team`,
-    },
-    {
-      id: 'custom',
-      name: 'Custom Message',
-      icon: '✏️',
-      subject: 'Update on your order - {{order_number}}',
-      body: '',
-    },
-  ];
-
-  const replaceVariables = (text) => {
-    if (!text || !order) return text;
-    
-    const orderNumber = order.order_number || `#${(order.order_id || order.id || '').slice(-6)}`;
-    const trackingUrl = `${window.location.origin}/track/${order.order_id || order.id}`;
-    
-    // Format order items
-    const orderItems = order.items?.map(item => 
-      `- ${item.name} x${item.quantity} - €${item.total?.toFixed(2) || '0.00'}`
-    ).join('\n') || 'See order details online';
-
-    return text
-      .replace(/\{\{customer_name\}\}/g, order.client_name || order.customer_name || 'Valued Customer')
-      .replace(/\{\{order_number\}\}/g, orderNumber)
-      .replace(/\{\{order_items\}\}/g, orderItems)
-      .replace(/\{\{total_price\}\}/g, `€${(order.total_price || order.total || 0).toFixed(2)}`)
-      .replace(/\{\{tracking_url\}\}/g, trackingUrl)
-      .replace(/\{\{estimated_completion\}\}/g, order.estimated_completion || 'Within 24-48 hours')
-      .replace(/\{\{tracking_number\}\}/g, order.tracking_number || 'N/A')
-      .replace(/\{\{carrier\}\}/g, order.carrier || 'Standard Shipping')
-      .replace(/\{\{carrier_tracking_url\}\}/g, order.carrier_tracking_url || '#')
-      .replace(/\{\{estimated_delivery\}\}/g, order.estimated_delivery || '3-5 business days')
-      .replace(/\{\{review_url\}\}/g, `${window.location.origin}/review/${order.order_id || order.id}`);
-  };
+  const replaceVariables = (text) => renderOrderTemplate(text, order);
 
   const handleSend = async () => {
     if (!selectedTemplate) return;
     
-    const email = order.client_email || order.customer_email;
-    if (!email && sendMethod === 'email') {
+    if (!customerEmailOf(order) && sendMethod === 'email') {
       alert('Customer email not found');
       return;
     }
 
     setLoading(true);
     try {
-      const messageBody = selectedTemplate.id === 'custom' 
-        ? customMessage 
-        : replaceVariables(selectedTemplate.body);
-      
-      const subject = replaceVariables(selectedTemplate.subject);
-
-      // Log the notification (in production, this would send via email service)
-      const notificationData = {
-        order_id: order.order_id || order.id,
-        type: selectedTemplate.id,
+      const notificationData = await sendOrderNotification(order, selectedTemplate, {
         method: sendMethod,
-        recipient: sendMethod === 'email' ? email : order.client_phone,
-        subject: subject,
-        message: messageBody,
-        sent_at: new Date().toISOString(),
-      };
-
-      // Try to send notification via API
-      try {
-        await api.updateOrder(order.order_id || order.id, {
-          last_notification: notificationData,
-          notification_history: [
-            ...(order.notification_history || []),
-            notificationData,
-          ],
-        });
-      } catch (err) {
-        console.log('Order update failed, notification logged locally');
-      }
+        message: customMessage,
+      });
 
       alert(`${sendMethod === 'email' ? 'Email' : 'SMS'} sent successfully!`);
       onSent?.(notificationData);
@@ -209,7 +49,7 @@ Polywerk Team`,
   };
 
   const copyTrackingLink = () => {
-    const link = `${window.location.origin}/track/${order.order_id || order.id}`;
+    const link = trackingUrlFor(order);
     navigator.clipboard.writeText(link);
     alert('Tracking link copied to clipboard!');
   };
@@ -356,8 +196,15 @@ Polywerk Team`,
                 <div className="mt-2 text-xs text-slate-500">
                   <p className="font-medium mb-1">Available variables:</p>
                   <p>{'{{customer_name}}, {{order_number}}, {{total_price}}, {{tracking_url}}'}</p>
+                  <p>{'{{tracking_number}}, {{carrier}}, {{shipment_items}}, {{remaining_items}}'}</p>
                 </div>
               )}
+
+              {selectedTemplate.id === 'partial_shipment' && shipmentsOf(order).length === 0 && (
+                <p className="mt-2 text-xs text-yellow-400">
+                  ⚠️ No shipments recorded for this order yet - the parcel contents will list the whole order.
+                </p>
+              )}
             </div>
           )}
         </div>
@@ -1,5 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { api } from '../services/api';
+import { jobStatusOf } from '../utils/jobStates';
+
+// Only jobs that haven't reached a printer yet can change places
+const REORDERABLE = ['queued', 'assigned'];
 
 /**
  * Drag & Drop Print Queue Manager
@@ -19,11 +23,9 @@ function DragDropQueue() {
     setLoading(true);
     try {
       const res = await api.getJobQueue();
-      const allJobs = res.data?.data?.jobs || res.data?.jobs || [];
+      const allJobs = res?.jobs || res?.data?.jobs || [];
       // Only show queued jobs (not completed/failed)
-      const queuedJobs = allJobs.filter(j => 
-        ['queued', 'assigned'].includes(j.status)
-      );
+      const queuedJobs = allJobs.filter(j => REORDERABLE.includes(jobStatusOf(j)));
       setJobs(queuedJobs);
     } catch (err) {
       console.error('Failed to fetch jobs:', err);
@@ -71,15 +73,11 @@ function DragDropQueue() {
   const saveOrder = async (orderedJobs) => {
     setSaving(true);
     try {
-      // Update priority based on position
+      // Save each job's position in the queue
       for (let i = 0; i < orderedJobs.length; i++) {
         const job = orderedJobs[i];
-        const newPriority = orderedJobs.length - i; // Higher number = higher priority
-        
-        await api.updateJob(job.job_id, { 
-          queue_position: i,
-          // Could also update priority here
-        });
+        // Position only - status changes go through the job lifecycle
+        await api.updatePrintJob(job.job_id, { queue_position: i });
       }
     } catch (err) {
       console.error('Failed to save order:', err);
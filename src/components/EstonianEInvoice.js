@@ -1,163 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { api, unwrap } from '../services/api';
+import { DEFAULT_COMPANY, generateViitenumber } from '../utils/estonianInvoice';
+import {
+  DOCUMENT_TYPES,
+  VAT_CATEGORIES,
+  buildEInvoice,
+  validateEInvoice,
+  generateEInvoiceXML,
+  getStandardVatRate,
+} from '../utils/estonianEInvoice';
 
 /**
  * EstonianEInvoice - Generate Estonian e-arve compliant invoices
  * Supports XML export for e-Arveldaja, banks, and accounting software
  */
 
-// Estonian e-Invoice XML generator
-const generateEInvoiceXML = (invoice, company, client) => {
-  const now = new Date();
-  const dueDate = new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000);
-  
-  const formatDate = (d) => d.toISOString().split('T')[0];
-  const formatAmount = (amount) => (amount || 0).toFixed(2);
-
-  // Calculate totals
-  const subtotal = invoice.items?.reduce((sum, item) => 
-    sum + (item.quantity || 1) * (item.unit_price || 0), 0) || invoice.subtotal || 0;
-  const vatRate = 0.24; // Estonian VAT 24%
-  const vatAmount = subtotal * vatRate;
-  const total = subtotal + vatAmount;
-
-  // Generate XML following Estonian e-invoice standard (simplified UBL 2.1)
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<E_Invoice xmlns="http://www.pangaliit.ee/arveldused/e-arve/v1.2">
-  <Header>
-    <Date>${formatDate(now)}</Date>
-    <FileId>${invoice.invoice_number || `INV-${Date.now()}`}</FileId>
-    <Version>1.2</Version>
-  </Header>
-  <Invoice>
-    <InvoiceParties>
-      <SellerParty>
-        <Name>${escapeXml(company.name || 'Polywerk OÜ')}</Name>
-        <RegNumber>${escapeXml(company.reg_number || '16XXXXXX')}</RegNumber>
-        <VATRegNumber>${escapeXml(company.vat_number || 'EE10XXXXXXX')}</VATRegNumber>
-        <ContactData>
-          <LegalAddress>
-            <PostalAddress1>${escapeXml(company.address || 'Tartu, Estonia')}</PostalAddress1>
-            <City>Tartu</City>
-            <Country>EE</Country>
-          </LegalAddress>
-          <E-mailAddress>${escapeXml(company.email || 'info@polywerk.ee')}</E-mailAddress>
-          <PhoneNumber>${escapeXml(company.phone || '+372 XXXXXXXX')}</PhoneNumber>
-        </ContactData>
-        <AccountInfo>
-          <AccountNumber>${escapeXml(company.iban || 'EEXX XXXX XXXX XXXX XXXX')}</AccountNumber>
-          <BankName>${escapeXml(company.bank || 'SEB Pank')}</BankName>
-          <BIC>${escapeXml(company.bic || 'EEUHEE2X')}</BIC>
-        </AccountInfo>
-      </SellerParty>
-      <BuyerParty>
-        <Name>${escapeXml(client.name || client.company || 'Client')}</Name>
-        <RegNumber>${escapeXml(client.reg_number || '')}</RegNumber>
-        <VATRegNumber>${escapeXml(client.vat_number || '')}</VATRegNumber>
-        <ContactData>
-          <LegalAddress>
-            <PostalAddress1>${escapeXml(client.address || '')}</PostalAddress1>
-            <City>${escapeXml(client.city || '')}</City>
-            <Country>${escapeXml(client.country || 'EE')}</Country>
-          </LegalAddress>
-          <E-mailAddress>${escapeXml(client.email || '')}</E-mailAddress>
-        </ContactData>
-      </BuyerParty>
-    </InvoiceParties>
-    <InvoiceInformation>
-      <Type Type="DEB"/>
-      <DocumentName>ARVE</DocumentName>
-      <InvoiceNumber>${escapeXml(invoice.invoice_number || `INV-${Date.now()}`)}</InvoiceNumber>
-      <InvoiceDate>${formatDate(new Date(invoice.date || now))}</InvoiceDate>
-      <DueDate>${formatDate(new Date(invoice.due_date || dueDate))}</DueDate>
-      <PaymentRefId>${generatePaymentReference(invoice.invoice_number)}</PaymentRefId>
-      <Currency>EUR</Currency>
-    </InvoiceInformation>
-    <InvoiceItems>
-      ${(invoice.items || []).map((item, idx) => `
-      <InvoiceItem>
-        <ItemEntry>
-          <RowNo>${idx + 1}</RowNo>
-          <Description>${escapeXml(item.description || item.name || 'Service')}</Description>
-          <ItemAmount>${formatAmount(item.quantity || 1)}</ItemAmount>
-          <ItemUnit>${escapeXml(item.unit || 'tk')}</ItemUnit>
-          <ItemPrice>${formatAmount(item.unit_price || 0)}</ItemPrice>
-          <ItemSum>${formatAmount((item.quantity || 1) * (item.unit_price || 0))}</ItemSum>
-          <VAT>
-            <VATRate>${(vatRate * 100).toFixed(0)}</VATRate>
-            <VATSum>${formatAmount((item.quantity || 1) * (item.unit_price || 0) * vatRate)}</VATSum>
-          </VAT>
-          <ItemTotal>${formatAmount((item.quantity || 1) * (item.unit_price || 0) * (1 + vatRate))}</ItemTotal>
-        </ItemEntry>
-      </InvoiceItem>`).join('')}
-    </InvoiceItems>
-    <InvoiceSumGroup>
-      <TotalSum>${formatAmount(subtotal)}</TotalSum>
-      <TotalVATSum>${formatAmount(vatAmount)}</TotalVATSum>
-      <TotalToPay>${formatAmount(total)}</TotalToPay>
-      <Currency>EUR</Currency>
-      <VAT>
-        <VATRate>24</VATRate>
-        <VATSum>${formatAmount(vatAmount)}</VATSum>
-      </VAT>
-    </InvoiceSumGroup>
-    <PaymentInfo>
-      <Currency>EUR</Currency>
-      <PaymentDescription>Arve nr ${invoice.invoice_number}</PaymentDescription>
-      <PaymentRefId>${generatePaymentReference(invoice.invoice_number)}</PaymentRefId>
-      <PaymentDueDate>${formatDate(new Date(invoice.due_date || dueDate))}</PaymentDueDate>
-      <PaymentTotalSum>${formatAmount(total)}</PaymentTotalSum>
-      <PayeeAccount>${escapeXml(company.iban || 'EEXX XXXX XXXX XXXX XXXX')}</PayeeAccount>
-      <PayeeName>${escapeXml(company.name || 'Polywerk OÜ')}</PayeeName>
-    </PaymentInfo>
-  </Invoice>
-</E_Invoice>`;
-};
-
-// Escape special XML characters
-const escapeXml = (str) => {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-};
-
-// Generate Estonian payment reference number (viitenumber)
-const generatePaymentReference = (invoiceNumber) => {
-  if (!invoiceNumber) return '';
-  
-  // Extract numbers from invoice number
-  const nums = invoiceNumber.replace(/\D/g, '').slice(0, 18);
-  if (!nums) return invoiceNumber;
-  
-  // Calculate check digit using 7-3-1 algorithm
-  const weights = [7, 3, 1];
-  let sum = 0;
-  const reversed = nums.split('').reverse();
-  
-  reversed.forEach((digit, i) => {
-    sum += parseInt(digit) * weights[i % 3];
-  });
-  
-  const checkDigit = (10 - (sum % 10)) % 10;
-  return nums + checkDigit;
-};
-
 function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
   const [loading, setLoading] = useState(false);
   const [company, setCompany] = useState({
-    name: 'Polywerk OÜ',
-    reg_number: '',
-    vat_number: '',
-    address: 'Tartu, Estonia',
-    email: '',
-    phone: '',
-    iban: '',
-    bank: 'SEB Pank',
-    bic: 'EEUHEE2X',
+    name: DEFAULT_COMPANY.name,
+    reg_number: DEFAULT_COMPANY.reg_number,
+    vat_number: DEFAULT_COMPANY.vat_number,
+    address: DEFAULT_COMPANY.address,
+    city: DEFAULT_COMPANY.city,
+    postal_code: DEFAULT_COMPANY.postal_code,
+    email: DEFAULT_COMPANY.email,
+    phone: DEFAULT_COMPANY.phone,
+    iban: DEFAULT_COMPANY.iban,
+    bank: 'LHV Pank',
+    bic: DEFAULT_COMPANY.swift,
   });
   const [client, setClient] = useState({
     name: '',
@@ -166,14 +37,19 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
     vat_number: '',
     address: '',
     city: '',
+    postal_code: '',
     country: 'EE',
     email: '',
   });
+  const [documentType, setDocumentType] = useState(DOCUMENT_TYPES.INVOICE);
+  const [originalInvoiceNumber, setOriginalInvoiceNumber] = useState('');
+  const [creditReason, setCreditReason] = useState('');
+  const [showErrors, setShowErrors] = useState(false);
   const [invoice, setInvoice] = useState({
     invoice_number: `INV-${Date.now().toString().slice(-8)}`,
     date: new Date().toISOString().split('T')[0],
     due_date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-    items: [{ description: '', quantity: 1, unit_price: 0, unit: 'tk' }],
+    items: [{ description: '', quantity: 1, unit_price: 0, unit: 'tk', vat_category: 'standard' }],
     notes: '',
     ...initialInvoice,
   });
@@ -197,16 +73,22 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
     }
   };
 
-  // Calculate totals
-  const subtotal = invoice.items.reduce((sum, item) => 
-    sum + (item.quantity || 0) * (item.unit_price || 0), 0);
-  const vatAmount = subtotal * 0.24;
-  const total = subtotal + vatAmount;
+  // Build + validate on every change so totals and errors stay live
+  const eInvoice = useMemo(() => buildEInvoice({
+    invoice,
+    seller: company,
+    buyer: client,
+    type: documentType,
+    originalInvoiceNumber,
+    creditReason,
+  }), [invoice, company, client, documentType, originalInvoiceNumber, creditReason]);
+  const validationErrors = useMemo(() => validateEInvoice(eInvoice), [eInvoice]);
+  const isCredit = documentType === DOCUMENT_TYPES.CREDIT_NOTE;
 
   const addItem = () => {
     setInvoice(prev => ({
       ...prev,
-      items: [...prev.items, { description: '', quantity: 1, unit_price: 0, unit: 'tk' }],
+      items: [...prev.items, { description: '', quantity: 1, unit_price: 0, unit: 'tk', vat_category: 'standard' }],
     }));
   };
 
@@ -227,18 +109,24 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
   };
 
   const generateXML = () => {
-    const xml = generateEInvoiceXML(invoice, company, client);
+    const xml = generateEInvoiceXML(eInvoice);
     setPreviewXml(xml);
     setShowPreview(true);
   };
 
   const downloadXML = () => {
-    const xml = generateEInvoiceXML(invoice, company, client);
+    // Accountants reject files with missing mandatory fields - block the download instead
+    if (validationErrors.length > 0) {
+      setShowErrors(true);
+      setShowPreview(false);
+      return;
+    }
+    const xml = generateEInvoiceXML(eInvoice);
     const blob = new Blob([xml], { type: 'application/xml' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `e-arve-${invoice.invoice_number}.xml`;
+    a.download = `${isCredit ? 'kreeditarve' : 'e-arve'}-${invoice.invoice_number}.xml`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -277,11 +165,16 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
             className="px-4 py-2 rounded-lg font-medium text-white"
             style={{ background: 'linear-gradient(135deg, #06b6d4 0%, #3b82f6 100%)' }}
           >
-            ⬇️ Download e-arve
+            ⬇️ Download {isCredit ? 'kreeditarve' : 'e-arve'}
           </button>
         </div>
       </div>
 
+      {/* Validation */}
+      {showErrors && validationErrors.length > 0 && (
+        <ValidationPanel errors={validationErrors} onClose={() => setShowErrors(false)} />
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Seller Info */}
         <div 
@@ -337,6 +230,28 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
                 style={{ backgroundColor: '#334155' }}
               />
             </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-slate-400 mb-1">City</label>
+                <input
+                  type="text"
+                  value={company.city}
+                  onChange={(e) => setCompany(prev => ({ ...prev, city: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                  style={{ backgroundColor: '#334155' }}
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-slate-400 mb-1">Postal Code</label>
+                <input
+                  type="text"
+                  value={company.postal_code}
+                  onChange={(e) => setCompany(prev => ({ ...prev, postal_code: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                  style={{ backgroundColor: '#334155' }}
+                />
+              </div>
+            </div>
             <div className="grid grid-cols-2 gap-3">
               <div>
                 <label className="block text-sm text-slate-400 mb-1">IBAN</label>
@@ -416,6 +331,7 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
                   type="text"
                   value={client.vat_number}
                   onChange={(e) => setClient(prev => ({ ...prev, vat_number: e.target.value }))}
+                  placeholder="EE / FI / DE..."
                   className="w-full px-3 py-2 rounded-lg text-white text-sm"
                   style={{ backgroundColor: '#334155' }}
                 />
@@ -443,16 +359,27 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
                 />
               </div>
               <div>
-                <label className="block text-sm text-slate-400 mb-1">Email</label>
+                <label className="block text-sm text-slate-400 mb-1">Country</label>
                 <input
-                  type="email"
-                  value={client.email}
-                  onChange={(e) => setClient(prev => ({ ...prev, email: e.target.value }))}
+                  type="text"
+                  value={client.country}
+                  onChange={(e) => setClient(prev => ({ ...prev, country: e.target.value.toUpperCase().slice(0, 2) }))}
+                  placeholder="EE"
                   className="w-full px-3 py-2 rounded-lg text-white text-sm"
                   style={{ backgroundColor: '#334155' }}
                 />
               </div>
             </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">Email</label>
+              <input
+                type="email"
+                value={client.email}
+                onChange={(e) => setClient(prev => ({ ...prev, email: e.target.value }))}
+                className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                style={{ backgroundColor: '#334155' }}
+              />
+            </div>
           </div>
         </div>
       </div>
@@ -465,7 +392,54 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
         <h3 className="font-semibold text-white mb-4 flex items-center gap-2">
           📄 Invoice Details (Arve andmed)
         </h3>
-        
+
+        {/* Document Type */}
+        <div className="flex gap-2 mb-4">
+          {[
+            { type: DOCUMENT_TYPES.INVOICE, label: '📄 Invoice (Arve)' },
+            { type: DOCUMENT_TYPES.CREDIT_NOTE, label: '↩️ Credit Note (Kreeditarve)' },
+          ].map(option => (
+            <button
+              key={option.type}
+              onClick={() => setDocumentType(option.type)}
+              className={`px-3 py-1.5 rounded-lg text-sm border transition ${
+                documentType === option.type
+                  ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30'
+                  : 'text-slate-400 border-slate-600 hover:bg-slate-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {isCredit && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">Original Invoice No (Algne arve)</label>
+              <input
+                type="text"
+                value={originalInvoiceNumber}
+                onChange={(e) => setOriginalInvoiceNumber(e.target.value)}
+                placeholder="INV-..."
+                className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                style={{ backgroundColor: '#334155' }}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">Reason (Põhjus)</label>
+              <input
+                type="text"
+                value={creditReason}
+                onChange={(e) => setCreditReason(e.target.value)}
+                placeholder="e.g. Returned parts, price correction"
+                className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                style={{ backgroundColor: '#334155' }}
+              />
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
           <div>
             <label className="block text-sm text-slate-400 mb-1">Invoice Number (Arve nr)</label>
@@ -503,23 +477,24 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
         <div className="mb-6 p-3 rounded-lg bg-cyan-500/10 border border-cyan-500/30">
           <p className="text-sm text-cyan-400">
             <span className="font-medium">Viitenumber (Payment Reference):</span>{' '}
-            <span className="font-mono">{generatePaymentReference(invoice.invoice_number)}</span>
+            <span className="font-mono">{generateViitenumber(invoice.invoice_number)}</span>
           </p>
         </div>
 
         {/* Line Items */}
         <div className="space-y-3">
           <div className="hidden sm:grid grid-cols-12 gap-2 text-sm text-slate-400 mb-2">
-            <div className="col-span-5">Description</div>
-            <div className="col-span-2">Qty</div>
+            <div className="col-span-4">Description</div>
+            <div className="col-span-1">Qty</div>
             <div className="col-span-1">Unit</div>
             <div className="col-span-2">Price</div>
+            <div className="col-span-2">VAT</div>
             <div className="col-span-2 text-right">Total</div>
           </div>
 
           {invoice.items.map((item, index) => (
             <div key={index} className="grid grid-cols-12 gap-2 items-center">
-              <div className="col-span-12 sm:col-span-5">
+              <div className="col-span-12 sm:col-span-4">
                 <input
                   type="text"
                   value={item.description}
@@ -529,7 +504,7 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
                   style={{ backgroundColor: '#334155' }}
                 />
               </div>
-              <div className="col-span-4 sm:col-span-2">
+              <div className="col-span-4 sm:col-span-1">
                 <input
                   type="number"
                   value={item.quantity}
@@ -564,7 +539,21 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
                   style={{ backgroundColor: '#334155' }}
                 />
               </div>
-              <div className="col-span-10 sm:col-span-2 flex items-center justify-end gap-2">
+              <div className="col-span-6 sm:col-span-2">
+                <select
+                  value={item.vat_category || 'standard'}
+                  onChange={(e) => updateItem(index, 'vat_category', e.target.value)}
+                  className="w-full px-2 py-2 rounded-lg text-white text-sm"
+                  style={{ backgroundColor: '#334155' }}
+                >
+                  {Object.entries(VAT_CATEGORIES).map(([key, category]) => (
+                    <option key={key} value={key}>
+                      {key === 'standard' ? `${getStandardVatRate(invoice.date)}% standard` : category.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-6 sm:col-span-2 flex items-center justify-end gap-2">
                 <span className="text-white font-medium">
                   {formatCurrency(item.quantity * item.unit_price)}
                 </span>
@@ -593,15 +582,20 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
             <div className="w-64 space-y-2">
               <div className="flex justify-between text-slate-400">
                 <span>Subtotal (Summa):</span>
-                <span className="text-white">{formatCurrency(subtotal)}</span>
-              </div>
-              <div className="flex justify-between text-slate-400">
-                <span>VAT 24% (KM):</span>
-                <span className="text-white">{formatCurrency(vatAmount)}</span>
+                <span className="text-white">{formatCurrency(eInvoice.subtotal)}</span>
               </div>
+              {eInvoice.vat_breakdown.map(group => (
+                <div key={`${group.vat_category}-${group.vat_rate}`} className="flex justify-between text-slate-400">
+                  <span>
+                    {group.vat_category === 'reverse_charge' ? 'Reverse charge' : `VAT ${group.vat_rate}%`}
+                    {group.vat_category === 'exempt' ? ' (exempt)' : ' (KM)'}:
+                  </span>
+                  <span className="text-white">{formatCurrency(group.vat)}</span>
+                </div>
+              ))}
               <div className="flex justify-between text-lg font-bold pt-2 border-t" style={{ borderColor: '#334155' }}>
-                <span className="text-white">Total (Kokku):</span>
-                <span className="text-cyan-400">{formatCurrency(total)}</span>
+                <span className="text-white">{isCredit ? 'Credited (Kokku):' : 'Total (Kokku):'}</span>
+                <span className="text-cyan-400">{formatCurrency(isCredit ? -eInvoice.total : eInvoice.total)}</span>
               </div>
             </div>
           </div>
@@ -618,7 +612,8 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
           <li>• Generated XML follows the Estonian e-invoice (e-arve) standard v1.2</li>
           <li>• Compatible with e-Arveldaja, Estonian banks, and major accounting software</li>
           <li>• Includes automatic payment reference number (viitenumber) calculation</li>
-          <li>• VAT is calculated at 24% (Estonian standard rate)</li>
+          <li>• VAT is set per line: standard rate follows the invoice date (20% / 22% / 24%), plus 9%, 0%, reverse charge and exempt</li>
+          <li>• Credit notes (kreeditarve) reference the original invoice instead of editing it</li>
         </ul>
       </div>
 
@@ -626,6 +621,7 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
       {showPreview && (
         <XMLPreviewModal
           xml={previewXml}
+          errors={validationErrors}
           onClose={() => setShowPreview(false)}
           onDownload={downloadXML}
         />
@@ -634,10 +630,33 @@ function EstonianEInvoice({ invoice: initialInvoice, onSave }) {
   );
 }
 
+/**
+ * ValidationPanel - Mandatory fields missing before the e-arve can be sent
+ */
+function ValidationPanel({ errors, onClose }) {
+  return (
+    <div className="rounded-xl border p-4 bg-red-500/10 border-red-500/30">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-red-400">
+          ⚠️ Fix {errors.length} issue{errors.length === 1 ? '' : 's'} before downloading
+        </h4>
+        {onClose && (
+          <button onClick={onClose} className="text-slate-400 hover:text-white">✕</button>
+        )}
+      </div>
+      <ul className="text-sm text-red-300 space-y-1">
+        {errors.map(error => (
+          <li key={`${error.field}-${error.message}`}>• {error.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 /**
  * XMLPreviewModal - Preview generated XML
  */
-function XMLPreviewModal({ xml, onClose, onDownload }) {
+function XMLPreviewModal({ xml, errors = [], onClose, onDownload }) {
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
@@ -652,6 +671,11 @@ function XMLPreviewModal({ xml, onClose, onDownload }) {
         </div>
 
         <div className="flex-1 overflow-auto p-4">
+          {errors.length > 0 && (
+            <div className="mb-4">
+              <ValidationPanel errors={errors} />
+            </div>
+          )}
           <pre 
             className="text-xs text-slate-300 whitespace-pre-wrap font-mono p-4 rounded-lg"
             style={{ backgroundColor: '#0f172a' }}
@@ -671,7 +695,8 @@ function XMLPreviewModal({ xml, onClose, onDownload }) {
           </button>
           <button
             onClick={onDownload}
-            className="px-4 py-2 rounded-lg font-medium text-white"
+            disabled={errors.length > 0}
+            className="px-4 py-2 rounded-lg font-medium text-white disabled:opacity-50"
             style={{ background: 'linear-gradient(135deg, #06b6d4 0%, #3b82f6 100%)' }}
           >
             ⬇️ Download XML
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { api, unwrap, clearMissingEndpointCache } from '../services/api';
 import { generateSTLThumbnail, getCachedThumbnail, cacheThumbnail } from '../utils/stlThumbnail';
+import { analyzeMesh, isMeshFile } from '../utils/mesh';
 import { useLanguage } from '../i18n';
 
 // Material pricing for quick estimates (same as InstantSTLQuote)
@@ -32,133 +33,40 @@ const releaseDownloadSlot = () => {
   isDownloading = false;
 };
 
-// Quick STL analysis for pricing preview
-const analyzeSTLForPricing = async (fileUrl, fileSizeMb = 0) => {
+// Quick mesh analysis for pricing preview (STL, 3MF, OBJ - parsed in the mesh worker)
+const analyzeSTLForPricing = async (fileUrl, fileSizeMb = 0, filename = '') => {
   try {
-    console.log('Analyzing STL:', fileUrl, 'size:', fileSizeMb, 'MB');
+    console.log('Analyzing mesh:', filename || fileUrl, 'size:', fileSizeMb, 'MB');
     
     // Wait for download slot to avoid rate limiting
     await waitForDownloadSlot();
     
     const response = await fetch(fileUrl);
-    releaseDownloadSlot();
     
     if (!response.ok) {
-      console.error('Failed to fetch STL:', response.status);
-      return estimateFromFileSize(fileSizeMb);
-    }
-    
-    const buffer = await response.arrayBuffer();
-    console.log('STL buffer size:', buffer.byteLength);
-    
-    if (buffer.byteLength < 84) {
-      console.error('STL file too small');
+      releaseDownloadSlot();
+      console.error('Failed to fetch mesh:', response.status);
       return estimateFromFileSize(fileSizeMb);
     }
     
-    const dataView = new DataView(buffer);
-    
-    // Check if binary STL
-    const triangleCount = dataView.getUint32(80, true);
-    const expectedSize = 84 + triangleCount * 50;
-    const isBinary = buffer.byteLength > 100 && Math.abs(buffer.byteLength - expectedSize) < 1000;
-    
-    console.log('Triangle count:', triangleCount, 'isBinary:', isBinary);
-    
-    let minX = Infinity, minY = Infinity, minZ = Infinity;
-    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-    let totalVolume = 0;
-    let triangles = 0;
-    let validVertices = 0;
-    
-    if (isBinary && triangleCount > 0 && triangleCount < 10000000) {
-      triangles = triangleCount;
-      let offset = 84;
-      const maxTris = Math.min(triangles, 200000);
-      
-      for (let i = 0; i < maxTris; i++) {
-        if (offset + 50 > buffer.byteLength) break;
-        
-        offset += 12; // Skip normal
-        
-        const vertices = [];
-        for (let v = 0; v < 3; v++) {
-          const x = dataView.getFloat32(offset, true);
-          const y = dataView.getFloat32(offset + 4, true);
-          const z = dataView.getFloat32(offset + 8, true);
-          offset += 12;
-          
-          if (isFinite(x) && isFinite(y) && isFinite(z) && 
-              Math.abs(x) < 100000 && Math.abs(y) < 100000 && Math.abs(z) < 100000) {
-            vertices.push({ x, y, z });
-            minX = Math.min(minX, x);
-            minY = Math.min(minY, y);
-            minZ = Math.min(minZ, z);
-            maxX = Math.max(maxX, x);
-            maxY = Math.max(maxY, y);
-            maxZ = Math.max(maxZ, z);
-            validVertices++;
-          }
-        }
-        offset += 2;
-        
-        if (vertices.length === 3) {
-          const [v0, v1, v2] = vertices;
-          const vol = (
-            v0.x * (v1.y * v2.z - v2.y * v1.z) -
-            v1.x * (v0.y * v2.z - v2.y * v0.z) +
-            v2.x * (v0.y * v1.z - v1.y * v0.z)
-          ) / 6.0;
-          if (isFinite(vol) && Math.abs(vol) < 1e12) {
-            totalVolume += vol;
-          }
-        }
-      }
-      
-      if (maxTris < triangles) {
-        totalVolume *= (triangles / maxTris);
-      }
-    } else {
-      // ASCII STL
-      const text = new TextDecoder().decode(buffer.slice(0, Math.min(buffer.byteLength, 5000000)));
-      const vertexRegex = /vertex\s+([\-\d.e+]+)\s+([\-\d.e+]+)\s+([\-\d.e+]+)/gi;
-      let match;
-      
-      while ((match = vertexRegex.exec(text)) !== null && validVertices < 600000) {
-        const x = parseFloat(match[1]);
-        const y = parseFloat(match[2]);
-        const z = parseFloat(match[3]);
-        
-        if (isFinite(x) && isFinite(y) && isFinite(z)) {
-          minX = Math.min(minX, x);
-          minY = Math.min(minY, y);
-          minZ = Math.min(minZ, z);
-          maxX = Math.max(maxX, x);
-          maxY = Math.max(maxY, y);
-          maxZ = Math.max(maxZ, z);
-          validVertices++;
-        }
-      }
-      triangles = Math.floor(validVertices / 3);
-    }
+    const blob = await response.blob();
+    releaseDownloadSlot();
     
-    console.log('Valid vertices:', validVertices, 'Bounds:', { minX, maxX, minY, maxY, minZ, maxZ });
+    const mesh = await analyzeMesh(blob, { filename: filename || fileUrl });
+    const triangles = mesh.triangle_count;
+    const { width, depth, height } = mesh.dimensions_mm;
     
     // Check if we got valid bounds
-    if (validVertices < 3 || !isFinite(minX) || !isFinite(maxX) || minX >= maxX) {
-      console.error('Invalid STL bounds after parsing, using file size fallback');
+    if (triangles < 1 || !isFinite(width) || width <= 0) {
+      console.error('Invalid mesh bounds after parsing, using file size fallback');
       return estimateFromFileSize(fileSizeMb);
     }
     
-    const width = maxX - minX;
-    const depth = maxY - minY;
-    const height = maxZ - minZ;
-    
     // Volume in cm³
-    let volume_cm3 = Math.abs(totalVolume) / 1000;
+    let volume_cm3 = mesh.volume_cm3;
     
     if (!isFinite(volume_cm3) || volume_cm3 < 0.01) {
-      // Fallback: ~30% of bounding box
+      // Open/flat meshes have no usable volume - ~30% of bounding box
       volume_cm3 = (width * depth * height * 0.3) / 1000;
     }
     
@@ -200,6 +108,7 @@ const analyzeSTLForPricing = async (fileUrl, fileSizeMb = 0) => {
       volume_cm3: volume_cm3.toFixed(1),
       weight_g: Math.round(weight_g),
       triangles,
+      surface_area_cm2: mesh.surface_area_cm2.toFixed(1),
       estimated_price: priceWithVat.toFixed(2),
       estimated_price_no_vat: priceBeforeVat.toFixed(2),
       estimated_time_hours: printTimeHours,
@@ -211,7 +120,7 @@ const analyzeSTLForPricing = async (fileUrl, fileSizeMb = 0) => {
     console.log('Analysis result:', result);
     return result;
   } catch (err) {
-    console.error('STL analysis error:', err);
+    console.error('Mesh analysis error:', err);
     releaseDownloadSlot();
     return estimateFromFileSize(fileSizeMb);
   }
@@ -326,10 +235,7 @@ function FileLibrary({ onFileSelect }) {
 
   // Generate missing thumbnails for visible STL files
   const generateMissingThumbnails = useCallback(async (fileList) => {
-    const stlFiles = fileList.filter(f => {
-      const ext = f.name?.split('.').pop()?.toLowerCase();
-      return ext === 'stl' && !getCachedThumbnail(f.path);
-    });
+    const stlFiles = fileList.filter(f => isMeshFile(f.name) && !getCachedThumbnail(f.path));
     
     if (stlFiles.length === 0) return;
     
@@ -343,7 +249,7 @@ function FileLibrary({ onFileSelect }) {
         
         const url = api.slicingDownloadUrl(file.path);
         console.log('Fetching thumbnail for:', file.name);
-        const thumbnail = await generateSTLThumbnail(url);
+        const thumbnail = await generateSTLThumbnail(url, { filename: file.name });
         
         releaseDownloadSlot();
         
@@ -364,10 +270,7 @@ function FileLibrary({ onFileSelect }) {
 
   // Analyze STL files for pricing (cached in localStorage)
   const analyzeSTLFiles = useCallback(async (fileList) => {
-    const stlFiles = fileList.filter(f => {
-      const ext = f.name?.split('.').pop()?.toLowerCase();
-      return ext === 'stl';
-    });
+    const stlFiles = fileList.filter(f => isMeshFile(f.name));
     
     if (stlFiles.length === 0) return;
     
@@ -417,7 +320,7 @@ function FileLibrary({ onFileSelect }) {
       try {
         const url = api.slicingDownloadUrl(file.path);
         console.log('Analyzing:', file.name);
-        const analysis = await analyzeSTLForPricing(url, file.size_mb || 0);
+        const analysis = await analyzeSTLForPricing(url, file.size_mb || 0, file.name);
         
         if (analysis && analysis.weight_g > 0 && isFinite(analysis.weight_g)) {
           cachedAnalysis[file.path] = analysis;
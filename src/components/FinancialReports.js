@@ -1,5 +1,12 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { api, unwrap } from '../services/api';
+import { getCreditsByOrder } from '../utils/estonianInvoice';
+
+/**
+ * Sold price of an order after credit notes (kreeditarved) issued against it
+ */
+const getNetOrderRevenue = (order, creditsByOrder) =>
+  Math.max(0, (order.quote?.total || 0) - (creditsByOrder[order.order_id] || 0));
 
 /**
  * Financial Reports - Uses ACTUAL data, no guessing
@@ -7,7 +14,7 @@ import { api, unwrap } from '../services/api';
  * Data sources:
  * - Orders: actual sold prices (quote.total) and costs (quote.material_cost, etc.)
  * - Materials: actual bought prices (purchase_price per spool)
- * - Invoices: actual payment status
+ * - Invoices: actual payment status, credit notes reduce revenue
  */
 function FinancialReports() {
   const [orders, setOrders] = useState([]);
@@ -61,6 +68,8 @@ function FinancialReports() {
     });
   }, [orders, dateRange]);
 
+  const creditsByOrder = useMemo(() => getCreditsByOrder(invoices), [invoices]);
+
   // Calculate ACTUAL financial metrics from real order data
   const financials = useMemo(() => {
     const delivered = filteredOrders.filter(o => o.status === 'delivered');
@@ -73,20 +82,22 @@ function FinancialReports() {
     let totalLaborCost = 0;
     let totalMachineCost = 0;
     let pendingRevenue = 0;
+    let totalCredited = 0;
 
     delivered.forEach(order => {
       const quote = order.quote || {};
       const qty = order.quantity || 1;
+      const revenue = getNetOrderRevenue(order, creditsByOrder);
       
-      totalRevenue += (quote.total || 0);
+      totalRevenue += revenue;
+      totalCredited += (quote.total || 0) - revenue;
       totalMaterialCost += (quote.material_cost || 0) * qty;
       totalLaborCost += (quote.labor_cost || 0) * qty;
       totalMachineCost += (quote.machine_cost || 0) * qty;
     });
 
     pending.forEach(order => {
-      const quote = order.quote || {};
-      pendingRevenue += (quote.total || 0);
+      pendingRevenue += getNetOrderRevenue(order, creditsByOrder);
     });
 
     const totalCost = totalMaterialCost + totalLaborCost + totalMachineCost;
@@ -97,8 +108,8 @@ function FinancialReports() {
     const paidOrders = delivered.filter(o => o.payment_status === 'paid' || o.paid_at);
     const unpaidOrders = delivered.filter(o => o.payment_status !== 'paid' && !o.paid_at);
 
-    const paidRevenue = paidOrders.reduce((sum, o) => sum + (o.quote?.total || 0), 0);
-    const unpaidRevenue = unpaidOrders.reduce((sum, o) => sum + (o.quote?.total || 0), 0);
+    const paidRevenue = paidOrders.reduce((sum, o) => sum + getNetOrderRevenue(o, creditsByOrder), 0);
+    const unpaidRevenue = unpaidOrders.reduce((sum, o) => sum + getNetOrderRevenue(o, creditsByOrder), 0);
 
     return {
       totalRevenue,
@@ -111,12 +122,13 @@ function FinancialReports() {
       pendingRevenue,
       paidRevenue,
       unpaidRevenue,
+      totalCredited,
       deliveredCount: delivered.length,
       pendingCount: pending.length,
       cancelledCount: cancelled.length,
       avgOrderValue: delivered.length > 0 ? totalRevenue / delivered.length : 0,
     };
-  }, [filteredOrders]);
+  }, [filteredOrders, creditsByOrder]);
 
   // Material inventory value (ACTUAL bought prices)
   const materialStats = useMemo(() => {
@@ -173,7 +185,7 @@ function FinancialReports() {
         };
       }
 
-      const revenue = quote.total || 0;
+      const revenue = getNetOrderRevenue(order, creditsByOrder);
       const matCost = (quote.material_cost || 0) * qty;
       const labCost = (quote.labor_cost || 0) * qty;
       const machCost = (quote.machine_cost || 0) * qty;
@@ -187,7 +199,7 @@ function FinancialReports() {
     });
 
     return Object.values(stats).sort((a, b) => b.profit - a.profit);
-  }, [filteredOrders]);
+  }, [filteredOrders, creditsByOrder]);
 
   if (loading) {
     return (
@@ -266,7 +278,9 @@ function FinancialReports() {
             <MetricCard
               label="Revenue (Delivered)"
               value={`€${financials.totalRevenue.toFixed(2)}`}
-              subtext={`${financials.deliveredCount} orders`}
+              subtext={financials.totalCredited > 0
+                ? `${financials.deliveredCount} orders • −€${financials.totalCredited.toFixed(2)} credited`
+                : `${financials.deliveredCount} orders`}
               color="green"
               icon="💵"
             />
@@ -373,7 +387,7 @@ function FinancialReports() {
                   {filteredOrders.slice(0, 50).map(order => {
                     const quote = order.quote || {};
                     const qty = order.quantity || 1;
-                    const revenue = quote.total || 0;
+                    const revenue = getNetOrderRevenue(order, creditsByOrder);
                     const matCost = (quote.material_cost || 0) * qty;
                     const labCost = (quote.labor_cost || 0) * qty;
                     const machCost = (quote.machine_cost || 0) * qty;
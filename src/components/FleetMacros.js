@@ -0,0 +1,371 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import MacroEditor from './MacroEditor';
+import PrinterGroups from './PrinterGroups';
+import { useCollection } from '../hooks/useCollection';
+import { useLivePrinters } from '../hooks/useWebSocket';
+import { usePermissions } from '../permissions';
+import { collection } from '../services/localStore';
+import {
+  cancelRun,
+  dismissRun,
+  getActiveRuns,
+  newMacroId,
+  printerTagsByName,
+  runMacro,
+  subscribeActiveRuns,
+} from '../services/fleetMacros';
+import { describeGroup, describeStep, EXAMPLE_MACROS, groupMembers } from '../utils/fleetMacros';
+import { sanitizeText } from '../utils/sanitization';
+import toast from '../utils/toast';
+
+const PRINTER_STATUS = {
+  pending: { icon: '⏸️', color: 'text-slate-400' },
+  running: { icon: '⏳', color: 'text-cyan-400' },
+  done: { icon: '✅', color: 'text-green-400' },
+  failed: { icon: '❌', color: 'text-red-400' },
+  cancelled: { icon: '🚫', color: 'text-slate-400' },
+};
+
+const RUN_STATUS = {
+  running: { label: 'Running', className: 'bg-cyan-900/50 text-cyan-300 border-cyan-700' },
+  done: { label: 'Done', className: 'bg-green-900/50 text-green-300 border-green-700' },
+  partial: { label: 'Partly failed', className: 'bg-orange-900/50 text-orange-300 border-orange-700' },
+  failed: { label: 'Failed', className: 'bg-red-900/50 text-red-300 border-red-700' },
+  cancelled: { label: 'Cancelled', className: 'bg-slate-700 text-slate-300 border-slate-600' },
+  interrupted: { label: 'Interrupted', className: 'bg-slate-700 text-slate-300 border-slate-600' },
+};
+
+const formatWhen = (iso) => (iso ? new Date(iso).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' }) : '--');
+
+// Per-printer progress of one run
+function RunProgress({ run, macro, onCancel, onDismiss }) {
+  const status = RUN_STATUS[run.status] || RUN_STATUS.interrupted;
+  const done = run.printers.filter(p => p.status === 'done').length;
+  return (
+    <div className="border border-slate-700 rounded-lg p-4 bg-slate-800/50 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <span className="font-medium text-white">{sanitizeText(run.macro_name)}</span>
+          <span className="text-xs text-slate-400"> · {run.group_name ? sanitizeText(run.group_name) : 'picked printers'} · {done}/{run.printers.length} done</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`text-xs px-2 py-0.5 rounded-full border ${status.className}`}>{status.label}</span>
+          {onCancel && (
+            <button onClick={onCancel} className="text-xs text-red-400 hover:text-red-300">Cancel</button>
+          )}
+          {onDismiss && (
+            <button onClick={onDismiss} className="text-slate-400 hover:text-white">×</button>
+          )}
+        </div>
+      </div>
+      <div className="space-y-1">
+        {run.printers.map(printer => {
+          const style = PRINTER_STATUS[printer.status] || PRINTER_STATUS.pending;
+          const step = macro?.steps?.[printer.step];
+          return (
+            <div key={printer.name} className="text-sm flex flex-wrap items-center gap-2">
+              <span className={style.color}>{style.icon}</span>
+              <span className="text-slate-200 w-36 truncate">{printer.name}</span>
+              <span className="text-xs text-slate-500">
+                {Math.min(printer.step + (printer.status === 'done' ? 0 : 1), run.steps)}/{run.steps}
+                {printer.status === 'running' && step && ` · ${describeStep(step)}`}
+              </span>
+              {printer.error && <span className="text-xs text-red-400">{sanitizeText(printer.error)}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+RunProgress.propTypes = {
+  run: PropTypes.object.isRequired,
+  macro: PropTypes.object,
+  onCancel: PropTypes.func,
+  onDismiss: PropTypes.func,
+};
+
+/**
+ * FleetMacros - Named sequences of printer actions, G-code and waits, run
+ * on a printer group with per-printer progress and a run history
+ */
+function FleetMacros({ printers = [] }) {
+  const { can, user } = usePermissions();
+  const canRun = can('production.printers.control');
+  const canEdit = can('production.printers.edit');
+
+  const { items: macros, save: saveMacros } = useCollection('fleet_macros');
+  const { items: groups } = useCollection('printer_groups');
+  const { items: runs } = useCollection('macro_runs');
+  const { items: tagRecords } = useCollection('printer_tags');
+  const { printers: livePrinters } = useLivePrinters();
+
+  const [view, setView] = useState('macros');
+  const [editing, setEditing] = useState(null);
+  const [targets, setTargets] = useState({}); // macro id -> 'all' | group id | 'pick'
+  const [picked, setPicked] = useState({}); // macro id -> printer names
+  const [activeRuns, setActiveRuns] = useState(getActiveRuns);
+
+  // Runs live in the service, so they carry on across tab switches
+  useEffect(() => {
+    setActiveRuns(getActiveRuns());
+    return subscribeActiveRuns(setActiveRuns);
+  }, []);
+
+  // Registered printers with their live temperatures and state
+  const fleet = useMemo(
+    () => printers.map(p => ({ ...p, ...(livePrinters[p.name] || {}) })),
+    [printers, livePrinters],
+  );
+  const tagsByName = useMemo(() => printerTagsByName(tagRecords), [tagRecords]);
+
+  if (!can('production.printers.view')) {
+    return (
+      <div className="text-center py-8 text-slate-500">
+        <div className="text-4xl mb-2">🔒</div>
+        <p>You don't have access to printer macros</p>
+      </div>
+    );
+  }
+
+  const targetOf = (macro) => targets[macro.id] || 'all';
+
+  const printersFor = (macro) => {
+    const target = targetOf(macro);
+    if (target === 'all') return fleet;
+    if (target === 'pick') return fleet.filter(p => (picked[macro.id] || []).includes(p.name));
+    const group = groups.find(g => g.id === target);
+    return group ? groupMembers(group, fleet, tagsByName) : [];
+  };
+
+  const handleRun = async (macro) => {
+    const chosen = printersFor(macro);
+    if (chosen.length === 0) {
+      toast.error('No printers to run on');
+      return;
+    }
+    const busy = chosen.filter(p => String(p.state || p.status || '').toLowerCase() === 'printing');
+    const warning = busy.length ? `\n\n${busy.length} of them are printing: ${busy.map(p => p.name).join(', ')}` : '';
+    if (!window.confirm(`Run "${macro.name}" on ${chosen.length} printer${chosen.length === 1 ? '' : 's'}?${warning}`)) return;
+
+    const target = targetOf(macro);
+    const group = target === 'all' ? { name: 'All printers' } : groups.find(g => g.id === target);
+    try {
+      const finished = await runMacro(macro, chosen, { group, by: user?.username || null });
+      const failed = finished.printers.filter(p => p.status === 'failed').length;
+      if (finished.status === 'done') toast.success(`${macro.name} finished on ${chosen.length} printer${chosen.length === 1 ? '' : 's'}`);
+      else if (failed > 0) toast.error(`${macro.name}: ${failed} printer${failed === 1 ? '' : 's'} failed`);
+    } catch (err) {
+      console.error('Macro run failed:', err);
+      toast.error(err.message || 'Macro run failed');
+    }
+  };
+
+  const handleSave = async (macro) => {
+    const saved = { ...macro, id: macro.id || newMacroId('macro'), updated_at: new Date().toISOString() };
+    const exists = macros.some(m => m.id === saved.id);
+    await saveMacros(exists ? macros.map(m => (m.id === saved.id ? saved : m)) : [...macros, saved]);
+    toast.success(`Macro "${saved.name}" saved`);
+    setEditing(null);
+  };
+
+  const handleDelete = async (macro) => {
+    if (!window.confirm(`Delete macro "${macro.name}"?`)) return;
+    await saveMacros(macros.filter(m => m.id !== macro.id));
+  };
+
+  const handleAddExamples = async () => {
+    await saveMacros([...macros, ...EXAMPLE_MACROS.map(example => ({ ...example, id: newMacroId('macro') }))]);
+  };
+
+  const handleClearHistory = async () => {
+    if (!window.confirm('Clear the macro run history?')) return;
+    await collection('macro_runs').replaceAll(runs.filter(run => liveRun(run.id)?.status === 'running'));
+  };
+
+  const liveRun = (id) => activeRuns.find(run => run.id === id);
+  const macroById = (id) => macros.find(m => m.id === id);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex rounded-lg overflow-hidden border border-slate-700">
+          {[
+            { id: 'macros', label: '🧩 Macros' },
+            { id: 'groups', label: '🗂️ Groups & Tags' },
+            { id: 'history', label: `📜 History (${runs.length})` },
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setView(tab.id)}
+              className={`px-4 py-2 text-sm font-medium ${view === tab.id ? 'bg-purple-600 text-white' : 'text-slate-400 hover:bg-slate-700'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {view === 'macros' && canEdit && (
+          <button
+            onClick={() => setEditing({})}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white"
+            style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+          >
+            + New Macro
+          </button>
+        )}
+      </div>
+
+      {/* Runs started here, until dismissed */}
+      {activeRuns.length > 0 && (
+        <div className="space-y-3">
+          {activeRuns.map(run => (
+            <RunProgress
+              key={run.id}
+              run={run}
+              macro={macroById(run.macro_id)}
+              onCancel={run.status === 'running' ? () => cancelRun(run.id) : undefined}
+              onDismiss={run.status === 'running' ? undefined : () => dismissRun(run.id)}
+            />
+          ))}
+        </div>
+      )}
+
+      {view === 'macros' && (
+        macros.length === 0 ? (
+          <div className="text-center py-8 text-slate-500 space-y-3">
+            <div className="text-4xl">🧩</div>
+            <p>No macros yet</p>
+            {canEdit && (
+              <button onClick={handleAddExamples} className="px-4 py-2 bg-slate-700 text-slate-300 rounded-lg text-sm hover:bg-slate-600">
+                Start from examples (end of day, morning warm-up, park)
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {macros.map(macro => {
+              const target = targetOf(macro);
+              const chosen = printersFor(macro);
+              return (
+                <div key={macro.id} className="border border-slate-700 rounded-lg p-4 bg-slate-800/50 space-y-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <h4 className="font-medium text-white">{sanitizeText(macro.name)}</h4>
+                      {macro.description && <p className="text-xs text-slate-400">{sanitizeText(macro.description)}</p>}
+                    </div>
+                    {canEdit && (
+                      <div className="flex gap-2 text-xs">
+                        <button onClick={() => setEditing(macro)} className="text-slate-400 hover:text-white">Edit</button>
+                        <button
+                          onClick={() => setEditing({ ...macro, id: undefined, name: `${macro.name} (copy)` })}
+                          className="text-slate-400 hover:text-white"
+                        >
+                          Copy
+                        </button>
+                        <button onClick={() => handleDelete(macro)} className="text-red-400 hover:text-red-300">Delete</button>
+                      </div>
+                    )}
+                  </div>
+
+                  <ol className="space-y-0.5 text-xs text-slate-300">
+                    {macro.steps.map((step, i) => (
+                      <li key={i}><span className="text-slate-500">{i + 1}.</span> {describeStep(step)}</li>
+                    ))}
+                  </ol>
+
+                  {canRun && (
+                    <div className="space-y-2 pt-2 border-t border-slate-700">
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={target}
+                          onChange={(e) => setTargets(prev => ({ ...prev, [macro.id]: e.target.value }))}
+                          className="flex-1 bg-slate-700 border border-slate-600 text-white rounded-lg px-2 py-1.5 text-sm"
+                        >
+                          <option value="all">All printers ({fleet.length})</option>
+                          {groups.map(group => (
+                            <option key={group.id} value={group.id}>
+                              🗂️ {group.name} - {describeGroup(group)}
+                            </option>
+                          ))}
+                          <option value="pick">Pick printers…</option>
+                        </select>
+                        <button
+                          onClick={() => handleRun(macro)}
+                          disabled={chosen.length === 0}
+                          className="px-4 py-1.5 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                        >
+                          ▶️ Run ({chosen.length})
+                        </button>
+                      </div>
+                      {target === 'pick' && (
+                        <div className="flex flex-wrap gap-1.5">
+                          {fleet.map(printer => {
+                            const selected = (picked[macro.id] || []).includes(printer.name);
+                            return (
+                              <button
+                                key={printer.name}
+                                onClick={() => setPicked(prev => ({
+                                  ...prev,
+                                  [macro.id]: selected
+                                    ? prev[macro.id].filter(name => name !== printer.name)
+                                    : [...(prev[macro.id] || []), printer.name],
+                                }))}
+                                className={`px-2 py-1 rounded text-xs ${selected ? 'bg-purple-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+                              >
+                                {printer.name}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+
+      {view === 'groups' && <PrinterGroups printers={fleet} canEdit={canEdit} />}
+
+      {view === 'history' && (
+        <div className="space-y-3">
+          {runs.length === 0 ? (
+            <p className="text-center py-8 text-slate-500">No macro runs yet</p>
+          ) : (
+            <>
+              {runs.map(run => (
+                <div key={run.id}>
+                  <p className="text-xs text-slate-500 mb-1">
+                    {formatWhen(run.started_at)}{run.started_by ? ` · ${sanitizeText(run.started_by)}` : ''}
+                    {run.finished_at && ` · took ${Math.max(1, Math.round((new Date(run.finished_at) - new Date(run.started_at)) / 1000))}s`}
+                  </p>
+                  <RunProgress
+                    run={liveRun(run.id) || (run.status === 'running' ? { ...run, status: 'interrupted' } : run)}
+                    macro={macroById(run.macro_id)}
+                  />
+                </div>
+              ))}
+              {canEdit && (
+                <button onClick={handleClearHistory} className="text-xs text-red-400 hover:text-red-300">Clear history</button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <MacroEditor macro={editing} onSave={handleSave} onClose={() => setEditing(null)} />
+      )}
+    </div>
+  );
+}
+
+FleetMacros.propTypes = {
+  printers: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default FleetMacros;
@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { FEATURE_TYPES, FEATURE_IDS } from '../utils/gcode';
+
+const FEATURE_COLORS = FEATURE_IDS.map(id => new THREE.Color(FEATURE_TYPES[id].color));
+const TRAVEL_COLOR = new THREE.Color('#64748b');
+
+/**
+ * All extrusion segments in one geometry, layer after layer, so the slider
+ * only moves the draw range. G-code is Z-up with the origin at the bed
+ * corner; the scene is Y-up with the bed centred.
+ */
+const buildToolpathGeometry = (layers, bedSize) => {
+  const total = layers.reduce((sum, l) => sum + (l.toolpath?.count || 0), 0);
+  const positions = new Float32Array(total * 6);
+  const colors = new Float32Array(total * 6);
+  const layerStart = new Uint32Array(layers.length + 1);
+  const cx = bedSize.x / 2;
+  const cy = bedSize.y / 2;
+
+  let vertex = 0;
+  layers.forEach((layer, index) => {
+    layerStart[index] = vertex;
+    const path = layer.toolpath;
+    if (!path) return;
+    for (let s = 0; s < path.count; s++) {
+      const src = s * 6;
+      const color = FEATURE_COLORS[path.features[s]] || FEATURE_COLORS[FEATURE_COLORS.length - 1];
+      for (let end = 0; end < 2; end++) {
+        const o = vertex * 3;
+        positions[o] = path.positions[src + end * 3] - cx;
+        positions[o + 1] = path.positions[src + end * 3 + 2];
+        positions[o + 2] = -(path.positions[src + end * 3 + 1] - cy);
+        colors[o] = color.r;
+        colors[o + 1] = color.g;
+        colors[o + 2] = color.b;
+        vertex++;
+      }
+    }
+  });
+  layerStart[layers.length] = vertex;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return { geometry, layerStart };
+};
+
+const buildTravelGeometry = (layer, bedSize) => {
+  const path = layer?.travel;
+  if (!path?.count) return null;
+  const positions = new Float32Array(path.count * 6);
+  for (let i = 0; i < path.count * 2; i++) {
+    positions[i * 3] = path.positions[i * 3] - bedSize.x / 2;
+    positions[i * 3 + 1] = path.positions[i * 3 + 2];
+    positions[i * 3 + 2] = -(path.positions[i * 3 + 1] - bedSize.y / 2);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  return geometry;
+};
+
+const formatSeconds = (seconds) => {
+  if (!seconds) return '0s';
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+};
+
+/**
+ * Layer-by-layer toolpath preview for interpreted G-code
+ * (interpretGcodeFile with collectToolpath)
+ */
+const GcodePreview = ({ result, bedSize, name, onClose }) => {
+  const layerCount = result.layers.length;
+  const [layer, setLayer] = useState(Math.max(0, layerCount - 1));
+  const [singleLayer, setSingleLayer] = useState(false);
+  const [showTravel, setShowTravel] = useState(false);
+
+  useEffect(() => {
+    setLayer(Math.max(0, layerCount - 1));
+  }, [result, layerCount]);
+
+  const { geometry, layerStart } = useMemo(
+    () => buildToolpathGeometry(result.layers, bedSize),
+    [result, bedSize]
+  );
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const current = result.layers[layer];
+
+  const travelGeometry = useMemo(
+    () => (showTravel ? buildTravelGeometry(current, bedSize) : null),
+    [showTravel, current, bedSize]
+  );
+
+  useEffect(() => () => travelGeometry?.dispose(), [travelGeometry]);
+
+  // Draw range in vertices: everything up to the selected layer, or just that layer
+  useEffect(() => {
+    const start = singleLayer ? layerStart[layer] : 0;
+    geometry.setDrawRange(start, layerStart[layer + 1] - start);
+  }, [geometry, layerStart, layer, singleLayer]);
+
+  const camDist = Math.max(bedSize.x, bedSize.y, bedSize.z || 0) * 1.2;
+
+  return (
+    <div className="bg-gray-900 rounded-xl border border-gray-800 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-zinc-200 flex items-center gap-2">
+          <span>📜</span> Toolpath Preview
+          {name && <span className="text-xs font-normal text-zinc-500 truncate max-w-[240px]">{name}</span>}
+        </h3>
+        {onClose && (
+          <button onClick={onClose} className="text-xs text-zinc-500 hover:text-zinc-300">✕</button>
+        )}
+      </div>
+
+      {layerCount === 0 ? (
+        <p className="text-sm text-zinc-500 text-center py-8">No extrusion moves found in this G-code.</p>
+      ) : (
+        <div className="flex gap-3">
+          <div className="flex-1 h-[420px] bg-gray-950 rounded-lg overflow-hidden border border-gray-700 relative">
+            <Canvas camera={{ position: [camDist * 0.6, camDist * 0.6, camDist * 0.6], fov: 45 }}>
+              <gridHelper args={[Math.max(bedSize.x, bedSize.y), 10, '#334155', '#1e293b']} />
+              <lineSegments geometry={geometry}>
+                <lineBasicMaterial vertexColors />
+              </lineSegments>
+              {travelGeometry && (
+                <lineSegments geometry={travelGeometry}>
+                  <lineBasicMaterial color={TRAVEL_COLOR} transparent opacity={0.5} />
+                </lineSegments>
+              )}
+              <OrbitControls makeDefault />
+            </Canvas>
+
+            {/* Layer stats */}
+            {current && (
+              <div className="absolute top-2 left-2 bg-gray-900/95 text-white p-3 rounded-lg text-xs space-y-1 border border-gray-700 min-w-[180px]">
+                <div className="font-bold text-sm mb-1">Layer {layer + 1} / {layerCount}</div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Z</span><span>{current.z?.toFixed(2)}mm</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Height</span><span>{current.height?.toFixed(2)}mm</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Extruded</span><span>{current.extrusion_mm.toFixed(1)}mm</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Print path</span><span>{(current.print_distance_mm / 1000).toFixed(2)}m</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Travel</span><span>{(current.travel_distance_mm / 1000).toFixed(2)}m</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Retractions</span><span>{current.retractions}</span></div>
+                <div className="flex justify-between gap-4"><span className="text-zinc-400">Time (F only)</span><span>{formatSeconds(current.time_s)}</span></div>
+                <div className="pt-1 mt-1 border-t border-gray-700 space-y-0.5">
+                  {Object.entries(current.features)
+                    .sort((a, b) => b[1].extrusion_mm - a[1].extrusion_mm)
+                    .map(([id, stats]) => (
+                      <div key={id} className="flex items-center gap-2">
+                        <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: FEATURE_TYPES[id]?.color }} />
+                        <span className="flex-1 text-zinc-300">{FEATURE_TYPES[id]?.label || id}</span>
+                        <span className="text-zinc-500">{stats.extrusion_mm.toFixed(0)}mm</span>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            )}
+
+            <div className="absolute bottom-2 left-2 flex gap-3 text-[10px] text-zinc-300 bg-gray-900/90 px-2 py-1 rounded">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={singleLayer} onChange={(e) => setSingleLayer(e.target.checked)} />
+                Single layer
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={showTravel} onChange={(e) => setShowTravel(e.target.checked)} />
+                Travel moves
+              </label>
+            </div>
+          </div>
+
+          {/* Vertical layer slider */}
+          <div className="flex flex-col items-center w-10">
+            <span className="text-[10px] text-zinc-500">{layerCount}</span>
+            <input
+              type="range"
+              min="0"
+              max={layerCount - 1}
+              value={layer}
+              onChange={(e) => setLayer(Number(e.target.value))}
+              className="flex-1"
+              style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+              aria-label="Layer"
+            />
+            <span className="text-[10px] text-zinc-500">1</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+GcodePreview.propTypes = {
+  result: PropTypes.shape({
+    layers: PropTypes.arrayOf(PropTypes.shape({
+      z: PropTypes.number,
+      height: PropTypes.number,
+      extrusion_mm: PropTypes.number,
+      print_distance_mm: PropTypes.number,
+      travel_distance_mm: PropTypes.number,
+      retractions: PropTypes.number,
+      time_s: PropTypes.number,
+      features: PropTypes.object,
+      toolpath: PropTypes.object,
+      travel: PropTypes.object
+    })).isRequired
+  }).isRequired,
+  bedSize: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+    z: PropTypes.number
+  }).isRequired,
+  name: PropTypes.string,
+  onClose: PropTypes.func
+};
+
+export default GcodePreview;
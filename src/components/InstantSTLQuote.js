@@ -6,7 +6,8 @@
  * - Creality K1/K1 Max (high-speed, 220x220x250mm / 300x300x300mm)
  * 
  * Features:
- * - Local STL parsing for instant feedback
+ * - Local STL/3MF/OBJ parsing (mesh worker) for instant feedback
+ * - Overhang-based support estimate (material + time) with heatmap preview
  * - OrcaSlicer integration for accurate print times
  * - Estimate source indicator (slicer vs calculated)
  * - Purpose detection (structural, mechanical, decorative, etc.)
@@ -17,10 +18,23 @@
 import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useLanguage } from '../i18n';
 import { api } from '../services/api';
+import { createOrderItem } from '../utils/orderItems';
 import toast from '../utils/toast';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Center } from '@react-three/drei';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
+import {
+  analyzeMesh,
+  isMeshFile,
+  MESH_FILE_ACCEPT,
+  DEFAULT_OVERHANG_ANGLE,
+  SUPPORT_PROFILES,
+  summarizeOverhangs,
+  estimateSupport,
+  overhangIntensity,
+  countPlates,
+} from '../utils/mesh';
+import { createMeshGeometry, applyOverhangColors } from '../utils/mesh/geometry';
+import { getPrinterBed } from '../utils/printerBeds';
 
 const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5000/api/v1';
 
@@ -109,6 +123,23 @@ const INFILL_PATTERNS = [
   { id: 'honeycomb', name: 'Honeycomb', strength: 90, icon: '⬡', priceMultiplier: 1.05 },
 ];
 
+// Support options (same ids as SUPPORT_TYPES in STLSlicer)
+const SUPPORT_OPTIONS = [
+  { id: 'none', name: 'Toed puuduvad', icon: '❌' },
+  { id: 'auto', name: SUPPORT_PROFILES.auto.label, icon: '🌲' },
+  { id: 'normal', name: SUPPORT_PROFILES.normal.label, icon: '▦' },
+  { id: 'organic', name: SUPPORT_PROFILES.organic.label, icon: '🌿' },
+];
+
+// Machine time for support structures (€/h, same default as QuoteCalculator)
+const MACHINE_HOURLY_RATE = 2.5;
+
+// Clearing the bed and restarting for every plate after the first (€)
+const PLATE_CHANGE_FEE = 1.5;
+
+// Largest quantity one instant quote takes
+const MAX_QUANTITY = 500;
+
 // Material configurations
 const MATERIALS = {
   PLA: { name: 'PLA', pricePerGram: 0.12, density: 1.24, minPrice: 8 },
@@ -122,75 +153,77 @@ const MATERIALS = {
   'CF-PETG': { name: 'Carbon Fiber PETG', pricePerGram: 0.32, density: 1.35, minPrice: 18 },
 };
 
-// STL Model component
-function STLModel({ file, color }) {
-  const [geometry, setGeometry] = useState(null);
-  
-  useEffect(() => {
-    if (!file) return;
+// STL Model component - renders triangles already parsed by the mesh worker
+function STLModel({ positions, color, heatmap }) {
+  const geometry = useMemo(() => {
+    if (!positions?.length) return null;
     
-    const loader = new STLLoader();
-    const reader = new FileReader();
+    const geom = createMeshGeometry(positions);
+    if (heatmap) applyOverhangColors(geom, heatmap, color);
+    geom.center();
     
-    reader.onload = (e) => {
-      try {
-        const geom = loader.parse(e.target.result);
-        geom.computeVertexNormals();
-        geom.center();
-        
-        geom.computeBoundingBox();
-        const bbox = geom.boundingBox;
-        const maxDim = Math.max(
-          bbox.max.x - bbox.min.x,
-          bbox.max.y - bbox.min.y,
-          bbox.max.z - bbox.min.z
-        );
-        const scale = 2 / maxDim;
-        geom.scale(scale, scale, scale);
-        
-        setGeometry(geom);
-      } catch (err) {
-        console.error('STL parse error:', err);
-      }
-    };
+    const bbox = geom.boundingBox;
+    const maxDim = Math.max(
+      bbox.max.x - bbox.min.x,
+      bbox.max.y - bbox.min.y,
+      bbox.max.z - bbox.min.z
+    );
+    const scale = 2 / maxDim;
+    geom.scale(scale, scale, scale);
     
-    reader.readAsArrayBuffer(file);
-  }, [file]);
+    return geom;
+  }, [positions, heatmap, color]);
+  
+  useEffect(() => () => geometry?.dispose(), [geometry]);
   
   if (!geometry) return null;
   
   return (
     <mesh geometry={geometry}>
-      <meshPhongMaterial color={color} specular={0x444444} shininess={30} />
+      <meshPhongMaterial
+        key={heatmap ? 'heatmap' : 'plain'}
+        color={heatmap ? '#ffffff' : color}
+        vertexColors={Boolean(heatmap)}
+        specular={0x444444}
+        shininess={30}
+      />
     </mesh>
   );
 }
 
 // Model Preview
-function ModelPreview({ stlFile, dimensions, color = '#a855f7' }) {
+function ModelPreview({ positions, dimensions, color = '#a855f7', heatmap }) {
   return (
     <div className="relative py-2">
       <div 
         className="rounded-lg overflow-hidden mx-auto"
         style={{ width: '100%', maxWidth: '280px', height: '180px', backgroundColor: '#1e293b' }}
       >
-        {stlFile ? (
+        {positions ? (
           <Canvas camera={{ position: [3, 2, 3], fov: 45 }} style={{ background: '#1e293b' }}>
             <ambientLight intensity={0.6} />
             <directionalLight position={[5, 5, 5]} intensity={0.8} />
             <directionalLight position={[-5, -5, -5]} intensity={0.4} />
             <Center>
-              <STLModel file={stlFile} color={color} />
+              <STLModel positions={positions} color={color} heatmap={heatmap} />
             </Center>
             <OrbitControls autoRotate autoRotateSpeed={2} enableZoom={true} enablePan={false} />
           </Canvas>
         ) : (
           <div className="flex items-center justify-center h-full text-slate-500 text-sm">
-            Upload STL to preview
+            Upload STL, 3MF or OBJ to preview
           </div>
         )}
       </div>
       
+      {heatmap && (
+        <div className="flex items-center justify-center gap-2 mt-2 text-[10px] text-slate-400">
+          <span>Tugi vajalik:</span>
+          <span className="w-16 h-1.5 rounded-full" style={{ background: 'linear-gradient(90deg, #facc15, #dc2626)' }} />
+          <span>järsk → lame</span>
+        </div>
+      )}
+      
       {dimensions && (
         <div className="text-center text-sm text-white font-medium mt-2">
           {dimensions.width?.toFixed(0)} × {dimensions.depth?.toFixed(0)} × {dimensions.height?.toFixed(0)} mm
@@ -291,6 +324,51 @@ function ComplexityMeter({ score }) {
   );
 }
 
+// Printability - score from the client-side mesh health checks
+function PrintabilityPanel({ printability, health }) {
+  if (!printability) return null;
+  
+  const score = printability.overall_score;
+  const getStyle = () => {
+    if (score >= 80) return { bg: 'bg-green-500', text: 'text-green-400', label: 'Excellent' };
+    if (score >= 60) return { bg: 'bg-yellow-500', text: 'text-yellow-400', label: 'Good' };
+    if (score >= 40) return { bg: 'bg-orange-500', text: 'text-orange-400', label: 'Fair' };
+    return { bg: 'bg-red-500', text: 'text-red-400', label: 'Poor' };
+  };
+  const { bg, text, label } = getStyle();
+  
+  return (
+    <div className="p-4 rounded-xl border border-slate-700 bg-slate-800/50">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">🩺 Prinditavus</h4>
+        <span className={`text-sm font-bold ${text}`}>{score}/100 · {label}</span>
+      </div>
+      <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+        <div className={`h-full ${bg} transition-all duration-300`} style={{ width: `${score}%` }} />
+      </div>
+      
+      {printability.warnings.length > 0 ? (
+        <ul className="mt-3 space-y-1">
+          {printability.warnings.map((warning, i) => (
+            <li key={i} className="text-xs text-slate-300 flex items-start gap-2">
+              <span className="text-yellow-500">⚠</span>
+              {warning}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-3 text-xs text-green-400">✓ Mesh is watertight with no detected issues</p>
+      )}
+      
+      {health?.min_wall_thickness_mm != null && (
+        <p className="mt-2 text-xs text-slate-400">
+          Min wall: {health.min_wall_thickness_mm.toFixed(2)} mm
+        </p>
+      )}
+    </div>
+  );
+}
+
 // Smart Recommendations Panel
 function SmartRecommendations({ purpose, onApply }) {
   const purposeConfig = PART_PURPOSES[purpose] || PART_PURPOSES.unknown;
@@ -547,6 +625,18 @@ function CreateOrderModal({
                 <span>Ühiku hind × {pricing?.quantity || 1}</span>
                 <span>€{(parseFloat(pricing?.unit_price || 0) * (pricing?.quantity || 1)).toFixed(2)}</span>
               </div>
+              {parseFloat(pricing?.support_material_cost) > 0 && (
+                <div className="flex justify-between text-slate-400">
+                  <span>🏗️ Tugimaterjal ({pricing?.support_weight_g}g)</span>
+                  <span>€{pricing?.support_material_cost}</span>
+                </div>
+              )}
+              {parseFloat(pricing?.support_time_cost) > 0 && (
+                <div className="flex justify-between text-slate-400">
+                  <span>⏱️ Tugede printimisaeg ({pricing?.support_time_formatted})</span>
+                  <span>€{pricing?.support_time_cost}</span>
+                </div>
+              )}
               {parseFloat(pricing?.discount_amount) > 0 && (
                 <div className="flex justify-between text-green-400">
                   <span>Soodustus -{pricing?.discount_percent}%</span>
@@ -559,6 +649,12 @@ function CreateOrderModal({
                   <span>+{Math.round((pricing?.rush_multiplier - 1) * 100)}%</span>
                 </div>
               )}
+              {parseFloat(pricing?.plate_change_fee) > 0 && (
+                <div className="flex justify-between text-slate-400">
+                  <span>🧩 Plaadivahetus ({pricing?.plates_needed} plaati)</span>
+                  <span>€{pricing?.plate_change_fee}</span>
+                </div>
+              )}
               {parseFloat(pricing?.delivery_fee) > 0 && (
                 <div className="flex justify-between text-slate-400">
                   <span>{pricing?.delivery_name}</span>
@@ -857,6 +953,9 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
   const [infill, setInfill] = useState(20);
   const [walls, setWalls] = useState(3);
   const [infillPattern, setInfillPattern] = useState('grid');
+  const [supportType, setSupportType] = useState('auto');
+  const [supportAngle, setSupportAngle] = useState(DEFAULT_OVERHANG_ANGLE);
+  const [showOverhangs, setShowOverhangs] = useState(false);
   
   // Additional services (3D modeling, etc.)
   const [includeModeling, setIncludeModeling] = useState(false);
@@ -997,6 +1096,22 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
     { min: 100, discount: 25 },
   ];
 
+  // Overhangs past the support angle → support material & time
+  const supportEstimate = useMemo(() => {
+    if (!stlGeometry?.overhangs) return null;
+    const overhang = summarizeOverhangs(stlGeometry.overhangs, supportAngle);
+    const matConfig = MATERIALS[material] || MATERIALS.PLA;
+    const support = supportType === 'none'
+      ? { support_type: 'none', weight_g: 0, time_hours: 0 }
+      : estimateSupport(overhang, { supportType, density: matConfig.density });
+    return { ...overhang, ...support };
+  }, [stlGeometry, supportAngle, supportType, material]);
+  
+  const overhangHeatmap = useMemo(() => {
+    if (!showOverhangs || !stlGeometry?.overhangs) return null;
+    return overhangIntensity(stlGeometry.overhangs, supportAngle);
+  }, [showOverhangs, stlGeometry, supportAngle]);
+
   // Calculate pricing - now uses slicer data when available
   const pricing = useMemo(() => {
     if (!stlGeometry) return null;
@@ -1052,6 +1167,13 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
     
     let unitPrice = Math.max(basePrice, matConfig.minPrice);
     
+    // Supports - priced on top of the part (slicer estimates are requested without supports)
+    const supportWeight = supportEstimate?.weight_g || 0;
+    const supportHours = supportEstimate?.time_hours || 0;
+    const supportMaterialCost = supportWeight * matConfig.pricePerGram;
+    const supportTimeCost = supportHours * MACHINE_HOURLY_RATE;
+    printTimeHours += supportHours;
+    
     // Quantity discounts
     let discountPercent = 0;
     for (const tier of [...batchTiers].sort((a, b) => b.min - a.min)) {
@@ -1061,7 +1183,12 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
       }
     }
     
-    const subtotalBeforeDiscount = unitPrice * quantity;
+    // Plates for the full quantity - footprint as uploaded, standard bed
+    const plateCount = countPlates({ width: dims.width || 0, depth: dims.depth || 0 }, quantity, getPrinterBed());
+    const platesNeeded = Math.max(1, plateCount.plates_needed);
+    const plateChangeFee = (platesNeeded - 1) * PLATE_CHANGE_FEE;
+    
+    const subtotalBeforeDiscount = (unitPrice + supportMaterialCost + supportTimeCost) * quantity;
     const discountAmount = subtotalBeforeDiscount * (discountPercent / 100);
     const subtotalAfterDiscount = subtotalBeforeDiscount - discountAmount;
     
@@ -1071,7 +1198,7 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
     // Additional services (modeling fee)
     const modelingFee = includeModeling ? (modelingHours * MODELING_HOURLY_RATE) : 0;
     
-    const subtotalBeforeVat = afterRush + deliveryFee + modelingFee;
+    const subtotalBeforeVat = afterRush + deliveryFee + modelingFee + plateChangeFee;
     
     const vat = subtotalBeforeVat * 0.24;
     const grandTotal = subtotalBeforeVat + vat;
@@ -1089,6 +1216,16 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
       price_per_gram: matConfig.pricePerGram.toFixed(2),
       material_cost: (weight_g * matConfig.pricePerGram).toFixed(2),
       setup_fee: setupFee.toFixed(2),
+      support_type: supportType,
+      support_weight_g: supportWeight.toFixed(0),
+      support_time_hours: supportHours,
+      support_time_formatted: `${Math.floor(supportHours)}h ${Math.round((supportHours % 1) * 60)}m`,
+      support_material_cost: (supportMaterialCost * quantity).toFixed(2),
+      support_time_cost: (supportTimeCost * quantity).toFixed(2),
+      plates_needed: platesNeeded,
+      copies_per_plate: plateCount.copies_per_plate,
+      fits_bed: plateCount.fits,
+      plate_change_fee: plateChangeFee.toFixed(2),
       base_price: basePrice.toFixed(2),
       unit_price: unitPrice.toFixed(2),
       quantity,
@@ -1108,7 +1245,7 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
       estimate_source: estimateSource,
       layer_count: slicerEstimate?.layer_count || null,
     };
-  }, [stlGeometry, material, quality, infill, walls, infillPattern, quantity, rush, delivery, slicerEstimate, includeModeling, modelingHours, MODELING_HOURLY_RATE]);
+  }, [stlGeometry, material, quality, infill, walls, infillPattern, quantity, rush, delivery, slicerEstimate, includeModeling, modelingHours, MODELING_HOURLY_RATE, supportEstimate, supportType]);
 
   // Purpose detection
   const detectPurpose = useCallback((geometry, filename) => {
@@ -1136,119 +1273,38 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
     return 'unknown';
   }, []);
 
-  // Parse STL file locally
-  const parseSTLFile = useCallback((file) => {
-    return new Promise((resolve) => {
-      const reader = new FileReader();
+  // Parse STL / 3MF / OBJ locally (mesh worker)
+  const parseSTLFile = useCallback(async (file) => {
+    try {
+      const mesh = await analyzeMesh(file, { includePositions: true, includeHealth: true, includeOverhangs: true });
+      const { width, depth, height } = mesh.dimensions_mm;
+      const volume_cm3 = mesh.volume_cm3 >= 0.01 ? mesh.volume_cm3 : (width * depth * height * 0.3) / 1000;
       
-      reader.onload = (e) => {
-        try {
-          const buffer = e.target.result;
-          const dataView = new DataView(buffer);
-          
-          let triangles = 0;
-          let isBinary = false;
-          
-          if (buffer.byteLength > 84) {
-            triangles = dataView.getUint32(80, true);
-            const expectedSize = 84 + triangles * 50;
-            isBinary = Math.abs(buffer.byteLength - expectedSize) < 100;
-          }
-          
-          let minX = Infinity, minY = Infinity, minZ = Infinity;
-          let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-          let totalVolume = 0;
-          
-          if (isBinary && triangles > 0 && triangles < 10000000) {
-            let offset = 84;
-            const maxTris = Math.min(triangles, 500000);
-            
-            for (let i = 0; i < maxTris; i++) {
-              offset += 12;
-              
-              const vertices = [];
-              for (let v = 0; v < 3; v++) {
-                const x = dataView.getFloat32(offset, true);
-                const y = dataView.getFloat32(offset + 4, true);
-                const z = dataView.getFloat32(offset + 8, true);
-                offset += 12;
-                
-                vertices.push({ x, y, z });
-                
-                minX = Math.min(minX, x);
-                minY = Math.min(minY, y);
-                minZ = Math.min(minZ, z);
-                maxX = Math.max(maxX, x);
-                maxY = Math.max(maxY, y);
-                maxZ = Math.max(maxZ, z);
-              }
-              
-              offset += 2;
-              
-              const [v0, v1, v2] = vertices;
-              const signedVol = (
-                v0.x * (v1.y * v2.z - v2.y * v1.z) -
-                v1.x * (v0.y * v2.z - v2.y * v0.z) +
-                v2.x * (v0.y * v1.z - v1.y * v0.z)
-              ) / 6.0;
-              totalVolume += signedVol;
-            }
-          } else {
-            const text = new TextDecoder().decode(buffer);
-            const vertexRegex = /vertex\s+([-\d.e+]+)\s+([-\d.e+]+)\s+([-\d.e+]+)/gi;
-            let match;
-            let count = 0;
-            
-            while ((match = vertexRegex.exec(text)) !== null && count < 300000) {
-              const x = parseFloat(match[1]);
-              const y = parseFloat(match[2]);
-              const z = parseFloat(match[3]);
-              
-              minX = Math.min(minX, x);
-              minY = Math.min(minY, y);
-              minZ = Math.min(minZ, z);
-              maxX = Math.max(maxX, x);
-              maxY = Math.max(maxY, y);
-              maxZ = Math.max(maxZ, z);
-              count++;
-            }
-            triangles = Math.floor(count / 3);
-          }
-          
-          const width = maxX - minX;
-          const depth = maxY - minY;
-          const height = maxZ - minZ;
-          
-          const volume_cm3 = Math.abs(totalVolume) / 1000 || (width * depth * height * 0.3) / 1000;
-          
-          resolve({
-            dimensions_mm: { width, depth, height },
-            volume_cm3: Math.max(0.1, volume_cm3).toFixed(1),
-            triangles,
-          });
-        } catch (err) {
-          console.error('STL parse error:', err);
-          resolve({
-            dimensions_mm: { width: 50, depth: 50, height: 30 },
-            volume_cm3: 25,
-            triangles: 5000,
-          });
-        }
+      return {
+        format: mesh.format,
+        dimensions_mm: { width, depth, height },
+        volume_cm3: Math.max(0.1, volume_cm3).toFixed(1),
+        surface_area_cm2: mesh.surface_area_cm2.toFixed(1),
+        triangles: mesh.triangle_count,
+        objects: mesh.objects,
+        positions: mesh.positions,
+        health: mesh.health,
+        printability: mesh.printability,
+        overhangs: mesh.overhangs,
       };
-      
-      reader.onerror = () => resolve({
+    } catch (err) {
+      console.error('Mesh parse error:', err);
+      return {
         dimensions_mm: { width: 50, depth: 50, height: 30 },
         volume_cm3: 25,
         triangles: 5000,
-      });
-      
-      reader.readAsArrayBuffer(file);
-    });
+      };
+    }
   }, []);
 
   const processFile = useCallback(async (file) => {
-    if (!file || !file.name.toLowerCase().endsWith('.stl')) {
-      setError('Please upload an STL file');
+    if (!file || !isMeshFile(file.name)) {
+      setError('Please upload an STL, 3MF or OBJ file');
       return;
     }
     
@@ -1296,9 +1352,7 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
     e.stopPropagation();
     setDragActive(false);
     
-    const file = Array.from(e.dataTransfer.files).find(f => 
-      f.name.toLowerCase().endsWith('.stl')
-    );
+    const file = Array.from(e.dataTransfer.files).find(f => isMeshFile(f.name));
     if (file) processFile(file);
   }, [processFile]);
 
@@ -1426,13 +1480,28 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
         modeling_fee: parseFloat(pricing.modeling_fee) || 0,
         modeling_hours: pricing.modeling_hours || 0,
         includes_modeling: pricing.includes_modeling || false,
+        // Supports
+        support_type: pricing.support_type,
+        support_weight_g: parseFloat(pricing.support_weight_g) || 0,
+        support_time_hours: pricing.support_time_hours || 0,
+        support_material_cost: parseFloat(pricing.support_material_cost) || 0,
+        support_time_cost: parseFloat(pricing.support_time_cost) || 0,
+        // Plates
+        plates_needed: pricing.plates_needed,
+        copies_per_plate: pricing.copies_per_plate,
+        plate_change_fee: parseFloat(pricing.plate_change_fee) || 0,
       };
       
       // Build order data
       const modelingNote = pricing.includes_modeling ? ` + 3D modelleerimine ${pricing.modeling_hours}h` : '';
+      const supportNote = parseFloat(pricing.support_weight_g) > 0
+        ? `, ${SUPPORT_OPTIONS.find(o => o.id === pricing.support_type)?.name || pricing.support_type} supports (~${pricing.support_weight_g}g)`
+        : '';
+      const plateNote = pricing.plates_needed > 1 ? `, ${pricing.plates_needed} plates` : '';
+      const itemName = selectedFile?.name?.replace(/\.(stl|3mf|obj)$/i, '') || 'STL Print Job';
       const orderData = {
-        item_name: selectedFile?.name?.replace('.stl', '') || 'STL Print Job',
-        description: `${material} ${color} - ${infill}% infill, ${walls} walls${modelingNote}. ${clientData.orderNotes}`.trim(),
+        item_name: itemName,
+        description: `${material} ${color} - ${infill}% infill, ${walls} walls${supportNote}${plateNote}${modelingNote}. ${clientData.orderNotes}`.trim(),
         material_type: material,
         material_weight_g: parseFloat(pricing.weight_g) || 0,
         print_time_hours: pricing.print_time_hours || 0,
@@ -1459,6 +1528,19 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
         delivery_method: delivery,
         source: 'instant_quote',
         estimate_source: pricing.estimate_source,
+
+        items: [createOrderItem({
+          name: itemName,
+          file_path: filePath || '',
+          file_id: fileId,
+          material,
+          color,
+          quantity,
+          unit_price: parseFloat(pricing.unit_price) || 0,
+          total: parseFloat(pricing.grand_total) || 0,
+          weight_g: parseFloat(pricing.weight_g) || 0,
+          print_time_hours: pricing.print_time_hours || 0,
+        })],
       };
       
       // Create order via API
@@ -1602,7 +1684,7 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".stl"
+              accept={MESH_FILE_ACCEPT}
               onChange={handleFileSelect}
               className="hidden"
             />
@@ -1615,9 +1697,10 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
             ) : selectedFile && stlGeometry ? (
               <div>
                 <ModelPreview 
-                  stlFile={selectedFile}
+                  positions={stlGeometry.positions}
                   dimensions={stlGeometry.dimensions_mm}
                   color={selectedColorHex}
+                  heatmap={overhangHeatmap}
                 />
                 
                 <div className="text-center mt-2">
@@ -1645,7 +1728,7 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
             ) : (
               <div className="text-center py-8">
                 <div className="text-5xl mb-4">📁</div>
-                <p className="text-white font-medium">Lohista STL fail siia</p>
+                <p className="text-white font-medium">Lohista STL, 3MF või OBJ fail siia</p>
                 <p className="text-slate-400 text-sm mt-1">või kliki failide sirvimiseks</p>
               </div>
             )}
@@ -1721,9 +1804,9 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
               <input
                 type="number"
                 min="1"
-                max="500"
+                max={MAX_QUANTITY}
                 value={quantity}
-                onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value) || 1))}
+                onChange={(e) => setQuantity(Math.min(MAX_QUANTITY, Math.max(1, parseInt(e.target.value) || 1)))}
                 className="w-full px-3 py-2 rounded-lg text-white text-sm bg-slate-700"
               />
             </div>
@@ -1783,6 +1866,79 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
             </div>
           )}
 
+          {/* Supports */}
+          {stlGeometry && supportEstimate && (
+            <div className="p-4 rounded-xl border border-slate-700 bg-slate-800/50">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-medium text-white">🏗️ Toed</h4>
+                <button
+                  type="button"
+                  onClick={() => setShowOverhangs(prev => !prev)}
+                  className={`px-2 py-1 rounded text-xs ${
+                    showOverhangs ? 'bg-orange-500/20 text-orange-300 border border-orange-500/40' : 'bg-slate-700 text-slate-300'
+                  }`}
+                >
+                  {showOverhangs ? '🔥 Üleulatuvused nähtaval' : '🔥 Näita üleulatuvusi'}
+                </button>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Tugede tüüp</label>
+                  <select
+                    value={supportType}
+                    onChange={(e) => setSupportType(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm bg-slate-700"
+                  >
+                    {SUPPORT_OPTIONS.map(opt => (
+                      <option key={opt.id} value={opt.id}>{opt.icon} {opt.name}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">
+                    Üleulatuvuse nurk: <span className="text-purple-400">{supportAngle}°</span>
+                  </label>
+                  <input
+                    type="range"
+                    min="30"
+                    max="75"
+                    value={supportAngle}
+                    onChange={(e) => setSupportAngle(parseInt(e.target.value))}
+                    className="w-full accent-purple-500"
+                  />
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-3 gap-2 mt-3 text-xs">
+                <div className="p-2 rounded-lg bg-slate-700/50">
+                  <p className="text-slate-500">Üleulatuv pind</p>
+                  <p className="text-white font-medium">{supportEstimate.overhang_area_cm2.toFixed(1)} cm²</p>
+                </div>
+                <div className="p-2 rounded-lg bg-slate-700/50">
+                  <p className="text-slate-500">Tugimaterjal</p>
+                  <p className="text-white font-medium">{supportEstimate.weight_g.toFixed(0)}g</p>
+                </div>
+                <div className="p-2 rounded-lg bg-slate-700/50">
+                  <p className="text-slate-500">Tugede aeg</p>
+                  <p className="text-white font-medium">{Math.round(supportEstimate.time_hours * 60)} min</p>
+                </div>
+              </div>
+              
+              {supportType === 'none' && supportEstimate.overhang_faces > 0 && (
+                <p className="mt-2 text-xs text-yellow-400">
+                  ⚠️ Mudelil on üleulatuvusi üle {supportAngle}° – ilma tugedeta võib print ebaõnnestuda
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Printability */}
+          {stlGeometry && showAnalysis && (
+            <PrintabilityPanel printability={stlGeometry.printability} health={stlGeometry.health} />
+          )}
+
           {/* Smart Recommendations */}
           {stlGeometry && showAnalysis && detectedPurpose !== 'unknown' && (
             <SmartRecommendations purpose={detectedPurpose} onApply={handleApplyRecommended} />
@@ -1946,6 +2102,18 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
                       <span className="text-white">€{(parseFloat(pricing.unit_price) * quantity).toFixed(2)}</span>
                     </div>
                   )}
+                  {parseFloat(pricing.support_material_cost) > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">🏗️ Tugimaterjal ({pricing.support_weight_g}g{quantity > 1 ? ` × ${quantity}` : ''})</span>
+                      <span className="text-white">€{pricing.support_material_cost}</span>
+                    </div>
+                  )}
+                  {parseFloat(pricing.support_time_cost) > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">⏱️ Tugede printimisaeg ({pricing.support_time_formatted}{quantity > 1 ? ` × ${quantity}` : ''})</span>
+                      <span className="text-white">€{pricing.support_time_cost}</span>
+                    </div>
+                  )}
                   {parseFloat(pricing.discount_amount) > 0 && (
                     <div className="flex justify-between text-green-400">
                       <span>Koguse soodustus (-{pricing.discount_percent}%)</span>
@@ -1958,6 +2126,15 @@ function InstantSTLQuote({ onOrderCreate, currentUser }) {
                       <span>+{Math.round((pricing.rush_multiplier - 1) * 100)}%</span>
                     </div>
                   )}
+                  {parseFloat(pricing.plate_change_fee) > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">🧩 Plaadivahetus ({pricing.plates_needed} plaati, {pricing.copies_per_plate} tk/plaat)</span>
+                      <span className="text-white">€{pricing.plate_change_fee}</span>
+                    </div>
+                  )}
+                  {!pricing.fits_bed && (
+                    <div className="text-xs text-red-400">⚠ Detail ei mahu standardsele alusele - vajab tükeldamist või suuremat printerit</div>
+                  )}
                   
                   <div className="border-t border-slate-700 pt-2 mt-2">
                     <div className="flex justify-between">
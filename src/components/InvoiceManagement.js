@@ -1,14 +1,25 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { api, unwrap } from '../services/api';
 import { sanitizeText } from '../utils/sanitization';
 import { useLanguage } from '../i18n';
 import toast from '../utils/toast';
 import InvoicePDFPreview from './InvoicePDFPreview';
-import { DEFAULT_COMPANY } from '../utils/estonianInvoice';
+import RecurringInvoices from './RecurringInvoices';
+import {
+  DEFAULT_COMPANY,
+  capCreditTotals,
+  isCreditNote,
+  getCreditNotesFor,
+  getCreditedAmount,
+  getNetInvoiceTotal,
+  getCreditableLines,
+} from '../utils/estonianInvoice';
+import { buildCreditNote, getInvoiceVatRate } from '../utils/estonianEInvoice';
 
 /**
  * InvoiceManagement - Manage business invoices
  * Lists, filters, and allows marking invoices as paid
+ * Credit notes (full or partial) can be issued against existing invoices
  */
 const InvoiceManagement = () => {
   const { t } = useLanguage();
@@ -25,6 +36,9 @@ const InvoiceManagement = () => {
   const [pdfPreviewModal, setPdfPreviewModal] = useState(null);
   const [pdfPreviewClient, setPdfPreviewClient] = useState(null);
   const [paymentData, setPaymentData] = useState({ method: 'bank_transfer', reference: '' });
+  const [creditModal, setCreditModal] = useState(null);
+  const [creditData, setCreditData] = useState({ mode: 'full', quantities: {}, reason: '' });
+  const [creatingCredit, setCreatingCredit] = useState(false);
 
   useEffect(() => {
     fetchData();
@@ -55,6 +69,10 @@ const InvoiceManagement = () => {
     }
   };
 
+  // Unpaid invoices that still have something left after credit notes
+  const isOutstanding = useCallback((invoice) =>
+    !isCreditNote(invoice) && invoice.status !== 'paid' && getNetInvoiceTotal(invoice, invoices) > 0, [invoices]);
+
   // Filter and sort invoices
   const filteredInvoices = useMemo(() => {
     let result = [...invoices];
@@ -63,10 +81,12 @@ const InvoiceManagement = () => {
     if (filterStatus !== 'all') {
       if (filterStatus === 'overdue') {
         result = result.filter(inv => {
-          if (inv.status === 'paid') return false;
+          if (!isOutstanding(inv)) return false;
           const dueDate = new Date(inv.due_date);
           return dueDate < new Date();
         });
+      } else if (filterStatus === 'credit_note') {
+        result = result.filter(inv => isCreditNote(inv));
       } else {
         result = result.filter(inv => inv.status === filterStatus);
       }
@@ -78,7 +98,8 @@ const InvoiceManagement = () => {
       result = result.filter(inv =>
         inv.invoice_number?.toLowerCase().includes(q) ||
         inv.client_name?.toLowerCase().includes(q) ||
-        inv.order_id?.toLowerCase().includes(q)
+        inv.order_id?.toLowerCase().includes(q) ||
+        inv.credited_invoice_number?.toLowerCase().includes(q)
       );
     }
     
@@ -101,28 +122,33 @@ const InvoiceManagement = () => {
     });
     
     return result;
-  }, [invoices, filterStatus, searchQuery, sortBy]);
+  }, [invoices, filterStatus, searchQuery, sortBy, isOutstanding]);
 
   // Calculate stats
   const stats = useMemo(() => {
     const now = new Date();
+    const regular = invoices.filter(inv => !isCreditNote(inv));
+    const outstanding = regular.filter(inv => isOutstanding(inv));
     return {
-      total: invoices.length,
-      pending: invoices.filter(inv => inv.status === 'pending' || inv.status === 'sent').length,
-      paid: invoices.filter(inv => inv.status === 'paid').length,
-      overdue: invoices.filter(inv => {
-        if (inv.status === 'paid') return false;
+      total: regular.length,
+      pending: outstanding.filter(inv => inv.status === 'pending' || inv.status === 'sent').length,
+      paid: regular.filter(inv => inv.status === 'paid').length,
+      overdue: outstanding.filter(inv => {
         const dueDate = new Date(inv.due_date);
         return dueDate < now;
       }).length,
-      totalPending: invoices
-        .filter(inv => inv.status !== 'paid')
-        .reduce((sum, inv) => sum + (inv.total || 0), 0),
-      totalPaid: invoices
+      // Balances are net of credit notes
+      totalPending: outstanding
+        .reduce((sum, inv) => sum + getNetInvoiceTotal(inv, invoices), 0),
+      totalPaid: regular
         .filter(inv => inv.status === 'paid')
         .reduce((sum, inv) => sum + (inv.total || 0), 0),
+      creditNotes: invoices.length - regular.length,
+      totalCredited: invoices
+        .filter(inv => isCreditNote(inv) && inv.status !== 'cancelled')
+        .reduce((sum, inv) => sum + (inv.total || 0), 0),
     };
-  }, [invoices]);
+  }, [invoices, isOutstanding]);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('et-EE', { style: 'currency', currency: 'EUR' }).format(amount || 0);
@@ -207,6 +233,10 @@ const InvoiceManagement = () => {
   };
 
   const getStatusColor = (invoice) => {
+    if (isCreditNote(invoice)) return 'bg-rose-500/20 text-rose-400 border-rose-500/30';
+    if (invoice.status !== 'paid' && getNetInvoiceTotal(invoice, invoices) <= 0) {
+      return 'bg-slate-500/20 text-slate-400 border-slate-500/30';
+    }
     if (invoice.status === 'paid') return 'bg-green-500/20 text-green-400 border-green-500/30';
     const dueDate = new Date(invoice.due_date);
     if (dueDate < new Date()) return 'bg-red-500/20 text-red-400 border-red-500/30';
@@ -215,6 +245,10 @@ const InvoiceManagement = () => {
   };
 
   const getStatusLabel = (invoice) => {
+    if (isCreditNote(invoice)) return t('invoices.status.creditNote') || 'Credit Note';
+    if (invoice.status !== 'paid' && getNetInvoiceTotal(invoice, invoices) <= 0) {
+      return t('invoices.status.credited') || 'Credited';
+    }
     if (invoice.status === 'paid') return t('invoices.status.paid') || 'Paid';
     const dueDate = new Date(invoice.due_date);
     if (dueDate < new Date()) return t('invoices.status.overdue') || 'Overdue';
@@ -240,6 +274,99 @@ const InvoiceManagement = () => {
     }
   };
 
+  const openCreditModal = (invoice) => {
+    setCreditData({ mode: 'full', quantities: {}, reason: '' });
+    setCreditModal(invoice);
+  };
+
+  // Lines of the invoice being credited, with what is still creditable
+  const creditLines = useMemo(() => {
+    if (!creditModal) return [];
+    return getCreditableLines(creditModal, invoices).map(line => {
+      const requested = creditData.mode === 'full'
+        ? line.remaining_quantity
+        : parseFloat(creditData.quantities[line.index]) || 0;
+      return {
+        ...line,
+        credit_quantity: Math.min(Math.max(0, requested), line.remaining_quantity),
+      };
+    });
+  }, [creditModal, invoices, creditData]);
+
+  // Reverses the VAT each line was invoiced at, not today's rate
+  const creditNote = useMemo(() => {
+    if (!creditModal) return null;
+    return buildCreditNote(creditModal, creditLines
+      .filter(line => line.credit_quantity > 0)
+      .map(line => ({
+        description: line.description,
+        quantity: line.credit_quantity,
+        unit: line.unit,
+        unit_price: line.unit_price,
+        vat_category: line.vat_category,
+        vat_rate: line.vat_rate,
+        source_line: line.index,
+      })));
+  }, [creditModal, creditLines]);
+
+  const creditTotals = {
+    subtotal: creditNote?.subtotal || 0,
+    vatAmount: creditNote?.vat_total || 0,
+    total: creditNote?.total || 0,
+    breakdown: creditNote?.vat_breakdown || [],
+  };
+
+  const handleCreateCreditNote = async () => {
+    if (!creditModal) return;
+
+    const lines = creditLines.filter(line => line.credit_quantity > 0);
+    if (lines.length === 0 || creditTotals.total <= 0 || !creditNote) {
+      toast.error(t('invoices.creditNothingSelected') || 'Select at least one line to credit');
+      return;
+    }
+    if (!creditData.reason.trim()) {
+      toast.error(t('invoices.creditReasonRequired') || 'Enter a reason for the credit note');
+      return;
+    }
+    // Rounding on partial quantities must never push the note past the balance
+    const { subtotal, vatAmount, total, breakdown } = capCreditTotals(creditTotals, getNetInvoiceTotal(creditModal, invoices));
+
+    setCreatingCredit(true);
+    try {
+      await api.createCreditNote(creditModal.invoice_number, {
+        order_id: creditModal.order_id,
+        client_id: creditModal.client_id,
+        client_name: creditModal.client_name,
+        client: creditModal.client,
+        credited_invoice_date: creditModal.invoice_date || creditModal.date || creditModal.created_at,
+        credit_reason: creditData.reason.trim(),
+        full_credit: creditLines.every(line => line.credit_quantity === line.remaining_quantity),
+        items: creditNote.lines.map((line, i) => ({
+          description: line.description,
+          quantity: line.quantity,
+          unit: line.unit,
+          unit_price: line.unit_price,
+          vat_category: line.vat_category,
+          // Invoice records keep rates as fractions, like vat_rate below
+          vat_rate: line.vat_rate / 100,
+          source_line: lines[i].index,
+        })),
+        subtotal,
+        vat_rate: creditModal.vat_rate ?? getInvoiceVatRate(creditModal) / 100,
+        vat_breakdown: breakdown.map(group => ({ ...group, vat_rate: group.vat_rate / 100 })),
+        vat_amount: vatAmount,
+        total,
+      });
+      toast.success(t('invoices.creditNoteCreated') || 'Credit note created');
+      setCreditModal(null);
+      fetchData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create credit note');
+    } finally {
+      setCreatingCredit(false);
+    }
+  };
+
   const handleCreateInvoice = async () => {
     if (!createModal) return;
     
@@ -374,6 +501,11 @@ const InvoiceManagement = () => {
             {t('invoices.total') || 'Total Invoices'}
           </div>
           <p className="text-2xl font-bold text-white">{stats.total}</p>
+          {stats.creditNotes > 0 && (
+            <p className="text-xs text-rose-400">
+              {stats.creditNotes} {t('invoices.creditNotes') || 'credit notes'} • {formatCurrency(-stats.totalCredited)}
+            </p>
+          )}
         </div>
         
         <div className="rounded-xl border p-4" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
@@ -403,6 +535,9 @@ const InvoiceManagement = () => {
         </div>
       </div>
 
+      {/* Recurring invoice templates */}
+      <RecurringInvoices clients={clients} onIssued={fetchData} />
+
       {/* Main Panel */}
       <div className="rounded-xl border" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
         {/* Header */}
@@ -435,6 +570,7 @@ const InvoiceManagement = () => {
                 <option value="sent">{t('invoices.status.sent') || 'Sent'}</option>
                 <option value="paid">{t('invoices.status.paid') || 'Paid'}</option>
                 <option value="overdue">{t('invoices.status.overdue') || 'Overdue'}</option>
+                <option value="credit_note">{t('invoices.status.creditNote') || 'Credit Note'}</option>
               </select>
               
               {/* Sort */}
@@ -482,7 +618,10 @@ const InvoiceManagement = () => {
               <p>{t('invoices.noInvoices') || 'No invoices found'}</p>
             </div>
           ) : (
-            filteredInvoices.map((invoice) => (
+            filteredInvoices.map((invoice) => {
+              const isCredit = isCreditNote(invoice);
+              const credited = isCredit ? 0 : getCreditedAmount(invoice, invoices);
+              return (
               <div
                 key={invoice.invoice_id || invoice.invoice_number}
                 className="p-4 hover:bg-slate-700/30 transition cursor-pointer"
@@ -493,6 +632,9 @@ const InvoiceManagement = () => {
                     <div>
                       <p className="font-medium text-white">
                         {invoice.invoice_number}
+                        {isCredit && invoice.credited_invoice_number && (
+                          <span className="ml-2 text-xs text-rose-400">↩ {invoice.credited_invoice_number}</span>
+                        )}
                       </p>
                       <p className="text-sm text-slate-400">
                         {sanitizeText(invoice.client_name) || t('common.unknown')}
@@ -502,17 +644,25 @@ const InvoiceManagement = () => {
                   
                   <div className="flex items-center gap-4">
                     <div className="text-right">
-                      <p className="font-bold text-white">{formatCurrency(invoice.total)}</p>
-                      <p className="text-xs text-slate-500">
-                        {t('invoices.due') || 'Due'}: {formatDate(invoice.due_date)}
+                      <p className={`font-bold ${isCredit ? 'text-rose-400' : 'text-white'}`}>
+                        {formatCurrency(isCredit ? -(invoice.total || 0) : invoice.total)}
                       </p>
+                      {credited > 0 ? (
+                        <p className="text-xs text-rose-400">
+                          {t('invoices.credited') || 'Credited'}: {formatCurrency(-credited)}
+                        </p>
+                      ) : !isCredit && (
+                        <p className="text-xs text-slate-500">
+                          {t('invoices.due') || 'Due'}: {formatDate(invoice.due_date)}
+                        </p>
+                      )}
                     </div>
                     
                     <span className={`px-2 py-1 rounded-full text-xs border ${getStatusColor(invoice)}`}>
                       {getStatusLabel(invoice)}
                     </span>
                     
-                    {invoice.status !== 'paid' && (
+                    {isOutstanding(invoice) && (
                       <button
                         onClick={(e) => {
                           e.stopPropagation();
@@ -526,7 +676,8 @@ const InvoiceManagement = () => {
                   </div>
                 </div>
               </div>
-            ))
+              );
+            })
           )}
         </div>
       </div>
@@ -544,7 +695,12 @@ const InvoiceManagement = () => {
               <div>
                 <p className="text-slate-400 text-sm mb-1">{t('invoices.invoice') || 'Invoice'}</p>
                 <p className="text-white font-medium">{paymentModal.invoice_number}</p>
-                <p className="text-green-400 font-bold">{formatCurrency(paymentModal.total)}</p>
+                <p className="text-green-400 font-bold">{formatCurrency(getNetInvoiceTotal(paymentModal, invoices))}</p>
+                {getCreditedAmount(paymentModal, invoices) > 0 && (
+                  <p className="text-xs text-slate-500">
+                    {formatCurrency(paymentModal.total)} − {formatCurrency(getCreditedAmount(paymentModal, invoices))} {t('invoices.credited') || 'credited'}
+                  </p>
+                )}
               </div>
               
               <div>
@@ -687,6 +843,13 @@ const InvoiceManagement = () => {
         // Check if stored values differ
         const storedTotal = detailsModal.total || 0;
         const hasMismatch = Math.abs(storedTotal - calculatedTotal) > 0.01;
+        // Credit notes are stored with positive amounts and shown negated
+        const isCredit = isCreditNote(detailsModal);
+        const sign = isCredit ? -1 : 1;
+        const creditNotes = getCreditNotesFor(detailsModal, invoices);
+        const netTotal = getNetInvoiceTotal(detailsModal, invoices);
+        const canCredit = !isCredit && netTotal > 0 &&
+          getCreditableLines(detailsModal, invoices).some(line => line.remaining_quantity > 0);
         
         return (
           <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -789,16 +952,28 @@ const InvoiceManagement = () => {
                     <div className="space-y-2">
                       <div className="flex justify-between text-slate-400">
                         <span>Summa km-ta</span>
-                        <span>{formatCurrency(subtotal)}</span>
+                        <span>{formatCurrency(sign * subtotal)}</span>
                       </div>
                       <div className="flex justify-between text-slate-400">
                         <span>Käibemaks 24%</span>
-                        <span>{formatCurrency(vatAmount)}</span>
+                        <span>{formatCurrency(sign * vatAmount)}</span>
                       </div>
                       <div className="flex justify-between text-xl font-bold text-white pt-2 border-t" style={{ borderColor: '#334155' }}>
                         <span>Kokku</span>
-                        <span>{formatCurrency(calculatedTotal)}</span>
+                        <span>{formatCurrency(sign * calculatedTotal)}</span>
                       </div>
+                      {creditNotes.length > 0 && (
+                        <>
+                          <div className="flex justify-between text-rose-400">
+                            <span>Krediteeritud</span>
+                            <span>{formatCurrency(-getCreditedAmount(detailsModal, invoices))}</span>
+                          </div>
+                          <div className="flex justify-between font-bold text-white">
+                            <span>Tasuda</span>
+                            <span>{formatCurrency(netTotal)}</span>
+                          </div>
+                        </>
+                      )}
                       {/* Show warning if stored total differs from calculated */}
                       {hasMismatch && (
                         <p className="text-xs text-yellow-400 mt-2">
@@ -809,6 +984,44 @@ const InvoiceManagement = () => {
                   </div>
                 </div>
                 
+                {/* Credited invoice reference */}
+                {isCredit && (
+                  <div className="p-4 rounded-lg bg-rose-500/10 border border-rose-500/30">
+                    <p className="text-rose-400 font-medium mb-1">
+                      ↩ {t('invoices.creditsInvoice') || 'Credit note for invoice'} {detailsModal.credited_invoice_number}
+                    </p>
+                    {detailsModal.credit_reason && (
+                      <p className="text-sm text-rose-300">{detailsModal.credit_reason}</p>
+                    )}
+                  </div>
+                )}
+                
+                {/* Credit notes issued against this invoice */}
+                {creditNotes.length > 0 && (
+                  <div>
+                    <p className="text-sm text-slate-400 mb-2 font-medium">↩ {t('invoices.creditNotes') || 'Credit Notes'}</p>
+                    <div className="space-y-2">
+                      {creditNotes.map(note => (
+                        <button
+                          key={note.invoice_id || note.invoice_number}
+                          onClick={() => setDetailsModal(note)}
+                          className="w-full flex items-center justify-between p-3 rounded-lg text-left hover:bg-slate-700/50 transition"
+                          style={{ backgroundColor: '#0f172a' }}
+                        >
+                          <div>
+                            <p className="text-white text-sm font-medium">{note.invoice_number}</p>
+                            <p className="text-xs text-slate-500">
+                              {formatDate(note.invoice_date || note.date || note.created_at)}
+                              {note.credit_reason && ` • ${note.credit_reason}`}
+                            </p>
+                          </div>
+                          <span className="text-rose-400 font-medium">{formatCurrency(-(note.total || 0))}</span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                
                 {/* Payment Info */}
                 {(detailsModal.payment_method || detailsModal.payment_status === 'paid') && (
                   <div className="p-4 rounded-lg bg-green-500/10 border border-green-500/30">
@@ -832,7 +1045,18 @@ const InvoiceManagement = () => {
                 </button>
                 
                 <div className="flex gap-2">
-                  {detailsModal.status !== 'paid' && detailsModal.payment_status !== 'paid' && (
+                  {canCredit && (
+                    <button
+                      onClick={() => {
+                        setDetailsModal(null);
+                        openCreditModal(detailsModal);
+                      }}
+                      className="px-4 py-2 rounded-lg font-medium text-rose-400 border border-rose-500/30 hover:bg-rose-500/20 transition"
+                    >
+                      ↩ {t('invoices.creditNote') || 'Credit Note'}
+                    </button>
+                  )}
+                  {isOutstanding(detailsModal) && detailsModal.payment_status !== 'paid' && (
                     <button
                       onClick={() => {
                         setDetailsModal(null);
@@ -859,7 +1083,163 @@ const InvoiceManagement = () => {
         );
       })()}
 
-      {/* PDF Preview Modal */}
+      {/* Credit Note Modal */}
+      {creditModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-black/70" onClick={() => setCreditModal(null)} />
+          <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-xl border p-6" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+            <h3 className="text-lg font-semibold text-white mb-1">
+              ↩ {t('invoices.createCreditNote') || 'Create Credit Note'}
+            </h3>
+            <p className="text-sm text-slate-400 mb-4">
+              {t('invoices.creditFor') || 'Against invoice'} {creditModal.invoice_number} • {sanitizeText(creditModal.client_name)}
+            </p>
+            
+            <div className="space-y-4">
+              {/* Full / partial toggle */}
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { id: 'full', label: t('invoices.fullCredit') || 'Full credit' },
+                  { id: 'partial', label: t('invoices.partialCredit') || 'Partial credit' },
+                ].map(mode => (
+                  <button
+                    key={mode.id}
+                    onClick={() => setCreditData(prev => ({ ...prev, mode: mode.id }))}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium border transition ${
+                      creditData.mode === mode.id
+                        ? 'text-rose-300 border-rose-500/50 bg-rose-500/20'
+                        : 'text-slate-400 hover:bg-slate-700'
+                    }`}
+                    style={creditData.mode === mode.id ? undefined : { borderColor: '#334155' }}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+              
+              {/* Lines */}
+              <div className="rounded-lg overflow-hidden" style={{ backgroundColor: '#0f172a' }}>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b" style={{ borderColor: '#334155' }}>
+                      <th className="text-left p-3 text-slate-400">Kirjeldus</th>
+                      <th className="text-right p-3 text-slate-400">{t('invoices.creditable') || 'Creditable'}</th>
+                      <th className="text-right p-3 text-slate-400">{t('invoices.creditQty') || 'Credit qty'}</th>
+                      <th className="text-right p-3 text-slate-400">Summa</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {creditLines.map(line => (
+                      <tr key={line.index} className="border-b" style={{ borderColor: '#334155' }}>
+                        <td className="p-3 text-white">
+                          {line.description}
+                          <p className="text-xs text-slate-500">{formatCurrency(line.unit_price)} / {line.unit}</p>
+                        </td>
+                        <td className="p-3 text-right text-slate-300">
+                          {line.remaining_quantity} / {line.quantity}
+                        </td>
+                        <td className="p-3 text-right">
+                          {creditData.mode === 'partial' ? (
+                            <input
+                              type="number"
+                              min="0"
+                              max={line.remaining_quantity}
+                              step="any"
+                              value={creditData.quantities[line.index] ?? ''}
+                              onChange={(e) => setCreditData(prev => ({
+                                ...prev,
+                                quantities: { ...prev.quantities, [line.index]: e.target.value },
+                              }))}
+                              disabled={line.remaining_quantity <= 0}
+                              placeholder="0"
+                              className="w-20 px-2 py-1 rounded text-right text-white border disabled:opacity-40"
+                              style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+                            />
+                          ) : (
+                            <span className="text-slate-300">{line.credit_quantity}</span>
+                          )}
+                        </td>
+                        <td className="p-3 text-right text-rose-400">
+                          {formatCurrency(-line.credit_quantity * line.unit_price)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              
+              <div>
+                <label className="block text-sm text-slate-400 mb-1">
+                  {t('invoices.creditReason') || 'Reason'} *
+                </label>
+                <input
+                  type="text"
+                  value={creditData.reason}
+                  onChange={(e) => setCreditData(prev => ({ ...prev, reason: e.target.value }))}
+                  placeholder={t('invoices.creditReasonPlaceholder') || 'e.g. defective parts returned, price correction'}
+                  className="w-full px-3 py-2 rounded-lg text-white border"
+                  style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                />
+              </div>
+              
+              {/* Totals */}
+              <div className="flex justify-end">
+                <div className="w-72 p-4 rounded-lg space-y-2" style={{ backgroundColor: '#0f172a' }}>
+                  <div className="flex justify-between text-slate-400">
+                    <span>Summa km-ta</span>
+                    <span>{formatCurrency(-creditTotals.subtotal)}</span>
+                  </div>
+                  {creditTotals.breakdown.length === 0 ? (
+                    <div className="flex justify-between text-slate-400">
+                      <span>Käibemaks</span>
+                      <span>{formatCurrency(0)}</span>
+                    </div>
+                  ) : creditTotals.breakdown.map(group => (
+                    <div key={`${group.vat_category}-${group.vat_rate}`} className="flex justify-between text-slate-400">
+                      <span>Käibemaks {group.vat_rate}%</span>
+                      <span>{formatCurrency(-group.vat)}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between text-lg font-bold text-rose-400 pt-2 border-t" style={{ borderColor: '#334155' }}>
+                    <span>Kokku</span>
+                    <span>{formatCurrency(-creditTotals.total)}</span>
+                  </div>
+                  <div className="flex justify-between text-xs text-slate-500">
+                    <span>{t('invoices.balanceAfter') || 'Balance after credit'}</span>
+                    <span>{formatCurrency(Math.max(0, getNetInvoiceTotal(creditModal, invoices) - creditTotals.total))}</span>
+                  </div>
+                </div>
+              </div>
+              
+              {creditModal.status === 'paid' && creditTotals.total > 0 && (
+                <p className="text-sm text-yellow-400">
+                  ⚠️ {t('invoices.refundNotice') || 'This invoice is already paid — refund'} {formatCurrency(creditTotals.total)}
+                </p>
+              )}
+            </div>
+            
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setCreditModal(null)}
+                className="flex-1 px-4 py-2 rounded-lg border text-slate-300 hover:bg-slate-700 transition"
+                style={{ borderColor: '#334155' }}
+              >
+                {t('common.cancel') || 'Cancel'}
+              </button>
+              <button
+                onClick={handleCreateCreditNote}
+                disabled={creatingCredit || creditTotals.total <= 0}
+                className="flex-1 px-4 py-2 rounded-lg font-medium text-white transition disabled:opacity-50"
+                style={{ background: 'linear-gradient(135deg, #f43f5e 0%, #e11d48 100%)' }}
+              >
+                {creatingCredit ? '⏳' : '↩'} {t('invoices.issueCreditNote') || 'Issue Credit Note'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+            {/* PDF Preview Modal */}
       <InvoicePDFPreview
         invoice={pdfPreviewModal}
         client={pdfPreviewClient}
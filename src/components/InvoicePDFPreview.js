@@ -6,6 +6,8 @@ import {
   generateInvoiceHTML,
   printInvoice,
   downloadInvoiceHTML,
+  INVOICE_TYPES,
+  isCreditNote,
 } from '../utils/estonianInvoice';
 
 /**
@@ -80,6 +82,12 @@ function InvoicePDFPreview({
         vatRate: 0.24,
         notes: invoice.notes || '',
         company,
+        type: isCreditNote(invoice) ? INVOICE_TYPES.CREDIT_NOTE : INVOICE_TYPES.INVOICE,
+        creditedInvoice: {
+          invoice_number: invoice.credited_invoice_number,
+          date: invoice.credited_invoice_date,
+        },
+        creditReason: invoice.credit_reason || '',
       });
       
       setInvoiceData(data);
@@ -132,7 +140,7 @@ function InvoicePDFPreview({
         <div className="px-6 py-4 border-b flex items-center justify-between" style={{ borderColor: '#334155' }}>
           <div>
             <h3 className="font-bold text-white text-lg">
-              📄 Arve {invoiceData?.invoice_number || ''}
+              📄 {invoiceData?.is_credit ? 'Kreeditarve' : 'Arve'} {invoiceData?.invoice_number || ''}
             </h3>
             <p className="text-sm text-slate-400">
               {t('invoice.preview') || 'Invoice Preview'} • {t('invoice.estonianFormat') || 'Estonian Format'}
@@ -0,0 +1,85 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { collection } from '../services/localStore';
+import { getJobHistory } from '../services/jobLifecycle';
+import { JOB_EVENTS } from '../utils/jobStates';
+
+/**
+ * Audit trail of one job, newest last; follows changes from other tabs
+ */
+export function useJobHistory(jobId) {
+  const [entries, setEntries] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      setEntries(await getJobHistory(jobId));
+    } catch (err) {
+      console.error(`Failed to load history for job ${jobId}:`, err);
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    reload();
+    return collection('job_history').subscribe(({ keys }) => {
+      if (!keys || keys.includes(String(jobId))) reload();
+    });
+  }, [jobId, reload]);
+
+  return entries;
+}
+
+const formatAt = (iso) => {
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return sameDay ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+/**
+ * JobHistory - Status changes of a print job: who moved it, when, and
+ * changes that skipped lifecycle steps
+ */
+function JobHistory({ jobId, className = '' }) {
+  const entries = useJobHistory(jobId);
+
+  return (
+    <div className={className}>
+      <p className="text-xs text-zinc-500 mb-2">History</p>
+      {entries.length === 0 ? (
+        <p className="text-xs text-zinc-500">No status changes recorded on this device yet.</p>
+      ) : (
+        <ol className="space-y-1">
+          {entries.slice().reverse().map((entry, i) => (
+            <li key={`${entry.at}-${i}`} className="flex flex-wrap items-center gap-x-2 gap-y-0.5 text-xs">
+              <span className="font-mono text-zinc-500">{formatAt(entry.at)}</span>
+              <span className="text-zinc-400">{entry.from}</span>
+              <span className="text-zinc-600">→</span>
+              <span className="font-medium text-zinc-200">{entry.to}</span>
+              {entry.event && entry.source !== 'server' && (
+                <span className="text-zinc-500">({JOB_EVENTS[entry.event]?.label || entry.event})</span>
+              )}
+              {entry.by && <span className="text-zinc-500">by {entry.by}</span>}
+              {entry.printer && <span className="text-zinc-500">🖨️ {entry.printer}</span>}
+              {entry.reason && <span className="text-red-400">{entry.reason}</span>}
+              {entry.note && <span className="text-zinc-400 italic">“{entry.note}”</span>}
+              {entry.source === 'server' && <span className="text-zinc-600">seen on refresh</span>}
+              {entry.queued && <span className="text-amber-400">waiting to sync</span>}
+              {entry.skipped && (
+                <span className="px-1.5 py-0.5 rounded bg-amber-900/40 text-amber-400 border border-amber-700/50">
+                  ⚠️ skipped lifecycle steps
+                </span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+JobHistory.propTypes = {
+  jobId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  className: PropTypes.string,
+};
+
+export default JobHistory;
@@ -3,6 +3,11 @@ import axios from 'axios';
 import { logError } from '../utils/apiSafety';
 import { useLanguage } from '../i18n';
 import { QuickDiagnosisButton } from './FailureDiagnosisPanel';
+import OfflineNotice from './OfflineNotice';
+import JobHistory from './JobHistory';
+import { transitionJob, recordObservedStatus } from '../services/jobLifecycle';
+import { canTransition, isTerminalStatus, jobStatusOf } from '../utils/jobStates';
+import toast from '../utils/toast';
 
 const rawApiBase = process.env.REACT_APP_API_BASE || 'http://localhost:5000/api/v1';
 const API_BASE = rawApiBase.includes('/v1')
@@ -23,6 +28,8 @@ const JobQueue = () => {
   const [filterStatus, setFilterStatus] = useState('active');
   const [sortBy, setSortBy] = useState('priority');
   const dragCounter = useRef(0);
+  // Last status seen per job - changes made elsewhere go into the job history
+  const seenStatuses = useRef(new Map());
 
   const FAILURE_REASONS = [
     { value: 'adhesion', label: '🟥 Adhesion failure', icon: '🟥' },
@@ -38,12 +45,24 @@ const JobQueue = () => {
 
   const PRIORITIES = ['URGENT', 'HIGH', 'NORMAL', 'LOW'];
 
+  const showJobs = (list) => {
+    list.forEach(job => {
+      const previous = seenStatuses.current.get(job.job_id);
+      const status = jobStatusOf(job);
+      if (previous && previous !== status) {
+        recordObservedStatus(job, previous).catch(err => console.warn('Could not record job history:', err));
+      }
+      seenStatuses.current.set(job.job_id, status);
+    });
+    setJobs(list);
+  };
+
   const fetchJobs = async () => {
     try {
       try {
         const res = await axios.get(`${API_BASE}/production/queue`);
         if (res.data.queue) {
-          setJobs(res.data.queue);
+          showJobs(res.data.queue);
           setLoading(false);
           return;
         }
@@ -53,11 +72,11 @@ const JobQueue = () => {
       }
       
       const res = await axios.get(`${API_BASE}/scheduling/queue`);
-      setJobs(res.data.jobs || []);
+      showJobs(res.data.jobs || []);
     } catch (err) {
       // FIXED: Log error with context
       logError(err, { component: 'JobQueue', action: 'fetchJobs' });
-      setJobs([]);
+      // Keep the last list on screen - offline the queue is still worth seeing
     } finally {
       setLoading(false);
     }
@@ -100,9 +119,9 @@ const JobQueue = () => {
 
   const filteredJobs = jobs
     .filter(job => {
-      const status = job.job_status || job.status;
-      if (filterStatus === 'active' && ['completed', 'failed', 'cancelled'].includes(status)) return false;
-      if (filterStatus === 'completed' && !['completed', 'failed', 'cancelled'].includes(status)) return false;
+      const status = jobStatusOf(job);
+      if (filterStatus === 'active' && isTerminalStatus(status)) return false;
+      if (filterStatus === 'completed' && !isTerminalStatus(status)) return false;
       if (filterPriority !== 'all' && job.priority !== filterPriority) return false;
       return true;
     })
@@ -187,65 +206,95 @@ const JobQueue = () => {
     }
   };
 
+  // Runs a lifecycle transition; our own changes shouldn't show up as "seen on refresh"
+  const runTransition = async (job, event, options) => {
+    try {
+      const { to, warnings } = await transitionJob(job, event, options);
+      seenStatuses.current.set(job.job_id, to);
+      warnings.forEach(warning => toast.warning(warning));
+      return true;
+    } catch (err) {
+      if (err?.name === 'JobTransitionError') {
+        toast.error(err.message);
+      } else {
+        console.error(`Error (${event}) on job ${job.job_id}:`, err);
+      }
+      return false;
+    }
+  };
+
   const startJob = async (jobId) => {
+    const job = jobs.find(j => j.job_id === jobId);
+    if (!job) return;
     setActionLoading(jobId);
     try {
-      try {
-        await axios.post(`${API_BASE}/production/start/${jobId}`);
-      } catch (e) {
-        await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/start`);
-      }
+      await runTransition(job, 'start', {
+        context: {
+          // Only judge stock once the spool list has loaded
+          material: inventory.length > 0 ? checkMaterialStatus(job.filament_type, job.material_weight_g) : null,
+        },
+        perform: async () => {
+          try {
+            await axios.post(`${API_BASE}/production/start/${jobId}`);
+          } catch (e) {
+            await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/start`);
+          }
+        },
+      });
       fetchJobs();
-    } catch (err) {
-      console.error('Error starting job:', err);
     } finally {
       setActionLoading(null);
     }
   };
 
   const completeJob = async (jobId, success = true, failureReason = null) => {
+    const job = jobs.find(j => j.job_id === jobId);
+    if (!job) return;
     setActionLoading(jobId);
     try {
-      const job = jobs.find(j => j.job_id === jobId);
-      if (job) {
-        try {
-          await axios.post(`${API_BASE}/print-stats/record`, {
-            job_id: jobId,
-            printer_name: job.assigned_printer || 'unknown',
-            material_type: job.filament_type || 'PLA',
-            material_weight_g: job.material_weight_g || 50,
-            print_time_hours: (job.estimated_minutes || 60) / 60,
-            success,
-            failure_reason: failureReason,
-          });
-        } catch (statsErr) {}
-      }
-
-      try {
-        await axios.post(`${API_BASE}/production/complete/${jobId}`, { success, failure_reason: failureReason });
-      } catch (e) {
-        await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/complete`, { success });
-      }
+      await runTransition(job, success ? 'complete' : 'fail', {
+        context: { reason: failureReason },
+        perform: async () => {
+          try {
+            await axios.post(`${API_BASE}/print-stats/record`, {
+              job_id: jobId,
+              printer_name: job.assigned_printer || 'unknown',
+              material_type: job.filament_type || 'PLA',
+              material_weight_g: job.material_weight_g || 50,
+              print_time_hours: (job.estimated_minutes || 60) / 60,
+              success,
+              failure_reason: failureReason,
+            });
+          } catch (statsErr) {}
+
+          try {
+            await axios.post(`${API_BASE}/production/complete/${jobId}`, { success, failure_reason: failureReason });
+          } catch (e) {
+            await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/complete`, { success });
+          }
+        },
+      });
       fetchJobs();
-    } catch (err) {
-      console.error('Error completing job:', err);
     } finally {
       setActionLoading(null);
     }
   };
 
+  const cancelJobRequest = async (jobId) => {
+    try {
+      await axios.post(`${API_BASE}/production/cancel/${jobId}`);
+    } catch (e) {
+      await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/cancel`);
+    }
+  };
+
   const cancelJob = async (jobId) => {
-    if (!window.confirm('Cancel this job?')) return;
+    const job = jobs.find(j => j.job_id === jobId);
+    if (!job || !window.confirm('Cancel this job?')) return;
     setActionLoading(jobId);
     try {
-      try {
-        await axios.post(`${API_BASE}/production/cancel/${jobId}`);
-      } catch (e) {
-        await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/cancel`);
-      }
+      await runTransition(job, 'cancel', { perform: () => cancelJobRequest(jobId) });
       fetchJobs();
-    } catch (err) {
-      console.error('Error canceling job:', err);
     } finally {
       setActionLoading(null);
     }
@@ -265,11 +314,12 @@ const JobQueue = () => {
   };
 
   const bulkCancel = async () => {
-    if (!window.confirm(`Cancel ${bulkSelect.length} jobs?`)) return;
-    for (const jobId of bulkSelect) {
-      try {
-        await axios.post(`${API_BASE}/scheduling/jobs/${jobId}/cancel`);
-      } catch (e) {}
+    const selected = jobs.filter(j => bulkSelect.includes(j.job_id));
+    const cancellable = selected.filter(j => canTransition(jobStatusOf(j), 'cancel'));
+    const skipped = selected.length - cancellable.length;
+    if (!window.confirm(`Cancel ${cancellable.length} jobs?${skipped ? ` (${skipped} already finished are skipped)` : ''}`)) return;
+    for (const job of cancellable) {
+      await runTransition(job, 'cancel', { perform: () => cancelJobRequest(job.job_id) });
     }
     setBulkSelect([]);
     fetchJobs();
@@ -277,6 +327,8 @@ const JobQueue = () => {
 
   const getStatusStyle = (status) => ({
     'printing': 'bg-purple-900/50 text-purple-400 border-purple-700/50',
+    'paused': 'bg-orange-900/50 text-orange-400 border-orange-700/50',
+    'preparing': 'bg-cyan-900/50 text-cyan-400 border-cyan-700/50',
     'assigned': 'bg-blue-900/50 text-blue-400 border-blue-700/50',
     'queued': 'bg-yellow-900/50 text-yellow-400 border-yellow-700/50',
     'completed': 'bg-green-900/50 text-green-400 border-green-700/50',
@@ -285,7 +337,7 @@ const JobQueue = () => {
   }[status] || 'bg-gray-800 text-zinc-400 border-gray-700');
 
   const getStatusIcon = (status) => ({
-    'printing': '🖨️', 'assigned': '📌', 'queued': '⏳',
+    'printing': '🖨️', 'paused': '⏸️', 'preparing': '🔥', 'assigned': '📌', 'queued': '⏳',
     'completed': '✅', 'failed': '❌', 'cancelled': '🚫'
   }[status] || '❔');
 
@@ -305,10 +357,10 @@ const JobQueue = () => {
 
   const stats = {
     total: jobs.length,
-    printing: jobs.filter(j => (j.job_status || j.status) === 'printing').length,
-    queued: jobs.filter(j => ['queued', 'assigned'].includes(j.job_status || j.status)).length,
+    printing: jobs.filter(j => jobStatusOf(j) === 'printing').length,
+    queued: jobs.filter(j => ['queued', 'assigned'].includes(jobStatusOf(j))).length,
     urgent: jobs.filter(j => j.priority === 'URGENT').length,
-    totalTime: jobs.filter(j => !['completed', 'failed', 'cancelled'].includes(j.job_status || j.status))
+    totalTime: jobs.filter(j => !isTerminalStatus(jobStatusOf(j)))
       .reduce((sum, j) => sum + (j.estimated_minutes || 0), 0)
   };
 
@@ -349,6 +401,8 @@ const JobQueue = () => {
           </button>
         </div>
 
+        <OfflineNotice className="mb-3">Starting and finishing jobs needs the connection.</OfflineNotice>
+
         {/* Filters & Sort */}
         <div className="flex flex-wrap gap-2">
           <select 
@@ -412,7 +466,7 @@ const JobQueue = () => {
         ) : (
           <div className="space-y-2 max-h-[400px] overflow-y-auto pr-1">
             {filteredJobs.map((job, index) => {
-              const status = job.job_status || job.status;
+              const status = jobStatusOf(job);
               const isLoading = actionLoading === job.job_id;
               const isExpanded = expandedJob === job.job_id;
               const isDragging = draggedJob?.job?.job_id === job.job_id;
@@ -501,7 +555,7 @@ const JobQueue = () => {
 
                     {/* Quick Actions */}
                     <div className="flex gap-1">
-                      {['queued', 'assigned'].includes(status) && (
+                      {canTransition(status, 'start') && (
                         <button
                           onClick={() => startJob(job.job_id)}
                           disabled={isLoading}
@@ -510,7 +564,7 @@ const JobQueue = () => {
                           {isLoading ? '⏳' : '▶️'}
                         </button>
                       )}
-                      {status === 'printing' && (
+                      {canTransition(status, 'complete') && (
                         <>
                           <button
                             onClick={() => completeJob(job.job_id, true)}
@@ -527,7 +581,7 @@ const JobQueue = () => {
                           </button>
                         </>
                       )}
-                      {['queued', 'assigned'].includes(status) && (
+                      {['queued', 'assigned', 'preparing'].includes(status) && (
                         <button
                           onClick={() => cancelJob(job.job_id)}
                           disabled={isLoading}
@@ -561,7 +615,7 @@ const JobQueue = () => {
                         </div>
                       </div>
 
-                      {status === 'printing' && (
+                      {canTransition(status, 'fail') && (
                         <div className="border-t border-gray-700 pt-3">
                           <p className="text-xs text-zinc-500 mb-2">Mark as failed:</p>
                           <div className="flex flex-wrap gap-1">
@@ -592,6 +646,8 @@ const JobQueue = () => {
                           </div>
                         </div>
                       )}
+
+                      <JobHistory jobId={job.job_id} className="border-t border-gray-700 pt-3 mt-3" />
                     </div>
                   )}
                 </div>
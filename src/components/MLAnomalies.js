@@ -1,10 +1,27 @@
 import React, { useEffect, useState } from 'react';
+import AnomalyThresholds from './AnomalyThresholds';
+import { confirmAnomalyPause, isPausable } from './ThermalAnomalyAlerts';
+import { usePermissions } from '../permissions';
 import { api, unwrap } from '../services/api';
+import { getActiveAnomalies, subscribeAnomalies } from '../services/thermalMonitor';
+import { ANOMALY_TYPES } from '../utils/thermalAnomalies';
+
+const SEVERITY_STYLES = {
+  critical: 'border-red-500 bg-red-900/20',
+  high: 'border-orange-500 bg-orange-900/20',
+  medium: 'border-yellow-500 bg-yellow-900/20',
+};
 
 const MLAnomalies = () => {
+  const { can } = usePermissions();
   const [anomalies, setAnomalies] = useState([]);
+  const [liveAnomalies, setLiveAnomalies] = useState(getActiveAnomalies);
+  const [showThresholds, setShowThresholds] = useState(false);
   const [loading, setLoading] = useState(true);
 
+  // On-device detections (services/thermalMonitor.js)
+  useEffect(() => subscribeAnomalies(() => setLiveAnomalies(getActiveAnomalies())), []);
+
   useEffect(() => {
     const fetchData = async () => {
       try {
@@ -39,8 +56,52 @@ const MLAnomalies = () => {
 
   return (
     <div className="bg-gray-900 rounded-xl border border-gray-800 p-6">
-      <h2 className="text-xl font-bold text-white mb-4">🔍 Anomalies</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-white">🔍 Anomalies</h2>
+        <button
+          onClick={() => setShowThresholds(!showThresholds)}
+          className={`px-3 py-1.5 rounded-lg text-sm ${showThresholds ? 'bg-purple-600 text-white' : 'text-zinc-400 border border-gray-700 hover:bg-gray-800'}`}
+        >
+          ⚙️ Thresholds
+        </button>
+      </div>
+
+      {showThresholds && (
+        <div className="mb-6 pb-6 border-b border-gray-800">
+          <AnomalyThresholds canEdit={can('production.printers.edit')} />
+        </div>
+      )}
+
+      {/* Live on-device detections */}
+      <h3 className="text-sm font-medium text-zinc-400 mb-2">Live printer stream</h3>
+      {liveAnomalies.length === 0 ? (
+        <p className="text-sm text-zinc-500 mb-4">Nothing unusual in temperatures or progress right now.</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {liveAnomalies.map(anomaly => (
+            <div key={anomaly.key} className={`p-3 rounded-lg border-l-4 ${SEVERITY_STYLES[anomaly.severity] || SEVERITY_STYLES.medium}`}>
+              <div className="flex justify-between items-center gap-2">
+                <span className="font-medium text-sm text-zinc-200">
+                  {ANOMALY_TYPES[anomaly.type].icon} {anomaly.printer} · {ANOMALY_TYPES[anomaly.type].label}
+                </span>
+                {can('production.printers.control') && isPausable(anomaly) && (
+                  <button
+                    onClick={() => confirmAnomalyPause(anomaly)}
+                    className="text-xs px-2 py-1 rounded bg-gray-800 hover:bg-gray-700 text-zinc-300"
+                  >
+                    ⏸️ Pause
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-zinc-400 mt-1">
+                {anomaly.message} · since {new Date(anomaly.detected_at).toLocaleTimeString('en-GB')}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
 
+      <h3 className="text-sm font-medium text-zinc-400 mb-2">Server analysis</h3>
       {anomalies.length === 0 ? (
         <div className="text-center py-6 bg-green-900/20 border border-green-700/30 rounded-lg">
           <p className="text-3xl mb-2">✅</p>
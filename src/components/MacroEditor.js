@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MACRO_ACTIONS, MAX_WAIT_S, validateMacro, WAIT_FIELDS } from '../utils/fleetMacros';
+
+const NEW_STEPS = {
+  action: () => ({ type: 'action', preset: 'home' }),
+  gcode: () => ({ type: 'gcode', gcode: '' }),
+  wait: () => ({ type: 'wait', seconds: 30 }),
+  wait_until: () => ({ type: 'wait_until', field: 'bed', below: 35, timeout_s: 1800 }),
+};
+
+const STEP_LABELS = {
+  action: '⚙️ Action',
+  gcode: '📜 G-code',
+  wait: '⏱️ Wait',
+  wait_until: '⏳ Wait until',
+};
+
+const inputClass = 'bg-slate-700 border border-slate-600 text-white rounded px-2 py-1 text-sm';
+
+// The fields of one step
+function StepFields({ step, onChange }) {
+  const set = (changes) => onChange({ ...step, ...changes });
+  const number = (e) => Number(e.target.value) || 0;
+
+  switch (step.type) {
+    case 'action': {
+      const preset = MACRO_ACTIONS[step.preset];
+      return (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={step.preset}
+            onChange={(e) => set({ preset: e.target.value, params: undefined })}
+            className={inputClass}
+          >
+            {Object.entries(MACRO_ACTIONS).map(([key, action]) => (
+              <option key={key} value={key}>{action.icon} {action.label}</option>
+            ))}
+          </select>
+          {preset?.editable?.map(key => (
+            <label key={key} className="flex items-center gap-1 text-xs text-slate-400">
+              {key}
+              <input
+                type="number"
+                min="0"
+                max="350"
+                value={step.params?.[key] ?? preset.params[key]}
+                onChange={(e) => set({ params: { ...(step.params || {}), [key]: number(e) } })}
+                className={`${inputClass} w-20`}
+              />
+              °C
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case 'gcode':
+      return (
+        <textarea
+          value={step.gcode}
+          onChange={(e) => set({ gcode: e.target.value })}
+          rows={Math.min(8, Math.max(2, step.gcode.split('\n').length))}
+          placeholder={'G28\nM84 ; one command per line'}
+          className={`${inputClass} w-full font-mono`}
+        />
+      );
+    case 'wait':
+      return (
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input
+            type="number"
+            min="1"
+            max={MAX_WAIT_S}
+            value={step.seconds}
+            onChange={(e) => set({ seconds: number(e) })}
+            className={`${inputClass} w-24`}
+          />
+          seconds
+        </label>
+      );
+    case 'wait_until':
+      return (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+          <select
+            value={step.field}
+            onChange={(e) => set(e.target.value === 'state'
+              ? { field: 'state', equals: 'idle', below: undefined }
+              : { field: e.target.value, below: step.below || 40, equals: undefined })}
+            className={inputClass}
+          >
+            {Object.entries(WAIT_FIELDS).map(([key, field]) => (
+              <option key={key} value={key}>{field.label}</option>
+            ))}
+          </select>
+          {step.field === 'state' ? (
+            <input value={step.equals || ''} onChange={(e) => set({ equals: e.target.value })} className={`${inputClass} w-28`} />
+          ) : (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={step.below}
+                onChange={(e) => set({ below: number(e) })}
+                className={`${inputClass} w-20`}
+              />
+              °C
+            </>
+          )}
+          <span>for at most</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_WAIT_S / 60}
+            value={Math.round(step.timeout_s / 60)}
+            onChange={(e) => set({ timeout_s: number(e) * 60 })}
+            className={`${inputClass} w-20`}
+          />
+          min
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+StepFields.propTypes = {
+  step: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * MacroEditor - Name a fleet macro and put its steps in order
+ */
+function MacroEditor({ macro, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => ({ name: '', description: '', steps: [], ...macro }));
+  const [errors, setErrors] = useState([]);
+
+  const setSteps = (steps) => setDraft(prev => ({ ...prev, steps }));
+  const updateStep = (index, step) => setSteps(draft.steps.map((s, i) => (i === index ? step : s)));
+  const removeStep = (index) => setSteps(draft.steps.filter((_, i) => i !== index));
+  const moveStep = (index, by) => {
+    const steps = [...draft.steps];
+    const [step] = steps.splice(index, 1);
+    steps.splice(index + by, 0, step);
+    setSteps(steps);
+  };
+
+  const handleSave = () => {
+    const problems = validateMacro(draft);
+    setErrors(problems);
+    if (problems.length === 0) onSave({ ...draft, name: draft.name.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-xl border" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+        <div className="p-4 border-b flex justify-between items-center" style={{ borderColor: '#334155' }}>
+          <h3 className="text-lg font-bold text-white">{macro?.id ? '✏️ Edit Macro' : '🧩 New Macro'}</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl">×</button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Name, e.g. End of day"
+            className="w-full bg-slate-700 border border-slate-600 text-white rounded-lg px-3 py-2"
+          />
+          <input
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+            placeholder="What it does (optional)"
+            className="w-full bg-slate-700 border border-slate-600 text-white rounded-lg px-3 py-2 text-sm"
+          />
+
+          <div className="space-y-2">
+            {draft.steps.map((step, index) => (
+              <div key={index} className="flex gap-3 items-start p-3 rounded-lg border border-slate-700 bg-slate-800/50">
+                <span className="text-xs text-slate-500 mt-1.5 w-5">{index + 1}.</span>
+                <div className="flex-1 space-y-1">
+                  <p className="text-xs font-medium text-slate-300">{STEP_LABELS[step.type]}</p>
+                  <StepFields step={step} onChange={(next) => updateStep(index, next)} />
+                </div>
+                <div className="flex gap-1 text-slate-400">
+                  <button onClick={() => moveStep(index, -1)} disabled={index === 0} className="px-1 hover:text-white disabled:opacity-30">↑</button>
+                  <button
+                    onClick={() => moveStep(index, 1)}
+                    disabled={index === draft.steps.length - 1}
+                    className="px-1 hover:text-white disabled:opacity-30"
+                  >
+                    ↓
+                  </button>
+                  <button onClick={() => removeStep(index)} className="px-1 text-red-400 hover:text-red-300">✕</button>
+                </div>
+              </div>
+            ))}
+            {draft.steps.length === 0 && <p className="text-sm text-slate-500">No steps yet.</p>}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(NEW_STEPS).map(([type, create]) => (
+              <button
+                key={type}
+                onClick={() => setSteps([...draft.steps, create()])}
+                className="px-3 py-1.5 bg-slate-700 text-slate-300 rounded-lg text-sm hover:bg-slate-600"
+              >
+                + {STEP_LABELS[type]}
+              </button>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <div className="p-3 rounded-lg bg-red-900/30 border border-red-700 text-sm text-red-300">
+              {errors.map(error => <p key={error}>{error}</p>)}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end gap-2" style={{ borderColor: '#334155' }}>
+          <button onClick={onClose} className="px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600">Cancel</button>
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 rounded-lg text-white font-medium"
+            style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+          >
+            Save Macro
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+MacroEditor.propTypes = {
+  macro: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default MacroEditor;
@@ -1,5 +1,7 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { api, unwrap } from "../services/api";
+import { collection } from "../services/localStore";
+import { normalizeMaintenanceItem } from "../services/maintenance";
 import { useLanguage } from "../i18n";
 
 /**
@@ -20,6 +22,7 @@ export default function MaintenanceCalendar() {
     title: '',
     printer_id: '',
     due_date: new Date().toISOString().split('T')[0],
+    start_time: '',
     recurring: 'none', // 'none' | 'weekly' | 'monthly' | 'quarterly'
     priority: 'normal', // 'low' | 'normal' | 'high'
     notes: '',
@@ -44,20 +47,7 @@ export default function MaintenanceCalendar() {
       const maintData = unwrap(maintResp) || maintResp?.data || [];
       const list = Array.isArray(maintData) ? maintData : maintData.items || maintData.events || [];
 
-      const normalized = list.map((x, idx) => ({
-        id: x.id || x.event_id || String(idx),
-        title: x.title || x.name || "Maintenance",
-        printer_id: x.printer_id || x.printer || "",
-        printer_name: x.printer_name || x.printer || "",
-        due_date: x.dueAt || x.due_at || x.due_date || "",
-        status: x.status || "planned",
-        notes: x.notes || x.description || "",
-        recurring: x.recurring || 'none',
-        priority: x.priority || 'normal',
-        estimated_minutes: x.estimated_minutes || 30,
-        completed_at: x.completed_at || null,
-        completed_by: x.completed_by || null,
-      }));
+      const normalized = list.map(normalizeMaintenanceItem);
 
       setItems(normalized);
       
@@ -66,10 +56,9 @@ export default function MaintenanceCalendar() {
       const printerList = Array.isArray(printersData) ? printersData : printersData?.printers || [];
       setPrinters(printerList);
       
-      // Load from localStorage as fallback/additional
-      const savedItems = localStorage.getItem('polywerk_maintenance');
-      if (savedItems) {
-        const localItems = JSON.parse(savedItems);
+      // Locally saved items as fallback/additional
+      const localItems = await collection('maintenance').getAll();
+      if (localItems.length > 0) {
         const combined = [...normalized, ...localItems.filter(l => !normalized.find(n => n.id === l.id))];
         setItems(combined);
       }
@@ -77,18 +66,19 @@ export default function MaintenanceCalendar() {
       const msg = err?.response?.data?.error || err?.message || "Failed to load maintenance items";
       setError(String(msg));
       
-      // Try localStorage fallback
-      const savedItems = localStorage.getItem('polywerk_maintenance');
-      if (savedItems) {
-        setItems(JSON.parse(savedItems));
+      // Try the local store
+      const localItems = await collection('maintenance').getAll({ fallback: null }).catch(() => null);
+      if (localItems) {
+        setItems(localItems);
       }
     } finally {
       setLoading(false);
     }
   };
 
-  const saveToLocalStorage = (newItems) => {
-    localStorage.setItem('polywerk_maintenance', JSON.stringify(newItems));
+  const saveLocally = (newItems) => {
+    collection('maintenance').replaceAll(newItems)
+      .catch(err => console.error('Failed to save maintenance items:', err));
   };
 
   const resetForm = () => {
@@ -96,6 +86,7 @@ export default function MaintenanceCalendar() {
       title: '',
       printer_id: '',
       due_date: new Date().toISOString().split('T')[0],
+      start_time: '',
       recurring: 'none',
       priority: 'normal',
       notes: '',
@@ -140,7 +131,7 @@ export default function MaintenanceCalendar() {
     }
     
     setItems(updatedItems);
-    saveToLocalStorage(updatedItems);
+    saveLocally(updatedItems);
     resetForm();
   };
 
@@ -150,6 +141,7 @@ export default function MaintenanceCalendar() {
       title: item.title || '',
       printer_id: item.printer_id || '',
       due_date: item.due_date?.split('T')[0] || new Date().toISOString().split('T')[0],
+      start_time: item.start_time || '',
       recurring: item.recurring || 'none',
       priority: item.priority || 'normal',
       notes: item.notes || '',
@@ -190,7 +182,7 @@ export default function MaintenanceCalendar() {
     }
 
     setItems(updatedItems);
-    saveToLocalStorage(updatedItems);
+    saveLocally(updatedItems);
   };
 
   const handleDelete = async (item) => {
@@ -204,7 +196,7 @@ export default function MaintenanceCalendar() {
 
     const updatedItems = items.filter(i => i.id !== item.id);
     setItems(updatedItems);
-    saveToLocalStorage(updatedItems);
+    saveLocally(updatedItems);
   };
 
   const getNextRecurringDate = (dateStr, recurring) => {
@@ -475,6 +467,20 @@ export default function MaintenanceCalendar() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-slate-400 mb-1">
+                {t('maintenance.startTime') || 'Start Time'}
+              </label>
+              <input
+                type="time"
+                value={formData.start_time}
+                onChange={(e) => setFormData({ ...formData, start_time: e.target.value })}
+                className="w-full px-4 py-2.5 rounded-lg text-white"
+                style={{ backgroundColor: '#334155' }}
+                title={t('maintenance.startTimeHint') || 'Printers are kept free from this time; empty means the start of the shift'}
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-slate-400 mb-1">
                 {t('maintenance.recurring') || 'Recurring'}
@@ -626,7 +632,7 @@ export default function MaintenanceCalendar() {
                         </div>
                         <div className="flex items-center gap-3 text-sm text-slate-400 mt-1">
                           <span>🖨️ {item.printer_name || t('maintenance.allPrinters') || 'All'}</span>
-                          <span>📅 {formatDate(item.due_date)}</span>
+                          <span>📅 {formatDate(item.due_date)}{item.start_time && ` ${item.start_time}`}</span>
                           <span>⏱️ {item.estimated_minutes}m</span>
                         </div>
                         {item.notes && (
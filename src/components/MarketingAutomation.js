@@ -1,5 +1,7 @@
 import React, { useCallback, useEffect, useState } from 'react';
 import { api } from '../services/api';
+import { quoteShipping } from '../services/shipping';
+import { SHIPPING_COUNTRIES } from '../utils/orderShipments';
 import toast from '../utils/toast';
 
 const MarketingAutomation = () => {
@@ -48,9 +50,7 @@ const MarketingAutomation = () => {
 
   const calculateShipping = async () => {
     try {
-      const res = await api.calculateShipping(shippingForm);
-      const result = res?.data ?? res ?? null;
-      setShippingResult(result);
+      setShippingResult(await quoteShipping(shippingForm));
     } catch (err) {
       console.error('Error calculating shipping:', err);
       setShippingResult(null);
@@ -185,24 +185,9 @@ const MarketingAutomation = () => {
                   onChange={(e) => setShippingForm({...shippingForm, country: e.target.value})}
                   className="w-full rounded-lg px-3 py-2"
                 >
-                  <option value="EE">🇪🇪 Estonia</option>
-                  <option value="LV">🇱🇻 Latvia</option>
-                  <option value="LT">🇱🇹 Lithuania</option>
-                  <option value="FI">🇫🇮 Finland</option>
-                  <option value="SE">🇸🇪 Sweden</option>
-                  <option value="NO">🇳🇴 Norway</option>
-                  <option value="DK">🇩🇰 Denmark</option>
-                  <option value="DE">🇩🇪 Germany</option>
-                  <option value="FR">🇫🇷 France</option>
-                  <option value="NL">🇳🇱 Netherlands</option>
-                  <option value="BE">🇧🇪 Belgium</option>
-                  <option value="PL">🇵🇱 Poland</option>
-                  <option value="ES">🇪🇸 Spain</option>
-                  <option value="IT">🇮🇹 Italy</option>
-                  <option value="GB">🇬🇧 United Kingdom</option>
-                  <option value="US">🇺🇸 United States</option>
-                  <option value="CA">🇨🇦 Canada</option>
-                  <option value="AU">🇦🇺 Australia</option>
+                  {SHIPPING_COUNTRIES.map(c => (
+                    <option key={c.code} value={c.code}>{c.flag} {c.name}</option>
+                  ))}
                 </select>
               </div>
 
@@ -7,13 +7,37 @@
  * - Print orientation suggestions
  * - Support requirement analysis
  * - Repair recommendations
+ * - Falls back to client-side mesh checks when the backend can't analyze
  */
 
 import React, { useState, useCallback, useRef } from 'react';
 import { useLanguage } from '../i18n';
+import { analyzeMesh, isMeshFile, MESH_FILE_ACCEPT } from '../utils/mesh';
 
 const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5000/api/v1';
 
+// Same shape as the /quote/analyze response, built from the local mesh checks
+const analyzeLocally = async (file) => {
+  const mesh = await analyzeMesh(file, { includeHealth: true });
+  return {
+    source: 'local',
+    geometry: {
+      dimensions_mm: mesh.dimensions_mm,
+      volume_cm3: mesh.volume_cm3.toFixed(1),
+      surface_area_cm2: mesh.surface_area_cm2.toFixed(1),
+      triangle_count: mesh.triangle_count,
+      is_watertight: mesh.health.is_watertight,
+    },
+    printability: {
+      ...mesh.printability,
+      // Overhangs/supports aren't part of the local checks
+      has_overhangs: null,
+      needs_supports: null,
+    },
+    health: mesh.health,
+  };
+};
+
 function ModelQualityAnalyzer() {
   const { t } = useLanguage();
   const fileInputRef = useRef(null);
@@ -47,8 +71,8 @@ function ModelQualityAnalyzer() {
   const processFile = async (file) => {
     if (!file) return;
     
-    if (!file.name.toLowerCase().endsWith('.stl')) {
-      setError('Please upload an STL file');
+    if (!isMeshFile(file.name)) {
+      setError('Please upload an STL, 3MF or OBJ file');
       return;
     }
     
@@ -57,6 +81,7 @@ function ModelQualityAnalyzer() {
     setError(null);
     setAnalysis(null);
     
+    let backendError = null;
     try {
       const formData = new FormData();
       formData.append('file', file);
@@ -77,12 +102,21 @@ function ModelQualityAnalyzer() {
           const { success, ...analysisData } = data;
           setAnalysis(analysisData);
         }
-      } else {
-        setError(data.error || 'Failed to analyze model');
+        setLoading(false);
+        return;
       }
+      backendError = data.error || 'Failed to analyze model';
     } catch (err) {
       console.error('Analysis error:', err);
-      setError(err.message || 'Failed to analyze model');
+      backendError = err.message || 'Failed to analyze model';
+    }
+    
+    // Backend unavailable or unable to analyze - run the mesh checks here
+    try {
+      setAnalysis(await analyzeLocally(file));
+    } catch (err) {
+      console.error('Local mesh analysis error:', err);
+      setError(backendError || err.message || 'Failed to analyze model');
     } finally {
       setLoading(false);
     }
@@ -170,7 +204,7 @@ function ModelQualityAnalyzer() {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".stl"
+              accept={MESH_FILE_ACCEPT}
               onChange={handleFileSelect}
               className="hidden"
             />
@@ -210,7 +244,7 @@ function ModelQualityAnalyzer() {
                 <>
                   <div className="text-5xl mb-4">📐</div>
                   <p className="text-white font-medium">
-                    Drop your STL file here for analysis
+                    Drop your STL, 3MF or OBJ file here for analysis
                   </p>
                   <p className="text-slate-400 text-sm mt-2">
                     We'll check for printability issues and suggest improvements
@@ -334,14 +368,30 @@ function ModelQualityAnalyzer() {
                   />
                   <CheckItem 
                     label="Manageable Overhangs"
+                    neutral={analysis.printability.has_overhangs == null}
                     passed={!analysis.printability.has_overhangs || analysis.printability.max_overhang_angle <= 45}
                     warning={analysis.printability.has_overhangs && analysis.printability.max_overhang_angle > 45}
                   />
                   <CheckItem 
                     label="No Supports Needed"
+                    neutral={analysis.printability.needs_supports == null}
                     passed={!analysis.printability.needs_supports}
                     warning={analysis.printability.needs_supports}
                   />
+                  {analysis.health && (
+                    <>
+                      <CheckItem 
+                        label="Consistent Normals"
+                        passed={analysis.health.flipped_faces === 0}
+                        warning={analysis.health.flipped_faces > 0}
+                      />
+                      <CheckItem 
+                        label="Single Shell"
+                        passed={analysis.health.shells <= 1}
+                        warning={analysis.health.shells > 1}
+                      />
+                    </>
+                  )}
                 </div>
               </div>
 
@@ -383,19 +433,29 @@ function ModelQualityAnalyzer() {
               )}
 
               {/* Orientation Recommendation */}
-              <div className="rounded-xl border p-4" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
-                <h3 className="text-sm font-medium text-slate-400 mb-2">🔄 Print Orientation</h3>
-                <p className="text-white">{analysis.printability.recommended_orientation}</p>
-              </div>
+              {analysis.printability.recommended_orientation && (
+                <div className="rounded-xl border p-4" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+                  <h3 className="text-sm font-medium text-slate-400 mb-2">🔄 Print Orientation</h3>
+                  <p className="text-white">{analysis.printability.recommended_orientation}</p>
+                </div>
+              )}
 
               {/* Recommended Material */}
-              <div className="rounded-xl border p-4 bg-gradient-to-r from-purple-500/10 to-cyan-500/10 border-purple-500/30">
-                <h3 className="text-sm font-medium text-slate-400 mb-2">🏆 Recommended Material</h3>
-                <p className="text-white font-bold text-lg">{analysis.recommended_material}</p>
-                <p className="text-slate-400 text-sm mt-1">
-                  Best suited for this model's geometry and requirements
+              {analysis.recommended_material && (
+                <div className="rounded-xl border p-4 bg-gradient-to-r from-purple-500/10 to-cyan-500/10 border-purple-500/30">
+                  <h3 className="text-sm font-medium text-slate-400 mb-2">🏆 Recommended Material</h3>
+                  <p className="text-white font-bold text-lg">{analysis.recommended_material}</p>
+                  <p className="text-slate-400 text-sm mt-1">
+                    Best suited for this model's geometry and requirements
+                  </p>
+                </div>
+              )}
+
+              {analysis.source === 'local' && (
+                <p className="text-xs text-slate-500 text-center">
+                  Analyzed in the browser – server analysis was unavailable
                 </p>
-              </div>
+              )}
             </>
           ) : (
             <div className="rounded-xl border p-8 text-center" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
@@ -1,6 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
 import { sanitizeText } from '../utils/sanitization';
+import {
+  PUSH_TOPICS,
+  getPushState,
+  getPushTopics,
+  enablePush,
+  disablePush,
+} from '../services/push';
 
 /**
  * NotificationCenter - Central hub for all alerts and notifications
@@ -306,6 +313,8 @@ function NotificationCenter({ currentUser, isOpen, onClose }) {
           )}
         </div>
 
+        <PushSettings />
+
         {/* Footer */}
         <div className="px-4 py-3 border-t text-center" style={{ borderColor: '#334155' }}>
           <button
@@ -320,6 +329,85 @@ function NotificationCenter({ currentUser, isOpen, onClose }) {
   );
 }
 
+/**
+ * PushSettings - Web push on this device, so alerts arrive with the tab closed
+ */
+function PushSettings() {
+  const [state, setState] = useState('unsupported');
+  const [topics, setTopics] = useState(getPushTopics);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getPushState().then(setState).catch(() => setState('unsupported'));
+  }, []);
+
+  if (state === 'unsupported') return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setState(await getPushState().catch(() => 'unsupported'));
+      setBusy(false);
+    }
+  };
+
+  const toggleTopic = (id) => {
+    const next = topics.includes(id) ? topics.filter(t => t !== id) : [...topics, id];
+    setTopics(next);
+    if (state === 'subscribed') run(() => enablePush(next));
+  };
+
+  return (
+    <div className="px-4 py-3 border-t space-y-2" style={{ borderColor: '#334155' }}>
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <p className="text-sm text-white">📲 Push on this device</p>
+          <p className="text-xs text-slate-500">
+            {state === 'denied'
+              ? 'Blocked in browser settings'
+              : state === 'subscribed' ? 'Alerts arrive even with the dashboard closed' : 'Off'}
+          </p>
+        </div>
+        {state !== 'denied' && (
+          <button
+            onClick={() => run(() => (state === 'subscribed' ? disablePush() : enablePush(topics)))}
+            disabled={busy}
+            className={`px-3 py-1 rounded-lg text-xs transition disabled:opacity-50 ${
+              state === 'subscribed'
+                ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                : 'bg-purple-500/20 text-purple-400 hover:bg-purple-500/30'
+            }`}
+          >
+            {busy ? '...' : state === 'subscribed' ? 'Turn off' : 'Turn on'}
+          </button>
+        )}
+      </div>
+      {state === 'subscribed' && (
+        <div className="flex flex-wrap gap-3">
+          {PUSH_TOPICS.map(topic => (
+            <label key={topic.id} className="flex items-center gap-1.5 text-xs text-slate-400" title={topic.description}>
+              <input
+                type="checkbox"
+                checked={topics.includes(topic.id)}
+                disabled={busy}
+                onChange={() => toggleTopic(topic.id)}
+              />
+              {topic.label}
+            </label>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
 /**
  * NotificationBell - Bell icon with badge for header
  */
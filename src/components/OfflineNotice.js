@@ -0,0 +1,41 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+
+const formatSyncTime = (ms) => {
+  const date = new Date(ms);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return sameDay ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+/**
+ * OfflineNotice - Banner for views that keep working from cached data
+ * while the server can't be reached. Renders nothing when online.
+ */
+function OfflineNotice({ children, className = '' }) {
+  const { online, lastSyncedAt } = useOnlineStatus();
+
+  if (online) return null;
+
+  return (
+    <div className={`flex items-start gap-2 px-3 py-2 rounded-lg text-sm bg-amber-500/10 border border-amber-500/30 text-amber-300 ${className}`}>
+      <span>📴</span>
+      <div>
+        <span className="font-medium">Offline</span>
+        {' - '}
+        {lastSyncedAt
+          ? `showing data from ${formatSyncTime(lastSyncedAt)}.`
+          : 'showing the last saved data.'}
+        {children && <span className="text-amber-200/80"> {children}</span>}
+      </div>
+    </div>
+  );
+}
+
+OfflineNotice.propTypes = {
+  children: PropTypes.node,
+  className: PropTypes.string,
+};
+
+export default OfflineNotice;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  subscribeOffline,
+  isReplaying,
+  replayOutbox,
+  resolveConflict,
+  retryEntry,
+  discardEntry,
+} from '../services/offline';
+import { useCollection } from '../hooks/useCollection';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import toast from '../utils/toast';
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending', className: 'bg-amber-500/20 text-amber-400' },
+  conflict: { label: 'Conflict', className: 'bg-red-500/20 text-red-400' },
+  failed: { label: 'Rejected', className: 'bg-slate-600/40 text-slate-300' },
+};
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (value === null || value === '') return 'empty';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatAge = (iso) => {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * useOutboxStatus - Connection state and queued writes
+ */
+export function useOutboxStatus() {
+  const { items } = useCollection('outbox');
+  const { online } = useOnlineStatus();
+  const [syncing, setSyncing] = useState(isReplaying());
+
+  useEffect(() => subscribeOffline((event) => {
+    if (event.type === 'replay') setSyncing(event.running);
+  }), []);
+
+  return {
+    entries: items,
+    online,
+    syncing,
+    pending: items.filter(e => e.status === 'pending').length,
+    conflicts: items.filter(e => e.status !== 'pending').length,
+  };
+}
+
+/**
+ * OutboxBadge - Header button: offline state and number of unsynced changes
+ */
+export function OutboxBadge({ onClick }) {
+  const { entries, online, syncing, conflicts } = useOutboxStatus();
+
+  // Replay whatever an earlier session left behind, and keep the user informed
+  useEffect(() => {
+    replayOutbox();
+    return subscribeOffline((event) => {
+      if (event.type === 'queued') {
+        toast.info(`Saved offline - "${event.entry.label}" will sync when the connection is back`, { id: 'outbox-queued' });
+      } else if (event.type === 'synced') {
+        toast.success(`Synced ${event.count} offline change${event.count === 1 ? '' : 's'}`, { id: 'outbox-synced' });
+      } else if (event.type === 'conflict') {
+        toast.warning(`"${event.entry.label}" conflicts with a newer server change`, { id: `outbox-${event.entry.id}` });
+      } else if (event.type === 'failed') {
+        toast.error(`"${event.entry.label}" was rejected by the server`, { id: `outbox-${event.entry.id}` });
+      }
+    });
+  }, []);
+
+  if (online && entries.length === 0) return null;
+
+  const title = !online
+    ? `Offline - ${entries.length} change${entries.length === 1 ? '' : 's'} waiting`
+    : `${entries.length} unsynced change${entries.length === 1 ? '' : 's'}`;
+
+  return (
+    <button
+      onClick={onClick}
+      className="relative p-2 rounded-lg hover:bg-slate-700 transition"
+      title={title}
+    >
+      <span className={`text-xl ${syncing ? 'animate-pulse' : ''}`}>{online ? '🔄' : '📴'}</span>
+      {entries.length > 0 && (
+        <span className={`absolute -top-1 -right-1 w-5 h-5 rounded-full ${conflicts > 0 ? 'bg-red-500' : 'bg-amber-500'} text-white text-xs font-bold flex items-center justify-center`}>
+          {entries.length > 9 ? '9+' : entries.length}
+        </span>
+      )}
+    </button>
+  );
+}
+
+OutboxBadge.propTypes = {
+  onClick: PropTypes.func.isRequired,
+};
+
+/**
+ * ConflictDialog - Side-by-side view of a queued change and the server record
+ */
+function ConflictDialog({ entry, onClose }) {
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const conflicts = useMemo(() => entry.conflicts || [], [entry]);
+  const hasBase = conflicts.some(c => c.base !== undefined);
+
+  useEffect(() => {
+    setChoices(Object.fromEntries(conflicts.map(c => [c.field, 'mine'])));
+  }, [conflicts]);
+
+  const settle = async (resolution) => {
+    setSaving(true);
+    try {
+      await resolveConflict(entry.id, resolution);
+      onClose();
+    } catch (err) {
+      toast.error(`Could not resolve: ${err.message}`);
+      setSaving(false);
+    }
+  };
+
+  const merge = () => {
+    const data = { ...entry.data };
+    conflicts.forEach(c => {
+      if (choices[c.field] === 'server') data[c.field] = c.server;
+    });
+    settle({ choice: 'merge', data });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        className="relative w-full max-w-2xl rounded-2xl border shadow-2xl overflow-hidden"
+        style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+      >
+        <div className="px-4 py-3 border-b" style={{ borderColor: '#334155' }}>
+          <h3 className="text-lg font-bold text-white">⚠️ Resolve conflict</h3>
+          <p className="text-xs text-slate-400 mt-1">
+            {entry.label} was changed on the server after you made this edit offline ({formatAge(entry.queued_at)}).
+          </p>
+        </div>
+
+        <div className="p-4 overflow-x-auto">
+          {conflicts.length === 0 ? (
+            <p className="text-sm text-slate-400">
+              The server refused this change{entry.last_error ? `: ${entry.last_error}` : ''}. Send it again or drop it.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-400">
+                  <th className="py-2 pr-3">Field</th>
+                  {hasBase && <th className="py-2 pr-3">Before</th>}
+                  <th className="py-2 pr-3">Server now</th>
+                  <th className="py-2">Your change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(c => (
+                  <tr key={c.field} className="border-t" style={{ borderColor: '#334155' }}>
+                    <td className="py-2 pr-3 font-mono text-xs text-slate-300">{c.field}</td>
+                    {hasBase && <td className="py-2 pr-3 text-slate-500">{formatValue(c.base)}</td>}
+                    <td className="py-2 pr-3">
+                      <label className={`flex items-center gap-2 px-2 py-1 rounded-lg cursor-pointer ${choices[c.field] === 'server' ? 'bg-blue-500/20 text-blue-300' : 'text-slate-300'}`}>
+                        <input
+                          type="radio"
+                          name={`choice-${c.field}`}
+                          checked={choices[c.field] === 'server'}
+                          onChange={() => setChoices(prev => ({ ...prev, [c.field]: 'server' }))}
+                        />
+                        <span className="break-all">{formatValue(c.server)}</span>
+                      </label>
+                    </td>
+                    <td className="py-2">
+                      <label className={`flex items-center gap-2 px-2 py-1 rounded-lg cursor-pointer ${choices[c.field] === 'mine' ? 'bg-green-500/20 text-green-300' : 'text-slate-300'}`}>
+                        <input
+                          type="radio"
+                          name={`choice-${c.field}`}
+                          checked={choices[c.field] === 'mine'}
+                          onChange={() => setChoices(prev => ({ ...prev, [c.field]: 'mine' }))}
+                        />
+                        <span className="break-all">{formatValue(c.mine)}</span>
+                      </label>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="px-4 py-3 border-t flex flex-wrap justify-end gap-2" style={{ borderColor: '#334155' }}>
+          <button onClick={onClose} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-white">
+            Later
+          </button>
+          <button
+            onClick={() => settle({ choice: 'server' })}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg text-sm bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-50"
+          >
+            Keep server version
+          </button>
+          {conflicts.length > 0 && (
+            <button
+              onClick={merge}
+              disabled={saving}
+              className="px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50"
+            >
+              Apply selection
+            </button>
+          )}
+          <button
+            onClick={() => settle({ choice: 'mine' })}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg text-sm bg-green-600 text-white hover:bg-green-500 disabled:opacity-50"
+          >
+            Keep my change
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ConflictDialog.propTypes = {
+  entry: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+/**
+ * OfflineOutbox - Changes made while offline, waiting to be sent
+ */
+function OfflineOutbox({ isOpen, onClose }) {
+  const { entries, online, syncing } = useOutboxStatus();
+  const [resolving, setResolving] = useState(null);
+
+  if (!isOpen) return null;
+
+  const resolvingEntry = resolving && entries.find(e => e.id === resolving);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-end p-4 pt-16">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+
+      <div
+        className="relative w-full max-w-md max-h-[80vh] flex flex-col rounded-2xl border shadow-2xl overflow-hidden"
+        style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+      >
+        {/* Header */}
+        <div className="px-4 py-3 border-b flex items-center justify-between" style={{ borderColor: '#334155' }}>
+          <h2 className="text-lg font-bold text-white flex items-center gap-2">
+            {online ? '🔄' : '📴'} Unsynced changes
+            {entries.length > 0 && (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-amber-500/20 text-amber-400">
+                {entries.length}
+              </span>
+            )}
+          </h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => replayOutbox()}
+              disabled={syncing || entries.length === 0}
+              className="text-xs text-slate-400 hover:text-white disabled:opacity-50"
+            >
+              {syncing ? 'Syncing…' : 'Sync now'}
+            </button>
+            <button onClick={onClose} className="p-1 rounded-lg hover:bg-slate-700 text-slate-400">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {!online && (
+          <div className="px-4 py-2 text-xs text-amber-300 bg-amber-500/10 border-b" style={{ borderColor: '#334155' }}>
+            You are offline. Changes are kept on this device and sent in order when the connection is back.
+          </div>
+        )}
+
+        {/* List */}
+        <div className="flex-1 overflow-y-auto">
+          {entries.length === 0 ? (
+            <div className="p-8 text-center text-slate-400">
+              <span className="text-4xl block mb-2">✅</span>
+              Everything is synced
+            </div>
+          ) : (
+            <div className="divide-y" style={{ borderColor: '#334155' }}>
+              {entries.map(entry => {
+                const style = STATUS_STYLES[entry.status] || STATUS_STYLES.pending;
+                return (
+                  <div key={entry.id} className="px-4 py-3">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="text-sm text-white truncate">{entry.label}</div>
+                        <div className="text-xs text-slate-500">
+                          {entry.method.toUpperCase()} · {formatAge(entry.queued_at)}
+                          {entry.attempts > 0 && ` · ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`}
+                        </div>
+                        {entry.last_error && entry.status !== 'pending' && (
+                          <div className="text-xs text-red-400 mt-1 truncate">{entry.last_error}</div>
+                        )}
+                      </div>
+                      <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${style.className}`}>
+                        {style.label}
+                      </span>
+                    </div>
+                    <div className="flex gap-3 mt-2 text-xs">
+                      {entry.status === 'conflict' && (
+                        <button onClick={() => setResolving(entry.id)} className="text-blue-400 hover:text-blue-300">
+                          Resolve…
+                        </button>
+                      )}
+                      {entry.status === 'failed' && (
+                        <button onClick={() => retryEntry(entry.id)} className="text-blue-400 hover:text-blue-300">
+                          Retry
+                        </button>
+                      )}
+                      <button
+                        onClick={() => {
+                          if (window.confirm(`Discard "${entry.label}"? This change will be lost.`)) discardEntry(entry.id);
+                        }}
+                        className="text-slate-400 hover:text-red-400"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {resolvingEntry && (
+        <ConflictDialog entry={resolvingEntry} onClose={() => setResolving(null)} />
+      )}
+    </div>
+  );
+}
+
+OfflineOutbox.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default OfflineOutbox;
@@ -2,6 +2,7 @@ import React, { useEffect, useState, useMemo } from 'react';
 import { api, unwrap } from '../services/api';
 import { safeUnwrap, formatErrorMessage, logError } from '../utils/apiSafety';
 import toast from '../utils/toast';
+import { invoiceLinesOf } from '../utils/orderItems';
 import { useLanguage } from '../i18n';
 import PaymentTracker from './PaymentTracker';
 
@@ -250,12 +251,7 @@ const OrderManagement = () => {
         order_id: order.order_id,
         client_name: order.client_name,
         client_email: order.client_email,
-        items: [{
-          description: order.item_name,
-          quantity: order.quantity || 1,
-          unit_price: order.quote?.unit_price || order.quote?.total || 0,
-          material: order.material_type
-        }],
+        items: invoiceLinesOf(order),
         total: order.quote?.total || 0
       });
 
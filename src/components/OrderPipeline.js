@@ -1,28 +1,39 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { api, unwrap } from '../services/api';
+import { orderIdOf, orderNumberOf } from '../services/orderNotifications';
+import {
+  ORDER_ACTIONS,
+  ORDER_CONDITIONS,
+  checkOrderMove,
+  getOrderStages,
+  moveOrder,
+  resetOrderStages,
+  saveOrderStages,
+  stageIndexOf,
+} from '../services/orderWorkflow';
+import { QCButton } from './QCChecklist';
+import ShipmentForm from './ShipmentForm';
+import { ITEM_STATUSES, orderItemsSummary, withItemProgress } from '../utils/orderItems';
+import { isPartiallyShipped, shipmentsOf } from '../utils/orderShipments';
+import toast from '../utils/toast';
 
 /**
  * OrderPipeline - Kanban-style order workflow management
  */
 function OrderPipeline({ onOrderClick }) {
   const [orders, setOrders] = useState([]);
+  const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [draggedOrder, setDraggedOrder] = useState(null);
   const [dragOverColumn, setDragOverColumn] = useState(null);
   const [showQuickView, setShowQuickView] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [shipOrder, setShipOrder] = useState(null);
   const [filter, setFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
 
-  // Pipeline stages
-  const stages = [
-    { id: 'pending', name: 'New', icon: '📥', color: 'yellow', statuses: ['pending', 'new', 'quote'] },
-    { id: 'confirmed', name: 'Confirmed', icon: '✅', color: 'blue', statuses: ['confirmed', 'accepted'] },
-    { id: 'in_progress', name: 'In Progress', icon: '🏭', color: 'purple', statuses: ['in_progress', 'preparing', 'slicing'] },
-    { id: 'printing', name: 'Printing', icon: '🖨️', color: 'cyan', statuses: ['printing'] },
-    { id: 'quality_check', name: 'QC', icon: '🔍', color: 'orange', statuses: ['quality_check', 'qc', 'checking'] },
-    { id: 'ready', name: 'Ready', icon: '📦', color: 'green', statuses: ['ready', 'ready_for_pickup', 'completed'] },
-    { id: 'shipped', name: 'Shipped', icon: '🚚', color: 'slate', statuses: ['shipped', 'delivered'] },
-  ];
+  // Pipeline stages with their entry/exit conditions and actions
+  const [stages, setStages] = useState(getOrderStages);
 
   useEffect(() => {
     loadOrders();
@@ -40,10 +51,13 @@ function OrderPipeline({ onOrderClick }) {
   const loadOrders = async () => {
     setLoading(true);
     try {
-      const res = await api.getOrders();
+      const [res, jobsRes] = await Promise.all([api.getOrders(), api.getPrintJobs()]);
       const data = extractArray(unwrap(res));
       // Filter out cancelled orders
       setOrders(data.filter(o => o.status !== 'cancelled'));
+      // Print jobs give each order line its progress
+      const jobData = unwrap(jobsRes);
+      setJobs(Array.isArray(jobData) ? jobData : jobData?.jobs || []);
     } catch (err) {
       console.error('Failed to load orders:', err);
     } finally {
@@ -55,7 +69,42 @@ function OrderPipeline({ onOrderClick }) {
     return orders.filter(order => {
       const status = (order.status || '').toLowerCase();
       return stage.statuses.includes(status);
-    });
+    }).map(order => withItemProgress(order, jobs));
+  };
+
+  const moveCheck = (order, stage) => (stage ? checkOrderMove(order, stage.id, stages) : { allowed: false, reasons: [] });
+
+  const moveTo = async (order, stage) => {
+    const { allowed, reasons } = moveCheck(order, stage);
+    if (!allowed) {
+      if (reasons.length > 0) toast.error(`Can't move ${orderNumberOf(order)} to ${stage.name}: ${reasons.join('; ')}`);
+      return;
+    }
+
+    const orderId = orderIdOf(order);
+    const newStatus = stage.statuses[0];
+
+    // Optimistic update
+    setOrders(prev => prev.map(o =>
+      orderIdOf(o) === orderId
+        ? { ...o, status: newStatus }
+        : o
+    ));
+
+    try {
+      // Line statuses worked out from the jobs are saved along with the move
+      const patch = Array.isArray(order.items) ? { items: order.items } : {};
+      const { order: updated, results } = await moveOrder(order, stage.id, { stages, patch });
+      setOrders(prev => prev.map(o => (orderIdOf(o) === orderId ? { ...o, ...updated } : o)));
+
+      results.filter(r => !r.ok).forEach(r => toast.error(`${r.label} failed: ${r.error}`));
+      const done = results.filter(r => r.ok && r.summary).map(r => r.summary);
+      if (done.length > 0) toast.success(`${orderNumberOf(order)} → ${stage.name}: ${done.join(', ')}`);
+    } catch (err) {
+      console.error('Failed to update order:', err);
+      toast.error(err?.message || 'Failed to update order');
+      loadOrders(); // Reload on error
+    }
   };
 
   const handleDragStart = (e, order) => {
@@ -63,9 +112,17 @@ function OrderPipeline({ onOrderClick }) {
     e.dataTransfer.effectAllowed = 'move';
   };
 
-  const handleDragOver = (e, stageId) => {
+  const handleDragEnd = () => {
+    setDraggedOrder(null);
+    setDragOverColumn(null);
+  };
+
+  const handleDragOver = (e, stage) => {
     e.preventDefault();
-    setDragOverColumn(stageId);
+    if (draggedOrder) {
+      e.dataTransfer.dropEffect = moveCheck(draggedOrder, stage).allowed ? 'move' : 'none';
+    }
+    setDragOverColumn(stage.id);
   };
 
   const handleDragLeave = () => {
@@ -75,77 +132,47 @@ function OrderPipeline({ onOrderClick }) {
   const handleDrop = async (e, stage) => {
     e.preventDefault();
     setDragOverColumn(null);
-    
+
     if (!draggedOrder) return;
-    
-    // Get the new status (first status in the stage)
-    const newStatus = stage.statuses[0];
-    const orderId = draggedOrder.order_id || draggedOrder.id;
-    
-    // Optimistic update
-    setOrders(prev => prev.map(o => 
-      (o.order_id || o.id) === orderId 
-        ? { ...o, status: newStatus }
-        : o
-    ));
-    
-    try {
-      await api.updateOrder(orderId, { status: newStatus });
-    } catch (err) {
-      console.error('Failed to update order:', err);
-      loadOrders(); // Reload on error
-    }
-    
+    const order = draggedOrder;
     setDraggedOrder(null);
+
+    if (stageIndexOf(order, stages) === stages.indexOf(stage)) return;
+    await moveTo(order, stage);
   };
 
-  const moveToNextStage = async (order) => {
-    const currentStatus = (order.status || '').toLowerCase();
-    const currentStageIndex = stages.findIndex(s => s.statuses.includes(currentStatus));
-    
-    if (currentStageIndex < stages.length - 1) {
-      const nextStage = stages[currentStageIndex + 1];
-      const newStatus = nextStage.statuses[0];
-      const orderId = order.order_id || order.id;
-      
-      // Optimistic update
-      setOrders(prev => prev.map(o => 
-        (o.order_id || o.id) === orderId 
-          ? { ...o, status: newStatus }
-          : o
-      ));
-      
-      try {
-        await api.updateOrder(orderId, { status: newStatus });
-      } catch (err) {
-        console.error('Failed to update order:', err);
-        loadOrders();
-      }
-    }
+  const stageAt = (order, offset) => {
+    const index = stageIndexOf(order, stages);
+    return index < 0 ? null : stages[index + offset] || null;
   };
 
-  const moveToPrevStage = async (order) => {
-    const currentStatus = (order.status || '').toLowerCase();
-    const currentStageIndex = stages.findIndex(s => s.statuses.includes(currentStatus));
-    
-    if (currentStageIndex > 0) {
-      const prevStage = stages[currentStageIndex - 1];
-      const newStatus = prevStage.statuses[0];
-      const orderId = order.order_id || order.id;
-      
-      setOrders(prev => prev.map(o => 
-        (o.order_id || o.id) === orderId 
-          ? { ...o, status: newStatus }
-          : o
-      ));
-      
-      try {
-        await api.updateOrder(orderId, { status: newStatus });
-      } catch (err) {
-        console.error('Failed to update order:', err);
-        loadOrders();
-      }
-    }
+  const moveToNextStage = (order) => {
+    const nextStage = stageAt(order, 1);
+    if (nextStage) moveTo(order, nextStage);
+  };
+
+  const moveToPrevStage = (order) => {
+    const prevStage = stageAt(order, -1);
+    if (prevStage) moveTo(order, prevStage);
+  };
+
+  const handleShipped = ({ order: updated, complete, results, warnings }) => {
+    const orderId = orderIdOf(updated);
+    setOrders(prev => prev.map(o => (orderIdOf(o) === orderId ? { ...o, ...updated } : o)));
+    setShipOrder(null);
+    toast.success(complete ? `${orderNumberOf(updated)} fully shipped` : `Partial shipment of ${orderNumberOf(updated)} recorded`);
+    results.filter(r => !r.ok).forEach(r => toast.error(`${r.label} failed: ${r.error}`));
+    warnings.forEach(warning => toast.warning(warning));
+  };
+
+  const updateStages = (next) => {
+    setStages(next);
+    saveOrderStages(next).catch(err => toast.error(`Could not save the rules: ${err.message}`));
+  };
+
+  const resetStages = () => {
+    resetOrderStages().catch(err => toast.error(`Could not reset the rules: ${err.message}`));
+    setStages(getOrderStages());
   };
 
   const formatCurrency = (amount) => {
@@ -209,6 +236,13 @@ function OrderPipeline({ onOrderClick }) {
             className="px-3 py-2 rounded-lg text-sm text-white w-48"
             style={{ backgroundColor: '#334155' }}
           />
+          <button
+            onClick={() => setShowSettings(true)}
+            className="px-3 py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition"
+            title="Workflow rules"
+          >
+            ⚙️
+          </button>
           <button
             onClick={loadOrders}
             className="px-3 py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition"
@@ -242,18 +276,22 @@ function OrderPipeline({ onOrderClick }) {
           const stageOrders = getOrdersForStage(stage);
           const colors = colorClasses[stage.color];
           const isDragOver = dragOverColumn === stage.id;
+          const dropCheck = isDragOver && draggedOrder && stageIndexOf(draggedOrder, stages) !== stages.indexOf(stage)
+            ? moveCheck(draggedOrder, stage)
+            : null;
+          const isBlocked = Boolean(dropCheck && !dropCheck.allowed);
           
           return (
             <div
               key={stage.id}
               className={`flex-shrink-0 w-72 rounded-xl border transition-all ${
-                isDragOver ? 'border-purple-500 bg-purple-500/10' : ''
+                isBlocked ? 'border-red-500 bg-red-500/10' : isDragOver ? 'border-purple-500 bg-purple-500/10' : ''
               }`}
               style={{ 
                 backgroundColor: isDragOver ? undefined : '#1e293b', 
                 borderColor: isDragOver ? undefined : '#334155' 
               }}
-              onDragOver={(e) => handleDragOver(e, stage.id)}
+              onDragOver={(e) => handleDragOver(e, stage)}
               onDragLeave={handleDragLeave}
               onDrop={(e) => handleDrop(e, stage)}
             >
@@ -270,17 +308,28 @@ function OrderPipeline({ onOrderClick }) {
                 </div>
               </div>
 
+              {/* Why the dragged order can't go here */}
+              {isBlocked && (
+                <div className="m-2 p-2 rounded-lg bg-red-500/10 border border-red-500/30 text-xs text-red-300 space-y-1">
+                  <p className="font-medium">🚫 Can't move here</p>
+                  {dropCheck.reasons.map(reason => <p key={reason}>• {reason}</p>)}
+                </div>
+              )}
+
               {/* Cards */}
               <div className="p-2 space-y-2 min-h-96">
                 {stageOrders.map(order => {
                   const timeInfo = getTimeUntilDue(order.due_date);
                   const orderId = order.order_id || order.id;
+                  const prevCheck = moveCheck(order, stageAt(order, -1));
+                  const nextCheck = moveCheck(order, stageAt(order, 1));
                   
                   return (
                     <div
                       key={orderId}
                       draggable
                       onDragStart={(e) => handleDragStart(e, order)}
+                      onDragEnd={handleDragEnd}
                       className={`p-3 rounded-lg border cursor-grab active:cursor-grabbing transition hover:border-purple-500/50 ${
                         draggedOrder?.order_id === orderId || draggedOrder?.id === orderId
                           ? 'opacity-50'
@@ -309,20 +358,31 @@ function OrderPipeline({ onOrderClick }) {
 
                       {/* Order Details */}
                       <div className="text-xs text-slate-500 space-y-1">
-                        {order.items_count && (
+                        {order.items_count && !order.items?.length && (
                           <p>{order.items_count} item{order.items_count !== 1 ? 's' : ''}</p>
                         )}
+                        {order.items?.length > 0 && <ItemProgress order={order} jobs={jobs} compact />}
+                        {isPartiallyShipped(order) && (
+                          <p className="text-yellow-400">📦 Partially shipped ({shipmentsOf(order).length})</p>
+                        )}
                         <p className="text-green-400 font-medium">
                           {formatCurrency(order.total_price || order.total)}
                         </p>
                       </div>
 
+                      {stage.id === 'quality_check' && (
+                        <div className="mt-2">
+                          <QCButton order={order} size="sm" onComplete={loadOrders} />
+                        </div>
+                      )}
+
                       {/* Quick Actions */}
                       <div className="flex items-center justify-between mt-3 pt-2 border-t" style={{ borderColor: '#334155' }}>
                         <button
                           onClick={(e) => { e.stopPropagation(); moveToPrevStage(order); }}
-                          className="p-1 rounded hover:bg-slate-700 text-slate-500 hover:text-white transition"
-                          title="Move back"
+                          disabled={!prevCheck.allowed}
+                          className="p-1 rounded hover:bg-slate-700 text-slate-500 hover:text-white transition disabled:opacity-30 disabled:cursor-not-allowed"
+                          title={prevCheck.reasons.length > 0 ? prevCheck.reasons.join('\n') : 'Move back'}
                         >
                           ◀
                         </button>
@@ -335,8 +395,9 @@ function OrderPipeline({ onOrderClick }) {
                         </button>
                         <button
                           onClick={(e) => { e.stopPropagation(); moveToNextStage(order); }}
-                          className="p-1 rounded hover:bg-purple-500/20 text-purple-400 hover:text-purple-300 transition"
-                          title="Move forward"
+                          disabled={!nextCheck.allowed}
+                          className="p-1 rounded hover:bg-purple-500/20 text-purple-400 hover:text-purple-300 transition disabled:opacity-30 disabled:cursor-not-allowed"
+                          title={nextCheck.reasons.length > 0 ? nextCheck.reasons.join('\n') : 'Move forward'}
                         >
                           ▶
                         </button>
@@ -363,7 +424,30 @@ function OrderPipeline({ onOrderClick }) {
           onClose={() => setShowQuickView(null)}
           onMoveNext={() => { moveToNextStage(showQuickView); setShowQuickView(null); }}
           onMoveBack={() => { moveToPrevStage(showQuickView); setShowQuickView(null); }}
+          onShip={() => { setShipOrder(showQuickView); setShowQuickView(null); }}
           stages={stages}
+          jobs={jobs}
+          prevCheck={moveCheck(showQuickView, stageAt(showQuickView, -1))}
+          nextCheck={moveCheck(showQuickView, stageAt(showQuickView, 1))}
+        />
+      )}
+
+      {/* Record a Shipment */}
+      {shipOrder && (
+        <ShipmentForm
+          order={shipOrder}
+          onSaved={handleShipped}
+          onClose={() => setShipOrder(null)}
+        />
+      )}
+
+      {/* Workflow Rules */}
+      {showSettings && (
+        <WorkflowSettings
+          stages={stages}
+          onChange={updateStages}
+          onReset={resetStages}
+          onClose={() => setShowSettings(false)}
         />
       )}
     </div>
@@ -374,7 +458,7 @@ function OrderPipeline({ onOrderClick }) {
 /**
  * OrderQuickView - Quick view modal for order details
  */
-function OrderQuickView({ order, onClose, onMoveNext, onMoveBack, stages }) {
+function OrderQuickView({ order, onClose, onMoveNext, onMoveBack, onShip, stages, jobs, prevCheck, nextCheck }) {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('et-EE', { style: 'currency', currency: 'EUR' }).format(amount || 0);
   };
@@ -460,6 +544,43 @@ function OrderQuickView({ order, onClose, onMoveNext, onMoveBack, stages }) {
             </div>
           )}
 
+          {/* Why the next stage is blocked */}
+          {nextCheck.reasons.length > 0 && (
+            <div className="p-2 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-300">
+              <p className="font-medium mb-1">Before it can move on:</p>
+              {nextCheck.reasons.map(reason => <p key={reason}>• {reason}</p>)}
+            </div>
+          )}
+
+          {/* Line Items */}
+          {order.items?.length > 0 && (
+            <div>
+              <span className="text-slate-400 text-sm">Items</span>
+              <div className="mt-1 text-sm">
+                <ItemProgress order={order} jobs={jobs} />
+              </div>
+            </div>
+          )}
+
+          {/* Shipments */}
+          {shipmentsOf(order).length > 0 && (
+            <div>
+              <span className="text-slate-400 text-sm">
+                Shipments {isPartiallyShipped(order) && <span className="text-yellow-400">· partially shipped</span>}
+              </span>
+              <div className="mt-1 space-y-1 text-sm">
+                {shipmentsOf(order).map(shipment => (
+                  <div key={shipment.id} className="flex justify-between gap-2 p-2 rounded-lg bg-slate-800">
+                    <span className="text-white truncate">
+                      {new Date(shipment.shipped_at).toLocaleDateString()} · {shipment.items.map(i => `${i.quantity}× ${i.name}`).join(', ')}
+                    </span>
+                    <span className="text-slate-400 whitespace-nowrap">{shipment.carrier} {shipment.tracking_number}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Stage Progress */}
           <div className="pt-4">
             <div className="flex items-center justify-between mb-2">
@@ -485,14 +606,21 @@ function OrderQuickView({ order, onClose, onMoveNext, onMoveBack, stages }) {
         <div className="px-6 py-4 border-t flex gap-3" style={{ borderColor: '#334155' }}>
           <button
             onClick={onMoveBack}
-            disabled={currentStageIndex <= 0}
+            disabled={!prevCheck.allowed}
             className="flex-1 px-4 py-2 rounded-lg font-medium text-slate-300 border border-slate-600 hover:bg-slate-700 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             ◀ Back
           </button>
+          <button
+            onClick={onShip}
+            className="px-4 py-2 rounded-lg font-medium text-cyan-400 border border-cyan-500/30 hover:bg-cyan-500/10"
+            title="Ship some or all items"
+          >
+            📦 Ship
+          </button>
           <button
             onClick={onMoveNext}
-            disabled={currentStageIndex >= stages.length - 1}
+            disabled={!nextCheck.allowed}
             className="flex-1 px-4 py-2 rounded-lg font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed"
             style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
           >
@@ -504,5 +632,130 @@ function OrderQuickView({ order, onClose, onMoveNext, onMoveBack, stages }) {
   );
 }
 
+/**
+ * ItemProgress - Per-line print progress of an order
+ */
+function ItemProgress({ order, jobs, compact = false }) {
+  const { items, completed, total, percent } = orderItemsSummary(order, jobs);
+  const shown = compact ? items.slice(0, 3) : items;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 h-1.5 rounded-full bg-slate-700 overflow-hidden">
+          <div
+            className={`h-full rounded-full ${completed === total ? 'bg-green-500' : 'bg-cyan-500'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <span className="text-slate-400">{completed}/{total} items</span>
+      </div>
+      {shown.map(item => {
+        const info = ITEM_STATUSES[item.status] || ITEM_STATUSES.pending;
+        return (
+          <div key={item.id} className="flex items-center gap-1.5" title={info.label}>
+            <span>{info.icon}</span>
+            <span className={`truncate flex-1 ${compact ? '' : 'text-white'}`}>{item.name}</span>
+            {!compact && (item.material || item.color) && (
+              <span className="text-slate-500">{[item.material, item.color].filter(Boolean).join(' ')}</span>
+            )}
+            <span className={info.color}>{item.done}/{item.quantity}</span>
+          </div>
+        );
+      })}
+      {items.length > shown.length && (
+        <p className="text-slate-500">+{items.length - shown.length} more</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * WorkflowSettings - Per-stage conditions and automatic actions
+ */
+function WorkflowSettings({ stages, onChange, onReset, onClose }) {
+  const toggle = (stageId, key, id) => {
+    onChange(stages.map(stage => {
+      if (stage.id !== stageId) return stage;
+      const ids = stage[key].includes(id) ? stage[key].filter(x => x !== id) : [...stage[key], id];
+      return { ...stage, [key]: ids };
+    }));
+  };
+
+  const ruleGroups = [
+    { key: 'entry', title: 'To enter', registry: ORDER_CONDITIONS },
+    { key: 'exit', title: 'To leave', registry: ORDER_CONDITIONS },
+    { key: 'onEnter', title: 'On entering', registry: ORDER_ACTIONS },
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
+
+      <div
+        className="relative w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-2xl border shadow-2xl"
+        style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+      >
+        {/* Header */}
+        <div className="sticky top-0 px-6 py-4 border-b flex items-center justify-between z-10" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+          <div>
+            <h2 className="text-lg font-bold text-white">⚙️ Workflow Rules</h2>
+            <p className="text-sm text-slate-400">What an order needs per stage, and what happens when it moves forward</p>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-slate-700 text-slate-400">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Stages */}
+        <div className="p-6 space-y-3">
+          {stages.map(stage => (
+            <div key={stage.id} className="p-3 rounded-lg border" style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}>
+              <p className="font-medium text-white mb-2">{stage.icon} {stage.name}</p>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {ruleGroups.map(group => (
+                  <div key={group.key}>
+                    <p className="text-xs text-slate-500 uppercase tracking-wider mb-1">{group.title}</p>
+                    {Object.entries(group.registry).map(([id, rule]) => (
+                      <label key={id} className="flex items-center gap-2 text-xs text-slate-300 py-0.5 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={stage[group.key].includes(id)}
+                          onChange={() => toggle(stage.id, group.key, id)}
+                          className="rounded"
+                        />
+                        {rule.label}
+                      </label>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="px-6 py-4 border-t flex justify-between gap-3" style={{ borderColor: '#334155' }}>
+          <button
+            onClick={onReset}
+            className="px-4 py-2 rounded-lg font-medium text-slate-300 border border-slate-600 hover:bg-slate-700"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg font-medium text-white"
+            style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 
 export default OrderPipeline;
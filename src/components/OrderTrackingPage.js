@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
+import { ITEM_STATUSES, orderItemsSummary } from '../utils/orderItems';
+import { isPartiallyShipped, shipmentsOf, unshippedItems } from '../utils/orderShipments';
 
 /**
  * OrderTrackingPage - Public page for customers to track their order
@@ -7,6 +9,7 @@ import { api } from '../services/api';
 function OrderTrackingPage({ orderId, onBack }) {
   const [loading, setLoading] = useState(true);
   const [order, setOrder] = useState(null);
+  const [jobs, setJobs] = useState([]);
   const [error, setError] = useState(null);
   const [searchId, setSearchId] = useState(orderId || '');
 
@@ -24,7 +27,13 @@ function OrderTrackingPage({ orderId, onBack }) {
     
     try {
       // Try to load order (in production, this would be a public endpoint)
-      const res = await api.getOrders({ order_id: id });
+      // Print jobs give each line its progress - without them lines show their stored status
+      const [res, jobsRes] = await Promise.all([
+        api.getOrders({ order_id: id }),
+        api.getPrintJobs().catch(() => null),
+      ]);
+      const jobData = jobsRes?.data ?? jobsRes;
+      setJobs(Array.isArray(jobData) ? jobData : jobData?.jobs || []);
       const orders = Array.isArray(res) ? res : (res?.data || []);
       const found = orders.find(o => 
         (o.order_id || o.id) === id || 
@@ -84,6 +93,8 @@ function OrderTrackingPage({ orderId, onBack }) {
   };
 
   const currentStageIndex = getCurrentStageIndex();
+  const itemSummary = order?.items?.length > 0 ? orderItemsSummary(order, jobs) : null;
+  const shipments = shipmentsOf(order);
 
   // If no orderId provided, show search form
   if (!orderId && !order) {
@@ -229,6 +240,16 @@ function OrderTrackingPage({ orderId, onBack }) {
                 : `Last updated: ${formatDate(order.updated_at || order.created_at)}`
               }
             </p>
+            {isPartiallyShipped(order) && (
+              <p className="text-sm text-yellow-400 mt-1">
+                📦 Partially shipped - {shipments.length} parcel{shipments.length === 1 ? '' : 's'} on the way, more to follow
+              </p>
+            )}
+            {itemSummary && itemSummary.total > 1 && !itemSummary.allComplete && (
+              <p className="text-sm text-cyan-400 mt-1">
+                {itemSummary.completed} of {itemSummary.total} parts printed
+              </p>
+            )}
           </div>
 
           {/* Progress Steps */}
@@ -309,22 +330,102 @@ function OrderTrackingPage({ orderId, onBack }) {
         </div>
 
         {/* Items (if available) */}
-        {order.items && order.items.length > 0 && (
+        {itemSummary && (
+          <div 
+            className="rounded-2xl border p-6 mb-6"
+            style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white">Items</h3>
+              <span className="text-sm text-slate-400">{itemSummary.percent}% printed</span>
+            </div>
+            <div className="space-y-4">
+              {itemSummary.items.map(item => {
+                const info = ITEM_STATUSES[item.status] || ITEM_STATUSES.pending;
+                return (
+                  <div key={item.id}>
+                    <div className="flex justify-between">
+                      <div>
+                        <p className="text-white">{item.name}</p>
+                        <p className="text-sm text-slate-500">
+                          Qty: {item.quantity}
+                          {(item.material || item.color) && ` · ${[item.material, item.color].filter(Boolean).join(' ')}`}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <span className="text-slate-400">{formatCurrency(item.total)}</span>
+                        <p className={`text-sm ${info.color}`}>{info.icon} {info.label}</p>
+                      </div>
+                    </div>
+                    <div className="mt-2 h-1.5 rounded-full bg-slate-700 overflow-hidden">
+                      <div
+                        className="h-full rounded-full transition-all duration-500"
+                        style={{
+                          width: `${Math.round((item.done / item.quantity) * 100)}%`,
+                          background: 'linear-gradient(90deg, #a855f7 0%, #06b6d4 100%)'
+                        }}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Shipments */}
+        {shipments.length > 0 && (
           <div 
             className="rounded-2xl border p-6 mb-6"
             style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
           >
-            <h3 className="text-lg font-semibold text-white mb-4">Items</h3>
-            <div className="space-y-3">
-              {order.items.map((item, index) => (
-                <div key={index} className="flex justify-between">
-                  <div>
-                    <p className="text-white">{item.name}</p>
-                    <p className="text-sm text-slate-500">Qty: {item.quantity}</p>
+            <h3 className="text-lg font-semibold text-white mb-4">Shipments</h3>
+            <div className="space-y-4">
+              {shipments.map((shipment, index) => (
+                <div key={shipment.id} className="p-4 rounded-xl" style={{ backgroundColor: '#0f172a' }}>
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <p className="text-white font-medium">🚚 Parcel {index + 1}</p>
+                      <p className="text-sm text-slate-400">{formatDate(shipment.shipped_at)}</p>
+                    </div>
+                    <div className="text-right text-sm">
+                      {shipment.carrier && <p className="text-white">{shipment.carrier}</p>}
+                      {shipment.tracking_number && (
+                        shipment.tracking_url ? (
+                          <a
+                            href={shipment.tracking_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-mono text-purple-400 hover:text-purple-300"
+                          >
+                            {shipment.tracking_number}
+                          </a>
+                        ) : (
+                          <p className="font-mono text-slate-400">{shipment.tracking_number}</p>
+                        )
+                      )}
+                    </div>
                   </div>
-                  <span className="text-slate-400">{formatCurrency(item.total)}</span>
+                  <ul className="text-sm text-slate-300 space-y-0.5">
+                    {shipment.items.map(item => (
+                      <li key={item.item_id}>{item.name} × {item.quantity}</li>
+                    ))}
+                  </ul>
+                  {shipment.weight_kg > 0 && (
+                    <p className="text-xs text-slate-500 mt-2">{shipment.weight_kg} kg</p>
+                  )}
                 </div>
               ))}
+              {isPartiallyShipped(order) && (
+                <div className="text-sm text-slate-400">
+                  <p className="mb-1">Still to ship:</p>
+                  <ul className="space-y-0.5">
+                    {unshippedItems(order).map(item => (
+                      <li key={item.item_id}>{item.name} × {item.quantity}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -1,16 +1,45 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { api, unwrap } from '../services/api';
 import { useLanguage } from '../i18n';
 import toast from '../utils/toast';
+import { getCreditsByOrder } from '../utils/estonianInvoice';
+
+// Payments recorded through the API; null when the API has none
+const fetchPaymentHistory = async (order) => {
+  try {
+    const res = await api.getOrderPayments?.(order.order_id).catch(() => null);
+    const payments = unwrap(res) || res?.payments || [];
+    return Array.isArray(payments) ? payments : [];
+  } catch (err) {
+    return null;
+  }
+};
+
+// If no API, check order for payment info
+const fallbackPayments = (order, orderTotal) => {
+  if (order.payments) return order.payments;
+  if (order.payment_status === 'paid' && order.paid_at) {
+    return [{
+      id: 'initial',
+      amount: orderTotal,
+      method: order.payment_method || 'unknown',
+      date: order.paid_at,
+      reference: order.payment_reference || ''
+    }];
+  }
+  return [];
+};
 
 /**
  * PaymentTracker - Comprehensive payment management for orders
  * Features: Payment recording, partial payments, payment history, overdue tracking
+ * Balances are net of any credit notes issued against the order's invoices
  */
 const PaymentTracker = ({ order, onPaymentRecorded, onClose }) => {
   const { t } = useLanguage();
   const [loading, setLoading] = useState(false);
   const [paymentHistory, setPaymentHistory] = useState([]);
+  const [creditedAmount, setCreditedAmount] = useState(0);
   const [newPayment, setNewPayment] = useState({
     amount: 0,
     method: 'bank_transfer',
@@ -19,38 +48,38 @@ const PaymentTracker = ({ order, onPaymentRecorded, onClose }) => {
     date: new Date().toISOString().split('T')[0]
   });
 
-  const orderTotal = order?.quote?.total || order?.total_price || 0;
+  const grossTotal = order?.quote?.total || order?.total_price || 0;
+  const orderTotal = Math.max(0, grossTotal - creditedAmount);
   const paidAmount = paymentHistory.reduce((sum, p) => sum + (p.amount || 0), 0);
   const remainingAmount = Math.max(0, orderTotal - paidAmount);
+  const refundDue = Math.max(0, paidAmount - orderTotal);
+  const paidPercent = orderTotal > 0 ? (paidAmount / orderTotal) * 100 : 100;
   const paymentStatus = paidAmount >= orderTotal ? 'paid' : paidAmount > 0 ? 'partial' : 'unpaid';
 
-  useEffect(() => {
-    loadPaymentHistory();
+  // Payments and credit notes load together so the preset amount is the real balance
+  const loadPayments = useCallback(async () => {
+    if (!order?.order_id) return;
+    const [payments, credited] = await Promise.all([
+      fetchPaymentHistory(order),
+      api.listInvoices({ order_id: order.order_id })
+        .then(res => {
+          const invoices = Array.isArray(res) ? res : (res?.data ?? res?.invoices ?? []);
+          return getCreditsByOrder(Array.isArray(invoices) ? invoices : [])[order.order_id] || 0;
+        })
+        .catch(() => 0),
+    ]);
+    const gross = order.quote?.total || order.total_price || 0;
+    const history = payments ?? fallbackPayments(order, Math.max(0, gross - credited));
+    setPaymentHistory(history);
+    setCreditedAmount(credited);
+    const paid = history.reduce((sum, p) => sum + (p.amount || 0), 0);
     // Set default amount to remaining
-    setNewPayment(prev => ({ ...prev, amount: remainingAmount }));
+    setNewPayment(prev => ({ ...prev, amount: Math.max(0, gross - credited - paid) }));
   }, [order]);
 
-  const loadPaymentHistory = async () => {
-    if (!order?.order_id) return;
-    try {
-      const res = await api.getOrderPayments?.(order.order_id).catch(() => null);
-      const payments = unwrap(res) || res?.payments || [];
-      setPaymentHistory(Array.isArray(payments) ? payments : []);
-    } catch (err) {
-      // If no API, check order for payment info
-      if (order.payments) {
-        setPaymentHistory(order.payments);
-      } else if (order.payment_status === 'paid' && order.paid_at) {
-        setPaymentHistory([{
-          id: 'initial',
-          amount: orderTotal,
-          method: order.payment_method || 'unknown',
-          date: order.paid_at,
-          reference: order.payment_reference || ''
-        }]);
-      }
-    }
-  };
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
 
   const handleRecordPayment = async () => {
     if (newPayment.amount <= 0) {
@@ -152,6 +181,9 @@ const PaymentTracker = ({ order, onPaymentRecorded, onClose }) => {
             <div>
               <p className="text-xs text-zinc-500">Order Total</p>
               <p className="text-xl font-bold text-white">€{orderTotal.toFixed(2)}</p>
+              {creditedAmount > 0 && (
+                <p className="text-xs text-rose-400">−€{creditedAmount.toFixed(2)} credited</p>
+              )}
             </div>
             <div>
               <p className="text-xs text-zinc-500">Paid</p>
@@ -177,12 +209,17 @@ const PaymentTracker = ({ order, onPaymentRecorded, onClose }) => {
             <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
               <div 
                 className="h-full bg-gradient-to-r from-green-500 to-emerald-400 transition-all duration-500"
-                style={{ width: `${Math.min(100, (paidAmount / orderTotal) * 100)}%` }}
+                style={{ width: `${Math.min(100, paidPercent)}%` }}
               />
             </div>
             <p className="text-xs text-zinc-500 text-center mt-1">
-              {Math.round((paidAmount / orderTotal) * 100)}% paid
+              {Math.round(paidPercent)}% paid
             </p>
+            {refundDue > 0 && (
+              <p className="text-xs text-yellow-400 text-center mt-1">
+                ⚠️ Refund due after credit note: €{refundDue.toFixed(2)}
+              </p>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,310 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import {
+  analyzeMesh,
+  packPlates,
+  toPlateLayout,
+  DEFAULT_PLATE_SPACING_MM,
+  DEFAULT_PLATE_MARGIN_MM,
+} from '../utils/mesh';
+
+// Footprint colours per part on the plate preview
+const PART_COLORS = ['#3b82f6', '#a855f7', '#06b6d4', '#22c55e', '#f59e0b', '#ef4444', '#ec4899', '#84cc16'];
+
+const fileLabel = (path = '') => path.split('/').pop();
+
+/**
+ * Plate arrangement - packs copies of the current model plus other library
+ * files onto the selected printer bed and hands a plate to the slicer
+ */
+const PlateArranger = ({
+  files,
+  selectedFile,
+  modelDimensions,
+  modelRotation,
+  bedSize,
+  slicing = false,
+  onSlicePlate,
+}) => {
+  const [copies, setCopies] = useState(1);
+  const [extraParts, setExtraParts] = useState([]);
+  const [spacing, setSpacing] = useState(DEFAULT_PLATE_SPACING_MM);
+  const [margin, setMargin] = useState(DEFAULT_PLATE_MARGIN_MM);
+  const [allowRotate, setAllowRotate] = useState(true);
+  const [activePlate, setActivePlate] = useState(1);
+  const [addingFile, setAddingFile] = useState(null);
+  const [addError, setAddError] = useState(null);
+
+  // Viewer dimensions are Y-up: x = width, y = height, z = depth
+  const parts = useMemo(() => {
+    const list = [];
+    if (selectedFile && modelDimensions) {
+      list.push({
+        key: selectedFile,
+        file_path: selectedFile,
+        name: fileLabel(selectedFile),
+        width: modelDimensions.x,
+        depth: modelDimensions.z,
+        quantity: copies,
+        rotation: modelRotation,
+      });
+    }
+    return list.concat(extraParts.filter(p => p.file_path !== selectedFile));
+  }, [selectedFile, modelDimensions, modelRotation, copies, extraParts]);
+
+  const colorFor = useMemo(() => {
+    const map = {};
+    parts.forEach((p, i) => { map[p.key] = PART_COLORS[i % PART_COLORS.length]; });
+    return map;
+  }, [parts]);
+
+  const { layout, error } = useMemo(() => {
+    if (parts.length === 0) return { layout: null, error: null };
+    try {
+      return { layout: packPlates(parts, bedSize, { spacing, margin, allowRotate }), error: null };
+    } catch (err) {
+      return { layout: null, error: err.message };
+    }
+  }, [parts, bedSize, spacing, margin, allowRotate]);
+
+  const plate = layout?.plates.find(p => p.index === activePlate) || layout?.plates[0] || null;
+
+  const availableFiles = files.filter(f => (
+    f.path !== selectedFile && !extraParts.some(p => p.file_path === f.path)
+  ));
+
+  const handleAddFile = async (filePath) => {
+    if (!filePath) return;
+    const file = files.find(f => f.path === filePath);
+    setAddingFile(filePath);
+    setAddError(null);
+    try {
+      const mesh = await analyzeMesh(api.slicingDownloadUrl(filePath), { filename: file?.name || filePath });
+      setExtraParts(prev => [...prev, {
+        key: filePath,
+        file_path: filePath,
+        name: file?.name || fileLabel(filePath),
+        width: mesh.dimensions_mm.width,
+        depth: mesh.dimensions_mm.depth,
+        quantity: 1,
+        rotation: { x: 0, y: 0, z: 0 },
+      }]);
+    } catch (err) {
+      console.error('Failed to measure file for plate:', err);
+      setAddError(`${file?.name || filePath}: ${err.message}`);
+    } finally {
+      setAddingFile(null);
+    }
+  };
+
+  const updateExtraQuantity = (key, quantity) => {
+    setExtraParts(prev => prev.map(p => (p.key === key ? { ...p, quantity } : p)));
+  };
+
+  const removeExtra = (key) => {
+    setExtraParts(prev => prev.filter(p => p.key !== key));
+  };
+
+  if (!selectedFile || !modelDimensions) return null;
+
+  return (
+    <div className="bg-gray-900 rounded-xl border border-gray-800 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-zinc-200 flex items-center gap-2">
+          <span>🧩</span> Plate Arrangement
+        </h3>
+        {layout && (
+          <span className="text-xs text-zinc-400">
+            {layout.placed} parts • <span className="text-white font-bold">{layout.plates_needed}</span> plate{layout.plates_needed === 1 ? '' : 's'} needed
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Parts & spacing */}
+        <div className="space-y-3">
+          <div className="space-y-2">
+            {parts.map(part => (
+              <div key={part.key} className="flex items-center gap-2 p-2 rounded-lg bg-gray-800/50 border border-gray-700">
+                <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: colorFor[part.key] }} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-zinc-200 truncate">{part.name}</p>
+                  <p className="text-[10px] text-zinc-500">{part.width.toFixed(0)}×{part.depth.toFixed(0)}mm footprint</p>
+                </div>
+                <input
+                  type="number"
+                  min="1"
+                  value={part.quantity}
+                  onChange={(e) => {
+                    const value = Math.max(1, Number(e.target.value) || 1);
+                    if (part.key === selectedFile) setCopies(value);
+                    else updateExtraQuantity(part.key, value);
+                  }}
+                  className="w-16 bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-sm text-zinc-200"
+                  title="Copies"
+                />
+                {part.key !== selectedFile && (
+                  <button onClick={() => removeExtra(part.key)} className="text-xs text-zinc-500 hover:text-red-400">✕</button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <select
+            value=""
+            disabled={Boolean(addingFile) || availableFiles.length === 0}
+            onChange={(e) => handleAddFile(e.target.value)}
+            className="w-full text-sm bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-zinc-200 disabled:opacity-60"
+          >
+            <option value="">{addingFile ? `Measuring ${fileLabel(addingFile)}...` : '+ Add file from library...'}</option>
+            {availableFiles.map(f => (
+              <option key={f.path} value={f.path}>{f.name}</option>
+            ))}
+          </select>
+          {addError && <p className="text-[10px] text-red-400">{addError}</p>}
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <div className="text-[10px] text-zinc-500">Min. spacing (mm)</div>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={spacing}
+                onChange={(e) => setSpacing(Math.max(0, Number(e.target.value) || 0))}
+                className="w-full bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-sm text-zinc-200"
+              />
+            </label>
+            <label className="block">
+              <div className="text-[10px] text-zinc-500">Edge margin (mm)</div>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={margin}
+                onChange={(e) => setMargin(Math.max(0, Number(e.target.value) || 0))}
+                className="w-full bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-sm text-zinc-200"
+              />
+            </label>
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-zinc-300">
+            <input
+              type="checkbox"
+              checked={allowRotate}
+              onChange={(e) => setAllowRotate(e.target.checked)}
+              className="rounded bg-gray-800 border-gray-600"
+            />
+            Allow 90° turns on the bed
+          </label>
+
+          {error && <p className="text-xs text-red-400">⚠ {error}</p>}
+          {layout?.unplaced.length > 0 && (
+            <div className="p-2 rounded-lg bg-red-900/20 border border-red-800 text-xs text-red-300">
+              ⚠ Too large for {bedSize.name || 'this bed'}: {layout.unplaced.map(u => `${u.name} (${u.count}×)`).join(', ')}
+            </div>
+          )}
+        </div>
+
+        {/* Plate preview */}
+        <div>
+          {layout && layout.plates_needed > 1 && (
+            <div className="flex gap-1 flex-wrap mb-2">
+              {layout.plates.map(p => (
+                <button
+                  key={p.index}
+                  type="button"
+                  onClick={() => setActivePlate(p.index)}
+                  className={`px-2 py-0.5 text-xs rounded border ${
+                    plate?.index === p.index
+                      ? 'bg-blue-600 text-white border-blue-500'
+                      : 'bg-gray-800 border-gray-700 text-zinc-300 hover:bg-gray-700'
+                  }`}
+                >
+                  Plate {p.index} ({p.placements.length})
+                </button>
+              ))}
+            </div>
+          )}
+
+          <svg
+            viewBox={`0 0 ${bedSize.x} ${bedSize.y}`}
+            className="w-full aspect-square rounded-lg bg-gray-800 border border-gray-700"
+          >
+            <rect
+              x={margin}
+              y={margin}
+              width={Math.max(0, bedSize.x - 2 * margin)}
+              height={Math.max(0, bedSize.y - 2 * margin)}
+              fill="none"
+              stroke="#475569"
+              strokeDasharray="4 4"
+              strokeWidth={1}
+            />
+            {/* Bed front is at the bottom of the preview */}
+            {plate?.placements.map(p => (
+              <rect
+                key={`${p.key}-${p.copy}`}
+                x={p.x - p.width / 2}
+                y={bedSize.y - p.y - p.depth / 2}
+                width={p.width}
+                height={p.depth}
+                rx={1}
+                fill={colorFor[p.key]}
+                fillOpacity={0.7}
+                stroke={colorFor[p.key]}
+                strokeWidth={0.8}
+              >
+                <title>{`${p.name} #${p.copy}${p.rotated ? ' (turned 90°)' : ''}`}</title>
+              </rect>
+            ))}
+          </svg>
+
+          {plate && (
+            <div className="flex justify-between text-[10px] text-zinc-500 mt-1">
+              <span>{bedSize.x}×{bedSize.y}mm</span>
+              <span>{(plate.utilization * 100).toFixed(0)}% of bed used</span>
+            </div>
+          )}
+
+          <button
+            onClick={() => onSlicePlate?.(toPlateLayout(layout, plate.index))}
+            disabled={!plate || slicing}
+            className="mt-3 w-full py-2 rounded-lg text-white text-sm font-bold disabled:opacity-60"
+            style={{ background: 'linear-gradient(135deg, #3b82f6 0%, #06b6d4 100%)' }}
+          >
+            {slicing ? '⏳ Slicing...' : `🔪 Slice Plate ${plate?.index || 1}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PlateArranger.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    path: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  selectedFile: PropTypes.string,
+  modelDimensions: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    z: PropTypes.number
+  }),
+  modelRotation: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    z: PropTypes.number
+  }),
+  bedSize: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  slicing: PropTypes.bool,
+  onSlicePlate: PropTypes.func
+};
+
+export default PlateArranger;
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { api, unwrap } from '../services/api';
+import { collection } from '../services/localStore';
 import { sanitizeText } from '../utils/sanitization';
 import { useLanguage } from '../i18n';
 import toast from '../utils/toast';
+import TelemetryReplay from './TelemetryReplay';
 
 /**
  * PrintFailureLog - Comprehensive print failure tracking and analysis
@@ -14,6 +16,7 @@ const PrintFailureLog = ({ currentUser }) => {
   const [loading, setLoading] = useState(true);
   const [showLogModal, setShowLogModal] = useState(null);
   const [selectedFailure, setSelectedFailure] = useState(null);
+  const [replayFailure, setReplayFailure] = useState(null);
   const [filterReason, setFilterReason] = useState('all');
   const [filterPrinter, setFilterPrinter] = useState('all');
   const [dateRange, setDateRange] = useState(30);
@@ -83,6 +86,12 @@ const PrintFailureLog = ({ currentUser }) => {
         failureList = [...failureList, ...historyFailures];
       }
 
+      // Logged on this device - manual entries the server didn't take and
+      // failures recorded by the job lifecycle
+      const cutoff = Date.now() - dateRange * 24 * 60 * 60 * 1000;
+      const local = await collection('failure_logs').getAll().catch(() => []);
+      failureList = [...failureList, ...local.filter(f => !f.timestamp || new Date(f.timestamp).getTime() >= cutoff)];
+
       // Remove duplicates by id
       const unique = Array.from(new Map(failureList.map(f => [f.id, f])).values());
       setFailures(unique);
@@ -100,10 +109,8 @@ const PrintFailureLog = ({ currentUser }) => {
       try {
         await api.logFailure?.(failureData);
       } catch (e) {
-        // Fallback: store locally
-        const saved = JSON.parse(localStorage.getItem('polywerk_failure_logs') || '[]');
-        saved.unshift({ ...failureData, id: `fail-${Date.now()}`, timestamp: new Date().toISOString() });
-        localStorage.setItem('polywerk_failure_logs', JSON.stringify(saved.slice(0, 100)));
+        // Fallback: store locally (newest first)
+        await collection('failure_logs').prepend({ ...failureData, id: `fail-${Date.now()}`, timestamp: new Date().toISOString() });
       }
       
       toast.success('Failure logged successfully');
@@ -395,9 +402,26 @@ const PrintFailureLog = ({ currentUser }) => {
           failure={selectedFailure}
           reasonInfo={getReasonInfo(selectedFailure.reason)}
           onReprint={() => handleReprint(selectedFailure)}
+          onReplay={() => {
+            setReplayFailure(selectedFailure);
+            setSelectedFailure(null);
+          }}
           onClose={() => setSelectedFailure(null)}
         />
       )}
+
+      {/* Telemetry replay next to the entry */}
+      {replayFailure && (
+        <TelemetryReplay
+          printerName={replayFailure.printer_name}
+          jobId={replayFailure.job_id}
+          fileName={replayFailure.file_name}
+          start={replayFailure.started_at || replayFailure.start_time}
+          end={replayFailure.timestamp}
+          failure={{ ...replayFailure, reason: getReasonInfo(replayFailure.reason).label }}
+          onClose={() => setReplayFailure(null)}
+        />
+      )}
     </div>
   );
 };
@@ -596,7 +620,7 @@ const LogFailureModal = ({ initialData, reasons, onSave, onClose, currentUser })
 /**
  * Modal showing failure details with tips
  */
-const FailureDetailModal = ({ failure, reasonInfo, onReprint, onClose }) => {
+const FailureDetailModal = ({ failure, reasonInfo, onReprint, onReplay, onClose }) => {
   return (
     <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
       <div className="bg-gray-900 border border-gray-700 rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
@@ -678,6 +702,14 @@ const FailureDetailModal = ({ failure, reasonInfo, onReprint, onClose }) => {
           >
             Close
           </button>
+          {failure.printer_name && failure.printer_name !== 'Unknown' && (
+            <button
+              onClick={onReplay}
+              className="flex-1 py-2 bg-purple-700 hover:bg-purple-600 text-white rounded-lg transition"
+            >
+              ▶️ Replay Job
+            </button>
+          )}
           <button
             onClick={() => { onReprint(); onClose(); }}
             className="flex-1 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg transition"
@@ -2,6 +2,7 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { api, unwrap } from '../services/api';
 import { safeUnwrap, logError } from '../utils/apiSafety';
 import FailureDiagnosisPanel, { QuickDiagnosisButton } from './FailureDiagnosisPanel';
+import TelemetryReplay from './TelemetryReplay';
 
 const PrintHistory = () => {
   const [loading, setLoading] = useState(true);
@@ -10,6 +11,7 @@ const PrintHistory = () => {
   const [dateRange, setDateRange] = useState(30);
   const [stats, setStats] = useState({ totalPrints: 0, totalTime: 0, successRate: 0, avgPrintTime: 0, totalMaterials: 0 });
   const [selectedPrint, setSelectedPrint] = useState(null);
+  const [replayPrint, setReplayPrint] = useState(null);
 
   const normalizeJob = (job) => {
     if (!job) return null;
@@ -486,7 +488,18 @@ const PrintHistory = () => {
                 )}
               </div>
 
-              <div className="mt-6 flex justify-end">
+              <div className="mt-6 flex justify-end gap-2">
+                {selectedPrint.printer !== 'Unknown' && selectedPrint.endTime && (
+                  <button
+                    onClick={() => {
+                      setReplayPrint(selectedPrint);
+                      setSelectedPrint(null);
+                    }}
+                    className="px-4 py-2 bg-purple-700 hover:bg-purple-600 text-white rounded-lg"
+                  >
+                    ▶️ Replay Job
+                  </button>
+                )}
                 <button
                   onClick={() => setSelectedPrint(null)}
                   className="px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white rounded-lg"
@@ -498,6 +511,17 @@ const PrintHistory = () => {
           </div>
         </div>
       )}
+
+      {replayPrint && (
+        <TelemetryReplay
+          printerName={String(replayPrint.printer)}
+          jobId={replayPrint.id}
+          fileName={replayPrint.filename}
+          start={replayPrint.start_time ?? replayPrint.started_at}
+          end={replayPrint.endTime}
+          onClose={() => setReplayPrint(null)}
+        />
+      )}
     </div>
   );
 };
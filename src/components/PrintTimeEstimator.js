@@ -1,5 +1,98 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { api } from '../services/api';
+import {
+  simulateGcodeFile,
+  resolveKinematics,
+  compareWithSlicer,
+  isGcodeFile,
+  GCODE_FILE_ACCEPT,
+  FEATURE_TYPES,
+} from '../utils/gcode';
+
+// Map the interpreter result onto the fields this view shows
+const summarizeGcode = (result, filename, simulatedSeconds) => {
+  const { totals, header, bounds } = result;
+
+  // Prefer the slicer's own estimate, then the kinematic simulation;
+  // the interpreter's own is plain distance / feedrate
+  const estimatedTime = header.estimated_time_s;
+  const finalTimeSeconds = estimatedTime ?? simulatedSeconds ?? totals.time_s;
+  const hours = Math.floor(finalTimeSeconds / 3600);
+  const minutes = Math.floor((finalTimeSeconds % 3600) / 60);
+
+  let filamentUsed = null;
+  if (header.filament_used_g !== null) {
+    filamentUsed = { value: header.filament_used_g, unit: 'g' };
+  } else if (header.filament_used_mm !== null) {
+    filamentUsed = { value: header.filament_used_mm / 1000, unit: 'm' };
+  }
+
+  const size = (axis) => (bounds ? bounds.max[axis] - bounds.min[axis] : 0);
+
+  return {
+    filename,
+    slicer: result.slicer,
+    lineCount: result.line_count,
+    layerCount: result.layer_count,
+    dimensions: {
+      width: size('x').toFixed(1),
+      depth: size('y').toFixed(1),
+      height: (bounds ? bounds.max.z : 0).toFixed(1),
+    },
+    filament: {
+      meters: totals.filament_m.toFixed(2),
+      grams: totals.filament_g.toFixed(1),
+      fromSlicer: filamentUsed,
+    },
+    time: {
+      seconds: finalTimeSeconds,
+      formatted: `${hours}h ${minutes}m`,
+      hours: hours,
+      minutes: minutes,
+      fromSlicer: estimatedTime !== null,
+      slicerSeconds: estimatedTime,
+      naiveSeconds: totals.time_s,
+    },
+    moves: {
+      total: totals.extrude_moves + totals.travel_moves,
+      print: totals.extrude_moves,
+      travel: totals.travel_moves,
+      retractions: totals.retractions,
+    },
+    totalDistance: (totals.travel_distance_mm / 1000).toFixed(2), // in meters
+    features: Object.entries(result.features)
+      .map(([id, stats]) => ({ id, ...stats }))
+      .sort((a, b) => b.extrusion_mm - a.extrusion_mm),
+  };
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return minutes > 0 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+};
+
+// Layers are grouped into at most this many bars in the per-layer chart
+const MAX_LAYER_BARS = 120;
+
+// Bytes from each end of the file that go into its fingerprint
+const FINGERPRINT_BYTES = 1024 * 1024;
+
+// Files whose accuracy sample went out this session
+const recordedSamples = new Set();
+
+/**
+ * Content fingerprint of a G-code file - SHA-256 of its size and first and
+ * last megabyte, so 100 MB files don't have to be read twice
+ */
+const fileFingerprint = async (blob) => {
+  if (!window.crypto?.subtle) return `${blob.name}:${blob.size}:${blob.lastModified || 0}`;
+  const parts = [String(blob.size), blob.slice(0, FINGERPRINT_BYTES)];
+  if (blob.size > FINGERPRINT_BYTES) parts.push(blob.slice(-FINGERPRINT_BYTES));
+  const digest = await window.crypto.subtle.digest('SHA-256', await new Blob(parts).arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
 
 /**
  * Print Time Estimator - Upload gcode and estimate print time with AI predictions
@@ -14,6 +107,22 @@ function PrintTimeEstimator() {
   const [printers, setPrinters] = useState([]);
   const [selectedPrinter, setSelectedPrinter] = useState('');
   const [accuracyStats, setAccuracyStats] = useState(null);
+  const [profiles, setProfiles] = useState({});
+  const [simulation, setSimulation] = useState(null);
+  const [simulatedWith, setSimulatedWith] = useState(null);
+  const [profilesLoaded, setProfilesLoaded] = useState(false);
+  const [fileHash, setFileHash] = useState(null);
+
+  const fetchAccuracy = useCallback(async () => {
+    try {
+      const response = await api.get('/estimation/accuracy');
+      if (response.data?.data?.accuracy) {
+        setAccuracyStats(response.data.data.accuracy);
+      }
+    } catch (err) {
+      console.warn('Could not fetch accuracy stats:', err);
+    }
+  }, []);
 
   // Fetch available printers on mount
   useEffect(() => {
@@ -28,25 +137,92 @@ function PrintTimeEstimator() {
       }
     };
 
-    const fetchAccuracy = async () => {
+    const fetchProfiles = async () => {
       try {
-        const response = await api.get('/estimation/accuracy');
-        if (response.data?.data?.accuracy) {
-          setAccuracyStats(response.data.data.accuracy);
-        }
-      } catch (err) {
-        console.warn('Could not fetch accuracy stats:', err);
+        const data = await api.getPrinterProfiles();
+        setProfiles(data?.profiles || {});
+      } finally {
+        setProfilesLoaded(true);
       }
     };
 
     fetchPrinters();
     fetchAccuracy();
-  }, []);
+    fetchProfiles();
+  }, [fetchAccuracy]);
+
+  // Machine limits for the simulation - printer profile, else the type preset
+  const kinematics = useMemo(() => {
+    const printer = printers.find(p => p.name === selectedPrinter);
+    const printerType = printer?.printer_type;
+    return resolveKinematics(profiles[selectedPrinter] || profiles[printerType], printerType);
+  }, [printers, profiles, selectedPrinter]);
+
+  // Interpret + simulate; runs again when the target printer changes
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    simulateGcodeFile(file, { kinematics })
+      .then(({ result, simulation: sim }) => {
+        if (cancelled) return;
+        setAnalysis(summarizeGcode(result, file.name, sim.time_s));
+        setSimulation(sim);
+        setSimulatedWith(kinematics);
+      })
+      .catch(err => {
+        if (!cancelled) setError('Failed to analyze file: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [file, kinematics]);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    setFileHash(null);
+    fileFingerprint(file)
+      .then(hash => { if (!cancelled) setFileHash(hash); })
+      .catch(err => console.warn('Could not fingerprint file:', err));
+    return () => { cancelled = true; };
+  }, [file]);
+
+  // Record the prediction so accuracy can be tracked once the print finishes -
+  // once per file, after the printer profiles are in; picking another printer
+  // re-simulates but doesn't add another sample
+  useEffect(() => {
+    if (!fileHash || !profilesLoaded || recordedSamples.has(fileHash)) return;
+    if (!simulation || simulatedWith !== kinematics || !analysis?.time.slicerSeconds) return;
+
+    recordedSamples.add(fileHash);
+    const comparison = compareWithSlicer(simulation, analysis.time.slicerSeconds);
+    api.post('/estimation/accuracy', {
+      file_hash: fileHash,
+      filename: analysis.filename,
+      printer_name: selectedPrinter || null,
+      method: 'kinematic',
+      kinematics_source: kinematics.source,
+      predicted_seconds: Math.round(simulation.time_s),
+      slicer_seconds: Math.round(analysis.time.slicerSeconds),
+      naive_seconds: Math.round(analysis.time.naiveSeconds),
+      deviation_pct: comparison.deviation_pct,
+    })
+      .then(fetchAccuracy)
+      .catch(err => {
+        recordedSamples.delete(fileHash);
+        console.warn('Could not record estimate:', err);
+      });
+  }, [fileHash, profilesLoaded, simulation, simulatedWith, kinematics, analysis, selectedPrinter, fetchAccuracy]);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile && (droppedFile.name.endsWith('.gcode') || droppedFile.name.endsWith('.g'))) {
+    if (droppedFile && isGcodeFile(droppedFile.name)) {
       processFile(droppedFile);
     } else {
       setError('Please upload a .gcode file');
@@ -62,216 +238,58 @@ function PrintTimeEstimator() {
 
   const processFile = async (gcodeFile) => {
     setFile(gcodeFile);
-    setLoading(true);
+    setAnalysis(null);
+    setSimulation(null);
     setAiLoading(true);
     setError(null);
     setAiPrediction(null);
 
+    // Call AI prediction API (local analysis runs in the effect above)
     try {
-      const text = await gcodeFile.text();
-      const result = analyzeGcode(text, gcodeFile.name);
-      setAnalysis(result);
-      setLoading(false);
-
-      // Call AI prediction API
-      try {
-        const formData = new FormData();
-        formData.append('file', gcodeFile);
-        if (selectedPrinter) {
-          formData.append('printer_name', selectedPrinter);
-        }
+      const formData = new FormData();
+      formData.append('file', gcodeFile);
+      if (selectedPrinter) {
+        formData.append('printer_name', selectedPrinter);
+      }
 
-        const response = await api.post('/estimation/analyze-gcode', formData, {
-          headers: { 'Content-Type': 'multipart/form-data' }
-        });
+      const response = await api.post('/estimation/analyze-gcode', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
 
-        if (response.data?.data?.prediction) {
-          setAiPrediction(response.data.data.prediction);
-        }
-      } catch (aiErr) {
-        console.warn('AI prediction failed, using local analysis:', aiErr);
-        // Fall back to local analysis - don't show error
+      if (response.data?.data?.prediction) {
+        setAiPrediction(response.data.data.prediction);
       }
-    } catch (err) {
-      setError('Failed to analyze file: ' + err.message);
-      setLoading(false);
+    } catch (aiErr) {
+      console.warn('AI prediction failed, using local analysis:', aiErr);
+      // Fall back to local analysis - don't show error
     } finally {
       setAiLoading(false);
     }
   };
 
-  const analyzeGcode = (content, filename) => {
-    const lines = content.split('\n');
-    
-    // Initialize stats
-    let totalE = 0;
-    let maxX = 0, maxY = 0, maxZ = 0;
-    let minX = Infinity, minY = Infinity;
-    let layerCount = 0;
-    let currentLayer = 0;
-    let totalDistance = 0;
-    let lastX = 0, lastY = 0, lastZ = 0;
-    let printMoves = 0;
-    let travelMoves = 0;
-    let estimatedSeconds = 0;
-    let feedrate = 0;
-    
-    // Slicer detection
-    let slicer = 'Unknown';
-    let slicerVersion = '';
-    let estimatedTime = null;
-    let filamentUsed = null;
-
-    // Parse header comments for slicer info
-    for (let i = 0; i < Math.min(100, lines.length); i++) {
-      const line = lines[i];
-      
-      if (line.includes('PrusaSlicer') || line.includes('Prusa Slicer')) {
-        slicer = 'PrusaSlicer';
-      } else if (line.includes('Cura') || line.includes('Ultimaker')) {
-        slicer = 'Cura';
-      } else if (line.includes('OrcaSlicer') || line.includes('Orca')) {
-        slicer = 'OrcaSlicer';
-      } else if (line.includes('SuperSlicer')) {
-        slicer = 'SuperSlicer';
-      } else if (line.includes('Bambu Studio')) {
-        slicer = 'Bambu Studio';
-      } else if (line.includes('Simplify3D')) {
-        slicer = 'Simplify3D';
-      }
-
-      // Extract estimated time from comments
-      const timeMatch = line.match(/estimated.*?(\d+)\s*h.*?(\d+)\s*m/i) ||
-                       line.match(/TIME:(\d+)/i) ||
-                       line.match(/print.*?time.*?(\d+):(\d+)/i);
-      if (timeMatch) {
-        if (timeMatch[2]) {
-          estimatedTime = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60;
-        } else {
-          estimatedTime = parseInt(timeMatch[1]);
-        }
-      }
-
-      // Extract filament usage
-      const filamentMatch = line.match(/filament\s*used.*?(\d+\.?\d*)\s*(m|mm|g)/i);
-      if (filamentMatch) {
-        filamentUsed = {
-          value: parseFloat(filamentMatch[1]),
-          unit: filamentMatch[2]
-        };
-      }
-    }
-
-    // Parse G-code moves
-    for (const line of lines) {
-      if (line.startsWith(';') || line.trim() === '') continue;
-      
-      // Layer change detection
-      if (line.includes('LAYER:') || line.includes('layer:') || line.includes(';Z:')) {
-        layerCount++;
-      }
-
-      // Parse G0/G1 moves
-      const moveMatch = line.match(/^G[01]\s+(.+)/);
-      if (moveMatch) {
-        const params = moveMatch[1];
-        
-        const xMatch = params.match(/X([\d.]+)/);
-        const yMatch = params.match(/Y([\d.]+)/);
-        const zMatch = params.match(/Z([\d.]+)/);
-        const eMatch = params.match(/E([\d.]+)/);
-        const fMatch = params.match(/F([\d.]+)/);
-        
-        if (fMatch) feedrate = parseFloat(fMatch[1]);
-        
-        const newX = xMatch ? parseFloat(xMatch[1]) : lastX;
-        const newY = yMatch ? parseFloat(yMatch[1]) : lastY;
-        const newZ = zMatch ? parseFloat(zMatch[1]) : lastZ;
-        const newE = eMatch ? parseFloat(eMatch[1]) : 0;
-        
-        // Calculate move distance
-        const dx = newX - lastX;
-        const dy = newY - lastY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance > 0.001) {
-          totalDistance += distance;
-          
-          if (newE > 0) {
-            printMoves++;
-            totalE += newE;
-          } else {
-            travelMoves++;
-          }
-          
-          // Estimate time based on feedrate
-          if (feedrate > 0) {
-            estimatedSeconds += (distance / (feedrate / 60));
-          }
-        }
-        
-        // Track bounds
-        if (newX !== lastX || newY !== lastY) {
-          maxX = Math.max(maxX, newX);
-          maxY = Math.max(maxY, newY);
-          minX = Math.min(minX, newX);
-          minY = Math.min(minY, newY);
-        }
-        if (newZ > lastZ) {
-          maxZ = Math.max(maxZ, newZ);
-          currentLayer++;
-        }
-        
-        lastX = newX;
-        lastY = newY;
-        lastZ = newZ;
-      }
+  const comparison = useMemo(() => (
+    simulation && analysis ? compareWithSlicer(simulation, analysis.time.slicerSeconds) : null
+  ), [simulation, analysis]);
+
+  // Per-layer chart bars, neighbouring layers summed when there are many
+  const layerBars = useMemo(() => {
+    if (!comparison || comparison.layers.length === 0) return [];
+    const perBar = Math.ceil(comparison.layers.length / MAX_LAYER_BARS);
+    const bars = [];
+    for (let i = 0; i < comparison.layers.length; i += perBar) {
+      const group = comparison.layers.slice(i, i + perBar);
+      const slicerTimes = group.filter(l => l.slicer_s !== null);
+      bars.push({
+        from: i + 1,
+        to: i + group.length,
+        simulated_s: group.reduce((sum, l) => sum + l.simulated_s, 0),
+        slicer_s: slicerTimes.length ? slicerTimes.reduce((sum, l) => sum + l.slicer_s, 0) : null,
+      });
     }
+    return bars;
+  }, [comparison]);
 
-    // Calculate print dimensions
-    const printWidth = maxX - (minX === Infinity ? 0 : minX);
-    const printDepth = maxY - (minY === Infinity ? 0 : minY);
-    const printHeight = maxZ;
-
-    // Estimate filament in meters (assuming 1.75mm filament)
-    const filamentMeters = totalE / 1000;
-    const filamentGrams = filamentMeters * 3.14159 * (0.875 * 0.875) * 1.24; // PLA density
-
-    // Use slicer's estimate if available, otherwise use calculated
-    const finalTimeSeconds = estimatedTime || estimatedSeconds;
-    const hours = Math.floor(finalTimeSeconds / 3600);
-    const minutes = Math.floor((finalTimeSeconds % 3600) / 60);
-
-    return {
-      filename,
-      slicer,
-      lineCount: lines.length,
-      layerCount: layerCount || currentLayer,
-      dimensions: {
-        width: printWidth.toFixed(1),
-        depth: printDepth.toFixed(1),
-        height: printHeight.toFixed(1),
-      },
-      filament: {
-        meters: filamentMeters.toFixed(2),
-        grams: filamentGrams.toFixed(1),
-        fromSlicer: filamentUsed,
-      },
-      time: {
-        seconds: finalTimeSeconds,
-        formatted: `${hours}h ${minutes}m`,
-        hours: hours,
-        minutes: minutes,
-        fromSlicer: estimatedTime !== null,
-      },
-      moves: {
-        total: printMoves + travelMoves,
-        print: printMoves,
-        travel: travelMoves,
-      },
-      totalDistance: (totalDistance / 1000).toFixed(2), // in meters
-    };
-  };
+  const maxBarSeconds = Math.max(1, ...layerBars.map(b => Math.max(b.simulated_s, b.slicer_s || 0)));
 
   const formatBytes = (bytes) => {
     if (bytes < 1024) return bytes + ' B';
@@ -286,6 +304,9 @@ function PrintTimeEstimator() {
         {accuracyStats && accuracyStats.total_predictions > 0 && (
           <div className="text-sm text-gray-500">
             AI Accuracy: <span className="font-medium text-green-600">{accuracyStats.within_10pct?.toFixed(0)}%</span> within 10%
+            {accuracyStats.by_method?.kinematic?.total_predictions > 0 && (
+              <> • Kinematic: <span className="font-medium text-blue-600">{accuracyStats.by_method.kinematic.within_10pct?.toFixed(0)}%</span></>
+            )}
           </div>
         )}
       </div>
@@ -339,7 +360,7 @@ function PrintTimeEstimator() {
               Browse Files
               <input
                 type="file"
-                accept=".gcode,.g"
+                accept={GCODE_FILE_ACCEPT}
                 onChange={handleFileSelect}
                 className="hidden"
               />
@@ -402,9 +423,9 @@ function PrintTimeEstimator() {
                 <>
                   <p className="text-sm opacity-75 mb-1">Estimated Print Time</p>
                   <p className="text-4xl font-bold">{analysis.time.formatted}</p>
-                  {analysis.time.fromSlicer && (
-                    <p className="text-xs opacity-75 mt-2">From slicer metadata</p>
-                  )}
+                  <p className="text-xs opacity-75 mt-2">
+                    {analysis.time.fromSlicer ? 'From slicer metadata' : 'Kinematic simulation'}
+                  </p>
                 </>
               )}
             </div>
@@ -424,6 +445,112 @@ function PrintTimeEstimator() {
             )}
           </div>
 
+          {/* Kinematic Simulation */}
+          {simulation && comparison && (
+            <div className="bg-blue-50 rounded-lg p-4">
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <h4 className="font-medium text-blue-800">🏎️ Kinematic Simulation</h4>
+                  <p className="text-xs text-gray-500">
+                    {kinematics.max_accel} mm/s² • {kinematics.max_velocity} mm/s •{' '}
+                    {kinematics.square_corner_velocity
+                      ? `SCV ${kinematics.square_corner_velocity} mm/s`
+                      : kinematics.junction_deviation
+                        ? `JD ${kinematics.junction_deviation} mm`
+                        : `jerk ${kinematics.jerk} mm/s`}
+                    {' '}({kinematics.source === 'profile' ? 'printer profile' : kinematics.source === 'preset' ? 'printer type preset' : 'generic defaults'})
+                    {simulation.totals.accel_changes > 0 && ` • ${simulation.totals.accel_changes} accel changes in file`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="text-2xl font-bold text-blue-700">{formatDuration(simulation.time_s)}</p>
+                  {comparison.deviation_pct !== null && (
+                    <p className={`text-xs ${Math.abs(comparison.deviation_pct) <= 10 ? 'text-green-600' : 'text-orange-600'}`}>
+                      {comparison.deviation_pct >= 0 ? '+' : ''}{comparison.deviation_pct.toFixed(1)}% vs slicer ({formatDuration(comparison.slicer_s)})
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-400">Distance / feedrate: {formatDuration(analysis.time.naiveSeconds)}</p>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-4 gap-2 text-center mb-3">
+                <div>
+                  <p className="text-lg font-bold text-blue-600">{formatDuration(simulation.totals.print_s)}</p>
+                  <p className="text-xs text-gray-500">Printing</p>
+                </div>
+                <div>
+                  <p className="text-lg font-bold text-blue-600">{formatDuration(simulation.totals.travel_s)}</p>
+                  <p className="text-xs text-gray-500">Travel</p>
+                </div>
+                <div>
+                  <p className="text-lg font-bold text-blue-600">{formatDuration(simulation.totals.retract_s)}</p>
+                  <p className="text-xs text-gray-500">Retractions</p>
+                </div>
+                <div>
+                  <p className="text-lg font-bold text-blue-600">{formatDuration(simulation.totals.dwell_s)}</p>
+                  <p className="text-xs text-gray-500">Dwells</p>
+                </div>
+              </div>
+
+              {/* Per-layer time */}
+              {layerBars.length > 0 && (
+                <div className="mb-3">
+                  <div className="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>Time per layer</span>
+                    {layerBars.some(b => b.slicer_s !== null) && (
+                      <span><span className="inline-block w-2 h-2 bg-blue-500 rounded-sm" /> simulated <span className="inline-block w-2 h-2 bg-gray-300 rounded-sm ml-2" /> slicer (M73)</span>
+                    )}
+                  </div>
+                  <div className="flex items-end gap-px h-24 bg-white rounded p-1">
+                    {layerBars.map(bar => (
+                      <div
+                        key={bar.from}
+                        className="flex-1 flex items-end gap-px h-full"
+                        title={`Layer ${bar.from}${bar.to > bar.from ? `–${bar.to}` : ''}: ${formatDuration(bar.simulated_s)}${bar.slicer_s !== null ? ` (slicer ${formatDuration(bar.slicer_s)})` : ''}`}
+                      >
+                        <div className="flex-1 bg-blue-500 rounded-t-sm" style={{ height: `${(bar.simulated_s / maxBarSeconds) * 100}%` }} />
+                        {bar.slicer_s !== null && (
+                          <div className="flex-1 bg-gray-300 rounded-t-sm" style={{ height: `${(bar.slicer_s / maxBarSeconds) * 100}%` }} />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Per-feature time */}
+              {analysis.features.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-gray-500 text-left">
+                      <th className="font-medium py-1">Feature</th>
+                      <th className="font-medium py-1 text-right">Distance / feedrate</th>
+                      <th className="font-medium py-1 text-right">Simulated</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analysis.features.map(f => (
+                      <tr key={f.id} className="border-t border-blue-100">
+                        <td className="py-1 flex items-center gap-2">
+                          <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: FEATURE_TYPES[f.id]?.color }} />
+                          {FEATURE_TYPES[f.id]?.label || f.id}
+                        </td>
+                        <td className="py-1 text-right text-gray-500">{formatDuration(f.time_s)}</td>
+                        <td className="py-1 text-right font-medium">{formatDuration(simulation.features[f.id] || 0)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {simulation.totals.heating_waits > 0 && (
+                <p className="text-xs text-gray-400 mt-2">
+                  Heat-up waits ({simulation.totals.heating_waits}) are not included.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* AI Breakdown */}
           {aiPrediction?.breakdown && (
             <div className="bg-purple-50 rounded-lg p-4">
@@ -499,7 +626,7 @@ function PrintTimeEstimator() {
           {/* Move Stats */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h4 className="font-medium mb-2">🎯 Move Statistics</h4>
-            <div className="grid grid-cols-3 gap-4 text-center">
+            <div className="grid grid-cols-4 gap-4 text-center">
               <div>
                 <p className="text-lg font-bold">{analysis.moves.total.toLocaleString()}</p>
                 <p className="text-xs text-gray-500">Total Moves</p>
@@ -512,12 +639,39 @@ function PrintTimeEstimator() {
                 <p className="text-lg font-bold text-gray-500">{analysis.moves.travel.toLocaleString()}</p>
                 <p className="text-xs text-gray-500">Travel Moves</p>
               </div>
+              <div>
+                <p className="text-lg font-bold text-orange-600">{analysis.moves.retractions.toLocaleString()}</p>
+                <p className="text-xs text-gray-500">Retractions</p>
+              </div>
             </div>
           </div>
 
+          {/* Feature Breakdown */}
+          {analysis.features.length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="font-medium mb-2">🧱 Extrusion by Feature</h4>
+              <div className="space-y-1">
+                {analysis.features.map(f => {
+                  const total = analysis.features.reduce((sum, x) => sum + x.extrusion_mm, 0) || 1;
+                  const share = (f.extrusion_mm / total) * 100;
+                  return (
+                    <div key={f.id} className="flex items-center gap-2 text-sm">
+                      <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: FEATURE_TYPES[f.id]?.color }} />
+                      <span className="w-36 text-gray-600">{FEATURE_TYPES[f.id]?.label || f.id}</span>
+                      <div className="flex-1 bg-gray-200 rounded-full h-2">
+                        <div className="h-2 rounded-full" style={{ width: `${share}%`, backgroundColor: FEATURE_TYPES[f.id]?.color }} />
+                      </div>
+                      <span className="w-12 text-right text-gray-500">{share.toFixed(0)}%</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Clear Button */}
           <button
-            onClick={() => { setFile(null); setAnalysis(null); setAiPrediction(null); }}
+            onClick={() => { setFile(null); setAnalysis(null); setSimulation(null); setAiPrediction(null); }}
             className="w-full py-2 bg-gray-100 text-gray-600 rounded-lg hover:bg-gray-200"
           >
             Analyze Another File
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useMemo, useCallback } from "react";
 import { api, unwrap } from "../services/api";
 import { useLivePrinters } from "../hooks/useWebSocket";
 import { useLanguage } from "../i18n";
+import TelemetryHistory from "./TelemetryHistory";
 
 function normalizeProgress(raw) {
   if (raw === null || raw === undefined) return 0;
@@ -27,6 +28,7 @@ function PrinterDashboard() {
   const [loading, setLoading] = useState(true);
 
   const [selectedPrinter, setSelectedPrinter] = useState(null);
+  const [historyPrinter, setHistoryPrinter] = useState(null);
   const [actionLoading, setActionLoading] = useState(null);
   const [error, setError] = useState(null);
 
@@ -591,6 +593,14 @@ function PrinterDashboard() {
                   </>
                 )}
 
+                <button
+                  onClick={() => setHistoryPrinter(p.name)}
+                  className="px-3 py-1.5 text-sm bg-gray-800 text-zinc-400 border border-gray-700 rounded-lg hover:bg-gray-700"
+                  title={t('printers.history')}
+                >
+                  📈
+                </button>
+
                 <button
                   onClick={() => setSelectedPrinter(selectedPrinter === p.name ? null : p.name)}
                   className="px-3 py-1.5 text-sm bg-gray-800 text-zinc-400 border border-gray-700 rounded-lg hover:bg-gray-700"
@@ -622,6 +632,15 @@ function PrinterDashboard() {
         </div>
       )}
 
+      {/* Telemetry History */}
+      {historyPrinter && (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+          <div className="w-full max-w-6xl max-h-[90vh] overflow-y-auto">
+            <TelemetryHistory printerName={historyPrinter} onClose={() => setHistoryPrinter(null)} />
+          </div>
+        </div>
+      )}
+
       {/* Quick Help */}
       <div 
         className="rounded-xl border p-6"
@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useCollection } from '../hooks/useCollection';
+import { newMacroId, printerTagsByName, savePrinterTags } from '../services/fleetMacros';
+import { describeGroup, groupMembers, groupOptions, printerTagsOf } from '../utils/fleetMacros';
+import { sanitizeText } from '../utils/sanitization';
+import toast from '../utils/toast';
+
+const EMPTY_GROUP = { name: '', tags: [], types: [], locations: [] };
+
+// Pick any number of values from a list
+function ChipPicker({ label, options, value, onChange }) {
+  const toggle = (option) => onChange(value.includes(option) ? value.filter(v => v !== option) : [...value, option]);
+  return (
+    <div>
+      <p className="text-xs text-slate-400 mb-1">{label}</p>
+      {options.length === 0 ? (
+        <p className="text-xs text-slate-500">None in the fleet yet</p>
+      ) : (
+        <div className="flex flex-wrap gap-1.5">
+          {options.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => toggle(option)}
+              className={`px-2.5 py-1 rounded text-xs font-medium ${
+                value.includes(option) ? 'bg-purple-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ChipPicker.propTypes = {
+  label: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * PrinterGroups - Groups of printers by tag, type and location for fleet
+ * macros, and the tags given to printers in this browser
+ */
+function PrinterGroups({ printers = [], canEdit = false }) {
+  const { items: groups, save } = useCollection('printer_groups');
+  const { items: tagRecords } = useCollection('printer_tags');
+  const localTags = useMemo(() => printerTagsByName(tagRecords), [tagRecords]);
+  const [editing, setEditing] = useState(null);
+
+  const options = useMemo(() => groupOptions(printers, localTags), [printers, localTags]);
+  const members = editing ? groupMembers(editing, printers, localTags) : [];
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      toast.error('Give the group a name');
+      return;
+    }
+    const group = { ...editing, name: editing.name.trim(), id: editing.id || newMacroId('group') };
+    const exists = groups.some(g => g.id === group.id);
+    await save(exists ? groups.map(g => (g.id === group.id ? group : g)) : [...groups, group]);
+    toast.success(`Group "${group.name}" saved`);
+    setEditing(null);
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete group "${group.name}"?`)) return;
+    await save(groups.filter(g => g.id !== group.id));
+  };
+
+  const updateTags = (name, text) => {
+    const tags = text.split(',').map(t => t.trim()).filter(Boolean);
+    if (tags.join(',') === (localTags[name] || []).join(',')) return;
+    savePrinterTags(name, tags).catch(err => toast.error(`Could not save tags: ${err.message}`));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Groups */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-medium text-slate-300">🗂️ Printer Groups</h3>
+          {canEdit && !editing && (
+            <button
+              onClick={() => setEditing({ ...EMPTY_GROUP })}
+              className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700"
+            >
+              + New Group
+            </button>
+          )}
+        </div>
+
+        {editing && (
+          <div className="border border-purple-700 rounded-lg p-4 bg-slate-800/50 space-y-3">
+            <input
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              placeholder="Group name, e.g. Bambu room"
+              className="w-full bg-slate-700 border border-slate-600 text-white rounded-lg px-3 py-2 text-sm"
+            />
+            <ChipPicker label="Tagged (any of)" options={options.tags} value={editing.tags} onChange={(tags) => setEditing({ ...editing, tags })} />
+            <ChipPicker label="Type (any of)" options={options.types} value={editing.types} onChange={(types) => setEditing({ ...editing, types })} />
+            <ChipPicker
+              label="Location (any of)"
+              options={options.locations}
+              value={editing.locations}
+              onChange={(locations) => setEditing({ ...editing, locations })}
+            />
+            <p className="text-xs text-slate-400">
+              {members.length} printer{members.length === 1 ? '' : 's'}: {members.map(p => p.name).join(', ') || 'none'}
+            </p>
+            <div className="flex gap-2">
+              <button onClick={handleSave} className="px-4 py-1.5 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700">
+                Save
+              </button>
+              <button onClick={() => setEditing(null)} className="px-4 py-1.5 bg-slate-700 text-slate-300 rounded-lg text-sm hover:bg-slate-600">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {groups.length === 0 && !editing ? (
+          <p className="text-sm text-slate-500">No groups yet - macros can still run on all printers or a hand-picked few.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {groups.map(group => (
+              <div key={group.id} className="border border-slate-700 rounded-lg p-3 bg-slate-800/50">
+                <div className="flex items-center justify-between">
+                  <h4 className="font-medium text-white">{sanitizeText(group.name)}</h4>
+                  {canEdit && (
+                    <div className="flex gap-2 text-xs">
+                      <button onClick={() => setEditing({ ...EMPTY_GROUP, ...group })} className="text-slate-400 hover:text-white">Edit</button>
+                      <button onClick={() => handleDelete(group)} className="text-red-400 hover:text-red-300">Delete</button>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-slate-400">{describeGroup(group)}</p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {groupMembers(group, printers, localTags).map(p => p.name).join(', ') || 'No printers match'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Tags */}
+      <div className="space-y-3">
+        <h3 className="font-medium text-slate-300">🏷️ Printer Tags</h3>
+        <p className="text-xs text-slate-500">Comma separated. Tags set here are kept in this browser.</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {printers.map(printer => {
+            // Tags the printer already carries from the server
+            const own = printerTagsOf(printer);
+            return (
+              <label key={printer.name} className="flex items-center gap-3 text-sm">
+                <span className="w-40 truncate text-slate-300">{printer.name}</span>
+                <input
+                  // Remount when the stored tags arrive or change in another tab
+                  key={(localTags[printer.name] || []).join(',')}
+                  defaultValue={(localTags[printer.name] || []).join(', ')}
+                  onBlur={(e) => updateTags(printer.name, e.target.value)}
+                  disabled={!canEdit}
+                  placeholder="e.g. night-shift, abs"
+                  className="flex-1 bg-slate-700 border border-slate-600 text-white rounded px-2 py-1 text-sm disabled:opacity-50"
+                />
+                {own.length > 0 && <span className="text-xs text-slate-500">+ {own.join(', ')}</span>}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+PrinterGroups.propTypes = {
+  printers: PropTypes.arrayOf(PropTypes.object),
+  canEdit: PropTypes.bool,
+};
+
+export default PrinterGroups;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { api } from '../services/api';
+import FleetMacros from './FleetMacros';
 
 const toast = {
   success: (msg) => {
@@ -40,6 +41,7 @@ function PrinterToolsEnhanced({ printers = [], onRefresh }) {
     { id: 'quick', label: 'Quick Actions', icon: '⚡' },
     { id: 'slice', label: 'Slice & Print', icon: '🚀' },
     { id: 'calibrate', label: 'Calibration', icon: '🔧' },
+    { id: 'macros', label: 'Fleet Macros', icon: '🧩' },
   ];
 
   const handleQuickPreheat = async (printerName) => {
@@ -282,6 +284,12 @@ function PrinterToolsEnhanced({ printers = [], onRefresh }) {
             <CalibrationContent printers={displayPrinters} onRefresh={onRefresh} />
           </div>
         )}
+
+        {activeTab === 'macros' && (
+          <div className="p-6">
+            <FleetMacros printers={displayPrinters} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -11,6 +11,8 @@ import { api } from '../services/api';
 import PrinterDashboard from './PrinterDashboard';
 import PrinterTools from './PrinterTools';
 import PrinterCameraGrid from './BambuCameraView';
+import TelemetryHistory from './TelemetryHistory';
+import FleetMacros from './FleetMacros';
 
 export default function PrintersTabContent() {
   const { t } = useLanguage();
@@ -88,7 +90,9 @@ export default function PrintersTabContent() {
   const subTabs = [
     { id: 'dashboard', nameKey: 'nav.dashboard', icon: '🖨️' },
     { id: 'tools', label: 'Tools', icon: '🔧' },
+    { id: 'macros', label: 'Macros', icon: '🧩' },
     { id: 'cameras', nameKey: 'nav.cameras', icon: '📷' },
+    { id: 'history', nameKey: 'printers.history', icon: '📈' },
   ];
 
   return (
@@ -145,13 +149,23 @@ export default function PrintersTabContent() {
         />
       )}
 
+      {/* Fleet Macros Tab */}
+      {printersSubTab === 'macros' && printers.length > 0 && (
+        <FleetMacros printers={printers} />
+      )}
+
       {/* Cameras Tab */}
       {printersSubTab === 'cameras' && (
         <PrinterCameraGrid />
       )}
 
+      {/* Telemetry History Tab */}
+      {printersSubTab === 'history' && (
+        <TelemetryHistory printerName={printers[0]?.name} />
+      )}
+
       {/* Empty state */}
-      {printers.length === 0 && !loading && printersSubTab !== 'dashboard' && (
+      {printers.length === 0 && !loading && !['dashboard', 'history'].includes(printersSubTab) && (
         <div className="text-center py-8 text-slate-400">
           <div className="text-3xl mb-2">📡</div>
           <p>No printers registered</p>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../services/api';
+import { moveOrder } from '../services/orderWorkflow';
 
 /**
  * QCChecklist - Quality Control checklist before shipping orders
@@ -92,17 +92,15 @@ function QCChecklist({ order, onComplete, onClose }) {
         completed_at: new Date().toISOString(),
       };
 
-      // Update order status to ready
-      await api.updateOrder(order.order_id || order.id, {
-        status: 'ready',
-        qc_result: qcData,
-        qc_notes: notes,
+      // Move the order to ready - runs that stage's actions (invoice, email)
+      await moveOrder(order, 'ready', {
+        patch: { qc_result: qcData, qc_notes: notes },
       });
 
       onComplete?.('passed', qcData);
     } catch (err) {
       console.error('Failed to complete QC:', err);
-      alert('Failed to save QC results');
+      alert(`Failed to save QC results: ${err?.message || err}`);
     } finally {
       setLoading(false);
     }
@@ -126,12 +124,10 @@ function QCChecklist({ order, onComplete, onClose }) {
         completed_at: new Date().toISOString(),
       };
 
-      // Update order status back to in_progress for reprint
-      await api.updateOrder(order.order_id || order.id, {
-        status: 'in_progress',
-        qc_result: qcData,
-        qc_notes: notes,
-        needs_reprint: true,
+      // Send the order back to in_progress and queue the reprint
+      await moveOrder(order, 'in_progress', {
+        patch: { qc_result: qcData, qc_notes: notes, needs_reprint: true },
+        runActions: true,
       });
 
       onComplete?.('failed', qcData);
@@ -2,6 +2,7 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { api, unwrap } from '../services/api';
 import { formatErrorMessage, logError } from '../utils/apiSafety';
 import toast from '../utils/toast';
+import { createOrderItem, orderFieldsFromItems } from '../utils/orderItems';
 import { useLanguage } from '../i18n';
 
 const QuoteCalculator = () => {
@@ -23,6 +24,7 @@ const QuoteCalculator = () => {
     client_discount: 0,
     quantity: 1,
     item_name: '',
+    color: '',
     notes: '',
   });
   const [result, setResult] = useState(null);
@@ -36,6 +38,8 @@ const QuoteCalculator = () => {
   const [orderFilePath, setOrderFilePath] = useState('');
   const [availableFiles, setAvailableFiles] = useState([]);
   const [creatingOrder, setCreatingOrder] = useState(false);
+  // Quoted parts waiting to go into one order with the current quote
+  const [orderLines, setOrderLines] = useState([]);
 
   const loadData = async () => {
     setLoading(true);
@@ -266,6 +270,74 @@ const QuoteCalculator = () => {
     setShowCreateOrder(true);
   };
 
+  const quoteOf = (r, quantity) => ({
+    unit_price: r.unit_price,
+    subtotal: r.subtotal,
+    vat_rate: r.vat_rate,
+    vat_amount: r.vat_amount,
+    total: r.total,
+    material_cost: r.material_cost,
+    machine_cost: r.machine_cost,
+    labor_cost: r.labor_cost,
+    base_cost: r.base_cost,
+    complexity_multiplier: r.complexity_multiplier,
+    rush_fee: r.rush_fee,
+    discount_amount: r.discount_amount,
+    estimated_profit: r.estimated_profit || (r.subtotal - r.base_cost * quantity),
+  });
+
+  // The current quote as an order line
+  const lineFromResult = (name, filePath) => {
+    const quantity = Number(formData.quantity) || 1;
+    return createOrderItem({
+      name,
+      file_path: filePath || '',
+      material: formData.material_type,
+      color: formData.color.trim(),
+      quantity,
+      unit_price: result.unit_price,
+      total: result.total,
+      weight_g: Number(formData.material_weight_g) || 0,
+      print_time_hours: Number(formData.print_time_hours) || 0,
+      complexity: formData.complexity,
+      quote: quoteOf(result, quantity),
+    });
+  };
+
+  const resetPartFields = () => {
+    setFormData(prev => ({
+      ...prev,
+      material_weight_g: '',
+      print_time_hours: '',
+      quantity: 1,
+      item_name: '',
+      color: '',
+    }));
+  };
+
+  // Keep the quoted part and quote the next one for the same order
+  const addToOrder = () => {
+    const name = formData.item_name.trim();
+    if (!name) {
+      toast.error(t('quote.jobName') + ' required');
+      return;
+    }
+    setOrderLines(prev => [...prev, lineFromResult(name, '')]);
+    toast.success(`${t('quote.lineItems')}: ${orderLines.length + 1}`);
+    setResult(null);
+    resetPartFields();
+  };
+
+  const updateOrderLine = (id, patch) => {
+    setOrderLines(prev => prev.map(line => (line.id === id ? { ...line, ...patch } : line)));
+  };
+
+  const removeOrderLine = (id) => {
+    setOrderLines(prev => prev.filter(line => line.id !== id));
+  };
+
+  const linesTotal = orderLines.reduce((sum, line) => sum + (Number(line.total) || 0), 0);
+
   const createOrder = async () => {
     if (!orderItemName.trim()) {
       toast.error(t('quote.jobName') + ' required');
@@ -274,40 +346,42 @@ const QuoteCalculator = () => {
 
     setCreatingOrder(true);
     try {
+      const lines = [...orderLines, lineFromResult(orderItemName.trim(), orderFilePath)];
+      const sumQuote = (key) => lines.reduce((sum, line) => sum + (Number(line.quote[key]) || 0), 0);
+      const quote = lines.length === 1
+        ? lines[0].quote
+        : {
+            subtotal: sumQuote('subtotal'),
+            vat_rate: result.vat_rate,
+            vat_amount: sumQuote('vat_amount'),
+            total: sumQuote('total'),
+            material_cost: sumQuote('material_cost'),
+            machine_cost: sumQuote('machine_cost'),
+            labor_cost: sumQuote('labor_cost'),
+            rush_fee: sumQuote('rush_fee'),
+            discount_amount: sumQuote('discount_amount'),
+            estimated_profit: sumQuote('estimated_profit'),
+          };
+
       const orderData = {
         client_id: result.clientId,
         client_name: result.clientName,
-        item_name: orderItemName.trim(),
-        material_type: formData.material_type,
-        quantity: formData.quantity,
+        ...orderFieldsFromItems(lines),
         complexity: formData.complexity,
         rush_order: formData.rush_order,
         notes: formData.notes,
-        file_path: orderFilePath || null, // Can be empty
-        quote: {
-          unit_price: result.unit_price,
-          subtotal: result.subtotal,
-          vat_rate: result.vat_rate,
-          vat_amount: result.vat_amount,
-          total: result.total,
-          material_cost: result.material_cost,
-          machine_cost: result.machine_cost,
-          labor_cost: result.labor_cost,
-          base_cost: result.base_cost,
-          complexity_multiplier: result.complexity_multiplier,
-          rush_fee: result.rush_fee,
-          discount_amount: result.discount_amount,
-          estimated_profit: result.estimated_profit || (result.subtotal - result.base_cost * formData.quantity),
-        },
+        file_path: lines[0].file_path || null, // Can be empty
+        quote,
         status: 'quoted',
         payment_status: 'pending',
       };
 
       await api.createOrder(orderData);
       
-      toast.success(`${t('common.create')}: "${orderItemName}"!`);
+      toast.success(`${t('common.create')}: "${orderData.item_name}"!`);
       setShowCreateOrder(false);
       setResult(null);
+      setOrderLines([]);
       
       // Reset form for next quote
       setFormData({
@@ -319,6 +393,7 @@ const QuoteCalculator = () => {
         client_discount: 0,
         quantity: 1,
         item_name: '',
+        color: '',
         notes: '',
       });
       setOrderItemName('');
@@ -410,15 +485,27 @@ const QuoteCalculator = () => {
       </div>
 
       {/* Item Name */}
-      <div className="mb-6">
-        <label className="block text-sm font-medium text-zinc-400 mb-2">{t('quote.jobName')}</label>
-        <input
-          type="text"
-          value={formData.item_name}
-          onChange={(e) => handleInputChange('item_name', e.target.value)}
-          className="w-full p-3 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm"
-          placeholder="e.g. Phone Stand, Custom Bracket, etc."
-        />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-zinc-400 mb-2">{t('quote.jobName')}</label>
+          <input
+            type="text"
+            value={formData.item_name}
+            onChange={(e) => handleInputChange('item_name', e.target.value)}
+            className="w-full p-3 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm"
+            placeholder="e.g. Phone Stand, Custom Bracket, etc."
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-zinc-400 mb-2">{t('quote.color')}</label>
+          <input
+            type="text"
+            value={formData.color}
+            onChange={(e) => handleInputChange('color', e.target.value)}
+            className="w-full p-3 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm"
+            placeholder="e.g. Black"
+          />
+        </div>
       </div>
 
       {/* Print Parameters */}
@@ -533,6 +620,32 @@ const QuoteCalculator = () => {
         {calculating ? `⏳ ${t('common.loading')}` : `🧮 ${t('quote.calculate')}`}
       </button>
 
+      {/* Parts already added to the order */}
+      {orderLines.length > 0 && (
+        <div className="mt-6 p-4 rounded-xl border border-gray-700 bg-gray-800/50">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-medium text-white">🧾 {t('quote.lineItems')} ({orderLines.length})</h3>
+            <span className="text-sm text-green-400 font-medium">€{linesTotal.toFixed(2)}</span>
+          </div>
+          <div className="space-y-1">
+            {orderLines.map(line => (
+              <div key={line.id} className="flex items-center gap-2 text-sm">
+                <span className="flex-1 truncate text-zinc-300">{line.name}</span>
+                <span className="text-zinc-500">{[line.material, line.color].filter(Boolean).join(' ')} ×{line.quantity}</span>
+                <span className="text-zinc-400">€{Number(line.total || 0).toFixed(2)}</span>
+                <button
+                  onClick={() => removeOrderLine(line.id)}
+                  className="text-zinc-500 hover:text-red-400"
+                  title={t('common.delete')}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Quote Result */}
       {result && (
         <div className="mt-6 p-6 rounded-xl border border-purple-500/30 bg-purple-900/10">
@@ -587,6 +700,13 @@ const QuoteCalculator = () => {
             >
               ✅ {t('quote.createJob')}
             </button>
+            <button
+              onClick={addToOrder}
+              className="px-6 py-3 bg-purple-600 hover:bg-purple-500 text-white rounded-lg font-medium transition"
+              title="Quote another part for the same order"
+            >
+              ➕ {t('quote.addToOrder')}
+            </button>
             <button
               onClick={() => setResult(null)}
               className="px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-medium transition"
@@ -600,10 +720,36 @@ const QuoteCalculator = () => {
       {/* Create Order Modal */}
       {showCreateOrder && (
         <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50">
-          <div className="bg-gray-900 border border-gray-700 rounded-xl p-6 max-w-md w-full mx-4">
+          <div className="bg-gray-900 border border-gray-700 rounded-xl p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
             <h3 className="text-lg font-bold text-white mb-4">📦 {t('quote.createJob')}</h3>
             
             <div className="space-y-4">
+              {orderLines.length > 0 && (
+                <div className="space-y-2">
+                  <label className="block text-sm text-zinc-400">{t('quote.lineItems')}</label>
+                  {orderLines.map(line => (
+                    <div key={line.id} className="p-2 bg-gray-800/50 rounded-lg">
+                      <div className="flex justify-between text-sm mb-1">
+                        <span className="text-white truncate">{line.name} ×{line.quantity}</span>
+                        <span className="text-zinc-400">€{Number(line.total || 0).toFixed(2)}</span>
+                      </div>
+                      <select
+                        value={line.file_path}
+                        onChange={(e) => updateOrderLine(line.id, { file_path: e.target.value })}
+                        className="w-full p-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm"
+                      >
+                        <option value="">No file yet</option>
+                        {availableFiles.map(f => (
+                          <option key={f.path || f.name} value={f.path || f.name}>
+                            {f.name || f.path}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm text-zinc-400 mb-2">{t('quote.jobName')} *</label>
                 <input
@@ -641,7 +787,7 @@ const QuoteCalculator = () => {
                 </div>
                 <div className="flex justify-between text-sm">
                   <span className="text-zinc-400">{t('common.total')}:</span>
-                  <span className="text-green-400 font-bold">€{Number(result?.total || 0).toFixed(2)}</span>
+                  <span className="text-green-400 font-bold">€{(linesTotal + Number(result?.total || 0)).toFixed(2)}</span>
                 </div>
               </div>
             </div>
@@ -0,0 +1,542 @@
+import React, { useState, useMemo } from 'react';
+import { api } from '../services/api';
+import { useCollection } from '../hooks/useCollection';
+import { sanitizeText } from '../utils/sanitization';
+import { useLanguage } from '../i18n';
+import toast from '../utils/toast';
+import { DEFAULT_COMPANY, formatEstonianDate } from '../utils/estonianInvoice';
+import {
+  RECURRENCE_INTERVALS,
+  createRecurringTemplate,
+  countPendingPeriods,
+  getDueTemplates,
+  formatSequenceNumber,
+  parseDateInput,
+  getTemplateTotals,
+  findTemplateClient,
+  buildInvoiceFromTemplate,
+  advanceTemplate,
+  buildRecurringInvoiceEmail,
+} from '../utils/recurringInvoices';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('et-EE', { style: 'currency', currency: 'EUR' }).format(amount || 0);
+
+/**
+ * RecurringInvoices - Invoice templates for retainers and subscriptions
+ * Shows templates due to issue and creates the whole batch in one go
+ */
+const RecurringInvoices = ({ clients = [], onIssued }) => {
+  const { t } = useLanguage();
+  const { items: templates, save: saveTemplates } = useCollection('recurring_invoices');
+  const [expanded, setExpanded] = useState(false);
+  const [editor, setEditor] = useState(null);
+  const [batchModal, setBatchModal] = useState(false);
+  const [issuing, setIssuing] = useState(false);
+
+  const dueTemplates = useMemo(() => getDueTemplates(templates), [templates]);
+
+  const persist = (next) => saveTemplates(next)
+    .catch(err => toast.error(`Could not save the templates: ${err.message}`));
+
+  const clientLabel = (template) => {
+    const client = findTemplateClient(template, clients);
+    return sanitizeText(client?.company || client?.name || template.client_name) || t('common.unknown') || 'Unknown';
+  };
+
+  // ============================================
+  // TEMPLATE EDITING
+  // ============================================
+
+  const openEditor = (template) => {
+    setEditor(template ? { ...template, items: template.items.map(item => ({ ...item })) } : createRecurringTemplate());
+  };
+
+  const updateEditor = (patch) => setEditor(prev => ({ ...prev, ...patch }));
+
+  const updateEditorItem = (index, patch) => {
+    setEditor(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...patch } : item)),
+    }));
+  };
+
+  const handleSaveTemplate = () => {
+    if (!editor.client_id) {
+      toast.error(t('recurring.clientRequired') || 'Select a client');
+      return;
+    }
+    const items = editor.items.filter(item => item.description.trim());
+    if (items.length === 0) {
+      toast.error(t('recurring.itemsRequired') || 'Add at least one line item');
+      return;
+    }
+    if (editor.auto_email && !(editor.email_to || findTemplateClient(editor, clients)?.email)) {
+      toast.error(t('recurring.emailRequired') || 'Auto-email needs a recipient address');
+      return;
+    }
+
+    const client = findTemplateClient(editor, clients);
+    const original = templates.find(tpl => tpl.id === editor.id);
+    // Keep the month anchor unless the schedule itself was moved
+    const anchorDay = original?.anchor_day && original.next_issue_date === editor.next_issue_date
+      ? original.anchor_day
+      : parseDateInput(editor.next_issue_date).getDate();
+    const saved = {
+      ...editor,
+      name: editor.name.trim() || items[0].description,
+      client_name: client?.company || client?.name || editor.client_name || '',
+      sequence_next: Math.max(1, parseInt(editor.sequence_next, 10) || 1),
+      due_days: Math.max(0, parseInt(editor.due_days, 10) || 0),
+      anchor_day: anchorDay,
+      items,
+    };
+    persist(original ? templates.map(tpl => (tpl.id === saved.id ? saved : tpl)) : [...templates, saved]);
+    toast.success(t('recurring.saved') || 'Recurring invoice saved');
+    setEditor(null);
+    setExpanded(true);
+  };
+
+  const toggleActive = (template) => {
+    persist(templates.map(tpl => (tpl.id === template.id ? { ...tpl, active: !tpl.active } : tpl)));
+  };
+
+  const deleteTemplate = (template) => {
+    if (!window.confirm(`Delete recurring invoice "${template.name}"?`)) return;
+    persist(templates.filter(tpl => tpl.id !== template.id));
+  };
+
+  // ============================================
+  // BATCH ISSUE
+  // ============================================
+
+  const handleIssueBatch = async () => {
+    setIssuing(true);
+    let current = templates;
+    let issued = 0;
+    let emailed = 0;
+    const failures = [];
+
+    // Sequential so numbering stays in order and each success is saved
+    // immediately - a failure halfway never re-issues earlier invoices.
+    // If a save fails the batch stops, since that template would issue again.
+    for (const template of dueTemplates) {
+      const client = findTemplateClient(template, clients);
+      const invoice = buildInvoiceFromTemplate(template, client);
+      let invoiceNumber;
+      try {
+        const created = await api.createInvoice(invoice);
+        invoiceNumber = created?.invoice_number || invoice.invoice_number;
+      } catch (err) {
+        failures.push(`${template.name}: ${err.message || 'failed'}`);
+        continue;
+      }
+
+      const next = current.map(tpl => (tpl.id === template.id ? advanceTemplate(tpl, invoiceNumber) : tpl));
+      try {
+        await saveTemplates(next);
+      } catch (err) {
+        failures.push(`${invoiceNumber} was created but not recorded on "${template.name}" (${err.message}) - update the template before issuing again`);
+        break;
+      }
+      current = next;
+      issued++;
+
+      if (template.auto_email && invoice.client_email) {
+        try {
+          await api.sendInvoiceEmail(invoiceNumber, buildRecurringInvoiceEmail({ ...invoice, invoice_number: invoiceNumber }, DEFAULT_COMPANY));
+          emailed++;
+        } catch (err) {
+          failures.push(`${invoiceNumber}: ${t('recurring.emailFailed') || 'email failed'}`);
+        }
+      }
+    }
+
+    setIssuing(false);
+    setBatchModal(false);
+    if (issued > 0) {
+      toast.success(`${issued} ${t('recurring.invoicesIssued') || 'invoices issued'}${emailed ? `, ${emailed} ${t('recurring.emailed') || 'emailed'}` : ''}`);
+      onIssued?.();
+    }
+    if (failures.length > 0) {
+      toast.error(failures.join('\n'));
+    }
+  };
+
+  return (
+    <div className="rounded-xl border" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+      {/* Header */}
+      <div className="p-4 flex items-center justify-between">
+        <button
+          onClick={() => setExpanded(prev => !prev)}
+          className="flex items-center gap-2 text-white font-semibold"
+        >
+          🔁 {t('recurring.title') || 'Recurring Invoices'}
+          <span className="text-xs text-slate-500 font-normal">({templates.length})</span>
+          <span className="text-slate-500 text-sm">{expanded ? '▾' : '▸'}</span>
+        </button>
+        <button
+          onClick={() => openEditor(null)}
+          className="px-3 py-1.5 rounded-lg text-xs font-medium text-purple-300 border border-purple-500/30 hover:bg-purple-500/20 transition"
+        >
+          + {t('recurring.newTemplate') || 'New Recurring Invoice'}
+        </button>
+      </div>
+
+      {/* Due to issue */}
+      {dueTemplates.length > 0 && (
+        <div className="p-3 border-t bg-cyan-500/10 flex items-center justify-between" style={{ borderColor: '#334155' }}>
+          <div className="flex items-center gap-2 text-cyan-300 text-sm">
+            <span>📅</span>
+            <span>
+              {dueTemplates.length} {t('recurring.dueToIssue') || 'recurring invoices due to issue'}
+              {' • '}{formatCurrency(dueTemplates.reduce((sum, tpl) => sum + getTemplateTotals(tpl).total, 0))}
+            </span>
+          </div>
+          <button
+            onClick={() => setBatchModal(true)}
+            className="px-3 py-1 rounded-lg text-xs font-medium text-cyan-300 border border-cyan-500/30 hover:bg-cyan-500/20 transition"
+          >
+            {t('recurring.reviewIssue') || 'Review & Issue'}
+          </button>
+        </div>
+      )}
+
+      {/* Template list */}
+      {expanded && (
+        <div className="divide-y border-t" style={{ borderColor: '#334155' }}>
+          {templates.length === 0 ? (
+            <div className="p-6 text-center text-slate-400 text-sm">
+              {t('recurring.empty') || 'No recurring invoices yet'}
+            </div>
+          ) : (
+            templates.map(template => {
+              const pending = template.active ? countPendingPeriods(template) : 0;
+              return (
+                <div key={template.id} className={`p-4 flex items-center justify-between gap-4 ${template.active ? '' : 'opacity-50'}`}>
+                  <div className="min-w-0">
+                    <p className="font-medium text-white truncate">
+                      {template.name}
+                      {template.auto_email && <span className="ml-2 text-xs text-cyan-400">📧 auto</span>}
+                      {!template.active && <span className="ml-2 text-xs text-slate-400">⏸ {t('recurring.paused') || 'Paused'}</span>}
+                    </p>
+                    <p className="text-sm text-slate-400">
+                      {clientLabel(template)} • {t(`recurring.interval.${template.interval}`) || RECURRENCE_INTERVALS[template.interval]?.label}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4 shrink-0">
+                    <div className="text-right">
+                      <p className="font-bold text-white">{formatCurrency(getTemplateTotals(template).total)}</p>
+                      <p className={`text-xs ${pending > 0 ? 'text-cyan-400' : 'text-slate-500'}`}>
+                        {t('recurring.next') || 'Next'}: {formatEstonianDate(template.next_issue_date)} • {formatSequenceNumber(template)}
+                        {pending > 1 && ` (${pending} ${t('recurring.periodsBehind') || 'periods behind'})`}
+                      </p>
+                    </div>
+                    <button onClick={() => openEditor(template)} className="text-slate-400 hover:text-white" title={t('common.edit') || 'Edit'}>✏️</button>
+                    <button onClick={() => toggleActive(template)} className="text-slate-400 hover:text-white" title={template.active ? 'Pause' : 'Resume'}>
+                      {template.active ? '⏸' : '▶️'}
+                    </button>
+                    <button onClick={() => deleteTemplate(template)} className="text-slate-400 hover:text-red-400" title={t('common.delete') || 'Delete'}>🗑️</button>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+
+      {/* Batch confirmation */}
+      {batchModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-black/70" onClick={() => !issuing && setBatchModal(false)} />
+          <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-xl border p-6" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+            <h3 className="text-lg font-semibold text-white mb-4">
+              📅 {t('recurring.issueBatch') || 'Issue Recurring Invoices'}
+            </h3>
+            <div className="rounded-lg overflow-hidden" style={{ backgroundColor: '#0f172a' }}>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b" style={{ borderColor: '#334155' }}>
+                    <th className="text-left p-3 text-slate-400">Arve nr</th>
+                    <th className="text-left p-3 text-slate-400">{t('invoices.client') || 'Client'}</th>
+                    <th className="text-left p-3 text-slate-400">Kuupäev</th>
+                    <th className="text-right p-3 text-slate-400">Kokku</th>
+                    <th className="text-center p-3 text-slate-400">📧</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dueTemplates.map(template => {
+                    const client = findTemplateClient(template, clients);
+                    const email = template.email_to || client?.email;
+                    return (
+                      <tr key={template.id} className="border-b" style={{ borderColor: '#334155' }}>
+                        <td className="p-3 text-white font-mono">{formatSequenceNumber(template)}</td>
+                        <td className="p-3 text-slate-300">
+                          {clientLabel(template)}
+                          <p className="text-xs text-slate-500">{template.name}</p>
+                        </td>
+                        <td className="p-3 text-slate-300">{formatEstonianDate(template.next_issue_date)}</td>
+                        <td className="p-3 text-right text-white">{formatCurrency(getTemplateTotals(template).total)}</td>
+                        <td className="p-3 text-center text-xs">
+                          {template.auto_email
+                            ? (email ? <span className="text-cyan-400" title={email}>✓</span> : <span className="text-yellow-400">⚠️</span>)
+                            : <span className="text-slate-600">—</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              {t('recurring.batchHint') || 'One invoice per template is issued and each template moves to its next date. Templates further behind stay in the list.'}
+            </p>
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setBatchModal(false)}
+                disabled={issuing}
+                className="flex-1 px-4 py-2 rounded-lg border text-slate-300 hover:bg-slate-700 transition disabled:opacity-50"
+                style={{ borderColor: '#334155' }}
+              >
+                {t('common.cancel') || 'Cancel'}
+              </button>
+              <button
+                onClick={handleIssueBatch}
+                disabled={issuing}
+                className="flex-1 px-4 py-2 rounded-lg font-medium text-white transition disabled:opacity-50"
+                style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+              >
+                {issuing ? '⏳' : '✓'} {t('recurring.issueAll') || 'Issue All'} ({dueTemplates.length})
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Template editor */}
+      {editor && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <div className="absolute inset-0 bg-black/70" onClick={() => setEditor(null)} />
+          <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-xl border p-6" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+            <h3 className="text-lg font-semibold text-white mb-4">
+              🔁 {templates.some(tpl => tpl.id === editor.id) ? (t('recurring.editTemplate') || 'Edit Recurring Invoice') : (t('recurring.newTemplate') || 'New Recurring Invoice')}
+            </h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('invoices.client') || 'Client'} *</label>
+                  <select
+                    value={editor.client_id}
+                    onChange={(e) => updateEditor({ client_id: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  >
+                    <option value="">—</option>
+                    {clients.map(client => (
+                      <option key={client.client_id || client.id} value={client.client_id || client.id}>
+                        {client.company || client.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.name') || 'Name'}</label>
+                  <input
+                    type="text"
+                    value={editor.name}
+                    onChange={(e) => updateEditor({ name: e.target.value })}
+                    placeholder={t('recurring.namePlaceholder') || 'e.g. Prototyping retainer'}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.intervalLabel') || 'Interval'}</label>
+                  <select
+                    value={editor.interval}
+                    onChange={(e) => updateEditor({ interval: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  >
+                    {Object.entries(RECURRENCE_INTERVALS).map(([id, spec]) => (
+                      <option key={id} value={id}>{t(`recurring.interval.${id}`) || spec.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.nextIssue') || 'Next issue date'}</label>
+                  <input
+                    type="date"
+                    value={editor.next_issue_date}
+                    onChange={(e) => updateEditor({ next_issue_date: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.dueDays') || 'Payment term (days)'}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={editor.due_days}
+                    onChange={(e) => updateEditor({ due_days: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  />
+                </div>
+              </div>
+
+              {/* Numbering */}
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.prefix') || 'Number prefix'}</label>
+                  <input
+                    type="text"
+                    value={editor.number_prefix}
+                    onChange={(e) => updateEditor({ number_prefix: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border font-mono"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.nextSequence') || 'Next sequence'}</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={editor.sequence_next}
+                    onChange={(e) => updateEditor({ sequence_next: e.target.value })}
+                    className="w-full px-3 py-2 rounded-lg text-white border"
+                    style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">{t('recurring.nextNumber') || 'Next number'}</label>
+                  <p className="px-3 py-2 text-cyan-300 font-mono">{formatSequenceNumber(editor)}</p>
+                </div>
+              </div>
+              <p className="text-xs text-slate-500 -mt-2">
+                {t('recurring.prefixHint') || '{YYYY} and {MM} are replaced with the issue year and month.'}
+              </p>
+
+              {/* Items */}
+              <div>
+                <label className="block text-sm text-slate-400 mb-1">{t('invoices.items') || 'Items'}</label>
+                <div className="space-y-2">
+                  {editor.items.map((item, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2">
+                      <input
+                        type="text"
+                        value={item.description}
+                        onChange={(e) => updateEditorItem(index, { description: e.target.value })}
+                        placeholder="Kirjeldus"
+                        className="col-span-5 px-3 py-2 rounded-lg text-white border text-sm"
+                        style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={item.quantity}
+                        onChange={(e) => updateEditorItem(index, { quantity: e.target.value })}
+                        className="col-span-2 px-3 py-2 rounded-lg text-white border text-sm text-right"
+                        style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                      />
+                      <input
+                        type="text"
+                        value={item.unit}
+                        onChange={(e) => updateEditorItem(index, { unit: e.target.value })}
+                        className="col-span-1 px-2 py-2 rounded-lg text-white border text-sm"
+                        style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={item.unit_price}
+                        onChange={(e) => updateEditorItem(index, { unit_price: e.target.value })}
+                        className="col-span-3 px-3 py-2 rounded-lg text-white border text-sm text-right"
+                        style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                      />
+                      <button
+                        onClick={() => updateEditor({ items: editor.items.filter((_, i) => i !== index) })}
+                        disabled={editor.items.length === 1}
+                        className="col-span-1 text-slate-400 hover:text-red-400 disabled:opacity-30"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={() => updateEditor({ items: [...editor.items, { description: '', quantity: 1, unit: 'tk', unit_price: 0 }] })}
+                  className="mt-2 text-xs text-purple-300 hover:text-purple-200"
+                >
+                  + {t('recurring.addItem') || 'Add line'}
+                </button>
+                <p className="text-right text-sm text-slate-400 mt-2">
+                  {t('recurring.totalWithVat') || 'Total incl. VAT'} {getTemplateTotals(editor).vatRate}%: <span className="text-white font-bold">{formatCurrency(getTemplateTotals(editor).total)}</span>
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm text-slate-400 mb-1">{t('invoices.notes') || 'Notes'}</label>
+                <input
+                  type="text"
+                  value={editor.notes}
+                  onChange={(e) => updateEditor({ notes: e.target.value })}
+                  className="w-full px-3 py-2 rounded-lg text-white border"
+                  style={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
+                />
+              </div>
+
+              {/* Auto-email */}
+              <div className="p-3 rounded-lg" style={{ backgroundColor: '#0f172a' }}>
+                <label className="flex items-center gap-2 text-sm text-white cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={editor.auto_email}
+                    onChange={(e) => updateEditor({ auto_email: e.target.checked })}
+                  />
+                  📧 {t('recurring.autoEmail') || 'Email invoice to client when issued'}
+                </label>
+                {editor.auto_email && (
+                  <input
+                    type="email"
+                    value={editor.email_to}
+                    onChange={(e) => updateEditor({ email_to: e.target.value })}
+                    placeholder={findTemplateClient(editor, clients)?.email || 'arved@client.ee'}
+                    className="w-full mt-2 px-3 py-2 rounded-lg text-white border text-sm"
+                    style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+                  />
+                )}
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setEditor(null)}
+                className="flex-1 px-4 py-2 rounded-lg border text-slate-300 hover:bg-slate-700 transition"
+                style={{ borderColor: '#334155' }}
+              >
+                {t('common.cancel') || 'Cancel'}
+              </button>
+              <button
+                onClick={handleSaveTemplate}
+                className="flex-1 px-4 py-2 rounded-lg font-medium text-white transition"
+                style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+              >
+                ✓ {t('common.save') || 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurringInvoices;
@@ -3,22 +3,17 @@ import PropTypes from 'prop-types';
 import { api, unwrap } from '../services/api';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Html } from '@react-three/drei';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import * as THREE from 'three';
+import { analyzeMesh, rankOrientations, DEFAULT_OVERHANG_ANGLE } from '../utils/mesh';
+import { createMeshGeometry, applyIssueColors, ISSUE_COLORS } from '../utils/mesh/geometry';
+import { generateOrientationThumbnails } from '../utils/stlThumbnail';
+import { getPrinterBed } from '../utils/printerBeds';
+import { interpretGcodeFile, GCODE_FILE_ACCEPT } from '../utils/gcode';
+import PlateArranger from './PlateArranger';
+import GcodePreview from './GcodePreview';
 
 const MATERIALS = ['PLA', 'PETG', 'ABS', 'TPU', 'Nylon', 'ASA'];
 
-// Printer bed sizes (in mm)
-const PRINTER_BEDS = {
-  'bambu_p1s': { x: 256, y: 256, z: 256, name: 'Bambu P1S' },
-  'bambu_x1c': { x: 256, y: 256, z: 256, name: 'Bambu X1C' },
-  'bambu_a1': { x: 256, y: 256, z: 256, name: 'Bambu A1' },
-  'creality_k1': { x: 220, y: 220, z: 250, name: 'Creality K1' },
-  'creality_k1_max': { x: 300, y: 300, z: 300, name: 'Creality K1 Max' },
-  'ender3': { x: 220, y: 220, z: 250, name: 'Ender 3' },
-  'default': { x: 256, y: 256, z: 256, name: 'Standard' }
-};
-
 // Support types
 const SUPPORT_TYPES = [
   { value: 'none', label: 'None', icon: '❌' },
@@ -97,7 +92,7 @@ const PrinterBed = ({ bedSize }) => {
 /**
  * Model info overlay with rotation info
  */
-const ModelInfo = ({ dimensions, bedSize, rotation, onAutoRotate }) => {
+const ModelInfo = ({ dimensions, bedSize, rotation, onAutoRotate, optimizing = false }) => {
   if (!dimensions) return null;
 
   const fitsX = dimensions.x <= bedSize.x;
@@ -131,78 +126,215 @@ const ModelInfo = ({ dimensions, bedSize, rotation, onAutoRotate }) => {
         </div>
       )}
 
-      {/* Auto-rotate button */}
+      {/* Orientation optimizer button */}
       <button
         onClick={onAutoRotate}
-        className="mt-2 w-full py-1 rounded text-white text-[10px] font-bold"
+        disabled={optimizing}
+        className="mt-2 w-full py-1 rounded text-white text-[10px] font-bold disabled:opacity-60"
         style={{ background: 'linear-gradient(135deg, #3b82f6 0%, #06b6d4 100%)' }}
       >
-        🔄 Auto-Rotate
+        {optimizing ? '⏳ Optimizing...' : '🧭 Optimize Orientation'}
       </button>
     </div>
   );
 };
 
+const ORIENTATION_SOURCES = {
+  current: 'As uploaded',
+  hull: 'Flat face down',
+  sphere: 'Sampled angle',
+};
+
 /**
- * 3D STL Viewer Component with printer bed reference and rotation controls
+ * Ranked orientation suggestions with previews - applying one sets the
+ * rotation used for slicing
  */
-const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation, onRotationChange }) => {
-  const [geometry, setGeometry] = useState(null);
-  const [originalGeometry, setOriginalGeometry] = useState(null);
-  const [dimensions, setDimensions] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  const bedSize = PRINTER_BEDS[printerType] || PRINTER_BEDS.default;
+const OrientationSuggestions = ({ orientations, rotation, onApply, onClose }) => {
+  const isApplied = (o) => rotation
+    && o.rotation.x === rotation.x && o.rotation.y === rotation.y && o.rotation.z === rotation.z;
 
-  // Calculate optimal rotation for minimal support
-  const calculateOptimalRotation = useCallback(() => {
-    if (!originalGeometry) return { x: 0, y: 0, z: 0 };
+  return (
+    <div className="mt-3 p-3 bg-gray-800/50 border border-gray-700 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs font-bold text-zinc-400">🧭 Suggested Orientations</div>
+        <button onClick={onClose} className="text-xs text-zinc-500 hover:text-zinc-300">✕</button>
+      </div>
 
-    let bestRotation = { x: 0, y: 0, z: 0 };
-    let bestScore = Infinity;
+      {orientations.length === 0 ? (
+        <p className="text-xs text-zinc-500">No orientation could be evaluated for this model.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {orientations.map((o) => {
+            const applied = isApplied(o);
+            return (
+              <div
+                key={o.rank}
+                className={`rounded-lg border p-2 text-[10px] ${applied ? 'border-cyan-500 bg-cyan-900/20' : 'border-gray-700 bg-gray-900'}`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-bold text-white">#{o.rank}</span>
+                  <span className={o.metrics.fits ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+                    {o.metrics.fits ? `${o.score}/100` : '⚠ Too large'}
+                  </span>
+                </div>
+                {o.preview ? (
+                  <img src={o.preview} alt={`Orientation ${o.rank}`} className="w-full aspect-square rounded mb-1" />
+                ) : (
+                  <div className="w-full aspect-square rounded mb-1 bg-gray-800 flex items-center justify-center text-2xl">🧊</div>
+                )}
+                <div className="text-zinc-500 mb-1">{ORIENTATION_SOURCES[o.source] || o.source}</div>
+                <div className="space-y-0.5 text-zinc-300">
+                  <div className="flex justify-between"><span>Supports</span><span>{o.metrics.support_area_cm2.toFixed(1)} cm²</span></div>
+                  <div className="flex justify-between"><span>Height</span><span>{o.metrics.height_mm.toFixed(1)} mm</span></div>
+                  <div className="flex justify-between"><span>Bed contact</span><span>{o.metrics.contact_area_cm2.toFixed(1)} cm²</span></div>
+                </div>
+                <div className="text-zinc-500 mt-1">X:{o.rotation.x}° Y:{o.rotation.y}° Z:{o.rotation.z}°</div>
+                <button
+                  onClick={() => onApply(o.rotation)}
+                  disabled={applied}
+                  className="mt-2 w-full py-1 rounded text-white font-bold disabled:opacity-60"
+                  style={{ background: 'linear-gradient(135deg, #3b82f6 0%, #06b6d4 100%)' }}
+                >
+                  {applied ? '✓ Applied' : 'Apply'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
 
-    // Test common orientations (0, 90, 180, 270 degrees on each axis)
-    const angles = [0, 90, 180, 270];
+/**
+ * Mesh health overlay - counts from the client-side checks plus highlight toggle
+ */
+const MeshHealthPanel = ({ health, printability, showIssues, onToggleIssues }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (!health) return null;
+
+  const rows = [
+    { label: 'Holes', value: health.holes, extra: health.boundary_edges ? `${health.boundary_edges} open edges` : null },
+    { label: 'Non-manifold edges', value: health.non_manifold_edges },
+    { label: 'Flipped faces', value: health.flipped_faces },
+    { label: 'Shells', value: health.shells, ok: health.shells <= 1 },
+    { label: 'Zero-area faces', value: health.zero_area_faces },
+    { label: 'Thin wall samples', value: health.thin_wall_samples },
+  ];
+  const score = printability?.overall_score ?? null;
+  const scoreColor = score === null ? 'text-zinc-400' : score >= 80 ? 'text-green-400' : score >= 60 ? 'text-yellow-400' : 'text-red-400';
+  const hasIssues = health.face_flags?.some(flag => flag !== 0);
 
-    for (const xAngle of angles) {
-      for (const zAngle of [0, 90]) { // Limit search for performance
-        const testClone = originalGeometry.clone();
+  return (
+    <div className="absolute bottom-2 left-2 bg-gray-900/95 text-white p-3 rounded-lg text-xs border border-gray-700 w-56">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex justify-between items-center font-bold text-sm"
+      >
+        <span>🩺 Mesh Health</span>
+        <span className={scoreColor}>{score !== null ? `${score}/100` : '—'}</span>
+      </button>
 
-        // Apply rotation
-        testClone.rotateX(THREE.MathUtils.degToRad(xAngle));
-        testClone.rotateZ(THREE.MathUtils.degToRad(zAngle));
-        testClone.computeBoundingBox();
+      {expanded && (
+        <div className="mt-2 space-y-1">
+          {rows.map(row => {
+            const ok = row.ok ?? row.value === 0;
+            return (
+              <div key={row.label} className={`flex justify-between gap-2 ${ok ? 'text-zinc-400' : 'text-orange-400'}`}>
+                <span>{row.label}</span>
+                <span>{row.value.toLocaleString()}{row.extra ? ` (${row.extra})` : ''}</span>
+              </div>
+            );
+          })}
+          <div className={`flex justify-between gap-2 ${health.thin_wall_samples ? 'text-orange-400' : 'text-zinc-400'}`}>
+            <span>Min wall</span>
+            <span>
+              {health.min_wall_thickness_mm !== null
+                ? `${health.min_wall_thickness_mm.toFixed(2)}mm`
+                : `> ${health.wall_probe_mm}mm`}
+            </span>
+          </div>
+        </div>
+      )}
 
-        const box = testClone.boundingBox;
-        const size = new THREE.Vector3();
-        box.getSize(size);
+      {hasIssues && (
+        <>
+          <button
+            type="button"
+            onClick={onToggleIssues}
+            className={`mt-2 w-full py-1 rounded text-[10px] font-bold border ${
+              showIssues ? 'bg-red-900/40 border-red-700 text-red-300' : 'bg-gray-800 border-gray-700 text-zinc-300'
+            }`}
+          >
+            {showIssues ? '🙈 Hide issues' : '🔍 Highlight issues'}
+          </button>
+          {showIssues && (
+            <div className="mt-2 grid grid-cols-2 gap-1 text-[10px] text-zinc-400">
+              {ISSUE_COLORS.map(({ color, label }) => (
+                <div key={label} className="flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: color }} />
+                  {label}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
 
-        // Score: minimize height (less supports needed) and maximize base area
-        const height = size.y;
-        const baseArea = size.x * size.z;
-        const score = height / Math.sqrt(baseArea); // Lower is better
+/**
+ * 3D STL Viewer Component with printer bed reference and rotation controls
+ */
+const STLViewer = ({
+  url,
+  filename,
+  printerType = 'default',
+  overhangAngle = DEFAULT_OVERHANG_ANGLE,
+  onDimensionsChange,
+  rotation,
+  onRotationChange,
+}) => {
+  const [geometry, setGeometry] = useState(null);
+  const [originalGeometry, setOriginalGeometry] = useState(null);
+  const [dimensions, setDimensions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [meshReport, setMeshReport] = useState(null);
+  const [showIssues, setShowIssues] = useState(false);
+  const [orientations, setOrientations] = useState(null);
+  const [optimizing, setOptimizing] = useState(false);
 
-        // Also check if it fits the bed
-        const fitsX = size.x <= bedSize.x;
-        const fitsZ = size.z <= bedSize.y;
-        const fitsY = size.y <= bedSize.z;
+  const bedSize = getPrinterBed(printerType);
 
-        if (fitsX && fitsZ && fitsY && score < bestScore) {
-          bestScore = score;
-          bestRotation = { x: xAngle, y: 0, z: zAngle };
-        }
+  // Rank orientations by supports, height, bed contact and bed fit
+  const handleAutoRotate = useCallback(async () => {
+    if (!originalGeometry) return;
+    const positions = originalGeometry.attributes.position.array;
 
-        testClone.dispose();
+    setOptimizing(true);
+    try {
+      const ranked = await rankOrientations(positions, { bed: bedSize, overhangAngle });
+      let previews = [];
+      try {
+        previews = generateOrientationThumbnails(positions, ranked.map(o => o.rotation));
+      } catch (err) {
+        console.warn('Orientation previews unavailable:', err.message);
       }
+      setOrientations(ranked.map((o, i) => ({ ...o, preview: previews[i] || null })));
+    } catch (err) {
+      console.error('Orientation optimizer failed:', err);
+      setOrientations([]);
+    } finally {
+      setOptimizing(false);
     }
+  }, [originalGeometry, bedSize, overhangAngle]);
 
-    return bestRotation;
-  }, [originalGeometry, bedSize]);
-
-  const handleAutoRotate = useCallback(() => {
-    const optimal = calculateOptimalRotation();
-    onRotationChange?.(optimal);
-  }, [calculateOptimalRotation, onRotationChange]);
+  // Suggestions are stale once the model, printer or overhang angle changes
+  useEffect(() => {
+    setOrientations(null);
+  }, [originalGeometry, bedSize, overhangAngle]);
 
   // Apply rotation and recalculate dimensions
   useEffect(() => {
@@ -238,14 +370,16 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
     if (!url) return undefined;
 
     setLoading(true);
-    const loader = new STLLoader();
-    loader.load(
-      url,
-      (geo) => {
+    setMeshReport(null);
+    setShowIssues(false);
+    analyzeMesh(url, { filename, includePositions: true, includeHealth: true })
+      .then((result) => {
         if (cancelled) return;
+        const geo = createMeshGeometry(result.positions);
         try {
-          geo.computeVertexNormals?.();
-          geo.computeBoundingBox();
+          if (result.health) {
+            applyIssueColors(geo, result.health.face_flags);
+          }
 
           // Store original geometry for rotation calculations
           setOriginalGeometry(geo.clone());
@@ -268,22 +402,21 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
         } catch (e) {
           console.error('Geometry processing error:', e);
         }
+        setMeshReport({ health: result.health, printability: result.printability });
         setGeometry(geo);
         setLoading(false);
-      },
-      undefined,
-      (err) => {
+      })
+      .catch((err) => {
         if (cancelled) return;
         console.error('STL load error:', err);
         setGeometry(null);
         setLoading(false);
-      }
-    );
+      });
 
     return () => {
       cancelled = true;
     };
-  }, [url, onDimensionsChange]);
+  }, [url, filename, onDimensionsChange]);
 
   if (loading || !geometry) {
     return (
@@ -298,6 +431,7 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
   const camDist = Math.max(bedSize.x, bedSize.y, bedSize.z) * 1.5;
 
   return (
+    <>
     <div className="h-[450px] w-full bg-gray-900 rounded-lg overflow-hidden shadow-inner border-2 border-gray-700 relative">
       <Canvas
         shadows
@@ -313,7 +447,9 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
         {/* The STL model */}
         <mesh geometry={geometry} castShadow receiveShadow>
           <meshStandardMaterial
-            color="#3b82f6"
+            key={showIssues ? 'issues' : 'plain'}
+            color={showIssues ? '#ffffff' : '#3b82f6'}
+            vertexColors={showIssues}
             roughness={0.35}
             metalness={0.1}
           />
@@ -333,6 +469,7 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
         bedSize={bedSize}
         rotation={rotation}
         onAutoRotate={handleAutoRotate}
+        optimizing={optimizing}
       />
 
       {/* Printer info */}
@@ -341,11 +478,29 @@ const STLViewer = ({ url, printerType = 'default', onDimensionsChange, rotation,
         <div className="text-zinc-400">{bedSize.x}×{bedSize.y}×{bedSize.z}mm</div>
       </div>
 
+      {/* Client-side mesh checks */}
+      <MeshHealthPanel
+        health={meshReport?.health}
+        printability={meshReport?.printability}
+        showIssues={showIssues}
+        onToggleIssues={() => setShowIssues(prev => !prev)}
+      />
+
       {/* Controls hint */}
       <div className="absolute bottom-2 right-2 text-[10px] text-zinc-500 pointer-events-none">
         Left Click: Rotate • Right Click: Pan • Scroll: Zoom
       </div>
     </div>
+
+    {orientations && (
+      <OrientationSuggestions
+        orientations={orientations}
+        rotation={rotation}
+        onApply={(next) => onRotationChange?.(next)}
+        onClose={() => setOrientations(null)}
+      />
+    )}
+    </>
   );
 };
 
@@ -359,10 +514,13 @@ const STLSlicer = () => {
   const [message, setMessage] = useState(null);
   const [printers, setPrinters] = useState([]);
   const [selectedPrinter, setSelectedPrinter] = useState('');
-  const [_modelDimensions, setModelDimensions] = useState(null);  // eslint-disable-line no-unused-vars
+  const [modelDimensions, setModelDimensions] = useState(null);
   const [modelRotation, setModelRotation] = useState({ x: 0, y: 0, z: 0 });
   const [slicerStatus, setSlicerStatus] = useState(null);
   const [selectedPreset, setSelectedPreset] = useState('standard');
+  const [keepGcode, setKeepGcode] = useState(false);
+  const [gcodePreview, setGcodePreview] = useState(null);
+  const [gcodeProgress, setGcodeProgress] = useState(null);
   const fileInputRef = useRef(null);
 
   const [settings, setSettings] = useState({
@@ -374,7 +532,7 @@ const STLSlicer = () => {
     bed_temp: 60,
     supports: false,
     support_type: 'tree',
-    support_angle: 45,
+    support_angle: DEFAULT_OVERHANG_ANGLE,
     brim: false,
     print_speed: 120,
   });
@@ -509,6 +667,51 @@ const STLSlicer = () => {
     }
   };
 
+  // Settings sent to OrcaSlicer for single files and plates
+  const slicerSettings = () => ({
+    layer_height: settings.layer_height,
+    infill_percent: settings.infill_percent,
+    wall_count: settings.wall_count,
+    material: settings.material,
+    supports: settings.supports,
+    support_type: settings.support_type,
+    brim: settings.brim,
+    nozzle_temp: settings.nozzle_temp,
+    bed_temp: settings.bed_temp,
+    print_speed: settings.print_speed,
+  });
+
+  // Interpret sliced output for the layer preview (File from disk or download URL)
+  const loadGcodePreview = async (source, name) => {
+    setGcodeProgress(0);
+    try {
+      const result = await interpretGcodeFile(source, {
+        collectToolpath: true,
+        collectTravel: true,
+        onProgress: setGcodeProgress,
+      });
+      setGcodePreview({ name, result });
+    } catch (err) {
+      console.error('Failed to load G-code preview:', err);
+      setMessage({ type: 'error', text: `G-code preview failed: ${err.message}` });
+    } finally {
+      setGcodeProgress(null);
+    }
+  };
+
+  const handleGcodeUpload = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) loadGcodePreview(file, file.name);
+  };
+
+  // Kept G-code is downloaded straight into the preview
+  const previewSlicedGcode = (sliceData) => {
+    const gcodePath = sliceData?.gcode_path || sliceData?.gcode_file;
+    if (!keepGcode || !gcodePath) return;
+    loadGcodePreview(api.slicingDownloadUrl(gcodePath), gcodePath.split(/[\\/]/).pop());
+  };
+
   // Use OrcaSlicer for accurate slicing
   const handleSlice = async () => {
     if (!selectedFile) return;
@@ -519,20 +722,13 @@ const STLSlicer = () => {
       // Try OrcaSlicer first if available
       if (slicerStatus?.available) {
         const result = await api.sliceExistingFile(selectedFile, {
-          layer_height: settings.layer_height,
-          infill_percent: settings.infill_percent,
-          wall_count: settings.wall_count,
-          material: settings.material,
-          supports: settings.supports,
-          support_type: settings.support_type,
-          brim: settings.brim,
-          nozzle_temp: settings.nozzle_temp,
-          bed_temp: settings.bed_temp,
-          print_speed: settings.print_speed,
-        }, false); // don't keep gcode by default
+          ...slicerSettings(),
+          rotation: modelRotation,
+        }, keepGcode); // only kept when it's wanted for the preview
 
         const sliceData = result?.result || result;
         setSliceResult(sliceData);
+        previewSlicedGcode(sliceData);
         
         const sourceLabel = sliceData?.source === 'orcaslicer' ? 'OrcaSlicer' : 
                           sliceData?.source === 'bambu_studio' ? 'Bambu Studio' : 'estimation';
@@ -551,6 +747,36 @@ const STLSlicer = () => {
     }
   };
 
+  // Slice a packed plate - every object carries its own position and rotation
+  const handleSlicePlate = async (plateLayout) => {
+    if (!plateLayout?.objects?.length) return;
+    if (!slicerStatus?.available) {
+      setMessage({ type: 'error', text: 'Plate slicing needs OrcaSlicer - the estimate fallback handles single files only' });
+      return;
+    }
+    setSlicing(true);
+    setMessage(null);
+
+    try {
+      const result = await api.sliceExistingFile(plateLayout.objects[0].file_path, {
+        ...slicerSettings(),
+        plate: plateLayout,
+      }, keepGcode);
+
+      const sliceData = result?.result || result;
+      setSliceResult(sliceData);
+      previewSlicedGcode(sliceData);
+      setMessage({
+        type: 'success',
+        text: `Plate ${plateLayout.plate}/${plateLayout.plates_total} sliced (${plateLayout.objects.length} parts)!`,
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || err.message || 'Plate slicing failed' });
+    } finally {
+      setSlicing(false);
+    }
+  };
+
   // Quick estimate without full slicing
   const handleQuickEstimate = async () => {
     if (!selectedFile) return;
@@ -739,7 +965,9 @@ const STLSlicer = () => {
 
             <STLViewer 
               url={stlPreviewUrl} 
+              filename={selectedFile}
               printerType={selectedPrinterType}
+              overhangAngle={settings.support_angle}
               onDimensionsChange={setModelDimensions}
               rotation={modelRotation}
               onRotationChange={setModelRotation}
@@ -791,6 +1019,34 @@ const STLSlicer = () => {
             )}
           </div>
 
+          <PlateArranger
+            files={files}
+            selectedFile={selectedFile}
+            modelDimensions={modelDimensions}
+            modelRotation={modelRotation}
+            bedSize={getPrinterBed(selectedPrinterType)}
+            slicing={slicing}
+            onSlicePlate={handleSlicePlate}
+          />
+
+          {gcodeProgress !== null && (
+            <div className="bg-gray-900 rounded-xl border border-gray-800 p-4">
+              <p className="text-sm text-zinc-400 mb-2">📜 Reading G-code... {Math.round(gcodeProgress * 100)}%</p>
+              <div className="h-1.5 bg-gray-800 rounded-full overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${gcodeProgress * 100}%` }} />
+              </div>
+            </div>
+          )}
+
+          {gcodePreview && (
+            <GcodePreview
+              result={gcodePreview.result}
+              name={gcodePreview.name}
+              bedSize={getPrinterBed(selectedPrinterType)}
+              onClose={() => setGcodePreview(null)}
+            />
+          )}
+
           {loading ? (
             <div className="bg-gray-900 rounded-xl border border-gray-800 p-12 text-center">
               <div className="animate-spin text-4xl mb-4">🌀</div>
@@ -1098,6 +1354,15 @@ const STLSlicer = () => {
                   />
                   Brim
                 </label>
+                <label className="flex items-center gap-2 text-sm text-zinc-300" title="Keep the sliced G-code and open it in the layer preview">
+                  <input
+                    type="checkbox"
+                    checked={keepGcode}
+                    onChange={(e) => setKeepGcode(e.target.checked)}
+                    className="rounded bg-gray-800 border-gray-600"
+                  />
+                  Preview G-code
+                </label>
               </div>
 
               {/* Action Buttons */}
@@ -1130,6 +1395,17 @@ const STLSlicer = () => {
                 >
                   {loading ? '⏳ Creating...' : '🖨️ Create Print Job'}
                 </button>
+
+                <label className="block w-full py-2 rounded-lg font-medium text-center text-sm text-zinc-300 bg-gray-800 hover:bg-gray-700 cursor-pointer transition">
+                  📂 Open G-code for preview
+                  <input
+                    type="file"
+                    accept={GCODE_FILE_ACCEPT}
+                    onChange={handleGcodeUpload}
+                    disabled={gcodeProgress !== null}
+                    className="hidden"
+                  />
+                </label>
               </div>
             </div>
           </div>
@@ -1164,12 +1440,51 @@ ModelInfo.propTypes = {
     y: PropTypes.number,
     z: PropTypes.number
   }),
-  onAutoRotate: PropTypes.func
+  onAutoRotate: PropTypes.func,
+  optimizing: PropTypes.bool
+};
+
+OrientationSuggestions.propTypes = {
+  orientations: PropTypes.arrayOf(PropTypes.shape({
+    rank: PropTypes.number.isRequired,
+    rotation: PropTypes.shape({
+      x: PropTypes.number,
+      y: PropTypes.number,
+      z: PropTypes.number
+    }).isRequired,
+    score: PropTypes.number,
+    source: PropTypes.string,
+    preview: PropTypes.string,
+    metrics: PropTypes.shape({
+      support_area_cm2: PropTypes.number,
+      height_mm: PropTypes.number,
+      contact_area_cm2: PropTypes.number,
+      fits: PropTypes.bool
+    }).isRequired
+  })).isRequired,
+  rotation: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    z: PropTypes.number
+  }),
+  onApply: PropTypes.func.isRequired,
+  onClose: PropTypes.func
+};
+
+MeshHealthPanel.propTypes = {
+  health: PropTypes.object,
+  printability: PropTypes.shape({
+    overall_score: PropTypes.number
+  }),
+  showIssues: PropTypes.bool,
+  onToggleIssues: PropTypes.func
 };
 
 STLViewer.propTypes = {
   url: PropTypes.string,
+  filename: PropTypes.string,
   printerType: PropTypes.string,
+  overhangAngle: PropTypes.number,
   onDimensionsChange: PropTypes.func,
   rotation: PropTypes.shape({
     x: PropTypes.number,
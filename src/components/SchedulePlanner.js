@@ -0,0 +1,502 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import CapacityTimeline from './CapacityTimeline';
+import {
+  acceptSchedulePlan,
+  getOperatorShifts,
+  getSchedulingSettings,
+  loadOperatorAvailability,
+  planSchedules,
+  resetOperatorShifts,
+  saveOperatorShifts,
+  saveSchedulingSettings,
+} from '../services/printScheduling';
+import { dateKey, WEEKDAYS } from '../utils/operatorAvailability';
+import { idleBedReport, SCHEDULE_STRATEGIES } from '../utils/printScheduler';
+import toast from '../utils/toast';
+
+// Metrics shown side by side; `better` says which way wins
+const METRICS = [
+  { key: 'planned', label: 'Jobs planned', better: 'high', format: v => v },
+  { key: 'late', label: 'Late jobs', better: 'low', format: v => v },
+  { key: 'lateness_hours', label: 'Total lateness', better: 'low', format: v => `${v}h` },
+  { key: 'unscheduled', label: "Can't schedule", better: 'low', format: v => v },
+  { key: 'filament_swaps', label: 'Filament swaps', better: 'low', format: v => v },
+  { key: 'unattended', label: 'Done after hours', better: 'low', format: v => v },
+  { key: 'bed_wait_hours', label: 'Beds waiting', better: 'low', format: v => `${v}h` },
+  { key: 'utilization', label: 'Utilization', better: 'high', format: v => `${v}%` },
+  { key: 'makespan_hours', label: 'All done in', better: 'low', format: v => `${v}h` },
+];
+
+// Monday first, like the calendar
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const formatDateTime = (iso) => new Date(iso).toLocaleString('en-GB', {
+  weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+});
+
+const formatClock = (iso) => new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * SchedulePlanner - Plan the queue in the browser, compare strategies and
+ * accept one
+ */
+function SchedulePlanner({ onAccepted }) {
+  const [plans, setPlans] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [strategy, setStrategy] = useState('edd');
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [showShifts, setShowShifts] = useState(false);
+  const [settings, setSettings] = useState(getSchedulingSettings);
+
+  const recalculate = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { inputs, plans: fresh } = await planSchedules();
+      setJobs(inputs.jobs);
+      setPlans(fresh);
+    } catch (err) {
+      console.error('Failed to plan the schedule:', err);
+      toast.error('Failed to plan the schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    recalculate();
+  }, [recalculate]);
+
+  const plan = plans?.[strategy];
+  const toAccept = plan ? plan.slots.filter(slot => !slot.fixed) : [];
+  const idleWeeks = useMemo(() => (plan ? idleBedReport(plan) : []), [plan]);
+
+  const toggleOvernight = (preferOvernight) => {
+    saveSchedulingSettings({ prefer_overnight: preferOvernight })
+      .catch(err => toast.error(`Could not save the setting: ${err.message}`));
+    setSettings(getSchedulingSettings());
+    recalculate();
+  };
+
+  const handleAccept = async () => {
+    const moves = toAccept.filter(slot => slot.assign).length;
+    if (!window.confirm(`Accept the "${SCHEDULE_STRATEGIES[strategy].label}" plan? ${moves} job(s) will be assigned to printers.`)) return;
+
+    setAccepting(true);
+    try {
+      const { assigned, failed, warnings } = await acceptSchedulePlan(plan, jobs);
+      warnings.forEach(warning => toast.warning(warning));
+      if (failed.length > 0) {
+        toast.error(`${failed.length} job(s) not assigned: ${failed.map(f => `${f.name || f.job_id} (${f.error})`).join(', ')}`);
+      }
+      toast.success(`Plan accepted - ${assigned} job(s) assigned`);
+      onAccepted?.();
+      await recalculate();
+    } catch (err) {
+      console.error('Failed to accept the plan:', err);
+      toast.error(err?.message || 'Failed to accept the plan');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const bestValue = (metric) => {
+    const values = Object.values(plans || {}).map(p => p.metrics[metric.key]);
+    return metric.better === 'high' ? Math.max(...values) : Math.min(...values);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-bold text-white">🗓️ Schedule Plan</h3>
+          <p className="text-slate-400 text-sm">
+            Planned here in the browser from bed sizes, loaded filament, due dates, operator shifts and maintenance
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer mr-1">
+            <input
+              type="checkbox"
+              checked={settings.prefer_overnight}
+              onChange={(e) => toggleOvernight(e.target.checked)}
+              className="rounded"
+            />
+            🌙 Long jobs overnight
+          </label>
+          <button
+            onClick={() => setShowShifts(!showShifts)}
+            className="px-3 py-2 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700"
+          >
+            ⏰ Shifts
+          </button>
+          <button
+            onClick={recalculate}
+            disabled={loading}
+            className="px-3 py-2 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700 disabled:opacity-50"
+          >
+            🔄 Recalculate
+          </button>
+        </div>
+      </div>
+
+      {showShifts && (
+        <ShiftSettings
+          onSaved={() => {
+            setShowShifts(false);
+            recalculate();
+          }}
+        />
+      )}
+
+      {loading && !plans ? (
+        <div className="p-8 text-center">
+          <div className="w-8 h-8 border-2 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+          <p className="text-slate-400 mt-2">Planning...</p>
+        </div>
+      ) : plans && (
+        <>
+          {/* Strategy comparison */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {Object.entries(SCHEDULE_STRATEGIES).map(([key, config]) => {
+              const { metrics } = plans[key];
+              const selected = strategy === key;
+              return (
+                <button
+                  key={key}
+                  onClick={() => setStrategy(key)}
+                  className={`text-left rounded-xl border p-4 transition ${
+                    selected ? 'border-purple-500 bg-purple-500/10' : 'hover:border-purple-500/30'
+                  }`}
+                  style={selected ? undefined : { backgroundColor: '#1e293b', borderColor: '#334155' }}
+                >
+                  <div className="flex items-center justify-between">
+                    <p className="font-medium text-white">{config.icon} {config.label}</p>
+                    {selected && <span className="text-xs text-purple-300">Showing</span>}
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">{config.description}</p>
+                  <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3 text-sm">
+                    {METRICS.map(metric => (
+                      <div key={metric.key} className="flex justify-between">
+                        <span className="text-slate-400">{metric.label}</span>
+                        <span className={metrics[metric.key] === bestValue(metric) ? 'text-green-400 font-medium' : 'text-white'}>
+                          {metric.format(metrics[metric.key])}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+
+          {/* What doesn't fit */}
+          {plan.unscheduled.length > 0 && (
+            <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-sm">
+              <p className="text-red-400 font-medium mb-1">Not in this plan</p>
+              {plan.unscheduled.map(item => (
+                <p key={item.job_id} className="text-slate-300">
+                  <span className="font-mono text-slate-400">{item.job_id}</span> - {item.reason}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {plan.slots.some(slot => slot.late_minutes > 0) && (
+            <div className="rounded-xl border border-yellow-500/30 bg-yellow-500/10 p-3 text-sm">
+              <p className="text-yellow-400 font-medium mb-1">Finishing after the due date</p>
+              {plan.slots.filter(slot => slot.late_minutes > 0).map(slot => (
+                <p key={slot.job_id} className="text-slate-300">
+                  {slot.name} on {slot.printer} - done {formatDateTime(slot.end)}, due {formatDateTime(slot.due)}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <CapacityTimeline plan={plan} />
+
+          {toAccept.length > 0 && <StartTimes slots={toAccept} />}
+
+          {idleWeeks.length > 0 && <IdleBeds weeks={idleWeeks} />}
+
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm text-slate-400">
+              {toAccept.length} job(s) planned, all done by {formatDateTime(plan.metrics.finish)}
+            </p>
+            <button
+              onClick={handleAccept}
+              disabled={accepting || toAccept.length === 0}
+              className="px-4 py-2 rounded-lg font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+            >
+              {accepting ? 'Assigning...' : '✅ Accept plan'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * StartTimes - When each planned job starts, the latest it can start, and
+ * whether it finishes with nobody in
+ */
+function StartTimes({ slots }) {
+  return (
+    <div className="rounded-xl border overflow-hidden" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+      <div className="px-4 py-3 border-b" style={{ borderColor: '#334155' }}>
+        <p className="font-medium text-white">⏱️ Start times</p>
+        <p className="text-xs text-slate-500">
+          &quot;Start by&quot; is the latest setup that still makes the due date; &quot;attended&quot; is the latest start that finishes before the shift ends
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 text-xs">
+              <th className="px-4 py-2 font-medium">Job</th>
+              <th className="px-4 py-2 font-medium">Printer</th>
+              <th className="px-4 py-2 font-medium">Planned start</th>
+              <th className="px-4 py-2 font-medium">Start by</th>
+              <th className="px-4 py-2 font-medium">Finishes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {slots.map(slot => {
+              const behind = slot.start_by && new Date(slot.setup_start) > new Date(slot.start_by);
+              return (
+                <tr key={slot.job_id} className="border-t" style={{ borderColor: '#334155' }}>
+                  <td className="px-4 py-2 text-white">{slot.name}</td>
+                  <td className="px-4 py-2 text-slate-300">{slot.printer}</td>
+                  <td className="px-4 py-2 text-slate-300">{formatDateTime(slot.setup_start)}</td>
+                  <td className="px-4 py-2">
+                    {slot.start_by ? (
+                      <span className={behind ? 'text-yellow-400' : 'text-slate-300'}>
+                        {behind && '⚠ '}{formatDateTime(slot.start_by)}
+                      </span>
+                    ) : (
+                      <span className="text-slate-500">-</span>
+                    )}
+                    {slot.start_by_attended && (
+                      <p className="text-xs text-slate-500">attended: by {formatClock(slot.start_by_attended)}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-2">
+                    <span className="text-slate-300">{formatDateTime(slot.end)}</span>
+                    {slot.unattended_finish && (
+                      <p className="text-xs text-amber-400">🌙 waits on the bed until {formatDateTime(slot.collect_at)}</p>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * IdleBeds - Expected hours per printer per week: printing, finished but
+ * waiting for someone, maintenance and empty
+ */
+function IdleBeds({ weeks }) {
+  return (
+    <div className="rounded-xl border p-4 space-y-3" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+      <div>
+        <p className="font-medium text-white">🛏️ Idle beds per week</p>
+        <p className="text-xs text-slate-500">Expected hours from now under this plan</p>
+      </div>
+      {weeks.map(week => (
+        <div key={week.week_start}>
+          <p className="text-xs text-slate-400 mb-1">
+            Week of {new Date(week.week_start).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} · {week.hours}h
+          </p>
+          <div className="space-y-1">
+            {week.printers.map(printer => (
+              <div key={printer.name} className="flex items-center gap-3 text-sm">
+                <span className="w-32 truncate text-slate-300">{printer.name}</span>
+                <div className="flex-1 h-3 rounded overflow-hidden flex" style={{ backgroundColor: '#0f172a' }}>
+                  {[
+                    ['printing', 'bg-purple-500'],
+                    ['waiting', 'bg-amber-500'],
+                    ['maintenance', 'bg-orange-700'],
+                  ].map(([key, color]) => (
+                    <div
+                      key={key}
+                      className={color}
+                      style={{ width: `${week.hours > 0 ? (printer[key] / week.hours) * 100 : 0}%` }}
+                      title={`${key}: ${printer[key]}h`}
+                    />
+                  ))}
+                </div>
+                <span className="w-20 text-right text-white">{printer.idle}h idle</span>
+                <span className="w-24 text-right text-amber-400 text-xs">
+                  {printer.waiting > 0 ? `${printer.waiting}h waiting` : ''}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <div className="flex gap-4 text-xs text-slate-500">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-purple-500" /> Printing</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-500" /> Done, waiting for an operator</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-orange-700" /> Maintenance</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ShiftSettings - When operators are in to change plates and filament
+ */
+function ShiftSettings({ onSaved }) {
+  const [shifts, setShifts] = useState(getOperatorShifts);
+  const [useTracking, setUseTracking] = useState(() => getSchedulingSettings().use_time_tracking);
+  const [availability, setAvailability] = useState(null);
+
+  useEffect(() => {
+    loadOperatorAvailability().then(setAvailability).catch(() => setAvailability(null));
+  }, []);
+
+  const setDay = (day, shift) => setShifts(prev => ({ ...prev, [day]: shift }));
+
+  const handleSave = async () => {
+    try {
+      await Promise.all([
+        saveOperatorShifts(shifts),
+        saveSchedulingSettings({ use_time_tracking: useTracking }),
+      ]);
+      toast.success('Shift hours saved');
+    } catch (err) {
+      toast.error(`Could not save the shift hours: ${err.message}`);
+    }
+    onSaved?.();
+  };
+
+  const handleReset = () => {
+    resetOperatorShifts().catch(err => toast.error(`Could not reset the shift hours: ${err.message}`));
+    setShifts(getOperatorShifts());
+    onSaved?.();
+  };
+
+  const today = dateKey(Date.now());
+  const staffing = Object.entries(availability?.dates || {})
+    .filter(([date]) => date >= today)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="rounded-xl border p-4 space-y-3" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+      <p className="text-sm text-slate-400">
+        Jobs only start while an operator is in; they can keep printing after hours. These are the opening hours -
+        staffing notes in Shift Notes override a single day.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-white cursor-pointer">
+        <input
+          type="checkbox"
+          checked={useTracking}
+          onChange={(e) => setUseTracking(e.target.checked)}
+          className="rounded"
+        />
+        Use the hours people typically clock in Time Tracking where there are enough
+      </label>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+        {WEEK_ORDER.map(day => {
+          const shift = shifts[day];
+          return (
+            <div key={day} className="flex items-center gap-2 p-2 rounded-lg" style={{ backgroundColor: '#0f172a' }}>
+              <label className="flex items-center gap-1 w-14 text-sm text-white cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Boolean(shift)}
+                  onChange={(e) => setDay(day, e.target.checked ? { start: '08:00', end: '16:00' } : null)}
+                  className="rounded"
+                />
+                {WEEKDAYS[day]}
+              </label>
+              {shift ? (
+                <>
+                  <input
+                    type="time"
+                    value={shift.start}
+                    onChange={(e) => setDay(day, { ...shift, start: e.target.value })}
+                    className="px-2 py-1 rounded text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                  <span className="text-slate-500">–</span>
+                  <input
+                    type="time"
+                    value={shift.end}
+                    onChange={(e) => setDay(day, { ...shift, end: e.target.value })}
+                    className="px-2 py-1 rounded text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                </>
+              ) : (
+                <span className="text-xs text-slate-500">Nobody in</span>
+              )}
+              {useTracking && availability?.[day]?.source === 'time_tracking' && (
+                <span
+                  className="ml-auto text-xs text-cyan-400"
+                  title={`Typical clocked hours over ${availability[day].days} days`}
+                >
+                  clocked {availability[day].start}–{availability[day].end}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {staffing.length > 0 && (
+        <div className="text-xs text-slate-400">
+          <p className="text-slate-500 mb-1">From staffing notes:</p>
+          {staffing.map(([date, hours]) => (
+            <p key={date}>
+              {new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })}
+              {' - '}
+              {hours ? `${hours.start}–${hours.end}` : 'nobody in'}
+            </p>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={handleReset}
+          className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-white hover:bg-slate-700"
+        >
+          Reset to defaults
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-3 py-1.5 rounded-lg text-sm font-medium text-white"
+          style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+        >
+          Save shifts
+        </button>
+      </div>
+    </div>
+  );
+}
+
+SchedulePlanner.propTypes = {
+  onAccepted: PropTypes.func,
+};
+
+StartTimes.propTypes = {
+  slots: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+IdleBeds.propTypes = {
+  weeks: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+ShiftSettings.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+export default SchedulePlanner;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
+import { collection } from '../services/localStore';
 import { sanitizeText } from '../utils/sanitization';
 
 /**
@@ -19,9 +20,8 @@ function ShiftNotes({ currentUser }) {
   const loadNotes = async () => {
     setLoading(true);
     try {
-      // Load from localStorage (in production, this would be an API)
-      const saved = localStorage.getItem('polywerk_shift_notes');
-      setNotes(saved ? JSON.parse(saved) : []);
+      // Load from the local store (in production, this would be an API)
+      setNotes(await collection('shift_notes').getAll());
     } catch (err) {
       console.error('Failed to load notes:', err);
     } finally {
@@ -30,8 +30,9 @@ function ShiftNotes({ currentUser }) {
   };
 
   const saveNotes = (newNotes) => {
-    localStorage.setItem('polywerk_shift_notes', JSON.stringify(newNotes));
     setNotes(newNotes);
+    collection('shift_notes').replaceAll(newNotes)
+      .catch(err => console.error('Failed to save notes:', err));
   };
 
   const handleSaveNote = (note) => {
@@ -133,6 +134,7 @@ function ShiftNotes({ currentUser }) {
     maintenance: '🔧',
     safety: '⚠️',
     success: '🎉',
+    staffing: '🕒',
   };
 
   if (loading) {
@@ -282,6 +284,15 @@ function ShiftNotes({ currentUser }) {
                   </div>
                 </div>
 
+                {/* Who's in on a given day - the print scheduler plans around it */}
+                {note.staffing?.date && (
+                  <div className="mb-3 px-3 py-2 rounded-lg bg-cyan-500/10 border border-cyan-500/30 text-sm text-cyan-300">
+                    🕒 {new Date(`${note.staffing.date}T00:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })}
+                    {' - '}
+                    {note.staffing.start && note.staffing.end ? `${note.staffing.start}–${note.staffing.end}` : 'nobody in'}
+                  </div>
+                )}
+
                 {/* FIXED: Sanitize note content to prevent XSS */}
                 <div className="text-slate-300 whitespace-pre-wrap mb-3">
                   {sanitizeText(note.content)}
@@ -352,6 +363,7 @@ function NoteEditorModal({ note, currentUser, onSave, onClose }) {
     category: note?.category || 'general',
     priority: note?.priority || 'normal',
     action_items: note?.action_items || [],
+    staffing: note?.staffing || { date: '', start: '08:00', end: '16:00' },
   });
   const [newActionItem, setNewActionItem] = useState('');
 
@@ -364,7 +376,11 @@ function NoteEditorModal({ note, currentUser, onSave, onClose }) {
     { id: 'maintenance', name: 'Maintenance', icon: '🔧' },
     { id: 'safety', name: 'Safety', icon: '⚠️' },
     { id: 'success', name: 'Good News', icon: '🎉' },
+    { id: 'staffing', name: 'Staffing', icon: '🕒' },
   ];
+  const isStaffing = form.category === 'staffing';
+  const nobodyIn = !form.staffing.start && !form.staffing.end;
+  const setStaffing = (changes) => setForm({ ...form, staffing: { ...form.staffing, ...changes } });
 
   const priorities = [
     { id: 'low', name: 'Low', color: 'bg-slate-500' },
@@ -386,11 +402,20 @@ function NoteEditorModal({ note, currentUser, onSave, onClose }) {
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (isStaffing) {
+      if (!form.title.trim() || !form.staffing.date) {
+        alert('Please fill in title and date');
+        return;
+      }
+      onSave(form);
+      return;
+    }
     if (!form.title.trim() || !form.content.trim()) {
       alert('Please fill in title and content');
       return;
     }
-    onSave(form);
+    const { staffing, ...rest } = form;
+    onSave(rest);
   };
 
   return (
@@ -463,9 +488,56 @@ function NoteEditorModal({ note, currentUser, onSave, onClose }) {
             </div>
           </div>
 
+          {/* Staffing */}
+          {isStaffing && (
+            <div className="p-3 rounded-lg space-y-2" style={{ backgroundColor: '#0f172a' }}>
+              <p className="text-xs text-slate-500">
+                Overrides the usual hours for this day when the print scheduler plans starts and plate changes
+              </p>
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="date"
+                  value={form.staffing.date}
+                  onChange={(e) => setStaffing({ date: e.target.value })}
+                  className="px-3 py-2 rounded-lg text-white text-sm"
+                  style={{ backgroundColor: '#334155' }}
+                  required
+                />
+                {!nobodyIn && (
+                  <>
+                    <input
+                      type="time"
+                      value={form.staffing.start}
+                      onChange={(e) => setStaffing({ start: e.target.value })}
+                      className="px-3 py-2 rounded-lg text-white text-sm"
+                      style={{ backgroundColor: '#334155' }}
+                    />
+                    <span className="text-slate-500">–</span>
+                    <input
+                      type="time"
+                      value={form.staffing.end}
+                      onChange={(e) => setStaffing({ end: e.target.value })}
+                      className="px-3 py-2 rounded-lg text-white text-sm"
+                      style={{ backgroundColor: '#334155' }}
+                    />
+                  </>
+                )}
+                <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={nobodyIn}
+                    onChange={(e) => setStaffing(e.target.checked ? { start: '', end: '' } : { start: '08:00', end: '16:00' })}
+                    className="rounded"
+                  />
+                  Nobody in
+                </label>
+              </div>
+            </div>
+          )}
+
           {/* Content */}
           <div>
-            <label className="block text-sm font-medium text-slate-400 mb-1">Content *</label>
+            <label className="block text-sm font-medium text-slate-400 mb-1">Content{isStaffing ? '' : ' *'}</label>
             <textarea
               value={form.content}
               onChange={(e) => setForm({ ...form, content: e.target.value })}
@@ -473,7 +545,7 @@ function NoteEditorModal({ note, currentUser, onSave, onClose }) {
               rows={5}
               className="w-full px-4 py-3 rounded-lg text-white resize-none"
               style={{ backgroundColor: '#334155' }}
-              required
+              required={!isStaffing}
             />
           </div>
 
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { quoteShipping, recordShipment } from '../services/shipping';
+import { CARRIERS, SHIPPING_COUNTRIES, shipmentsOf, unshippedItems } from '../utils/orderShipments';
+import { toDateInput } from '../utils/recurringInvoices';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('et-EE', { style: 'currency', currency: 'EUR' }).format(amount || 0);
+
+/**
+ * ShipmentForm - Ship some or all of an order's items in one parcel
+ */
+function ShipmentForm({ order, onSaved, onClose }) {
+  const open = unshippedItems(order);
+  const shipped = shipmentsOf(order);
+
+  const [quantities, setQuantities] = useState(() => Object.fromEntries(open.map(item => [item.item_id, item.quantity])));
+  const [carrier, setCarrier] = useState(order.carrier || '');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [trackingUrl, setTrackingUrl] = useState('');
+  const [shippedOn, setShippedOn] = useState(toDateInput(new Date()));
+  const [weightKg, setWeightKg] = useState('');
+  const [country, setCountry] = useState(order.shipping_country || order.country || 'EE');
+  const [cost, setCost] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [notify, setNotify] = useState(true);
+  const [quoting, setQuoting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const parcelValue = open.reduce((sum, item) => sum + (Number(quantities[item.item_id]) || 0) * item.unit_value, 0);
+  const partial = open.some(item => (Number(quantities[item.item_id]) || 0) < item.quantity);
+
+  const setQuantity = (itemId, value, max) => {
+    const quantity = Math.max(0, Math.min(max, Math.floor(Number(value) || 0)));
+    setQuantities(prev => ({ ...prev, [itemId]: quantity }));
+  };
+
+  const calculateCost = async () => {
+    setQuoting(true);
+    setError('');
+    try {
+      const result = await quoteShipping({ country, weight_kg: Number(weightKg) || 0, order_value: parcelValue });
+      if (!result) {
+        setError('No shipping quote available - enter the cost by hand');
+        return;
+      }
+      setQuote(result);
+      setCost(String(result.free_shipping ? 0 : Number(result.shipping_cost) || 0));
+      if (!carrier && result.carrier) setCarrier(result.carrier);
+    } catch (err) {
+      console.error('Failed to quote shipping:', err);
+      setError(err?.message || 'Failed to quote shipping');
+    } finally {
+      setQuoting(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const result = await recordShipment(order, {
+        items: open.map(item => ({ item_id: item.item_id, name: item.name, quantity: quantities[item.item_id] })),
+        carrier: carrier.trim(),
+        tracking_number: trackingNumber.trim(),
+        tracking_url: trackingUrl.trim(),
+        shipped_at: new Date(`${shippedOn}T12:00:00`).toISOString(),
+        weight_kg: Number(weightKg) || 0,
+        shipping_cost: cost === '' ? null : Number(cost),
+        country,
+      }, { notify });
+      onSaved?.(result);
+    } catch (err) {
+      console.error('Failed to record shipment:', err);
+      setError(err?.message || 'Failed to record shipment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
+
+      <form
+        onSubmit={handleSave}
+        className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl border shadow-2xl"
+        style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+      >
+        {/* Header */}
+        <div className="sticky top-0 px-6 py-4 border-b flex items-center justify-between z-10" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+          <div>
+            <h2 className="text-lg font-bold text-white">📦 Ship Items</h2>
+            <p className="text-sm text-slate-400">
+              {order.order_number || `#${String(order.order_id || order.id || '').slice(-6)}`}
+              {shipped.length > 0 && ` · ${shipped.length} shipment${shipped.length === 1 ? '' : 's'} so far`}
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="p-2 rounded-lg hover:bg-slate-700 text-slate-400">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {open.length === 0 ? (
+            <p className="text-center py-6 text-slate-400">Everything on this order has shipped.</p>
+          ) : (
+            <>
+              {/* Items in this parcel */}
+              <div>
+                <label className="block text-sm font-medium text-slate-400 mb-2">In this parcel</label>
+                <div className="space-y-2">
+                  {open.map(item => (
+                    <div key={item.item_id} className="flex items-center gap-3 p-2 rounded-lg" style={{ backgroundColor: '#0f172a' }}>
+                      <span className="flex-1 text-white text-sm truncate">{item.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max={item.quantity}
+                        value={quantities[item.item_id]}
+                        onChange={(e) => setQuantity(item.item_id, e.target.value, item.quantity)}
+                        className="w-20 px-2 py-1 rounded-lg text-white text-sm text-right"
+                        style={{ backgroundColor: '#334155' }}
+                      />
+                      <span className="text-xs text-slate-500 w-20">
+                        of {item.quantity}{item.quantity < item.ordered ? ` left (${item.ordered})` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {partial && (
+                  <p className="mt-2 text-xs text-yellow-400">Partial shipment - the rest stays on the order.</p>
+                )}
+              </div>
+
+              {/* Parcel */}
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-slate-400 mb-1">Carrier</label>
+                  <input
+                    type="text"
+                    list="shipment-carriers"
+                    value={carrier}
+                    onChange={(e) => setCarrier(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                  <datalist id="shipment-carriers">
+                    {CARRIERS.map(name => <option key={name} value={name} />)}
+                  </datalist>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-400 mb-1">Tracking number</label>
+                  <input
+                    type="text"
+                    value={trackingNumber}
+                    onChange={(e) => setTrackingNumber(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm font-mono"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-slate-400 mb-1">
+                    Tracking link <span className="text-slate-600">(optional)</span>
+                  </label>
+                  <input
+                    type="url"
+                    value={trackingUrl}
+                    onChange={(e) => setTrackingUrl(e.target.value)}
+                    placeholder="https://"
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-400 mb-1">Ship date</label>
+                  <input
+                    type="date"
+                    value={shippedOn}
+                    onChange={(e) => setShippedOn(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-400 mb-1">Package weight (kg)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={weightKg}
+                    onChange={(e) => setWeightKg(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  />
+                </div>
+              </div>
+
+              {/* Cost */}
+              <div className="p-3 rounded-lg space-y-3" style={{ backgroundColor: '#0f172a' }}>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-400 mb-1">Destination</label>
+                    <select
+                      value={country}
+                      onChange={(e) => setCountry(e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                      style={{ backgroundColor: '#334155' }}
+                    >
+                      {SHIPPING_COUNTRIES.map(c => (
+                        <option key={c.code} value={c.code}>{c.flag} {c.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-400 mb-1">Shipping cost (€)</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={cost}
+                      onChange={(e) => setCost(e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg text-white text-sm"
+                      style={{ backgroundColor: '#334155' }}
+                    />
+                  </div>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-xs text-slate-500">
+                    Parcel value {formatCurrency(parcelValue)}
+                    {quote && ` · ${quote.carrier || 'carrier'}, ${quote.delivery_days} days${quote.free_shipping ? ' · free shipping' : ''}`}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={calculateCost}
+                    disabled={quoting}
+                    className="px-3 py-1.5 rounded-lg text-sm text-purple-400 border border-purple-500/30 hover:bg-purple-500/10 disabled:opacity-50"
+                  >
+                    {quoting ? '⏳' : '🧮'} Calculate
+                  </button>
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} className="rounded" />
+                Email the customer ({partial ? 'partial shipment' : 'order shipped'})
+              </label>
+            </>
+          )}
+
+          {error && (
+            <div className="p-3 rounded-lg bg-red-500/20 border border-red-500/30 text-red-400 text-sm">{error}</div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="sticky bottom-0 px-6 py-4 border-t flex gap-3" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 rounded-lg font-medium text-slate-300 border border-slate-600 hover:bg-slate-700"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || open.every(item => !quantities[item.item_id])}
+            className="flex-1 px-4 py-2 rounded-lg font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+          >
+            {saving ? 'Saving...' : partial ? '📦 Ship part' : '🚚 Ship all'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+ShipmentForm.propTypes = {
+  order: PropTypes.object.isRequired,
+  onSaved: PropTypes.func,
+  onClose: PropTypes.func,
+};
+
+export default ShipmentForm;
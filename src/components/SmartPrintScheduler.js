@@ -7,10 +7,19 @@
  * - Load balancing visualization
  * - Priority management
  * - Optimization suggestions
+ * - Browser-side plan (SchedulePlanner) when the scheduler service can't
+ *   optimize or auto-assign
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useLanguage } from '../i18n';
+import JobHistory from './JobHistory';
+import SchedulePlanner from './SchedulePlanner';
+import { transitionJob } from '../services/jobLifecycle';
+import { planSchedules } from '../services/printScheduling';
+import { jobStatusOf } from '../utils/jobStates';
+import { scheduleSuggestions } from '../utils/printScheduler';
+import toast from '../utils/toast';
 
 const API_BASE = process.env.REACT_APP_API_BASE || 'http://localhost:5000/api/v1';
 
@@ -24,7 +33,9 @@ const PRIORITY_CONFIG = {
 const STATUS_CONFIG = {
   queued: { color: '#eab308', bg: 'bg-yellow-500/20', label: 'Queued', icon: '⏳' },
   assigned: { color: '#3b82f6', bg: 'bg-blue-500/20', label: 'Assigned', icon: '📋' },
+  preparing: { color: '#06b6d4', bg: 'bg-cyan-500/20', label: 'Preparing', icon: '🔥' },
   printing: { color: '#22c55e', bg: 'bg-green-500/20', label: 'Printing', icon: '🖨️' },
+  paused: { color: '#f97316', bg: 'bg-orange-500/20', label: 'Paused', icon: '⏸️' },
   completed: { color: '#6b7280', bg: 'bg-gray-500/20', label: 'Completed', icon: '✅' },
   failed: { color: '#ef4444', bg: 'bg-red-500/20', label: 'Failed', icon: '❌' },
   cancelled: { color: '#6b7280', bg: 'bg-gray-500/20', label: 'Cancelled', icon: '🚫' },
@@ -38,6 +49,7 @@ function SmartPrintScheduler({ currentUser }) {
   const [stats, setStats] = useState(null);
   const [printerLoads, setPrinterLoads] = useState([]);
   const [suggestions, setSuggestions] = useState([]);
+  const [localSuggestions, setLocalSuggestions] = useState(false);
   const [activeTab, setActiveTab] = useState('queue');
   const [selectedJob, setSelectedJob] = useState(null);
   const [actionLoading, setActionLoading] = useState(null);
@@ -75,6 +87,17 @@ function SmartPrintScheduler({ currentUser }) {
     }
   }, []);
 
+  // Suggestions from the browser-side plan
+  const fetchLocalSuggestions = useCallback(async () => {
+    try {
+      const { plans } = await planSchedules();
+      setSuggestions(scheduleSuggestions(plans.edd));
+      setLocalSuggestions(true);
+    } catch (err) {
+      console.error('Failed to plan suggestions:', err);
+    }
+  }, []);
+
   // Fetch optimization suggestions
   const fetchSuggestions = useCallback(async () => {
     try {
@@ -86,11 +109,15 @@ function SmartPrintScheduler({ currentUser }) {
       
       if (data.success && data.data) {
         setSuggestions(data.data.suggestions || []);
+        setLocalSuggestions(false);
+      } else {
+        await fetchLocalSuggestions();
       }
     } catch (err) {
       console.error('Failed to fetch suggestions:', err);
+      await fetchLocalSuggestions();
     }
-  }, []);
+  }, [fetchLocalSuggestions]);
 
   // Initial load
   useEffect(() => {
@@ -144,55 +171,62 @@ function SmartPrintScheduler({ currentUser }) {
       if (data.success) {
         await fetchQueue();
         await fetchLoads();
+      } else {
+        planInBrowser();
       }
     } catch (err) {
       console.error('Auto-assign failed:', err);
+      planInBrowser();
     } finally {
       setActionLoading(null);
     }
   };
 
-  // Cancel job
-  const handleCancelJob = async (jobId) => {
-    if (!window.confirm('Cancel this job?')) return;
-    
-    setActionLoading(jobId);
-    try {
-      const response = await fetch(`${API_BASE}/scheduler/jobs/${jobId}/cancel`, {
-        method: 'POST',
-        credentials: 'include',
-      });
-      
-      if (response.ok) {
-        await fetchQueue();
-        await fetchLoads();
-      }
-    } catch (err) {
-      console.error('Failed to cancel job:', err);
-    } finally {
-      setActionLoading(null);
-    }
+  // No scheduler service to auto-assign - let the operator review a browser plan
+  const planInBrowser = () => {
+    setActiveTab('plan');
+    toast.info('Scheduler service unavailable - compare the plans below and accept one');
   };
 
-  // Start job
-  const handleStartJob = async (jobId) => {
+  // Lifecycle transition through one of the scheduler's action endpoints
+  const runJobAction = async (jobId, event, action) => {
+    const job = queue.find(j => j.job_id === jobId);
+    if (!job) return;
+
     setActionLoading(jobId);
     try {
-      const response = await fetch(`${API_BASE}/scheduler/jobs/${jobId}/start`, {
-        method: 'POST',
-        credentials: 'include',
+      const { warnings } = await transitionJob(job, event, {
+        perform: async () => {
+          const response = await fetch(`${API_BASE}/scheduler/jobs/${jobId}/${action}`, {
+            method: 'POST',
+            credentials: 'include',
+          });
+          if (!response.ok) throw new Error(`Scheduler refused to ${action} the job (${response.status})`);
+        },
       });
-      
-      if (response.ok) {
-        await fetchQueue();
-      }
+      warnings.forEach(warning => toast.warning(warning));
+      await fetchQueue();
+      await fetchLoads();
     } catch (err) {
-      console.error('Failed to start job:', err);
+      if (err?.name === 'JobTransitionError') {
+        toast.error(err.message);
+      } else {
+        console.error(`Failed to ${action} job:`, err);
+      }
     } finally {
       setActionLoading(null);
     }
   };
 
+  // Cancel job
+  const handleCancelJob = async (jobId) => {
+    if (!window.confirm('Cancel this job?')) return;
+    await runJobAction(jobId, 'cancel', 'cancel');
+  };
+
+  // Start job
+  const handleStartJob = (jobId) => runJobAction(jobId, 'start', 'start');
+
   // Format time display
   const formatTime = (minutes) => {
     if (!minutes) return '--';
@@ -209,6 +243,7 @@ function SmartPrintScheduler({ currentUser }) {
     { id: 'queue', label: 'Job Queue', icon: '📋', count: stats?.queued || 0 },
     { id: 'printers', label: 'Printer Loads', icon: '🖨️', count: printerLoads.length },
     { id: 'optimize', label: 'Optimize', icon: '⚡', count: suggestions.length },
+    { id: 'plan', label: 'Plan', icon: '🗓️', count: 0 },
   ];
 
   return (
@@ -309,7 +344,9 @@ function SmartPrintScheduler({ currentUser }) {
           ) : (
             queue.map(job => {
               const priorityConfig = PRIORITY_CONFIG[job.priority] || PRIORITY_CONFIG.NORMAL;
-              const statusConfig = STATUS_CONFIG[job.status] || STATUS_CONFIG.queued;
+              const status = jobStatusOf(job);
+              const statusConfig = STATUS_CONFIG[status] || STATUS_CONFIG.queued;
+              const isSelected = selectedJob === job.job_id;
               
               return (
                 <div
@@ -330,9 +367,13 @@ function SmartPrintScheduler({ currentUser }) {
                         </span>
                       </div>
                       
-                      <p className="text-white font-medium mt-1 truncate">
+                      <button
+                        onClick={() => setSelectedJob(isSelected ? null : job.job_id)}
+                        className="block max-w-full text-left text-white font-medium mt-1 truncate hover:text-purple-300"
+                        title="Show history"
+                      >
                         {job.metadata?.job_name || job.file_path?.split('/').pop() || 'Untitled'}
-                      </p>
+                      </button>
                       
                       <div className="flex items-center gap-4 mt-2 text-sm text-slate-400">
                         <span>⏱️ {job.estimated_time_display || formatTime(job.estimated_time_minutes)}</span>
@@ -345,7 +386,7 @@ function SmartPrintScheduler({ currentUser }) {
                     {/* Right: Actions */}
                     <div className="flex items-center gap-2 flex-shrink-0">
                       {/* Priority Selector */}
-                      {job.status === 'queued' && (
+                      {status === 'queued' && (
                         <select
                           value={job.priority}
                           onChange={(e) => handlePriorityChange(job.job_id, e.target.value)}
@@ -360,7 +401,7 @@ function SmartPrintScheduler({ currentUser }) {
                       )}
                       
                       {/* Start Button */}
-                      {job.status === 'assigned' && (
+                      {status === 'assigned' && (
                         <button
                           onClick={() => handleStartJob(job.job_id)}
                           disabled={actionLoading === job.job_id}
@@ -371,7 +412,7 @@ function SmartPrintScheduler({ currentUser }) {
                       )}
                       
                       {/* Cancel Button */}
-                      {['queued', 'assigned'].includes(job.status) && (
+                      {['queued', 'assigned'].includes(status) && (
                         <button
                           onClick={() => handleCancelJob(job.job_id)}
                           disabled={actionLoading === job.job_id}
@@ -382,6 +423,10 @@ function SmartPrintScheduler({ currentUser }) {
                       )}
                     </div>
                   </div>
+
+                  {isSelected && (
+                    <JobHistory jobId={job.job_id} className="mt-3 pt-3 border-t border-slate-700" />
+                  )}
                 </div>
               );
             })
@@ -435,9 +480,25 @@ function SmartPrintScheduler({ currentUser }) {
             })
           )}
         </div>
+      ) : activeTab === 'plan' ? (
+        <SchedulePlanner
+          onAccepted={() => {
+            fetchQueue();
+            fetchLoads();
+            fetchSuggestions();
+          }}
+        />
       ) : (
         /* Optimization Suggestions */
         <div className="space-y-4">
+          {localSuggestions && (
+            <p className="text-xs text-slate-500">
+              From the browser plan (earliest due date) - the scheduler service has no suggestions.{' '}
+              <button onClick={() => setActiveTab('plan')} className="text-purple-400 hover:text-purple-300">
+                Open the plan →
+              </button>
+            </p>
+          )}
           {suggestions.length === 0 ? (
             <div className="rounded-xl border p-8 text-center" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
               <div className="text-5xl mb-4">✅</div>
@@ -461,7 +522,8 @@ function SmartPrintScheduler({ currentUser }) {
                     <div className="text-2xl">
                       {suggestion.type === 'material_grouping' ? '🧵' :
                        suggestion.type === 'load_balance' ? '⚖️' :
-                       suggestion.type === 'priority' ? '🔴' : '💡'}
+                       suggestion.type === 'priority' ? '🔴' :
+                       suggestion.type === 'unattended' ? '🌙' : '💡'}
                     </div>
                     <div className="flex-1">
                       <p className="text-white font-medium">{suggestion.title}</p>
@@ -1,5 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { api } from '../services/api';
+import { collection } from '../services/localStore';
+import { useCollection } from '../hooks/useCollection';
+import OfflineNotice from './OfflineNotice';
 
 /**
  * SpoolManager - Smart spool tracking with waste reduction suggestions
@@ -20,9 +23,8 @@ function SpoolManager({ onSpoolSelect }) {
   const loadSpools = async () => {
     setLoading(true);
     try {
-      // Load from localStorage (in production, this would be an API)
-      const saved = localStorage.getItem('polywerk_spools');
-      const data = saved ? JSON.parse(saved) : getDefaultSpools();
+      // Load from the local store (in production, this would be an API)
+      const data = await collection('spools').getAll({ fallback: getDefaultSpools() });
       setSpools(data);
     } catch (err) {
       console.error('Failed to load spools:', err);
@@ -32,8 +34,9 @@ function SpoolManager({ onSpoolSelect }) {
   };
 
   const saveSpools = (newSpools) => {
-    localStorage.setItem('polywerk_spools', JSON.stringify(newSpools));
     setSpools(newSpools);
+    collection('spools').replaceAll(newSpools)
+      .catch(err => console.error('Failed to save spools:', err));
   };
 
   const getDefaultSpools = () => [
@@ -221,6 +224,8 @@ function SpoolManager({ onSpoolSelect }) {
 
   return (
     <div className="space-y-6">
+      <OfflineNotice>Spools are kept on this device, so you can keep editing them.</OfflineNotice>
+
       {/* Low Spool Alert */}
       {lowSpools.length > 0 && (
         <div className="p-4 rounded-xl border bg-yellow-500/10 border-yellow-500/30">
@@ -713,37 +718,33 @@ function SpoolFormModal({ spool, onSave, onClose }) {
  * SpoolSuggestionWidget - Shows which spool to use for a given job
  */
 export function SpoolSuggestionWidget({ materialNeeded, materialType, color }) {
-  const [spools, setSpools] = useState([]);
+  const { items: all } = useCollection('spools');
 
-  useEffect(() => {
-    const saved = localStorage.getItem('polywerk_spools');
-    if (saved) {
-      const all = JSON.parse(saved);
-      const matches = all
-        .filter(s => s.status !== 'empty' && s.status !== 'disposed')
-        .filter(s => s.material.toLowerCase() === materialType?.toLowerCase())
-        .filter(s => !color || s.color.toLowerCase() === color?.toLowerCase())
-        .map(s => {
-          const usable = Math.max(0, s.current_weight_g - s.empty_spool_weight_g);
-          return {
-            ...s,
-            usableWeight: usable,
-            canComplete: usable >= materialNeeded,
-            wasteIfUsed: usable - materialNeeded,
-          };
-        })
-        .sort((a, b) => {
-          // Prioritize spools with least waste (use up partial spools first)
-          if (a.canComplete && b.canComplete) {
-            return a.wasteIfUsed - b.wasteIfUsed;
-          }
-          if (a.canComplete) return -1;
-          if (b.canComplete) return 1;
-          return b.usableWeight - a.usableWeight;
-        });
-      setSpools(matches.slice(0, 3));
-    }
-  }, [materialNeeded, materialType, color]);
+  const spools = useMemo(() => {
+    const matches = all
+      .filter(s => s.status !== 'empty' && s.status !== 'disposed')
+      .filter(s => s.material.toLowerCase() === materialType?.toLowerCase())
+      .filter(s => !color || s.color.toLowerCase() === color?.toLowerCase())
+      .map(s => {
+        const usable = Math.max(0, s.current_weight_g - s.empty_spool_weight_g);
+        return {
+          ...s,
+          usableWeight: usable,
+          canComplete: usable >= materialNeeded,
+          wasteIfUsed: usable - materialNeeded,
+        };
+      })
+      .sort((a, b) => {
+        // Prioritize spools with least waste (use up partial spools first)
+        if (a.canComplete && b.canComplete) {
+          return a.wasteIfUsed - b.wasteIfUsed;
+        }
+        if (a.canComplete) return -1;
+        if (b.canComplete) return 1;
+        return b.usableWeight - a.usableWeight;
+      });
+    return matches.slice(0, 3);
+  }, [all, materialNeeded, materialType, color]);
 
   if (!materialNeeded || !materialType || spools.length === 0) return null;
 
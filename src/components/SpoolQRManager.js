@@ -1,4 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { generateQRCodeSVG } from '../utils/qrcode';
+import { decodeQR, decodeQRFromFile, getImageDataFromSource } from '../utils/qrdecode';
 
 /**
  * SpoolQRManager - Generate and scan QR codes for spool inventory
@@ -34,80 +36,6 @@ function SpoolQRManager({ spools = [], onSpoolUpdate }) {
     });
   };
 
-  const generateQRCodeSVG = (data, size = 200) => {
-    // Simple QR code generator using a basic pattern
-    // In production, use a proper QR library like 'qrcode'
-    const encoded = btoa(data);
-    const matrix = generateQRMatrix(encoded);
-    const cellSize = size / matrix.length;
-    
-    let paths = '';
-    matrix.forEach((row, y) => {
-      row.forEach((cell, x) => {
-        if (cell) {
-          paths += `M${x * cellSize},${y * cellSize}h${cellSize}v${cellSize}h-${cellSize}z`;
-        }
-      });
-    });
-
-    return `
-      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">
-        <rect width="100%" height="100%" fill="white"/>
-        <path d="${paths}" fill="black"/>
-      </svg>
-    `;
-  };
-
-  // Simple QR-like matrix generator (placeholder - use proper QR lib in production)
-  const generateQRMatrix = (data) => {
-    const size = 25;
-    const matrix = Array(size).fill(null).map(() => Array(size).fill(false));
-    
-    // Position patterns (corners)
-    const addPositionPattern = (x, y) => {
-      for (let i = 0; i < 7; i++) {
-        for (let j = 0; j < 7; j++) {
-          const isOuter = i === 0 || i === 6 || j === 0 || j === 6;
-          const isInner = i >= 2 && i <= 4 && j >= 2 && j <= 4;
-          matrix[y + i][x + j] = isOuter || isInner;
-        }
-      }
-    };
-    
-    addPositionPattern(0, 0);
-    addPositionPattern(size - 7, 0);
-    addPositionPattern(0, size - 7);
-    
-    // Timing patterns
-    for (let i = 8; i < size - 8; i++) {
-      matrix[6][i] = i % 2 === 0;
-      matrix[i][6] = i % 2 === 0;
-    }
-    
-    // Data encoding (simplified)
-    let dataIndex = 0;
-    const dataBytes = data.split('').map(c => c.charCodeAt(0));
-    
-    for (let col = size - 1; col > 0; col -= 2) {
-      if (col === 6) col = 5;
-      for (let row = 0; row < size; row++) {
-        for (let c = 0; c < 2; c++) {
-          const x = col - c;
-          if (!matrix[row][x] && row > 8 && x > 8) {
-            if (dataIndex < dataBytes.length * 8) {
-              const byteIndex = Math.floor(dataIndex / 8);
-              const bitIndex = dataIndex % 8;
-              matrix[row][x] = (dataBytes[byteIndex] >> (7 - bitIndex)) & 1;
-              dataIndex++;
-            }
-          }
-        }
-      }
-    }
-    
-    return matrix;
-  };
-
   const handlePrintQRCodes = () => {
     const spoolsToPrint = selectedForPrint.size > 0 
       ? spools.filter(s => selectedForPrint.has(s.id))
@@ -448,23 +376,92 @@ function QRCodeModal({ spool, qrSvg, onPrint, onClose, getColorHex }) {
   );
 }
 
+/**
+ * Interpret scanned or typed text as a spool.
+ * Accepts our JSON label payload or a bare spool ID.
+ */
+const resolveScannedSpool = (text, spools) => {
+  const value = String(text || '').trim();
+  try {
+    const data = JSON.parse(value);
+    if (data?.type === 'polywerk_spool' && data.id) {
+      return { data };
+    }
+    return { error: 'Invalid QR code format' };
+  } catch {
+    const spool = spools.find(s => s.id === value);
+    if (spool) {
+      return { data: { type: 'polywerk_spool', id: spool.id, ...spool } };
+    }
+    return { error: 'Spool not found' };
+  }
+};
+
+// How often camera frames are decoded while the scanner is open
+const SCAN_INTERVAL_MS = 250;
+
 /**
  * ScanQRModal - Camera-based QR scanning
  */
 function ScanQRModal({ onScan, onClose, spools, onSpoolUpdate }) {
   const [manualInput, setManualInput] = useState('');
   const [error, setError] = useState(null);
+  const [decodingPhoto, setDecodingPhoto] = useState(false);
   const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const photoInputRef = useRef(null);
   const [hasCamera, setHasCamera] = useState(true);
 
+  // Latest callbacks for the scan loop, so the camera isn't restarted on every render
+  const handleTextRef = useRef(null);
+  handleTextRef.current = (text) => {
+    const { data, error: scanError } = resolveScannedSpool(text, spools);
+    if (data) {
+      navigator.vibrate?.(100);
+      onScan(data);
+      return true;
+    }
+    setError(scanError);
+    return false;
+  };
+
   useEffect(() => {
+    let stream = null;
+    let scanTimer = null;
+    let cancelled = false;
+    let lastText = null;
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      if (!video || video.readyState < video.HAVE_ENOUGH_DATA) return;
+      if (!canvasRef.current) {
+        canvasRef.current = document.createElement('canvas');
+      }
+
+      const imageData = getImageDataFromSource(video, { canvas: canvasRef.current, maxDimension: 640 });
+      const result = imageData && decodeQR(imageData);
+      // Same unknown code held in view - don't keep re-reporting it
+      if (!result || result.text === lastText) return;
+      lastText = result.text;
+
+      if (handleTextRef.current(result.text)) {
+        clearInterval(scanTimer);
+      }
+    };
+
     // Try to access camera
     if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
       navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
-        .then(stream => {
+        .then(mediaStream => {
+          if (cancelled) {
+            mediaStream.getTracks().forEach(track => track.stop());
+            return;
+          }
+          stream = mediaStream;
           if (videoRef.current) {
-            videoRef.current.srcObject = stream;
+            videoRef.current.srcObject = mediaStream;
           }
+          scanTimer = setInterval(scanFrame, SCAN_INTERVAL_MS);
         })
         .catch(err => {
           console.error('Camera access denied:', err);
@@ -476,29 +473,37 @@ function ScanQRModal({ onScan, onClose, spools, onSpoolUpdate }) {
 
     return () => {
       // Cleanup camera stream
-      if (videoRef.current?.srcObject) {
-        videoRef.current.srcObject.getTracks().forEach(track => track.stop());
+      cancelled = true;
+      clearInterval(scanTimer);
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
       }
     };
   }, []);
 
   const handleManualSubmit = () => {
+    handleTextRef.current(manualInput);
+  };
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setDecodingPhoto(true);
     try {
-      // Try to parse as JSON (our QR format)
-      const data = JSON.parse(manualInput);
-      if (data.type === 'polywerk_spool') {
-        onScan(data);
-      } else {
-        setError('Invalid QR code format');
-      }
-    } catch {
-      // Try to find spool by ID
-      const spool = spools.find(s => s.id === manualInput);
-      if (spool) {
-        onScan({ type: 'polywerk_spool', id: spool.id, ...spool });
+      const result = await decodeQRFromFile(file);
+      if (result) {
+        handleTextRef.current(result.text);
       } else {
-        setError('Spool not found');
+        setError('No QR code found in photo');
       }
+    } catch (err) {
+      console.error('Photo decode failed:', err);
+      setError('Could not read photo');
+    } finally {
+      setDecodingPhoto(false);
     }
   };
 
@@ -517,7 +522,7 @@ function ScanQRModal({ onScan, onClose, spools, onSpoolUpdate }) {
 
         <div className="p-6 space-y-4">
           {hasCamera ? (
-            <div className="aspect-square rounded-xl overflow-hidden bg-black">
+            <div className="relative aspect-square rounded-xl overflow-hidden bg-black">
               <video 
                 ref={videoRef}
                 autoPlay
@@ -533,7 +538,7 @@ function ScanQRModal({ onScan, onClose, spools, onSpoolUpdate }) {
               <div className="text-center">
                 <p className="text-4xl mb-2">📷</p>
                 <p className="text-slate-400">Camera not available</p>
-                <p className="text-slate-500 text-sm">Use manual input below</p>
+                <p className="text-slate-500 text-sm">Scan a photo or use manual input below</p>
               </div>
             </div>
           )}
@@ -542,6 +547,23 @@ function ScanQRModal({ onScan, onClose, spools, onSpoolUpdate }) {
             Point camera at QR code or enter spool ID manually
           </p>
 
+          {/* Still Photo */}
+          <input
+            ref={photoInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            onChange={handlePhotoSelected}
+            className="hidden"
+          />
+          <button
+            onClick={() => photoInputRef.current?.click()}
+            disabled={decodingPhoto}
+            className="w-full py-2 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700 disabled:opacity-50"
+          >
+            {decodingPhoto ? '⏳ Reading photo...' : '🖼️ Scan from Photo'}
+          </button>
+
           {/* Manual Input */}
           <div className="flex gap-2">
             <input
@@ -0,0 +1,222 @@
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+  Filler,
+} from 'chart.js';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend, Filler);
+
+export const TEMPERATURE_SERIES = [
+  { key: 'nozzle', label: 'Nozzle', color: 'rgb(239, 68, 68)' },
+  { key: 'nozzle_target', label: 'Nozzle target', color: 'rgb(239, 68, 68)', dashed: true },
+  { key: 'bed', label: 'Bed', color: 'rgb(249, 115, 22)' },
+  { key: 'bed_target', label: 'Bed target', color: 'rgb(249, 115, 22)', dashed: true },
+  { key: 'chamber', label: 'Chamber', color: 'rgb(168, 85, 247)' },
+];
+
+export const ACTIVITY_SERIES = [
+  { key: 'progress', label: 'Progress', color: 'rgb(6, 182, 212)' },
+  { key: 'fan', label: 'Fan', color: 'rgb(148, 163, 184)' },
+  { key: 'speed', label: 'Speed', color: 'rgb(34, 197, 94)' },
+  { key: 'layer', label: 'Layer', color: 'rgb(234, 179, 8)', axis: 'y1' },
+];
+
+export const STATE_COLORS = {
+  printing: 'rgba(59, 130, 246, 0.9)',
+  paused: 'rgba(234, 179, 8, 0.9)',
+  prepare: 'rgba(6, 182, 212, 0.9)',
+  idle: 'rgba(100, 116, 139, 0.6)',
+  error: 'rgba(239, 68, 68, 0.9)',
+  failed: 'rgba(239, 68, 68, 0.9)',
+  offline: 'rgba(51, 65, 85, 0.6)',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const formatTick = (t, span) => new Date(t).toLocaleString('en-GB', span > 2 * DAY
+  ? { weekday: 'short', hour: '2-digit', minute: '2-digit' }
+  : { hour: '2-digit', minute: '2-digit' });
+
+// Draws state bands, markers, the replay cursor and the brush selection
+const overlayPlugin = {
+  id: 'telemetryOverlay',
+  afterDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea: { top, bottom, left, right }, scales: { x } } = chart;
+    const clampX = (t) => Math.min(right, Math.max(left, x.getPixelForValue(t)));
+    ctx.save();
+
+    (options.states || []).forEach(segment => {
+      const from = clampX(segment.from);
+      const to = clampX(segment.to);
+      if (to <= from) return;
+      ctx.fillStyle = STATE_COLORS[segment.state] || 'rgba(100, 116, 139, 0.6)';
+      ctx.fillRect(from, top, Math.max(1, to - from), 4);
+    });
+
+    if (options.selection) {
+      const from = clampX(Math.min(...options.selection));
+      const to = clampX(Math.max(...options.selection));
+      ctx.fillStyle = 'rgba(168, 85, 247, 0.2)';
+      ctx.fillRect(from, top, to - from, bottom - top);
+      ctx.strokeStyle = 'rgba(168, 85, 247, 0.8)';
+      ctx.strokeRect(from, top, to - from, bottom - top);
+    }
+
+    const line = (t, color, dash = []) => {
+      const px = x.getPixelForValue(t);
+      if (px < left || px > right) return;
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(px, top);
+      ctx.lineTo(px, bottom);
+      ctx.stroke();
+    };
+    (options.markers || []).forEach(marker => line(marker.t, marker.color || 'rgb(239, 68, 68)', [4, 3]));
+    if (options.cursor) line(options.cursor, 'rgba(255, 255, 255, 0.9)');
+
+    ctx.restore();
+  },
+};
+
+/**
+ * TelemetryChart - Recorded printer telemetry over time, with drag to
+ * select a range (brush) and an optional cursor for replay
+ */
+function TelemetryChart({
+  samples, series, from, to, height = 200, yLabel = '°C', states, markers, cursor, selection, onBrush, showLegend = true,
+}) {
+  const chartRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  const timeAt = (event) => {
+    const chart = chartRef.current;
+    if (!chart) return null;
+    const { left, right } = chart.chartArea;
+    const px = event.nativeEvent.offsetX;
+    return chart.scales.x.getValueForPixel(Math.min(right, Math.max(left, px)));
+  };
+
+  const handleMouseDown = (event) => {
+    if (!onBrush) return;
+    const t = timeAt(event);
+    if (t !== null) setDrag([t, t]);
+  };
+
+  const handleMouseMove = (event) => {
+    if (!drag) return;
+    const t = timeAt(event);
+    if (t !== null) setDrag([drag[0], t]);
+  };
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const [a, b] = [Math.min(...drag), Math.max(...drag)];
+    setDrag(null);
+    // A click, not a drag
+    if (b - a < (to - from) / 200) return;
+    onBrush(a, b);
+  };
+
+  const hasRightAxis = series.some(s => s.axis === 'y1');
+  const data = {
+    datasets: series.map(s => ({
+      label: s.label,
+      data: samples.map(sample => ({ x: sample.t, y: sample.gap ? null : sample[s.key] ?? null })),
+      yAxisID: s.axis || 'y',
+      borderColor: s.color,
+      backgroundColor: s.color,
+      borderDash: s.dashed ? [5, 5] : [],
+      borderWidth: s.dashed ? 1 : 2,
+      pointRadius: 0,
+      tension: 0.2,
+      spanGaps: false,
+    })),
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    parsing: false,
+    normalized: true,
+    interaction: { intersect: false, mode: 'nearest', axis: 'x' },
+    plugins: {
+      legend: {
+        display: showLegend,
+        position: 'top',
+        labels: { color: '#94a3b8', usePointStyle: true, boxWidth: 6, font: { size: 11 } },
+      },
+      tooltip: {
+        callbacks: {
+          title: (items) => (items[0] ? new Date(items[0].parsed.x).toLocaleString('en-GB') : ''),
+        },
+      },
+      telemetryOverlay: { states, markers, cursor, selection: drag || selection },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        min: from,
+        max: to,
+        grid: { color: 'rgba(51, 65, 85, 0.5)' },
+        ticks: { color: '#64748b', maxTicksLimit: 8, font: { size: 10 }, callback: (value) => formatTick(value, to - from) },
+      },
+      y: {
+        grid: { color: 'rgba(51, 65, 85, 0.5)' },
+        ticks: { color: '#64748b', font: { size: 10 }, callback: (value) => `${value}${yLabel}` },
+      },
+      ...(hasRightAxis && {
+        y1: {
+          position: 'right',
+          grid: { display: false },
+          ticks: { color: '#64748b', font: { size: 10 } },
+        },
+      }),
+    },
+  };
+
+  return (
+    <div
+      style={{ height }}
+      className={onBrush ? 'cursor-crosshair select-none' : ''}
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={handleMouseUp}
+    >
+      <Line ref={chartRef} data={data} options={options} plugins={[overlayPlugin]} />
+    </div>
+  );
+}
+
+TelemetryChart.propTypes = {
+  samples: PropTypes.arrayOf(PropTypes.object).isRequired,
+  series: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    dashed: PropTypes.bool,
+    axis: PropTypes.string,
+  })).isRequired,
+  from: PropTypes.number.isRequired,
+  to: PropTypes.number.isRequired,
+  height: PropTypes.number,
+  yLabel: PropTypes.string,
+  states: PropTypes.arrayOf(PropTypes.object),
+  markers: PropTypes.arrayOf(PropTypes.shape({ t: PropTypes.number, color: PropTypes.string })),
+  cursor: PropTypes.number,
+  selection: PropTypes.arrayOf(PropTypes.number),
+  onBrush: PropTypes.func,
+  showLegend: PropTypes.bool,
+};
+
+export default TelemetryChart;
@@ -0,0 +1,206 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import TelemetryChart, { ACTIVITY_SERIES, formatTick, STATE_COLORS, TEMPERATURE_SERIES } from './TelemetryChart';
+import { getTelemetry, getTelemetryPrinters, RETENTION_DAYS } from '../services/telemetry';
+import { downsample, stateSegments, TELEMETRY_RANGES } from '../utils/telemetrySeries';
+
+// Narrowest zoom - a few samples still show
+const MIN_SPAN_MS = 5 * 60 * 1000;
+
+/**
+ * TelemetryHistory - A printer's recorded telemetry over the last day or
+ * week. Drag across a chart to zoom in; drag on the overview to move.
+ */
+function TelemetryHistory({ printerName, onClose }) {
+  const [printer, setPrinter] = useState(printerName || '');
+  const [printers, setPrinters] = useState(printerName ? [printerName] : []);
+  const [range, setRange] = useState('24h');
+  const [samples, setSamples] = useState([]);
+  const [bounds, setBounds] = useState(() => ({ from: Date.now() - TELEMETRY_RANGES['24h'].ms, to: Date.now() }));
+  const [view, setView] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    getTelemetryPrinters().then(names => {
+      setPrinters(names.includes(printerName) || !printerName ? names : [printerName, ...names]);
+      setPrinter(current => current || printerName || names[0] || '');
+    });
+  }, [printerName]);
+
+  const load = useCallback(async () => {
+    if (!printer) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    const to = Date.now();
+    const from = to - TELEMETRY_RANGES[range].ms;
+    try {
+      setSamples(await getTelemetry(printer, from, to));
+      setBounds({ from, to });
+      setView(null);
+    } catch (err) {
+      console.error('Failed to load telemetry:', err);
+      setSamples([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [printer, range]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const shown = view || bounds;
+  const overview = useMemo(() => downsample(samples, bounds.from, bounds.to, 300), [samples, bounds]);
+  const detail = useMemo(() => downsample(samples, shown.from, shown.to, 500), [samples, shown]);
+  const states = useMemo(() => stateSegments(detail), [detail]);
+
+  const zoomTo = (from, to) => {
+    const span = Math.max(MIN_SPAN_MS, to - from);
+    const mid = (from + to) / 2;
+    const next = {
+      from: Math.max(bounds.from, mid - span / 2),
+      to: Math.min(bounds.to, mid + span / 2),
+    };
+    setView(next.from <= bounds.from && next.to >= bounds.to ? null : next);
+  };
+
+  const zoomOut = () => {
+    const span = shown.to - shown.from;
+    zoomTo(shown.from - span / 2, shown.to + span / 2);
+  };
+
+  const latest = samples[samples.length - 1];
+
+  return (
+    <div className="rounded-xl border p-4 space-y-4" style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}>
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-bold text-white">📈 Telemetry History</h3>
+          <p className="text-xs text-slate-500">
+            Recorded in this browser while the dashboard is open · kept {RETENTION_DAYS} days
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={printer}
+            onChange={(e) => setPrinter(e.target.value)}
+            className="px-3 py-1.5 rounded-lg text-white text-sm"
+            style={{ backgroundColor: '#334155' }}
+          >
+            {printers.length === 0 && <option value="">No printers recorded yet</option>}
+            {printers.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <div className="flex rounded-lg overflow-hidden border" style={{ borderColor: '#334155' }}>
+            {Object.entries(TELEMETRY_RANGES).map(([key, config]) => (
+              <button
+                key={key}
+                onClick={() => setRange(key)}
+                className={`px-3 py-1.5 text-sm ${range === key ? 'bg-purple-500 text-white' : 'text-slate-400 hover:bg-slate-700'}`}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={zoomOut}
+            disabled={!view}
+            className="px-3 py-1.5 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700 disabled:opacity-40"
+          >
+            🔍− Zoom out
+          </button>
+          <button
+            onClick={() => setView(null)}
+            disabled={!view}
+            className="px-3 py-1.5 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700 disabled:opacity-40"
+          >
+            Reset
+          </button>
+          <button
+            onClick={load}
+            className="px-3 py-1.5 rounded-lg text-sm text-slate-300 border border-slate-600 hover:bg-slate-700"
+          >
+            🔄
+          </button>
+          {onClose && (
+            <button onClick={onClose} className="px-2 text-slate-400 hover:text-white text-xl">×</button>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-8 text-center">
+          <div className="w-8 h-8 border-2 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+        </div>
+      ) : samples.length === 0 ? (
+        <div className="p-8 text-center text-slate-400">
+          <p className="text-4xl mb-2">📭</p>
+          <p>No telemetry recorded for {printer || 'this printer'} in the last {TELEMETRY_RANGES[range].label}</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-xs text-slate-400">
+            {formatTick(shown.from, shown.to - shown.from)} – {formatTick(shown.to, shown.to - shown.from)}
+            {view && ' (zoomed)'} · {samples.length} samples
+            {latest && ` · last: ${latest.state}, nozzle ${latest.nozzle ?? '--'}°, bed ${latest.bed ?? '--'}°`}
+          </p>
+
+          <TelemetryChart
+            samples={detail}
+            series={TEMPERATURE_SERIES}
+            from={shown.from}
+            to={shown.to}
+            height={220}
+            states={states}
+            onBrush={zoomTo}
+          />
+          <TelemetryChart
+            samples={detail}
+            series={ACTIVITY_SERIES}
+            from={shown.from}
+            to={shown.to}
+            height={160}
+            yLabel="%"
+            onBrush={zoomTo}
+          />
+
+          {/* Overview brush */}
+          <div className="rounded-lg p-2" style={{ backgroundColor: '#0f172a' }}>
+            <p className="text-xs text-slate-500 mb-1">Overview - drag to pick a range</p>
+            <TelemetryChart
+              samples={overview}
+              series={TEMPERATURE_SERIES.filter(s => s.key === 'nozzle' || s.key === 'bed')}
+              from={bounds.from}
+              to={bounds.to}
+              height={70}
+              showLegend={false}
+              states={stateSegments(overview)}
+              selection={view ? [view.from, view.to] : undefined}
+              onBrush={zoomTo}
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-3 text-xs text-slate-400">
+            <span className="font-medium">States:</span>
+            {Object.entries(STATE_COLORS).map(([state, color]) => (
+              <span key={state} className="flex items-center gap-1">
+                <span className="w-3 h-1.5 rounded" style={{ backgroundColor: color }} /> {state}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+TelemetryHistory.propTypes = {
+  printerName: PropTypes.string,
+  onClose: PropTypes.func,
+};
+
+export default TelemetryHistory;
@@ -0,0 +1,263 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import TelemetryChart, { ACTIVITY_SERIES, TEMPERATURE_SERIES } from './TelemetryChart';
+import { collection } from '../services/localStore';
+import { getTelemetry } from '../services/telemetry';
+import { sanitizeText } from '../utils/sanitization';
+import { downsample, jobWindow, sampleAt, stateSegments } from '../utils/telemetrySeries';
+
+const MINUTE = 60 * 1000;
+// How far back to look for the job's start when we only know its end
+const SEARCH_BACK_MS = 48 * 60 * MINUTE;
+const PADDING_MS = 5 * MINUTE;
+const TICK_MS = 200;
+const SPEEDS = [60, 300, 1200];
+
+const formatOffset = (ms) => {
+  const minutes = Math.max(0, Math.round(ms / MINUTE));
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const reading = (value, unit = '') => (value === null || value === undefined ? '--' : `${value}${unit}`);
+
+/**
+ * TelemetryReplay - Scrub through a finished or failed print's recorded
+ * telemetry, next to its failure log entry
+ */
+function TelemetryReplay({ printerName, jobId, fileName, start, end, failure, onClose }) {
+  const [samples, setSamples] = useState([]);
+  const [replayRange, setReplayRange] = useState(null);
+  const [entry, setEntry] = useState(failure || null);
+  const [cursor, setCursor] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[1]);
+  const [loading, setLoading] = useState(true);
+
+  const endTime = useMemo(() => (end ? new Date(end).getTime() : Date.now()), [end]);
+  const startTime = start ? new Date(start).getTime() : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const all = await getTelemetry(printerName, (startTime ?? endTime - SEARCH_BACK_MS) - PADDING_MS, endTime + 30 * MINUTE);
+        const found = startTime
+          ? { from: startTime, to: endTime }
+          : jobWindow(all, { jobId, fileName, end: endTime + MINUTE });
+        if (cancelled) return;
+        setSamples(all);
+        setReplayRange(found && { from: found.from - PADDING_MS, to: found.to + PADDING_MS });
+        setCursor(found?.from ?? null);
+      } catch (err) {
+        console.error('Failed to load telemetry:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [printerName, jobId, fileName, startTime, endTime]);
+
+  // A failed job's log entry, when we weren't handed one
+  useEffect(() => {
+    if (failure || !jobId) return;
+    collection('failure_logs').getAll()
+      .then(logs => setEntry(logs.find(log => String(log.job_id) === String(jobId)) || null))
+      .catch(() => {});
+  }, [failure, jobId]);
+
+  useEffect(() => {
+    if (!playing || !replayRange) return undefined;
+    const timer = setInterval(() => {
+      setCursor(prev => {
+        const next = (prev ?? replayRange.from) + speed * TICK_MS;
+        if (next >= replayRange.to) {
+          setPlaying(false);
+          return replayRange.to;
+        }
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, replayRange]);
+
+  const points = useMemo(() => (replayRange ? downsample(samples, replayRange.from, replayRange.to, 500) : []), [samples, replayRange]);
+  const states = useMemo(() => stateSegments(points), [points]);
+  const inWindow = useMemo(() => (replayRange ? samples.filter(s => s.t >= replayRange.from && s.t <= replayRange.to) : []), [samples, replayRange]);
+  const current = cursor !== null ? sampleAt(inWindow, cursor) : null;
+
+  const failedAt = entry?.timestamp ? new Date(entry.timestamp).getTime() : null;
+  const markers = failedAt ? [{ t: failedAt, color: 'rgb(239, 68, 68)' }] : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div
+        className="w-full max-w-6xl max-h-[90vh] overflow-y-auto rounded-xl border"
+        style={{ backgroundColor: '#1e293b', borderColor: '#334155' }}
+      >
+        <div className="p-4 border-b flex justify-between items-center" style={{ borderColor: '#334155' }}>
+          <div>
+            <h3 className="text-lg font-bold text-white">▶️ Job Replay</h3>
+            <p className="text-xs text-slate-400">
+              {sanitizeText(fileName || String(jobId || ''))} on {sanitizeText(printerName)}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl">×</button>
+        </div>
+
+        <div className="p-4 grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* Failure log entry */}
+          <div className="space-y-3 text-sm">
+            {entry ? (
+              <div className="rounded-lg p-3 space-y-2 border border-red-500/30 bg-red-500/10">
+                <p className="text-red-400 font-medium">❌ {sanitizeText(String(entry.reason || 'Failed'))}</p>
+                <p className="text-slate-400">Logged {new Date(entry.timestamp).toLocaleString('en-GB')}</p>
+                {entry.logged_by && <p className="text-slate-400">By {sanitizeText(String(entry.logged_by))}</p>}
+                {entry.material_wasted_g > 0 && <p className="text-slate-300">{entry.material_wasted_g}g wasted</p>}
+                {entry.notes && <p className="text-white whitespace-pre-wrap">{sanitizeText(entry.notes)}</p>}
+                {entry.photos?.length > 0 && (
+                  <div className="flex gap-2 flex-wrap">
+                    {entry.photos.map((photo, idx) => (
+                      <img
+                        key={idx}
+                        src={photo.data || photo}
+                        alt={`Failure ${idx + 1}`}
+                        className="w-20 h-20 object-cover rounded-lg border border-slate-600"
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="rounded-lg p-3 text-slate-400" style={{ backgroundColor: '#0f172a' }}>
+                No failure logged for this job.
+              </div>
+            )}
+
+            {current && (
+              <div className="rounded-lg p-3 grid grid-cols-2 gap-2" style={{ backgroundColor: '#0f172a' }}>
+                <p className="col-span-2 text-white font-medium">
+                  {new Date(cursor).toLocaleTimeString('en-GB')}
+                  <span className="text-slate-500 font-normal"> · +{formatOffset(cursor - replayRange.from - PADDING_MS)}</span>
+                </p>
+                <p className="text-slate-400">State <span className="text-white">{current.state}</span></p>
+                <p className="text-slate-400">Progress <span className="text-white">{reading(current.progress, '%')}</span></p>
+                <p className="text-slate-400">
+                  Nozzle <span className="text-white">{reading(current.nozzle, '°')}</span>
+                  <span className="text-slate-500"> / {reading(current.nozzle_target, '°')}</span>
+                </p>
+                <p className="text-slate-400">
+                  Bed <span className="text-white">{reading(current.bed, '°')}</span>
+                  <span className="text-slate-500"> / {reading(current.bed_target, '°')}</span>
+                </p>
+                <p className="text-slate-400">Chamber <span className="text-white">{reading(current.chamber, '°')}</span></p>
+                <p className="text-slate-400">
+                  Layer <span className="text-white">{reading(current.layer)}</span>
+                  {current.layer_total ? <span className="text-slate-500"> / {current.layer_total}</span> : null}
+                </p>
+                <p className="text-slate-400">Fan <span className="text-white">{reading(current.fan, '%')}</span></p>
+                <p className="text-slate-400">Speed <span className="text-white">{reading(current.speed, '%')}</span></p>
+              </div>
+            )}
+          </div>
+
+          {/* Telemetry */}
+          <div className="lg:col-span-2 space-y-3">
+            {loading ? (
+              <div className="p-8 text-center">
+                <div className="w-8 h-8 border-2 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+              </div>
+            ) : !replayRange || inWindow.length === 0 ? (
+              <div className="p-8 text-center text-slate-400">
+                <p className="text-4xl mb-2">📭</p>
+                <p>No telemetry was recorded for this job.</p>
+                <p className="text-xs text-slate-500 mt-1">History is kept for a week, and only while the dashboard is open.</p>
+              </div>
+            ) : (
+              <>
+                <TelemetryChart
+                  samples={points}
+                  series={TEMPERATURE_SERIES}
+                  from={replayRange.from}
+                  to={replayRange.to}
+                  height={200}
+                  states={states}
+                  markers={markers}
+                  cursor={cursor}
+                />
+                <TelemetryChart
+                  samples={points}
+                  series={ACTIVITY_SERIES}
+                  from={replayRange.from}
+                  to={replayRange.to}
+                  height={140}
+                  yLabel="%"
+                  markers={markers}
+                  cursor={cursor}
+                />
+
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => {
+                      if (cursor >= replayRange.to) setCursor(replayRange.from);
+                      setPlaying(!playing);
+                    }}
+                    className="px-3 py-1.5 rounded-lg text-sm font-medium text-white"
+                    style={{ background: 'linear-gradient(135deg, #a855f7 0%, #06b6d4 100%)' }}
+                  >
+                    {playing ? '⏸️ Pause' : '▶️ Play'}
+                  </button>
+                  <input
+                    type="range"
+                    min={replayRange.from}
+                    max={replayRange.to}
+                    step={1000}
+                    value={cursor ?? replayRange.from}
+                    onChange={(e) => {
+                      setPlaying(false);
+                      setCursor(Number(e.target.value));
+                    }}
+                    className="flex-1"
+                  />
+                  <select
+                    value={speed}
+                    onChange={(e) => setSpeed(Number(e.target.value))}
+                    className="px-2 py-1 rounded text-white text-sm"
+                    style={{ backgroundColor: '#334155' }}
+                  >
+                    {SPEEDS.map(s => (
+                      <option key={s} value={s}>{s}×</option>
+                    ))}
+                  </select>
+                </div>
+                {failedAt && (
+                  <button
+                    onClick={() => {
+                      setPlaying(false);
+                      setCursor(failedAt);
+                    }}
+                    className="text-xs text-red-400 hover:text-red-300"
+                  >
+                    ⏭️ Jump to when the failure was logged
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+TelemetryReplay.propTypes = {
+  printerName: PropTypes.string.isRequired,
+  jobId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  fileName: PropTypes.string,
+  start: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  end: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  failure: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default TelemetryReplay;
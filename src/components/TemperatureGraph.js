@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Line } from 'react-chartjs-2';
+import { getTelemetry } from '../services/telemetry';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -24,6 +25,8 @@ ChartJS.register(
   Filler
 );
 
+const timeLabel = (t) => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
 /**
  * Temperature Graphs - Live temp charts with history
  */
@@ -37,9 +40,26 @@ function TemperatureGraph({ printerName, nozzleTemp, nozzleTarget, bedTemp, bedT
   });
   const maxPoints = 60; // 5 minutes at 5s intervals
 
+  // Start from the recorded telemetry instead of an empty chart
+  useEffect(() => {
+    if (!printerName) return undefined;
+    let cancelled = false;
+    getTelemetry(printerName, Date.now() - 15 * 60 * 1000).then(samples => {
+      if (cancelled || samples.length === 0) return;
+      setHistory(prev => ({
+        labels: [...samples.map(s => timeLabel(s.t)), ...prev.labels].slice(-maxPoints),
+        nozzle: [...samples.map(s => s.nozzle || 0), ...prev.nozzle].slice(-maxPoints),
+        nozzleTarget: [...samples.map(s => s.nozzle_target || 0), ...prev.nozzleTarget].slice(-maxPoints),
+        bed: [...samples.map(s => s.bed || 0), ...prev.bed].slice(-maxPoints),
+        bedTarget: [...samples.map(s => s.bed_target || 0), ...prev.bedTarget].slice(-maxPoints),
+      }));
+    }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [printerName]);
+
   // Update history when temps change
   useEffect(() => {
-    const now = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const now = timeLabel(Date.now());
     
     setHistory(prev => {
       const newLabels = [...prev.labels, now].slice(-maxPoints);
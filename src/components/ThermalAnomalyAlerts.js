@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { AlertGenerator, useAlerts } from './AlertSystem';
+import { api } from '../services/api';
+import { startThermalMonitor, subscribeAnomalies } from '../services/thermalMonitor';
+import { ANOMALY_TYPES } from '../utils/thermalAnomalies';
+import { ACTIVE_STATES } from '../utils/telemetrySeries';
+import toast from '../utils/toast';
+
+/**
+ * Whether the printer was busy with a job when the anomaly was seen
+ */
+export const isPausable = (anomaly) => ACTIVE_STATES.includes(anomaly.state) && anomaly.state !== 'paused';
+
+/**
+ * Pause a printer over an anomaly once the operator confirms
+ */
+export async function confirmAnomalyPause(anomaly) {
+  const { label } = ANOMALY_TYPES[anomaly.type];
+  if (!window.confirm(`${label} on ${anomaly.printer}:\n${anomaly.message}\n\nPause ${anomaly.printer} now?`)) return false;
+  try {
+    await api.pausePrinter(anomaly.printer);
+    toast.success(`${anomaly.printer} paused`);
+    return true;
+  } catch (err) {
+    console.error('Failed to pause printer:', err);
+    toast.error(`Could not pause ${anomaly.printer}: ${err.message || 'request failed'}`);
+    return false;
+  }
+}
+
+/**
+ * ThermalAnomalyAlerts - Runs on-device anomaly detection and raises an
+ * alert for each new anomaly. Detectors set to auto-pause ask to pause the
+ * printer straight away. Renders nothing.
+ */
+function ThermalAnomalyAlerts({ canPause = false }) {
+  const { addAlert } = useAlerts();
+  const canPauseRef = useRef(canPause);
+  canPauseRef.current = canPause;
+
+  useEffect(() => startThermalMonitor(), []);
+
+  useEffect(() => subscribeAnomalies(({ kind, anomaly }) => {
+    if (kind !== 'detected') return;
+    const { label, icon } = ANOMALY_TYPES[anomaly.type];
+    const pausable = canPauseRef.current && isPausable(anomaly);
+
+    addAlert({
+      ...AlertGenerator.thermalAnomaly(anomaly, label, icon),
+      actions: pausable ? [{ label: '⏸️ Pause printer', onClick: () => confirmAnomalyPause(anomaly) }] : undefined,
+    });
+    // Let the alert render before the confirm dialog blocks the page
+    if (pausable && anomaly.auto_pause) setTimeout(() => confirmAnomalyPause(anomaly), 0);
+  }), [addAlert]);
+
+  return null;
+}
+
+ThermalAnomalyAlerts.propTypes = {
+  canPause: PropTypes.bool,
+};
+
+export default ThermalAnomalyAlerts;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { api } from '../services/api';
+import { collection } from '../services/localStore';
 import { sanitizeText } from '../utils/sanitization';
 import { useLanguage } from '../i18n';
 
@@ -93,14 +94,12 @@ function TimeTracker({ currentUser }) {
     return [];
   };
 
-  const loadTimeEntries = async () => {
-    const saved = localStorage.getItem('polywerk_time_entries');
-    return saved ? JSON.parse(saved) : [];
-  };
+  const loadTimeEntries = () => collection('time_entries').getAll();
 
   const saveTimeEntries = (entries) => {
-    localStorage.setItem('polywerk_time_entries', JSON.stringify(entries));
     setTimeEntries(entries);
+    collection('time_entries').replaceAll(entries)
+      .catch(err => console.error('Failed to save time entries:', err));
   };
 
   const loadSavedTimer = () => {
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
 import { useLanguage } from '../i18n';
+import OfflineNotice from './OfflineNotice';
 
 /**
  * TodayDashboard - The home view showing today's priorities and quick actions
@@ -221,6 +222,8 @@ function TodayDashboard({ currentUser, onNavigate }) {
 
   return (
     <div className="space-y-6">
+      <OfflineNotice>Printer and order status may be out of date.</OfflineNotice>
+
       {/* Header with Greeting */}
       <div className="rounded-xl p-6" style={{ 
         background: 'linear-gradient(135deg, rgba(168, 85, 247, 0.15) 0%, rgba(6, 182, 212, 0.15) 100%)',
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { api } from '../services/api';
+import { collection } from '../services/localStore';
 
 /**
  * UnifiedCalendar - Calendar for everything: jobs, orders, maintenance, emails
@@ -37,9 +38,8 @@ function UnifiedCalendar({ currentUser, importedEvents = [] }) {
   const loadEvents = async () => {
     setLoading(true);
     try {
-      // Load from localStorage (would be API in production)
-      const savedEvents = localStorage.getItem('polywerk_calendar_events');
-      const data = savedEvents ? JSON.parse(savedEvents) : getDefaultEvents();
+      // Load from the local store (would be API in production)
+      const data = await collection('calendar_events').getAll({ fallback: getDefaultEvents() });
       setEvents(data);
     } catch (err) {
       console.error('Failed to load events:', err);
@@ -49,8 +49,9 @@ function UnifiedCalendar({ currentUser, importedEvents = [] }) {
   };
 
   const saveEvents = (newEvents) => {
-    localStorage.setItem('polywerk_calendar_events', JSON.stringify(newEvents));
     setEvents(newEvents);
+    collection('calendar_events').replaceAll(newEvents)
+      .catch(err => console.error('Failed to save events:', err));
   };
 
   const checkGmailConnection = () => {
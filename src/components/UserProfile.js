@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { api, unwrap } from '../services/api';
+import { collection } from '../services/localStore';
 import { sanitizeText } from '../utils/sanitization';
 import { useLanguage } from '../i18n';
 
@@ -113,8 +114,7 @@ function UserProfile({ currentUser, onUserUpdate }) {
   const loadUserStats = async () => {
     try {
       // Load user's work statistics
-      const timeEntries = localStorage.getItem('polywerk_time_entries');
-      const entries = timeEntries ? JSON.parse(timeEntries) : [];
+      const entries = await collection('time_entries').getAll();
       
       const myEntries = entries.filter(e => e.user === currentUser?.username);
       const thisMonth = myEntries.filter(e => {
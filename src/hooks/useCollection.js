@@ -0,0 +1,41 @@
+// printer-dashboard/src/hooks/useCollection.js
+//
+// Live view of a local store collection - reloads when it changes,
+// in this tab or another one.
+//
+import { useCallback, useEffect, useState } from 'react';
+import { collection } from '../services/localStore';
+
+/**
+ * @param {string} name - collection name (see COLLECTIONS in services/localStore)
+ * @returns {{ items: Array, loading: boolean, save: (items: Array) => Promise<void>, reload: () => Promise<void> }}
+ */
+export function useCollection(name) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    try {
+      setItems(await collection(name).getAll());
+    } catch (err) {
+      console.error(`Failed to load ${name}:`, err);
+    } finally {
+      setLoading(false);
+    }
+  }, [name]);
+
+  useEffect(() => {
+    reload();
+    return collection(name).subscribe(() => reload());
+  }, [name, reload]);
+
+  // Optimistic: the list shows right away, the write follows
+  const save = useCallback(async (next) => {
+    setItems(next);
+    await collection(name).replaceAll(next);
+  }, [name]);
+
+  return { items, loading, save, reload };
+}
+
+export default useCollection;
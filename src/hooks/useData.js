@@ -1,21 +1,31 @@
 import { useEffect, useRef, useState } from 'react';
 import { api, unwrap } from '../services/api';
+import { isPushed } from '../services/realtime';
+import { useTopic } from './useWebSocket';
 
 /**
  * Generic auto-refresh hook for polling endpoints.
  * Works with PolyAI's envelope responses ({ status, data }) via unwrap().
+ *
+ * With `topics`, events on those realtime bus topics trigger the refetch
+ * (at most once per `interval`) and the timer only fetches while the socket
+ * isn't delivering them.
  */
-export const useAutoRefresh = (fetchFn, interval = 5000) => {
+export const useAutoRefresh = (fetchFn, interval = 5000, topics = null) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   const mountedRef = useRef(true);
+  const fetchRef = useRef(null);
+  const lastFetchRef = useRef(0);
+  const pendingRef = useRef(null);
 
   useEffect(() => {
     mountedRef.current = true;
 
     const fetchData = async (isFirst = false) => {
+      lastFetchRef.current = Date.now();
       if (isFirst) setLoading(true);
       try {
         const res = await fetchFn();
@@ -31,22 +41,42 @@ export const useAutoRefresh = (fetchFn, interval = 5000) => {
         setLoading(false);
       }
     };
+    fetchRef.current = fetchData;
 
     fetchData(true);
-    const intervalId = setInterval(() => fetchData(false), interval);
 
     return () => {
       mountedRef.current = false;
-      clearInterval(intervalId);
+      clearTimeout(pendingRef.current);
+      pendingRef.current = null;
     };
-  }, [fetchFn, interval]);
+  }, [fetchFn]);
+
+  const topicsKey = [].concat(topics || []).join('|');
+
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      if (topicsKey && isPushed(topicsKey.split('|'))) return;
+      fetchRef.current?.(false);
+    }, interval);
+    return () => clearInterval(intervalId);
+  }, [topicsKey, interval]);
+
+  useTopic(topics, () => {
+    if (pendingRef.current) return;
+    const wait = Math.max(0, lastFetchRef.current + interval - Date.now());
+    pendingRef.current = setTimeout(() => {
+      pendingRef.current = null;
+      fetchRef.current?.(false);
+    }, wait);
+  });
 
   return { data, loading, error };
 };
 
 // Convenience hooks
-export const usePrinterHealth = () => useAutoRefresh(api.getPrinterHealth, 5000);
-export const useJobQueue = () => useAutoRefresh(api.getJobQueue, 3000);
-export const useSystemStatus = () => useAutoRefresh(api.getSystemStatus, 5000);
-export const useMaterialInventory = () => useAutoRefresh(api.getMaterialInventory, 10000);
-export const useEnergySummary = () => useAutoRefresh(api.getEnergySummary, 10000);
+export const usePrinterHealth = () => useAutoRefresh(api.getPrinterHealth, 5000, ['printers', 'printer:*']);
+export const useJobQueue = () => useAutoRefresh(api.getJobQueue, 3000, 'job:*');
+export const useSystemStatus = () => useAutoRefresh(api.getSystemStatus, 5000, 'system');
+export const useMaterialInventory = () => useAutoRefresh(api.getMaterialInventory, 10000, 'inventory:*');
+export const useEnergySummary = () => useAutoRefresh(api.getEnergySummary, 10000, ['printers', 'printer:*']);
@@ -1,94 +1,58 @@
 // printer-dashboard/src/hooks/useLiveUpdates.js
 //
-// Real-time updates hook (WebSocket + notifications polling)
+// Real-time updates hook (printers + notifications from the realtime bus)
 // Provides a stable interface used by LiveDashboard and other UI components.
 //
-import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import wsService from '../services/websocket';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { sendCommand as sendBusCommand } from '../services/realtime';
 import { api, unwrap } from '../services/api';
+import { mergePrinterUpdate, printerMapOf, useRealtimeStatus, useTopic } from './useWebSocket';
 
-const NOTIFICATIONS_POLL_MS = 15000;
-
-function normalizePrintersPayload(payload) {
-  // backend may send { data: { printers: {...} } } or { printers: [...] } or { states: {...} }
-  const p = payload?.data?.printers ?? payload?.printers ?? payload?.states ?? payload?.data?.states;
-  if (!p) return {};
-  if (Array.isArray(p)) {
-    const map = {};
-    p.forEach((it) => {
-      const name = it?.name || it?.printer_name || it?.id;
-      if (name) map[name] = it;
-    });
-    return map;
-  }
-  if (typeof p === 'object') return p;
-  return {};
-}
-
-function applyPrinterUpdate(prev, update) {
-  // update might look like { printer: {...} } or { name, status, temps... }
-  const u = update?.printer ?? update?.data?.printer ?? update;
-  const name = u?.name || u?.printer_name || u?.id;
-  if (!name) return prev;
-  return { ...prev, [name]: { ...(prev[name] || {}), ...u } };
-}
+const toNotificationList = (data) => {
+  const list = data?.notifications || data?.items || data || [];
+  return Array.isArray(list) ? list : [];
+};
 
 /**
  * Main hook used by LiveDashboard.
  */
 export function useLiveUpdates() {
-  const [connected, setConnected] = useState(wsService.isConnected());
+  const status = useRealtimeStatus();
   const [printers, setPrinters] = useState({});
   const [lastUpdate, setLastUpdate] = useState(null);
-
   const [alerts, setAlerts] = useState([]);
-  const alertsRef = useRef(alerts);
-  useEffect(() => { alertsRef.current = alerts; }, [alerts]);
 
-  // Connect WS once
-  useEffect(() => {
-    wsService.connect();
+  useTopic('printers', ({ payload }) => {
+    setPrinters(printerMapOf(payload));
+    setLastUpdate(Date.now());
+  });
 
-    const offConnect = wsService.on('onConnect', () => setConnected(true));
-    const offDisconnect = wsService.on('onDisconnect', () => setConnected(false));
+  useTopic('printer:*', ({ payload }) => {
+    setPrinters((prev) => mergePrinterUpdate(prev, payload));
+    setLastUpdate(Date.now());
+  });
 
-    const offStates = wsService.on('onPrinterStates', (msg) => {
-      const next = normalizePrintersPayload(msg);
-      setPrinters(next);
-      setLastUpdate(Date.now());
-    });
+  // Full list from the bus (pushed, or polled while the socket doesn't push it)
+  useTopic('notification', ({ payload }) => {
+    setAlerts(payload.notifications);
+  });
 
-    const offUpdate = wsService.on('onPrinterUpdate', (msg) => {
-      setPrinters((prev) => applyPrinterUpdate(prev, msg));
-      setLastUpdate(Date.now());
-    });
+  // Single live alerts go on top until the next full list
+  useTopic('alert:*', ({ payload }) => {
+    setAlerts((prev) => [{ ...payload, id: payload.id ?? payload.event_id ?? Date.now(), read: false }, ...(prev || [])]);
+  });
 
-    return () => {
-      offConnect?.();
-      offDisconnect?.();
-      offStates?.();
-      offUpdate?.();
-    };
-  }, []);
-
-  // Notifications polling (optional, keeps alerts list populated)
+  // Initial list - the bus only polls notifications every 15s
   useEffect(() => {
     let stop = false;
-
-    async function tick() {
-      try {
-        const res = await api.getNotifications();
-        const data = unwrap(res);
-        const list = data?.notifications || data?.items || data || [];
-        if (!stop && Array.isArray(list)) setAlerts(list);
-      } catch {
+    api.getNotifications()
+      .then((res) => {
+        if (!stop) setAlerts((prev) => (prev.length ? prev : toNotificationList(unwrap(res))));
+      })
+      .catch(() => {
         // ignore
-      }
-    }
-
-    tick();
-    const id = setInterval(tick, NOTIFICATIONS_POLL_MS);
-    return () => { stop = true; clearInterval(id); };
+      });
+    return () => { stop = true; };
   }, []);
 
   const unreadAlerts = useMemo(() => {
@@ -109,12 +73,13 @@ export function useLiveUpdates() {
   const clearAlerts = useCallback(() => setAlerts([]), []);
 
   const sendCommand = useCallback(async (printerName, command, params = {}) => {
-    // Prefer the single control endpoint
-    return api.controlPrinter(printerName, command, params);
+    // Over the socket when it is up, else the single control endpoint
+    return sendBusCommand(printerName, command, params);
   }, []);
 
   return {
-    connected,
+    connected: status === 'connected',
+    status,
     printers,
     lastUpdate,
     alerts,
@@ -0,0 +1,21 @@
+// printer-dashboard/src/hooks/useOnlineStatus.js
+//
+// Whether the API server is reachable, and when data last came from it.
+//
+import { useEffect, useState } from 'react';
+import { isOnline, getLastSyncedAt, subscribeOffline } from '../services/offline';
+
+/**
+ * @returns {{ online: boolean, lastSyncedAt: number|null }}
+ */
+export function useOnlineStatus() {
+  const [status, setStatus] = useState(() => ({ online: isOnline(), lastSyncedAt: getLastSyncedAt() }));
+
+  useEffect(() => subscribeOffline((event) => {
+    if (event.type === 'status') setStatus({ online: event.online, lastSyncedAt: event.lastSyncedAt });
+  }), []);
+
+  return status;
+}
+
+export default useOnlineStatus;
@@ -1,72 +1,110 @@
 /**
- * React hooks for WebSocket real-time updates
- * 
- * Uses the WebSocket service with auto-reconnection support.
+ * React hooks for real-time updates
+ *
+ * All of them sit on the realtime event bus (services/realtime.js), which
+ * validates messages, replays missed events after a reconnect and falls back
+ * to polling while the WebSocket is down.
  */
-import { useCallback, useEffect, useState } from 'react';
-import wsService from '../services/websocket';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  connect,
+  getStatus,
+  send,
+  sendCommand as sendBusCommand,
+  subscribe,
+  subscribeStatus,
+} from '../services/realtime';
+import { printerName as nameOf, printerOf, printersOf } from '../services/realtimeSchemas';
 
 /**
- * Hook for WebSocket connection status and printer updates
+ * printer_states payload -> { [name]: printer }
  */
-export function useLivePrinters() {
-  const [connected, setConnected] = useState(false);
-  const [reconnecting, setReconnecting] = useState(false);
-  const [printers, setPrinters] = useState({});
-  const [lastUpdate, setLastUpdate] = useState(null);
+export function printerMapOf(message) {
+  const list = printersOf(message);
+  if (!list) return {};
+  if (Array.isArray(list)) {
+    const map = {};
+    list.forEach((p) => {
+      const name = nameOf(p);
+      if (name) map[name] = p;
+    });
+    return map;
+  }
+  return typeof list === 'object' ? list : {};
+}
+
+/**
+ * Merge a printer_update payload into a printer map
+ */
+export function mergePrinterUpdate(prev, message) {
+  const update = printerOf(message);
+  const name = nameOf(update);
+  if (!name) return prev;
+  return { ...prev, [name]: { ...(prev[name] || {}), ...update } };
+}
 
+/**
+ * Subscribe to one or more bus topics for the component's lifetime
+ * @param {string|string[]} patterns - e.g. 'printer:K1-01', ['job:*', 'order:*']
+ * @param {function} handler - (event) => void; may change between renders
+ */
+export function useTopic(patterns, handler) {
+  const handlerRef = useRef(handler);
   useEffect(() => {
-    // Connect on mount
-    wsService.connect();
+    handlerRef.current = handler;
+  });
 
-    // Set initial state
-    setConnected(wsService.isConnected());
-    setReconnecting(wsService.isReconnecting());
+  const key = [].concat(patterns || []).join('|');
 
-    const unsubConnect = wsService.on('onConnect', () => {
-      setConnected(true);
-      setReconnecting(false);
-    });
+  useEffect(() => {
+    if (!key) return undefined;
+    connect();
+    const unsubscribers = key.split('|').map((pattern) =>
+      subscribe(pattern, (event) => handlerRef.current?.(event))
+    );
+    return () => unsubscribers.forEach((unsub) => unsub());
+  }, [key]);
+}
 
-    const unsubDisconnect = wsService.on('onDisconnect', () => {
-      setConnected(false);
-    });
+/**
+ * Bus status: 'connected' | 'connecting' | 'reconnecting' | 'polling' | 'disconnected'
+ */
+export function useRealtimeStatus() {
+  const [status, setStatus] = useState(getStatus);
 
-    const unsubReconnecting = wsService.on('onReconnecting', () => {
-      setReconnecting(true);
-    });
+  useEffect(() => {
+    setStatus(getStatus());
+    return subscribeStatus(setStatus);
+  }, []);
 
-    const unsubStates = wsService.on('onPrinterStates', (data) => {
-      if (data?.printers) {
-        const printerMap = {};
-        data.printers.forEach((p) => {
-          printerMap[p.name] = p;
-        });
-        setPrinters(printerMap);
-        setLastUpdate(new Date());
-      }
-    });
+  return status;
+}
 
-    const unsubUpdate = wsService.on('onPrinterUpdate', (data) => {
-      if (data?.printer) {
-        setPrinters((prev) => ({
-          ...prev,
-          [data.printer.name]: data.printer,
-        }));
-        setLastUpdate(new Date());
-      }
-    });
+/**
+ * Hook for WebSocket connection status and printer updates
+ */
+export function useLivePrinters() {
+  const status = useRealtimeStatus();
+  const [printers, setPrinters] = useState({});
+  const [lastUpdate, setLastUpdate] = useState(null);
 
-    return () => {
-      unsubConnect();
-      unsubDisconnect();
-      unsubReconnecting();
-      unsubStates();
-      unsubUpdate();
-    };
-  }, []);
+  useTopic('printers', ({ payload }) => {
+    setPrinters(printerMapOf(payload));
+    setLastUpdate(new Date());
+  });
 
-  return { connected, reconnecting, printers, lastUpdate };
+  useTopic('printer:*', ({ payload }) => {
+    setPrinters((prev) => mergePrinterUpdate(prev, payload));
+    setLastUpdate(new Date());
+  });
+
+  return {
+    connected: status === 'connected',
+    reconnecting: status === 'reconnecting',
+    status,
+    printers,
+    lastUpdate,
+  };
 }
 
 /**
@@ -76,25 +114,18 @@ export function useLiveJobs() {
   const [jobs, setJobs] = useState([]);
   const [lastUpdate, setLastUpdate] = useState(null);
 
-  useEffect(() => {
-    wsService.connect();
-
-    const unsub = wsService.on('onJobUpdate', (data) => {
-      if (!data) return;
-      setJobs((prev) => {
-        const idx = prev.findIndex((j) => j.job_id === data.job_id);
-        if (idx >= 0) {
-          const updated = [...prev];
-          updated[idx] = { ...updated[idx], ...data };
-          return updated;
-        }
-        return [...prev, data];
-      });
-      setLastUpdate(new Date());
+  useTopic('job:*', ({ payload }) => {
+    setJobs((prev) => {
+      const idx = prev.findIndex((j) => j.job_id === payload.job_id);
+      if (idx >= 0) {
+        const updated = [...prev];
+        updated[idx] = { ...updated[idx], ...payload };
+        return updated;
+      }
+      return [...prev, payload];
     });
-
-    return () => unsub();
-  }, []);
+    setLastUpdate(new Date());
+  });
 
   return { jobs, lastUpdate };
 }
@@ -106,20 +137,13 @@ export function useLiveAlerts() {
   const [alerts, setAlerts] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
 
-  useEffect(() => {
-    wsService.connect();
-
-    const unsub = wsService.on('onAlert', (alert) => {
-      if (!alert) return;
-      setAlerts((prev) => [
-        { ...alert, id: Date.now(), read: false },
-        ...prev.slice(0, 99),
-      ]);
-      setUnreadCount((prev) => prev + 1);
-    });
-
-    return () => unsub();
-  }, []);
+  useTopic('alert:*', ({ payload }) => {
+    setAlerts((prev) => [
+      { ...payload, id: payload.id ?? payload.event_id ?? Date.now(), read: false },
+      ...prev.slice(0, 99),
+    ]);
+    setUnreadCount((prev) => prev + 1);
+  });
 
   const markRead = useCallback((alertId) => {
     setAlerts((prev) => prev.map((a) => (a.id === alertId ? { ...a, read: true } : a)));
@@ -151,7 +175,7 @@ export function usePrinterControls(printerName) {
       setLoading(true);
       setError(null);
       try {
-        const result = await wsService.sendCommand(printerName, command, params);
+        const result = await sendBusCommand(printerName, command, params);
         return result;
       } catch (err) {
         setError(err?.message || String(err));
@@ -189,135 +213,99 @@ export function usePrinterControls(printerName) {
  * Hook for WebSocket connection status
  */
 export function useWebSocketStatus() {
-  const [status, setStatus] = useState(() => wsService.getStatus());
-  const [connected, setConnected] = useState(() => wsService.isConnected());
-  const [reconnecting, setReconnecting] = useState(() => wsService.isReconnecting());
-
-  useEffect(() => {
-    const unsubConnect = wsService.on('onConnect', () => {
-      setConnected(true);
-      setReconnecting(false);
-      setStatus('connected');
-    });
-
-    const unsubDisconnect = wsService.on('onDisconnect', () => {
-      setConnected(false);
-      setStatus('disconnected');
-    });
-
-    const unsubReconnecting = wsService.on('onReconnecting', () => {
-      setReconnecting(true);
-      setStatus('reconnecting');
-    });
-
-    return () => {
-      unsubConnect();
-      unsubDisconnect();
-      unsubReconnecting();
-    };
-  }, []);
-
-  return { connected, reconnecting, status };
+  const status = useRealtimeStatus();
+  return {
+    connected: status === 'connected',
+    reconnecting: status === 'reconnecting',
+    polling: status === 'polling',
+    status,
+  };
 }
 
+const requestChatHistory = (channel, limit = 50) => send({ type: 'chat_history_request', channel, limit });
+
 /**
  * Hook for team chat
  */
 export function useTeamChat(channel = 'general') {
+  const status = useRealtimeStatus();
   const [messages, setMessages] = useState([]);
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [typingUsers, setTypingUsers] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isOpen, setIsOpen] = useState(false);
 
+  const isOpenRef = useRef(isOpen);
   useEffect(() => {
-    wsService.connect();
+    isOpenRef.current = isOpen;
+  }, [isOpen]);
 
-    // Request chat history on connect
-    const unsubConnect = wsService.on('onConnect', () => {
-      wsService.requestChatHistory(channel, 50);
-    });
+  // (Re)load history whenever the socket comes up - replayed events only
+  // cover what the bus saw before the drop
+  useEffect(() => {
+    if (status === 'connected') requestChatHistory(channel, 50);
+  }, [status, channel]);
 
-    // Handle incoming messages
-    const unsubMessage = wsService.on('onChatMessage', (data) => {
-      if (data.channel === channel || !data.channel) {
-        const newMsg = {
-          id: data.id || Date.now(),
-          message: data.message,
-          user_id: data.user_id,
-          username: data.username,
-          full_name: data.full_name,
-          timestamp: data.timestamp || Date.now(),
-          channel: data.channel || channel,
-        };
-        setMessages((prev) => [...prev, newMsg]);
-        
-        // Increment unread if chat is closed
-        if (!isOpen) {
-          setUnreadCount((prev) => prev + 1);
-        }
-      }
-    });
+  useEffect(() => {
+    setMessages([]);
+    setTypingUsers([]);
+  }, [channel]);
 
-    // Handle chat history
-    const unsubHistory = wsService.on('onChatHistory', (data) => {
-      if (data.channel === channel || !data.channel) {
-        const historyMessages = (data.messages || []).map((m) => ({
-          id: m.id || m.message_id,
-          message: m.message || m.content,
-          user_id: m.user_id,
-          username: m.username,
-          full_name: m.full_name,
-          timestamp: m.timestamp || m.created_at,
-          channel: m.channel || channel,
-        }));
-        setMessages(historyMessages);
+  useTopic(`chat:${channel}`, ({ type, payload: data }) => {
+    if (type === 'chat_message') {
+      const newMsg = {
+        id: data.id || Date.now(),
+        message: data.message,
+        user_id: data.user_id,
+        username: data.username,
+        full_name: data.full_name,
+        timestamp: data.timestamp || Date.now(),
+        channel: data.channel || channel,
+      };
+      setMessages((prev) => (prev.some((m) => m.id === newMsg.id) ? prev : [...prev, newMsg]));
+
+      // Increment unread if chat is closed
+      if (!isOpenRef.current) {
+        setUnreadCount((prev) => prev + 1);
       }
-    });
-
-    // Handle presence updates
-    const unsubPresence = wsService.on('onChatPresence', (data) => {
-      setOnlineUsers(data.users || []);
-    });
-
-    // Handle typing indicators
-    const unsubTyping = wsService.on('onChatTyping', (data) => {
-      if (data.channel === channel || !data.channel) {
-        if (data.isTyping) {
-          setTypingUsers((prev) => {
-            if (!prev.find((u) => u.user_id === data.user_id)) {
-              return [...prev, { user_id: data.user_id, username: data.username }];
-            }
-            return prev;
-          });
-        } else {
-          setTypingUsers((prev) => prev.filter((u) => u.user_id !== data.user_id));
-        }
+    } else if (type === 'chat_history') {
+      const historyMessages = (data.messages || []).map((m) => ({
+        id: m.id || m.message_id,
+        message: m.message || m.content,
+        user_id: m.user_id,
+        username: m.username,
+        full_name: m.full_name,
+        timestamp: m.timestamp || m.created_at,
+        channel: m.channel || channel,
+      }));
+      setMessages(historyMessages);
+    } else if (type === 'chat_typing') {
+      if (data.isTyping) {
+        setTypingUsers((prev) => {
+          if (!prev.find((u) => u.user_id === data.user_id)) {
+            return [...prev, { user_id: data.user_id, username: data.username }];
+          }
+          return prev;
+        });
+      } else {
+        setTypingUsers((prev) => prev.filter((u) => u.user_id !== data.user_id));
       }
-    });
-
-    // Request history if already connected
-    if (wsService.isConnected()) {
-      wsService.requestChatHistory(channel, 50);
     }
+  });
 
-    return () => {
-      unsubConnect();
-      unsubMessage();
-      unsubHistory();
-      unsubPresence();
-      unsubTyping();
-    };
-  }, [channel, isOpen]);
+  useTopic('chat:presence', ({ payload }) => {
+    setOnlineUsers(payload.users || []);
+  });
 
   const sendMessage = useCallback((message) => {
     if (message.trim()) {
-      wsService.sendChatMessage(message.trim(), channel);
+      // Queued while reconnecting so nothing typed is lost
+      send({ type: 'chat_message', message: message.trim(), channel, timestamp: Date.now() }, { queue: true });
     }
   }, [channel]);
 
   const sendTyping = useCallback((isTyping) => {
-    wsService.sendTypingIndicator(channel, isTyping);
+    send({ type: 'chat_typing', channel, isTyping });
   }, [channel]);
 
   const openChat = useCallback(() => {
@@ -358,4 +346,6 @@ export default {
   usePrinterControls,
   useWebSocketStatus,
   useTeamChat,
+  useTopic,
+  useRealtimeStatus,
 };
@@ -71,6 +71,65 @@ const translations = {
     'invoices.download': 'Download',
     'invoices.amountHigh': 'Amount (High)',
     'invoices.amountLow': 'Amount (Low)',
+    'invoices.status.creditNote': 'Credit Note',
+    'invoices.status.credited': 'Credited',
+    'invoices.creditNote': 'Credit Note',
+    'invoices.creditNotes': 'Credit notes',
+    'invoices.createCreditNote': 'Create Credit Note',
+    'invoices.issueCreditNote': 'Issue Credit Note',
+    'invoices.creditNoteCreated': 'Credit note created',
+    'invoices.creditFor': 'Against invoice',
+    'invoices.creditsInvoice': 'Credit note for invoice',
+    'invoices.fullCredit': 'Full credit',
+    'invoices.partialCredit': 'Partial credit',
+    'invoices.creditable': 'Creditable',
+    'invoices.creditQty': 'Credit qty',
+    'invoices.credited': 'Credited',
+    'invoices.creditReason': 'Reason',
+    'invoices.creditReasonPlaceholder': 'e.g. defective parts returned, price correction',
+    'invoices.creditReasonRequired': 'Enter a reason for the credit note',
+    'invoices.creditNothingSelected': 'Select at least one line to credit',
+    'invoices.balanceAfter': 'Balance after credit',
+    'invoices.refundNotice': 'This invoice is already paid — refund',
+    'invoices.client': 'Client',
+    'invoices.notes': 'Notes',
+    
+    // Recurring invoices
+    'recurring.title': 'Recurring Invoices',
+    'recurring.newTemplate': 'New Recurring Invoice',
+    'recurring.editTemplate': 'Edit Recurring Invoice',
+    'recurring.empty': 'No recurring invoices yet',
+    'recurring.name': 'Name',
+    'recurring.namePlaceholder': 'e.g. Prototyping retainer',
+    'recurring.intervalLabel': 'Interval',
+    'recurring.interval.weekly': 'Weekly',
+    'recurring.interval.monthly': 'Monthly',
+    'recurring.interval.quarterly': 'Quarterly',
+    'recurring.interval.yearly': 'Yearly',
+    'recurring.nextIssue': 'Next issue date',
+    'recurring.dueDays': 'Payment term (days)',
+    'recurring.prefix': 'Number prefix',
+    'recurring.prefixHint': '{YYYY} and {MM} are replaced with the issue year and month.',
+    'recurring.nextSequence': 'Next sequence',
+    'recurring.nextNumber': 'Next number',
+    'recurring.next': 'Next',
+    'recurring.addItem': 'Add line',
+    'recurring.totalWithVat': 'Total incl. VAT',
+    'recurring.autoEmail': 'Email invoice to client when issued',
+    'recurring.paused': 'Paused',
+    'recurring.periodsBehind': 'periods behind',
+    'recurring.saved': 'Recurring invoice saved',
+    'recurring.clientRequired': 'Select a client',
+    'recurring.itemsRequired': 'Add at least one line item',
+    'recurring.emailRequired': 'Auto-email needs a recipient address',
+    'recurring.dueToIssue': 'recurring invoices due to issue',
+    'recurring.reviewIssue': 'Review & Issue',
+    'recurring.issueBatch': 'Issue Recurring Invoices',
+    'recurring.batchHint': 'One invoice per template is issued and each template moves to its next date. Templates further behind stay in the list.',
+    'recurring.issueAll': 'Issue All',
+    'recurring.invoicesIssued': 'invoices issued',
+    'recurring.emailed': 'emailed',
+    'recurring.emailFailed': 'email failed',
     
     // Printers sub-tabs
     'nav.dashboard': 'Dashboard',
@@ -196,6 +255,8 @@ const translations = {
     'common.loading': 'Loading...',
     'common.refresh': 'Refresh',
     'common.noData': 'No data available',
+    'store.quotaExceeded': 'Browser storage is full — the last change was not saved locally. Free up space or export old data.',
+    'store.quotaWarning': 'Browser storage is almost full. Export or clear old local data soon.',
     'common.actions': 'Actions',
     'common.status': 'Status',
     'common.name': 'Name',
@@ -270,6 +331,10 @@ const translations = {
     'quote.advanced': 'Advanced STL Quote',
     'quote.smartAnalysis': 'Smart analysis • Purpose detection • Print optimization',
     'quote.jobName': 'Item Name',
+    'quote.color': 'Colour',
+    'quote.addToOrder': 'Add to order',
+    'maintenance.startTime': 'Start Time',
+    'maintenance.startTimeHint': 'Printers are kept free from this time; empty means the start of the shift',
     'quote.client': 'Client',
     'quote.selectClient': 'Select client',
     'quote.walkIn': 'Walk-in',
@@ -370,6 +435,7 @@ const translations = {
     'printers.nozzle': 'Nozzle',
     'printers.bed': 'Bed',
     'printers.chamber': 'Chamber',
+    'printers.history': 'Telemetry history',
     'printers.layer': 'Layer',
     'printers.remaining': 'remaining',
     'printers.bambuSetup': 'Bambu Printer Setup',
@@ -749,6 +815,65 @@ const translations = {
     'invoices.download': 'Lae alla',
     'invoices.amountHigh': 'Summa (suurem)',
     'invoices.amountLow': 'Summa (väiksem)',
+    'invoices.status.creditNote': 'Kreeditarve',
+    'invoices.status.credited': 'Krediteeritud',
+    'invoices.creditNote': 'Kreeditarve',
+    'invoices.creditNotes': 'Kreeditarved',
+    'invoices.createCreditNote': 'Koosta kreeditarve',
+    'invoices.issueCreditNote': 'Väljasta kreeditarve',
+    'invoices.creditNoteCreated': 'Kreeditarve koostatud',
+    'invoices.creditFor': 'Arvele',
+    'invoices.creditsInvoice': 'Kreeditarve arvele',
+    'invoices.fullCredit': 'Täielik krediteerimine',
+    'invoices.partialCredit': 'Osaline krediteerimine',
+    'invoices.creditable': 'Krediteeritav',
+    'invoices.creditQty': 'Krediteeritav kogus',
+    'invoices.credited': 'Krediteeritud',
+    'invoices.creditReason': 'Põhjus',
+    'invoices.creditReasonPlaceholder': 'nt defektsed detailid tagastatud, hinnaparandus',
+    'invoices.creditReasonRequired': 'Sisesta kreeditarve põhjus',
+    'invoices.creditNothingSelected': 'Vali vähemalt üks krediteeritav rida',
+    'invoices.balanceAfter': 'Saldo pärast krediteerimist',
+    'invoices.refundNotice': 'Arve on juba makstud — tagasta kliendile',
+    'invoices.client': 'Klient',
+    'invoices.notes': 'Märkused',
+    
+    // Recurring invoices
+    'recurring.title': 'Püsiarved',
+    'recurring.newTemplate': 'Uus püsiarve',
+    'recurring.editTemplate': 'Muuda püsiarvet',
+    'recurring.empty': 'Püsiarveid veel pole',
+    'recurring.name': 'Nimetus',
+    'recurring.namePlaceholder': 'nt prototüüpimise kuutasu',
+    'recurring.intervalLabel': 'Sagedus',
+    'recurring.interval.weekly': 'Iga nädal',
+    'recurring.interval.monthly': 'Iga kuu',
+    'recurring.interval.quarterly': 'Iga kvartal',
+    'recurring.interval.yearly': 'Iga aasta',
+    'recurring.nextIssue': 'Järgmine väljastamine',
+    'recurring.dueDays': 'Maksetähtaeg (päeva)',
+    'recurring.prefix': 'Numbri eesliide',
+    'recurring.prefixHint': '{YYYY} ja {MM} asendatakse väljastamise aasta ja kuuga.',
+    'recurring.nextSequence': 'Järgmine järjenumber',
+    'recurring.nextNumber': 'Järgmine number',
+    'recurring.next': 'Järgmine',
+    'recurring.addItem': 'Lisa rida',
+    'recurring.totalWithVat': 'Kokku koos KM',
+    'recurring.autoEmail': 'Saada arve väljastamisel kliendile e-postiga',
+    'recurring.paused': 'Peatatud',
+    'recurring.periodsBehind': 'perioodi maas',
+    'recurring.saved': 'Püsiarve salvestatud',
+    'recurring.clientRequired': 'Vali klient',
+    'recurring.itemsRequired': 'Lisa vähemalt üks rida',
+    'recurring.emailRequired': 'Automaatsaatmiseks on vaja e-posti aadressi',
+    'recurring.dueToIssue': 'püsiarvet ootab väljastamist',
+    'recurring.reviewIssue': 'Vaata üle ja väljasta',
+    'recurring.issueBatch': 'Väljasta püsiarved',
+    'recurring.batchHint': 'Iga malli kohta väljastatakse üks arve ja mall liigub järgmisele kuupäevale. Rohkem maha jäänud mallid jäävad nimekirja.',
+    'recurring.issueAll': 'Väljasta kõik',
+    'recurring.invoicesIssued': 'arvet väljastatud',
+    'recurring.emailed': 'saadetud e-postiga',
+    'recurring.emailFailed': 'e-kirja saatmine ebaõnnestus',
     
     // Printers sub-tabs
     'nav.dashboard': 'Töölaud',
@@ -842,6 +967,8 @@ const translations = {
     'common.loading': 'Laadimine...',
     'common.refresh': 'Värskenda',
     'common.noData': 'Andmed puuduvad',
+    'store.quotaExceeded': 'Brauseri salvestusruum on täis — viimast muudatust ei salvestatud. Vabasta ruumi või ekspordi vanad andmed.',
+    'store.quotaWarning': 'Brauseri salvestusruum on peaaegu täis. Ekspordi või kustuta vanad kohalikud andmed.',
     'common.actions': 'Tegevused',
     'common.status': 'Staatus',
     'common.name': 'Nimi',
@@ -914,6 +1041,10 @@ const translations = {
     'quote.title': 'Hinnapakkumise kalkulaator',
     'quote.subtitle': 'Arvuta hind → Loo tellimus',
     'quote.jobName': 'Toote nimi',
+    'quote.color': 'Värv',
+    'quote.addToOrder': 'Lisa tellimusse',
+    'maintenance.startTime': 'Algusaeg',
+    'maintenance.startTimeHint': 'Printerid hoitakse sellest ajast vabad; tühi tähendab vahetuse algust',
     'quote.client': 'Klient',
     'quote.selectClient': 'Vali klient',
     'quote.walkIn': 'Juhuklient',
@@ -984,6 +1115,7 @@ const translations = {
     'printers.nozzle': 'Düüs',
     'printers.bed': 'Plaat',
     'printers.chamber': 'Kamber',
+    'printers.history': 'Telemeetria ajalugu',
     'printers.layer': 'Kiht',
     'printers.remaining': 'jäänud',
     'printers.bambuSetup': 'Bambu printeri seadistamine',
@@ -1498,6 +1630,10 @@ const translations = {
     'quote.title': 'Tarjouslaskuri',
     'quote.subtitle': 'Laske hinta → Luo tilaus',
     'quote.jobName': 'Tuotteen nimi',
+    'quote.color': 'Väri',
+    'quote.addToOrder': 'Lisää tilaukseen',
+    'maintenance.startTime': 'Aloitusaika',
+    'maintenance.startTimeHint': 'Tulostimet pidetään vapaina tästä ajasta; tyhjä tarkoittaa vuoron alkua',
     'quote.client': 'Asiakas',
     'quote.selectClient': 'Valitse asiakas',
     'quote.walkIn': 'Satunnainen',
@@ -1568,6 +1704,7 @@ const translations = {
     'printers.nozzle': 'Suutin',
     'printers.bed': 'Alusta',
     'printers.chamber': 'Kammio',
+    'printers.history': 'Telemetriahistoria',
     'printers.layer': 'Kerros',
     'printers.remaining': 'jäljellä',
     'printers.bambuSetup': 'Bambu-tulostimen asetukset',
@@ -2082,6 +2219,10 @@ const translations = {
     'quote.title': 'Калькулятор цен',
     'quote.subtitle': 'Рассчитать цену → Создать заказ',
     'quote.jobName': 'Название товара',
+    'quote.color': 'Цвет',
+    'quote.addToOrder': 'Добавить в заказ',
+    'maintenance.startTime': 'Время начала',
+    'maintenance.startTimeHint': 'Принтеры освобождаются с этого времени; пусто — начало смены',
     'quote.client': 'Клиент',
     'quote.selectClient': 'Выберите клиента',
     'quote.walkIn': 'Случайный',
@@ -2152,6 +2293,7 @@ const translations = {
     'printers.nozzle': 'Сопло',
     'printers.bed': 'Стол',
     'printers.chamber': 'Камера',
+    'printers.history': 'История телеметрии',
     'printers.layer': 'Слой',
     'printers.remaining': 'осталось',
     'printers.bambuSetup': 'Настройка Bambu',
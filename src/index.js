@@ -1,12 +1,38 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import toast from 'react-hot-toast';
 import './App.css';
 import App from './App';
 import './index.css'
+import { loadSettings } from './services/localStore';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
+// Settings are read synchronously while rendering
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+loadSettings().then(() => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
+
+// Installable, and starts without the network once it has loaded once
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    toast((tst) => (
+      <span className="flex items-center gap-3">
+        New version available
+        <button
+          onClick={() => {
+            toast.dismiss(tst.id);
+            serviceWorkerRegistration.applyUpdate(registration);
+          }}
+          className="px-2 py-1 rounded bg-purple-600 text-white text-xs"
+        >
+          Reload
+        </button>
+      </span>
+    ), { id: 'sw-update', duration: Infinity });
+  },
+});
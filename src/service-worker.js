@@ -0,0 +1,233 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * src/service-worker.js
+ *
+ * Built by react-scripts (workbox InjectManifest) in production builds only.
+ * - precaches the app shell so a reload on a flaky network still starts the app
+ * - API GETs: stale-while-revalidate - answer from cache at once, refresh in the
+ *   background. Live state (printers, the job queue, notifications - what the
+ *   realtime polling fallback reads) goes network-first instead and only comes
+ *   from cache when the server can't be reached. Responses served from cache
+ *   carry X-SW-Cached-At, and pages are told whether the server was reached
+ *   ('network-status').
+ * - successful API writes drop the cached reads of the resource they changed
+ * - web push for printer, order and inventory alerts
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const API_CACHE = 'polywerk-api';
+const API_PATH = '/api/';
+// Live or large responses that must never come from cache
+const API_UNCACHED = [
+  /\/camera/, /\/stream/, /\/snapshot/, /\/download/, /\/socket\.io/, /\/realtime\//, /\/api\/v\d+\/events\/?$/,
+  /\/files\/.+\/content/,
+];
+// Live state - a stale answer is only better than none (see services/realtime.js LEGACY_SOURCES)
+const API_LIVE = [
+  /\/printers(\/list)?\/?$/,
+  /\/(scheduling|production)\/queue\/?$/, /\/print_jobs\/?$/,
+  /\/notifications(\/list)?\/?$/,
+  /\/api\/v\d+\/((system\/)?status|health)\/?$/,
+];
+
+const ICON = `${process.env.PUBLIC_URL}/Polywerk_newlogo_color.png`;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// ============================================
+// APP SHELL
+// ============================================
+
+// Navigations get index.html, except API calls and real files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_') || url.pathname.includes(API_PATH)) return false;
+    return !url.pathname.match(fileExtensionRegexp);
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Images from public/ (not part of the webpack manifest)
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: 'polywerk-images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Tailwind and fonts come from CDNs - without them the shell renders unstyled
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com' || url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({
+    cacheName: 'polywerk-cdn',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+  })
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'polywerk-fonts',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 3600 }),
+    ],
+  })
+);
+
+// ============================================
+// API
+// ============================================
+
+const isApiRequest = (url) => url.pathname.includes(API_PATH) && !API_UNCACHED.some(re => re.test(url.pathname));
+
+const broadcast = async (message) => {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage(message));
+};
+
+let lastReachable = null;
+const reportReachable = (online) => {
+  if (lastReachable === online) return;
+  lastReachable = online;
+  broadcast({ type: 'network-status', online });
+};
+
+// Stamp stored answers with their time and report whether the revalidation got through
+const apiStatusPlugin = {
+  cacheWillUpdate: async ({ response }) => {
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  },
+  fetchDidSucceed: async ({ response }) => {
+    reportReachable(![502, 503, 504].includes(response.status));
+    return response;
+  },
+  fetchDidFail: async () => {
+    reportReachable(false);
+  },
+};
+
+// One set shared by both strategies, so expiry counts the whole cache
+const apiCachePlugins = [
+  new CacheableResponsePlugin({ statuses: [200] }),
+  new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 7 * 24 * 3600 }),
+  apiStatusPlugin,
+];
+
+const isLiveRequest = (url) => API_LIVE.some(re => re.test(url.pathname));
+
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && isApiRequest(url) && isLiveRequest(url),
+  new NetworkFirst({ cacheName: API_CACHE, networkTimeoutSeconds: 10, plugins: apiCachePlugins })
+);
+
+registerRoute(
+  ({ url, request }) => request.method === 'GET' && isApiRequest(url),
+  new StaleWhileRevalidate({ cacheName: API_CACHE, plugins: apiCachePlugins })
+);
+
+const trimSlash = (path) => path.replace(/\/+$/, '');
+
+// Reads a write to `path` can change: the path itself, the lists and records
+// above it (PUT /orders/7/status changes /orders/7 and /orders) and what is below it
+const evictAffectedReads = async (url) => {
+  const path = trimSlash(url.pathname);
+  const cache = await caches.open(API_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => {
+      const cached = trimSlash(new URL(request.url).pathname);
+      return cached === path || path.startsWith(`${cached}/`) || cached.startsWith(`${path}/`);
+    })
+    .map(request => cache.delete(request)));
+};
+
+// Writes pass straight through; once one succeeds cached reads of that resource may be out of date
+const writeThrough = async ({ request, url }) => {
+  try {
+    const response = await fetch(request);
+    reportReachable(true);
+    if (response.ok) await evictAffectedReads(url);
+    return response;
+  } catch (err) {
+    reportReachable(false);
+    throw err;
+  }
+};
+
+['POST', 'PUT', 'PATCH', 'DELETE'].forEach(method => {
+  registerRoute(({ url }) => isApiRequest(url), writeThrough, method);
+});
+
+// ============================================
+// MESSAGES
+// ============================================
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'SKIP_WAITING') self.skipWaiting();
+  // Logout - cached reads belong to the previous user
+  if (type === 'CLEAR_API_CACHE') event.waitUntil(caches.delete(API_CACHE));
+});
+
+// ============================================
+// PUSH
+// ============================================
+
+/**
+ * Payload: { title, body, topic: 'printer'|'order'|'inventory', severity, tag, tab, url }
+ */
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (err) {
+    payload = { body: event.data?.text() };
+  }
+
+  const title = payload.title || 'Polywerk';
+  event.waitUntil(self.registration.showNotification(title, {
+    body: payload.body || payload.message || '',
+    icon: ICON,
+    badge: ICON,
+    // Same tag replaces the previous notification, e.g. repeated printer errors
+    tag: payload.tag || undefined,
+    renotify: Boolean(payload.tag),
+    requireInteraction: payload.severity === 'critical' || payload.severity === 'error',
+    data: payload,
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const payload = event.notification.data || {};
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+    if (open) {
+      await open.focus();
+      open.postMessage({ type: 'notification-click', payload });
+      return;
+    }
+    const target = payload.url || `${process.env.PUBLIC_URL}/${payload.tab ? `?tab=${encodeURIComponent(payload.tab)}` : ''}`;
+    await self.clients.openWindow(target);
+  })());
+});
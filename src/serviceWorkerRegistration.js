@@ -0,0 +1,71 @@
+/**
+ * src/serviceWorkerRegistration.js
+ *
+ * Registers the service worker (src/service-worker.js) in production builds.
+ * A new version waits until it is applied with applyUpdate(), so a tablet
+ * that never closes its tab still gets updates without losing a form mid-edit.
+ */
+
+const SW_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+export const isServiceWorkerSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * @param {object} [config]
+ * @param {function} [config.onUpdate] - (registration) => void, a new version is waiting
+ * @param {function} [config.onSuccess] - (registration) => void, the app is cached for offline use
+ */
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production' || !isServiceWorkerSupported()) return;
+
+  // A PUBLIC_URL on another origin (CDN) can't host the worker
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(SW_URL);
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        config.onUpdate?.(registration);
+      }
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            config.onUpdate?.(registration);
+          } else {
+            config.onSuccess?.(registration);
+          }
+        };
+      };
+    } catch (err) {
+      console.error('[SW] Registration failed:', err);
+    }
+  });
+}
+
+/**
+ * Activate a waiting version and reload into it
+ */
+export function applyUpdate(registration) {
+  if (!registration?.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Tell the active worker something (e.g. CLEAR_API_CACHE); a no-op without one
+ */
+export function postToServiceWorker(message) {
+  if (!isServiceWorkerSupported()) return;
+  navigator.serviceWorker.controller?.postMessage(message);
+}
+
+export function unregister() {
+  if (!isServiceWorkerSupported()) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(err => console.error('[SW] Unregister failed:', err.message));
+}
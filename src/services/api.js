@@ -1,4 +1,17 @@
 import axios from 'axios';
+import {
+  configureOffline,
+  reportNetworkResult,
+  isNetworkError,
+  newIdempotencyKey,
+  cacheKeyFor,
+  rememberResponse,
+  getCachedResponse,
+  clearReadCache,
+  enqueueWrite,
+  hasQueuedWrites,
+} from './offline';
+import { JobTransitionError, eventBetween, normalizeJobStatus } from '../utils/jobStates';
 
 // Base URLs
 export const SERVER_ROOT = process.env.REACT_APP_SERVER_ROOT || 'http://localhost:5000';
@@ -56,9 +69,11 @@ if (typeof window !== 'undefined') {
 }
 
 export class ApiError extends Error {
-  constructor(message, { status, data, url, method } = {}) {
+  constructor(message, { status, data, url, method, network = false } = {}) {
     super(message);
     this.name = 'ApiError';
+    // Sent but never answered - see isNetworkError
+    this.network = network;
     this.status = status;
     this.data = data;
     this.url = url;
@@ -112,16 +127,86 @@ async function safeUnwrap(method, paths, opts = {}) {
 async function tryRequest(method, url, { data, params, headers } = {}) {
   try {
     const resp = await http.request({ method, url, data, params, headers });
+    // An answer from the service worker cache says nothing about the server
+    if (!resp.headers?.['x-sw-cached-at']) reportNetworkResult(true);
     return resp;
   } catch (err) {
     const status = err?.response?.status;
     const payload = err?.response?.data;
     const msg = payload?.error || payload?.message || err?.message || 'Request failed';
-    throw new ApiError(msg, { status, data: payload, url, method });
+    const network = Boolean(err?.request) && !err?.response;
+    const apiError = new ApiError(msg, { status, data: payload, url, method, network });
+    // Errors raised before the request went out say nothing about the server
+    if (err?.request || err?.response) reportNetworkResult(!isNetworkError(apiError));
+    throw apiError;
   }
 }
 
+/**
+ * Request with fallback paths.
+ * - GETs remember their last good response and answer from it while the
+ *   server is unreachable (resp.cached = true); pass cache: false to opt out.
+ * - Writes with an `offline` option ({ label, resource, base }) carry an
+ *   Idempotency-Key and go to the outbox instead of failing when offline;
+ *   the caller then gets { success: true, queued: true }.
+ *   `resource` lists the GET paths of the record being changed - replay
+ *   checks it for conflicting edits first.
+ */
 async function requestWithFallback(method, paths, opts = {}) {
+  const { offline, cache = true, ...rest } = opts;
+
+  if (method.toLowerCase() !== 'get') {
+    return offline ? writeWithOutbox(method, paths, rest, offline) : sendWithFallback(method, paths, rest);
+  }
+  if (!cache) return sendWithFallback(method, paths, rest);
+
+  const cacheKey = cacheKeyFor(paths, rest.params);
+  try {
+    const resp = await sendWithFallback(method, paths, rest);
+    rememberResponse(cacheKey, resp.data);
+    return resp;
+  } catch (e) {
+    if (!isNetworkError(e)) throw e;
+    const cached = await getCachedResponse(cacheKey);
+    if (!cached) throw e;
+    return { data: cached.data, status: 200, headers: {}, cached: true, cachedAt: cached.cached_at };
+  }
+}
+
+async function writeWithOutbox(method, paths, opts, offline) {
+  const idempotencyKey = newIdempotencyKey();
+  const queue = async () => {
+    const entry = await enqueueWrite({
+      method,
+      paths,
+      data: opts.data,
+      params: opts.params,
+      idempotencyKey,
+      label: offline.label,
+      resource: offline.resource,
+      base: offline.base,
+    });
+    return {
+      status: 202,
+      data: { success: true, queued: true, offline: true, outbox_id: entry.id, data: opts.data ?? null },
+    };
+  };
+
+  // Writes to a record with queued changes wait behind them
+  if (await hasQueuedWrites(offline.resource?.[0])) return queue();
+
+  try {
+    return await sendWithFallback(method, paths, {
+      ...opts,
+      headers: { ...opts.headers, 'Idempotency-Key': idempotencyKey },
+    });
+  } catch (e) {
+    if (isNetworkError(e)) return queue();
+    throw e;
+  }
+}
+
+async function sendWithFallback(method, paths, opts = {}) {
   const errors = [];
   const { skipCache = false } = opts;
   
@@ -138,10 +223,10 @@ async function requestWithFallback(method, paths, opts = {}) {
     try {
       return await tryRequest(method, path, opts);
     } catch (e) {
-      if (e?.status === 401 || e?.status === 403) throw e;
-      if (!isCriticalEndpoint && (e?.status === 404 || e?.status === 405)) {
-        _missingEndpointCache.add(cacheKey);
-      }
+      // Only a missing endpoint means another path may work - anything else
+      // (auth, validation, conflicts, the network) is the answer for all of them
+      if (!isMissingEndpoint(e)) throw e;
+      if (!isCriticalEndpoint) _missingEndpointCache.add(cacheKey);
       errors.push({ path, status: e?.status, message: e?.message });
     }
   }
@@ -150,6 +235,17 @@ async function requestWithFallback(method, paths, opts = {}) {
   throw new ApiError(msg, { status: last?.status, data: { attempts: errors } });
 }
 
+// Outbox replay goes straight to the server - no read cache, no re-queueing
+configureOffline({
+  send: (entry) => sendWithFallback(entry.method, entry.paths, {
+    data: entry.data ?? undefined,
+    params: entry.params ?? undefined,
+    headers: { 'Idempotency-Key': entry.idempotency_key },
+  }),
+  fetchCurrent: async (entry) => unwrap(await sendWithFallback('get', entry.resource)),
+  ping: () => sendWithFallback('get', ['/system/status', '/status', '/health']),
+});
+
 function pickTokenFromLoginPayload(payload) {
   const p = payload || {};
   const d = p.data && typeof p.data === 'object' ? p.data : p;
@@ -198,6 +294,7 @@ export const api = {
     } catch (_) {
       // no-op
     }
+    await clearReadCache();
     setAuthToken(null);
     return { success: true };
   },
@@ -354,6 +451,11 @@ export const api = {
     return this.printerControl(printerId, 'stop');
   },
 
+  // Raw G-code, one command per line
+  async sendGcode(printerName, gcode) {
+    return this.printerControl(printerName, 'gcode', { gcode });
+  },
+
   // =========================================================================
   // CONFIG / SETTINGS
   // =========================================================================
@@ -517,21 +619,30 @@ export const api = {
 
   async createOrder(data) {
     // Backend: POST /api/v1/business/orders
-    const resp = await requestWithFallback('post', ['/business/orders', '/orders'], { data });
+    const resp = await requestWithFallback('post', ['/business/orders', '/orders'], {
+      data,
+      offline: { label: `New order${data?.client_name ? ` for ${data.client_name}` : ''}` },
+    });
     return unwrap(resp);
   },
 
   async updateOrder(orderId, patch) {
     const id = encodeURIComponent(orderId);
     // Backend: PUT /api/v1/business/orders/<order_id>
-    const resp = await requestWithFallback('put', [`/business/orders/${id}`, `/orders/${id}`], { data: patch });
+    const resp = await requestWithFallback('put', [`/business/orders/${id}`, `/orders/${id}`], {
+      data: patch,
+      offline: { label: `Update order ${orderId}`, resource: [`/business/orders/${id}`, `/orders/${id}`] },
+    });
     return unwrap(resp);
   },
 
   async updateOrderStatus(orderId, status, notes = '') {
     const id = encodeURIComponent(orderId);
     // Backend: PUT /api/v1/business/orders/<order_id>/status
-    const resp = await requestWithFallback('put', [`/business/orders/${id}/status`, `/orders/${id}/status`], { data: { status, notes } });
+    const resp = await requestWithFallback('put', [`/business/orders/${id}/status`, `/orders/${id}/status`], {
+      data: { status, notes },
+      offline: { label: `Order ${orderId} → ${status}`, resource: [`/business/orders/${id}`, `/orders/${id}`] },
+    });
     return unwrap(resp);
   },
 
@@ -541,6 +652,15 @@ export const api = {
     return unwrap(resp);
   },
 
+  // Customer email for an order (services/orderNotifications.js renders it)
+  async sendOrderEmail(orderId, data) {
+    const id = encodeURIComponent(orderId);
+    const resp = await requestWithFallback('post', [`/business/orders/${id}/notify`, '/email/send'], {
+      data: { ...data, to: data.recipient },
+    });
+    return unwrap(resp);
+  },
+
   async getBusinessDashboard(params) {
     return safeUnwrap('get', ['/business/analytics/dashboard', '/business/dashboard', '/dashboard'], {
       params,
@@ -568,6 +688,22 @@ export const api = {
     });
   },
 
+  async createCreditNote(invoiceNumber, data) {
+    const num = encodeURIComponent(invoiceNumber);
+    const resp = await requestWithFallback('post', [`/business/invoices/${num}/credit`, '/business/invoices', '/invoices'], {
+      data: { ...data, type: 'credit_note', credited_invoice_number: invoiceNumber },
+    });
+    return unwrap(resp);
+  },
+
+  async sendInvoiceEmail(invoiceNumber, data) {
+    const num = encodeURIComponent(invoiceNumber);
+    const resp = await requestWithFallback('post', [`/business/invoices/${num}/send`, '/email/send'], {
+      data: { ...data, invoice_number: invoiceNumber },
+    });
+    return unwrap(resp);
+  },
+
   async markInvoicePaid(invoiceNumber, method, reference) {
     const num = encodeURIComponent(invoiceNumber);
     const resp = await requestWithFallback('post', [`/business/invoices/${num}/pay`, `/invoices/${num}/paid`], {
@@ -595,7 +731,10 @@ export const api = {
   async updateClient(clientId, patch) {
     const id = encodeURIComponent(clientId);
     // Backend: PUT /api/v1/business/clients/<client_id>
-    const resp = await requestWithFallback('put', [`/business/clients/${id}`, `/clients/${id}`], { data: patch });
+    const resp = await requestWithFallback('put', [`/business/clients/${id}`, `/clients/${id}`], {
+      data: patch,
+      offline: { label: `Update client ${clientId}`, resource: [`/business/clients/${id}`, `/clients/${id}`] },
+    });
     return unwrap(resp);
   },
 
@@ -647,7 +786,10 @@ export const api = {
 
   async recordMaterialUsage(data) {
     // Backend route: POST /api/v1/materials/usage
-    const resp = await requestWithFallback('post', ['/materials/usage'], { data });
+    const resp = await requestWithFallback('post', ['/materials/usage'], {
+      data,
+      offline: { label: 'Material usage' },
+    });
     return unwrap(resp);
   },
 
@@ -676,7 +818,19 @@ export const api = {
     return unwrap(resp);
   },
 
-  async updatePrintJob(jobId, patch) {
+  /**
+   * Status changes must name the status they start from (`options.from`) and
+   * be one lifecycle step - services/jobLifecycle.js transitionJob() does both
+   */
+  async updatePrintJob(jobId, patch, { from } = {}) {
+    if (patch?.status !== undefined) {
+      if (from === undefined) {
+        throw new JobTransitionError('Job status changes go through the job lifecycle (transitionJob)', { jobId });
+      }
+      if (!eventBetween(from, patch.status)) {
+        throw new JobTransitionError(`A ${normalizeJobStatus(from)} job can't become ${normalizeJobStatus(patch.status)}`, { jobId, from });
+      }
+    }
     const id = encodeURIComponent(jobId);
     const resp = await requestWithFallback('put', [`/scheduling/jobs/${id}`, `/printing/print_jobs/${id}`, `/print_jobs/${id}`], { data: patch });
     return unwrap(resp);
@@ -734,6 +888,37 @@ export const api = {
     });
   },
 
+  // Event log behind the realtime bus's polling fallback: events after `since`
+  // (a resume token) for the given topics, plus the token to continue from
+  async getRealtimeEvents({ since, topics } = {}) {
+    const resp = await requestWithFallback('get', ['/realtime/events', '/events'], {
+      params: { since, topics },
+      cache: false,
+    });
+    return unwrap(resp);
+  },
+
+  // Web push - the server sends the alerts the tab shows live to subscribed devices
+  async getPushPublicKey() {
+    const resp = await requestWithFallback('get', ['/notifications/push/vapid-public-key', '/push/vapid-public-key']);
+    const data = unwrap(resp);
+    return data?.public_key || data?.publicKey || data?.data?.public_key || null;
+  },
+
+  async subscribePush(subscription, topics) {
+    const resp = await requestWithFallback('post', ['/notifications/push/subscriptions', '/push/subscriptions'], {
+      data: { subscription, topics },
+    });
+    return unwrap(resp);
+  },
+
+  async unsubscribePush(endpoint) {
+    const resp = await requestWithFallback('post', ['/notifications/push/unsubscribe', '/push/unsubscribe'], {
+      data: { endpoint },
+    });
+    return unwrap(resp);
+  },
+
   // =========================================================================
   // FEEDBACK
   // =========================================================================
@@ -937,7 +1122,10 @@ export const api = {
   },
 
   async createMaintenanceTask(data) {
-    const resp = await requestWithFallback('post', ['/maintenance', '/maintenance/tasks'], { data });
+    const resp = await requestWithFallback('post', ['/maintenance', '/maintenance/tasks'], {
+      data,
+      offline: { label: `Maintenance task${data?.title ? `: ${data.title}` : ''}` },
+    });
     return unwrap(resp);
   },
 
@@ -1683,7 +1871,10 @@ export const api = {
   },
 
   async receiveStock(data) {
-    const resp = await requestWithFallback('post', ['/inventory/movements/receive'], { data });
+    const resp = await requestWithFallback('post', ['/inventory/movements/receive'], {
+      data,
+      offline: { label: 'Stock received' },
+    });
     return unwrap(resp);
   },
 
@@ -1703,12 +1894,18 @@ export const api = {
   },
 
   async adjustStock(data) {
-    const resp = await requestWithFallback('post', ['/inventory/movements/adjust'], { data });
+    const resp = await requestWithFallback('post', ['/inventory/movements/adjust'], {
+      data,
+      offline: { label: 'Stock adjustment' },
+    });
     return unwrap(resp);
   },
 
   async recordWaste(data) {
-    const resp = await requestWithFallback('post', ['/inventory/movements/waste'], { data });
+    const resp = await requestWithFallback('post', ['/inventory/movements/waste'], {
+      data,
+      offline: { label: 'Waste record' },
+    });
     return unwrap(resp);
   },
 
@@ -1816,6 +2013,7 @@ export const api = {
   async completeSchedulerJob(jobId, success = true, options = {}) {
     const resp = await requestWithFallback('post', [`/scheduler/jobs/${jobId}/complete`], {
       data: { success, ...options },
+      offline: { label: `Job ${jobId} ${success ? 'completed' : 'failed'}` },
     });
     return unwrap(resp);
   },
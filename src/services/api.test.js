@@ -0,0 +1,98 @@
+import { api } from './api';
+import { getOutbox, isNetworkError, isOnline, replayOutbox, resolveConflict } from './offline';
+
+const mockRequest = jest.fn();
+
+jest.mock('axios', () => ({
+  create: () => ({
+    request: (config) => mockRequest(config),
+    interceptors: { request: { use: () => {} } },
+    defaults: { headers: { common: {} } },
+  }),
+}));
+
+const networkError = () => Object.assign(new Error('Network Error'), { request: {}, response: undefined });
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data },
+});
+
+beforeEach(() => {
+  mockRequest.mockReset();
+  localStorage.clear();
+});
+
+describe('writes with fallback paths', () => {
+  it('stops at the first path that answers with anything but a missing endpoint', async () => {
+    mockRequest.mockRejectedValue(httpError(422, { error: 'Invalid status' }));
+
+    await expect(api.updateOrder('ORD-1', { status: 'nope' })).rejects.toMatchObject({ status: 422, message: 'Invalid status' });
+    expect(mockRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('turns a queued update rejected with 409 into a conflict', async () => {
+    mockRequest.mockRejectedValueOnce(networkError());
+    const queued = await api.updateOrder('ORD-1', { status: 'shipped' });
+    expect(queued).toMatchObject({ queued: true });
+
+    const current = { order_id: 'ORD-1', status: 'cancelled', updated_at: '2020-01-01T00:00:00Z' };
+    mockRequest.mockImplementation(({ method, url }) => {
+      if (method === 'get') return Promise.resolve({ data: { success: true, data: current }, headers: {} });
+      if (url === '/business/orders/ORD-1') return Promise.reject(httpError(409, { error: 'Order changed', current }));
+      return Promise.reject(httpError(404));
+    });
+    const result = await replayOutbox();
+
+    const [entry] = await getOutbox();
+    expect(result).toEqual({ sent: 0, remaining: 1 });
+    expect(entry).toMatchObject({ status: 'conflict', server: current });
+    expect(entry.conflicts.map(c => c.field)).toEqual(['status']);
+    expect(mockRequest.mock.calls.filter(([config]) => config.method === 'put').map(([config]) => config.url))
+      .toEqual(['/business/orders/ORD-1', '/business/orders/ORD-1']);
+  });
+
+  it('sends "keep mine" with a new idempotency key', async () => {
+    mockRequest.mockRejectedValueOnce(networkError());
+    await api.updateOrder('ORD-2', { status: 'shipped' });
+    const current = { order_id: 'ORD-2', status: 'cancelled' };
+    mockRequest.mockImplementation(({ method }) => (method === 'get'
+      ? Promise.resolve({ data: { success: true, data: current }, headers: {} })
+      : Promise.reject(httpError(409, { error: 'Order changed', current }))));
+    await replayOutbox();
+    const [conflicted] = await getOutbox();
+    expect(conflicted.status).toBe('conflict');
+
+    mockRequest.mockReset();
+    mockRequest.mockResolvedValue({ data: { success: true }, headers: {} });
+    await resolveConflict(conflicted.id, { choice: 'mine' });
+
+    const [{ headers }] = mockRequest.mock.calls.map(([config]) => config);
+    expect(headers['Idempotency-Key']).toBeTruthy();
+    expect(headers['Idempotency-Key']).not.toBe(conflicted.idempotency_key);
+    expect(await getOutbox()).toEqual([]);
+  });
+});
+
+describe('connectivity', () => {
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('only counts unanswered requests and gateway errors as offline', () => {
+    expect(isNetworkError(networkError())).toBe(true);
+    expect(isNetworkError(httpError(503))).toBe(true);
+    expect(isNetworkError(httpError(500))).toBe(false);
+    expect(isNetworkError(new TypeError('Cannot read properties of undefined'))).toBe(false);
+  });
+
+  it('waits for the server before going back online', async () => {
+    window.dispatchEvent(new Event('offline'));
+    mockRequest.mockRejectedValue(networkError());
+
+    window.dispatchEvent(new Event('online'));
+    await flush();
+    expect(isOnline()).toBe(false);
+
+    mockRequest.mockResolvedValue({ data: { status: 'ok' }, headers: {} });
+    window.dispatchEvent(new Event('online'));
+    await flush();
+    expect(isOnline()).toBe(true);
+  });
+});
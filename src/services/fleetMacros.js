@@ -0,0 +1,273 @@
+/**
+ * src/services/fleetMacros.js
+ *
+ * Runs fleet macros (utils/fleetMacros.js) on a set of printers:
+ * - every printer works through the steps in order, all printers at once;
+ *   a failing step stops that printer only
+ * - waits for temperatures or state follow the realtime printer stream
+ * - progress is reported per printer while it runs, and each run is kept
+ *   in the macro_runs collection (newest first)
+ * - runs in progress are held here, not in a component, so every view of
+ *   them can follow and cancel them until they are dismissed
+ *
+ * Macros, printer groups and printer tags live in the fleet_macros /
+ * printer_groups / printer_tags collections.
+ */
+
+import { api } from './api';
+import { collection } from './localStore';
+import { connect, subscribe } from './realtime';
+import { printerName, printerOf, printersOf } from './realtimeSchemas';
+import { telemetrySampleOf } from './telemetry';
+import { formatWait, gcodeLines, resolveAction } from '../utils/fleetMacros';
+
+const RUN_HISTORY_LIMIT = 100;
+
+export class MacroCancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'MacroCancelledError';
+  }
+}
+
+export const newMacroId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ============================================
+// PRINTER TAGS
+// ============================================
+
+/**
+ * Tags by printer from the printer_tags records ({ id: printerName, tags })
+ * @returns {object} { [printerName]: ['tag', ...] }
+ */
+export const printerTagsByName = (records) => Object.fromEntries(records.map(r => [r.id, r.tags || []]));
+
+/**
+ * Set the tags of one printer; no tags removes its record
+ */
+export function savePrinterTags(name, tags) {
+  const tagsOf = collection('printer_tags');
+  return tags.length ? tagsOf.put({ id: name, tags }) : tagsOf.remove(name);
+}
+
+// ============================================
+// STEPS
+// ============================================
+
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) throw new MacroCancelledError();
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  function onAbort() {
+    clearTimeout(timer);
+    reject(new MacroCancelledError());
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const conditionMet = (step, payload) => {
+  const sample = telemetrySampleOf(payload);
+  if (step.field === 'state') return sample.state === String(step.equals).toLowerCase();
+  return typeof sample[step.field] === 'number' && sample[step.field] < step.below;
+};
+
+/**
+ * Resolve once the printer reports what a wait_until step waits for
+ */
+function waitForPrinter(name, step, signal, initial = {}) {
+  return new Promise((resolve, reject) => {
+    let current = { ...initial };
+    let unsubscribers = [];
+    let timer = null;
+
+    const finish = (err) => {
+      unsubscribers.forEach(unsub => unsub());
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve();
+    };
+    const update = (payload) => {
+      current = { ...current, ...payload };
+      if (conditionMet(step, current)) finish();
+    };
+    function onAbort() {
+      finish(new MacroCancelledError());
+    }
+
+    if (conditionMet(step, current)) {
+      resolve();
+      return;
+    }
+    unsubscribers = [
+      subscribe(`printer:${name}`, ({ payload }) => update(printerOf(payload))),
+      subscribe('printers', ({ payload }) => {
+        const list = printersOf(payload);
+        const entry = Array.isArray(list) ? list.find(p => printerName(p) === name) : list?.[name];
+        if (entry) update(entry);
+      }),
+    ];
+    connect();
+    timer = setTimeout(() => {
+      const what = step.field === 'state' ? `state ${step.equals}` : `${step.field} below ${step.below}°C`;
+      finish(new Error(`Timed out after ${formatWait(step.timeout_s)} waiting for ${what}`));
+    }, step.timeout_s * 1000);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function runStep(step, printer, signal) {
+  throwIfCancelled(signal);
+  switch (step.type) {
+    case 'action': {
+      const { action, params } = resolveAction(step);
+      return api.printerControl(printer.name, action, params);
+    }
+    case 'gcode':
+      return api.sendGcode(printer.name, gcodeLines(step.gcode).join('\n'));
+    case 'wait':
+      return sleep(step.seconds * 1000, signal);
+    case 'wait_until':
+      return waitForPrinter(printer.name, step, signal, printer);
+    default:
+      throw new Error(`Unknown step type: ${step.type}`);
+  }
+}
+
+// ============================================
+// ACTIVE RUNS
+// ============================================
+
+const runs = () => collection('macro_runs');
+
+const snapshot = (run) => ({ ...run, printers: run.printers.map(p => ({ ...p })) });
+
+// Runs started in this tab: run id -> { run, controller }
+const activeRuns = new Map();
+const runListeners = new Set();
+let activeList = [];
+
+const updateActiveRuns = () => {
+  activeList = [...activeRuns.values()].map(entry => entry.run);
+  runListeners.forEach(listener => {
+    try {
+      listener(activeList);
+    } catch (err) {
+      console.error('[FleetMacros] listener failed:', err);
+    }
+  });
+};
+
+/**
+ * Runs started in this tab, running or finished and not yet dismissed
+ * @returns {Array<object>} run snapshots, oldest first
+ */
+export function getActiveRuns() {
+  return activeList;
+}
+
+/**
+ * @param {function} listener - called with getActiveRuns() on every change
+ * @returns {function} unsubscribe
+ */
+export function subscribeActiveRuns(listener) {
+  runListeners.add(listener);
+  return () => runListeners.delete(listener);
+}
+
+export function cancelRun(id) {
+  activeRuns.get(id)?.controller.abort();
+}
+
+/**
+ * Drop a finished run from the active runs (it stays in the history)
+ */
+export function dismissRun(id) {
+  if (activeRuns.get(id)?.run.status === 'running') return;
+  if (activeRuns.delete(id)) updateActiveRuns();
+}
+
+// ============================================
+// RUNS
+// ============================================
+
+const runStatus = (printers) => {
+  if (printers.some(p => p.status === 'cancelled')) return 'cancelled';
+  const failed = printers.filter(p => p.status === 'failed').length;
+  if (failed === 0) return 'done';
+  return failed === printers.length ? 'failed' : 'partial';
+};
+
+const keepHistory = async (run) => {
+  try {
+    await runs().put(snapshot(run));
+    const all = await runs().getAll();
+    for (const old of all.slice(RUN_HISTORY_LIMIT)) await runs().remove(old.id);
+  } catch (err) {
+    console.warn('[FleetMacros] Could not save run:', err);
+  }
+};
+
+/**
+ * Run a macro on printers (objects with at least a name; current
+ * temperatures and state are used by waits). The run shows in
+ * getActiveRuns() until dismissed and can be stopped with cancelRun().
+ * @param {object} options - { group, by, signal, onProgress(run) }
+ * @returns {Promise<object>} the finished run
+ */
+export async function runMacro(macro, printers, { group = null, by = null, signal: outer, onProgress } = {}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  if (outer?.aborted) controller.abort();
+  else outer?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  const run = {
+    id: newMacroId('run'),
+    macro_id: macro.id,
+    macro_name: macro.name,
+    group_name: group?.name || null,
+    steps: macro.steps.length,
+    started_by: by,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    status: 'running',
+    printers: printers.map(p => ({ name: p.name, status: 'pending', step: 0, error: null })),
+  };
+  const report = () => {
+    activeRuns.set(run.id, { run: snapshot(run), controller });
+    updateActiveRuns();
+    onProgress?.(snapshot(run));
+  };
+
+  await runs().prepend(snapshot(run)).catch(err => console.warn('[FleetMacros] Could not save run:', err));
+  report();
+
+  await Promise.all(printers.map(async (printer, index) => {
+    const progress = run.printers[index];
+    progress.status = 'running';
+    try {
+      for (let i = 0; i < macro.steps.length; i++) {
+        progress.step = i;
+        report();
+        await runStep(macro.steps[i], printer, signal);
+      }
+      progress.step = macro.steps.length;
+      progress.status = 'done';
+    } catch (err) {
+      progress.status = err instanceof MacroCancelledError ? 'cancelled' : 'failed';
+      progress.error = err instanceof MacroCancelledError ? null : (err.message || 'Step failed');
+    }
+    report();
+  }));
+
+  run.status = runStatus(run.printers);
+  run.finished_at = new Date().toISOString();
+  report();
+  await keepHistory(run);
+  return snapshot(run);
+}
@@ -0,0 +1,191 @@
+/**
+ * src/services/jobLifecycle.js
+ *
+ * Runs print job transitions (states and rules live in utils/jobStates.js):
+ * 1. refuse what the state table or a guard doesn't allow
+ * 2. have the server make the change
+ * 3. append to the job's audit trail (job_history collection)
+ * 4. run side effects - material usage on completion, a failure-log entry
+ *    on failure
+ *
+ * A failing side effect is reported back as a warning; it never undoes the
+ * transition the server already made.
+ */
+
+import { api } from './api';
+import { collection } from './localStore';
+import { getSessionStorageJson } from '../utils/safeJson';
+import {
+  JOB_EVENTS,
+  assertTransition,
+  eventBetween,
+  jobIdOf,
+  jobStatusOf,
+  normalizeJobStatus,
+} from '../utils/jobStates';
+
+// Entries kept per job - the oldest are dropped first
+const HISTORY_LIMIT = 100;
+
+const currentActor = () => {
+  const user = getSessionStorageJson('currentUser');
+  return user?.username || user?.full_name || null;
+};
+
+const printerOfJob = (job) => job.assigned_printer || job.printer_name || null;
+
+const materialWeightG = (job) => Number(job.material_weight_g ?? job.filament_used_g ?? job.weight_g ?? 0) || 0;
+
+// ============================================
+// AUDIT TRAIL
+// ============================================
+
+/**
+ * @returns {Promise<Array>} oldest first
+ */
+export async function getJobHistory(jobId) {
+  const record = await collection('job_history').get(String(jobId));
+  return record?.entries || [];
+}
+
+/**
+ * Append one entry ({ event, from, to, by, ... }) to a job's trail
+ */
+export async function recordJobHistory(jobId, entry) {
+  const key = String(jobId);
+  const history = collection('job_history');
+  const existing = await history.get(key);
+  const entries = [...(existing?.entries || []), { at: new Date().toISOString(), ...entry }].slice(-HISTORY_LIMIT);
+  await history.put({ id: key, entries });
+  return entries;
+}
+
+/**
+ * A status change made elsewhere (the server, a printer, another user) and
+ * only seen on refresh. Logged so the trail has no gaps; `skipped` marks
+ * changes no single lifecycle event explains, like queued -> completed.
+ */
+export async function recordObservedStatus(job, previousStatus) {
+  const from = normalizeJobStatus(previousStatus);
+  const to = jobStatusOf(job);
+  if (from === to) return null;
+  const event = eventBetween(from, to);
+  return recordJobHistory(jobIdOf(job), {
+    event,
+    from,
+    to,
+    by: null,
+    printer: printerOfJob(job),
+    source: 'server',
+    skipped: !event,
+  });
+}
+
+// ============================================
+// SIDE EFFECTS
+// ============================================
+
+const EFFECTS = {
+  complete: {
+    label: 'Material usage',
+    run: async (job) => {
+      const weight = materialWeightG(job) * (Number(job.quantity) || 1);
+      if (!weight) return;
+      await api.recordMaterialUsage({
+        job_id: jobIdOf(job),
+        spool_id: job.spool_id,
+        printer_name: printerOfJob(job),
+        material_type: job.filament_type || job.material_type,
+        weight_g: weight,
+        reason: 'print_completed',
+      });
+    },
+  },
+  fail: {
+    label: 'Failure log',
+    run: async (job, { reason, note, actor }) => {
+      // Material burnt up to the failure point; the whole part if we can't tell
+      const progress = Number(job.progress) || 0;
+      const wasted = materialWeightG(job) * (progress > 0 ? progress / 100 : 1);
+      await collection('failure_logs').prepend({
+        id: `fail-${jobIdOf(job)}-${Date.now()}`,
+        job_id: jobIdOf(job),
+        file_name: job.item_name || job.file_name || job.file_path?.split('/').pop() || 'Unknown',
+        file_path: job.file_path,
+        printer_name: printerOfJob(job) || 'Unknown',
+        reason,
+        notes: note || '',
+        timestamp: new Date().toISOString(),
+        material_type: job.filament_type || job.material_type || 'Unknown',
+        material_wasted_g: Math.round(wasted),
+        print_time_wasted: job.elapsed_minutes || 0,
+        order_id: job.order_id,
+        logged_by: actor,
+        photos: [],
+      });
+    },
+  },
+};
+
+// Fields the default server call sends along with the new status
+const transitionFields = (event, { printer, reason }) => {
+  if (event === 'assign') return { assigned_printer: printer };
+  if (event === 'fail') return { failure_reason: reason };
+  return {};
+};
+
+// ============================================
+// TRANSITIONS
+// ============================================
+
+/**
+ * Move a job through one lifecycle event
+ * @param {object} job - needs job_id (or id) and its current status
+ * @param {string} event - key of JOB_EVENTS
+ * @param {object} [options]
+ * @param {function} [options.perform] - (to) => Promise; the server call for
+ *   callers with their own endpoint. Defaults to api.updatePrintJob.
+ * @param {object} [options.context] - { printer, reason, note, material, actor } for guards and effects
+ * @returns {Promise<{ job: object, from: string, to: string, result: *, warnings: string[] }>}
+ * @throws {JobTransitionError} when the transition isn't allowed; server errors pass through
+ */
+export async function transitionJob(job, event, { perform, context = {} } = {}) {
+  assertTransition(job, event, context);
+
+  const jobId = jobIdOf(job);
+  const from = jobStatusOf(job);
+  const { to } = JOB_EVENTS[event];
+  const actor = context.actor ?? currentActor();
+
+  const result = perform
+    ? await perform(to)
+    : await api.updatePrintJob(jobId, { status: to, ...transitionFields(event, context) }, { from });
+
+  const warnings = [];
+  const attempt = async (label, work) => {
+    try {
+      await work();
+    } catch (err) {
+      console.warn(`[JobLifecycle] ${label} failed for job ${jobId}:`, err);
+      warnings.push(`${label}: ${err?.message || err}`);
+    }
+  };
+
+  await attempt('History', () => recordJobHistory(jobId, {
+    event,
+    from,
+    to,
+    by: actor,
+    printer: context.printer || printerOfJob(job),
+    reason: context.reason || null,
+    note: context.note || null,
+    source: 'app',
+    // Still in the offline outbox - the server hasn't seen it yet
+    queued: Boolean(result?.queued),
+  }));
+
+  const effect = EFFECTS[event];
+  if (effect) await attempt(effect.label, () => effect.run(job, { ...context, actor }));
+
+  return { job: { ...job, status: to, job_status: to }, from, to, result, warnings };
+}
@@ -0,0 +1,633 @@
+/**
+ * src/services/localStore.js
+ *
+ * Local data store on IndexedDB with:
+ * - named collections (ordered lists of records, one object store each)
+ * - a schema version with append-only migrations
+ * - quota checks - writes that don't fit reject with StoreQuotaError
+ * - change subscriptions, also across browser tabs
+ * - a one-time import of the old localStorage keys
+ * - small per-device settings, readable synchronously once loadSettings() ran
+ *
+ * Collections keep the array shape the components already use: getAll()
+ * returns the list in order and replaceAll() stores a whole list. Records are
+ * keyed by their `id`. Without IndexedDB (old private-mode browsers) the
+ * collections fall back to their localStorage key, except the ones marked
+ * `fallback: false` - too big for localStorage, they just aren't kept.
+ */
+
+import { safeJsonParse } from '../utils/safeJson';
+
+const DB_NAME = 'polywerk';
+const META_STORE = '_meta';
+const CHANNEL_NAME = 'polywerk-store';
+
+// Warn subscribers once usage passes this share of the quota
+const QUOTA_WARNING_RATIO = 0.9;
+const QUOTA_CHECK_INTERVAL_MS = 60000;
+
+/**
+ * Registered collections; legacyKey is the localStorage key the data
+ * used to live under (imported once, then removed), fromLegacy turns a
+ * blob that was not an array into records
+ */
+export const COLLECTIONS = {
+  spools: { legacyKey: 'polywerk_spools' },
+  time_entries: { legacyKey: 'polywerk_time_entries' },
+  maintenance: { legacyKey: 'polywerk_maintenance' },
+  failure_logs: { legacyKey: 'polywerk_failure_logs' },
+  calendar_events: { legacyKey: 'polywerk_calendar_events' },
+  shift_notes: { legacyKey: 'polywerk_shift_notes' },
+  consumables: { legacyKey: 'polywerk_consumables' },
+  // Offline support (services/offline.js)
+  outbox: {},
+  api_cache: {},
+  // Per-job lifecycle audit trail (services/jobLifecycle.js)
+  job_history: {},
+  // Printer telemetry, one record per printer and hour (services/telemetry.js)
+  telemetry: { fallback: false },
+  // Fleet macros, the printer groups they run on, and their run history (services/fleetMacros.js)
+  fleet_macros: {},
+  printer_groups: {},
+  macro_runs: {},
+  // Tags given to printers, one { id: printerName, tags } record each
+  printer_tags: {
+    legacyKey: 'polywerk_printer_tags',
+    fromLegacy: tags => Object.entries(tags).map(([id, list]) => ({ id, tags: list })),
+  },
+  // Per-device settings, one { id, value } record each (see SETTINGS)
+  settings: {},
+  // Recurring invoice templates (components/RecurringInvoices.js)
+  recurring_invoices: { legacyKey: 'polywerk_recurring_invoices' },
+};
+
+/**
+ * Registered settings; legacyKey is the localStorage key the value used
+ * to live under (imported once into the settings collection, then removed)
+ */
+export const SETTINGS = {
+  push_topics: { legacyKey: 'polywerk_push_topics' },
+  order_workflow: { legacyKey: 'polywerk_order_workflow' },
+  operator_shifts: { legacyKey: 'polywerk_operator_shifts' },
+  schedule_plan: { legacyKey: 'polywerk_schedule_plan' },
+  schedule_settings: { legacyKey: 'polywerk_schedule_settings' },
+  anomaly_thresholds: { legacyKey: 'polywerk_anomaly_thresholds' },
+};
+
+const createCollectionStore = (db, name) => {
+  const store = db.createObjectStore(name, { keyPath: 'key' });
+  store.createIndex('order', 'order');
+  return store;
+};
+
+// Schema migrations, run in order on upgrade - entry N upgrades to version N + 1.
+// Append only; never change a migration that has shipped.
+const MIGRATIONS = [
+  // 1: collections replacing the localStorage blobs
+  (db) => {
+    db.createObjectStore(META_STORE);
+    ['spools', 'time_entries', 'maintenance', 'failure_logs', 'calendar_events', 'shift_notes', 'consumables']
+      .forEach(name => createCollectionStore(db, name));
+  },
+  // 2: offline outbox and cached API reads
+  (db) => {
+    createCollectionStore(db, 'outbox');
+    createCollectionStore(db, 'api_cache');
+  },
+  // 3: job lifecycle audit trail
+  (db) => {
+    createCollectionStore(db, 'job_history');
+  },
+  // 4: printer telemetry history
+  (db) => {
+    createCollectionStore(db, 'telemetry');
+  },
+  // 5: fleet macros, printer groups and macro runs
+  (db) => {
+    ['fleet_macros', 'printer_groups', 'macro_runs'].forEach(name => createCollectionStore(db, name));
+  },
+  // 6: per-device settings and recurring invoice templates
+  (db) => {
+    ['settings', 'recurring_invoices'].forEach(name => createCollectionStore(db, name));
+  },
+  // 7: printer tags
+  (db) => {
+    createCollectionStore(db, 'printer_tags');
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+export class StoreQuotaError extends Error {
+  constructor(message, { collection, usage, quota } = {}) {
+    super(message);
+    this.name = 'StoreQuotaError';
+    this.collection = collection;
+    this.usage = usage;
+    this.quota = quota;
+  }
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+const listeners = new Map(); // collection -> Set(listener)
+const storeListeners = new Set(); // quota and other store-wide events
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const notifyLocal = (name, change) => {
+  listeners.get(name)?.forEach(listener => {
+    try {
+      listener(change);
+    } catch (err) {
+      console.error(`[Store] ${name} listener failed:`, err);
+    }
+  });
+};
+
+const notify = (name, change) => {
+  notifyLocal(name, change);
+  channel?.postMessage({ collection: name, change });
+};
+
+// Other tabs wrote - refresh our subscribers
+if (channel) {
+  channel.onmessage = (event) => {
+    const { collection, change } = event.data || {};
+    if (collection) notifyLocal(collection, { ...change, remote: true });
+  };
+}
+
+const emitStoreEvent = (event) => {
+  storeListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('[Store] listener failed:', err);
+    }
+  });
+};
+
+/**
+ * Store-wide events: { type: 'quota-exceeded' | 'quota-warning', collection?, usage, quota }
+ * @returns {function} unsubscribe
+ */
+export function subscribeStore(listener) {
+  storeListeners.add(listener);
+  return () => storeListeners.delete(listener);
+}
+
+// ============================================
+// QUOTA
+// ============================================
+
+/**
+ * Storage used by this origin
+ * @returns {Promise<{usage: number, quota: number, ratio: number}|null>} null when the browser can't tell
+ */
+export async function getStorageUsage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota, ratio: quota ? usage / quota : 0 };
+  } catch (err) {
+    return null;
+  }
+}
+
+let lastQuotaCheck = 0;
+
+const checkQuotaSoon = () => {
+  const now = Date.now();
+  if (now - lastQuotaCheck < QUOTA_CHECK_INTERVAL_MS) return;
+  lastQuotaCheck = now;
+  getStorageUsage().then(usage => {
+    if (usage && usage.ratio >= QUOTA_WARNING_RATIO) {
+      emitStoreEvent({ type: 'quota-warning', ...usage });
+    }
+  });
+};
+
+const isQuotaError = (err) => (
+  err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22)
+);
+
+const toStoreError = async (err, name) => {
+  if (!isQuotaError(err)) return err || new Error(`Store write to ${name} failed`);
+  const usage = await getStorageUsage();
+  emitStoreEvent({ type: 'quota-exceeded', collection: name, ...(usage || {}) });
+  return new StoreQuotaError(`Not enough storage to save ${name}`, { collection: name, ...(usage || {}) });
+};
+
+// ============================================
+// DATABASE
+// ============================================
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run work(tx) in one transaction; resolves with what work() returned
+ * once the transaction has committed
+ */
+const transact = (db, storeNames, mode, work) => new Promise((resolve, reject) => {
+  let tx;
+  try {
+    tx = db.transaction(storeNames, mode);
+  } catch (err) {
+    reject(err);
+    return;
+  }
+  const result = Promise.resolve(work(tx));
+  result.catch(() => {}); // an aborted transaction rejects below instead
+  tx.oncomplete = () => result.then(resolve, reject);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+const readLegacyKey = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+};
+
+const keyFor = (value, index) => {
+  if (value && (typeof value.id === 'string' || typeof value.id === 'number')) return value.id;
+  return `item-${Date.now().toString(36)}-${index}`;
+};
+
+// Parsed legacy blob as a list of records, or null when it is neither
+const legacyItems = (name, value) => {
+  const { fromLegacy } = COLLECTIONS[name];
+  if (fromLegacy && value && typeof value === 'object' && !Array.isArray(value)) return fromLegacy(value);
+  return Array.isArray(value) ? value : null;
+};
+
+const writeAll = (store, items) => {
+  store.clear();
+  items.forEach((value, index) => store.put({ key: keyFor(value, index), order: index, value }));
+};
+
+// Copy each old localStorage blob into its collection once, then drop the key
+const importLegacyStorage = async (db) => {
+  const entries = Object.entries(COLLECTIONS).filter(([, config]) => config.legacyKey);
+  for (const [name, { legacyKey }] of entries) {
+    const raw = readLegacyKey(legacyKey);
+    if (raw === null) continue;
+
+    try {
+      const imported = await transact(db, [name, META_STORE], 'readwrite', (tx) => {
+        const meta = tx.objectStore(META_STORE);
+        return promisify(meta.get(`legacy:${legacyKey}`)).then(done => {
+          if (done) return false;
+          const items = legacyItems(name, safeJsonParse(raw, null));
+          if (items) {
+            writeAll(tx.objectStore(name), items);
+            meta.put(Date.now(), `written:${name}`);
+          }
+          meta.put({
+            imported_at: new Date().toISOString(),
+            count: items ? items.length : 0,
+            valid: Boolean(items),
+          }, `legacy:${legacyKey}`);
+          return Boolean(items);
+        });
+      });
+      // Corrupt blobs stay in place for manual recovery
+      if (imported) {
+        localStorage.removeItem(legacyKey);
+        notify(name, { type: 'import' });
+      }
+    } catch (err) {
+      console.warn(`[Store] Could not import ${legacyKey}:`, err);
+    }
+  }
+};
+
+// Same for the settings that had a localStorage key of their own
+const importLegacySettings = async (db) => {
+  const entries = Object.entries(SETTINGS).filter(([, config]) => config.legacyKey);
+  for (const [index, [name, { legacyKey }]] of entries.entries()) {
+    const raw = readLegacyKey(legacyKey);
+    if (raw === null) continue;
+
+    try {
+      const imported = await transact(db, ['settings', META_STORE], 'readwrite', (tx) => {
+        const meta = tx.objectStore(META_STORE);
+        return promisify(meta.get(`legacy:${legacyKey}`)).then(done => {
+          if (done) return false;
+          const value = safeJsonParse(raw, null);
+          if (value !== null) {
+            tx.objectStore('settings').put({ key: name, order: index, value: { id: name, value } });
+            meta.put(Date.now(), 'written:settings');
+          }
+          meta.put({ imported_at: new Date().toISOString(), valid: value !== null }, `legacy:${legacyKey}`);
+          return value !== null;
+        });
+      });
+      if (imported) {
+        localStorage.removeItem(legacyKey);
+        notify('settings', { type: 'import', keys: [name] });
+      }
+    } catch (err) {
+      console.warn(`[Store] Could not import ${legacyKey}:`, err);
+    }
+  }
+};
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    } catch (err) {
+      console.warn('[Store] IndexedDB unavailable, using localStorage:', err);
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer tab wants to upgrade - let it, and reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn('[Store] IndexedDB open failed, using localStorage:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => {
+      console.warn('[Store] Upgrade waiting for other tabs to close');
+    };
+  }).then(async (db) => {
+    if (db) {
+      await importLegacyStorage(db);
+      await importLegacySettings(db);
+    }
+    return db;
+  });
+
+  return dbPromise;
+};
+
+// ============================================
+// LOCALSTORAGE FALLBACK
+// ============================================
+
+const fallbackKey = (name) => COLLECTIONS[name].legacyKey || `polywerk_store_${name}`;
+
+const keptWithoutDb = (name) => COLLECTIONS[name].fallback !== false;
+
+const fallbackRead = (name) => {
+  if (!keptWithoutDb(name)) return null;
+  const raw = readLegacyKey(fallbackKey(name));
+  return raw === null ? null : legacyItems(name, safeJsonParse(raw, null));
+};
+
+const fallbackWrite = async (name, items) => {
+  if (!keptWithoutDb(name)) return;
+  try {
+    localStorage.setItem(fallbackKey(name), JSON.stringify(items));
+  } catch (err) {
+    throw await toStoreError(err, name);
+  }
+};
+
+// ============================================
+// COLLECTIONS
+// ============================================
+
+const repositories = new Map();
+
+const createRepository = (name) => {
+  const write = async (type, keys, work) => {
+    const db = await openDatabase();
+    try {
+      await transact(db, [name, META_STORE], 'readwrite', (tx) => {
+        tx.objectStore(META_STORE).put(Date.now(), `written:${name}`);
+        return work(tx.objectStore(name));
+      });
+    } catch (err) {
+      throw await toStoreError(err, name);
+    }
+    notify(name, { type, keys });
+    checkQuotaSoon();
+  };
+
+  // Fallback path: read-modify-write the whole array
+  const writeFallback = async (type, keys, update) => {
+    await fallbackWrite(name, update(fallbackRead(name) || []));
+    notify(name, { type, keys });
+  };
+
+  const indexOfKey = (list, key) => list.findIndex((item, i) => keyFor(item, i) === key);
+
+  return {
+    name,
+
+    /**
+     * All records in order
+     * @param {object} [options]
+     * @param {*} [options.fallback] - returned when the collection has never been written
+     */
+    async getAll({ fallback } = {}) {
+      const db = await openDatabase();
+      if (!db) {
+        const list = fallbackRead(name);
+        return list === null && fallback !== undefined ? fallback : (list || []);
+      }
+      return transact(db, [name, META_STORE], 'readonly', (tx) => Promise.all([
+        promisify(tx.objectStore(name).index('order').getAll()),
+        promisify(tx.objectStore(META_STORE).get(`written:${name}`)),
+      ]).then(([records, written]) => {
+        if (!written && fallback !== undefined) return fallback;
+        return records.map(r => r.value);
+      }));
+    },
+
+    async get(key) {
+      const db = await openDatabase();
+      if (!db) {
+        const list = fallbackRead(name) || [];
+        const index = indexOfKey(list, key);
+        return index >= 0 ? list[index] : null;
+      }
+      const record = await transact(db, [name], 'readonly', tx => promisify(tx.objectStore(name).get(key)));
+      return record ? record.value : null;
+    },
+
+    /**
+     * Record keys, without loading the records
+     */
+    async keys() {
+      const db = await openDatabase();
+      if (!db) return (fallbackRead(name) || []).map(keyFor);
+      return transact(db, [name], 'readonly', tx => promisify(tx.objectStore(name).getAllKeys()));
+    },
+
+    async count() {
+      const db = await openDatabase();
+      if (!db) return (fallbackRead(name) || []).length;
+      return transact(db, [name], 'readonly', tx => promisify(tx.objectStore(name).count()));
+    },
+
+    /**
+     * Store a whole list, replacing what was there (the old save-the-array pattern)
+     */
+    async replaceAll(items) {
+      const db = await openDatabase();
+      if (!db) return writeFallback('replace', null, () => items);
+      return write('replace', null, store => writeAll(store, items));
+    },
+
+    /**
+     * Insert or update one record by id; new records go to the end
+     */
+    async put(item) {
+      const key = keyFor(item, 0);
+      const db = await openDatabase();
+      if (!db) {
+        return writeFallback('put', [key], (list) => {
+          const index = indexOfKey(list, key);
+          return index >= 0 ? list.map((v, i) => (i === index ? item : v)) : [...list, item];
+        });
+      }
+      return write('put', [key], store => promisify(store.get(key)).then(existing => {
+        if (existing) {
+          store.put({ ...existing, value: item });
+          return null;
+        }
+        return promisify(store.index('order').openCursor(null, 'prev')).then(cursor => {
+          store.put({ key, order: cursor ? cursor.value.order + 1 : 0, value: item });
+        });
+      }));
+    },
+
+    /**
+     * Insert (or move) one record to the front - for newest-first lists
+     */
+    async prepend(item) {
+      const key = keyFor(item, 0);
+      const db = await openDatabase();
+      if (!db) {
+        return writeFallback('put', [key], list => [item, ...list.filter((v, i) => keyFor(v, i) !== key)]);
+      }
+      return write('put', [key], store => promisify(store.index('order').openCursor(null, 'next')).then(cursor => {
+        store.put({ key, order: cursor ? cursor.value.order - 1 : 0, value: item });
+      }));
+    },
+
+    async remove(key) {
+      const db = await openDatabase();
+      if (!db) return writeFallback('remove', [key], list => list.filter((v, i) => keyFor(v, i) !== key));
+      return write('remove', [key], store => { store.delete(key); });
+    },
+
+    async clear() {
+      const db = await openDatabase();
+      if (!db) return writeFallback('clear', null, () => []);
+      return write('clear', null, store => { store.clear(); });
+    },
+
+    /**
+     * Called with { type, keys, remote } after every change, in this tab or another
+     * @returns {function} unsubscribe
+     */
+    subscribe(listener) {
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(listener);
+      return () => listeners.get(name)?.delete(listener);
+    },
+  };
+};
+
+/**
+ * Repository for a registered collection
+ * @param {string} name - key of COLLECTIONS
+ */
+export function collection(name) {
+  if (!COLLECTIONS[name]) {
+    throw new Error(`Unknown collection "${name}"`);
+  }
+  if (!repositories.has(name)) repositories.set(name, createRepository(name));
+  return repositories.get(name);
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const settingsCache = new Map();
+let settingsPromise = null;
+
+const readSettings = () => collection('settings').getAll().then(records => {
+  settingsCache.clear();
+  records.forEach(record => settingsCache.set(record.id, record.value));
+});
+
+/**
+ * Load the settings into memory so getSetting() can answer synchronously;
+ * call (and await) once before the app renders
+ * @returns {Promise<void>}
+ */
+export function loadSettings() {
+  if (!settingsPromise) {
+    settingsPromise = readSettings().catch(err => {
+      console.warn('[Store] Could not load settings:', err);
+    });
+    // Another tab changed a setting - pick it up
+    collection('settings').subscribe(change => {
+      if (change.remote) readSettings().catch(() => {});
+    });
+  }
+  return settingsPromise;
+}
+
+/**
+ * @param {string} name - key of SETTINGS
+ * @param {*} fallback - returned when the setting was never saved
+ */
+export function getSetting(name, fallback = null) {
+  return settingsCache.has(name) ? settingsCache.get(name) : fallback;
+}
+
+/**
+ * Save a setting; getSetting() sees it right away, the write follows
+ * @returns {Promise<void>}
+ */
+export function saveSetting(name, value) {
+  if (!SETTINGS[name]) throw new Error(`Unknown setting "${name}"`);
+  settingsCache.set(name, value);
+  return collection('settings').put({ id: name, value });
+}
+
+/**
+ * Drop a saved setting, back to the caller's default
+ * @returns {Promise<void>}
+ */
+export function removeSetting(name) {
+  settingsCache.delete(name);
+  return collection('settings').remove(name);
+}
@@ -0,0 +1,42 @@
+/**
+ * src/services/maintenance.js
+ *
+ * Printer maintenance items as MaintenanceCalendar keeps them: the backend's
+ * list, plus the ones saved in the local store that the backend doesn't have.
+ */
+
+import { api, unwrap } from './api';
+import { collection } from './localStore';
+
+/**
+ * One maintenance item in the calendar's shape, whatever the backend calls
+ * its fields
+ */
+export const normalizeMaintenanceItem = (x, idx) => ({
+  id: x.id || x.event_id || String(idx),
+  title: x.title || x.name || 'Maintenance',
+  printer_id: x.printer_id || x.printer || '',
+  printer_name: x.printer_name || x.printer || '',
+  due_date: x.dueAt || x.due_at || x.due_date || '',
+  start_time: x.start_time || '',
+  status: x.status || 'planned',
+  notes: x.notes || x.description || '',
+  recurring: x.recurring || 'none',
+  priority: x.priority || 'normal',
+  estimated_minutes: x.estimated_minutes || 30,
+  completed_at: x.completed_at || null,
+  completed_by: x.completed_by || null,
+});
+
+/**
+ * Backend and locally saved maintenance items; the backend's win on id
+ */
+export async function loadMaintenanceItems() {
+  const resp = await api.getUpcomingMaintenance().catch(() => ({ data: [] }));
+  const data = unwrap(resp) || resp?.data || [];
+  const list = Array.isArray(data) ? data : data.items || data.events || [];
+  const normalized = list.map(normalizeMaintenanceItem);
+
+  const localItems = await collection('maintenance').getAll().catch(() => []);
+  return [...normalized, ...localItems.filter(l => !normalized.find(n => n.id === l.id))];
+}
@@ -0,0 +1,511 @@
+/**
+ * src/services/offline.js
+ *
+ * Offline support for the API client:
+ * - a read cache, so GETs keep answering from the last good response
+ *   while the server can't be reached
+ * - an outbox of writes that failed because we were offline; they are
+ *   replayed in order on reconnect, each with the idempotency key it was
+ *   first sent with, so a write the server did see is not applied twice
+ * - conflict checks before replaying an update: when the server record
+ *   changed in the meantime the entry waits for the user to resolve it
+ *
+ * The transport is injected by services/api.js (configureOffline) so this
+ * module doesn't import the API client.
+ */
+
+import { collection } from './localStore';
+import { isServiceWorkerSupported, postToServiceWorker } from '../serviceWorkerRegistration';
+
+// Persist a cached read at most this often per key
+const CACHE_PERSIST_INTERVAL_MS = 30000;
+// Persisted reads older than this are not served
+const CACHE_MAX_AGE_MS = 7 * 24 * 3600 * 1000;
+// Larger responses stay in memory only
+const CACHE_MAX_BYTES = 2 * 1024 * 1024;
+// Retry pending writes this often while any are waiting
+const REPLAY_INTERVAL_MS = 30000;
+// When data last came from the server, kept across reloads for the offline notice
+const LAST_SYNC_KEY = 'polywerk_last_sync';
+const LAST_SYNC_PERSIST_MS = 30000;
+
+// Server responses that mean "not reachable right now" rather than "rejected"
+const RETRY_STATUSES = [502, 503, 504];
+const CONFLICT_STATUSES = [409, 412];
+
+const outbox = () => collection('outbox');
+const apiCache = () => collection('api_cache');
+
+let transport = null;
+let online = typeof navigator === 'undefined' || navigator.onLine !== false;
+let replaying = null;
+let replayTimer = null;
+let lastSyncedAt = Number(readLastSync()) || null;
+let lastSyncPersisted = 0;
+
+function readLastSync() {
+  try {
+    return localStorage.getItem(LAST_SYNC_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+const listeners = new Set();
+
+const emit = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('[Offline] listener failed:', err);
+    }
+  });
+};
+
+/**
+ * Events: { type: 'status', online, lastSyncedAt } | { type: 'queued', entry }
+ *       | { type: 'synced', count } | { type: 'conflict', entry } | { type: 'failed', entry }
+ *       | { type: 'replay', running }
+ * @returns {function} unsubscribe
+ */
+export function subscribeOffline(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function isOnline() {
+  return online;
+}
+
+/**
+ * When a response last came from the server (ms), null if never
+ */
+export function getLastSyncedAt() {
+  return lastSyncedAt;
+}
+
+export function isReplaying() {
+  return replaying !== null;
+}
+
+const markSynced = () => {
+  lastSyncedAt = Date.now();
+  if (lastSyncedAt - lastSyncPersisted < LAST_SYNC_PERSIST_MS) return;
+  lastSyncPersisted = lastSyncedAt;
+  try {
+    localStorage.setItem(LAST_SYNC_KEY, String(lastSyncedAt));
+  } catch (err) {
+    // Not worth failing a request over
+  }
+};
+
+const setOnline = (next) => {
+  if (next) markSynced();
+  if (online === next) return;
+  online = next;
+  emit({ type: 'status', online, lastSyncedAt });
+  if (online) replayOutbox();
+};
+
+/**
+ * Called by the API client after each request: a response of any kind means
+ * the server is reachable, a network error means it is not
+ */
+export function reportNetworkResult(reachable) {
+  setOnline(reachable);
+}
+
+/**
+ * A request that went out but got no answer (no connection, timeout), or a
+ * gateway that could not reach the server - worth queueing and retrying.
+ * Errors thrown before anything was sent are real failures.
+ * Takes axios errors and ApiErrors (network: true).
+ */
+export const isNetworkError = (err) => Boolean(err?.network || (err?.request && !err.response))
+  || RETRY_STATUSES.includes(err?.status ?? err?.response?.status);
+
+export const newIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+// ============================================
+// READ CACHE
+// ============================================
+
+const memoryCache = new Map(); // key -> { data, cached_at }
+const persistedAt = new Map(); // key -> ms
+
+/**
+ * Cache key for a GET - the first path stands for the whole fallback list
+ */
+export function cacheKeyFor(paths, params) {
+  const query = params && typeof params === 'object'
+    ? Object.keys(params).sort()
+      .filter(k => params[k] !== undefined && params[k] !== null)
+      .map(k => `${k}=${encodeURIComponent(params[k])}`)
+      .join('&')
+    : '';
+  return `GET ${paths[0]}${query ? `?${query}` : ''}`;
+}
+
+export function rememberResponse(key, data) {
+  const entry = { data, cached_at: Date.now() };
+  memoryCache.set(key, entry);
+
+  const last = persistedAt.get(key) || 0;
+  if (entry.cached_at - last < CACHE_PERSIST_INTERVAL_MS) return;
+  persistedAt.set(key, entry.cached_at);
+
+  let size = 0;
+  try {
+    size = JSON.stringify(data).length;
+  } catch (err) {
+    return;
+  }
+  if (size > CACHE_MAX_BYTES) return;
+  apiCache().put({ id: key, ...entry }).catch(err => {
+    console.warn('[Offline] Could not persist cached read:', err);
+  });
+}
+
+/**
+ * Last good response for a GET, from memory or from the store
+ * @returns {Promise<{data: *, cached_at: number}|null>}
+ */
+export async function getCachedResponse(key) {
+  if (memoryCache.has(key)) return memoryCache.get(key);
+  try {
+    const stored = await apiCache().get(key);
+    if (!stored || Date.now() - stored.cached_at > CACHE_MAX_AGE_MS) return null;
+    memoryCache.set(key, { data: stored.data, cached_at: stored.cached_at });
+    return stored;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Drop cached reads (on logout - they belong to the previous user)
+ */
+export async function clearReadCache() {
+  memoryCache.clear();
+  persistedAt.clear();
+  postToServiceWorker({ type: 'CLEAR_API_CACHE' });
+  try {
+    await apiCache().clear();
+  } catch (err) {
+    console.warn('[Offline] Could not clear read cache:', err);
+  }
+}
+
+// ============================================
+// CONFLICTS
+// ============================================
+
+// Responses wrap the record in different ways
+const recordFrom = (payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.data && typeof payload.data === 'object' && !Array.isArray(payload.data)) return payload.data;
+  return payload;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedSince = (server, entry) => {
+  const stamp = server.updated_at || server.modified_at;
+  const updated = stamp ? new Date(stamp).getTime() : NaN;
+  return Number.isFinite(updated) && updated > new Date(entry.queued_at).getTime();
+};
+
+/**
+ * Fields of a queued update the server changed meanwhile. With a base
+ * snapshot (the record as it was when the write was made) a field conflicts
+ * when the server moved away from it; for fields the snapshot lacks, when the
+ * server record was updated after the write was queued and now disagrees.
+ * serverRejected (a 409/412 answer) counts every disagreeing field.
+ */
+export function findConflicts(entry, server, { serverRejected = false } = {}) {
+  if (!server || !entry.data || typeof entry.data !== 'object') return [];
+  const base = serverRejected ? {} : entry.base || {};
+  const serverChanged = serverRejected || changedSince(server, entry);
+
+  return Object.keys(entry.data)
+    .filter(field => field in server)
+    .filter(field => !sameValue(server[field], entry.data[field]))
+    .filter(field => (field in base ? !sameValue(server[field], base[field]) : serverChanged))
+    .map(field => ({
+      field,
+      base: base[field],
+      mine: entry.data[field],
+      server: server[field],
+    }));
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+/**
+ * Wire up the transport (services/api.js)
+ * @param {object} config
+ * @param {function} config.send - (entry) => Promise, performs the write with its idempotency key
+ * @param {function} config.fetchCurrent - (entry) => Promise, current server record for entry.resource
+ * @param {function} [config.ping] - () => Promise, any request to the server; its result is reported like every other
+ */
+export function configureOffline({ send, fetchCurrent, ping }) {
+  transport = { send, fetchCurrent, ping };
+  scheduleReplay();
+}
+
+export async function getOutbox() {
+  return outbox().getAll();
+}
+
+/**
+ * Whether a write to this resource has to wait behind queued ones
+ */
+export async function hasQueuedWrites(resourceKey) {
+  if (!resourceKey) return false;
+  const entries = await outbox().getAll();
+  return entries.some(e => e.resource_key === resourceKey);
+}
+
+/**
+ * Persist a write for replay
+ * @param {object} write
+ * @param {string} write.method
+ * @param {string[]} write.paths
+ * @param {*} [write.data]
+ * @param {object} [write.params]
+ * @param {string} write.idempotencyKey - the key the first attempt was sent with
+ * @param {string} [write.label] - shown in the pending list
+ * @param {string[]} [write.resource] - GET paths of the record this write updates
+ * @param {object} [write.base] - the record as the user saw it
+ */
+export async function enqueueWrite({ method, paths, data, params, idempotencyKey, label, resource, base }) {
+  const entry = {
+    id: idempotencyKey,
+    idempotency_key: idempotencyKey,
+    method,
+    paths,
+    data: data ?? null,
+    params: params || null,
+    label: label || `${method.toUpperCase()} ${paths[0]}`,
+    resource: resource || null,
+    resource_key: resource ? resource[0] : null,
+    base: base || null,
+    queued_at: new Date().toISOString(),
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    server: null,
+    conflicts: [],
+  };
+
+  if (!entry.base && resource) {
+    const cached = await getCachedResponse(cacheKeyFor(resource));
+    entry.base = recordFrom(cached?.data);
+  }
+
+  await outbox().put(entry);
+  emit({ type: 'queued', entry });
+  scheduleReplay();
+  return entry;
+}
+
+const updateEntry = (entry, patch) => outbox().put({ ...entry, ...patch });
+
+/**
+ * Try one entry
+ * @returns {Promise<'sent'|'offline'|'unauthorized'|'conflict'|'failed'>}
+ */
+const replayEntry = async (entry) => {
+  const isUpdate = ['put', 'patch'].includes(entry.method) && entry.resource && !entry.force;
+
+  if (isUpdate) {
+    let current = null;
+    try {
+      current = recordFrom(await transport.fetchCurrent(entry));
+    } catch (err) {
+      if (isNetworkError(err)) return 'offline';
+      // No way to read the record back - replay without the check
+    }
+    const conflicts = findConflicts(entry, current);
+    if (conflicts.length > 0) {
+      const next = { ...entry, status: 'conflict', server: current, conflicts };
+      await outbox().put(next);
+      emit({ type: 'conflict', entry: next });
+      return 'conflict';
+    }
+  }
+
+  try {
+    await transport.send(entry);
+    await outbox().remove(entry.id);
+    return 'sent';
+  } catch (err) {
+    const attempt = { attempts: entry.attempts + 1, last_error: err?.message || 'Request failed' };
+    if (isNetworkError(err)) {
+      await updateEntry(entry, attempt);
+      return 'offline';
+    }
+    if (err.status === 401 || err.status === 403) {
+      // Logged out - keep it pending until there is a session again
+      return 'unauthorized';
+    }
+    if (CONFLICT_STATUSES.includes(err.status)) {
+      const server = recordFrom(err.data?.current || err.data?.record) || null;
+      const next = {
+        ...entry,
+        ...attempt,
+        status: 'conflict',
+        server,
+        conflicts: findConflicts(entry, server, { serverRejected: true }),
+      };
+      await outbox().put(next);
+      emit({ type: 'conflict', entry: next });
+      return 'conflict';
+    }
+    const next = { ...entry, ...attempt, status: 'failed' };
+    await outbox().put(next);
+    emit({ type: 'failed', entry: next });
+    return 'failed';
+  }
+};
+
+/**
+ * Send pending writes oldest first. A conflicted or failed entry holds back
+ * later writes to the same record; an unreachable server stops the run.
+ * @returns {Promise<{sent: number, remaining: number}>}
+ */
+export function replayOutbox() {
+  if (replaying) return replaying;
+  if (!transport) return Promise.resolve({ sent: 0, remaining: 0 });
+
+  emit({ type: 'replay', running: true });
+  replaying = (async () => {
+    const entries = await outbox().getAll();
+    const held = new Set();
+    let sent = 0;
+
+    for (const entry of entries) {
+      if (entry.status !== 'pending') {
+        if (entry.resource_key) held.add(entry.resource_key);
+        continue;
+      }
+      if (entry.resource_key && held.has(entry.resource_key)) continue;
+
+      const outcome = await replayEntry(entry);
+      if (outcome === 'offline') {
+        setOnline(false);
+        break;
+      }
+      if (outcome === 'unauthorized') break;
+      if (outcome === 'sent') {
+        sent++;
+        setOnline(true);
+      } else if (entry.resource_key) {
+        held.add(entry.resource_key);
+      }
+    }
+
+    if (sent > 0) emit({ type: 'synced', count: sent });
+    const remaining = await outbox().count();
+    return { sent, remaining };
+  })().catch(err => {
+    console.error('[Offline] Replay failed:', err);
+    return { sent: 0, remaining: null };
+  }).finally(() => {
+    replaying = null;
+    emit({ type: 'replay', running: false });
+    scheduleReplay();
+  });
+
+  return replaying;
+}
+
+// Keep retrying while writes are pending
+function scheduleReplay() {
+  if (replayTimer) return;
+  replayTimer = setTimeout(async () => {
+    replayTimer = null;
+    const entries = await outbox().getAll().catch(() => []);
+    if (entries.some(e => e.status === 'pending')) replayOutbox();
+  }, REPLAY_INTERVAL_MS);
+}
+
+/**
+ * Settle a conflicted entry
+ * @param {string} id
+ * @param {object} resolution
+ * @param {'mine'|'server'|'merge'} resolution.choice - keep my write, drop it, or send merged data
+ * @param {object} [resolution.data] - merged fields for 'merge'
+ */
+export async function resolveConflict(id, { choice, data } = {}) {
+  const entry = await outbox().get(id);
+  if (!entry) return;
+
+  if (choice === 'server') {
+    await outbox().remove(id);
+  } else if (choice === 'merge') {
+    // New payload - a new key, or the server would answer with the old result.
+    // The entry keeps its id and with it its place in line.
+    await updateEntry(entry, {
+      idempotency_key: newIdempotencyKey(),
+      data,
+      status: 'pending',
+      force: true,
+      conflicts: [],
+      server: null,
+    });
+  } else {
+    // Same payload, but the old key would get the stored 409 back
+    await updateEntry(entry, {
+      idempotency_key: newIdempotencyKey(),
+      status: 'pending',
+      force: true,
+      conflicts: [],
+      server: null,
+    });
+  }
+  return replayOutbox();
+}
+
+/**
+ * Put a failed entry back in line
+ */
+export async function retryEntry(id) {
+  const entry = await outbox().get(id);
+  if (!entry) return;
+  await updateEntry(entry, { status: 'pending', last_error: null });
+  return replayOutbox();
+}
+
+export async function discardEntry(id) {
+  await outbox().remove(id);
+}
+
+// ============================================
+// CONNECTIVITY
+// ============================================
+
+// The browser being back online only means a network is up - ask the server
+// before calling it reachable (and marking the data synced)
+const checkServer = () => {
+  transport?.ping?.().catch(() => {});
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', checkServer);
+  window.addEventListener('offline', () => setOnline(false));
+}
+
+// The service worker answers API reads from its cache and revalidates in the
+// background - it is the one that knows whether the server was reached
+if (isServiceWorkerSupported()) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'network-status') setOnline(event.data.online);
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * src/services/orderNotifications.js
+ *
+ * Customer email templates for orders and sending them - by hand from
+ * CustomerNotifications, automatically from the order workflow
+ * (orderWorkflow.js). Every message sent is kept on the order in
+ * notification_history.
+ */
+
+import { api } from './api';
+import { describeShipmentItems, shipmentsOf, unshippedItems } from '../utils/orderShipments';
+
+export const ORDER_EMAIL_TEMPLATES = [
+  {
+    id: 'order_received',
+    name: 'Order Received',
+    icon: '📥',
+    subject: 'Your order has been received - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Thank you for your order! We have received your order {{order_number}} and will begin processing it shortly.
+
+Order Details:
+{{order_items}}
+
+Total: {{total_price}}
+
+You can track your order status here: {{tracking_url}}
+
+If you have any questions, please don't hesitate to contact us.
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'printing_started',
+    name: 'Printing Started',
+    icon: '🖨️',
+    subject: 'Your order is now printing - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Great news! We've started printing your order {{order_number}}.
+
+Estimated completion: {{estimated_completion}}
+
+Track your order: {{tracking_url}}
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'quality_check',
+    name: 'Quality Check Passed',
+    icon: '✅',
+    subject: 'Your order passed quality control - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Your order {{order_number}} has passed our quality control inspection and is being prepared for delivery/pickup.
+
+You'll receive another notification when it's ready.
+
+Track your order: {{tracking_url}}
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'ready_pickup',
+    name: 'Ready for Pickup',
+    icon: '📦',
+    subject: 'Your order is ready for pickup - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Your order {{order_number}} is ready for pickup!
+
+Pickup Location:
+Polywerk OÜ
+[Address]
+[Opening Hours]
+
+Please bring your order confirmation or ID.
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'shipped',
+    name: 'Order Shipped',
+    icon: '🚚',
+    subject: 'Your order has been shipped - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Your order {{order_number}} has been shipped!
+
+Tracking Number: {{tracking_number}}
+Carrier: {{carrier}}
+
+Track your delivery: {{carrier_tracking_url}}
+
+Estimated delivery: {{estimated_delivery}}
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'partial_shipment',
+    name: 'Partial Shipment',
+    icon: '📦',
+    subject: 'Part of your order is on its way - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Part of your order {{order_number}} has been shipped.
+
+In this parcel:
+{{shipment_items}}
+
+Tracking Number: {{tracking_number}}
+Carrier: {{carrier}}
+
+Track your delivery: {{carrier_tracking_url}}
+
+Still to come:
+{{remaining_items}}
+
+We'll let you know when the rest ships. Track your order: {{tracking_url}}
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'delivered',
+    name: 'Order Delivered',
+    icon: '🎉',
+    subject: 'Your order has been delivered - {{order_number}}',
+    body: `Hello {{customer_name}},
+
+Your order {{order_number}} has been delivered!
+
+We hope you're happy with your items. If you have any questions or concerns, please let us know.
+
+Leave us a review: {{review_url}}
+
+Thank you for choosing Polywerk!
+
+Best regards,
+Polywerk Team`,
+  },
+  {
+    id: 'custom',
+    name: 'Custom Message',
+    icon: '✏️',
+    subject: 'Update on your order - {{order_number}}',
+    body: '',
+  },
+];
+
+export const getOrderEmailTemplate = (id) => ORDER_EMAIL_TEMPLATES.find(template => template.id === id) || null;
+
+export const orderIdOf = (order) => order?.order_id || order?.id;
+
+export const orderNumberOf = (order) => order?.order_number || `#${String(orderIdOf(order) || '').slice(-6)}`;
+
+export const trackingUrlFor = (order) => `${window.location.origin}/track/${orderIdOf(order)}`;
+
+/**
+ * Fill {{variables}} in a template subject or body from an order
+ */
+export function renderOrderTemplate(text, order) {
+  if (!text || !order) return text;
+
+  // Format order items
+  const orderItems = order.items?.map(item => 
+    `- ${item.name} x${item.quantity} - €${item.total?.toFixed(2) || '0.00'}`
+  ).join('\n') || 'See order details online';
+
+  // Latest parcel, for shipment emails
+  const shipment = shipmentsOf(order).slice(-1)[0];
+  const remaining = unshippedItems(order);
+
+  return text
+    .replace(/\{\{customer_name\}\}/g, order.client_name || order.customer_name || 'Valued Customer')
+    .replace(/\{\{order_number\}\}/g, orderNumberOf(order))
+    .replace(/\{\{order_items\}\}/g, orderItems)
+    .replace(/\{\{total_price\}\}/g, `€${(order.total_price || order.total || 0).toFixed(2)}`)
+    .replace(/\{\{tracking_url\}\}/g, trackingUrlFor(order))
+    .replace(/\{\{estimated_completion\}\}/g, order.estimated_completion || 'Within 24-48 hours')
+    .replace(/\{\{tracking_number\}\}/g, shipment?.tracking_number || order.tracking_number || 'N/A')
+    .replace(/\{\{carrier\}\}/g, shipment?.carrier || order.carrier || 'Standard Shipping')
+    .replace(/\{\{carrier_tracking_url\}\}/g, shipment?.tracking_url || order.carrier_tracking_url || '#')
+    .replace(/\{\{shipment_items\}\}/g, shipment ? describeShipmentItems(shipment.items) : orderItems)
+    .replace(/\{\{remaining_items\}\}/g, remaining.length > 0 ? describeShipmentItems(remaining) : 'Nothing - this was the last parcel')
+    .replace(/\{\{estimated_delivery\}\}/g, order.estimated_delivery || '3-5 business days')
+    .replace(/\{\{review_url\}\}/g, `${window.location.origin}/review/${orderIdOf(order)}`);
+}
+
+export const customerEmailOf = (order) => order?.client_email || order?.customer_email || null;
+
+/**
+ * Send one template to the order's customer and log it on the order
+ * @param {object} order
+ * @param {object|string} template - template or its id
+ * @param {object} [options]
+ * @param {'email'|'sms'} [options.method='email']
+ * @param {string} [options.message] - body for the 'custom' template
+ * @param {boolean} [options.automatic=false] - sent by the workflow, not a person
+ * @returns {Promise<object>} the notification record
+ */
+export async function sendOrderNotification(order, template, { method = 'email', message, automatic = false } = {}) {
+  const tpl = typeof template === 'string' ? getOrderEmailTemplate(template) : template;
+  if (!tpl) throw new Error(`Unknown email template "${template}"`);
+
+  const email = customerEmailOf(order);
+  if (!email && method === 'email') throw new Error('Customer email not found');
+
+  const notificationData = {
+    order_id: orderIdOf(order),
+    type: tpl.id,
+    method,
+    recipient: method === 'email' ? email : order.client_phone,
+    subject: renderOrderTemplate(tpl.subject, order),
+    message: tpl.id === 'custom' ? message : renderOrderTemplate(tpl.body, order),
+    sent_at: new Date().toISOString(),
+    automatic,
+  };
+
+  await api.sendOrderEmail(notificationData.order_id, notificationData);
+
+  // The order keeps the history; a failed write here doesn't unsend the mail
+  try {
+    await api.updateOrder(notificationData.order_id, {
+      last_notification: notificationData,
+      notification_history: [
+        ...(order.notification_history || []),
+        notificationData,
+      ],
+    });
+  } catch (err) {
+    console.log('Order update failed, notification logged locally');
+  }
+
+  return notificationData;
+}
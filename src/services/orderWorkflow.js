@@ -0,0 +1,315 @@
+/**
+ * src/services/orderWorkflow.js
+ *
+ * Declarative order workflow behind OrderPipeline:
+ * - stages: which order statuses belong to each column
+ * - conditions an order must meet to enter (`entry`) or leave (`exit`) a
+ *   stage - moving forward past a stage also needs that stage's entry
+ *   conditions, so QC can't be skipped by dragging straight to Shipped
+ * - actions run when an order moves forward into a stage: customer emails,
+ *   queueing production, creating the invoice. Only the target stage's
+ *   actions run.
+ *
+ * Conditions and actions are registries referenced by id, so the per-stage
+ * choices can be changed in the board's settings and stored on this device.
+ */
+
+import { api, unwrap } from './api';
+import { getSetting, removeSetting, saveSetting } from './localStore';
+import { customerEmailOf, orderIdOf, orderNumberOf, sendOrderNotification } from './orderNotifications';
+import { jobIdOf } from '../utils/jobStates';
+import { invoiceLinesOf, orderItemsOf, orderItemsSummary } from '../utils/orderItems';
+import { isPartiallyShipped, unshippedItems } from '../utils/orderShipments';
+
+// ============================================
+// CONDITIONS
+// ============================================
+
+const orderTotal = (order) => Number(order.total_price ?? order.total ?? order.quote?.total ?? 0) || 0;
+
+export const isQcPassed = (order) => order.qc_result?.status === 'passed' || order.qc_status === 'passed';
+
+const READY_STATUSES = ['ready', 'ready_for_pickup', 'completed'];
+
+// Orders that were already Ready before the QC gate came in have no QC record
+// and no way back through QC - they may still ship
+const predatesQcGate = (order) =>
+  READY_STATUSES.includes(orderStatusOf(order)) && !order.qc_result && !order.qc_status;
+
+export const isPaidOrInvoiced = (order) =>
+  order.payment_status === 'paid' || order.payment_status === 'invoiced' || Boolean(order.invoice_number || order.paid_at);
+
+/**
+ * Each check returns null when met, else the reason shown on the board
+ */
+export const ORDER_CONDITIONS = {
+  has_customer: {
+    label: 'Has a customer',
+    check: (order) => (order.client_name || order.customer_name || order.client_id ? null : 'No customer on the order'),
+  },
+  has_price: {
+    label: 'Has a price',
+    check: (order) => (orderTotal(order) > 0 ? null : 'The order has no price yet'),
+  },
+  has_email: {
+    label: 'Customer email known',
+    check: (order) => (customerEmailOf(order) ? null : 'No customer email to notify'),
+  },
+  items_complete: {
+    label: 'All items printed',
+    check: (order) => {
+      const { items, completed, total } = orderItemsSummary(order);
+      if (completed === total) return null;
+      const open = items.filter(item => item.status !== 'completed').map(item => item.name);
+      return `${total - completed} of ${total} items not printed yet: ${open.join(', ')}`;
+    },
+  },
+  qc_passed: {
+    label: 'Passed QC',
+    check: (order) => (isQcPassed(order) || predatesQcGate(order) ? null : 'QC has not passed yet'),
+  },
+  paid_or_invoiced: {
+    label: 'Paid or invoiced',
+    check: (order) => (isPaidOrInvoiced(order) ? null : 'Needs a payment or an invoice first'),
+  },
+  nothing_left_to_ship: {
+    label: 'No parcels left to ship',
+    check: (order) => (isPartiallyShipped(order)
+      ? `Still to ship: ${unshippedItems(order).map(item => `${item.quantity} × ${item.name}`).join(', ')}`
+      : null),
+  },
+  not_on_hold: {
+    label: 'Not on hold',
+    check: (order) => (order.on_hold ? `On hold${order.hold_reason ? `: ${order.hold_reason}` : ''}` : null),
+  },
+};
+
+// ============================================
+// ACTIONS
+// ============================================
+
+const emailAction = (template, label) => ({
+  label,
+  run: async (order) => {
+    if (!customerEmailOf(order)) return { skipped: 'no customer email' };
+    await sendOrderNotification(order, template, { automatic: true });
+    return { summary: 'customer emailed' };
+  },
+});
+
+/**
+ * Each run(order) resolves to { summary?, skipped?, patch? }; `patch` is
+ * merged into the order for the actions after it
+ */
+export const ORDER_ACTIONS = {
+  email_order_received: emailAction('order_received', 'Email: order received'),
+  email_printing_started: emailAction('printing_started', 'Email: printing started'),
+  email_qc_passed: emailAction('quality_check', 'Email: quality check passed'),
+  email_ready_pickup: emailAction('ready_pickup', 'Email: ready for pickup'),
+  email_shipped: emailAction('shipped', 'Email: order shipped'),
+  email_delivered: emailAction('delivered', 'Email: order delivered'),
+  queue_production: {
+    label: 'Queue for production',
+    run: async (order) => {
+      if (order.production_queued_at && !order.needs_reprint) return { skipped: 'already queued' };
+      const orderId = orderIdOf(order);
+      const patch = { production_queued_at: new Date().toISOString(), needs_reprint: false };
+
+      if (Array.isArray(order.items) && order.items.length > 0) {
+        // One print job per line; a reprint replaces every line's jobs
+        let created = 0;
+        patch.items = [];
+        for (const item of orderItemsOf(order)) {
+          if (item.job_ids.length > 0 && !order.needs_reprint) {
+            patch.items.push(item);
+            continue;
+          }
+          const job = await api.createPrintJob({
+            order_id: orderId,
+            order_item_id: item.id,
+            item_name: `${orderNumberOf(order)} · ${item.name}`,
+            client_name: order.client_name || order.customer_name,
+            file_path: item.file_path || null,
+            filament_type: item.material,
+            color: item.color,
+            quantity: item.quantity,
+            material_weight_g: item.weight_g,
+            estimated_minutes: Math.round((Number(item.print_time_hours) || 0) * 60) || undefined,
+            due_date: order.due_date,
+            priority: order.rush_order ? 'high' : 'normal',
+          });
+          const jobId = jobIdOf(job?.job || job);
+          patch.items.push({ ...item, status: 'queued', job_ids: jobId != null ? [jobId] : [] });
+          created++;
+        }
+        await api.updateOrder(orderId, patch);
+        return { summary: `${created} print job${created === 1 ? '' : 's'} queued`, patch };
+      }
+
+      await api.queueOrderForProduction(orderId);
+      await api.updateOrder(orderId, patch);
+      return { summary: 'queued for production', patch };
+    },
+  },
+  create_invoice: {
+    label: 'Create invoice',
+    run: async (order) => {
+      if (order.invoice_number) return { skipped: `invoice ${order.invoice_number} exists` };
+      const res = await api.createInvoice({
+        order_id: orderIdOf(order),
+        client_name: order.client_name || order.customer_name,
+        client_email: customerEmailOf(order),
+        items: invoiceLinesOf(order),
+        total: orderTotal(order),
+      });
+      const invoice = unwrap(res)?.invoice || unwrap(res);
+      const patch = {
+        invoice_number: invoice?.invoice_number,
+        payment_status: order.payment_status === 'paid' ? 'paid' : 'invoiced',
+      };
+      await api.updateOrder(orderIdOf(order), patch);
+      return { summary: `invoice ${invoice?.invoice_number || 'created'}`, patch };
+    },
+  },
+};
+
+// ============================================
+// STAGES
+// ============================================
+
+export const DEFAULT_ORDER_STAGES = [
+  { id: 'pending', name: 'New', icon: '📥', color: 'yellow', statuses: ['pending', 'new', 'quote'],
+    entry: [], exit: ['has_customer', 'has_price'], onEnter: [] },
+  { id: 'confirmed', name: 'Confirmed', icon: '✅', color: 'blue', statuses: ['confirmed', 'accepted'],
+    entry: [], exit: [], onEnter: ['email_order_received'] },
+  { id: 'in_progress', name: 'In Progress', icon: '🏭', color: 'purple', statuses: ['in_progress', 'preparing', 'slicing'],
+    entry: ['not_on_hold'], exit: [], onEnter: ['queue_production'] },
+  { id: 'printing', name: 'Printing', icon: '🖨️', color: 'cyan', statuses: ['printing'],
+    entry: [], exit: [], onEnter: ['email_printing_started'] },
+  { id: 'quality_check', name: 'QC', icon: '🔍', color: 'orange', statuses: ['quality_check', 'qc', 'checking'],
+    entry: [], exit: [], onEnter: [] },
+  { id: 'ready', name: 'Ready', icon: '📦', color: 'green', statuses: READY_STATUSES,
+    entry: ['items_complete', 'qc_passed'], exit: [], onEnter: ['create_invoice', 'email_qc_passed'] },
+  { id: 'shipped', name: 'Shipped', icon: '🚚', color: 'slate', statuses: ['shipped', 'delivered'],
+    entry: ['qc_passed', 'paid_or_invoiced', 'nothing_left_to_ship'], exit: [], onEnter: ['email_shipped'] },
+];
+
+const RULE_KEYS = ['entry', 'exit', 'onEnter'];
+
+const knownIds = (ids, registry) => (Array.isArray(ids) ? ids.filter(id => registry[id]) : null);
+
+/**
+ * Stages with this device's rule changes applied
+ */
+export function getOrderStages() {
+  const overrides = getSetting('order_workflow', {}) || {};
+  return DEFAULT_ORDER_STAGES.map(stage => {
+    const saved = overrides[stage.id] || {};
+    return {
+      ...stage,
+      entry: knownIds(saved.entry, ORDER_CONDITIONS) ?? stage.entry,
+      exit: knownIds(saved.exit, ORDER_CONDITIONS) ?? stage.exit,
+      onEnter: knownIds(saved.onEnter, ORDER_ACTIONS) ?? stage.onEnter,
+    };
+  });
+}
+
+/**
+ * Store the rules (entry/exit/onEnter) of the given stages
+ */
+export function saveOrderStages(stages) {
+  const overrides = {};
+  stages.forEach(stage => {
+    overrides[stage.id] = Object.fromEntries(RULE_KEYS.map(key => [key, stage[key] || []]));
+  });
+  return saveSetting('order_workflow', overrides);
+}
+
+export function resetOrderStages() {
+  return removeSetting('order_workflow');
+}
+
+export const orderStatusOf = (order) => String(order?.status || '').toLowerCase();
+
+export const stageIndexOf = (order, stages) => stages.findIndex(stage => stage.statuses.includes(orderStatusOf(order)));
+
+export class OrderTransitionError extends Error {
+  constructor(message, { orderId, reasons = [] } = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.orderId = orderId;
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Can `order` move to the stage `toStageId`?
+ * @returns {{ allowed: boolean, reasons: string[] }}
+ */
+export function checkOrderMove(order, toStageId, stages = getOrderStages()) {
+  const fromIndex = stageIndexOf(order, stages);
+  const toIndex = stages.findIndex(stage => stage.id === toStageId);
+  if (toIndex < 0) return { allowed: false, reasons: [`Unknown stage "${toStageId}"`] };
+  if (fromIndex === toIndex) return { allowed: false, reasons: [] };
+
+  const conditionIds = [];
+  if (fromIndex >= 0) conditionIds.push(...stages[fromIndex].exit);
+  // Forward moves pass through every stage up to the target
+  const first = fromIndex >= 0 && toIndex > fromIndex ? fromIndex + 1 : toIndex;
+  for (let i = first; i <= toIndex; i++) conditionIds.push(...stages[i].entry);
+
+  const reasons = [...new Set(conditionIds)]
+    .map(id => ORDER_CONDITIONS[id]?.check(order))
+    .filter(Boolean);
+  return { allowed: reasons.length === 0, reasons };
+}
+
+/**
+ * Move an order to a stage: check the rules, save the new status, then run
+ * the stage's actions. Actions run on forward moves only unless `runActions`
+ * says otherwise - sending an order back shouldn't email the customer
+ * again. A failing action is reported, not rolled back.
+ * @param {object} [options]
+ * @param {object} [options.patch] - fields saved with the status and checked
+ *   with the rules, e.g. the QC result that lets an order into Ready
+ * @param {boolean} [options.runActions]
+ * @returns {Promise<{ order: object, stage: object, results: Array<{ id, label, ok, summary?, skipped?, error? }> }>}
+ * @throws {OrderTransitionError} when a condition blocks the move
+ */
+export async function moveOrder(order, toStageId, { stages = getOrderStages(), patch = {}, runActions } = {}) {
+  const orderId = orderIdOf(order);
+  const fromIndex = stageIndexOf(order, stages);
+  const toIndex = stages.findIndex(s => s.id === toStageId);
+  const stage = stages[toIndex];
+
+  // Already there - only the extra fields need saving
+  if (fromIndex === toIndex && stage) {
+    if (Object.keys(patch).length > 0) await api.updateOrder(orderId, patch);
+    return { order: { ...order, ...patch }, stage, results: [] };
+  }
+
+  const { allowed, reasons } = checkOrderMove({ ...order, ...patch }, toStageId, stages);
+  if (!allowed) {
+    throw new OrderTransitionError(reasons.join('; '), { orderId, reasons });
+  }
+
+  const status = stage.statuses[0];
+  await api.updateOrder(orderId, { ...patch, status });
+
+  let current = { ...order, ...patch, status };
+  const results = [];
+  const actionIds = (runActions ?? toIndex > fromIndex) ? stage.onEnter : [];
+  for (const id of actionIds) {
+    const action = ORDER_ACTIONS[id];
+    try {
+      const outcome = (await action.run(current)) || {};
+      if (outcome.patch) current = { ...current, ...outcome.patch };
+      results.push({ id, label: action.label, ok: true, summary: outcome.summary, skipped: outcome.skipped });
+    } catch (err) {
+      console.warn(`[OrderWorkflow] ${action.label} failed for order ${orderId}:`, err);
+      results.push({ id, label: action.label, ok: false, error: err?.message || String(err) });
+    }
+  }
+
+  return { order: current, stage, results };
+}
@@ -0,0 +1,177 @@
+/**
+ * src/services/printScheduling.js
+ *
+ * Feeds the browser-side scheduling engine (utils/printScheduler.js) and
+ * puts an accepted plan into effect:
+ * - loads waiting jobs, printers, order due dates, maintenance items and
+ *   the spools on each printer
+ * - works out when operators are in: opening hours (browser-local
+ *   setting), typical clocked hours from TimeTracker and staffing notes
+ * - accepting a plan assigns each job to its printer through the job
+ *   lifecycle, stores its planned start and keeps the plan for the
+ *   capacity timeline
+ */
+
+import { api, unwrap } from './api';
+import { transitionJob } from './jobLifecycle';
+import { collection, getSetting, removeSetting, saveSetting } from './localStore';
+import { loadMaintenanceItems } from './maintenance';
+import { DEFAULT_SHIFTS, operatorAvailability } from '../utils/operatorAvailability';
+import { jobStatusOf } from '../utils/jobStates';
+import { compareSchedules } from '../utils/printScheduler';
+
+const MISSING_ENDPOINT_STATUSES = [404, 405];
+
+const DEFAULT_SETTINGS = {
+  use_time_tracking: true,
+  prefer_overnight: true,
+};
+
+const listOf = (data, key) => (Array.isArray(data) ? data : data?.[key] || data?.data || []);
+
+// ============================================
+// OPERATOR SHIFTS
+// ============================================
+
+/**
+ * The shop's opening hours - what the planner falls back to when time
+ * tracking says nothing about a weekday
+ */
+export function getOperatorShifts() {
+  return { ...DEFAULT_SHIFTS, ...getSetting('operator_shifts', {}) };
+}
+
+export function saveOperatorShifts(shifts) {
+  return saveSetting('operator_shifts', shifts);
+}
+
+export function resetOperatorShifts() {
+  return removeSetting('operator_shifts');
+}
+
+export function getSchedulingSettings() {
+  return { ...DEFAULT_SETTINGS, ...getSetting('schedule_settings', {}) };
+}
+
+export function saveSchedulingSettings(settings) {
+  return saveSetting('schedule_settings', { ...getSchedulingSettings(), ...settings });
+}
+
+/**
+ * When operators are in, from opening hours, clocked hours and staffing notes
+ * @returns {Promise<object>} see utils/operatorAvailability.js
+ */
+export async function loadOperatorAvailability() {
+  const [timeEntries, shiftNotes] = await Promise.all([
+    collection('time_entries').getAll().catch(() => []),
+    collection('shift_notes').getAll().catch(() => []),
+  ]);
+  return operatorAvailability({
+    openingHours: getOperatorShifts(),
+    timeEntries,
+    shiftNotes,
+    useTimeTracking: getSchedulingSettings().use_time_tracking,
+  });
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Everything the engine plans from
+ * @returns {Promise<{ jobs, printers, orders, maintenance, spools, shifts }>}
+ */
+export async function loadSchedulingInputs() {
+  const [queue, printers, orders, maintenance, spools, shifts] = await Promise.all([
+    api.getSchedulerQueue(),
+    api.getPrinters().catch(() => []),
+    api.getOrders().catch(() => []),
+    loadMaintenanceItems(),
+    collection('spools').getAll().catch(() => []),
+    loadOperatorAvailability(),
+  ]);
+
+  // The scheduler service may be missing - fall back to the plain job queue
+  let jobs = listOf(queue, 'jobs');
+  if (jobs.length === 0) jobs = listOf(await api.getJobQueue(), 'jobs');
+
+  return {
+    jobs,
+    printers: listOf(unwrap(printers), 'printers'),
+    orders: listOf(orders, 'orders'),
+    maintenance,
+    spools,
+    shifts,
+  };
+}
+
+/**
+ * Plans for every strategy from fresh data
+ * @returns {Promise<{ inputs: object, plans: object }>} plans keyed like SCHEDULE_STRATEGIES
+ */
+export async function planSchedules(options) {
+  const inputs = await loadSchedulingInputs();
+  const settings = { preferOvernight: getSchedulingSettings().prefer_overnight, ...options };
+  return { inputs, plans: compareSchedules({ ...inputs, now: Date.now() }, settings) };
+}
+
+// ============================================
+// ACCEPTED PLAN
+// ============================================
+
+/**
+ * The last accepted plan, or null
+ */
+export const getAcceptedPlan = () => getSetting('schedule_plan', null);
+
+/**
+ * Put a plan into effect: jobs not yet on their planned printer are
+ * assigned to it, every planned job gets its start and end times
+ * @param {object} plan - from buildSchedule()
+ * @param {Array} jobs - the jobs the plan was made from
+ * @returns {Promise<{ assigned: number, failed: Array<{ job_id, name, error }>, warnings: string[] }>}
+ */
+export async function acceptSchedulePlan(plan, jobs) {
+  const byId = Object.fromEntries(jobs.map(job => [String(job.job_id ?? job.id), job]));
+  let assigned = 0;
+  const failed = [];
+  const warnings = [];
+
+  for (const slot of plan.slots.filter(s => !s.fixed)) {
+    const job = byId[String(slot.job_id)];
+    if (!job) continue;
+    const times = { assigned_printer: slot.printer, scheduled_start: slot.start, scheduled_end: slot.end };
+    let timesSaved = false;
+    try {
+      if (slot.assign) {
+        const result = await transitionJob(job, 'assign', {
+          perform: async (to) => {
+            try {
+              return await api.assignJob(slot.job_id, slot.printer);
+            } catch (err) {
+              if (!MISSING_ENDPOINT_STATUSES.includes(err?.status)) throw err;
+            }
+            // No scheduler endpoint - the job update (transitionJob's default) takes the times along
+            timesSaved = true;
+            return api.updatePrintJob(slot.job_id, { status: to, ...times }, { from: jobStatusOf(job) });
+          },
+          context: { printer: slot.printer },
+        });
+        warnings.push(...result.warnings);
+        assigned += 1;
+      }
+      if (!timesSaved) {
+        await api.updatePrintJob(slot.job_id, times)
+          .catch(err => warnings.push(`${slot.name}: start time not saved (${err?.message || err})`));
+      }
+    } catch (err) {
+      console.error(`[Scheduling] Failed to assign job ${slot.job_id}:`, err);
+      failed.push({ job_id: slot.job_id, name: slot.name, error: err?.message || String(err) });
+    }
+  }
+
+  await saveSetting('schedule_plan', { ...plan, accepted_at: new Date().toISOString() })
+    .catch(err => warnings.push(`Plan not saved on this device (${err?.message || err})`));
+  return { assigned, failed, warnings };
+}
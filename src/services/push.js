@@ -0,0 +1,113 @@
+/**
+ * src/services/push.js
+ *
+ * Web push subscription for this device. The server sends the same alerts
+ * the open tab shows live (useLiveAlerts, NotificationCenter), so they also
+ * arrive while the dashboard is closed. The service worker displays them.
+ */
+
+import { api } from './api';
+import { getSetting, saveSetting } from './localStore';
+import { isServiceWorkerSupported } from '../serviceWorkerRegistration';
+
+export const PUSH_TOPICS = [
+  { id: 'printer', label: 'Printer alerts', description: 'Errors, finished and failed prints' },
+  { id: 'order', label: 'Orders', description: 'New and overdue orders' },
+  { id: 'inventory', label: 'Inventory', description: 'Low stock and reorder alerts' },
+];
+
+const DEFAULT_TOPICS = PUSH_TOPICS.map(topic => topic.id);
+
+export function isPushSupported() {
+  return isServiceWorkerSupported()
+    && typeof window !== 'undefined'
+    && 'PushManager' in window
+    && 'Notification' in window;
+}
+
+// VAPID keys travel base64url-encoded; subscribe() wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const getRegistration = async () => {
+  // Only production builds register a worker - don't wait forever for one
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) throw new Error('Push needs the installed app (service worker not active)');
+  return navigator.serviceWorker.ready;
+};
+
+export function getPushTopics() {
+  const stored = getSetting('push_topics');
+  return Array.isArray(stored) ? stored : DEFAULT_TOPICS;
+}
+
+/**
+ * @returns {Promise<'unsupported'|'denied'|'subscribed'|'unsubscribed'>}
+ */
+export async function getPushState() {
+  if (!isPushSupported()) return 'unsupported';
+  if (Notification.permission === 'denied') return 'denied';
+  const registration = await navigator.serviceWorker.getRegistration();
+  const subscription = await registration?.pushManager.getSubscription();
+  return subscription ? 'subscribed' : 'unsubscribed';
+}
+
+/**
+ * Ask for permission, subscribe this device and register it with the server
+ * @param {string[]} [topics] - ids from PUSH_TOPICS
+ */
+export async function enablePush(topics = getPushTopics()) {
+  if (!isPushSupported()) throw new Error('Push notifications are not supported on this device');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+  const registration = await getRegistration();
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    const publicKey = await api.getPushPublicKey();
+    if (!publicKey) throw new Error('The server has no push key configured');
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+  }
+
+  await api.subscribePush(subscription.toJSON(), topics);
+  await saveSetting('push_topics', topics);
+  return subscription;
+}
+
+export async function disablePush() {
+  if (!isPushSupported()) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  const subscription = await registration?.pushManager.getSubscription();
+  if (!subscription) return;
+  const { endpoint } = subscription;
+  await subscription.unsubscribe();
+  try {
+    await api.unsubscribePush(endpoint);
+  } catch (err) {
+    // The server drops dead endpoints on its own once a push bounces
+    console.warn('[Push] Server unsubscribe failed:', err.message);
+  }
+}
+
+/**
+ * Re-send an existing subscription after login - browsers rotate endpoints
+ * and the server may have dropped ours
+ */
+export async function syncPushSubscription() {
+  if (!isPushSupported() || Notification.permission !== 'granted') return;
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = await registration?.pushManager.getSubscription();
+    if (subscription) await api.subscribePush(subscription.toJSON(), getPushTopics());
+  } catch (err) {
+    console.warn('[Push] Could not sync subscription:', err.message);
+  }
+}
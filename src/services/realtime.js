@@ -0,0 +1,430 @@
+/**
+ * src/services/realtime.js
+ *
+ * One realtime event bus for the whole app:
+ * - topic subscriptions with trailing wildcards: 'printer:K1-01', 'job:*', 'order:*', '*'
+ * - every message validated against its type's schema (realtimeSchemas.js)
+ *   before anyone sees it; invalid ones are dropped and counted
+ * - a resume token: the server tags events, we hand the last token back after
+ *   a reconnect and it replays what we missed (duplicates are skipped by event id)
+ * - transports: WebSocket first; after repeated failures, or without WebSocket
+ *   support, polling takes over until the socket is back. Polling uses the
+ *   server's event log when it has one, else the plain REST endpoints.
+ *
+ * Handlers get { type, topic, payload, source: 'ws'|'poll', receivedAt }.
+ */
+
+import Ajv from 'ajv';
+import { api } from './api';
+import { WebSocketTransport } from './websocket';
+import { MESSAGE_TYPES } from './realtimeSchemas';
+
+// Consecutive failed connects before polling steps in
+const POLL_AFTER_FAILURES = 2;
+const POLL_TICK_MS = 5000;
+// Remember this many event ids to drop replayed duplicates
+const SEEN_EVENTS_MAX = 500;
+const COMMAND_TIMEOUT_MS = 30000;
+
+const ajv = new Ajv({ strict: false });
+const validators = Object.fromEntries(
+  Object.entries(MESSAGE_TYPES).map(([type, def]) => [type, ajv.compile(def.schema)])
+);
+
+let transport = null;
+let started = false;
+let status = 'disconnected';
+let failures = 0;
+let resumeToken = null;
+let pollTimer = null;
+let polling = false;
+let eventLogAvailable = true;
+
+const subscriptions = new Map(); // pattern -> Set(handler)
+const statusListeners = new Set();
+const pendingCommands = new Map(); // messageId -> { resolve, reject, timeout }
+const seenIds = new Set();
+const seenOrder = [];
+const warnedTypes = new Set();
+const pushedTypes = new Set(); // types the socket has delivered at least once
+const pushedFamilies = new Set(); // 'job' for job:42 - topic families the socket has delivered
+
+const stats = { received: 0, delivered: 0, invalid: 0, duplicates: 0, unknown: 0 };
+
+// ============================================
+// TOPICS
+// ============================================
+
+/**
+ * 'order:*' matches 'order:42'; '*' matches everything
+ */
+export function topicMatches(pattern, topic) {
+  if (pattern === '*' || pattern === topic) return true;
+  return pattern.endsWith('*') && topic.startsWith(pattern.slice(0, -1));
+}
+
+// Either side may be a pattern - used to decide which sources are worth polling
+const topicsOverlap = (a, b) => topicMatches(a, b) || topicMatches(b, a);
+
+const familyOf = (topic) => topic.split(':')[0].replace('*', '');
+
+const wantsAny = (topics) => [...subscriptions.keys()].some(pattern => topics.some(t => topicsOverlap(pattern, t)));
+
+/**
+ * @param {string} pattern - topic or topic prefix ending in '*'
+ * @param {function} handler - (event) => void
+ * @returns {function} unsubscribe
+ */
+export function subscribe(pattern, handler) {
+  if (!subscriptions.has(pattern)) {
+    subscriptions.set(pattern, new Set());
+    transport?.send({ type: 'subscribe', topics: [pattern] });
+  }
+  subscriptions.get(pattern).add(handler);
+
+  return () => {
+    const handlers = subscriptions.get(pattern);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      subscriptions.delete(pattern);
+      transport?.send({ type: 'unsubscribe', topics: [pattern] });
+    }
+  };
+}
+
+// ============================================
+// DISPATCH
+// ============================================
+
+const rememberEventId = (eventId) => {
+  if (seenIds.has(eventId)) return false;
+  seenIds.add(eventId);
+  seenOrder.push(eventId);
+  if (seenOrder.length > SEEN_EVENTS_MAX) seenIds.delete(seenOrder.shift());
+  return true;
+};
+
+const settleCommand = (message) => {
+  const pending = pendingCommands.get(message.messageId);
+  if (!pending) return;
+  pendingCommands.delete(message.messageId);
+  clearTimeout(pending.timeout);
+  if (message.success === false) {
+    pending.reject(new Error(message.error || 'Command failed'));
+  } else {
+    pending.resolve(message);
+  }
+};
+
+/**
+ * Validate, de-duplicate and route one incoming message
+ * @returns {boolean} whether it was delivered
+ */
+function dispatch(message, source) {
+  stats.received++;
+  const type = message?.type;
+  const def = typeof type === 'string' ? MESSAGE_TYPES[type] : null;
+  if (!def) {
+    stats.unknown++;
+    if (!warnedTypes.has(type)) {
+      warnedTypes.add(type);
+      console.warn('[Realtime] Ignoring unknown message type:', type);
+    }
+    return false;
+  }
+
+  const validate = validators[type];
+  if (!validate(message)) {
+    stats.invalid++;
+    console.warn(`[Realtime] Dropped invalid ${type}:`, ajv.errorsText(validate.errors));
+    return false;
+  }
+
+  const eventId = message.event_id ?? message.seq;
+  if (eventId !== undefined && eventId !== null && !rememberEventId(eventId)) {
+    stats.duplicates++;
+    return false;
+  }
+  if (message.resume_token) resumeToken = message.resume_token;
+  if (source === 'ws') pushedTypes.add(type);
+
+  if (type === 'command_response') {
+    settleCommand(message);
+    return true;
+  }
+
+  const topics = message.topic ? [message.topic] : def.topics(message);
+  const receivedAt = Date.now();
+  topics.forEach(topic => {
+    if (source === 'ws') pushedFamilies.add(familyOf(topic));
+    const event = { type, topic, payload: message, source, receivedAt };
+    subscriptions.forEach((handlers, pattern) => {
+      if (!topicMatches(pattern, topic)) return;
+      handlers.forEach(handler => {
+        try {
+          handler(event);
+        } catch (err) {
+          console.error(`[Realtime] ${pattern} handler failed:`, err);
+        }
+      });
+    });
+  });
+  stats.delivered++;
+  return true;
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * 'connected' (WebSocket) | 'connecting' | 'reconnecting' | 'polling' | 'disconnected'
+ */
+export function getStatus() {
+  return status;
+}
+
+/**
+ * Live updates are arriving (socket open or polling fallback running)
+ */
+export function isLive() {
+  return status === 'connected' || status === 'polling';
+}
+
+/**
+ * @returns {function} unsubscribe
+ */
+export function subscribeStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+const setStatus = (next) => {
+  if (status === next) return;
+  status = next;
+  statusListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (err) {
+      console.error('[Realtime] status listener failed:', err);
+    }
+  });
+};
+
+/**
+ * The socket is up and has been delivering events for these topics, so
+ * callers can stop polling for them. Servers differ in what they push.
+ * @param {string|string[]} patterns
+ */
+export function isPushed(patterns) {
+  if (status !== 'connected') return false;
+  return [].concat(patterns).some(pattern => pattern === '*' ? pushedFamilies.size > 0 : pushedFamilies.has(familyOf(pattern)));
+}
+
+export function getStats() {
+  return { ...stats, status, resumeToken, subscriptions: [...subscriptions.keys()] };
+}
+
+// ============================================
+// POLLING FALLBACK
+// ============================================
+
+const listOf = (data, ...keys) => {
+  if (Array.isArray(data)) return data;
+  for (const key of keys) {
+    if (Array.isArray(data?.[key])) return data[key];
+  }
+  return Array.isArray(data?.data) ? data.data : [];
+};
+
+// REST stand-ins when the server has no event log. `alwaysPoll` sources keep
+// polling with the socket up until the socket delivers that type itself.
+const LEGACY_SOURCES = [
+  {
+    type: 'printer_states',
+    topics: ['printers', 'printer:*'],
+    intervalMs: 5000,
+    fetch: async () => [{ type: 'printer_states', printers: listOf(await api.getPrinters(), 'printers') }],
+  },
+  {
+    type: 'job_update',
+    topics: ['job:*'],
+    intervalMs: 5000,
+    fetch: async () => listOf(await api.getJobQueue(), 'jobs', 'queue')
+      .filter(job => (job.job_id ?? job.id) !== undefined)
+      .map(job => ({ ...job, type: 'job_update', job_id: job.job_id ?? job.id })),
+  },
+  {
+    type: 'notifications',
+    topics: ['notification'],
+    intervalMs: 15000,
+    alwaysPoll: true,
+    fetch: async () => [{ type: 'notifications', notifications: listOf(await api.getNotifications(), 'notifications', 'items') }],
+  },
+];
+
+const lastPolled = new Map(); // source type -> ms
+
+const pollLegacy = async (socketUp) => {
+  const now = Date.now();
+  for (const source of LEGACY_SOURCES) {
+    if (socketUp && (!source.alwaysPoll || pushedTypes.has(source.type))) continue;
+    if (!wantsAny(source.topics)) continue;
+    if (now - (lastPolled.get(source.type) || 0) < source.intervalMs) continue;
+    lastPolled.set(source.type, now);
+    try {
+      (await source.fetch()).forEach(message => dispatch(message, 'poll'));
+    } catch (err) {
+      // Next tick tries again
+    }
+  }
+};
+
+const pollEventLog = async () => {
+  try {
+    const data = await api.getRealtimeEvents({
+      since: resumeToken || undefined,
+      topics: [...subscriptions.keys()].join(','),
+    });
+    (data?.events || []).forEach(message => dispatch(message, 'poll'));
+    if (data?.resume_token) resumeToken = data.resume_token;
+    return true;
+  } catch (err) {
+    if (err?.status === 404 || err?.status === 405) eventLogAvailable = false;
+    return false;
+  }
+};
+
+async function pollTick() {
+  if (polling || subscriptions.size === 0) return;
+  polling = true;
+  try {
+    const socketUp = status === 'connected';
+    if (!socketUp && eventLogAvailable && await pollEventLog()) return;
+    await pollLegacy(socketUp);
+  } finally {
+    polling = false;
+  }
+}
+
+const startPollTimer = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollTick, POLL_TICK_MS);
+};
+
+const stopPollTimer = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const fallBackToPolling = () => {
+  setStatus('polling');
+  pollTick();
+};
+
+// ============================================
+// WEBSOCKET
+// ============================================
+
+const authToken = () => sessionStorage.getItem('authToken') || localStorage.getItem('authToken');
+
+const handleOpen = () => {
+  failures = 0;
+  setStatus('connected');
+
+  const token = authToken();
+  if (token) transport.send({ type: 'auth', token });
+  if (subscriptions.size > 0) transport.send({ type: 'subscribe', topics: [...subscriptions.keys()] });
+  // Ask for what happened while we were away
+  if (resumeToken) transport.send({ type: 'resume', token: resumeToken });
+};
+
+const handleClose = () => {
+  pendingCommands.forEach((pending, messageId) => {
+    clearTimeout(pending.timeout);
+    pending.reject(new Error('Connection lost'));
+    pendingCommands.delete(messageId);
+  });
+  if (started) setStatus(failures >= POLL_AFTER_FAILURES ? 'polling' : 'reconnecting');
+};
+
+const handleReconnecting = () => {
+  failures++;
+  if (failures >= POLL_AFTER_FAILURES) {
+    fallBackToPolling();
+  } else {
+    setStatus('reconnecting');
+  }
+};
+
+/**
+ * Start the bus (idempotent). The socket keeps retrying in the background
+ * while polling covers for it.
+ */
+export function connect() {
+  if (started) return;
+  started = true;
+  startPollTimer();
+
+  if (!WebSocketTransport.isSupported()) {
+    fallBackToPolling();
+    return;
+  }
+  transport = new WebSocketTransport({
+    onOpen: handleOpen,
+    onClose: handleClose,
+    onReconnecting: handleReconnecting,
+    onMessage: (message) => dispatch(message, 'ws'),
+  });
+  setStatus('connecting');
+  transport.connect();
+}
+
+export function disconnect() {
+  started = false;
+  stopPollTimer();
+  transport?.disconnect();
+  transport = null;
+  setStatus('disconnected');
+}
+
+/**
+ * Send a message over the socket
+ * @param {object} message
+ * @param {object} [options]
+ * @param {boolean} [options.queue=false] - hold it until the socket is back
+ * @returns {boolean} true when sent right away
+ */
+export function send(message, options) {
+  return transport ? transport.send(message, options) : false;
+}
+
+/**
+ * Printer command over the socket (answered by command_response), or over
+ * REST while the socket is down
+ */
+export function sendCommand(printerName, command, params = {}) {
+  if (!transport?.isOpen()) {
+    return api.controlPrinter(printerName, command, params);
+  }
+
+  const messageId = `cmd_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      pendingCommands.delete(messageId);
+      reject(new Error('Command timeout'));
+    }, COMMAND_TIMEOUT_MS);
+    pendingCommands.set(messageId, { resolve, reject, timeout });
+
+    transport.send({ type: 'command', messageId, printer: printerName, command, params });
+  });
+}
+
+/**
+ * Feed a message in as if it came from the server - for other local sources
+ * of the same events
+ */
+export function publish(message) {
+  return dispatch(message, 'local');
+}
@@ -0,0 +1,161 @@
+/**
+ * src/services/realtimeSchemas.js
+ *
+ * Message types the realtime bus understands: a JSON schema each message is
+ * validated against, and the topics it is published to. Schemas only pin down
+ * the fields routing and the hooks rely on - servers may send more.
+ *
+ * Topics:
+ *   printers               snapshot of all printers (printer_states)
+ *   printer:<name>         one printer changed
+ *   job:<id>               print job changed
+ *   order:<id>             order changed
+ *   inventory:<id>         spool / stock item changed
+ *   alert:<category>       alert for the live alert feeds
+ *   notification           notification list entries
+ *   chat:<channel>         team chat; chat:presence for who is online
+ *   system                 system status
+ *   session                auth handshake results
+ */
+
+const id = { type: ['string', 'number'] };
+const name = { type: 'string', minLength: 1 };
+
+// Printer payloads come flat or wrapped in { printer } / { data: { printer } }
+const printerOf = (msg) => msg.printer ?? msg.data?.printer ?? msg;
+const printerName = (p) => p?.name || p?.printer_name || p?.id;
+
+const printersOf = (msg) => msg.printers ?? msg.data?.printers ?? msg.states ?? msg.data?.states;
+
+export const MESSAGE_TYPES = {
+  printer_states: {
+    schema: {
+      type: 'object',
+      anyOf: [
+        { required: ['printers'], properties: { printers: { type: ['array', 'object'] } } },
+        { required: ['states'], properties: { states: { type: ['array', 'object'] } } },
+        { required: ['data'], properties: { data: { type: 'object' } } },
+      ],
+    },
+    topics: () => ['printers'],
+  },
+
+  printer_update: {
+    schema: {
+      type: 'object',
+      anyOf: [
+        { required: ['printer'], properties: { printer: { type: 'object', anyOf: [{ required: ['name'] }, { required: ['printer_name'] }, { required: ['id'] }] } } },
+        { required: ['data'], properties: { data: { type: 'object', required: ['printer'] } } },
+        { required: ['name'], properties: { name } },
+        { required: ['printer_name'], properties: { printer_name: name } },
+      ],
+    },
+    topics: (msg) => [`printer:${printerName(printerOf(msg))}`],
+  },
+
+  job_update: {
+    schema: {
+      type: 'object',
+      required: ['job_id'],
+      properties: { job_id: id, status: { type: 'string' }, progress: { type: 'number' } },
+    },
+    topics: (msg) => [`job:${msg.job_id}`],
+  },
+
+  order_update: {
+    schema: {
+      type: 'object',
+      required: ['order_id'],
+      properties: { order_id: id, status: { type: 'string' } },
+    },
+    topics: (msg) => [`order:${msg.order_id}`],
+  },
+
+  inventory_update: {
+    schema: {
+      type: 'object',
+      anyOf: [{ required: ['spool_id'] }, { required: ['item_id'] }],
+      properties: { spool_id: id, item_id: id },
+    },
+    topics: (msg) => [`inventory:${msg.spool_id ?? msg.item_id}`],
+  },
+
+  alert: {
+    schema: {
+      type: 'object',
+      anyOf: [{ required: ['message'] }, { required: ['title'] }],
+      properties: {
+        message: { type: 'string' },
+        title: { type: 'string' },
+        severity: { type: 'string' },
+        category: { type: 'string' },
+      },
+    },
+    topics: (msg) => [`alert:${msg.category || 'general'}`],
+  },
+
+  notifications: {
+    schema: {
+      type: 'object',
+      required: ['notifications'],
+      properties: { notifications: { type: 'array' } },
+    },
+    topics: () => ['notification'],
+  },
+
+  system_status: {
+    schema: { type: 'object' },
+    topics: () => ['system'],
+  },
+
+  chat_message: {
+    schema: {
+      type: 'object',
+      required: ['message'],
+      properties: { message: { type: 'string' }, channel: { type: 'string' } },
+    },
+    topics: (msg) => [`chat:${msg.channel || 'general'}`],
+  },
+
+  chat_history: {
+    schema: {
+      type: 'object',
+      properties: { messages: { type: 'array' }, channel: { type: 'string' } },
+    },
+    topics: (msg) => [`chat:${msg.channel || 'general'}`],
+  },
+
+  chat_typing: {
+    schema: {
+      type: 'object',
+      required: ['isTyping'],
+      properties: { isTyping: { type: 'boolean' }, channel: { type: 'string' } },
+    },
+    topics: (msg) => [`chat:${msg.channel || 'general'}`],
+  },
+
+  chat_presence: {
+    schema: {
+      type: 'object',
+      properties: { users: { type: 'array' } },
+    },
+    topics: () => ['chat:presence'],
+  },
+
+  auth_success: {
+    schema: { type: 'object' },
+    topics: () => ['session'],
+  },
+
+  command_response: {
+    schema: {
+      type: 'object',
+      required: ['messageId'],
+      properties: { messageId: { type: 'string' }, success: { type: 'boolean' } },
+    },
+    // Answered through sendCommand(), not published
+    topics: () => [],
+  },
+};
+
+export { printerOf, printerName, printersOf };
@@ -0,0 +1,96 @@
+/**
+ * src/services/shipping.js
+ *
+ * Shipping quotes (MarketingAutomation's calculator and order shipments) and
+ * recording shipments on orders. A shipment that sends the last of an order
+ * moves it to Shipped through the order workflow; one that leaves items
+ * behind keeps the order where it is and sends the "partial shipment" email.
+ */
+
+import { api } from './api';
+import { customerEmailOf, orderIdOf, sendOrderNotification } from './orderNotifications';
+import { OrderTransitionError, moveOrder } from './orderWorkflow';
+import { checkShipment, createShipment, isFullyShipped, shipmentsOf } from '../utils/orderShipments';
+
+export class ShipmentError extends Error {
+  constructor(message, { orderId } = {}) {
+    super(message);
+    this.name = 'ShipmentError';
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Carrier, cost and delivery time for a parcel
+ * @param {{ country: string, weight_kg: number, order_value: number }} params
+ * @returns {Promise<{ carrier, delivery_days, shipping_cost, free_shipping, tracking }|null>}
+ *   null when the backend can't quote
+ */
+export async function quoteShipping({ country, weight_kg, order_value }) {
+  const res = await api.calculateShipping({ country, weight_kg, order_value });
+  return res?.data ?? res ?? null;
+}
+
+/**
+ * Record a shipment on an order and tell the customer
+ * @param {object} order
+ * @param {object} fields - createShipment() fields; `items` is [{ item_id, name, quantity }]
+ * @param {object} [options]
+ * @param {boolean} [options.notify=true] - email the customer
+ * @returns {Promise<{ order: object, shipment: object, complete: boolean, results: Array, warnings: string[] }>}
+ * @throws {ShipmentError} when the items don't fit what's left to ship
+ */
+export async function recordShipment(order, fields, { notify = true } = {}) {
+  const orderId = orderIdOf(order);
+  const shipment = createShipment({
+    ...fields,
+    items: (fields.items || []).filter(item => Number(item.quantity) > 0).map(item => ({ ...item, quantity: Number(item.quantity) })),
+  });
+
+  const reason = checkShipment(order, shipment);
+  if (reason) throw new ShipmentError(reason, { orderId });
+
+  const shipments = [...shipmentsOf(order), shipment];
+  const complete = isFullyShipped({ ...order, shipments });
+  const patch = {
+    shipments,
+    shipping_status: complete ? 'shipped' : 'partial',
+    // The latest parcel is what the order-level fields and emails show
+    tracking_number: shipment.tracking_number || order.tracking_number,
+    carrier: shipment.carrier || order.carrier,
+    carrier_tracking_url: shipment.tracking_url || order.carrier_tracking_url,
+    shipping_cost: shipments.reduce((sum, s) => sum + (Number(s.shipping_cost) || 0), 0),
+  };
+
+  const warnings = [];
+  let updated = null;
+  let results = [];
+
+  if (complete) {
+    try {
+      ({ order: updated, results } = await moveOrder(order, 'shipped', { patch }));
+    } catch (err) {
+      if (!(err instanceof OrderTransitionError)) throw err;
+      warnings.push(`Order not moved to Shipped: ${err.reasons.join('; ')}`);
+    }
+  }
+  if (!updated) {
+    await api.updateOrder(orderId, patch);
+    updated = { ...order, ...patch };
+  }
+
+  // The workflow's Shipped actions may have emailed already
+  const emailed = results.some(r => r.id === 'email_shipped' && r.ok && !r.skipped);
+  if (notify && !emailed && customerEmailOf(updated)) {
+    const template = complete ? 'shipped' : 'partial_shipment';
+    try {
+      await sendOrderNotification(updated, template, { automatic: true });
+      results = [...results, { id: `email_${template}`, label: 'Email customer', ok: true, summary: 'customer emailed' }];
+    } catch (err) {
+      console.warn(`[Shipping] Shipment email failed for order ${orderId}:`, err);
+      warnings.push(`Email: ${err?.message || err}`);
+    }
+  }
+
+  return { order: updated, shipment, complete, results, warnings };
+}
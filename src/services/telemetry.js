@@ -0,0 +1,221 @@
+/**
+ * src/services/telemetry.js
+ *
+ * Rolling telemetry history for every printer, recorded in the browser:
+ * - listens to printer_update (and printer_states snapshots) on the realtime
+ *   bus and keeps a sample every few seconds - temperatures, fan, speed,
+ *   progress, layer, state and the job being printed
+ * - samples live in the local store, one record per printer and hour, and
+ *   are dropped after a week
+ * - only one tab records at a time (Web Locks), the others read
+ *
+ * Samples are described in utils/telemetrySeries.js.
+ */
+
+import { connect, subscribe } from './realtime';
+import { collection } from './localStore';
+import { printerName, printerOf, printersOf } from './realtimeSchemas';
+import { ACTIVE_STATES } from '../utils/telemetrySeries';
+
+const HOUR = 60 * 60 * 1000;
+export const RETENTION_DAYS = 7;
+
+// Sample spacing while a printer works, and while it sits idle
+const ACTIVE_INTERVAL_MS = 15 * 1000;
+const IDLE_INTERVAL_MS = 60 * 1000;
+const FLUSH_INTERVAL_MS = 30 * 1000;
+const PRUNE_INTERVAL_MS = HOUR;
+const LOCK_NAME = 'polywerk-telemetry';
+
+const store = () => collection('telemetry');
+
+const chunkId = (printer, t) => `${printer}|${Math.floor(t / HOUR) * HOUR}`;
+
+const chunkStartOf = (id) => Number(id.slice(id.lastIndexOf('|') + 1));
+
+const numberOr = (value, fallback = null) => {
+  const n = Number(value);
+  return value === null || value === undefined || !Number.isFinite(n) ? fallback : n;
+};
+
+// Progress comes as 0..1 or 0..100
+const percentOf = (value) => {
+  const n = numberOr(value);
+  if (n === null) return null;
+  return Math.round(n >= 0 && n <= 1 ? n * 100 : Math.min(n, 100));
+};
+
+/**
+ * One sample from a printer payload, whatever shape the backend sends
+ */
+export function telemetrySampleOf(printer, t = Date.now()) {
+  const temps = printer.temperatures || {};
+  const job = printer.job || {};
+  return {
+    t,
+    state: String(printer.state || printer.status || 'unknown').toLowerCase(),
+    nozzle: numberOr(printer.nozzle_temp ?? temps.nozzle?.actual ?? printer.temps?.nozzle),
+    nozzle_target: numberOr(printer.nozzle_target ?? temps.nozzle?.target),
+    bed: numberOr(printer.bed_temp ?? temps.bed?.actual ?? printer.temps?.bed),
+    bed_target: numberOr(printer.bed_target ?? temps.bed?.target),
+    chamber: numberOr(printer.chamber_temp ?? temps.chamber?.actual ?? printer.temps?.chamber),
+    fan: numberOr(printer.fan_percent ?? printer.fan_speed),
+    speed: numberOr(printer.speed_percent ?? printer.print_speed),
+    progress: percentOf(job.progress ?? printer.progress),
+    layer: numberOr(printer.layer_current ?? job.layer_current ?? printer.current_layer),
+    layer_total: numberOr(printer.layer_total ?? job.layer_total ?? printer.total_layers),
+    job: printer.job_id ?? job.job_id ?? job.id ?? null,
+    file: job.filename || printer.filename || printer.gcode_file || null,
+  };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+const live = new Map(); // printer -> merged payload
+const lastSample = new Map(); // printer -> last recorded sample
+const pending = new Map(); // chunk id -> samples not yet written
+
+let recording = false;
+let releaseLock = null;
+
+const worthRecording = (previous, sample) => {
+  if (!previous) return true;
+  if (previous.state !== sample.state || previous.job !== sample.job) return true;
+  if (previous.nozzle_target !== sample.nozzle_target || previous.bed_target !== sample.bed_target) return true;
+  const interval = ACTIVE_STATES.includes(sample.state) ? ACTIVE_INTERVAL_MS : IDLE_INTERVAL_MS;
+  return sample.t - previous.t >= interval;
+};
+
+const record = (payload) => {
+  const name = printerName(payload);
+  if (!name) return;
+  const merged = { ...(live.get(name) || {}), ...payload };
+  live.set(name, merged);
+
+  const sample = telemetrySampleOf(merged);
+  if (!worthRecording(lastSample.get(name), sample)) return;
+  lastSample.set(name, sample);
+  const id = chunkId(name, sample.t);
+  pending.set(id, [...(pending.get(id) || []), sample]);
+};
+
+const handleSnapshot = ({ payload }) => {
+  const list = printersOf(payload);
+  if (!list) return;
+  (Array.isArray(list) ? list : Object.entries(list).map(([name, p]) => ({ name, ...p }))).forEach(record);
+};
+
+const handleUpdate = ({ payload }) => record(printerOf(payload));
+
+/**
+ * Write pending samples into their hour records
+ */
+export async function flushTelemetry() {
+  const batches = [...pending.entries()];
+  pending.clear();
+  for (const [id, samples] of batches) {
+    try {
+      const existing = await store().get(id);
+      const lastT = existing?.samples?.[existing.samples.length - 1]?.t ?? -Infinity;
+      await store().put({
+        id,
+        printer: id.slice(0, id.lastIndexOf('|')),
+        start: chunkStartOf(id),
+        samples: [...(existing?.samples || []), ...samples.filter(s => s.t > lastT)],
+      });
+    } catch (err) {
+      console.warn('[Telemetry] Could not save samples:', err);
+    }
+  }
+}
+
+/**
+ * Drop hour records older than the retention window
+ */
+export async function pruneTelemetry(now = Date.now()) {
+  const cutoff = now - RETENTION_DAYS * 24 * HOUR;
+  const keys = await store().keys().catch(() => []);
+  for (const key of keys.filter(k => chunkStartOf(String(k)) + HOUR < cutoff)) {
+    await store().remove(key).catch(() => {});
+  }
+}
+
+const run = () => {
+  const unsubscribers = [subscribe('printers', handleSnapshot), subscribe('printer:*', handleUpdate)];
+  connect();
+  pruneTelemetry();
+  const flushTimer = setInterval(flushTelemetry, FLUSH_INTERVAL_MS);
+  const pruneTimer = setInterval(pruneTelemetry, PRUNE_INTERVAL_MS);
+  return () => {
+    unsubscribers.forEach(unsub => unsub());
+    clearInterval(flushTimer);
+    clearInterval(pruneTimer);
+    flushTelemetry();
+  };
+};
+
+/**
+ * Start recording (idempotent). With Web Locks only the tab holding the
+ * lock records; another tab takes over when it closes.
+ * @returns {function} stop
+ */
+export function startTelemetryRecording() {
+  if (recording) return () => {};
+  recording = true;
+
+  let stopRun = null;
+  let stopped = false;
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    navigator.locks.request(LOCK_NAME, () => new Promise((resolve) => {
+      if (stopped) {
+        resolve();
+        return;
+      }
+      stopRun = run();
+      releaseLock = resolve;
+    })).catch(err => console.warn('[Telemetry] Lock failed:', err));
+  } else {
+    stopRun = run();
+  }
+
+  return () => {
+    stopped = true;
+    recording = false;
+    stopRun?.();
+    releaseLock?.();
+    releaseLock = null;
+  };
+}
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * A printer's samples in [from, to], oldest first - stored ones plus any
+ * not yet written
+ */
+export async function getTelemetry(printer, from, to = Date.now()) {
+  const ids = [];
+  for (let t = Math.floor(from / HOUR) * HOUR; t <= to; t += HOUR) ids.push(chunkId(printer, t));
+
+  const chunks = await Promise.all(ids.map(id => store().get(id).catch(() => null)));
+  const stored = chunks.flatMap(chunk => chunk?.samples || []);
+  const unsaved = ids.flatMap(id => pending.get(id) || []);
+  const lastStored = stored[stored.length - 1]?.t ?? -Infinity;
+
+  return [...stored, ...unsaved.filter(s => s.t > lastStored)]
+    .filter(s => s.t >= from && s.t <= to)
+    .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Printers with recorded telemetry
+ */
+export async function getTelemetryPrinters() {
+  const keys = await store().keys().catch(() => []);
+  const names = keys.map(k => String(k)).map(k => k.slice(0, k.lastIndexOf('|')));
+  return [...new Set([...names, ...live.keys()])].sort();
+}
@@ -0,0 +1,209 @@
+/**
+ * src/services/thermalMonitor.js
+ *
+ * On-device anomaly detection over the live printer stream:
+ * - keeps the last couple of hours of samples per printer in memory
+ * - runs the detectors from utils/thermalAnomalies.js with thresholds for
+ *   the printer's type (built-in, plus the shop's overrides stored in the
+ *   browser)
+ * - tells listeners when an anomaly starts and when it clears, once each
+ *
+ * Runs in every open tab - alerts show wherever the operator is looking.
+ */
+
+import { api } from './api';
+import { getSetting, saveSetting } from './localStore';
+import { connect, isLive, subscribe } from './realtime';
+import { printerName, printerOf, printersOf } from './realtimeSchemas';
+import { telemetrySampleOf } from './telemetry';
+import { anomalyKey, detectAnomalies, thresholdsFor } from '../utils/thermalAnomalies';
+
+const WINDOW_MS = 2 * 60 * 60 * 1000;
+// Closest two kept samples may be - enough to see a bed oscillate
+const MIN_SPACING_MS = 5 * 1000;
+const EVALUATE_INTERVAL_MS = 5 * 1000;
+// A printer quiet for this long has no fresh readings - its thermal anomalies
+// clear. Streams only send changes, so a stalled print goes quiet too: the
+// stall check keeps running (timed from the last progress change) while the
+// stream itself is up.
+const STALE_MS = 5 * 60 * 1000;
+
+// ============================================
+// THRESHOLDS
+// ============================================
+
+/**
+ * The shop's threshold overrides: { [printerType]: { [detector]: {...} } }
+ */
+export function getAnomalyThresholds() {
+  return getSetting('anomaly_thresholds', {}) || {};
+}
+
+export function saveAnomalyThresholds(overrides) {
+  return saveSetting('anomaly_thresholds', overrides);
+}
+
+/**
+ * Drop a printer type's overrides, back to its built-in thresholds
+ */
+export function resetAnomalyThresholds(printerType) {
+  const { [printerType]: dropped, ...overrides } = getAnomalyThresholds();
+  return saveAnomalyThresholds(overrides);
+}
+
+// ============================================
+// MONITORING
+// ============================================
+
+const live = new Map(); // printer -> merged payload
+const windows = new Map(); // printer -> recent samples
+const updatedAt = new Map(); // printer -> last payload time
+const knownTypes = new Map(); // printer -> type from the printer list
+const active = new Map(); // anomaly key -> anomaly
+const listeners = new Set();
+
+let running = false;
+let lastEvaluated = 0;
+
+const typeOf = (name) => {
+  const payload = live.get(name) || {};
+  return payload.printer_type || payload.type || knownTypes.get(name) || 'default';
+};
+
+const notify = (event) => listeners.forEach(listener => {
+  try {
+    listener(event);
+  } catch (err) {
+    console.error('[ThermalMonitor] Listener failed:', err);
+  }
+});
+
+/**
+ * Run every printer's detectors; raise what's new, clear what's gone
+ */
+export function evaluateAnomalies(now = Date.now()) {
+  lastEvaluated = now;
+  const overrides = getAnomalyThresholds();
+  const seen = new Set();
+
+  windows.forEach((samples, name) => {
+    const quiet = now - (updatedAt.get(name) ?? 0) > STALE_MS;
+    if (quiet && !isLive()) return;
+    const printerType = typeOf(name);
+    const thresholds = thresholdsFor(printerType, overrides);
+    const { state } = samples[samples.length - 1] || {};
+    const judged = quiet ? { progress_stall: thresholds.progress_stall } : thresholds;
+    detectAnomalies(samples, judged, now).forEach(found => {
+      const key = anomalyKey(name, found);
+      seen.add(key);
+      const existing = active.get(key);
+      const anomaly = {
+        ...found,
+        key,
+        printer: name,
+        printer_type: printerType,
+        state,
+        auto_pause: Boolean(thresholds[found.type].auto_pause),
+        detected_at: existing?.detected_at ?? now,
+      };
+      active.set(key, anomaly);
+      if (!existing) notify({ kind: 'detected', anomaly });
+    });
+  });
+
+  [...active.keys()].filter(key => !seen.has(key)).forEach(key => {
+    const anomaly = active.get(key);
+    active.delete(key);
+    notify({ kind: 'cleared', anomaly });
+  });
+}
+
+const record = (payload) => {
+  const name = printerName(payload);
+  if (!name) return;
+  const merged = { ...(live.get(name) || {}), ...payload };
+  live.set(name, merged);
+
+  const now = Date.now();
+  updatedAt.set(name, now);
+  const samples = windows.get(name) || [];
+  const last = samples[samples.length - 1];
+  if (last && now - last.t < MIN_SPACING_MS) {
+    samples[samples.length - 1] = telemetrySampleOf(merged, last.t);
+  } else {
+    samples.push(telemetrySampleOf(merged, now));
+  }
+  while (samples.length > 0 && samples[0].t < now - WINDOW_MS) samples.shift();
+  windows.set(name, samples);
+
+  if (now - lastEvaluated >= EVALUATE_INTERVAL_MS) evaluateAnomalies(now);
+};
+
+const handleSnapshot = ({ payload }) => {
+  const list = printersOf(payload);
+  if (!list) return;
+  (Array.isArray(list) ? list : Object.entries(list).map(([name, p]) => ({ name, ...p }))).forEach(record);
+};
+
+const handleUpdate = ({ payload }) => record(printerOf(payload));
+
+// Printer types from the printer list, for payloads that don't carry one
+const loadPrinterTypes = async () => {
+  try {
+    const data = await api.getPrinters();
+    const list = Array.isArray(data) ? data : data?.printers || data?.data || [];
+    list.forEach(p => {
+      const type = p.printer_type || p.type;
+      if (p.name && type) knownTypes.set(p.name, type);
+    });
+  } catch (err) {
+    console.warn('[ThermalMonitor] Could not load printer types:', err);
+  }
+};
+
+/**
+ * Start watching the realtime stream (idempotent)
+ * @returns {function} stop
+ */
+export function startThermalMonitor() {
+  if (running) return () => {};
+  running = true;
+
+  loadPrinterTypes();
+  const unsubscribers = [subscribe('printers', handleSnapshot), subscribe('printer:*', handleUpdate)];
+  connect();
+  // Durations keep running between updates
+  const timer = setInterval(() => evaluateAnomalies(), EVALUATE_INTERVAL_MS);
+
+  return () => {
+    running = false;
+    unsubscribers.forEach(unsub => unsub());
+    clearInterval(timer);
+  };
+}
+
+/**
+ * Be told when an anomaly starts ({ kind: 'detected', anomaly }) or clears
+ * ({ kind: 'cleared', anomaly })
+ * @returns {function} unsubscribe
+ */
+export function subscribeAnomalies(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Anomalies going on right now, worst first
+ */
+export function getActiveAnomalies() {
+  const rank = { critical: 0, high: 1, medium: 2 };
+  return [...active.values()].sort((a, b) => (rank[a.severity] ?? 3) - (rank[b.severity] ?? 3) || a.detected_at - b.detected_at);
+}
+
+/**
+ * Printer types seen on the stream or in the printer list
+ */
+export function getMonitoredPrinterTypes() {
+  const types = [...live.keys()].map(typeOf).concat([...knownTypes.values()]);
+  return [...new Set(types)].filter(type => type !== 'default').sort();
+}
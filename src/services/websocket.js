@@ -1,56 +1,57 @@
 /**
  * src/services/websocket.js
- * 
- * WebSocket service with:
+ *
+ * WebSocket transport for the realtime bus (services/realtime.js):
  * - Automatic reconnection with exponential backoff
  * - Heartbeat/ping-pong monitoring
- * - Connection state tracking
- * - Clean error handling
+ * - Outgoing messages queued while disconnected
+ * - Connection state reported to the bus, which does the routing
  */
 
-const SOCKET_URL = process.env.REACT_APP_WS_URL || 'ws://127.0.0.1:5000/ws';
-
-class WebSocketService {
-  constructor() {
+export const SOCKET_URL = process.env.REACT_APP_WS_URL || 'ws://127.0.0.1:5000/ws';
+
+const MAX_QUEUED = 100;
+
+export class WebSocketTransport {
+  /**
+   * @param {object} handlers
+   * @param {function} handlers.onOpen - () => void
+   * @param {function} handlers.onClose - () => void
+   * @param {function} handlers.onReconnecting - ({ attempt, delay }) => void
+   * @param {function} handlers.onMessage - (parsed message) => void
+   * @param {string} [url]
+   */
+  constructor({ onOpen, onClose, onReconnecting, onMessage }, url = SOCKET_URL) {
+    this.url = url;
+    this.handlers = { onOpen, onClose, onReconnecting, onMessage };
     this.socket = null;
     this.connected = false;
     this.reconnecting = false;
-    this.callbacks = {
-      onConnect: [],
-      onDisconnect: [],
-      onReconnecting: [],
-      onPrinterStates: [],
-      onPrinterUpdate: [],
-      onJobUpdate: [],
-      onAlert: [],
-      // Team chat
-      onChatMessage: [],
-      onChatHistory: [],
-      onChatPresence: [],
-      onChatTyping: [],
-      onAuthSuccess: [],
-    };
-    
+    this.queue = [];
+
     // Reconnection settings
     this.retries = 0;
-    this.maxRetries = 1000; // Essentially unlimited
     this.baseDelay = 1000; // 1 second
     this.maxDelay = 30000; // 30 seconds max
     this.reconnectTimeout = null;
-    
+
     // Heartbeat settings
     this.pingInterval = null;
     this.pingIntervalMs = 30000; // 30 seconds
     this.lastPong = Date.now();
     this.pongTimeout = 60000; // 60 seconds
-    
+
     // Track if we intentionally disconnected
     this.intentionalClose = false;
   }
 
+  static isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+
   connect() {
     // Don't create duplicate connections
-    if (this.socket && (this.socket.readyState === WebSocket.CONNECTING || 
+    if (this.socket && (this.socket.readyState === WebSocket.CONNECTING ||
         this.socket.readyState === WebSocket.OPEN)) {
       return;
     }
@@ -59,8 +60,8 @@ class WebSocketService {
     this.intentionalClose = false;
 
     try {
-      console.log('[WS] Connecting to', SOCKET_URL);
-      this.socket = new WebSocket(SOCKET_URL);
+      console.log('[WS] Connecting to', this.url);
+      this.socket = new WebSocket(this.url);
 
       this.socket.onopen = () => {
         console.log('[WS] Connected');
@@ -69,10 +70,8 @@ class WebSocketService {
         this.retries = 0;
         this.lastPong = Date.now();
         this._startHeartbeat();
-        this._trigger('onConnect');
-        
-        // Auto-authenticate for chat if token is available
-        this._authenticateForChat();
+        this.handlers.onOpen?.();
+        this._flushQueue();
       };
 
       this.socket.onclose = (event) => {
@@ -103,89 +102,74 @@ class WebSocketService {
   _cleanup() {
     this._stopHeartbeat();
     this._clearReconnectTimeout();
-    
+
     if (this.socket) {
+      this.socket.onclose = null;
       this.socket.close();
       this.socket = null;
     }
-    
+
+    const wasConnected = this.connected;
     this.connected = false;
     this.reconnecting = false;
+    if (wasConnected) this.handlers.onClose?.();
   }
 
   _handleClose(event) {
+    const wasConnected = this.connected;
     this.connected = false;
     this._stopHeartbeat();
     this.socket = null;
-    
-    this._trigger('onDisconnect');
 
-    // Don't reconnect if intentionally closed or normal closure
+    if (wasConnected) this.handlers.onClose?.();
+
+    // Don't reconnect if intentionally closed
     if (this.intentionalClose) {
       console.log('[WS] Not reconnecting (intentional close)');
       return;
     }
 
-    // Reconnect for abnormal closures
-    if (event.code !== 1000 && this.retries < this.maxRetries) {
-      this._scheduleReconnect();
-    }
+    // The bus always wants a connection back - server restarts close with 1000 too
+    this._scheduleReconnect();
   }
 
   _handleMessage(event) {
+    let data;
     try {
-      const data = JSON.parse(event.data);
-
-      // Handle ping/pong
-      if (data.type === 'ping') {
-        this._sendPong();
-        return;
-      }
-      
-      if (data.type === 'pong') {
-        this.lastPong = Date.now();
-        return;
-      }
-
-      // Route to appropriate handlers
-      if (data.type === 'printer_states') {
-        this._trigger('onPrinterStates', data);
-      } else if (data.type === 'printer_update') {
-        this._trigger('onPrinterUpdate', data);
-      } else if (data.type === 'job_update') {
-        this._trigger('onJobUpdate', data);
-      } else if (data.type === 'alert') {
-        this._trigger('onAlert', data);
-      } else if (data.type === 'chat_message') {
-        this._trigger('onChatMessage', data);
-      } else if (data.type === 'chat_history') {
-        this._trigger('onChatHistory', data);
-      } else if (data.type === 'chat_presence') {
-        this._trigger('onChatPresence', data);
-      } else if (data.type === 'chat_typing') {
-        this._trigger('onChatTyping', data);
-      } else if (data.type === 'auth_success') {
-        this._trigger('onAuthSuccess', data);
-      }
+      data = JSON.parse(event.data);
     } catch (e) {
       console.error('[WS] Failed to parse message:', e);
+      return;
+    }
+
+    // Handle ping/pong
+    if (data?.type === 'ping') {
+      this._sendPong();
+      return;
     }
+
+    if (data?.type === 'pong') {
+      this.lastPong = Date.now();
+      return;
+    }
+
+    this.handlers.onMessage?.(data);
   }
 
   _scheduleReconnect() {
     if (this.reconnecting || this.intentionalClose) return;
-    
+
     this.reconnecting = true;
     this.retries++;
-    
+
     // Exponential backoff with jitter
     const delay = Math.min(
       this.baseDelay * Math.pow(2, this.retries - 1) + Math.random() * 1000,
       this.maxDelay
     );
-    
+
     console.log(`[WS] Reconnecting in ${Math.round(delay)}ms (attempt ${this.retries})`);
-    this._trigger('onReconnecting', { attempt: this.retries, delay });
+    this.handlers.onReconnecting?.({ attempt: this.retries, delay });
 
     this.reconnectTimeout = setTimeout(() => {
       this.reconnecting = false;
@@ -202,7 +186,7 @@ class WebSocketService {
 
   _startHeartbeat() {
     this._stopHeartbeat();
-    
+
     this.pingInterval = setInterval(() => {
       // Check if we've received a pong recently
       if (Date.now() - this.lastPong > this.pongTimeout) {
@@ -232,137 +216,47 @@ class WebSocketService {
     this.send({ type: 'pong', timestamp: Date.now() });
   }
 
-  send(data) {
-    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+  _flushQueue() {
+    while (this.queue.length > 0 && this.isOpen()) {
+      this.socket.send(this.queue.shift());
+    }
+  }
+
+  /**
+   * Send now, or queue until the socket opens
+   * @param {object} data
+   * @param {object} [options]
+   * @param {boolean} [options.queue=false] - keep it for the next connection instead of dropping it
+   * @returns {boolean} true when sent right away
+   */
+  send(data, { queue = false } = {}) {
+    const message = JSON.stringify(data);
+    if (this.isOpen()) {
       try {
-        this.socket.send(JSON.stringify(data));
+        this.socket.send(message);
         return true;
       } catch (error) {
         console.error('[WS] Send error:', error);
-        return false;
       }
     }
+    if (queue) {
+      this.queue.push(message);
+      if (this.queue.length > MAX_QUEUED) this.queue.shift();
+    }
     return false;
   }
 
-  sendCommand(printerName, command, params = {}) {
-    return new Promise((resolve, reject) => {
-      if (!this.connected) {
-        reject(new Error('WebSocket not connected'));
-        return;
-      }
-
-      const messageId = `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Set up response handler
-      const timeout = setTimeout(() => {
-        reject(new Error('Command timeout'));
-      }, 30000);
-
-      const handler = (data) => {
-        if (data.messageId === messageId) {
-          clearTimeout(timeout);
-          this.off('onCommandResponse', handler);
-          if (data.success) {
-            resolve(data);
-          } else {
-            reject(new Error(data.error || 'Command failed'));
-          }
-        }
-      };
-
-      this.on('onCommandResponse', handler);
-
-      // Send command
-      this.send({
-        type: 'command',
-        messageId,
-        printer: printerName,
-        command,
-        params,
-      });
-    });
-  }
-
-  on(event, cb) {
-    if (!this.callbacks[event]) this.callbacks[event] = [];
-    this.callbacks[event].push(cb);
-    return () => this.off(event, cb);
-  }
-
-  off(event, cb) {
-    if (!this.callbacks[event]) return;
-    this.callbacks[event] = this.callbacks[event].filter(x => x !== cb);
-  }
-
-  _trigger(event, data) {
-    const list = this.callbacks[event] || [];
-    list.forEach(cb => {
-      try { 
-        cb(data); 
-      } catch(e) { 
-        console.error('[WS] Callback error:', e); 
-      }
-    });
-  }
-
-  // Chat methods
-  sendChatMessage(message, channel = 'general') {
-    return this.send({
-      type: 'chat_message',
-      message,
-      channel,
-      timestamp: Date.now(),
-    });
+  isOpen() {
+    return Boolean(this.socket && this.socket.readyState === WebSocket.OPEN);
   }
 
-  sendTypingIndicator(channel = 'general', isTyping = true) {
-    return this.send({
-      type: 'chat_typing',
-      channel,
-      isTyping,
-    });
-  }
-
-  requestChatHistory(channel = 'general', limit = 50) {
-    return this.send({
-      type: 'chat_history_request',
-      channel,
-      limit,
-    });
-  }
-
-  _authenticateForChat() {
-    // Get auth token from storage
-    const token = sessionStorage.getItem('authToken') || localStorage.getItem('authToken');
-    if (token) {
-      this.send({
-        type: 'auth',
-        token,
-      });
-      console.log('[WS] Sent chat authentication');
-    }
-  }
-
-  isConnected() { 
-    return this.connected; 
+  isConnected() {
+    return this.connected;
   }
 
   isReconnecting() {
     return this.reconnecting;
   }
-
-  getStatus() {
-    if (this.connected) return 'connected';
-    if (this.reconnecting) return 'reconnecting';
-    return 'disconnected';
-  }
 }
 
-const wsService = new WebSocketService();
-
-// Auto-connect when module loads (optional - can be removed if you want manual control)
-// Uncomment the line below if you want auto-connect on import:
-// wsService.connect();
-
-export default wsService;
+export default WebSocketTransport;
@@ -0,0 +1,568 @@
+/**
+ * Estonian e-Invoice (e-arve) v1.2 Builder
+ *
+ * Builds machine-readable invoices in the Pangaliit e-invoice v1.2 format
+ * accepted by e-Arveldaja, the banks and the common accounting packages:
+ * - Per-line VAT (standard, reduced, 0%, reverse charge, exempt)
+ * - Standard rate picked from the invoice date (20% / 22% / 24%)
+ * - Credit notes (Type="CRE") referencing the original invoice
+ * - Validation of mandatory fields before export
+ *
+ * Usage: buildEInvoice() -> validateEInvoice() -> generateEInvoiceXML()
+ */
+
+import { DEFAULT_COMPANY, generateViitenumber, calculateDueDate } from './estonianInvoice';
+
+export const E_INVOICE_VERSION = '1.2';
+
+export const DOCUMENT_TYPES = {
+  INVOICE: 'DEB',
+  CREDIT_NOTE: 'CRE',
+};
+
+/**
+ * Estonian standard VAT rate history (inclusive start dates)
+ */
+export const ESTONIAN_VAT_HISTORY = [
+  { from: '2009-07-01', rate: 20 },
+  { from: '2024-01-01', rate: 22 },
+  { from: '2025-07-01', rate: 24 },
+];
+
+export const REDUCED_VAT_RATE = 9;
+
+/**
+ * Supported VAT treatments for a line.
+ * `vatId` is the e-arve attribute (TAX = taxable, NOTTAX = outside VAT),
+ * `note` is the legal wording printed on the invoice when the treatment is used.
+ */
+export const VAT_CATEGORIES = {
+  standard: {
+    label: 'Standard rate',
+    vatId: 'TAX',
+  },
+  reduced: {
+    label: `Reduced ${REDUCED_VAT_RATE}%`,
+    vatId: 'TAX',
+    rate: REDUCED_VAT_RATE,
+  },
+  zero: {
+    label: '0% (export / intra-EU goods)',
+    vatId: 'TAX',
+    rate: 0,
+    note: 'Käibemaksumäär 0% (KMS § 15)',
+  },
+  reverse_charge: {
+    label: 'Reverse charge (EU B2B)',
+    vatId: 'TAX',
+    rate: 0,
+    note: 'Pöördmaksustamine - käibemaksu tasub ostja (Directive 2006/112/EC art. 196)',
+  },
+  exempt: {
+    label: 'VAT exempt',
+    vatId: 'NOTTAX',
+    rate: 0,
+    note: 'Maksuvaba käive (KMS § 16)',
+  },
+};
+
+const EU_VAT_PREFIXES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'EL', 'ES', 'FI', 'FR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK', 'XI',
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatXmlDate = (date) => {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return '';
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const formatAmount = (value) => round2(value).toFixed(2);
+
+const formatRate = (rate) => (Number.isInteger(rate) ? String(rate) : rate.toFixed(2));
+
+// Escape special XML characters
+const escapeXml = (str) => {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const normalizeIban = (iban) => String(iban || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Validate an IBAN checksum (ISO 13616 mod 97)
+ */
+export const isValidIban = (iban) => {
+  const value = normalizeIban(iban);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(value)) return false;
+  if (value.startsWith('EE') && value.length !== 20) return false;
+
+  const rearranged = value.slice(4) + value.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Two-letter country prefix of an EU VAT number, or null
+ */
+export const getVatNumberCountry = (vatNumber) => {
+  const prefix = String(vatNumber || '').replace(/\s+/g, '').slice(0, 2).toUpperCase();
+  return EU_VAT_PREFIXES.includes(prefix) ? prefix : null;
+};
+
+/**
+ * Estonian standard VAT rate (percent) in force on a given date
+ */
+export const getStandardVatRate = (date = new Date()) => {
+  const day = formatXmlDate(date) || formatXmlDate(new Date());
+  let rate = ESTONIAN_VAT_HISTORY[0].rate;
+  ESTONIAN_VAT_HISTORY.forEach((entry) => {
+    if (day >= entry.from) rate = entry.rate;
+  });
+  return rate;
+};
+
+// Invoice records keep vat_rate as a fraction (0.24), e-arve lines as a percent
+const toVatPercent = (rate) => (Number(rate) <= 1 ? round2(Number(rate) * 100) : Number(rate));
+
+const hasRate = (rate) => rate !== undefined && rate !== null && rate !== '' && Number.isFinite(Number(rate));
+
+/**
+ * Resolve the VAT rate (percent) for a line on a given invoice date
+ */
+export const resolveLineVatRate = (line, invoiceDate) => {
+  const category = VAT_CATEGORIES[line.vat_category] ? line.vat_category : 'standard';
+  if (category === 'standard') {
+    return hasRate(line.vat_rate) ? toVatPercent(line.vat_rate) : getStandardVatRate(invoiceDate);
+  }
+  return VAT_CATEGORIES[category].rate;
+};
+
+/**
+ * VAT rate (percent) an issued invoice was charged at - its stored
+ * vat_rate, or the standard rate on its date when it has none
+ */
+export const getInvoiceVatRate = (invoice = {}) => (
+  hasRate(invoice.vat_rate)
+    ? toVatPercent(invoice.vat_rate)
+    : getStandardVatRate(invoice.invoice_date || invoice.date || invoice.created_at || new Date())
+);
+
+// ============================================
+// BUILD
+// ============================================
+
+/**
+ * Build a normalized e-invoice document with computed line, VAT and total sums.
+ *
+ * Amounts are stored positive; credit notes are negated when written to XML.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - { invoice_number, date, due_date, items, notes, currency }
+ *   items: [{ description, quantity, unit, unit_price, vat_category?, vat_rate? }]
+ * @param {Object} params.seller - Company details (defaults to DEFAULT_COMPANY)
+ * @param {Object} params.buyer - Client details
+ * @param {string} params.type - DOCUMENT_TYPES.INVOICE or DOCUMENT_TYPES.CREDIT_NOTE
+ * @param {string} params.originalInvoiceNumber - Credited invoice (credit notes only)
+ * @param {string} params.creditReason - Why the invoice is credited (credit notes only)
+ * @returns {Object} Document for validateEInvoice() / generateEInvoiceXML()
+ */
+export const buildEInvoice = ({
+  invoice = {},
+  seller = DEFAULT_COMPANY,
+  buyer = {},
+  type = DOCUMENT_TYPES.INVOICE,
+  originalInvoiceNumber = '',
+  creditReason = '',
+}) => {
+  const date = invoice.date ? new Date(invoice.date) : new Date();
+  const isCredit = type === DOCUMENT_TYPES.CREDIT_NOTE;
+  const dueDate = invoice.due_date
+    ? new Date(invoice.due_date)
+    : (isCredit ? date : calculateDueDate(date, 14));
+
+  const lines = (invoice.items || []).map((item, index) => {
+    const category = VAT_CATEGORIES[item.vat_category] ? item.vat_category : 'standard';
+    const quantity = Number(item.quantity ?? 1) || 0;
+    const unitPrice = Number(item.unit_price ?? item.price ?? 0) || 0;
+    const vatRate = resolveLineVatRate({ ...item, vat_category: category }, date);
+    const net = round2(quantity * unitPrice);
+    const vat = round2(net * vatRate / 100);
+    return {
+      row: index + 1,
+      description: item.description || item.name || '',
+      quantity,
+      unit: item.unit || 'tk',
+      unit_price: unitPrice,
+      vat_category: category,
+      vat_id: VAT_CATEGORIES[category].vatId,
+      vat_rate: vatRate,
+      net,
+      vat,
+      total: round2(net + vat),
+    };
+  });
+
+  // VAT is summed per (category, rate) group, as the tax authority expects
+  const groups = new Map();
+  lines.forEach((line) => {
+    const key = `${line.vat_category}:${line.vat_rate}`;
+    const group = groups.get(key) || {
+      vat_category: line.vat_category,
+      vat_id: line.vat_id,
+      vat_rate: line.vat_rate,
+      net: 0,
+      vat: 0,
+    };
+    group.net = round2(group.net + line.net);
+    groups.set(key, group);
+  });
+  const vatBreakdown = Array.from(groups.values()).map((group) => ({
+    ...group,
+    vat: round2(group.net * group.vat_rate / 100),
+  }));
+
+  const subtotal = round2(vatBreakdown.reduce((sum, g) => sum + g.net, 0));
+  const vatTotal = round2(vatBreakdown.reduce((sum, g) => sum + g.vat, 0));
+
+  const notes = [
+    invoice.notes,
+    ...vatBreakdown.map((g) => VAT_CATEGORIES[g.vat_category].note).filter(Boolean),
+  ].filter(Boolean);
+
+  const invoiceNumber = invoice.invoice_number || '';
+
+  return {
+    type,
+    is_credit: isCredit,
+    invoice_number: invoiceNumber,
+    original_invoice_number: isCredit ? originalInvoiceNumber : '',
+    credit_reason: isCredit ? creditReason : '',
+    date,
+    due_date: dueDate,
+    reference_number: invoice.reference_number || generateViitenumber(invoiceNumber),
+    currency: invoice.currency || 'EUR',
+    seller: {
+      name: seller.name || '',
+      reg_number: seller.reg_number || '',
+      vat_number: seller.vat_number || '',
+      address: seller.address || '',
+      city: seller.city || '',
+      postal_code: seller.postal_code || '',
+      county: seller.county || '',
+      country: seller.country || 'EE',
+      email: seller.email || '',
+      phone: seller.phone || '',
+      iban: normalizeIban(seller.iban),
+      bic: seller.swift || seller.bic || '',
+      bank_name: seller.bank_name || seller.bank || '',
+    },
+    buyer: {
+      name: buyer.name || buyer.company || '',
+      reg_number: buyer.reg_number || '',
+      vat_number: buyer.vat_number || '',
+      address: buyer.address || '',
+      city: buyer.city || '',
+      postal_code: buyer.postal_code || '',
+      country: buyer.country || 'EE',
+      email: buyer.email || '',
+    },
+    lines,
+    vat_breakdown: vatBreakdown,
+    subtotal,
+    vat_total: vatTotal,
+    total: round2(subtotal + vatTotal),
+    notes,
+  };
+};
+
+/**
+ * Credit note reversing lines of an issued invoice at the VAT they were
+ * charged: each line keeps its own category and rate, lines without a rate
+ * take the invoice's.
+ *
+ * @param {Object} invoice - The credited invoice record
+ * @param {Array} lines - [{ description, quantity, unit, unit_price, vat_category?, vat_rate? }]
+ * @returns {Object} buildEInvoice() document of type CREDIT_NOTE
+ */
+export const buildCreditNote = (invoice, lines) => {
+  const invoiceRate = getInvoiceVatRate(invoice);
+  return buildEInvoice({
+    invoice: {
+      date: invoice.invoice_date || invoice.date || invoice.created_at,
+      items: lines.map(line => ({
+        ...line,
+        vat_rate: hasRate(line.vat_rate) ? toVatPercent(line.vat_rate) : invoiceRate,
+      })),
+    },
+    type: DOCUMENT_TYPES.CREDIT_NOTE,
+    originalInvoiceNumber: invoice.invoice_number || '',
+  });
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a built document against the e-arve mandatory fields and
+ * Estonian VAT rules.
+ *
+ * @param {Object} doc - Result of buildEInvoice()
+ * @returns {Array<{ field: string, message: string }>} Empty when the document can be sent
+ */
+export const validateEInvoice = (doc) => {
+  const errors = [];
+  const requireField = (value, field, message) => {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      errors.push({ field, message });
+    }
+  };
+
+  // Document
+  requireField(doc.invoice_number, 'invoice_number', 'Invoice number is required');
+  if (Number.isNaN(new Date(doc.date).getTime())) {
+    errors.push({ field: 'date', message: 'Invoice date is missing or invalid' });
+  }
+  if (!doc.is_credit) {
+    if (Number.isNaN(new Date(doc.due_date).getTime())) {
+      errors.push({ field: 'due_date', message: 'Due date is missing or invalid' });
+    } else if (formatXmlDate(doc.due_date) < formatXmlDate(doc.date)) {
+      errors.push({ field: 'due_date', message: 'Due date is before the invoice date' });
+    }
+  }
+  if (doc.is_credit) {
+    requireField(doc.original_invoice_number, 'original_invoice_number', 'Credit note must reference the original invoice number');
+    if (doc.original_invoice_number && doc.original_invoice_number === doc.invoice_number) {
+      errors.push({ field: 'invoice_number', message: 'Credit note needs its own number, not the original invoice number' });
+    }
+  }
+
+  // Seller
+  requireField(doc.seller.name, 'seller.name', 'Seller name is required');
+  requireField(doc.seller.reg_number, 'seller.reg_number', 'Seller registry code is required');
+  if (doc.seller.reg_number && doc.seller.country === 'EE' && !/^\d{8}$/.test(doc.seller.reg_number)) {
+    errors.push({ field: 'seller.reg_number', message: 'Estonian registry code must be 8 digits' });
+  }
+  requireField(doc.seller.address, 'seller.address', 'Seller address is required');
+  requireField(doc.seller.city, 'seller.city', 'Seller city is required');
+  if (!isValidIban(doc.seller.iban)) {
+    errors.push({ field: 'seller.iban', message: 'Seller IBAN is missing or has an invalid checksum' });
+  }
+
+  const hasTaxableVat = doc.lines.some((line) => line.vat_id === 'TAX');
+  if (hasTaxableVat) {
+    requireField(doc.seller.vat_number, 'seller.vat_number', 'Seller VAT number (KMKR) is required for taxable supplies');
+    if (doc.seller.vat_number && getVatNumberCountry(doc.seller.vat_number) !== 'EE') {
+      errors.push({ field: 'seller.vat_number', message: 'Seller VAT number must start with EE' });
+    }
+  }
+
+  // Buyer
+  requireField(doc.buyer.name, 'buyer.name', 'Buyer name is required');
+
+  // Lines
+  if (!doc.lines.length) {
+    errors.push({ field: 'items', message: 'At least one invoice line is required' });
+  }
+  doc.lines.forEach((line) => {
+    const field = `items[${line.row - 1}]`;
+    requireField(line.description, `${field}.description`, `Line ${line.row}: description is required`);
+    if (!(line.quantity > 0)) {
+      errors.push({ field: `${field}.quantity`, message: `Line ${line.row}: quantity must be greater than zero` });
+    }
+    if (line.unit_price < 0) {
+      errors.push({ field: `${field}.unit_price`, message: `Line ${line.row}: use a credit note instead of a negative price` });
+    }
+    if (line.vat_category === 'standard' && line.vat_rate !== getStandardVatRate(doc.date)) {
+      errors.push({
+        field: `${field}.vat_rate`,
+        message: `Line ${line.row}: standard rate on ${formatXmlDate(doc.date)} is ${getStandardVatRate(doc.date)}%, not ${line.vat_rate}%`,
+      });
+    }
+    if (line.vat_category === 'reverse_charge') {
+      const buyerCountry = getVatNumberCountry(doc.buyer.vat_number);
+      if (!buyerCountry) {
+        errors.push({ field: 'buyer.vat_number', message: `Line ${line.row}: reverse charge requires the buyer's EU VAT number` });
+      } else if (buyerCountry === 'EE') {
+        errors.push({ field: 'buyer.vat_number', message: `Line ${line.row}: reverse charge only applies to buyers registered in another EU country` });
+      }
+    }
+  });
+
+  // Deduplicate buyer VAT messages repeated per line
+  return errors.filter((error, index) => errors.findIndex((e) => e.message === error.message) === index);
+};
+
+// ============================================
+// XML
+// ============================================
+
+const element = (name, value, indent) => {
+  if (value === null || value === undefined || value === '') return '';
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+};
+
+const partyXml = (party, indent, { includeAccount = false } = {}) => {
+  const inner = `${indent}  `;
+  const contact = `${inner}  `;
+  const address = `${contact}  `;
+  let xml = '';
+  xml += element('Name', party.name, inner);
+  xml += element('RegNumber', party.reg_number, inner);
+  xml += element('VATRegNumber', party.vat_number, inner);
+  xml += `${inner}<ContactData>\n`;
+  xml += element('PhoneNumber', party.phone, contact);
+  xml += element('E-mailAddress', party.email, contact);
+  xml += `${contact}<LegalAddress>\n`;
+  xml += element('PostalAddress1', party.address, address);
+  xml += element('City', party.city, address);
+  xml += element('PostalCode', party.postal_code, address);
+  xml += element('Country', party.country, address);
+  xml += `${contact}</LegalAddress>\n`;
+  xml += `${inner}</ContactData>\n`;
+  if (includeAccount && party.iban) {
+    xml += `${inner}<AccountInfo>\n`;
+    xml += element('AccountNumber', party.iban, contact);
+    xml += element('IBAN', party.iban, contact);
+    xml += element('BIC', party.bic, contact);
+    xml += element('BankName', party.bank_name, contact);
+    xml += `${inner}</AccountInfo>\n`;
+  }
+  return xml;
+};
+
+/**
+ * Serialize a built document to e-arve v1.2 XML.
+ * Credit note amounts are written negative.
+ *
+ * @param {Object} doc - Result of buildEInvoice()
+ * @param {Object} options
+ * @param {string} options.fileId - Unique file id (defaults to the invoice number + timestamp)
+ * @returns {string} XML document
+ */
+export const generateEInvoiceXML = (doc, options = {}) => {
+  const { fileId = `${doc.invoice_number}-${Date.now()}` } = options;
+  const sign = doc.is_credit ? -1 : 1;
+  const amount = (value) => formatAmount(sign * value);
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<E_Invoice xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="e-invoice_ver1.2.xsd">\n';
+
+  xml += '  <Header>\n';
+  xml += element('Date', formatXmlDate(new Date()), '    ');
+  xml += element('FileId', fileId, '    ');
+  xml += element('AppId', 'EARVE', '    ');
+  xml += element('Version', E_INVOICE_VERSION, '    ');
+  xml += '  </Header>\n';
+
+  xml += `  <Invoice invoiceId="${escapeXml(doc.invoice_number)}" regNumber="${escapeXml(doc.buyer.reg_number)}" sellerRegnumber="${escapeXml(doc.seller.reg_number)}">\n`;
+
+  xml += '    <InvoiceParties>\n';
+  xml += '      <SellerParty>\n';
+  xml += partyXml(doc.seller, '      ', { includeAccount: true });
+  xml += '      </SellerParty>\n';
+  xml += '      <BuyerParty>\n';
+  xml += partyXml(doc.buyer, '      ');
+  xml += '      </BuyerParty>\n';
+  xml += '    </InvoiceParties>\n';
+
+  xml += '    <InvoiceInformation>\n';
+  if (doc.is_credit) {
+    xml += `      <Type type="${DOCUMENT_TYPES.CREDIT_NOTE}">\n`;
+    xml += element('SourceInvoice', doc.original_invoice_number, '        ');
+    xml += '      </Type>\n';
+  } else {
+    xml += `      <Type type="${DOCUMENT_TYPES.INVOICE}"/>\n`;
+  }
+  xml += element('DocumentName', doc.is_credit ? 'Kreeditarve' : 'Arve', '      ');
+  xml += element('InvoiceNumber', doc.invoice_number, '      ');
+  xml += element('PaymentReferenceNumber', doc.reference_number, '      ');
+  xml += element('InvoiceDate', formatXmlDate(doc.date), '      ');
+  xml += element('DueDate', formatXmlDate(doc.due_date), '      ');
+  [doc.credit_reason, ...doc.notes].filter(Boolean).forEach((note) => {
+    xml += `      <Extension extensionId="note">\n`;
+    xml += element('InformationContent', note, '        ');
+    xml += '      </Extension>\n';
+  });
+  xml += '    </InvoiceInformation>\n';
+
+  xml += '    <InvoiceSumGroup>\n';
+  xml += element('InvoiceSum', amount(doc.subtotal), '      ');
+  doc.vat_breakdown.forEach((group) => {
+    xml += `      <VAT vatId="${group.vat_id}">\n`;
+    xml += element('SumBeforeVAT', amount(group.net), '        ');
+    xml += element('VATRate', formatRate(group.vat_rate), '        ');
+    xml += element('VATSum', amount(group.vat), '        ');
+    xml += '      </VAT>\n';
+  });
+  xml += element('TotalVATSum', amount(doc.vat_total), '      ');
+  xml += element('TotalSum', amount(doc.total), '      ');
+  xml += element('TotalToPay', amount(doc.total), '      ');
+  xml += element('Currency', doc.currency, '      ');
+  xml += '    </InvoiceSumGroup>\n';
+
+  xml += '    <InvoiceItem>\n';
+  xml += '      <InvoiceItemGroup>\n';
+  doc.lines.forEach((line) => {
+    xml += '        <ItemEntry>\n';
+    xml += element('RowNo', line.row, '          ');
+    xml += element('Description', line.description, '          ');
+    xml += '          <ItemDetailInfo>\n';
+    xml += element('ItemUnit', line.unit, '            ');
+    xml += element('ItemAmount', formatAmount(sign * line.quantity), '            ');
+    xml += element('ItemPrice', formatAmount(line.unit_price), '            ');
+    xml += '          </ItemDetailInfo>\n';
+    xml += element('ItemSum', amount(line.net), '          ');
+    xml += `          <VAT vatId="${line.vat_id}">\n`;
+    xml += element('VATRate', formatRate(line.vat_rate), '            ');
+    xml += element('VATSum', amount(line.vat), '            ');
+    xml += '          </VAT>\n';
+    xml += element('ItemTotal', amount(line.total), '          ');
+    xml += '        </ItemEntry>\n';
+  });
+  xml += '      </InvoiceItemGroup>\n';
+  xml += '    </InvoiceItem>\n';
+
+  xml += '    <PaymentInfo>\n';
+  xml += element('Currency', doc.currency, '      ');
+  xml += element('PaymentRefId', doc.reference_number, '      ');
+  xml += element('PaymentDescription', `${doc.is_credit ? 'Kreeditarve' : 'Arve'} nr ${doc.invoice_number}`, '      ');
+  xml += element('Payable', doc.is_credit ? 'NO' : 'YES', '      ');
+  xml += element('PayDueDate', formatXmlDate(doc.due_date), '      ');
+  xml += element('PaymentTotalSum', amount(doc.total), '      ');
+  xml += element('PayerName', doc.buyer.name, '      ');
+  xml += element('PaymentId', doc.invoice_number, '      ');
+  xml += element('PayToAccount', doc.seller.iban, '      ');
+  xml += element('PayToName', doc.seller.name, '      ');
+  xml += '    </PaymentInfo>\n';
+
+  xml += '  </Invoice>\n';
+
+  xml += '  <Footer>\n';
+  xml += element('TotalNumberInvoices', 1, '    ');
+  xml += element('TotalAmount', amount(doc.total), '    ');
+  xml += '  </Footer>\n';
+  xml += '</E_Invoice>\n';
+
+  return xml;
+};
@@ -7,6 +7,7 @@
  * - Table: Description, Qty, Unit, Price, Amount
  * - Totals: Subtotal, VAT 24%, Total
  * - Bank: SWIFT, IBAN
+ * - Credit notes (kreeditarve) reference the invoice they correct
  * 
  * Format based on OÜ Polüwerk invoice template.
  */
@@ -30,6 +31,16 @@ export const DEFAULT_COMPANY = {
   phone: '',
 };
 
+/**
+ * Document types stored on invoice records. Credit notes (kreeditarve) are
+ * kept in the same list as invoices and point back to the invoice they
+ * correct via `credited_invoice_number`.
+ */
+export const INVOICE_TYPES = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+};
+
 /**
  * Format number as Estonian currency (comma as decimal separator)
  */
@@ -96,7 +107,11 @@ export const createInvoiceData = ({
   vatRate = 0.24,
   notes = '',
   company = DEFAULT_COMPANY,
+  type = INVOICE_TYPES.INVOICE,
+  creditedInvoice = null,
+  creditReason = '',
 }) => {
+  const isCredit = type === INVOICE_TYPES.CREDIT_NOTE;
   const date = new Date(invoiceDate);
   const due = dueDate ? new Date(dueDate) : calculateDueDate(date, dueDays);
   
@@ -114,7 +129,12 @@ export const createInvoiceData = ({
   const total = subtotal + vatAmount;
   
   return {
+    type,
+    is_credit: isCredit,
     invoice_number: invoiceNumber,
+    credited_invoice_number: isCredit ? (creditedInvoice?.invoice_number || '') : '',
+    credited_invoice_date: isCredit && creditedInvoice?.date ? new Date(creditedInvoice.date) : null,
+    credit_reason: isCredit ? creditReason : '',
     date: date,
     due_date: due,
     reference_number: generateViitenumber(invoiceNumber),
@@ -150,7 +170,11 @@ export const createInvoiceData = ({
  */
 export const generateInvoiceHTML = (invoiceData) => {
   const {
+    is_credit,
     invoice_number,
+    credited_invoice_number,
+    credited_invoice_date,
+    credit_reason,
     date,
     due_date,
     reference_number,
@@ -166,13 +190,16 @@ export const generateInvoiceHTML = (invoiceData) => {
   } = invoiceData;
 
   const vatPercent = Math.round(vat_rate * 100);
+  const documentName = is_credit ? 'Kreeditarve' : 'Arve';
+  // Credit notes print every amount negated so they can be booked as-is
+  const signed = (amount) => formatEstonianNumber(is_credit ? -amount : amount);
 
   return `<!DOCTYPE html>
 <html lang="et">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Arve ${invoice_number}</title>
+  <title>${documentName} ${invoice_number}</title>
   <style>
     * {
       margin: 0;
@@ -270,6 +297,14 @@ export const generateInvoiceHTML = (invoiceData) => {
       color: #000;
     }
     
+    .document-title {
+      font-size: 16pt;
+      font-weight: 700;
+      letter-spacing: 1px;
+      color: #b91c1c;
+      margin-bottom: 8px;
+    }
+    
     /* Sender Section */
     .sender {
       margin-top: 25px;
@@ -421,24 +456,29 @@ export const generateInvoiceHTML = (invoiceData) => {
       </div>
       
       <div class="invoice-meta">
+        ${is_credit ? '<div class="document-title">KREEDITARVE</div>' : ''}
         <table class="meta-table">
           <tr>
-            <td>Arve nr</td>
+            <td>${documentName} nr</td>
             <td class="invoice-number">${escapeHtml(invoice_number)}</td>
           </tr>
+          ${is_credit ? `<tr>
+            <td>Krediteeritav arve</td>
+            <td>${escapeHtml(credited_invoice_number)}${credited_invoice_date ? ` (${formatEstonianDate(credited_invoice_date)})` : ''}</td>
+          </tr>` : ''}
           <tr>
             <td>Kuupäev</td>
             <td>${formatEstonianDate(date)}</td>
           </tr>
-          <tr>
+          ${!is_credit ? `<tr>
             <td>Maksetähtpäev</td>
             <td>${formatEstonianDate(due_date)}</td>
-          </tr>
+          </tr>` : ''}
           <tr>
             <td>Viitenumber</td>
             <td>${escapeHtml(reference_number)}</td>
           </tr>
-          ${late_fee ? `<tr>
+          ${late_fee && !is_credit ? `<tr>
             <td>Viivis</td>
             <td>${escapeHtml(late_fee)}</td>
           </tr>` : ''}
@@ -478,7 +518,7 @@ export const generateInvoiceHTML = (invoiceData) => {
           <td class="number-col">${item.quantity}</td>
           <td>${escapeHtml(item.unit)}</td>
           <td class="number-col">${formatEstonianNumber(item.unit_price)}</td>
-          <td class="number-col">${formatEstonianNumber(item.amount)}</td>
+          <td class="number-col">${signed(item.amount)}</td>
         </tr>
         `).join('')}
       </tbody>
@@ -489,15 +529,15 @@ export const generateInvoiceHTML = (invoiceData) => {
       <table class="totals-table">
         <tr class="subtotal-row">
           <td>Summa km-ta ${vatPercent}%</td>
-          <td>${formatEstonianNumber(subtotal)}</td>
+          <td>${signed(subtotal)}</td>
         </tr>
         <tr>
           <td>Käibemaks ${vatPercent}%</td>
-          <td>${formatEstonianNumber(vat_amount)}</td>
+          <td>${signed(vat_amount)}</td>
         </tr>
         <tr class="total-row">
-          <td>Arve kokku (EUR)</td>
-          <td>${formatEstonianNumber(total)}</td>
+          <td>${documentName} kokku (EUR)</td>
+          <td>${signed(total)}</td>
         </tr>
       </table>
     </div>
@@ -516,6 +556,13 @@ export const generateInvoiceHTML = (invoiceData) => {
       </table>
     </div>
     
+    ${is_credit && credit_reason ? `
+    <div class="notes">
+      <div class="notes-title">Krediteerimise põhjus:</div>
+      <div>${escapeHtml(credit_reason)}</div>
+    </div>
+    ` : ''}
+    
     ${notes ? `
     <div class="notes">
       <div class="notes-title">Märkused:</div>
@@ -540,6 +587,119 @@ const escapeHtml = (str) => {
     .replace(/'/g, '&#039;');
 };
 
+// ============================================
+// CREDIT NOTES
+// ============================================
+
+const roundCents = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Check whether an invoice record is a credit note
+ */
+export const isCreditNote = (invoice) =>
+  invoice?.type === INVOICE_TYPES.CREDIT_NOTE || invoice?.invoice_type === INVOICE_TYPES.CREDIT_NOTE;
+
+/**
+ * Credit notes issued against an invoice (cancelled ones are ignored)
+ */
+export const getCreditNotesFor = (invoice, invoices = []) => {
+  if (!invoice?.invoice_number || isCreditNote(invoice)) return [];
+  return invoices.filter(inv =>
+    isCreditNote(inv) &&
+    inv.credited_invoice_number === invoice.invoice_number &&
+    inv.status !== 'cancelled'
+  );
+};
+
+/**
+ * Total (incl. VAT) already credited against an invoice
+ */
+export const getCreditedAmount = (invoice, invoices = []) =>
+  roundCents(getCreditNotesFor(invoice, invoices).reduce((sum, note) => sum + (note.total || 0), 0));
+
+/**
+ * Amount still owed on an invoice once its credit notes are applied
+ */
+export const getNetInvoiceTotal = (invoice, invoices = []) => {
+  if (!invoice) return 0;
+  if (isCreditNote(invoice)) return 0;
+  return Math.max(0, roundCents((invoice.total || 0) - getCreditedAmount(invoice, invoices)));
+};
+
+/**
+ * Credit note totals scaled down to at most `limit`, keeping
+ * subtotal + VAT = total and the VAT breakdown summing to both
+ * @param {Object} totals - { subtotal, vatAmount, total, breakdown: [{ net, vat, ... }] }
+ */
+export const capCreditTotals = (totals, limit) => {
+  if (totals.total <= limit || totals.total <= 0) return totals;
+  const ratio = limit / totals.total;
+  const breakdown = totals.breakdown.map(group => ({
+    ...group,
+    net: roundCents(group.net * ratio),
+    vat: roundCents(group.vat * ratio),
+  }));
+  const subtotal = roundCents(breakdown.reduce((sum, group) => sum + group.net, 0));
+  const vatAmount = roundCents(limit - subtotal);
+  // Rounding left over from the scaling goes on the largest group's VAT
+  const largest = breakdown.reduce((max, group) => (!max || group.net > max.net ? group : max), null);
+  if (largest) largest.vat = roundCents(largest.vat + vatAmount - breakdown.reduce((sum, group) => sum + group.vat, 0));
+  return { subtotal, vatAmount, total: roundCents(limit), breakdown };
+};
+
+/**
+ * Invoice lines with the quantity that can still be credited.
+ * Credit note items reference the original line through `source_line`.
+ * Invoices without stored items are treated as a single service line.
+ */
+export const getCreditableLines = (invoice, invoices = []) => {
+  if (!invoice) return [];
+  const items = Array.isArray(invoice.items) && invoice.items.length > 0
+    ? invoice.items
+    : [{
+        description: invoice.item_name || invoice.description || 'Teenus / Service',
+        quantity: 1,
+        unit: 'tk',
+        unit_price: invoice.subtotal || (invoice.total ? invoice.total / (1 + (invoice.vat_rate ?? 0.24)) : 0),
+      }];
+
+  const creditedByLine = {};
+  getCreditNotesFor(invoice, invoices).forEach(note => {
+    (note.items || []).forEach(item => {
+      if (item.source_line === undefined || item.source_line === null) return;
+      creditedByLine[item.source_line] = (creditedByLine[item.source_line] || 0) + (item.quantity || 0);
+    });
+  });
+
+  return items.map((item, index) => {
+    const quantity = item.quantity || 1;
+    const credited = creditedByLine[index] || 0;
+    return {
+      index,
+      description: item.description || item.name || 'Teenus',
+      unit: item.unit || 'tk',
+      unit_price: item.unit_price || item.price || 0,
+      vat_category: item.vat_category,
+      vat_rate: item.vat_rate,
+      quantity,
+      credited_quantity: credited,
+      remaining_quantity: Math.max(0, quantity - credited),
+    };
+  });
+};
+
+/**
+ * Credited totals (incl. VAT) keyed by order_id, for revenue and balance views
+ */
+export const getCreditsByOrder = (invoices = []) => {
+  const byOrder = {};
+  invoices.forEach(inv => {
+    if (!isCreditNote(inv) || inv.status === 'cancelled' || !inv.order_id) return;
+    byOrder[inv.order_id] = roundCents((byOrder[inv.order_id] || 0) + (inv.total || 0));
+  });
+  return byOrder;
+};
+
 /**
  * Open invoice in new window for printing/saving as PDF
  */
@@ -571,7 +731,7 @@ export const downloadInvoiceHTML = (invoiceData) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `Arve_${invoiceData.invoice_number}.html`;
+  a.download = `${invoiceData.is_credit ? 'Kreeditarve' : 'Arve'}_${invoiceData.invoice_number}.html`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
@@ -580,6 +740,7 @@ export const downloadInvoiceHTML = (invoiceData) => {
 
 export default {
   DEFAULT_COMPANY,
+  INVOICE_TYPES,
   formatEstonianNumber,
   formatEstonianDate,
   generateViitenumber,
@@ -588,4 +749,10 @@ export default {
   generateInvoiceHTML,
   printInvoice,
   downloadInvoiceHTML,
+  isCreditNote,
+  getCreditNotesFor,
+  getCreditedAmount,
+  getNetInvoiceTotal,
+  getCreditableLines,
+  getCreditsByOrder,
 };
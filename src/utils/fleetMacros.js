@@ -0,0 +1,197 @@
+/**
+ * Fleet macros
+ *
+ * Named, ordered steps run on every printer of a group - "end of day:
+ * cooldown, home, wait for the bed, lights off". A step is one of:
+ *   { type: 'action', action, params }     printerControl action
+ *   { type: 'gcode', gcode }               raw G-code, one command per line
+ *   { type: 'wait', seconds }              fixed pause
+ *   { type: 'wait_until', field, below | equals, timeout_s }
+ *                                           until the printer reports it
+ *
+ * Printer groups pick printers by tag, type and location: within one of
+ * those any value matches, across them all must (tags AND type AND
+ * location). An empty criterion doesn't narrow the group.
+ */
+
+export const MACRO_ACTIONS = {
+  cooldown: { label: 'Cool down', icon: '❄️', action: 'temp', params: { nozzle: 0, bed: 0 } },
+  preheat: { label: 'Set temperatures', icon: '🔥', action: 'temp', params: { nozzle: 200, bed: 60 }, editable: ['nozzle', 'bed'] },
+  home: { label: 'Home axes', icon: '🏠', action: 'home', params: {} },
+  light_on: { label: 'Lights on', icon: '💡', action: 'light', params: { on: true } },
+  light_off: { label: 'Lights off', icon: '🌑', action: 'light', params: { on: false } },
+  pause: { label: 'Pause print', icon: '⏸️', action: 'pause', params: {} },
+  resume: { label: 'Resume print', icon: '▶️', action: 'resume', params: {} },
+  stop: { label: 'Stop print', icon: '⏹️', action: 'stop', params: {} },
+};
+
+export const WAIT_FIELDS = {
+  nozzle: { label: 'Nozzle below', unit: '°C' },
+  bed: { label: 'Bed below', unit: '°C' },
+  state: { label: 'State is', unit: '' },
+};
+
+export const MAX_WAIT_S = 4 * 60 * 60;
+
+// Ready to copy when a shop has no macros yet
+export const EXAMPLE_MACROS = [
+  {
+    name: 'End of day',
+    description: 'Cool down, home, wait for the bed to cool and switch the lights off',
+    steps: [
+      { type: 'action', preset: 'cooldown' },
+      { type: 'action', preset: 'home' },
+      { type: 'wait_until', field: 'bed', below: 35, timeout_s: 1800 },
+      { type: 'action', preset: 'light_off' },
+    ],
+  },
+  {
+    name: 'Morning warm-up',
+    description: 'Lights on, home and preheat for PLA',
+    steps: [
+      { type: 'action', preset: 'light_on' },
+      { type: 'action', preset: 'home' },
+      { type: 'action', preset: 'preheat', params: { nozzle: 200, bed: 60 } },
+    ],
+  },
+  {
+    name: 'Park and disable motors',
+    description: 'Raise the nozzle, park and turn the steppers off',
+    steps: [
+      { type: 'gcode', gcode: 'G91\nG1 Z10 F600\nG90\nG28 X Y' },
+      { type: 'wait', seconds: 5 },
+      { type: 'gcode', gcode: 'M84' },
+    ],
+  },
+];
+
+/**
+ * The printerControl call for an action step: { action, params }
+ */
+export function resolveAction(step) {
+  const preset = MACRO_ACTIONS[step.preset];
+  if (!preset) return { action: step.action, params: step.params || {} };
+  return { action: preset.action, params: { ...preset.params, ...(step.params || {}) } };
+}
+
+/**
+ * G-code lines to send, comments and blank lines dropped
+ */
+export const gcodeLines = (gcode) => String(gcode || '')
+  .split('\n')
+  .map(line => line.replace(/;.*$/, '').trim())
+  .filter(Boolean);
+
+/**
+ * 90 -> "90s", 1800 -> "30 min"
+ */
+export const formatWait = (seconds) => (seconds < 120 ? `${seconds}s` : `${Math.round(seconds / 60)} min`);
+
+/**
+ * One line describing a step
+ */
+export function describeStep(step) {
+  switch (step.type) {
+    case 'action': {
+      const preset = MACRO_ACTIONS[step.preset];
+      if (!preset) return `⚙️ ${step.action}`;
+      const params = preset.editable?.map(key => `${key} ${resolveAction(step).params[key]}°C`).join(', ');
+      return `${preset.icon} ${preset.label}${params ? ` (${params})` : ''}`;
+    }
+    case 'gcode': {
+      const lines = gcodeLines(step.gcode);
+      return `📜 G-code: ${lines.slice(0, 3).join(' · ')}${lines.length > 3 ? ` … +${lines.length - 3}` : ''}`;
+    }
+    case 'wait':
+      return `⏱️ Wait ${formatWait(step.seconds)}`;
+    case 'wait_until':
+      return step.field === 'state'
+        ? `⏳ Until state is ${step.equals} (max ${formatWait(step.timeout_s)})`
+        : `⏳ Until ${step.field} below ${step.below}°C (max ${formatWait(step.timeout_s)})`;
+    default:
+      return step.type;
+  }
+}
+
+/**
+ * Problems with a macro, empty when it can run
+ * @returns {string[]}
+ */
+export function validateMacro(macro) {
+  const errors = [];
+  if (!String(macro.name || '').trim()) errors.push('Name is required');
+  if (!macro.steps?.length) errors.push('Add at least one step');
+  (macro.steps || []).forEach((step, i) => {
+    const at = `Step ${i + 1}`;
+    if (step.type === 'action' && !MACRO_ACTIONS[step.preset] && !step.action) errors.push(`${at}: pick an action`);
+    if (step.type === 'gcode' && gcodeLines(step.gcode).length === 0) errors.push(`${at}: G-code is empty`);
+    if (step.type === 'wait' && !(step.seconds > 0 && step.seconds <= MAX_WAIT_S)) {
+      errors.push(`${at}: wait between 1 s and ${MAX_WAIT_S / 3600} h`);
+    }
+    if (step.type === 'wait_until') {
+      if (!WAIT_FIELDS[step.field]) errors.push(`${at}: pick what to wait for`);
+      if (step.field === 'state' ? !step.equals : !(step.below > 0)) errors.push(`${at}: set the value to wait for`);
+      if (!(step.timeout_s > 0 && step.timeout_s <= MAX_WAIT_S)) errors.push(`${at}: time limit between 1 s and ${MAX_WAIT_S / 3600} h`);
+    }
+  });
+  return errors;
+}
+
+// ============================================
+// GROUPS
+// ============================================
+
+const listOf = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => String(v).trim())
+  .filter(Boolean);
+
+/**
+ * A printer's tags: its own (printer.tags) plus the ones given to it in
+ * this browser
+ */
+export const printerTagsOf = (printer, localTags = {}) => [...new Set([
+  ...listOf(printer.tags),
+  ...listOf(localTags[printer.name]),
+])];
+
+const typeOf = (printer) => printer.printer_type || printer.type || '';
+
+/**
+ * Printers in a group ({ tags, types, locations })
+ */
+export function groupMembers(group, printers, localTags = {}) {
+  const tags = listOf(group.tags).map(t => t.toLowerCase());
+  const types = listOf(group.types);
+  const locations = listOf(group.locations).map(l => l.toLowerCase());
+  return printers.filter(printer => {
+    const own = printerTagsOf(printer, localTags).map(t => t.toLowerCase());
+    if (tags.length > 0 && !tags.some(tag => own.includes(tag))) return false;
+    if (types.length > 0 && !types.includes(typeOf(printer))) return false;
+    if (locations.length > 0 && !locations.includes(String(printer.location || '').trim().toLowerCase())) return false;
+    return true;
+  });
+}
+
+/**
+ * Tags, types and locations seen across the fleet - for pickers
+ */
+export function groupOptions(printers, localTags = {}) {
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+  return {
+    tags: distinct(printers.flatMap(p => printerTagsOf(p, localTags))),
+    types: distinct(printers.map(typeOf)),
+    locations: distinct(printers.map(p => String(p.location || '').trim())),
+  };
+}
+
+/**
+ * One line describing what a group matches
+ */
+export function describeGroup(group) {
+  const parts = [
+    listOf(group.tags).length && `tag ${listOf(group.tags).join(' / ')}`,
+    listOf(group.types).length && `type ${listOf(group.types).join(' / ')}`,
+    listOf(group.locations).length && `in ${listOf(group.locations).join(' / ')}`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(' · ') : 'All printers';
+}
@@ -0,0 +1,68 @@
+/**
+ * Feature types from slicer comments
+ *
+ * Cura writes `;TYPE:WALL-OUTER`, PrusaSlicer/SuperSlicer `;TYPE:External perimeter`,
+ * OrcaSlicer `;TYPE:Outer wall` and Bambu Studio `; FEATURE: Outer wall`.
+ * Everything is mapped onto one set of ids so stats and colours line up
+ * regardless of the slicer.
+ */
+
+export const FEATURE_TYPES = {
+  outer_wall: { label: 'Outer wall', color: '#f97316' },
+  inner_wall: { label: 'Inner wall', color: '#facc15' },
+  overhang_wall: { label: 'Overhang wall', color: '#2563eb' },
+  infill: { label: 'Sparse infill', color: '#dc2626' },
+  solid_infill: { label: 'Solid infill', color: '#a855f7' },
+  top_surface: { label: 'Top surface', color: '#ef4444' },
+  bottom_surface: { label: 'Bottom surface', color: '#10b981' },
+  bridge: { label: 'Bridge', color: '#60a5fa' },
+  gap_fill: { label: 'Gap fill', color: '#f5f5f5' },
+  ironing: { label: 'Ironing', color: '#fb7185' },
+  skirt: { label: 'Skirt / brim', color: '#14b8a6' },
+  support: { label: 'Support', color: '#22c55e' },
+  support_interface: { label: 'Support interface', color: '#86efac' },
+  prime_tower: { label: 'Prime tower', color: '#94a3b8' },
+  custom: { label: 'Custom', color: '#64748b' },
+  unknown: { label: 'Unlabelled', color: '#3b82f6' },
+};
+
+// Order matters - more specific names first
+const FEATURE_PATTERNS = [
+  [/support.*interface|interface.*support|support-interface|support-roof|support-floor/, 'support_interface'],
+  [/support/, 'support'],
+  [/overhang/, 'overhang_wall'],
+  [/external perimeter|outer wall|wall-outer/, 'outer_wall'],
+  [/perimeter|inner wall|wall-inner|^wall/, 'inner_wall'],
+  [/top solid|top surface|^skin$|top-surface/, 'top_surface'],
+  [/bottom surface|bottom solid/, 'bottom_surface'],
+  [/bridge/, 'bridge'],
+  [/gap fill|gap infill/, 'gap_fill'],
+  [/ironing/, 'ironing'],
+  [/solid infill|internal solid|^skin/, 'solid_infill'],
+  [/infill|^fill$/, 'infill'],
+  [/skirt|brim/, 'skirt'],
+  [/wipe tower|prime tower|prime-tower/, 'prime_tower'],
+  [/custom/, 'custom'],
+];
+
+/**
+ * Feature id for a slicer's type label (text after TYPE:/FEATURE:)
+ */
+export const normalizeFeatureType = (label = '') => {
+  const value = String(label).trim().toLowerCase();
+  if (!value) return 'unknown';
+  const match = FEATURE_PATTERNS.find(([pattern]) => pattern.test(value));
+  return match ? match[1] : 'unknown';
+};
+
+/**
+ * Feature id from a comment line body (without the leading ';'), or null
+ * when the comment isn't a feature marker
+ */
+export const featureFromComment = (comment) => {
+  const match = comment.match(/^\s*(?:TYPE|FEATURE)\s*:\s*(.+)$/i);
+  return match ? normalizeFeatureType(match[1]) : null;
+};
+
+// Index ↔ id for compact per-segment storage
+export const FEATURE_IDS = Object.keys(FEATURE_TYPES);
@@ -0,0 +1,99 @@
+/**
+ * G-code analysis - streaming interpreter, motion planner, feature types and file loading
+ *
+ * interpretGcodeFile() reads a File/Blob or URL in chunks and yields to the
+ * UI between them, so 100 MB files can be analysed without freezing the page.
+ * The result is described in interpreter.js (end()); simulateGcodeFile() adds
+ * the kinematic timing from planner.js in the same pass.
+ */
+
+import { createGcodeInterpreter } from './interpreter';
+import { createMotionPlanner } from './planner';
+
+export { createGcodeInterpreter, interpretGcode, parseDurationText } from './interpreter';
+export {
+  createMotionPlanner,
+  resolveKinematics,
+  trapezoidTime,
+  compareWithSlicer,
+  DEFAULT_KINEMATICS,
+  KINEMATIC_PRESETS,
+} from './planner';
+export { FEATURE_TYPES, FEATURE_IDS, normalizeFeatureType, featureFromComment } from './features';
+
+export const GCODE_FILE_ACCEPT = '.gcode,.gco,.g,.GCODE';
+
+export const isGcodeFile = (filename = '') => /\.(gcode|gco|g)$/i.test(String(filename).split(/[?#]/)[0]);
+
+const CHUNK_BYTES = 4 * 1024 * 1024;
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Interpret a G-code file without blocking the UI
+ * @param {File|Blob|string} source - file or URL
+ * @param {object} options - interpreter options (see createGcodeInterpreter)
+ * @param {function} [options.onProgress] - (fraction 0..1)
+ * @returns {Promise<object>} interpreter result
+ */
+export const interpretGcodeFile = async (source, { onProgress, ...options } = {}) => {
+  const interpreter = createGcodeInterpreter(options);
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch G-code (${response.status})`);
+    }
+    const total = Number(response.headers.get('content-length')) || 0;
+
+    if (!response.body?.getReader) {
+      interpreter.push(await response.text());
+      onProgress?.(1);
+      return interpreter.end();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.byteLength;
+      interpreter.push(decoder.decode(value, { stream: true }));
+      if (total) onProgress?.(Math.min(1, received / total));
+    }
+    interpreter.push(decoder.decode());
+    onProgress?.(1);
+    return interpreter.end();
+  }
+
+  if (typeof Blob === 'undefined' || !(source instanceof Blob)) {
+    throw new Error('Unsupported G-code source');
+  }
+
+  // Decode in byte chunks; the streaming decoder keeps multi-byte chars intact
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < source.size; offset += CHUNK_BYTES) {
+    const bytes = await source.slice(offset, offset + CHUNK_BYTES).arrayBuffer();
+    interpreter.push(decoder.decode(bytes, { stream: offset + CHUNK_BYTES < source.size }));
+    onProgress?.(Math.min(1, (offset + CHUNK_BYTES) / source.size));
+    await nextTick();
+  }
+  return interpreter.end();
+};
+
+/**
+ * Interpret a G-code file and simulate it on the given machine limits
+ * @param {File|Blob|string} source - file or URL
+ * @param {object} options - interpretGcodeFile options plus kinematics (resolveKinematics())
+ * @returns {Promise<{ result: object, simulation: object }>}
+ */
+export const simulateGcodeFile = async (source, { kinematics, ...options } = {}) => {
+  const planner = createMotionPlanner(kinematics);
+  const result = await interpretGcodeFile(source, {
+    ...options,
+    onMove: planner.move,
+    onCommand: planner.command,
+  });
+  return { result, simulation: planner.finish() };
+};
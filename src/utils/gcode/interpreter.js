@@ -0,0 +1,582 @@
+/**
+ * Streaming G-code interpreter
+ *
+ * Feed text in chunks of any size with push(), call end() for the result.
+ * Handles
+ * - G90/G91 positioning, M82/M83 extrusion modes (G90/G91 also set E, as in Marlin)
+ * - G20/G21 units, G92 position resets, G28 homing
+ * - G2/G3 arcs (I/J and R forms, helical Z), split into short segments
+ * - G10/G11 firmware retraction (M207 sets the length)
+ * - feature type comments from Cura, PrusaSlicer, OrcaSlicer and Bambu Studio
+ * - layer markers (;LAYER:, ;LAYER_CHANGE) with a Z-based fallback
+ *
+ * Every motion is reported through options.onMove as a straight segment, so
+ * consumers such as the motion planner see exactly what the printer sees.
+ * Non-motion commands (M204, M205, G4, ...) and Klipper extended commands
+ * (SET_VELOCITY_LIMIT ACCEL=...) go to options.onCommand.
+ */
+
+import { FEATURE_IDS, featureFromComment } from './features';
+
+// Arc segment length (mm) - also the resolution of the preview
+const ARC_SEGMENT_MM = 1;
+const MAX_ARC_SEGMENTS = 360;
+// Minimum Z step that counts as a new layer when the file has no markers
+const LAYER_Z_EPSILON = 0.002;
+const DEFAULT_FILAMENT_DIAMETER = 1.75;
+const DEFAULT_DENSITY = 1.24;
+// SET_VELOCITY_LIMIT, SET_PRESSURE_ADVANCE, ...
+const EXTENDED_COMMAND = /^[A-Za-z]+_[A-Za-z0-9_]*(\s|$)/;
+
+const SLICER_SIGNATURES = [
+  [/SuperSlicer/i, 'SuperSlicer'],
+  [/PrusaSlicer|Prusa Slicer/i, 'PrusaSlicer'],
+  [/OrcaSlicer/i, 'OrcaSlicer'],
+  [/BambuStudio|Bambu Studio/i, 'Bambu Studio'],
+  [/Cura_SteamEngine|Ultimaker Cura|^FLAVOR:/i, 'Cura'],
+  [/Simplify3D/i, 'Simplify3D'],
+  [/ideaMaker/i, 'ideaMaker'],
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * "1d 2h 3m 4s" / "2h 5m" / "45s" → seconds
+ */
+export const parseDurationText = (text) => {
+  let seconds = 0;
+  let matched = false;
+  const re = /(\d+(?:\.\d+)?)\s*([dhms])/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    matched = true;
+    const value = parseFloat(m[1]);
+    const unit = m[2].toLowerCase();
+    seconds += unit === 'd' ? value * 86400 : unit === 'h' ? value * 3600 : unit === 'm' ? value * 60 : value;
+  }
+  return matched ? seconds : null;
+};
+
+/**
+ * Letter → number for the code part of a line ("G1 X10 Y-2.5 E.4").
+ * Letters without a number (G28 X) are present with value NaN.
+ */
+const parseWords = (code) => {
+  const words = {};
+  const length = code.length;
+  let i = 0;
+  while (i < length) {
+    const c = code.charCodeAt(i);
+    const upper = c >= 97 && c <= 122 ? c - 32 : c;
+    if (upper < 65 || upper > 90) {
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    while (j < length && code.charCodeAt(j) === 32) j++;
+    const start = j;
+    while (j < length) {
+      const d = code.charCodeAt(j);
+      if ((d >= 48 && d <= 57) || d === 46 || d === 45 || d === 43) j++;
+      else break;
+    }
+    words[String.fromCharCode(upper)] = start === j ? NaN : parseFloat(code.slice(start, j));
+    i = j;
+  }
+  return words;
+};
+
+/**
+ * Growable Float32Array for toolpath segments
+ */
+const createSegmentBuffer = () => {
+  let data = new Float32Array(6 * 256);
+  let features = new Uint8Array(256);
+  let count = 0;
+  return {
+    push(x0, y0, z0, x1, y1, z1, feature) {
+      if (count === features.length) {
+        const grownData = new Float32Array(data.length * 2);
+        grownData.set(data);
+        data = grownData;
+        const grownFeatures = new Uint8Array(features.length * 2);
+        grownFeatures.set(features);
+        features = grownFeatures;
+      }
+      data.set([x0, y0, z0, x1, y1, z1], count * 6);
+      features[count] = feature;
+      count++;
+    },
+    finish: () => ({ positions: data.slice(0, count * 6), features: features.slice(0, count), count }),
+  };
+};
+
+const emptyFeatureStats = () => ({ extrusion_mm: 0, distance_mm: 0, time_s: 0 });
+
+// ============================================
+// INTERPRETER
+// ============================================
+
+/**
+ * Create a streaming interpreter
+ * @param {object} options
+ * @param {boolean} [options.collectToolpath] - keep per-layer extrusion segments for previews
+ * @param {boolean} [options.collectTravel] - also keep travel segments (with collectToolpath)
+ * @param {number} [options.filamentDiameter] - mm, for grams
+ * @param {number} [options.density] - g/cm³, for grams
+ * @param {function} [options.onMove] - ({ kind, from, to, distance, de, feedrate, feature, layer }) per segment
+ * @param {function} [options.onCommand] - (code, words, layer) for non-motion commands
+ * @returns {{ push: (text: string) => void, end: () => object }}
+ */
+export const createGcodeInterpreter = ({
+  collectToolpath = false,
+  collectTravel = false,
+  filamentDiameter = DEFAULT_FILAMENT_DIAMETER,
+  density = DEFAULT_DENSITY,
+  onMove = null,
+  onCommand = null,
+} = {}) => {
+  const pos = { x: 0, y: 0, z: 0, e: 0 };
+  const modes = { absoluteXYZ: true, absoluteE: true, units: 1 };
+  let feedrate = 1500 / 60; // mm/s until the file sets one
+  let feature = 'unknown';
+  let retractLength = 0.8;
+  let firmwareRetracted = false;
+
+  let carry = '';
+  let lineCount = 0;
+  let slicer = 'Unknown';
+  const header = { estimated_time_s: null, filament_used_mm: null, filament_used_g: null };
+
+  const layers = [];
+  let layer = null;
+  let markersSeen = false;
+
+  const totals = {
+    filament_mm: 0,
+    extruded_mm: 0,
+    print_distance_mm: 0,
+    travel_distance_mm: 0,
+    extrude_moves: 0,
+    travel_moves: 0,
+    retractions: 0,
+    firmware_retractions: 0,
+    arcs: 0,
+    time_s: 0,
+  };
+  const featureTotals = {};
+  const bounds = {
+    min: { x: Infinity, y: Infinity, z: Infinity },
+    max: { x: -Infinity, y: -Infinity, z: -Infinity },
+  };
+
+  const startLayer = (z) => {
+    const previous = layers[layers.length - 1];
+    if (previous?.toolpath) previous.toolpath = previous.toolpath.finish();
+    layer = {
+      index: layers.length,
+      z,
+      height: null,
+      extrusion_mm: 0,
+      print_distance_mm: 0,
+      travel_distance_mm: 0,
+      extrude_moves: 0,
+      travel_moves: 0,
+      retractions: 0,
+      time_s: 0,
+      has_extrusion: false,
+      features: {},
+      toolpath: collectToolpath ? createSegmentBuffer() : null,
+      travel: collectToolpath && collectTravel ? createSegmentBuffer() : null,
+    };
+    layers.push(layer);
+  };
+
+  const ensureLayer = () => {
+    if (!layer) startLayer(null);
+  };
+
+  // Without layer markers, extrusion at a new height opens a layer
+  const layerForExtrusion = (z) => {
+    ensureLayer();
+    if (!markersSeen && layer.has_extrusion && z > layer.z + LAYER_Z_EPSILON) {
+      startLayer(z);
+    }
+    if (!layer.has_extrusion) {
+      layer.has_extrusion = true;
+      layer.z = z;
+      const previous = layers[layer.index - 1];
+      layer.height = previous?.z != null ? z - previous.z : z;
+    }
+  };
+
+  const recordSegment = (x0, y0, z0, x1, y1, z1, de) => {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const dz = z1 - z0;
+    const xy = Math.sqrt(dx * dx + dy * dy);
+    const distance = Math.sqrt(xy * xy + dz * dz);
+    const time = distance > 0 && feedrate > 0 ? distance / feedrate : 0;
+    totals.filament_mm += de;
+
+    let kind;
+    if (xy > 1e-6 && de > 0) {
+      kind = 'extrude';
+      layerForExtrusion(z1);
+      layer.extrusion_mm += de;
+      layer.print_distance_mm += distance;
+      layer.extrude_moves++;
+      layer.time_s += time;
+      const stats = layer.features[feature] || (layer.features[feature] = emptyFeatureStats());
+      stats.extrusion_mm += de;
+      stats.distance_mm += distance;
+      stats.time_s += time;
+      const total = featureTotals[feature] || (featureTotals[feature] = emptyFeatureStats());
+      total.extrusion_mm += de;
+      total.distance_mm += distance;
+      total.time_s += time;
+      totals.extruded_mm += de;
+      totals.print_distance_mm += distance;
+      totals.extrude_moves++;
+
+      if (x1 < bounds.min.x) bounds.min.x = x1;
+      if (y1 < bounds.min.y) bounds.min.y = y1;
+      if (z1 < bounds.min.z) bounds.min.z = z1;
+      if (x1 > bounds.max.x) bounds.max.x = x1;
+      if (y1 > bounds.max.y) bounds.max.y = y1;
+      if (z1 > bounds.max.z) bounds.max.z = z1;
+      if (x0 < bounds.min.x) bounds.min.x = x0;
+      if (y0 < bounds.min.y) bounds.min.y = y0;
+      if (x0 > bounds.max.x) bounds.max.x = x0;
+      if (y0 > bounds.max.y) bounds.max.y = y0;
+
+      layer.toolpath?.push(x0, y0, z0, x1, y1, z1, FEATURE_IDS.indexOf(feature));
+    } else if (distance > 1e-6) {
+      kind = 'travel';
+      ensureLayer();
+      layer.travel_distance_mm += distance;
+      layer.travel_moves++;
+      layer.time_s += time;
+      totals.travel_distance_mm += distance;
+      totals.travel_moves++;
+      layer.travel?.push(x0, y0, z0, x1, y1, z1, 0);
+    } else if (de < 0) {
+      kind = 'retract';
+      ensureLayer();
+      layer.retractions++;
+      totals.retractions++;
+    } else if (de > 0) {
+      kind = 'unretract';
+    } else {
+      return;
+    }
+
+    totals.time_s += kind === 'extrude' || kind === 'travel' ? time : (feedrate > 0 ? Math.abs(de) / feedrate : 0);
+    if (onMove) {
+      onMove({
+        kind,
+        from: { x: x0, y: y0, z: z0 },
+        to: { x: x1, y: y1, z: z1 },
+        distance,
+        de,
+        feedrate,
+        feature,
+        layer: layer ? layer.index : 0,
+      });
+    }
+  };
+
+  // E delta for a move in the current extrusion mode
+  const extrusionDelta = (words) => {
+    if (!('E' in words) || Number.isNaN(words.E)) return 0;
+    const value = words.E * modes.units;
+    if (modes.absoluteE) {
+      const delta = value - pos.e;
+      pos.e = value;
+      return delta;
+    }
+    return value;
+  };
+
+  const target = (words, axis) => {
+    if (!(axis in words) || Number.isNaN(words[axis])) return pos[axis.toLowerCase()];
+    const value = words[axis] * modes.units;
+    return modes.absoluteXYZ ? value : pos[axis.toLowerCase()] + value;
+  };
+
+  const linearMove = (words) => {
+    const x = target(words, 'X');
+    const y = target(words, 'Y');
+    const z = target(words, 'Z');
+    const de = extrusionDelta(words);
+    recordSegment(pos.x, pos.y, pos.z, x, y, z, de);
+    pos.x = x;
+    pos.y = y;
+    pos.z = z;
+  };
+
+  const arcMove = (words, clockwise) => {
+    const x = target(words, 'X');
+    const y = target(words, 'Y');
+    const z = target(words, 'Z');
+    const de = extrusionDelta(words);
+    let cx;
+    let cy;
+
+    if ('R' in words && !Number.isNaN(words.R)) {
+      const r = words.R * modes.units;
+      const dx = x - pos.x;
+      const dy = y - pos.y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d === 0) return;
+      const h = Math.sqrt(Math.max(0, r * r - (d * d) / 4));
+      // Centre sits right of the chord for G2 (left for G3); negative R takes the long way
+      const side = (clockwise ? 1 : -1) * (r < 0 ? -1 : 1);
+      cx = pos.x + dx / 2 + (side * h * dy) / d;
+      cy = pos.y + dy / 2 - (side * h * dx) / d;
+    } else {
+      cx = pos.x + (words.I || 0) * modes.units;
+      cy = pos.y + (words.J || 0) * modes.units;
+    }
+
+    const radius = Math.hypot(pos.x - cx, pos.y - cy);
+    const start = Math.atan2(pos.y - cy, pos.x - cx);
+    const end = Math.atan2(y - cy, x - cx);
+    let sweep = clockwise ? start - end : end - start;
+    while (sweep <= 1e-9) sweep += 2 * Math.PI;
+    if (sweep > 2 * Math.PI) sweep -= 2 * Math.PI;
+
+    const segments = Math.min(MAX_ARC_SEGMENTS, Math.max(1, Math.ceil((sweep * radius) / ARC_SEGMENT_MM)));
+    const direction = clockwise ? -1 : 1;
+    const z0 = pos.z;
+    totals.arcs++;
+
+    for (let s = 1; s <= segments; s++) {
+      const t = s / segments;
+      const angle = start + direction * sweep * t;
+      const nx = s === segments ? x : cx + radius * Math.cos(angle);
+      const ny = s === segments ? y : cy + radius * Math.sin(angle);
+      const nz = z0 + (z - z0) * t;
+      recordSegment(pos.x, pos.y, pos.z, nx, ny, nz, de / segments);
+      pos.x = nx;
+      pos.y = ny;
+      pos.z = nz;
+    }
+  };
+
+  const handleComment = (comment) => {
+    const featureId = featureFromComment(comment);
+    if (featureId) {
+      feature = featureId;
+      return;
+    }
+
+    // Markers open the layer right away so the layer-change travel belongs to it
+    if (/^\s*(LAYER:-?\d+|LAYER_CHANGE|CHANGE_LAYER)/i.test(comment)) {
+      markersSeen = true;
+      if (layer?.has_extrusion) startLayer(null);
+      return;
+    }
+
+    if (slicer === 'Unknown') {
+      const signature = SLICER_SIGNATURES.find(([pattern]) => pattern.test(comment));
+      if (signature) slicer = signature[1];
+    }
+
+    let m = comment.match(/^\s*TIME:(\d+(?:\.\d+)?)\s*$/);
+    if (m) {
+      header.estimated_time_s = parseFloat(m[1]);
+      return;
+    }
+    m = comment.match(/estimated printing time(?: \(normal mode\))?\s*[=:]\s*(.+)$/i)
+      || comment.match(/total estimated time\s*[=:]\s*([^;]+)/i);
+    if (m && header.estimated_time_s === null) {
+      header.estimated_time_s = parseDurationText(m[1]);
+      return;
+    }
+    m = comment.match(/^\s*Filament used:\s*([\d.]+)\s*m\b/i);
+    if (m) {
+      header.filament_used_mm = parseFloat(m[1]) * 1000;
+      return;
+    }
+    m = comment.match(/(?:total )?filament used \[(mm|g)\]\s*=\s*([\d.]+)/i);
+    if (m) {
+      if (m[1].toLowerCase() === 'mm') header.filament_used_mm = parseFloat(m[2]);
+      else header.filament_used_g = parseFloat(m[2]);
+    }
+  };
+
+  // Klipper-style commands (SET_VELOCITY_LIMIT ACCEL=5000) - KEY=VALUE params
+  const handleExtendedCommand = (line) => {
+    const [name, ...params] = line.split(/\s+/);
+    const words = {};
+    params.forEach(param => {
+      const eq = param.indexOf('=');
+      if (eq > 0) words[param.slice(0, eq).toUpperCase()] = parseFloat(param.slice(eq + 1));
+    });
+    onCommand(name.toUpperCase(), words, layer ? layer.index : 0);
+  };
+
+  const handleLine = (rawLine) => {
+    lineCount++;
+    let line = rawLine;
+    const semicolon = line.indexOf(';');
+    if (semicolon >= 0) {
+      handleComment(line.slice(semicolon + 1));
+      line = line.slice(0, semicolon);
+    }
+    const paren = line.indexOf('(');
+    if (paren >= 0) line = line.slice(0, paren);
+    line = line.trim();
+    if (!line) return;
+
+    // Strip line numbers and checksums (N123 ... *71)
+    if (line[0] === 'N' || line[0] === 'n') line = line.replace(/^[Nn]\d+\s*/, '');
+    const star = line.indexOf('*');
+    if (star >= 0) line = line.slice(0, star).trim();
+    // A bare line number (N10, N5 *12) carries no command
+    if (!line) return;
+
+    const letter = line[0].toUpperCase();
+    if (letter !== 'G' && letter !== 'M') {
+      if (letter === 'T') onCommand?.(line.split(/\s/)[0].toUpperCase(), {}, layer ? layer.index : 0);
+      else if (onCommand && EXTENDED_COMMAND.test(line)) handleExtendedCommand(line);
+      return;
+    }
+
+    const words = parseWords(line);
+    const number = words[letter];
+    const code = `${letter}${number}`;
+
+    if ('F' in words && !Number.isNaN(words.F) && words.F > 0) {
+      feedrate = (words.F * modes.units) / 60;
+    }
+
+    if (letter === 'G') {
+      switch (number) {
+        case 0:
+        case 1:
+          linearMove(words);
+          return;
+        case 2:
+        case 3:
+          arcMove(words, number === 2);
+          return;
+        case 10:
+          if (!('P' in words) && !('L' in words)) {
+            firmwareRetracted = true;
+            totals.firmware_retractions++;
+            recordSegment(pos.x, pos.y, pos.z, pos.x, pos.y, pos.z, -retractLength);
+            return;
+          }
+          break;
+        case 11:
+          if (firmwareRetracted) {
+            firmwareRetracted = false;
+            recordSegment(pos.x, pos.y, pos.z, pos.x, pos.y, pos.z, retractLength);
+          }
+          return;
+        case 20:
+          modes.units = 25.4;
+          return;
+        case 21:
+          modes.units = 1;
+          return;
+        case 28: {
+          const axes = ['X', 'Y', 'Z'].filter(a => a in words);
+          (axes.length ? axes : ['X', 'Y', 'Z']).forEach(a => { pos[a.toLowerCase()] = 0; });
+          break;
+        }
+        case 90:
+          modes.absoluteXYZ = true;
+          modes.absoluteE = true;
+          return;
+        case 91:
+          modes.absoluteXYZ = false;
+          modes.absoluteE = false;
+          return;
+        case 92:
+          ['X', 'Y', 'Z', 'E'].forEach(a => {
+            if (a in words) pos[a.toLowerCase()] = Number.isNaN(words[a]) ? 0 : words[a] * modes.units;
+          });
+          return;
+        default:
+          break;
+      }
+    } else if (number === 82) {
+      modes.absoluteE = true;
+      return;
+    } else if (number === 83) {
+      modes.absoluteE = false;
+      return;
+    } else if (number === 207 && 'S' in words && !Number.isNaN(words.S)) {
+      retractLength = words.S;
+    }
+
+    onCommand?.(code, words, layer ? layer.index : 0);
+  };
+
+  return {
+    push(text) {
+      const chunk = carry + text;
+      let start = 0;
+      let newline = chunk.indexOf('\n', start);
+      while (newline !== -1) {
+        handleLine(chunk.charCodeAt(newline - 1) === 13 ? chunk.slice(start, newline - 1) : chunk.slice(start, newline));
+        start = newline + 1;
+        newline = chunk.indexOf('\n', start);
+      }
+      carry = chunk.slice(start);
+    },
+
+    end() {
+      if (carry) handleLine(carry);
+      carry = '';
+
+      const last = layers[layers.length - 1];
+      if (last?.toolpath && typeof last.toolpath.finish === 'function') last.toolpath = last.toolpath.finish();
+      layers.forEach(l => {
+        if (l.travel && typeof l.travel.finish === 'function') l.travel = l.travel.finish();
+      });
+
+      // Moves after the last extrusion (park, cool-down) stay on the last layer;
+      // a leading layer without extrusion is the start G-code
+      const printed = layers.filter(l => l.has_extrusion);
+      printed.forEach((l, i) => { l.index = i; });
+
+      const filamentArea = Math.PI * (filamentDiameter / 2) ** 2;
+      const hasBounds = Number.isFinite(bounds.min.x);
+
+      return {
+        slicer,
+        header,
+        line_count: lineCount,
+        layer_count: printed.length,
+        layers: printed.map(({ has_extrusion: _h, ...l }) => l),
+        totals: {
+          ...totals,
+          filament_m: totals.extruded_mm / 1000,
+          filament_g: (totals.extruded_mm * filamentArea * density) / 1000,
+        },
+        features: featureTotals,
+        bounds: hasBounds ? bounds : null,
+        modes: {
+          absolute_xyz: modes.absoluteXYZ,
+          absolute_e: modes.absoluteE,
+          units: modes.units === 1 ? 'mm' : 'inch',
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Interpret a whole G-code string
+ */
+export const interpretGcode = (text, options) => {
+  const interpreter = createGcodeInterpreter(options);
+  interpreter.push(text);
+  return interpreter.end();
+};
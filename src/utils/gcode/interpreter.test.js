@@ -0,0 +1,151 @@
+import { createGcodeInterpreter, interpretGcode, parseDurationText } from './interpreter';
+
+const gcode = (...lines) => `${lines.join('\n')}\n`;
+
+describe('parseDurationText', () => {
+  it('reads slicer durations', () => {
+    expect(parseDurationText('1d 2h 3m 4s')).toBe(93784);
+    expect(parseDurationText('45s')).toBe(45);
+    expect(parseDurationText('soon')).toBeNull();
+  });
+});
+
+describe('interpretGcode', () => {
+  it('sums extrusion and distance for absolute moves', () => {
+    const result = interpretGcode(gcode(
+      'G90', 'M82', 'G92 E0',
+      'G1 Z0.2 F600',
+      'G1 X10 E1 F1200',
+      'G1 Y10 E2',
+      'G0 X0 Y0',
+    ));
+
+    expect(result.layer_count).toBe(1);
+    expect(result.totals.extruded_mm).toBeCloseTo(2);
+    expect(result.totals.print_distance_mm).toBeCloseTo(20);
+    expect(result.totals.travel_distance_mm).toBeCloseTo(0.2 + Math.hypot(10, 10));
+    expect(result.bounds.max).toEqual({ x: 10, y: 10, z: 0.2 });
+  });
+
+  it('follows relative extrusion and G92 resets', () => {
+    const result = interpretGcode(gcode(
+      'M83',
+      'G1 X10 E0.5', 'G1 X20 E0.5',
+      'M82', 'G92 E0',
+      'G1 X30 E1',
+    ));
+
+    expect(result.totals.extruded_mm).toBeCloseTo(2);
+  });
+
+  it('converts inches with G20', () => {
+    const result = interpretGcode(gcode('G20', 'G1 X1 E0.1'));
+
+    expect(result.totals.print_distance_mm).toBeCloseTo(25.4);
+    expect(result.modes.units).toBe('inch');
+  });
+
+  it('splits arcs into segments along the circle', () => {
+    // Half circle of radius 10 around (10, 0)
+    const result = interpretGcode(gcode('G1 X0 Y0', 'G2 X20 Y0 I10 J0 E3'));
+
+    expect(result.totals.arcs).toBe(1);
+    expect(result.totals.print_distance_mm).toBeCloseTo(Math.PI * 10, 0);
+    expect(result.totals.extruded_mm).toBeCloseTo(3);
+    expect(result.bounds.max.y).toBeCloseTo(10, 1);
+  });
+
+  it('opens layers at markers and falls back to Z changes without them', () => {
+    const marked = interpretGcode(gcode(
+      ';LAYER:0', 'G1 Z0.2', 'G1 X10 E1',
+      ';LAYER:1', 'G1 Z0.4', 'G1 X0 E2',
+    ));
+    const unmarked = interpretGcode(gcode(
+      'G1 Z0.2', 'G1 X10 E1',
+      'G1 Z0.4', 'G1 X0 E2',
+      'G1 Z0.6', 'G1 X10 E3',
+    ));
+
+    expect(marked.layers.map(l => l.z)).toEqual([0.2, 0.4]);
+    expect(unmarked.layer_count).toBe(3);
+    expect(unmarked.layers[2].height).toBeCloseTo(0.2);
+  });
+
+  it('attributes extrusion to the feature comments', () => {
+    const result = interpretGcode(gcode(
+      ';TYPE:WALL-OUTER', 'G1 X10 E1',
+      '; FEATURE: Sparse infill', 'G1 X20 E3',
+    ));
+
+    expect(result.features.outer_wall.extrusion_mm).toBeCloseTo(1);
+    expect(result.features.infill.extrusion_mm).toBeCloseTo(2);
+  });
+
+  it('counts firmware retractions with the M207 length', () => {
+    const result = interpretGcode(gcode('M207 S2', 'G10', 'G11', 'G10'));
+
+    expect(result.totals.firmware_retractions).toBe(2);
+    expect(result.totals.retractions).toBe(2);
+    expect(result.totals.filament_mm).toBeCloseTo(-2);
+  });
+
+  it('skips line numbers and checksums, including bare ones', () => {
+    const result = interpretGcode(gcode('N10', 'N5 *12', 'N11 G1 X10 E1*93', 'n12 G1 X20 E2 *40'));
+
+    expect(result.line_count).toBe(4);
+    expect(result.totals.extruded_mm).toBeCloseTo(2);
+  });
+
+  it('reads slicer headers', () => {
+    const cura = interpretGcode(gcode(';FLAVOR:Marlin', ';TIME:3600', ';Filament used: 1.5m'));
+    const prusa = interpretGcode(gcode(
+      '; generated by PrusaSlicer 2.7.1',
+      '; estimated printing time (normal mode) = 1h 2m 3s',
+      '; filament used [g] = 12.5',
+    ));
+
+    expect(cura.slicer).toBe('Cura');
+    expect(cura.header).toEqual({ estimated_time_s: 3600, filament_used_mm: 1500, filament_used_g: null });
+    expect(prusa.slicer).toBe('PrusaSlicer');
+    expect(prusa.header.estimated_time_s).toBe(3723);
+    expect(prusa.header.filament_used_g).toBe(12.5);
+  });
+
+  it('passes non-motion and Klipper commands to onCommand', () => {
+    const commands = [];
+    interpretGcode(gcode('M204 S3000', 'SET_VELOCITY_LIMIT ACCEL=5000 SQUARE_CORNER_VELOCITY=8', 'T1'), {
+      onCommand: (code, words) => commands.push([code, words]),
+    });
+
+    expect(commands).toEqual([
+      ['M204', { M: 204, S: 3000 }],
+      ['SET_VELOCITY_LIMIT', { ACCEL: 5000, SQUARE_CORNER_VELOCITY: 8 }],
+      ['T1', {}],
+    ]);
+  });
+});
+
+describe('createGcodeInterpreter', () => {
+  it('gives the same result however the text is chunked', () => {
+    const text = gcode(';LAYER:0', 'G1 Z0.2 F600', 'G1 X10 E1', 'G2 X20 Y0 I5 J0 E1', ';LAYER:1', 'G1 Z0.4', 'G1 X0 E2');
+    const whole = interpretGcode(text);
+
+    const interpreter = createGcodeInterpreter();
+    for (let i = 0; i < text.length; i += 7) interpreter.push(text.slice(i, i + 7));
+    const chunked = interpreter.end();
+
+    expect(chunked.totals).toEqual(whole.totals);
+    expect(chunked.layer_count).toBe(whole.layer_count);
+  });
+
+  it('collects toolpath segments per layer for previews', () => {
+    const interpreter = createGcodeInterpreter({ collectToolpath: true, collectTravel: true });
+    interpreter.push(gcode('G1 Z0.2', 'G1 X10 E1', 'G0 X0 Y5'));
+    const [layer] = interpreter.end().layers;
+
+    expect(layer.toolpath.count).toBe(1);
+    expect(Array.from(layer.toolpath.positions)).toEqual([0, 0, 0.2, 10, 0, 0.2].map(v => Math.fround(v)));
+    // The Z lift before the first extrusion and the move after it
+    expect(layer.travel.count).toBe(2);
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * Kinematic print-time simulation
+ *
+ * A trapezoidal motion planner fed from the interpreter's onMove/onCommand
+ * hooks. Each move accelerates, cruises and decelerates within the machine
+ * limits; junction speeds between moves come from the square-corner velocity
+ * (Klipper), junction deviation (Marlin M205 J) or classic jerk (Marlin M205 X/Y),
+ * and a lookahead window lets speed carry through shallow corners.
+ * M201/M203/M204/M205, M566 and Klipper's SET_VELOCITY_LIMIT in the file
+ * override the machine limits as the print goes, the same way the firmware applies them.
+ *
+ * Heat-up waits (M109/M190) and homing have no fixed duration and are only
+ * counted, not timed.
+ */
+
+// Moves planned together; the first half is committed each time the window fills
+const LOOKAHEAD_MOVES = 128;
+const EPSILON = 1e-9;
+
+/**
+ * Fallback limits for unknown machines (a typical bed slinger on Marlin)
+ */
+export const DEFAULT_KINEMATICS = {
+  max_accel: 1500,
+  max_velocity: 300,
+  square_corner_velocity: null,
+  junction_deviation: null,
+  jerk: 10,
+  max_z_velocity: 10,
+  max_z_accel: 200,
+  max_extrude_velocity: 60,
+};
+
+/**
+ * Firmware limits per printer type (keys as in printerBeds), used when
+ * the printer profile doesn't carry its own
+ */
+export const KINEMATIC_PRESETS = {
+  bambu_x1c: { max_accel: 20000, max_velocity: 500, jerk: 9, max_z_velocity: 20, max_z_accel: 500, max_extrude_velocity: 30 },
+  bambu_p1s: { max_accel: 20000, max_velocity: 500, jerk: 9, max_z_velocity: 20, max_z_accel: 500, max_extrude_velocity: 30 },
+  bambu_a1: { max_accel: 10000, max_velocity: 500, jerk: 9, max_z_velocity: 30, max_z_accel: 1500, max_extrude_velocity: 30 },
+  creality_k1: { max_accel: 20000, max_velocity: 800, square_corner_velocity: 5, jerk: null, max_z_velocity: 20, max_z_accel: 300, max_extrude_velocity: 60 },
+  creality_k1_max: { max_accel: 20000, max_velocity: 800, square_corner_velocity: 5, jerk: null, max_z_velocity: 20, max_z_accel: 300, max_extrude_velocity: 60 },
+  ender3: { max_accel: 500, max_velocity: 500, jerk: 10, max_z_velocity: 5, max_z_accel: 100, max_extrude_velocity: 25 },
+};
+
+// Profile field names seen from Klipper configs, OrcaSlicer machine presets and our backend
+const PROFILE_ALIASES = {
+  max_accel: ['max_accel', 'max_acceleration', 'acceleration', 'machine_max_acceleration_x', 'machine_max_acceleration_extruding'],
+  max_velocity: ['max_velocity', 'max_speed', 'machine_max_speed_x'],
+  square_corner_velocity: ['square_corner_velocity', 'scv'],
+  junction_deviation: ['junction_deviation', 'machine_max_junction_deviation'],
+  jerk: ['jerk', 'max_jerk', 'machine_max_jerk_x'],
+  max_z_velocity: ['max_z_velocity', 'max_speed_z', 'machine_max_speed_z'],
+  max_z_accel: ['max_z_accel', 'max_acceleration_z', 'machine_max_acceleration_z'],
+  max_extrude_velocity: ['max_extrude_velocity', 'max_extrude_only_velocity', 'machine_max_speed_e'],
+};
+
+const firstNumber = (source, keys) => {
+  for (const key of keys) {
+    // Orca presets store limits as ["20000", "20000"] (normal, stealth)
+    const raw = Array.isArray(source[key]) ? source[key][0] : source[key];
+    const value = Number(raw);
+    if (raw !== undefined && raw !== null && raw !== '' && Number.isFinite(value) && value > 0) return value;
+  }
+  return null;
+};
+
+/**
+ * Machine limits for a printer
+ * @param {object} [profile] - entry from api.getPrinterProfiles() (flat, or under kinematics/motion)
+ * @param {string} [printerType] - printer type key for the preset fallback
+ * @returns {object} kinematics with a `source` of 'profile', 'preset' or 'default'
+ */
+export const resolveKinematics = (profile, printerType) => {
+  const preset = KINEMATIC_PRESETS[printerType];
+  const kinematics = { ...DEFAULT_KINEMATICS, ...(preset || {}), source: preset ? 'preset' : 'default' };
+  if (!profile || typeof profile !== 'object') return kinematics;
+
+  const source = { ...profile, ...(profile.kinematics || {}), ...(profile.motion || {}) };
+  const found = {};
+  Object.entries(PROFILE_ALIASES).forEach(([field, keys]) => {
+    const value = firstNumber(source, keys);
+    if (value !== null) found[field] = value;
+  });
+  if (Object.keys(found).length === 0) return kinematics;
+
+  // A profile picks its own cornering model
+  if (found.square_corner_velocity) {
+    kinematics.jerk = null;
+    kinematics.junction_deviation = null;
+  } else if (found.junction_deviation || found.jerk) {
+    kinematics.square_corner_velocity = null;
+    if (found.junction_deviation) kinematics.jerk = null;
+  }
+  return { ...kinematics, ...found, source: 'profile' };
+};
+
+// ============================================
+// TRAPEZOID MATH
+// ============================================
+
+/**
+ * Time for one move: entry/exit/cruise speeds squared, acceleration, distance
+ */
+export const trapezoidTime = (entryV2, exitV2, cruiseV2, accel, distance) => {
+  const v0 = Math.sqrt(entryV2);
+  const v1 = Math.sqrt(exitV2);
+  const accelDistance = (cruiseV2 - entryV2) / (2 * accel);
+  const decelDistance = (cruiseV2 - exitV2) / (2 * accel);
+
+  if (accelDistance + decelDistance >= distance) {
+    // Triangle - never reaches cruise speed
+    const peak = Math.sqrt(Math.max(entryV2, exitV2, (entryV2 + exitV2) / 2 + accel * distance));
+    return (peak - v0) / accel + (peak - v1) / accel;
+  }
+  const cruise = Math.sqrt(cruiseV2);
+  return (cruise - v0) / accel + (cruise - v1) / accel + (distance - accelDistance - decelDistance) / cruise;
+};
+
+const emptyLayerTimes = (index) => ({
+  index,
+  time_s: 0,
+  travel_s: 0,
+  retract_s: 0,
+  dwell_s: 0,
+  features: {},
+  slicer_remaining_s: null,
+});
+
+// ============================================
+// PLANNER
+// ============================================
+
+/**
+ * Create a planner; pass its move/command to createGcodeInterpreter as
+ * onMove/onCommand and call finish() after the interpreter's end()
+ * @param {object} kinematics - from resolveKinematics()
+ * @returns {{ move: function, command: function, finish: () => object }}
+ */
+export const createMotionPlanner = (kinematics = DEFAULT_KINEMATICS) => {
+  // Klipper applies M204 as-is; Marlin caps it at the M201 limit
+  const capAccel = !kinematics.square_corner_velocity;
+  const limits = {
+    accelLimit: kinematics.max_accel,
+    velocity: kinematics.max_velocity,
+    zVelocity: kinematics.max_z_velocity,
+    zAccel: kinematics.max_z_accel,
+    extrudeVelocity: kinematics.max_extrude_velocity,
+  };
+  const state = {
+    printAccel: kinematics.max_accel,
+    travelAccel: kinematics.max_accel,
+    squareCornerVelocity: kinematics.square_corner_velocity,
+    junctionDeviation: kinematics.junction_deviation,
+    jerk: kinematics.jerk,
+  };
+
+  const layers = [];
+  const features = {};
+  const totals = {
+    time_s: 0,
+    print_s: 0,
+    travel_s: 0,
+    retract_s: 0,
+    dwell_s: 0,
+    moves: 0,
+    heating_waits: 0,
+    accel_changes: 0,
+  };
+
+  let buffer = [];
+  let committedExitV2 = 0;
+  let previous = null; // last queued move, for junctions
+
+  const layerAt = (index) => {
+    while (layers.length <= index) layers.push(emptyLayerTimes(layers.length));
+    return layers[index];
+  };
+
+  const addTime = (layerIndex, seconds, bucket, feature) => {
+    const layer = layerAt(layerIndex);
+    layer.time_s += seconds;
+    totals.time_s += seconds;
+    if (bucket === 'print') {
+      layer.features[feature] = (layer.features[feature] || 0) + seconds;
+      features[feature] = (features[feature] || 0) + seconds;
+      totals.print_s += seconds;
+    } else {
+      layer[`${bucket}_s`] += seconds;
+      totals[`${bucket}_s`] += seconds;
+    }
+  };
+
+  const accelFor = (kind) => {
+    const accel = kind === 'extrude' ? state.printAccel : state.travelAccel;
+    return capAccel ? Math.min(accel, limits.accelLimit) : accel;
+  };
+
+  // Max junction speed² between two unit vectors (prev null = from standstill)
+  const junctionV2 = (prev, move) => {
+    if (state.squareCornerVelocity || state.junctionDeviation) {
+      if (!prev) return 0;
+      const cosTheta = -(prev.ux * move.ux + prev.uy * move.uy + prev.uz * move.uz);
+      if (cosTheta > 0.999999) return 0; // full reversal
+      const sinHalf = Math.sqrt(Math.max(0, 0.5 * (1 - cosTheta)));
+      if (sinHalf > 0.999999) return Infinity; // straight line
+      const accel = Math.min(prev.accel, move.accel);
+      const deviation = state.squareCornerVelocity
+        ? (state.squareCornerVelocity ** 2 * (Math.SQRT2 - 1)) / accel
+        : state.junctionDeviation;
+      return (sinHalf / (1 - sinHalf)) * deviation * accel;
+    }
+
+    // Classic jerk: the per-axis speed change at the junction stays under the jerk
+    const jerk = state.jerk || 0;
+    const dx = Math.abs(move.ux - (prev ? prev.ux : 0));
+    const dy = Math.abs(move.uy - (prev ? prev.uy : 0));
+    const change = Math.max(dx, dy);
+    if (change < EPSILON) return Infinity;
+    return (jerk / change) ** 2;
+  };
+
+  const commit = (move, entryV2, exitV2) => {
+    const time = trapezoidTime(entryV2, exitV2, move.cruiseV2, move.accel, move.distance);
+    addTime(move.layer, time, move.kind === 'extrude' ? 'print' : 'travel', move.feature);
+    totals.moves++;
+  };
+
+  /**
+   * Plan the buffered moves assuming the machine stops after the last one,
+   * then commit `count` of them from the front
+   */
+  const plan = (count) => {
+    let nextEntryV2 = 0;
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      const move = buffer[i];
+      move.maxEntryV2 = Math.min(move.junctionV2, move.cruiseV2, nextEntryV2 + move.deltaV2);
+      nextEntryV2 = move.maxEntryV2;
+    }
+
+    let entryV2 = Math.min(committedExitV2, buffer[0]?.maxEntryV2 ?? 0);
+    for (let i = 0; i < count; i++) {
+      const move = buffer[i];
+      const nextMax = i + 1 < buffer.length ? buffer[i + 1].maxEntryV2 : 0;
+      const exitV2 = Math.min(entryV2 + move.deltaV2, nextMax, move.cruiseV2);
+      commit(move, entryV2, exitV2);
+      entryV2 = exitV2;
+    }
+    committedExitV2 = entryV2;
+    buffer = buffer.slice(count);
+  };
+
+  // Come to a stop - everything queued is final
+  const flush = () => {
+    if (buffer.length > 0) plan(buffer.length);
+    committedExitV2 = 0;
+    previous = null;
+  };
+
+  const queueMove = ({ kind, from, to, distance, de, feedrate, feature, layer }) => {
+    const ux = (to.x - from.x) / distance;
+    const uy = (to.y - from.y) / distance;
+    const uz = (to.z - from.z) / distance;
+
+    let velocity = Math.min(feedrate, limits.velocity);
+    let accel = accelFor(kind);
+    if (Math.abs(uz) > EPSILON) {
+      velocity = Math.min(velocity, limits.zVelocity / Math.abs(uz));
+      accel = Math.min(accel, limits.zAccel / Math.abs(uz));
+    }
+    if (kind === 'extrude' && de > 0 && limits.extrudeVelocity) {
+      velocity = Math.min(velocity, (limits.extrudeVelocity * distance) / de);
+    }
+
+    const move = {
+      kind,
+      feature,
+      layer,
+      distance,
+      ux,
+      uy,
+      uz,
+      accel,
+      cruiseV2: velocity * velocity,
+      deltaV2: 2 * accel * distance,
+      junctionV2: 0,
+      maxEntryV2: 0,
+    };
+    move.junctionV2 = Math.min(junctionV2(previous, move), move.cruiseV2, previous ? previous.cruiseV2 : Infinity);
+    buffer.push(move);
+    previous = move;
+
+    if (buffer.length >= LOOKAHEAD_MOVES) plan(LOOKAHEAD_MOVES / 2);
+  };
+
+  /**
+   * onMove hook - extrusion and travel are planned, retractions stop the head
+   */
+  const move = (segment) => {
+    if (segment.kind === 'extrude' || segment.kind === 'travel') {
+      if (segment.distance > EPSILON) queueMove(segment);
+      return;
+    }
+    flush();
+    const speed = Math.min(segment.feedrate, limits.extrudeVelocity || segment.feedrate);
+    if (speed > 0) addTime(segment.layer, Math.abs(segment.de) / speed, 'retract');
+  };
+
+  /**
+   * onCommand hook - limit overrides, dwells and progress markers
+   */
+  const command = (code, words, layer) => {
+    const has = (key) => key in words && Number.isFinite(words[key]) && words[key] > 0;
+
+    switch (code) {
+      case 'M204':
+        // Marlin: S = both, P = printing, T = travel (R is retract-only, not planned here)
+        if (has('S')) {
+          state.printAccel = words.S;
+          state.travelAccel = words.S;
+        }
+        if (has('P')) state.printAccel = words.P;
+        if (has('T')) state.travelAccel = words.T;
+        totals.accel_changes++;
+        break;
+      case 'M205':
+        if (has('X') || has('Y')) state.jerk = Math.max(has('X') ? words.X : 0, has('Y') ? words.Y : 0);
+        if (has('J')) state.junctionDeviation = words.J;
+        break;
+      case 'M566':
+        // RepRapFirmware jerk is in mm/min
+        if (has('X') || has('Y')) state.jerk = Math.max(has('X') ? words.X : 0, has('Y') ? words.Y : 0) / 60;
+        break;
+      case 'M201':
+        if (has('X') || has('Y')) limits.accelLimit = Math.min(has('X') ? words.X : Infinity, has('Y') ? words.Y : Infinity);
+        if (has('Z')) limits.zAccel = words.Z;
+        break;
+      case 'M203':
+        if (has('X') || has('Y')) limits.velocity = Math.min(has('X') ? words.X : Infinity, has('Y') ? words.Y : Infinity);
+        if (has('Z')) limits.zVelocity = words.Z;
+        if (has('E')) limits.extrudeVelocity = words.E;
+        break;
+      case 'SET_VELOCITY_LIMIT':
+        if (has('ACCEL')) {
+          state.printAccel = words.ACCEL;
+          state.travelAccel = words.ACCEL;
+          totals.accel_changes++;
+        }
+        if (has('VELOCITY')) limits.velocity = words.VELOCITY;
+        if (has('SQUARE_CORNER_VELOCITY')) state.squareCornerVelocity = words.SQUARE_CORNER_VELOCITY;
+        break;
+      case 'G4': {
+        flush();
+        const seconds = has('P') ? words.P / 1000 : (has('S') ? words.S : 0);
+        if (seconds > 0) addTime(layer, seconds, 'dwell');
+        break;
+      }
+      case 'M73': {
+        // Slicer progress: R = minutes remaining, kept per layer for comparison
+        const target = layerAt(layer);
+        if ('R' in words && Number.isFinite(words.R) && target.slicer_remaining_s === null) {
+          target.slicer_remaining_s = words.R * 60;
+        }
+        break;
+      }
+      case 'M109':
+      case 'M190':
+        flush();
+        totals.heating_waits++;
+        break;
+      case 'G28':
+      case 'M400':
+        flush();
+        break;
+      default:
+        if (code[0] === 'T') flush();
+        break;
+    }
+  };
+
+  /**
+   * Plan what's left and return the simulated times
+   */
+  const finish = () => {
+    flush();
+    return {
+      time_s: totals.time_s,
+      totals: { ...totals },
+      features,
+      layers,
+      kinematics: {
+        ...kinematics,
+        final_print_accel: state.printAccel,
+        final_travel_accel: state.travelAccel,
+      },
+    };
+  };
+
+  return { move, command, finish };
+};
+
+// ============================================
+// SLICER COMPARISON
+// ============================================
+
+/**
+ * Simulated vs slicer time, overall and per layer. Per-layer slicer times come
+ * from M73 R (minutes remaining) progress markers, so they are only as fine
+ * as a minute and only present for slicers that emit them (Prusa, Orca, Bambu).
+ * @param {object} simulation - createMotionPlanner().finish()
+ * @param {number|null} slicerEstimateS - the slicer's total from the file header
+ */
+export const compareWithSlicer = (simulation, slicerEstimateS) => {
+  const { layers } = simulation;
+  const withProgress = layers.filter(l => l.slicer_remaining_s !== null).length;
+  const hasLayerProgress = layers.length > 0 && withProgress >= layers.length / 2;
+
+  let nextRemaining = 0;
+  const slicerTimes = new Array(layers.length).fill(null);
+  if (hasLayerProgress) {
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const remaining = layers[i].slicer_remaining_s;
+      if (remaining === null) continue;
+      slicerTimes[i] = Math.max(0, remaining - nextRemaining);
+      nextRemaining = remaining;
+    }
+  }
+
+  return {
+    simulated_s: simulation.time_s,
+    slicer_s: slicerEstimateS ?? null,
+    deviation_pct: slicerEstimateS ? ((simulation.time_s - slicerEstimateS) / slicerEstimateS) * 100 : null,
+    layers: layers.map((l, i) => ({ index: l.index, simulated_s: l.time_s, slicer_s: slicerTimes[i] })),
+  };
+};
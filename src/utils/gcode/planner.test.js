@@ -0,0 +1,139 @@
+import { interpretGcode } from './interpreter';
+import {
+  compareWithSlicer,
+  createMotionPlanner,
+  DEFAULT_KINEMATICS,
+  KINEMATIC_PRESETS,
+  resolveKinematics,
+  trapezoidTime,
+} from './planner';
+
+// 1000 mm/s² and no other limit in the way of a 100 mm/s move
+const KINEMATICS = {
+  ...DEFAULT_KINEMATICS,
+  max_accel: 1000,
+  max_velocity: 1000,
+  max_extrude_velocity: 1000,
+  jerk: 0,
+};
+
+const segment = (from, to, extra = {}) => ({
+  kind: 'extrude',
+  from,
+  to,
+  distance: Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z),
+  de: 0.1,
+  feedrate: 100,
+  feature: 'outer_wall',
+  layer: 0,
+  ...extra,
+});
+
+const point = (x, y = 0, z = 0) => ({ x, y, z });
+
+const simulate = (text, kinematics = KINEMATICS) => {
+  const planner = createMotionPlanner(kinematics);
+  interpretGcode(text, { onMove: planner.move, onCommand: planner.command });
+  return planner.finish();
+};
+
+describe('trapezoidTime', () => {
+  it('accelerates, cruises and decelerates', () => {
+    // 5 mm up to 100 mm/s, 90 mm cruise, 5 mm down
+    expect(trapezoidTime(0, 0, 100 ** 2, 1000, 100)).toBeCloseTo(1.1);
+  });
+
+  it('peaks below cruise speed on short moves', () => {
+    expect(trapezoidTime(0, 0, 1000 ** 2, 1000, 10)).toBeCloseTo(0.2);
+  });
+
+  it('keeps entry and exit speed', () => {
+    expect(trapezoidTime(100 ** 2, 100 ** 2, 100 ** 2, 1000, 50)).toBeCloseTo(0.5);
+  });
+});
+
+describe('resolveKinematics', () => {
+  it('falls back to the printer type preset, then the defaults', () => {
+    expect(resolveKinematics(null, 'ender3')).toMatchObject({ ...KINEMATIC_PRESETS.ender3, source: 'preset' });
+    expect(resolveKinematics(undefined, 'mystery')).toEqual({ ...DEFAULT_KINEMATICS, source: 'default' });
+  });
+
+  it('reads Klipper and OrcaSlicer field names from the profile', () => {
+    const klipper = resolveKinematics({ kinematics: { max_accel: 7000, square_corner_velocity: 6 } }, 'ender3');
+    const orca = resolveKinematics({ machine_max_acceleration_x: ['12000', '5000'], machine_max_jerk_x: ['8', '8'] });
+
+    expect(klipper).toMatchObject({ max_accel: 7000, square_corner_velocity: 6, jerk: null, source: 'profile' });
+    expect(orca).toMatchObject({ max_accel: 12000, jerk: 8, square_corner_velocity: null, source: 'profile' });
+  });
+});
+
+describe('createMotionPlanner', () => {
+  it('times a single move as a trapezoid', () => {
+    const planner = createMotionPlanner(KINEMATICS);
+    planner.move(segment(point(0), point(100)));
+    const result = planner.finish();
+
+    expect(result.time_s).toBeCloseTo(1.1);
+    expect(result.features.outer_wall).toBeCloseTo(1.1);
+    expect(result.totals.moves).toBe(1);
+  });
+
+  it('carries speed through straight junctions', () => {
+    const planner = createMotionPlanner(KINEMATICS);
+    planner.move(segment(point(0), point(50)));
+    planner.move(segment(point(50), point(100)));
+
+    expect(planner.finish().time_s).toBeCloseTo(1.1);
+  });
+
+  it('stops on a reversal with square corner velocity', () => {
+    const planner = createMotionPlanner({ ...KINEMATICS, jerk: null, square_corner_velocity: 5 });
+    planner.move(segment(point(0), point(50)));
+    planner.move(segment(point(50), point(0)));
+
+    expect(planner.finish().time_s).toBeCloseTo(1.2);
+  });
+
+  it('limits speed by the extruder', () => {
+    const planner = createMotionPlanner({ ...KINEMATICS, max_extrude_velocity: 1 });
+    // 10 mm of filament over 100 mm caps the head at 10 mm/s
+    planner.move(segment(point(0), point(100), { de: 10 }));
+
+    expect(planner.finish().time_s).toBeCloseTo(trapezoidTime(0, 0, 10 ** 2, 1000, 100));
+  });
+
+  it('applies acceleration changes from the file', () => {
+    const slow = simulate('G1 X100 E1 F6000\n');
+    const fast = simulate('M204 S4000\nG1 X100 E1 F6000\n', { ...KINEMATICS, max_accel: 4000 });
+
+    expect(fast.time_s).toBeLessThan(slow.time_s);
+    expect(fast.totals.accel_changes).toBe(1);
+    expect(fast.kinematics.final_print_accel).toBe(4000);
+  });
+
+  it('times dwells and retractions, and only counts heat-up waits', () => {
+    const result = simulate('G4 P500\nG4 S2\nM109 S210\nG1 E-1 F1800\n');
+
+    expect(result.totals.dwell_s).toBeCloseTo(2.5);
+    expect(result.totals.retract_s).toBeCloseTo(1 / 30);
+    expect(result.totals.heating_waits).toBe(1);
+  });
+});
+
+describe('compareWithSlicer', () => {
+  it('splits the slicer time per layer from M73 remaining minutes', () => {
+    const simulation = simulate([
+      ';LAYER:0', 'M73 P0 R3', 'G1 Z0.2 F600', 'G1 X100 E1 F6000',
+      ';LAYER:1', 'M73 P50 R1', 'G1 Z0.4', 'G1 X0 E2',
+      '',
+    ].join('\n'));
+    const comparison = compareWithSlicer(simulation, 180);
+
+    expect(comparison.layers.map(l => l.slicer_s)).toEqual([120, 60]);
+    expect(comparison.deviation_pct).toBeCloseTo(((simulation.time_s - 180) / 180) * 100);
+  });
+
+  it('has no deviation without a slicer estimate', () => {
+    expect(compareWithSlicer({ time_s: 10, layers: [] }, null)).toMatchObject({ slicer_s: null, deviation_pct: null });
+  });
+});
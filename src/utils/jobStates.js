@@ -0,0 +1,135 @@
+/**
+ * Print job lifecycle - the states a job moves through and the events that
+ * move it. Pure data and checks; services/jobLifecycle.js runs transitions
+ * (server call, side effects, audit trail).
+ *
+ *   queued -assign-> assigned -prepare-> preparing -start-> printing -complete-> completed
+ *   queued/assigned -start-> printing     (the server picks or keeps the printer)
+ *   printing -pause-> paused -resume-> printing
+ *   preparing/printing/paused -fail-> failed
+ *   anything not finished -cancel-> cancelled
+ *   failed/cancelled -requeue-> queued
+ */
+
+export const JOB_STATES = ['queued', 'assigned', 'preparing', 'printing', 'paused', 'completed', 'failed', 'cancelled'];
+
+export const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+const ACTIVE_STATES = JOB_STATES.filter(state => !TERMINAL_STATES.includes(state));
+
+export const JOB_EVENTS = {
+  assign: { from: ['queued', 'assigned'], to: 'assigned', label: 'Assign', verb: 'assigned' },
+  unassign: { from: ['assigned'], to: 'queued', label: 'Unassign', verb: 'unassigned' },
+  prepare: { from: ['assigned'], to: 'preparing', label: 'Prepare', verb: 'prepared' },
+  start: { from: ['queued', 'assigned', 'preparing'], to: 'printing', label: 'Start', verb: 'started' },
+  pause: { from: ['printing'], to: 'paused', label: 'Pause', verb: 'paused' },
+  resume: { from: ['paused'], to: 'printing', label: 'Resume', verb: 'resumed' },
+  complete: { from: ['printing'], to: 'completed', label: 'Complete', verb: 'completed' },
+  fail: { from: ['preparing', 'printing', 'paused'], to: 'failed', label: 'Mark failed', verb: 'marked failed' },
+  cancel: { from: ACTIVE_STATES, to: 'cancelled', label: 'Cancel', verb: 'cancelled' },
+  requeue: { from: ['failed', 'cancelled'], to: 'queued', label: 'Requeue', verb: 'requeued' },
+};
+
+// What other backends (and older rows) call the same states
+const STATUS_ALIASES = {
+  pending: 'queued',
+  waiting: 'queued',
+  scheduled: 'assigned',
+  heating: 'preparing',
+  starting: 'preparing',
+  running: 'printing',
+  in_progress: 'printing',
+  done: 'completed',
+  finished: 'completed',
+  success: 'completed',
+  error: 'failed',
+  canceled: 'cancelled',
+  aborted: 'cancelled',
+};
+
+/**
+ * Lifecycle state for a raw status string; unknown values stay as they are
+ */
+export function normalizeJobStatus(status) {
+  const key = String(status || 'queued').toLowerCase();
+  return STATUS_ALIASES[key] || key;
+}
+
+export const jobStatusOf = (job) => normalizeJobStatus(job?.job_status || job?.status);
+
+export const isTerminalStatus = (status) => TERMINAL_STATES.includes(normalizeJobStatus(status));
+
+export const jobIdOf = (job) => job?.job_id ?? job?.id;
+
+/**
+ * Checks beyond the state table. Each returns a reason the event is refused,
+ * or null. `context` carries what the caller knows: { printer, reason, material }.
+ */
+const GUARDS = {
+  assign: (job, { printer }) => (printer ? null : 'Choose a printer to assign the job to'),
+  prepare: (job) => (job.assigned_printer || job.printer_name ? null : 'The job has no printer yet'),
+  start: (job, { material }) => (
+    material?.hasEnough === false
+      ? `Not enough ${job.filament_type || job.material_type || 'filament'} in stock for this job`
+      : null
+  ),
+  fail: (job, { reason }) => (reason ? null : 'Pick a failure reason'),
+};
+
+export class JobTransitionError extends Error {
+  constructor(message, { jobId, from, event } = {}) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.jobId = jobId;
+    this.from = from;
+    this.event = event;
+  }
+}
+
+/**
+ * @returns {boolean} whether the state table allows `event` from `status`
+ */
+export function canTransition(status, event) {
+  return Boolean(JOB_EVENTS[event]?.from.includes(normalizeJobStatus(status)));
+}
+
+/**
+ * Events allowed from a status, by the state table alone
+ */
+export function availableEvents(status) {
+  return Object.keys(JOB_EVENTS).filter(event => canTransition(status, event));
+}
+
+/**
+ * Why `event` can't happen to `job` right now
+ * @returns {string|null} null when it can
+ */
+export function checkTransition(job, event, context = {}) {
+  const def = JOB_EVENTS[event];
+  if (!def) return `Unknown job event "${event}"`;
+  const from = jobStatusOf(job);
+  if (!def.from.includes(from)) {
+    return `A ${from} job can't be ${def.verb}`;
+  }
+  return GUARDS[event]?.(job, context) || null;
+}
+
+/**
+ * Throwing form of checkTransition
+ */
+export function assertTransition(job, event, context = {}) {
+  const reason = checkTransition(job, event, context);
+  if (reason) throw new JobTransitionError(reason, { jobId: jobIdOf(job), from: jobStatusOf(job), event });
+}
+
+/**
+ * The event that moves a job from one status to another, or null when no
+ * single event does (e.g. queued -> completed)
+ */
+export function eventBetween(from, to) {
+  const fromState = normalizeJobStatus(from);
+  const toState = normalizeJobStatus(to);
+  return Object.keys(JOB_EVENTS).find(event =>
+    JOB_EVENTS[event].to === toState && JOB_EVENTS[event].from.includes(fromState)
+  ) || null;
+}
@@ -0,0 +1,31 @@
+/**
+ * Parse + measure in one step. Shared by the worker and the main-thread
+ * fallback so both return exactly the same result shape.
+ */
+
+import { parseMesh } from './parsers';
+import { summarizeMesh } from './metrics';
+import { analyzeMeshHealth, scoreMeshHealth } from './health';
+import { measureOverhangs } from './overhang';
+
+export const analyzeMeshBuffer = (buffer, {
+  filename = '',
+  includePositions = false,
+  includeHealth = false,
+  healthOptions,
+  includeOverhangs = false,
+} = {}) => {
+  const parsed = parseMesh(buffer, filename);
+  if (parsed.positions.length < 9) {
+    throw new Error('No triangles found in mesh file');
+  }
+  const summary = summarizeMesh(parsed);
+  if (includeHealth) {
+    summary.health = analyzeMeshHealth(parsed.positions, healthOptions);
+    summary.printability = scoreMeshHealth(summary.health);
+  }
+  if (includeOverhangs) {
+    summary.overhangs = measureOverhangs(parsed.positions);
+  }
+  return includePositions ? { ...summary, positions: parsed.positions } : summary;
+};
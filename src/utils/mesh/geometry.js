@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { FACE_ISSUES } from './health';
+
+/**
+ * Build a three.js geometry from analyzeMesh() positions.
+ * Kept apart from the parsers so the worker bundle stays free of three.js.
+ */
+export const createMeshGeometry = (positions) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  return geometry;
+};
+
+// Issue colours, most severe first - a face with several problems shows the first
+export const ISSUE_COLORS = [
+  { flag: FACE_ISSUES.NON_MANIFOLD, color: '#ef4444', label: 'Non-manifold' },
+  { flag: FACE_ISSUES.OPEN_EDGE, color: '#f97316', label: 'Open edge / hole' },
+  { flag: FACE_ISSUES.FLIPPED, color: '#a855f7', label: 'Flipped normal' },
+  { flag: FACE_ISSUES.THIN_WALL, color: '#eab308', label: 'Thin wall' },
+  { flag: FACE_ISSUES.ZERO_AREA, color: '#ec4899', label: 'Zero-area face' },
+];
+
+/**
+ * Per-vertex colour attribute highlighting problem faces from a health report.
+ * The geometry must be the non-indexed one from createMeshGeometry().
+ */
+export const applyIssueColors = (geometry, faceFlags, baseColor = '#3b82f6') => {
+  const faceCount = faceFlags.length;
+  const colors = new Float32Array(faceCount * 9);
+  const base = new THREE.Color(baseColor);
+  const palette = ISSUE_COLORS.map(({ flag, color }) => ({ flag, color: new THREE.Color(color) }));
+
+  for (let f = 0; f < faceCount; f++) {
+    const issue = faceFlags[f] ? palette.find(p => faceFlags[f] & p.flag) : null;
+    const c = issue ? issue.color : base;
+    for (let v = 0; v < 3; v++) {
+      colors[f * 9 + v * 3] = c.r;
+      colors[f * 9 + v * 3 + 1] = c.g;
+      colors[f * 9 + v * 3 + 2] = c.b;
+    }
+  }
+
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return geometry;
+};
+
+/**
+ * Overhang heatmap: base colour where no support is needed, yellow → red
+ * as faces approach a flat ceiling. `intensity` from overhangIntensity().
+ */
+export const applyOverhangColors = (geometry, intensity, baseColor = '#3b82f6') => {
+  const colors = new Float32Array(intensity.length * 9);
+  const base = new THREE.Color(baseColor);
+  const low = new THREE.Color('#facc15');
+  const high = new THREE.Color('#dc2626');
+  const c = new THREE.Color();
+
+  for (let f = 0; f < intensity.length; f++) {
+    if (intensity[f] > 0) c.copy(low).lerp(high, intensity[f]);
+    else c.copy(base);
+    for (let v = 0; v < 3; v++) {
+      colors[f * 9 + v * 3] = c.r;
+      colors[f * 9 + v * 3 + 1] = c.g;
+      colors[f * 9 + v * 3 + 2] = c.b;
+    }
+  }
+
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return geometry;
+};
@@ -0,0 +1,440 @@
+/**
+ * Mesh health checks - topology and printability diagnostics
+ *
+ * Works on the triangle soup from parseMesh(): vertices are welded first so
+ * edges can be matched between triangles, then
+ * - edges used once are open boundaries (grouped into holes)
+ * - edges used by more than two triangles are non-manifold
+ * - neighbours walking a shared edge in the same direction have
+ *   inconsistent winding; the minority side of each patch is "flipped"
+ * - face connectivity gives the number of separate shells
+ * - wall thickness is sampled by casting rays inward from face centroids
+ *
+ * Per-triangle problems are returned as a bitmask (face_flags) so viewers
+ * can colour the offending faces.
+ */
+
+import { buildTriangleGrid, castRay, computeBounds } from './raycast';
+
+export const FACE_ISSUES = {
+  NON_MANIFOLD: 1,
+  OPEN_EDGE: 2,
+  FLIPPED: 4,
+  ZERO_AREA: 8,
+  THIN_WALL: 16,
+};
+
+// Two perimeters of a 0.4 mm nozzle
+export const DEFAULT_MIN_WALL_MM = 0.8;
+
+const ZERO_AREA_MM2 = 1e-6;
+const MAX_RAY_SAMPLES = 4000;
+const MAX_RAY_DISTANCE_MM = 20;
+
+// ============================================
+// TOPOLOGY
+// ============================================
+
+/**
+ * Merge vertices closer than the weld tolerance.
+ * Returns a vertex index per triangle corner.
+ */
+const weldVertices = (positions, tolerance) => {
+  const cornerCount = positions.length / 3;
+  const corners = new Int32Array(cornerCount);
+  const lookup = new Map();
+  const inv = 1 / tolerance;
+  let vertexCount = 0;
+
+  for (let c = 0; c < cornerCount; c++) {
+    const i = c * 3;
+    const key = `${Math.round(positions[i] * inv)},${Math.round(positions[i + 1] * inv)},${Math.round(positions[i + 2] * inv)}`;
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = vertexCount++;
+      lookup.set(key, index);
+    }
+    corners[c] = index;
+  }
+
+  return { corners, vertexCount };
+};
+
+const createUnionFind = (size) => {
+  const parent = new Int32Array(size);
+  for (let i = 0; i < size; i++) parent[i] = i;
+
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[ra] = rb;
+  };
+
+  return { find, union };
+};
+
+const triangleArea = (p, t) => {
+  const i = t * 9;
+  const ux = p[i + 3] - p[i], uy = p[i + 4] - p[i + 1], uz = p[i + 5] - p[i + 2];
+  const vx = p[i + 6] - p[i], vy = p[i + 7] - p[i + 1], vz = p[i + 8] - p[i + 2];
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  return Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+};
+
+const signedTetraVolume = (p, t) => {
+  const i = t * 9;
+  return (
+    p[i] * (p[i + 4] * p[i + 8] - p[i + 5] * p[i + 7]) -
+    p[i + 1] * (p[i + 3] * p[i + 8] - p[i + 5] * p[i + 6]) +
+    p[i + 2] * (p[i + 3] * p[i + 7] - p[i + 4] * p[i + 6])
+  ) / 6;
+};
+
+/**
+ * Build the edge table: each undirected edge with its first two faces,
+ * the direction each face walks it and how many faces use it.
+ */
+const buildEdges = (corners, vertexCount, faceCount, skipFace) => {
+  const lookup = new Map();
+  const capacity = faceCount * 3;
+  const edgeFaceA = new Int32Array(capacity).fill(-1);
+  const edgeFaceB = new Int32Array(capacity).fill(-1);
+  const edgeDirA = new Uint8Array(capacity);
+  const edgeDirB = new Uint8Array(capacity);
+  const edgeUses = new Int32Array(capacity);
+  const edgeVertices = new Int32Array(capacity * 2);
+  const faceEdges = new Int32Array(capacity).fill(-1);
+  let edgeCount = 0;
+
+  for (let f = 0; f < faceCount; f++) {
+    if (skipFace[f]) continue;
+    for (let k = 0; k < 3; k++) {
+      const a = corners[f * 3 + k];
+      const b = corners[f * 3 + ((k + 1) % 3)];
+      const lo = a < b ? a : b;
+      const hi = a < b ? b : a;
+      const forward = a < b ? 1 : 0;
+      const key = lo * vertexCount + hi;
+
+      let e = lookup.get(key);
+      if (e === undefined) {
+        e = edgeCount++;
+        lookup.set(key, e);
+        edgeVertices[e * 2] = lo;
+        edgeVertices[e * 2 + 1] = hi;
+        edgeFaceA[e] = f;
+        edgeDirA[e] = forward;
+      } else if (edgeUses[e] === 1) {
+        edgeFaceB[e] = f;
+        edgeDirB[e] = forward;
+      }
+      edgeUses[e]++;
+      faceEdges[f * 3 + k] = e;
+    }
+  }
+
+  return { edgeCount, edgeFaceA, edgeFaceB, edgeDirA, edgeDirB, edgeUses, edgeVertices, faceEdges };
+};
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Run all health checks on a positions array (9 floats per triangle)
+ * @param {Float32Array} positions
+ * @param {object} options
+ * @param {number} [options.minWallMm] - walls thinner than this are flagged
+ * @param {number} [options.maxRaySamples] - faces sampled for wall thickness
+ * @returns {object} health report incl. face_flags (Uint8Array per triangle)
+ */
+export const analyzeMeshHealth = (positions, {
+  minWallMm = DEFAULT_MIN_WALL_MM,
+  maxRaySamples = MAX_RAY_SAMPLES,
+} = {}) => {
+  const faceCount = Math.floor(positions.length / 9);
+  const faceFlags = new Uint8Array(faceCount);
+
+  // Bounds drive the weld tolerance and the ray grid
+  const bounds = computeBounds(positions);
+  const diagonal = Math.hypot(
+    bounds.max.x - bounds.min.x,
+    bounds.max.y - bounds.min.y,
+    bounds.max.z - bounds.min.z
+  );
+  const tolerance = Math.max(diagonal * 1e-6, 1e-6);
+  const { corners, vertexCount } = weldVertices(positions, tolerance);
+
+  // Zero-area and collapsed faces take no part in the topology checks
+  const skipFace = new Uint8Array(faceCount);
+  const areas = new Float64Array(faceCount);
+  let zeroAreaFaces = 0;
+  for (let f = 0; f < faceCount; f++) {
+    areas[f] = triangleArea(positions, f);
+    const a = corners[f * 3], b = corners[f * 3 + 1], c = corners[f * 3 + 2];
+    if (areas[f] < ZERO_AREA_MM2 || a === b || b === c || a === c) {
+      skipFace[f] = 1;
+      faceFlags[f] |= FACE_ISSUES.ZERO_AREA;
+      zeroAreaFaces++;
+    }
+  }
+
+  const edges = buildEdges(corners, vertexCount, faceCount, skipFace);
+  const { edgeCount, edgeFaceA, edgeFaceB, edgeDirA, edgeDirB, edgeUses, edgeVertices, faceEdges } = edges;
+
+  // Edge classification, shells (face union-find) and holes (boundary loops)
+  const shells = createUnionFind(faceCount);
+  const boundaryLoops = createUnionFind(vertexCount);
+  const boundaryVertex = new Uint8Array(vertexCount);
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  let inconsistentEdges = 0;
+
+  for (let e = 0; e < edgeCount; e++) {
+    const uses = edgeUses[e];
+    if (uses === 1) {
+      boundaryEdges++;
+      faceFlags[edgeFaceA[e]] |= FACE_ISSUES.OPEN_EDGE;
+      const lo = edgeVertices[e * 2];
+      const hi = edgeVertices[e * 2 + 1];
+      boundaryVertex[lo] = 1;
+      boundaryVertex[hi] = 1;
+      boundaryLoops.union(lo, hi);
+    } else if (uses > 2) {
+      nonManifoldEdges++;
+      faceFlags[edgeFaceA[e]] |= FACE_ISSUES.NON_MANIFOLD;
+      faceFlags[edgeFaceB[e]] |= FACE_ISSUES.NON_MANIFOLD;
+    } else if (edgeDirA[e] === edgeDirB[e]) {
+      inconsistentEdges++;
+    }
+  }
+  // Third+ faces on non-manifold edges are only reachable through faceEdges
+  for (let f = 0; f < faceCount; f++) {
+    for (let k = 0; k < 3; k++) {
+      const e = faceEdges[f * 3 + k];
+      if (e < 0) continue;
+      shells.union(f, edgeFaceA[e]);
+      if (edgeUses[e] > 2) faceFlags[f] |= FACE_ISSUES.NON_MANIFOLD;
+    }
+  }
+
+  const holeRoots = new Set();
+  for (let v = 0; v < vertexCount; v++) {
+    if (boundaryVertex[v]) holeRoots.add(boundaryLoops.find(v));
+  }
+
+  const shellSizes = new Map();
+  for (let f = 0; f < faceCount; f++) {
+    if (skipFace[f]) continue;
+    const root = shells.find(f);
+    shellSizes.set(root, (shellSizes.get(root) || 0) + 1);
+  }
+
+  // Orientation: walk each patch over manifold edges, tracking whether a face
+  // agrees with the patch seed, then decide which side is outward.
+  const parity = new Uint8Array(faceCount);
+  const visited = new Uint8Array(faceCount);
+  const flipped = new Uint8Array(faceCount);
+  const queue = new Int32Array(faceCount);
+  const patch = [];
+  let flippedFaces = 0;
+  let invertedShells = 0;
+
+  for (let seed = 0; seed < faceCount; seed++) {
+    if (visited[seed] || skipFace[seed]) continue;
+    let head = 0;
+    let tail = 0;
+    let closed = true;
+    let volume = 0;
+    let agree = 0;
+    patch.length = 0;
+    queue[tail++] = seed;
+    visited[seed] = 1;
+
+    while (head < tail) {
+      const f = queue[head++];
+      patch.push(f);
+      const sign = parity[f] ? -1 : 1;
+      volume += signedTetraVolume(positions, f) * sign;
+      if (!parity[f]) agree++;
+
+      for (let k = 0; k < 3; k++) {
+        const e = faceEdges[f * 3 + k];
+        if (edgeUses[e] !== 2) {
+          closed = false;
+          continue;
+        }
+        const g = edgeFaceA[e] === f ? edgeFaceB[e] : edgeFaceA[e];
+        if (visited[g]) continue;
+        const sameDirection = edgeDirA[e] === edgeDirB[e];
+        parity[g] = parity[f] ^ (sameDirection ? 1 : 0);
+        visited[g] = 1;
+        queue[tail++] = g;
+      }
+    }
+
+    // Closed patches: outward is whichever side gives a positive volume.
+    // Open patches have no inside, so the majority orientation wins.
+    const seedIsOutward = closed ? volume >= 0 : agree * 2 >= patch.length;
+    const wrongParity = seedIsOutward ? 1 : 0;
+    let wrong = 0;
+    for (const f of patch) {
+      if (parity[f] === wrongParity) {
+        flipped[f] = 1;
+        wrong++;
+      }
+    }
+    if (closed && wrong === patch.length) invertedShells++;
+    flippedFaces += wrong;
+  }
+  for (let f = 0; f < faceCount; f++) {
+    if (flipped[f]) faceFlags[f] |= FACE_ISSUES.FLIPPED;
+  }
+
+  // Outward unit normals with the orientation fix applied
+  const normals = new Float32Array(faceCount * 3);
+  for (let f = 0; f < faceCount; f++) {
+    if (skipFace[f]) continue;
+    const i = f * 9;
+    const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+    const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const scale = (flipped[f] ? -1 : 1) / (Math.sqrt(nx * nx + ny * ny + nz * nz) || 1);
+    normals[f * 3] = nx * scale;
+    normals[f * 3 + 1] = ny * scale;
+    normals[f * 3 + 2] = nz * scale;
+  }
+
+  // Wall thickness: inward rays from an evenly spread sample of faces
+  // (walls thicker than maxDistance are reported as min_wall_thickness_mm: null)
+  const wall = { samples: 0, min: null, thinSamples: 0, thinArea: 0, sampledArea: 0 };
+  const activeFaces = faceCount - zeroAreaFaces;
+  const maxDistance = Math.max(MAX_RAY_DISTANCE_MM, minWallMm * 4);
+  if (activeFaces > 0 && maxRaySamples > 0) {
+    const grid = buildTriangleGrid(positions, faceCount, skipFace, bounds);
+    const stride = Math.max(1, activeFaces / maxRaySamples);
+    const offset = Math.max(tolerance * 10, 1e-4);
+    let next = 0;
+    let active = -1;
+
+    for (let f = 0; f < faceCount; f++) {
+      if (skipFace[f]) continue;
+      active++;
+      if (active < next) continue;
+      next += stride;
+
+      const i = f * 9;
+      const dir = [-normals[f * 3], -normals[f * 3 + 1], -normals[f * 3 + 2]];
+      const origin = [
+        (positions[i] + positions[i + 3] + positions[i + 6]) / 3 + dir[0] * offset,
+        (positions[i + 1] + positions[i + 4] + positions[i + 7]) / 3 + dir[1] * offset,
+        (positions[i + 2] + positions[i + 5] + positions[i + 8]) / 3 + dir[2] * offset,
+      ];
+      const hit = castRay(grid, positions, normals, f, origin, dir, maxDistance, 'back');
+
+      wall.samples++;
+      wall.sampledArea += areas[f];
+      if (hit === null) continue;
+      const thickness = hit + offset;
+      if (wall.min === null || thickness < wall.min) wall.min = thickness;
+      if (thickness < minWallMm) {
+        wall.thinSamples++;
+        wall.thinArea += areas[f];
+        faceFlags[f] |= FACE_ISSUES.THIN_WALL;
+      }
+    }
+  }
+
+  return {
+    triangle_count: faceCount,
+    vertex_count: vertexCount,
+    is_watertight: boundaryEdges === 0 && nonManifoldEdges === 0,
+    boundary_edges: boundaryEdges,
+    holes: holeRoots.size,
+    non_manifold_edges: nonManifoldEdges,
+    inconsistent_edges: inconsistentEdges,
+    flipped_faces: flippedFaces,
+    inverted_shells: invertedShells,
+    shells: shellSizes.size,
+    zero_area_faces: zeroAreaFaces,
+    min_wall_mm: minWallMm,
+    min_wall_thickness_mm: wall.min,
+    thin_wall_samples: wall.thinSamples,
+    thin_wall_fraction: wall.sampledArea > 0 ? wall.thinArea / wall.sampledArea : 0,
+    wall_samples: wall.samples,
+    wall_probe_mm: maxDistance,
+    face_flags: faceFlags,
+  };
+};
+
+// ============================================
+// PRINTABILITY SCORE
+// ============================================
+
+const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * 0-100 score plus human-readable warnings/suggestions from a health report.
+ * Same shape as the backend's printability block so it can stand in for it.
+ */
+export const scoreMeshHealth = (health) => {
+  if (!health) return null;
+
+  const warnings = [];
+  const suggestions = [];
+  let score = 100;
+
+  if (health.holes > 0) {
+    score -= Math.min(25, 8 + health.holes * 3);
+    warnings.push(`Mesh has ${plural(health.holes, 'hole')} (${plural(health.boundary_edges, 'open edge')})`);
+    suggestions.push('Close holes in your CAD tool or run an automatic mesh repair before slicing');
+  }
+  if (health.non_manifold_edges > 0) {
+    score -= Math.min(20, 8 + Math.log10(health.non_manifold_edges + 1) * 4);
+    warnings.push(`${plural(health.non_manifold_edges, 'non-manifold edge')} found`);
+    suggestions.push('Non-manifold edges usually come from touching bodies – merge or separate them');
+  }
+  if (health.flipped_faces > 0) {
+    score -= Math.min(15, 5 + Math.log10(health.flipped_faces + 1) * 3);
+    warnings.push(health.inverted_shells > 0
+      ? `${plural(health.inverted_shells, 'shell')} inside-out (all normals flipped)`
+      : `${plural(health.flipped_faces, 'face')} with flipped normals`);
+    suggestions.push('Recalculate normals outward before exporting');
+  }
+  if (health.shells > 1) {
+    score -= Math.min(10, (health.shells - 1) * 2);
+    warnings.push(`Model consists of ${health.shells} disconnected shells`);
+    suggestions.push('Check that separate parts are intentional – loose shells may print as floating pieces');
+  }
+  if (health.zero_area_faces > 0) {
+    score -= Math.min(5, 1 + Math.log10(health.zero_area_faces + 1));
+    warnings.push(`${plural(health.zero_area_faces, 'degenerate (zero-area) face')}`);
+  }
+  if (health.thin_wall_samples > 0) {
+    score -= Math.min(25, 5 + health.thin_wall_fraction * 100);
+    warnings.push(`Walls down to ${health.min_wall_thickness_mm.toFixed(2)} mm (minimum ${health.min_wall_mm} mm) on ~${Math.max(1, Math.round(health.thin_wall_fraction * 100))}% of the surface`);
+    suggestions.push(`Thicken walls to at least ${health.min_wall_mm} mm or print with a smaller nozzle`);
+  }
+
+  score = Math.max(0, Math.round(score));
+
+  return {
+    overall_score: score,
+    is_printable: score >= 60 && health.holes === 0 && health.non_manifold_edges === 0,
+    is_watertight: health.is_watertight,
+    has_thin_walls: health.thin_wall_samples > 0,
+    warnings,
+    suggestions,
+  };
+};
@@ -0,0 +1,176 @@
+/**
+ * Mesh analysis - shared STL / 3MF / OBJ parsing
+ *
+ * Used by quoting, the file library and thumbnails. Parsing runs in a Web
+ * Worker so large customer files don't freeze the UI; environments without
+ * worker support fall back to parsing on the main thread.
+ *
+ * analyzeMesh() resolves to:
+ *   {
+ *     format, triangle_count,
+ *     volume_mm3, volume_cm3, surface_area_mm2, surface_area_cm2,
+ *     bbox: { min, max, size }, dimensions_mm: { width, depth, height },
+ *     inverted,            // true when the whole mesh is inside-out
+ *     objects: [{ name, start, count, triangle_count, volume_cm3, surface_area_cm2, bbox }],
+ *     positions?,          // Float32Array, only with includePositions
+ *     health?,             // topology/wall report (see health.js), only with includeHealth
+ *     printability?,       // { overall_score, warnings, suggestions, ... } from the health report
+ *     overhangs?           // per-face overhang data (see overhang.js), only with includeOverhangs
+ *   }
+ *
+ * rankOrientations() runs the orientation optimizer (orientation.js) in the
+ * same worker on positions returned by analyzeMesh().
+ */
+
+import { analyzeMeshBuffer } from './analyze';
+import { optimizeOrientation } from './orientation';
+
+export { MESH_FORMATS, detectMeshFormat, parseMesh } from './parsers';
+export { computeMeshMetrics, summarizeMesh } from './metrics';
+export { FACE_ISSUES, DEFAULT_MIN_WALL_MM, analyzeMeshHealth, scoreMeshHealth } from './health';
+export {
+  DEFAULT_OVERHANG_ANGLE,
+  SUPPORT_PROFILES,
+  measureOverhangs,
+  summarizeOverhangs,
+  estimateSupport,
+  overhangIntensity,
+} from './overhang';
+export { DEFAULT_ORIENTATION_WEIGHTS, optimizeOrientation } from './orientation';
+export {
+  DEFAULT_PLATE_SPACING_MM,
+  DEFAULT_PLATE_MARGIN_MM,
+  packPlates,
+  countPlates,
+  toPlateLayout,
+} from './packing';
+export { analyzeMeshBuffer };
+
+export const MESH_FILE_ACCEPT = '.stl,.3mf,.obj,.STL,.3MF,.OBJ';
+
+export const isMeshFile = (filename = '') => /\.(stl|3mf|obj)$/i.test(String(filename).split(/[?#]/)[0]);
+
+// ============================================
+// WORKER
+// ============================================
+
+let worker = null;
+let workerUnavailable = false;
+let nextRequestId = 0;
+const pending = new Map();
+
+const rejectPending = (error) => {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker || workerUnavailable) return worker;
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('./mesh.worker.js', import.meta.url));
+    worker.onmessage = (event) => {
+      const { id, result, error } = event.data || {};
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    worker.onerror = (event) => {
+      console.error('Mesh worker crashed:', event.message);
+      worker.terminate();
+      worker = null; // recreated on the next request
+      rejectPending(new Error(event.message || 'Mesh worker crashed'));
+    };
+  } catch (err) {
+    console.warn('Mesh worker unavailable, parsing on main thread:', err.message);
+    worker = null;
+    workerUnavailable = true;
+  }
+  return worker;
+};
+
+/**
+ * Read a File/Blob, URL, typed array or ArrayBuffer into an ArrayBuffer.
+ * `owned` is false when the buffer belongs to the caller.
+ */
+const readSource = async (source) => {
+  if (source instanceof ArrayBuffer) {
+    return { buffer: source, owned: false };
+  }
+  if (ArrayBuffer.isView(source)) {
+    return { buffer: source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength), owned: true };
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return { buffer: await source.arrayBuffer(), owned: true };
+  }
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch mesh (${response.status})`);
+    }
+    return { buffer: await response.arrayBuffer(), owned: true };
+  }
+  throw new Error('Unsupported mesh source');
+};
+
+/**
+ * Parse and measure a mesh file
+ * @param {File|Blob|string|ArrayBuffer|Uint8Array} source - file, URL or raw bytes
+ * @param {object} options
+ * @param {string} [options.filename] - used for format detection (defaults to File.name / URL)
+ * @param {boolean} [options.includePositions] - also return triangle positions for previews
+ * @param {boolean} [options.includeHealth] - run manifold/hole/normal/wall-thickness checks
+ * @param {object} [options.healthOptions] - e.g. { minWallMm }
+ * @param {boolean} [options.includeOverhangs] - measure downward faces for support estimates
+ * @returns {Promise<object>} mesh summary (see module comment)
+ */
+export const analyzeMesh = async (source, {
+  filename,
+  includePositions = false,
+  includeHealth = false,
+  healthOptions,
+  includeOverhangs = false,
+} = {}) => {
+  const { buffer, owned } = await readSource(source);
+  const name = filename || source?.name || (typeof source === 'string' ? source : '');
+
+  const options = { includePositions, includeHealth, healthOptions, includeOverhangs };
+
+  const meshWorker = getWorker();
+  if (!meshWorker) {
+    return analyzeMeshBuffer(buffer, { filename: name, ...options });
+  }
+
+  // Transferring detaches the buffer, so never hand over the caller's own
+  const payload = owned ? buffer : buffer.slice(0);
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pending.set(id, { resolve, reject });
+    meshWorker.postMessage({ id, buffer: payload, filename: name, ...options }, [payload]);
+  });
+};
+
+/**
+ * Rank print orientations for already-parsed positions (Z up)
+ * @param {Float32Array} positions - 9 floats per triangle; copied, never detached
+ * @param {object} options - see optimizeOrientation() in orientation.js
+ * @returns {Promise<Array<{ rank, rotation, score, source, metrics }>>}
+ */
+export const rankOrientations = async (positions, options = {}) => {
+  const meshWorker = getWorker();
+  if (!meshWorker) {
+    return optimizeOrientation(positions, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pending.set(id, { resolve, reject });
+    meshWorker.postMessage({ id, task: 'orientation', positions, options });
+  });
+};
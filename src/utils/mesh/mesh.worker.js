@@ -0,0 +1,37 @@
+/**
+ * Mesh worker - parses uploaded/downloaded models off the main thread.
+ *
+ * Message in:  { id, buffer: ArrayBuffer, filename, includePositions, includeHealth, healthOptions, includeOverhangs }
+ *          or   { id, task: 'orientation', positions: Float32Array, options }
+ * Message out: { id, result } or { id, error }
+ * Positions, health face flags and overhang arrays (when requested) are
+ * transferred, not copied.
+ */
+
+import { analyzeMeshBuffer } from './analyze';
+import { optimizeOrientation } from './orientation';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+ctx.onmessage = (event) => {
+  const { id, task, buffer, filename, ...options } = event.data;
+  try {
+    if (task === 'orientation') {
+      ctx.postMessage({ id, result: optimizeOrientation(options.positions, options.options) });
+      return;
+    }
+
+    const result = analyzeMeshBuffer(buffer, { filename, ...options });
+    const transfer = [];
+    if (result.positions) transfer.push(result.positions.buffer);
+    if (result.health) transfer.push(result.health.face_flags.buffer);
+    if (result.overhangs) {
+      const { overhang_deg: deg, projected_area: area, drop_height: drop } = result.overhangs;
+      transfer.push(deg.buffer, area.buffer, drop.buffer);
+    }
+    ctx.postMessage({ id, result }, transfer);
+  } catch (err) {
+    ctx.postMessage({ id, error: err.message || (task === 'orientation' ? 'Failed to optimize orientation' : 'Failed to parse mesh') });
+  }
+};
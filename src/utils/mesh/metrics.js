@@ -0,0 +1,123 @@
+/**
+ * Mesh metrics - volume, surface area and bounds from triangle soup
+ *
+ * Volume uses the divergence theorem (sum of signed tetrahedra against the
+ * origin), so it is exact for closed meshes regardless of where they sit.
+ * All lengths are in mm.
+ */
+
+const emptyBounds = () => ({
+  min: { x: Infinity, y: Infinity, z: Infinity },
+  max: { x: -Infinity, y: -Infinity, z: -Infinity },
+});
+
+/**
+ * Metrics for triangles [start, start + count) of a positions array
+ */
+export const computeMeshMetrics = (positions, start = 0, count = positions.length / 9) => {
+  const bounds = emptyBounds();
+  let signedVolume = 0;
+  let area = 0;
+  let triangles = 0;
+
+  const end = Math.min(start + count, positions.length / 9);
+  for (let t = start; t < end; t++) {
+    const i = t * 9;
+    const ax = positions[i], ay = positions[i + 1], az = positions[i + 2];
+    const bx = positions[i + 3], by = positions[i + 4], bz = positions[i + 5];
+    const cx = positions[i + 6], cy = positions[i + 7], cz = positions[i + 8];
+
+    // Skip triangles with NaN/Infinity coordinates from broken exporters
+    if (!Number.isFinite(ax + ay + az + bx + by + bz + cx + cy + cz)) continue;
+    triangles++;
+
+    if (ax < bounds.min.x) bounds.min.x = ax; if (ax > bounds.max.x) bounds.max.x = ax;
+    if (bx < bounds.min.x) bounds.min.x = bx; if (bx > bounds.max.x) bounds.max.x = bx;
+    if (cx < bounds.min.x) bounds.min.x = cx; if (cx > bounds.max.x) bounds.max.x = cx;
+    if (ay < bounds.min.y) bounds.min.y = ay; if (ay > bounds.max.y) bounds.max.y = ay;
+    if (by < bounds.min.y) bounds.min.y = by; if (by > bounds.max.y) bounds.max.y = by;
+    if (cy < bounds.min.y) bounds.min.y = cy; if (cy > bounds.max.y) bounds.max.y = cy;
+    if (az < bounds.min.z) bounds.min.z = az; if (az > bounds.max.z) bounds.max.z = az;
+    if (bz < bounds.min.z) bounds.min.z = bz; if (bz > bounds.max.z) bounds.max.z = bz;
+    if (cz < bounds.min.z) bounds.min.z = cz; if (cz > bounds.max.z) bounds.max.z = cz;
+
+    // Signed volume of tetrahedron (origin, a, b, c) = a · (b × c) / 6
+    signedVolume += (
+      ax * (by * cz - bz * cy) -
+      ay * (bx * cz - bz * cx) +
+      az * (bx * cy - by * cx)
+    ) / 6;
+
+    // Area = |(b - a) × (c - a)| / 2
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    area += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  }
+
+  if (triangles === 0) {
+    return {
+      triangle_count: 0,
+      volume_mm3: 0,
+      signed_volume_mm3: 0,
+      surface_area_mm2: 0,
+      bbox: { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 }, size: { x: 0, y: 0, z: 0 } },
+    };
+  }
+
+  return {
+    triangle_count: triangles,
+    // Inside-out meshes (all normals flipped) give a negative signed volume
+    volume_mm3: Math.abs(signedVolume),
+    signed_volume_mm3: signedVolume,
+    surface_area_mm2: area,
+    bbox: {
+      min: bounds.min,
+      max: bounds.max,
+      size: {
+        x: bounds.max.x - bounds.min.x,
+        y: bounds.max.y - bounds.min.y,
+        z: bounds.max.z - bounds.min.z,
+      },
+    },
+  };
+};
+
+/**
+ * Caller-facing summary: totals plus per-object metrics, in the units the
+ * quoting components already use (cm³, cm², width/depth/height in mm)
+ */
+export const summarizeMesh = (parsed) => {
+  const { positions, objects, format } = parsed;
+  const total = computeMeshMetrics(positions);
+
+  return {
+    format,
+    triangle_count: total.triangle_count,
+    volume_mm3: total.volume_mm3,
+    volume_cm3: total.volume_mm3 / 1000,
+    surface_area_mm2: total.surface_area_mm2,
+    surface_area_cm2: total.surface_area_mm2 / 100,
+    bbox: total.bbox,
+    dimensions_mm: {
+      width: total.bbox.size.x,
+      depth: total.bbox.size.y,
+      height: total.bbox.size.z,
+    },
+    inverted: total.signed_volume_mm3 < 0,
+    objects: objects.map(object => {
+      const metrics = computeMeshMetrics(positions, object.start, object.count);
+      return {
+        name: object.name,
+        start: object.start,
+        count: object.count,
+        triangle_count: metrics.triangle_count,
+        volume_cm3: metrics.volume_mm3 / 1000,
+        surface_area_cm2: metrics.surface_area_mm2 / 100,
+        bbox: metrics.bbox,
+      };
+    }),
+  };
+};
@@ -0,0 +1,510 @@
+/**
+ * Print orientation optimizer
+ *
+ * Candidate "down" directions come from the stable faces of the convex hull
+ * (the model can actually rest on them) plus an even sample of the sphere.
+ * Each candidate is turned into a rotation, the model's Z spin is chosen to
+ * fit the bed, and the result is scored on
+ * - support area (downward faces steeper than the overhang angle)
+ * - height (layer count ≈ print time)
+ * - bed contact area (adhesion)
+ * - whether the bounding box fits the printer bed.
+ *
+ * Rotations use the slicer viewer's convention: degrees, applied X, then Y,
+ * then Z, with Z up.
+ */
+
+import { DEFAULT_OVERHANG_ANGLE } from './overhang';
+
+const MAX_HULL_POINTS = 600;
+const EXTREME_DIRECTIONS = 160;
+const SPHERE_SAMPLES = 48;
+const MAX_HULL_CANDIDATES = 24;
+const MAX_SAMPLE_FACES = 20000;
+const DUPLICATE_ANGLE_DEG = 3;
+const SPIN_STEP_DEG = 15;
+
+export const DEFAULT_ORIENTATION_WEIGHTS = {
+  support: 0.5,
+  height: 0.3,
+  contact: 0.2,
+};
+
+// ============================================
+// VECTOR HELPERS
+// ============================================
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const normalize = (a) => {
+  const length = Math.sqrt(dot(a, a)) || 1;
+  return [a[0] / length, a[1] / length, a[2] / length];
+};
+
+/**
+ * Evenly spread unit vectors (Fibonacci sphere)
+ */
+const fibonacciSphere = (count) => {
+  const points = [];
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const y = 1 - (2 * (i + 0.5)) / count;
+    const r = Math.sqrt(1 - y * y);
+    const theta = golden * i;
+    points.push([Math.cos(theta) * r, y, Math.sin(theta) * r]);
+  }
+  return points;
+};
+
+// ============================================
+// ROTATIONS
+// ============================================
+
+const DEG = 180 / Math.PI;
+
+/**
+ * Row-major 3×3 matrix for Rz(z) · Ry(y) · Rx(x), angles in radians
+ */
+const rotationMatrix = (x, y, z) => {
+  const cx = Math.cos(x), sx = Math.sin(x);
+  const cy = Math.cos(y), sy = Math.sin(y);
+  const cz = Math.cos(z), sz = Math.sin(z);
+  return [
+    cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx,
+    sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx,
+    -sy, cy * sx, cy * cx,
+  ];
+};
+
+const applyMatrix = (m, v) => [
+  m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+  m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+  m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+];
+
+/**
+ * X and Y angles (radians) that turn `down` to point at -Z
+ */
+const anglesForDown = (down) => {
+  // Rx folds the Y component into -Z, Ry then swings X onto -Z
+  const x = Math.atan2(-down[1], -down[2]);
+  const rho = Math.sqrt(down[1] * down[1] + down[2] * down[2]);
+  const y = Math.atan2(down[0], rho);
+  return { x, y };
+};
+
+const normalizeDegrees = (deg) => {
+  let d = Math.round(deg * 10) / 10;
+  d %= 360;
+  if (d > 180) d -= 360;
+  if (d <= -180) d += 360;
+  return d === 0 ? 0 : d; // no -0 in the UI
+};
+
+// ============================================
+// CONVEX HULL
+// ============================================
+
+/**
+ * Hull input: vertices extreme along many directions plus a spread sample,
+ * so the hull (and every rotated bounding box) keeps the true extremes.
+ */
+const collectHullPoints = (positions) => {
+  const vertexCount = positions.length / 3;
+  const chosen = new Set();
+  const directions = fibonacciSphere(EXTREME_DIRECTIONS);
+
+  for (const d of directions) {
+    let best = -Infinity;
+    let bestIndex = 0;
+    for (let v = 0; v < vertexCount; v++) {
+      const value = positions[v * 3] * d[0] + positions[v * 3 + 1] * d[1] + positions[v * 3 + 2] * d[2];
+      if (value > best) {
+        best = value;
+        bestIndex = v;
+      }
+    }
+    chosen.add(bestIndex);
+  }
+
+  const stride = Math.max(1, Math.floor(vertexCount / Math.max(1, MAX_HULL_POINTS - chosen.size)));
+  for (let v = 0; v < vertexCount && chosen.size < MAX_HULL_POINTS; v += stride) {
+    chosen.add(v);
+  }
+
+  return Array.from(chosen, v => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]]);
+};
+
+/**
+ * Incremental 3D convex hull. Returns outward-facing triangles
+ * [{ a, b, c, normal, offset }] over `points`, or null for flat input.
+ */
+export const convexHull = (points) => {
+  if (points.length < 4) return null;
+  const eps = 1e-9;
+
+  // Initial tetrahedron from extreme points
+  let i0 = 0;
+  let i1 = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i][0] < points[i0][0]) i0 = i;
+    if (points[i][0] > points[i1][0]) i1 = i;
+  }
+  if (i0 === i1) i1 = points.findIndex((p, i) => i !== i0 && dot(sub(p, points[i0]), sub(p, points[i0])) > eps);
+  if (i1 < 0) return null;
+
+  const lineDir = sub(points[i1], points[i0]);
+  let i2 = -1;
+  let bestArea = eps;
+  points.forEach((p, i) => {
+    const area = dot(cross(lineDir, sub(p, points[i0])), cross(lineDir, sub(p, points[i0])));
+    if (area > bestArea) {
+      bestArea = area;
+      i2 = i;
+    }
+  });
+  if (i2 < 0) return null;
+
+  const planeNormal = cross(lineDir, sub(points[i2], points[i0]));
+  let i3 = -1;
+  let bestDist = 1e-7 * Math.sqrt(dot(planeNormal, planeNormal));
+  points.forEach((p, i) => {
+    const dist = Math.abs(dot(planeNormal, sub(p, points[i0])));
+    if (dist > bestDist) {
+      bestDist = dist;
+      i3 = i;
+    }
+  });
+  if (i3 < 0) return null;
+
+  const centroid = [0, 1, 2].map(k => (points[i0][k] + points[i1][k] + points[i2][k] + points[i3][k]) / 4);
+  const makeFace = (a, b, c) => {
+    let normal = normalize(cross(sub(points[b], points[a]), sub(points[c], points[a])));
+    let face = { a, b, c, normal, offset: dot(normal, points[a]) };
+    if (dot(normal, centroid) - face.offset > 0) {
+      normal = [-normal[0], -normal[1], -normal[2]];
+      face = { a, b: c, c: b, normal, offset: dot(normal, points[a]) };
+    }
+    return face;
+  };
+
+  let faces = [
+    makeFace(i0, i1, i2),
+    makeFace(i0, i1, i3),
+    makeFace(i0, i2, i3),
+    makeFace(i1, i2, i3),
+  ];
+  const used = new Set([i0, i1, i2, i3]);
+
+  for (let p = 0; p < points.length; p++) {
+    if (used.has(p)) continue;
+    const point = points[p];
+    const tolerance = 1e-7 * (1 + Math.abs(dot(point, point)));
+    const visible = [];
+    const kept = [];
+    for (const f of faces) {
+      if (dot(f.normal, point) - f.offset > tolerance) visible.push(f);
+      else kept.push(f);
+    }
+    if (visible.length === 0) continue;
+
+    // Horizon = directed edges of visible faces whose reverse isn't visible
+    const edges = new Set();
+    visible.forEach(f => {
+      edges.add(`${f.a}_${f.b}`);
+      edges.add(`${f.b}_${f.c}`);
+      edges.add(`${f.c}_${f.a}`);
+    });
+    const horizon = [];
+    visible.forEach(f => {
+      [[f.a, f.b], [f.b, f.c], [f.c, f.a]].forEach(([u, v]) => {
+        if (!edges.has(`${v}_${u}`)) horizon.push([u, v]);
+      });
+    });
+
+    for (const [u, v] of horizon) {
+      const normal = normalize(cross(sub(points[v], points[u]), sub(point, points[u])));
+      kept.push({ a: u, b: v, c: p, normal, offset: dot(normal, points[u]) });
+    }
+    faces = kept;
+    used.add(p);
+  }
+
+  return faces;
+};
+
+// 2D convex hull (monotone chain), counter-clockwise
+const convexHull2D = (pts) => {
+  const sorted = [...pts].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const turn = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && turn(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && turn(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+};
+
+const insidePolygon = (polygon, point) => {
+  if (polygon.length < 3) return false;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    if ((b[0] - a[0]) * (point[1] - a[1]) - (b[1] - a[1]) * (point[0] - a[0]) < 0) return false;
+  }
+  return true;
+};
+
+/**
+ * Hull facets the model can rest on: coplanar hull triangles merged, kept
+ * when the centre of mass projects inside the facet. Largest first.
+ */
+const stableHullDirections = (points, hull, centerOfMass) => {
+  const groups = [];
+  hull.forEach(face => {
+    let group = groups.find(g => dot(g.normal, face.normal) > 0.9995);
+    if (!group) {
+      group = { normal: face.normal, vertices: new Set(), area: 0 };
+      groups.push(group);
+    }
+    const [a, b, c] = [points[face.a], points[face.b], points[face.c]];
+    const n = cross(sub(b, a), sub(c, a));
+    group.area += Math.sqrt(dot(n, n)) / 2;
+    group.vertices.add(face.a).add(face.b).add(face.c);
+  });
+
+  return groups
+    .filter(group => {
+      const n = group.normal;
+      const u = normalize(Math.abs(n[0]) < 0.9 ? cross(n, [1, 0, 0]) : cross(n, [0, 1, 0]));
+      const v = cross(n, u);
+      const polygon = convexHull2D(Array.from(group.vertices, i => [dot(points[i], u), dot(points[i], v)]));
+      return insidePolygon(polygon, [dot(centerOfMass, u), dot(centerOfMass, v)]);
+    })
+    .sort((a, b) => b.area - a.area)
+    .slice(0, MAX_HULL_CANDIDATES)
+    .map(group => ({ down: group.normal, source: 'hull', facet_area_mm2: group.area }));
+};
+
+// ============================================
+// FACE SAMPLE
+// ============================================
+
+/**
+ * Area-weighted face sample: large faces are always kept with their real
+ * area, small ones are sampled systematically and stand for `step` mm² each.
+ */
+const sampleFaces = (positions) => {
+  const faceCount = Math.floor(positions.length / 9);
+  const areas = new Float64Array(faceCount);
+  const normals = new Float64Array(faceCount * 3);
+  let totalArea = 0;
+
+  for (let f = 0; f < faceCount; f++) {
+    const i = f * 9;
+    const n = cross(
+      [positions[i + 3] - positions[i], positions[i + 4] - positions[i + 1], positions[i + 5] - positions[i + 2]],
+      [positions[i + 6] - positions[i], positions[i + 7] - positions[i + 1], positions[i + 8] - positions[i + 2]]
+    );
+    const length = Math.sqrt(dot(n, n));
+    areas[f] = length / 2;
+    totalArea += areas[f];
+    if (length > 0) {
+      normals[f * 3] = n[0] / length;
+      normals[f * 3 + 1] = n[1] / length;
+      normals[f * 3 + 2] = n[2] / length;
+    }
+  }
+
+  const step = faceCount > MAX_SAMPLE_FACES ? totalArea / MAX_SAMPLE_FACES : 0;
+  const sample = [];
+  let carry = step / 2;
+  for (let f = 0; f < faceCount; f++) {
+    if (areas[f] === 0) continue;
+    if (step === 0 || areas[f] >= step) {
+      sample.push({ f, weight: areas[f] });
+      continue;
+    }
+    carry += areas[f];
+    if (carry >= step) {
+      carry -= step;
+      sample.push({ f, weight: step });
+    }
+  }
+
+  return sample.map(({ f, weight }) => {
+    const i = f * 9;
+    return {
+      weight,
+      normal: [normals[f * 3], normals[f * 3 + 1], normals[f * 3 + 2]],
+      centroid: [
+        (positions[i] + positions[i + 3] + positions[i + 6]) / 3,
+        (positions[i + 1] + positions[i + 4] + positions[i + 7]) / 3,
+        (positions[i + 2] + positions[i + 5] + positions[i + 8]) / 3,
+      ],
+    };
+  });
+};
+
+const centerOfMass = (positions) => {
+  let volume = 0;
+  const sum = [0, 0, 0];
+  for (let i = 0; i < positions.length; i += 9) {
+    const a = [positions[i], positions[i + 1], positions[i + 2]];
+    const b = [positions[i + 3], positions[i + 4], positions[i + 5]];
+    const c = [positions[i + 6], positions[i + 7], positions[i + 8]];
+    const v = dot(a, cross(b, c)) / 6;
+    volume += v;
+    for (let k = 0; k < 3; k++) sum[k] += v * (a[k] + b[k] + c[k]) / 4;
+  }
+  if (Math.abs(volume) > 1e-9) return sum.map(s => s / volume);
+
+  // Open/flat mesh - vertex average is good enough for stability checks
+  const avg = [0, 0, 0];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) avg[k] += positions[i + k];
+  }
+  return avg.map(s => s / (positions.length / 3));
+};
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const fitsBed = (size, bed) => !bed || (size.x <= bed.x && size.y <= bed.y && size.z <= bed.z);
+
+/**
+ * Rotate hull points, pick the Z spin with the smallest footprint that fits
+ * the bed, and measure the candidate.
+ */
+const evaluateCandidate = (candidate, hullPoints, sample, bed, overhangAngle) => {
+  const { x, y } = anglesForDown(candidate.down);
+  const threshold = -Math.sin(overhangAngle / DEG);
+
+  // Z spin only changes the footprint, so choose it from the hull alone
+  let best = null;
+  for (let spinDeg = 0; spinDeg < 180; spinDeg += SPIN_STEP_DEG) {
+    const m = rotationMatrix(x, y, spinDeg / DEG);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const p of hullPoints) {
+      const r = applyMatrix(m, p);
+      for (let k = 0; k < 3; k++) {
+        if (r[k] < min[k]) min[k] = r[k];
+        if (r[k] > max[k]) max[k] = r[k];
+      }
+    }
+    const size = { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] };
+    const fits = fitsBed(size, bed);
+    const footprint = size.x * size.y;
+    if (!best || (fits && !best.fits) || (fits === best.fits && footprint < best.footprint - 1e-6)) {
+      best = { spinDeg, m, min, size, fits, footprint };
+    }
+  }
+
+  const { m, min, size, fits, spinDeg } = best;
+  let supportArea = 0;
+  let supportVolume = 0;
+  let contactArea = 0;
+
+  for (const face of sample) {
+    const nz = m[6] * face.normal[0] + m[7] * face.normal[1] + m[8] * face.normal[2];
+    if (nz >= threshold) continue;
+    const cz = m[6] * face.centroid[0] + m[7] * face.centroid[1] + m[8] * face.centroid[2] - min[2];
+    if (cz < 0.2 && nz < -0.985) {
+      contactArea += face.weight;
+    } else if (cz >= 0.5) {
+      const projected = face.weight * -nz;
+      supportArea += projected;
+      supportVolume += projected * cz;
+    }
+  }
+
+  return {
+    rotation: { x: normalizeDegrees(x * DEG), y: normalizeDegrees(y * DEG), z: normalizeDegrees(spinDeg) },
+    down: candidate.down,
+    source: candidate.source,
+    metrics: {
+      support_area_cm2: supportArea / 100,
+      support_volume_cm3: supportVolume / 1000,
+      height_mm: size.z,
+      contact_area_cm2: contactArea / 100,
+      size,
+      fits,
+    },
+  };
+};
+
+/**
+ * Rank print orientations for a positions array (9 floats per triangle)
+ * @param {Float32Array} positions
+ * @param {object} options
+ * @param {{x: number, y: number, z: number}} [options.bed] - build volume in mm
+ * @param {number} [options.overhangAngle] - support threshold from vertical
+ * @param {object} [options.weights] - { support, height, contact }
+ * @param {number} [options.limit] - number of results
+ * @returns {Array<{ rotation, score, source, metrics }>} best first
+ */
+export const optimizeOrientation = (positions, {
+  bed = null,
+  overhangAngle = DEFAULT_OVERHANG_ANGLE,
+  weights = DEFAULT_ORIENTATION_WEIGHTS,
+  limit = 6,
+} = {}) => {
+  if (!positions || positions.length < 9) return [];
+
+  const hullPoints = collectHullPoints(positions);
+  const hull = convexHull(hullPoints);
+  const com = centerOfMass(positions);
+  const sample = sampleFaces(positions);
+
+  // As-is orientation always competes, then hull facets, then the sphere
+  const candidates = [
+    { down: [0, 0, -1], source: 'current' },
+    ...(hull ? stableHullDirections(hullPoints, hull, com) : []),
+    ...fibonacciSphere(SPHERE_SAMPLES).map(down => ({ down, source: 'sphere' })),
+  ];
+
+  const minDot = Math.cos(DUPLICATE_ANGLE_DEG / DEG);
+  const unique = [];
+  candidates.forEach(candidate => {
+    if (!unique.some(u => dot(u.down, candidate.down) > minDot)) unique.push(candidate);
+  });
+
+  const results = unique.map(candidate => evaluateCandidate(candidate, hullPoints, sample, bed, overhangAngle));
+
+  // Normalise against the spread of this model's candidates
+  const maxSupport = Math.max(...results.map(r => r.metrics.support_area_cm2), 1e-6);
+  const maxHeight = Math.max(...results.map(r => r.metrics.height_mm), 1e-6);
+  const maxContact = Math.max(...results.map(r => r.metrics.contact_area_cm2), 1e-6);
+  const w = { ...DEFAULT_ORIENTATION_WEIGHTS, ...weights };
+  const totalWeight = w.support + w.height + w.contact || 1;
+
+  results.forEach(result => {
+    const { support_area_cm2: support, height_mm: height, contact_area_cm2: contact, fits } = result.metrics;
+    const cost = (
+      w.support * (support / maxSupport) +
+      w.height * (height / maxHeight) +
+      w.contact * (1 - contact / maxContact)
+    ) / totalWeight;
+    result.score = fits ? Math.round(100 * (1 - cost)) : 0;
+    result.cost = cost + (fits ? 0 : 1);
+  });
+
+  return results
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, limit)
+    .map(({ cost, ...result }, index) => ({ ...result, rank: index + 1 }));
+};
@@ -0,0 +1,181 @@
+/**
+ * Overhangs and support estimation
+ *
+ * The worker measures every downward-facing triangle once (overhang angle,
+ * area projected onto the bed and how far a support column has to drop
+ * before it lands on the bed or on the model). Applying an angle threshold
+ * to that is cheap, so the UI can change the angle without re-parsing.
+ *
+ * Angles are measured from vertical: a wall is 0°, a flat ceiling is 90°.
+ * Z is up, as in STL/3MF.
+ */
+
+import { buildTriangleGrid, castRay, computeBounds } from './raycast';
+
+// Matches the default overhang angle of the slicer support settings
+export const DEFAULT_OVERHANG_ANGLE = 45;
+
+// Faces shallower than this are never measured (below any sensible threshold)
+const MIN_MEASURED_ANGLE = 15;
+
+// Support columns shorter than this sit on the bed/model - nothing to print
+const MIN_SUPPORT_HEIGHT_MM = 0.3;
+
+/**
+ * Support styles (ids match SUPPORT_TYPES in the slicer).
+ * fill = share of the supported volume that is actually extruded.
+ */
+export const SUPPORT_PROFILES = {
+  normal: { label: 'Normal Grid', fill: 0.15 },
+  auto: { label: 'Auto (Tree)', fill: 0.10 },
+  organic: { label: 'Organic', fill: 0.08 },
+};
+
+// Supports print at a lower volumetric rate than infill (mm³/s)
+const SUPPORT_FLOW_MM3_S = 6;
+// Interface layers + removal overhead per cm² of supported area (s)
+const SUPPORT_INTERFACE_S_PER_CM2 = 4;
+
+// ============================================
+// MEASUREMENT (worker)
+// ============================================
+
+/**
+ * Per-face overhang data for a positions array (9 floats per triangle)
+ * @returns {{ overhang_deg: Float32Array, projected_area: Float32Array, drop_height: Float32Array, bed_z: number }}
+ */
+export const measureOverhangs = (positions) => {
+  const faceCount = Math.floor(positions.length / 9);
+  const overhangDeg = new Float32Array(faceCount);
+  const projectedArea = new Float32Array(faceCount);
+  const dropHeight = new Float32Array(faceCount);
+  const normals = new Float32Array(faceCount * 3);
+  const bounds = computeBounds(positions);
+  const bedZ = bounds.min.z;
+  const minNz = -Math.sin((MIN_MEASURED_ANGLE * Math.PI) / 180);
+
+  const candidates = [];
+  for (let f = 0; f < faceCount; f++) {
+    const i = f * 9;
+    const ux = positions[i + 3] - positions[i], uy = positions[i + 4] - positions[i + 1], uz = positions[i + 5] - positions[i + 2];
+    const vx = positions[i + 6] - positions[i], vy = positions[i + 7] - positions[i + 1], vz = positions[i + 8] - positions[i + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length === 0) continue;
+
+    normals[f * 3] = nx / length;
+    normals[f * 3 + 1] = ny / length;
+    normals[f * 3 + 2] = nz / length;
+
+    const unitNz = nz / length;
+    if (unitNz >= minNz) continue;
+    overhangDeg[f] = (Math.asin(Math.min(1, -unitNz)) * 180) / Math.PI;
+    // |n| = 2 × area, and -nz/|n| projects it onto the bed
+    projectedArea[f] = -nz / 2;
+    candidates.push(f);
+  }
+
+  if (candidates.length > 0) {
+    const grid = buildTriangleGrid(positions, faceCount, null, bounds);
+    const down = [0, 0, -1];
+
+    for (const f of candidates) {
+      const i = f * 9;
+      const cz = (positions[i + 2] + positions[i + 5] + positions[i + 8]) / 3;
+      const height = cz - bedZ;
+      if (height < MIN_SUPPORT_HEIGHT_MM) continue;
+
+      const origin = [
+        (positions[i] + positions[i + 3] + positions[i + 6]) / 3,
+        (positions[i + 1] + positions[i + 4] + positions[i + 7]) / 3,
+        cz - 1e-4,
+      ];
+      // The column stops on the first upward-facing surface below the face
+      const hit = castRay(grid, positions, normals, f, origin, down, height, 'front');
+      dropHeight[f] = hit === null ? height : hit;
+    }
+  }
+
+  return {
+    overhang_deg: overhangDeg,
+    projected_area: projectedArea,
+    drop_height: dropHeight,
+    bed_z: bedZ,
+  };
+};
+
+// ============================================
+// THRESHOLD + SUPPORT ESTIMATE (main thread)
+// ============================================
+
+/**
+ * Overhang totals for a threshold angle
+ * @param {object} overhangs - result of measureOverhangs()
+ * @param {number} angle - faces steeper than this (from vertical) need support
+ */
+export const summarizeOverhangs = (overhangs, angle = DEFAULT_OVERHANG_ANGLE) => {
+  const { overhang_deg: deg, projected_area: area, drop_height: drop } = overhangs;
+  let faces = 0;
+  let areaMm2 = 0;
+  let volumeMm3 = 0;
+  let maxAngle = 0;
+
+  for (let f = 0; f < deg.length; f++) {
+    if (deg[f] > maxAngle) maxAngle = deg[f];
+    if (deg[f] <= angle || drop[f] < MIN_SUPPORT_HEIGHT_MM) continue;
+    faces++;
+    areaMm2 += area[f];
+    volumeMm3 += area[f] * drop[f];
+  }
+
+  return {
+    angle,
+    overhang_faces: faces,
+    overhang_area_mm2: areaMm2,
+    overhang_area_cm2: areaMm2 / 100,
+    support_volume_cm3: volumeMm3 / 1000,
+    max_overhang_angle: Math.round(maxAngle),
+  };
+};
+
+/**
+ * Support material (g) and print time (h) for an overhang summary
+ * @param {object} summary - from summarizeOverhangs()
+ * @param {object} options
+ * @param {string} [options.supportType] - key of SUPPORT_PROFILES
+ * @param {number} [options.density] - material density g/cm³
+ */
+export const estimateSupport = (summary, { supportType = 'auto', density = 1.24 } = {}) => {
+  const profile = SUPPORT_PROFILES[supportType] || SUPPORT_PROFILES.auto;
+  if (!summary || summary.overhang_faces === 0) {
+    return { support_type: supportType, weight_g: 0, time_hours: 0 };
+  }
+
+  const extrudedCm3 = summary.support_volume_cm3 * profile.fill;
+  const printSeconds = (extrudedCm3 * 1000) / SUPPORT_FLOW_MM3_S;
+  const interfaceSeconds = summary.overhang_area_cm2 * SUPPORT_INTERFACE_S_PER_CM2;
+
+  return {
+    support_type: supportType,
+    weight_g: extrudedCm3 * density,
+    time_hours: (printSeconds + interfaceSeconds) / 3600,
+  };
+};
+
+/**
+ * Heatmap intensity per face: 0 = no support needed, 0..1 = how far past
+ * the threshold towards a flat ceiling
+ */
+export const overhangIntensity = (overhangs, angle = DEFAULT_OVERHANG_ANGLE) => {
+  const { overhang_deg: deg, drop_height: drop } = overhangs;
+  const intensity = new Float32Array(deg.length);
+  const span = Math.max(1, 90 - angle);
+  for (let f = 0; f < deg.length; f++) {
+    if (deg[f] > angle && drop[f] >= MIN_SUPPORT_HEIGHT_MM) {
+      intensity[f] = Math.min(1, 0.15 + ((deg[f] - angle) / span) * 0.85);
+    }
+  }
+  return intensity;
+};
@@ -0,0 +1,230 @@
+/**
+ * Plate packing - arrange part footprints on printer beds
+ *
+ * Parts are packed as their bounding footprint (width × depth after the
+ * print orientation) with MaxRects, best-short-side-fit. Each part may be
+ * turned 90° on the bed. Parts are kept `spacing` mm apart and `margin` mm
+ * away from the bed edges; when a plate is full a new one is started, so
+ * the plate count for a quantity falls out of the same packing.
+ *
+ * Placements use bed coordinates: origin at the front-left corner, x/y are
+ * the centre of the part.
+ */
+
+export const DEFAULT_PLATE_SPACING_MM = 5;
+export const DEFAULT_PLATE_MARGIN_MM = 5;
+
+// Safety limit for one arrangement; countPlates extrapolates past it
+export const MAX_PACKED_PARTS = 2000;
+
+// ============================================
+// MAXRECTS BIN
+// ============================================
+
+const createBin = (width, height) => ({
+  width,
+  height,
+  free: [{ x: 0, y: 0, w: width, h: height }],
+});
+
+/**
+ * Best free-rect position for a w × h part, or null
+ */
+const findPosition = (bin, w, h, allowRotate) => {
+  let best = null;
+  const consider = (rect, pw, ph, rotated) => {
+    if (pw > rect.w + 1e-6 || ph > rect.h + 1e-6) return;
+    const shortSide = Math.min(rect.w - pw, rect.h - ph);
+    const longSide = Math.max(rect.w - pw, rect.h - ph);
+    if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+      best = { x: rect.x, y: rect.y, w: pw, h: ph, rotated, shortSide, longSide };
+    }
+  };
+
+  for (const rect of bin.free) {
+    consider(rect, w, h, false);
+    if (allowRotate && w !== h) consider(rect, h, w, true);
+  }
+  return best;
+};
+
+const overlaps = (a, b) => a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+
+const contains = (a, b) => b.x >= a.x && b.y >= a.y && b.x + b.w <= a.x + a.w && b.y + b.h <= a.y + a.h;
+
+/**
+ * Reserve a rect in the bin: split every free rect it touches into the
+ * maximal rects around it, then drop free rects contained in others
+ */
+const placeRect = (bin, placed) => {
+  const next = [];
+  for (const rect of bin.free) {
+    if (!overlaps(rect, placed)) {
+      next.push(rect);
+      continue;
+    }
+    if (placed.x > rect.x) next.push({ x: rect.x, y: rect.y, w: placed.x - rect.x, h: rect.h });
+    if (placed.x + placed.w < rect.x + rect.w) {
+      next.push({ x: placed.x + placed.w, y: rect.y, w: rect.x + rect.w - placed.x - placed.w, h: rect.h });
+    }
+    if (placed.y > rect.y) next.push({ x: rect.x, y: rect.y, w: rect.w, h: placed.y - rect.y });
+    if (placed.y + placed.h < rect.y + rect.h) {
+      next.push({ x: rect.x, y: placed.y + placed.h, w: rect.w, h: rect.y + rect.h - placed.y - placed.h });
+    }
+  }
+
+  bin.free = next.filter((rect, i) => !next.some((other, j) => (
+    i !== j && contains(other, rect) && (!contains(rect, other) || j < i)
+  )));
+};
+
+// ============================================
+// PACKING
+// ============================================
+
+/**
+ * Pack parts onto as few plates as possible
+ * @param {Array<{ key: string, name?: string, file_path?: string, width: number, depth: number, quantity?: number, rotation?: object }>} items
+ *   footprints in mm; rotation is the print orientation and is passed through
+ * @param {{ x: number, y: number }} bed - bed size in mm
+ * @param {object} options
+ * @param {number} [options.spacing] - minimum gap between parts (mm)
+ * @param {number} [options.margin] - minimum distance from the bed edges (mm)
+ * @param {boolean} [options.allowRotate] - allow turning parts 90° on the bed
+ * @returns {{ plates, plates_needed, placed, unplaced, spacing, margin, bed }}
+ */
+export const packPlates = (items, bed, {
+  spacing = DEFAULT_PLATE_SPACING_MM,
+  margin = DEFAULT_PLATE_MARGIN_MM,
+  allowRotate = true,
+} = {}) => {
+  const usableX = bed.x - 2 * margin;
+  const usableY = bed.y - 2 * margin;
+  const unplaced = [];
+
+  // One entry per copy, largest first
+  const parts = [];
+  items.forEach(item => {
+    const count = Math.max(0, Math.floor(item.quantity ?? 1));
+    const fits = usableX > 0 && usableY > 0 && (
+      (item.width <= usableX && item.depth <= usableY) ||
+      (allowRotate && item.depth <= usableX && item.width <= usableY)
+    );
+    if (!fits || !(item.width > 0) || !(item.depth > 0)) {
+      if (count > 0) unplaced.push({ key: item.key, name: item.name, width: item.width, depth: item.depth, count });
+      return;
+    }
+    for (let copy = 1; copy <= count; copy++) parts.push({ item, copy });
+  });
+
+  if (parts.length > MAX_PACKED_PARTS) {
+    throw new Error(`Too many parts to arrange at once (${parts.length}, max ${MAX_PACKED_PARTS})`);
+  }
+
+  parts.sort((a, b) => (b.item.width * b.item.depth) - (a.item.width * a.item.depth)
+    || Math.max(b.item.width, b.item.depth) - Math.max(a.item.width, a.item.depth));
+
+  // Spacing is added to every part and to the usable area once, so the gap
+  // only appears between parts and never eats into the edge margin
+  const plates = [];
+  for (const { item, copy } of parts) {
+    const w = item.width + spacing;
+    const h = item.depth + spacing;
+
+    let target = null;
+    let position = null;
+    for (const plate of plates) {
+      position = findPosition(plate.bin, w, h, allowRotate);
+      if (position) {
+        target = plate;
+        break;
+      }
+    }
+    if (!target) {
+      target = { index: plates.length + 1, bin: createBin(usableX + spacing, usableY + spacing), placements: [] };
+      plates.push(target);
+      position = findPosition(target.bin, w, h, allowRotate);
+    }
+
+    placeRect(target.bin, position);
+    const width = position.rotated ? item.depth : item.width;
+    const depth = position.rotated ? item.width : item.depth;
+    target.placements.push({
+      key: item.key,
+      name: item.name,
+      file_path: item.file_path,
+      copy,
+      x: margin + position.x + width / 2,
+      y: margin + position.y + depth / 2,
+      width,
+      depth,
+      rotated: position.rotated,
+      rotation: item.rotation || null,
+    });
+  }
+
+  const bedArea = bed.x * bed.y;
+  return {
+    bed: { x: bed.x, y: bed.y },
+    spacing,
+    margin,
+    plates: plates.map(({ index, placements }) => {
+      const usedArea = placements.reduce((sum, p) => sum + p.width * p.depth, 0);
+      return {
+        index,
+        placements,
+        used_area_mm2: usedArea,
+        utilization: bedArea > 0 ? usedArea / bedArea : 0,
+      };
+    }),
+    plates_needed: plates.length,
+    placed: parts.length,
+    unplaced,
+  };
+};
+
+/**
+ * Plates needed for `quantity` copies of one footprint
+ * @returns {{ plates_needed: number, copies_per_plate: number, fits: boolean }}
+ */
+export const countPlates = (footprint, quantity, bed, options = {}) => {
+  // Copies of one part fill every plate alike, so past the packing limit
+  // the first full plate sets the count for the rest
+  const packed = Math.min(quantity, MAX_PACKED_PARTS);
+  const layout = packPlates([{ key: 'part', ...footprint, quantity: packed }], bed, options);
+  const copiesPerPlate = layout.plates[0]?.placements.length || 0;
+  return {
+    plates_needed: packed < quantity && copiesPerPlate > 0
+      ? Math.ceil(Math.floor(quantity) / copiesPerPlate)
+      : layout.plates_needed,
+    copies_per_plate: copiesPerPlate,
+    fits: layout.unplaced.length === 0,
+  };
+};
+
+/**
+ * Slicer payload for one packed plate. Bed-turned parts get an extra 90°
+ * Z spin on top of their print orientation.
+ */
+export const toPlateLayout = (layout, plateIndex = 1) => {
+  const plate = layout.plates.find(p => p.index === plateIndex);
+  if (!plate) return null;
+
+  return {
+    bed: layout.bed,
+    spacing: layout.spacing,
+    margin: layout.margin,
+    plate: plate.index,
+    plates_total: layout.plates_needed,
+    objects: plate.placements.map(p => {
+      const rotation = { x: 0, y: 0, z: 0, ...p.rotation };
+      return {
+        file_path: p.file_path,
+        name: p.name,
+        copy: p.copy,
+        position: { x: Math.round(p.x * 100) / 100, y: Math.round(p.y * 100) / 100 },
+        rotation: { ...rotation, z: p.rotated ? (rotation.z + 90) % 360 : rotation.z },
+      };
+    }),
+  };
+};
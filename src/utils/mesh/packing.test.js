@@ -0,0 +1,77 @@
+import { countPlates, MAX_PACKED_PARTS, packPlates, toPlateLayout } from './packing';
+
+const BED = { x: 256, y: 256 };
+
+describe('packPlates', () => {
+  it('keeps parts inside the margin and apart by the spacing', () => {
+    const layout = packPlates([{ key: 'a', width: 40, depth: 30, quantity: 12 }], BED, { spacing: 5, margin: 5 });
+
+    expect(layout.placed).toBe(12);
+    expect(layout.unplaced).toEqual([]);
+    const placements = layout.plates.flatMap(plate => plate.placements);
+    placements.forEach(p => {
+      expect(p.x - p.width / 2).toBeGreaterThanOrEqual(5);
+      expect(p.y - p.depth / 2).toBeGreaterThanOrEqual(5);
+      expect(p.x + p.width / 2).toBeLessThanOrEqual(251);
+      expect(p.y + p.depth / 2).toBeLessThanOrEqual(251);
+    });
+    for (let i = 0; i < placements.length; i++) {
+      for (let j = i + 1; j < placements.length; j++) {
+        const a = placements[i];
+        const b = placements[j];
+        const gapX = Math.abs(a.x - b.x) - (a.width + b.width) / 2;
+        const gapY = Math.abs(a.y - b.y) - (a.depth + b.depth) / 2;
+        expect(Math.max(gapX, gapY)).toBeGreaterThanOrEqual(5 - 1e-9);
+      }
+    }
+  });
+
+  it('turns a part that only fits rotated', () => {
+    const layout = packPlates([{ key: 'long', width: 100, depth: 240 }], { x: 250, y: 110 }, { margin: 0 });
+
+    expect(layout.plates_needed).toBe(1);
+    expect(layout.plates[0].placements[0].rotated).toBe(true);
+  });
+
+  it('reports parts larger than the bed as unplaced', () => {
+    const layout = packPlates([{ key: 'big', name: 'Big', width: 300, depth: 300, quantity: 2 }], BED);
+
+    expect(layout.plates_needed).toBe(0);
+    expect(layout.unplaced).toEqual([{ key: 'big', name: 'Big', width: 300, depth: 300, count: 2 }]);
+  });
+
+  it('refuses arrangements past the part limit', () => {
+    expect(() => packPlates([{ key: 'a', width: 1, depth: 1, quantity: MAX_PACKED_PARTS + 1 }], BED)).toThrow(/Too many parts/);
+  });
+});
+
+describe('countPlates', () => {
+  it('starts a new plate when one is full', () => {
+    const one = countPlates({ width: 100, depth: 100 }, 4, BED);
+    const two = countPlates({ width: 100, depth: 100 }, 5, BED);
+
+    expect(one).toEqual({ plates_needed: 1, copies_per_plate: 4, fits: true });
+    expect(two.plates_needed).toBe(2);
+  });
+
+  it('extrapolates from a full plate past the part limit instead of throwing', () => {
+    const perPlate = countPlates({ width: 20, depth: 20 }, 200, BED).copies_per_plate;
+    const result = countPlates({ width: 20, depth: 20 }, MAX_PACKED_PARTS * 3, BED);
+
+    expect(result.copies_per_plate).toBe(perPlate);
+    expect(result.plates_needed).toBe(Math.ceil((MAX_PACKED_PARTS * 3) / perPlate));
+  });
+
+  it('needs no plates for a part that never fits', () => {
+    expect(countPlates({ width: 400, depth: 10 }, 5000, BED)).toEqual({ plates_needed: 0, copies_per_plate: 0, fits: false });
+  });
+});
+
+describe('toPlateLayout', () => {
+  it('adds a quarter turn to bed-rotated parts', () => {
+    const layout = packPlates([{ key: 'long', file_path: 'a.stl', width: 100, depth: 240, rotation: { z: 300 } }], { x: 250, y: 110 }, { margin: 0 });
+
+    expect(toPlateLayout(layout, 1).objects[0].rotation).toEqual({ x: 0, y: 0, z: 30 });
+    expect(toPlateLayout(layout, 2)).toBeNull();
+  });
+});
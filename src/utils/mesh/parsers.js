@@ -0,0 +1,466 @@
+/**
+ * Mesh file parsers - binary/ASCII STL, OBJ and 3MF
+ *
+ * Every parser returns the same triangle-soup shape so metrics and previews
+ * don't care where a mesh came from:
+ *   {
+ *     format: 'stl' | 'obj' | '3mf',
+ *     positions: Float32Array,   // 9 floats (3 vertices) per triangle, in mm
+ *     objects: [{ name, start, count }]  // triangle ranges per object
+ *   }
+ *
+ * Pure functions without DOM access so they can run inside a Web Worker.
+ */
+
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+export const MESH_FORMATS = ['stl', 'obj', '3mf'];
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Growable float buffer - avoids pushing millions of numbers into a JS array
+ */
+class FloatBuilder {
+  constructor(initial = 1 << 16) {
+    this.data = new Float32Array(initial);
+    this.length = 0;
+  }
+
+  push3(x, y, z) {
+    if (this.length + 3 > this.data.length) {
+      const next = new Float32Array(this.data.length * 2);
+      next.set(this.data);
+      this.data = next;
+    }
+    this.data[this.length++] = x;
+    this.data[this.length++] = y;
+    this.data[this.length++] = z;
+  }
+
+  toArray() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+// ============================================
+// FORMAT DETECTION
+// ============================================
+
+const getExtension = (filename = '') => {
+  const clean = String(filename).split(/[?#]/)[0];
+  const dot = clean.lastIndexOf('.');
+  return dot >= 0 ? clean.slice(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * Work out the mesh format from the file name, falling back to content sniffing
+ */
+export const detectMeshFormat = (buffer, filename = '') => {
+  const ext = getExtension(filename);
+  if (MESH_FORMATS.includes(ext)) return ext;
+
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512));
+  // ZIP local file header "PK\x03\x04" - 3MF is a zip package
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) return '3mf';
+  const head = decodeText(bytes);
+  if (/^\s*solid\b/.test(head) && !isBinarySTL(buffer)) return 'stl';
+  if (/^\s*(v|vn|vt|o|g|f|#|mtllib)\s/m.test(head) && !/^\s*solid\b/.test(head)) return 'obj';
+  return 'stl';
+};
+
+// ============================================
+// STL
+// ============================================
+
+/**
+ * Binary STL has an exact size: 80-byte header + uint32 count + 50 bytes per
+ * triangle. Some exporters write "solid" into the binary header, so the
+ * header text alone can't be trusted.
+ */
+export const isBinarySTL = (buffer) => {
+  if (buffer.byteLength < 84) return false;
+  const count = new DataView(buffer).getUint32(80, true);
+  const expected = 84 + count * 50;
+  if (expected === buffer.byteLength) return true;
+
+  const head = decodeText(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024)));
+  if (/^\s*solid\b/.test(head) && /facet|endsolid/.test(head)) return false;
+  // Tolerate trailing padding some tools append after the triangles
+  return count > 0 && expected < buffer.byteLength;
+};
+
+export const parseBinarySTL = (buffer) => {
+  const view = new DataView(buffer);
+  const declared = view.getUint32(80, true);
+  const count = Math.min(declared, Math.floor((buffer.byteLength - 84) / 50));
+  const positions = new Float32Array(count * 9);
+
+  let offset = 84;
+  for (let i = 0; i < count; i++) {
+    offset += 12; // facet normal - recomputed from the vertices when needed
+    const base = i * 9;
+    for (let j = 0; j < 9; j++) {
+      positions[base + j] = view.getFloat32(offset, true);
+      offset += 4;
+    }
+    offset += 2; // attribute byte count
+  }
+
+  return { format: 'stl', positions, objects: [{ name: 'STL', start: 0, count }] };
+};
+
+export const parseASCIISTL = (text) => {
+  const builder = new FloatBuilder();
+  const objects = [];
+  const tokenRegex = /\b(solid|vertex|endsolid)\b([^\n\r]*)/g;
+  let current = null;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const keyword = match[1];
+    if (keyword === 'vertex') {
+      const parts = match[2].trim().split(/\s+/);
+      builder.push3(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]));
+    } else if (keyword === 'solid') {
+      current = { name: match[2].trim() || `Solid ${objects.length + 1}`, start: builder.length / 9, count: 0 };
+      objects.push(current);
+    } else if (current) {
+      current.count = Math.floor(builder.length / 9) - current.start;
+      current = null;
+    }
+  }
+  if (current) current.count = Math.floor(builder.length / 9) - current.start;
+
+  // Drop any dangling vertices from a truncated file
+  const usable = builder.length - (builder.length % 9);
+  const positions = builder.data.slice(0, usable);
+  const triangles = usable / 9;
+  return {
+    format: 'stl',
+    positions,
+    objects: objects.length > 0
+      ? objects.map(o => ({ ...o, count: Math.min(o.count, triangles - o.start) }))
+      : [{ name: 'STL', start: 0, count: triangles }],
+  };
+};
+
+export const parseSTL = (buffer) =>
+  isBinarySTL(buffer) ? parseBinarySTL(buffer) : parseASCIISTL(decodeText(new Uint8Array(buffer)));
+
+// ============================================
+// OBJ
+// ============================================
+
+/**
+ * Wavefront OBJ: v/f records, polygons are fan-triangulated, negative
+ * (relative) indices supported. `o` and `g` start new objects.
+ */
+export const parseOBJ = (text) => {
+  const vertices = new FloatBuilder();
+  const out = new FloatBuilder();
+  const objects = [];
+  let current = null;
+
+  const startObject = (name) => {
+    const start = out.length / 9;
+    if (current && current.start === start) {
+      current.name = name; // empty group right before another - just rename
+      return;
+    }
+    if (current) current.count = start - current.start;
+    current = { name, start, count: 0 };
+    objects.push(current);
+  };
+
+  const resolveIndex = (token) => {
+    const idx = parseInt(token, 10);
+    const vertexCount = vertices.length / 3;
+    return idx < 0 ? vertexCount + idx : idx - 1;
+  };
+
+  const pushVertex = (i) => {
+    const d = vertices.data;
+    out.push3(d[i * 3], d[i * 3 + 1], d[i * 3 + 2]);
+  };
+
+  const lines = text.split(/\r?\n/);
+  for (let l = 0; l < lines.length; l++) {
+    let line = lines[l];
+    // Backslash continues a record on the next line
+    while (line.endsWith('\\') && l + 1 < lines.length) {
+      line = line.slice(0, -1) + ' ' + lines[++l];
+    }
+    const trimmed = line.trim();
+    if (!trimmed || trimmed[0] === '#') continue;
+
+    const parts = trimmed.split(/\s+/);
+    const keyword = parts[0];
+
+    if (keyword === 'v') {
+      vertices.push3(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+    } else if (keyword === 'f') {
+      if (!current) startObject('OBJ');
+      const indices = [];
+      for (let p = 1; p < parts.length; p++) {
+        const idx = resolveIndex(parts[p].split('/')[0]);
+        if (idx >= 0 && idx < vertices.length / 3) indices.push(idx);
+      }
+      for (let k = 1; k + 1 < indices.length; k++) {
+        pushVertex(indices[0]);
+        pushVertex(indices[k]);
+        pushVertex(indices[k + 1]);
+      }
+    } else if (keyword === 'o' || keyword === 'g') {
+      startObject(parts.slice(1).join(' ') || `Object ${objects.length + 1}`);
+    }
+  }
+
+  if (current) current.count = out.length / 9 - current.start;
+  const positions = out.toArray();
+  return {
+    format: 'obj',
+    positions,
+    objects: objects.filter(o => o.count > 0).length > 0
+      ? objects.filter(o => o.count > 0)
+      : [{ name: 'OBJ', start: 0, count: positions.length / 9 }],
+  };
+};
+
+// ============================================
+// 3MF
+// ============================================
+
+const UNIT_SCALE = {
+  micron: 0.001,
+  millimeter: 1,
+  centimeter: 10,
+  inch: 25.4,
+  foot: 304.8,
+  meter: 1000,
+};
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+/**
+ * 3MF transform: 12 numbers "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+ * applied to row vectors, i.e. p' = [x y z 1] * M
+ */
+const parseTransform = (value) => {
+  if (!value) return IDENTITY;
+  const m = value.trim().split(/\s+/).map(Number);
+  return m.length === 12 && m.every(Number.isFinite) ? m : IDENTITY;
+};
+
+// Apply `inner` first, then `outer`
+const multiplyTransforms = (inner, outer) => {
+  const r = new Array(12);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 3; col++) {
+      let sum = row === 3 ? outer[9 + col] : 0;
+      for (let k = 0; k < 3; k++) sum += inner[row * 3 + k] * outer[k * 3 + col];
+      r[row * 3 + col] = sum;
+    }
+  }
+  return r;
+};
+
+const ATTR_REGEX = /([\w:]+)\s*=\s*"([^"]*)"|([\w:]+)\s*=\s*'([^']*)'/g;
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  let match;
+  ATTR_REGEX.lastIndex = 0;
+  while ((match = ATTR_REGEX.exec(source)) !== null) {
+    attrs[match[1] || match[3]] = match[2] !== undefined ? match[2] : match[4];
+  }
+  return attrs;
+};
+
+// Element names without their namespace prefix (p:component -> component)
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parse one .model part into { unit, objects: Map<id, object>, build: [] }.
+ * A small tag scanner instead of DOMParser, which doesn't exist in workers.
+ */
+const parseModelXML = (xml) => {
+  const objects = new Map();
+  const build = [];
+  let unit = 'millimeter';
+  let object = null;
+  let inVertices = false;
+  let inTriangles = false;
+  let vertexBuilder = null;
+  let triangleList = null;
+
+  const tagRegex = /<(\/?)([\w:]+)([^>]*?)(\/?)>/g;
+  let match;
+  while ((match = tagRegex.exec(xml)) !== null) {
+    const closing = match[1] === '/';
+    const name = localName(match[2]);
+    const body = match[3];
+
+    if (closing) {
+      if (name === 'vertices') inVertices = false;
+      else if (name === 'triangles') inTriangles = false;
+      else if (name === 'mesh' && object) {
+        object.vertices = vertexBuilder.toArray();
+        object.triangles = Uint32Array.from(triangleList);
+      } else if (name === 'object') object = null;
+      continue;
+    }
+
+    if (name === 'vertex' && inVertices) {
+      const a = parseAttributes(body);
+      vertexBuilder.push3(parseFloat(a.x), parseFloat(a.y), parseFloat(a.z));
+    } else if (name === 'triangle' && inTriangles) {
+      const a = parseAttributes(body);
+      triangleList.push(parseInt(a.v1, 10), parseInt(a.v2, 10), parseInt(a.v3, 10));
+    } else if (name === 'model') {
+      unit = parseAttributes(body).unit || unit;
+    } else if (name === 'object') {
+      const a = parseAttributes(body);
+      object = { id: a.id, name: a.name || `Object ${a.id}`, type: a.type || 'model', components: [] };
+      objects.set(a.id, object);
+    } else if (name === 'mesh' && object) {
+      vertexBuilder = new FloatBuilder();
+      triangleList = [];
+    } else if (name === 'vertices') {
+      inVertices = true;
+    } else if (name === 'triangles') {
+      inTriangles = true;
+    } else if (name === 'component' && object) {
+      const a = parseAttributes(body);
+      object.components.push({
+        objectId: a.objectid,
+        path: a['p:path'] || a.path || null,
+        transform: parseTransform(a.transform),
+      });
+    } else if (name === 'item') {
+      const a = parseAttributes(body);
+      build.push({
+        objectId: a.objectid,
+        path: a['p:path'] || a.path || null,
+        transform: parseTransform(a.transform),
+      });
+    }
+  }
+
+  return { unit, objects, build };
+};
+
+const normalizePartPath = (path) => String(path || '').replace(/^\//, '');
+
+/**
+ * Main model part from the package relationships, falling back to the
+ * conventional 3D/3dmodel.model location.
+ */
+const findStartPart = (files) => {
+  const rels = files['_rels/.rels'];
+  if (rels) {
+    const relRegex = /<Relationship\b([^>]*)\/?>/g;
+    let match;
+    while ((match = relRegex.exec(decodeText(rels))) !== null) {
+      const a = parseAttributes(match[1]);
+      if (/3dmodel$/.test(a.Type || '') && a.Target) return normalizePartPath(a.Target);
+    }
+  }
+  if (files['3D/3dmodel.model']) return '3D/3dmodel.model';
+  return Object.keys(files).find(name => name.toLowerCase().endsWith('.model')) || null;
+};
+
+export const parse3MF = (buffer) => {
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => file.name === '_rels/.rels' || file.name.toLowerCase().endsWith('.model'),
+  });
+  const startPart = findStartPart(files);
+  if (!startPart || !files[startPart]) {
+    throw new Error('3MF package has no 3D model part');
+  }
+
+  const models = new Map();
+  const getModel = (path) => {
+    const key = normalizePartPath(path);
+    if (!models.has(key)) {
+      models.set(key, files[key] ? parseModelXML(decodeText(files[key])) : null);
+    }
+    return models.get(key);
+  };
+
+  const root = getModel(startPart);
+  const scale = UNIT_SCALE[root.unit] || 1;
+  const out = new FloatBuilder();
+
+  // Emit an object's triangles (recursing into components) with a transform
+  const emitObject = (modelPath, objectId, transform, depth) => {
+    const model = getModel(modelPath);
+    const object = model?.objects.get(objectId);
+    if (!object || depth > 16) return;
+
+    if (object.vertices && object.triangles) {
+      const v = object.vertices;
+      const tris = object.triangles;
+      const m = transform;
+      const vertexCount = v.length / 3;
+      for (let i = 0; i + 2 < tris.length; i += 3) {
+        if (tris[i] >= vertexCount || tris[i + 1] >= vertexCount || tris[i + 2] >= vertexCount) continue;
+        for (let k = 0; k < 3; k++) {
+          const idx = tris[i + k] * 3;
+          const x = v[idx];
+          const y = v[idx + 1];
+          const z = v[idx + 2];
+          out.push3(
+            (x * m[0] + y * m[3] + z * m[6] + m[9]) * scale,
+            (x * m[1] + y * m[4] + z * m[7] + m[10]) * scale,
+            (x * m[2] + y * m[5] + z * m[8] + m[11]) * scale
+          );
+        }
+      }
+    }
+
+    object.components.forEach(component => {
+      emitObject(
+        component.path || modelPath,
+        component.objectId,
+        multiplyTransforms(component.transform, transform),
+        depth + 1
+      );
+    });
+  };
+
+  const objects = [];
+  const items = root.build.length > 0
+    ? root.build
+    // No build section - place every model object untransformed
+    : [...root.objects.values()].filter(o => o.type === 'model').map(o => ({ objectId: o.id, path: null, transform: IDENTITY }));
+
+  items.forEach(item => {
+    const modelPath = item.path || startPart;
+    const object = getModel(modelPath)?.objects.get(item.objectId);
+    const start = out.length / 9;
+    emitObject(modelPath, item.objectId, item.transform, 0);
+    const count = out.length / 9 - start;
+    if (count > 0) {
+      objects.push({ name: object?.name || `Object ${item.objectId}`, start, count });
+    }
+  });
+
+  return { format: '3mf', positions: out.toArray(), objects };
+};
+
+// ============================================
+// DISPATCH
+// ============================================
+
+export const parseMesh = (buffer, filename = '') => {
+  const format = detectMeshFormat(buffer, filename);
+  switch (format) {
+    case '3mf':
+      return parse3MF(buffer);
+    case 'obj':
+      return parseOBJ(decodeText(new Uint8Array(buffer)));
+    default:
+      return parseSTL(buffer);
+  }
+};
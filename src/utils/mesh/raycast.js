@@ -0,0 +1,156 @@
+/**
+ * Ray queries against a triangle soup - uniform grid + 3D DDA traversal.
+ * Used for wall thickness (health.js) and support drop height (overhang.js).
+ */
+
+const MAX_GRID_CELLS = 262144;
+
+/**
+ * Axis-aligned bounds of a positions array
+ */
+export const computeBounds = (positions) => {
+  const bounds = {
+    min: { x: Infinity, y: Infinity, z: Infinity },
+    max: { x: -Infinity, y: -Infinity, z: -Infinity },
+  };
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+    if (x < bounds.min.x) bounds.min.x = x; if (x > bounds.max.x) bounds.max.x = x;
+    if (y < bounds.min.y) bounds.min.y = y; if (y > bounds.max.y) bounds.max.y = y;
+    if (z < bounds.min.z) bounds.min.z = z; if (z > bounds.max.z) bounds.max.z = z;
+  }
+  return bounds;
+};
+
+/**
+ * Uniform grid over triangle bounds for ray queries
+ */
+export const buildTriangleGrid = (positions, faceCount, skipFace, bounds) => {
+  const size = [
+    Math.max(bounds.max.x - bounds.min.x, 1e-3),
+    Math.max(bounds.max.y - bounds.min.y, 1e-3),
+    Math.max(bounds.max.z - bounds.min.z, 1e-3),
+  ];
+  const targetCells = Math.min(MAX_GRID_CELLS, Math.max(1, faceCount * 2));
+  const cellSize = Math.cbrt((size[0] * size[1] * size[2]) / targetCells);
+  const dims = size.map(s => Math.max(1, Math.min(128, Math.ceil(s / cellSize))));
+  const origin = [bounds.min.x, bounds.min.y, bounds.min.z];
+  const cell = size.map((s, axis) => s / dims[axis]);
+
+  const cellIndex = (x, y, z) => (z * dims[1] + y) * dims[0] + x;
+  const clampCell = (value, axis) =>
+    Math.max(0, Math.min(dims[axis] - 1, Math.floor((value - origin[axis]) / cell[axis])));
+
+  const forEachCell = (t, fn) => {
+    const i = t * 9;
+    const lo = [Infinity, Infinity, Infinity];
+    const hi = [-Infinity, -Infinity, -Infinity];
+    for (let v = 0; v < 3; v++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const c = positions[i + v * 3 + axis];
+        if (c < lo[axis]) lo[axis] = c;
+        if (c > hi[axis]) hi[axis] = c;
+      }
+    }
+    const x0 = clampCell(lo[0], 0), x1 = clampCell(hi[0], 0);
+    const y0 = clampCell(lo[1], 1), y1 = clampCell(hi[1], 1);
+    const z0 = clampCell(lo[2], 2), z1 = clampCell(hi[2], 2);
+    for (let z = z0; z <= z1; z++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) fn(cellIndex(x, y, z));
+      }
+    }
+  };
+
+  // Two passes into a compact cell -> triangle list
+  const cellCount = dims[0] * dims[1] * dims[2];
+  const cellStart = new Int32Array(cellCount + 1);
+  for (let t = 0; t < faceCount; t++) {
+    if (!skipFace?.[t]) forEachCell(t, (c) => { cellStart[c + 1]++; });
+  }
+  for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+  const cellTriangles = new Int32Array(cellStart[cellCount]);
+  const fill = cellStart.slice(0, cellCount);
+  for (let t = 0; t < faceCount; t++) {
+    if (!skipFace?.[t]) forEachCell(t, (c) => { cellTriangles[fill[c]++] = t; });
+  }
+
+  return { dims, origin, cell, cellIndex, clampCell, cellStart, cellTriangles };
+};
+
+/**
+ * Möller–Trumbore; returns hit distance or -1
+ */
+const intersectTriangle = (p, t, ox, oy, oz, dx, dy, dz) => {
+  const i = t * 9;
+  const e1x = p[i + 3] - p[i], e1y = p[i + 4] - p[i + 1], e1z = p[i + 5] - p[i + 2];
+  const e2x = p[i + 6] - p[i], e2y = p[i + 7] - p[i + 1], e2z = p[i + 8] - p[i + 2];
+  const px = dy * e2z - dz * e2y;
+  const py = dz * e2x - dx * e2z;
+  const pz = dx * e2y - dy * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return -1;
+  const invDet = 1 / det;
+  const sx = ox - p[i], sy = oy - p[i + 1], sz = oz - p[i + 2];
+  const u = (sx * px + sy * py + sz * pz) * invDet;
+  if (u < 0 || u > 1) return -1;
+  const qx = sy * e1z - sz * e1y;
+  const qy = sz * e1x - sx * e1z;
+  const qz = sx * e1y - sy * e1x;
+  const v = (dx * qx + dy * qy + dz * qz) * invDet;
+  if (v < 0 || u + v > 1) return -1;
+  return (e2x * qx + e2y * qy + e2z * qz) * invDet;
+};
+
+/**
+ * Distance along the ray to the nearest triangle (3D DDA walk), or null
+ * beyond maxDistance. `facing` filters by the triangle's normal:
+ * 'back' = seen from behind (ray leaving a solid), 'front' = seen from outside.
+ */
+export const castRay = (grid, positions, normals, sourceFace, origin, dir, maxDistance, facing = 'any') => {
+  const { dims, cell, cellIndex, clampCell, cellStart, cellTriangles } = grid;
+  const o = origin;
+  const d = dir;
+  const pos = [clampCell(o[0], 0), clampCell(o[1], 1), clampCell(o[2], 2)];
+  const step = [0, 0, 0];
+  const tMax = [Infinity, Infinity, Infinity];
+  const tDelta = [Infinity, Infinity, Infinity];
+
+  for (let axis = 0; axis < 3; axis++) {
+    if (d[axis] > 0) {
+      step[axis] = 1;
+      tMax[axis] = (grid.origin[axis] + (pos[axis] + 1) * cell[axis] - o[axis]) / d[axis];
+      tDelta[axis] = cell[axis] / d[axis];
+    } else if (d[axis] < 0) {
+      step[axis] = -1;
+      tMax[axis] = (grid.origin[axis] + pos[axis] * cell[axis] - o[axis]) / d[axis];
+      tDelta[axis] = -cell[axis] / d[axis];
+    }
+  }
+
+  let best = Infinity;
+  for (;;) {
+    const c = cellIndex(pos[0], pos[1], pos[2]);
+    for (let k = cellStart[c]; k < cellStart[c + 1]; k++) {
+      const t = cellTriangles[k];
+      if (t === sourceFace) continue;
+      if (facing !== 'any') {
+        const dot = normals[t * 3] * d[0] + normals[t * 3 + 1] * d[1] + normals[t * 3 + 2] * d[2];
+        if (facing === 'back' ? dot <= 0 : dot >= 0) continue;
+      }
+      const hit = intersectTriangle(positions, t, o[0], o[1], o[2], d[0], d[1], d[2]);
+      if (hit > 1e-5 && hit < best) best = hit;
+    }
+
+    const axis = tMax[0] < tMax[1]
+      ? (tMax[0] < tMax[2] ? 0 : 2)
+      : (tMax[1] < tMax[2] ? 1 : 2);
+    const exit = tMax[axis];
+    if (best <= exit || exit > maxDistance) break;
+    pos[axis] += step[axis];
+    if (pos[axis] < 0 || pos[axis] >= dims[axis]) break;
+    tMax[axis] += tDelta[axis];
+  }
+
+  return best <= maxDistance ? best : null;
+};
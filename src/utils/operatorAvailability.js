@@ -0,0 +1,195 @@
+/**
+ * Operator availability
+ *
+ * When someone is in to clear a plate, swap filament or start a print.
+ * Three sources, the most specific wins:
+ * - staffing notes (ShiftNotes, category "staffing") for a given date
+ * - the hours people typically clock in and out (TimeTracker), per weekday
+ * - the shop's opening hours (the scheduler's shift settings)
+ *
+ * Availability keeps the opening-hours shape - a { start, end } clock range
+ * or null per weekday (0 = Sunday) - plus `dates`: ranges for particular
+ * days keyed YYYY-MM-DD, which win over the weekday.
+ */
+
+// Opening hours by weekday (0 = Sunday); null means closed
+export const DEFAULT_SHIFTS = {
+  0: null,
+  1: { start: '08:00', end: '20:00' },
+  2: { start: '08:00', end: '20:00' },
+  3: { start: '08:00', end: '20:00' },
+  4: { start: '08:00', end: '20:00' },
+  5: { start: '08:00', end: '20:00' },
+  6: { start: '10:00', end: '16:00' },
+};
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Time tracking looked at, and clocked days a weekday needs before it counts
+const TRACKING_WEEKS = 8;
+const MIN_TRACKED_DAYS = 2;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const clockMinutes = (clock) => {
+  const [h, m] = String(clock || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+const formatClock = (minutes) => {
+  const rounded = Math.round(minutes / 5) * 5;
+  return `${String(Math.floor(rounded / 60) % 24).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const isRange = (shift) => Boolean(shift?.start && shift?.end);
+
+export const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Local midnight `days` after a day start - setDate keeps DST days right
+export const addDays = (dayStart, days) => {
+  const date = new Date(dayStart);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+export const dateKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Shift on the calendar day starting at `dayStart`; a shift ending at or
+ * before its start runs past midnight
+ * @returns {{ start: number, end: number }|null}
+ */
+export function shiftOnDay(dayStart, shifts = DEFAULT_SHIFTS) {
+  const key = dateKey(dayStart);
+  const shift = shifts.dates && key in shifts.dates ? shifts.dates[key] : shifts[new Date(dayStart).getDay()];
+  if (!isRange(shift)) return null;
+  const start = dayStart + clockMinutes(shift.start) * MINUTE;
+  let end = dayStart + clockMinutes(shift.end) * MINUTE;
+  if (end <= start) end += DAY;
+  return { start, end };
+}
+
+export const hasShifts = (shifts) => WEEKDAYS.some((_, day) => isRange(shifts?.[day]))
+  || Object.values(shifts?.dates || {}).some(isRange);
+
+/**
+ * The shift an operator is in at `time`, or the next one
+ * @returns {{ start: number, end: number }|null} start is never before
+ *   `time`; null when no shift starts in the next two weeks
+ */
+export function operatorWindow(time, shifts = DEFAULT_SHIFTS) {
+  if (!hasShifts(shifts)) return { start: time, end: Infinity };
+  const today = startOfDay(time);
+  for (let d = -1; d <= 14; d++) {
+    const shift = shiftOnDay(addDays(today, d), shifts);
+    if (shift && shift.end > time) return { start: Math.max(shift.start, time), end: shift.end };
+  }
+  return null;
+}
+
+export const isOnShift = (time, shifts = DEFAULT_SHIFTS) => {
+  const window = operatorWindow(time, shifts);
+  return Boolean(window && window.start === time);
+};
+
+/**
+ * Latest moment at or before `time` when an operator is in
+ * @returns {number|null} null when nobody was in during the two weeks before
+ */
+export function lastOperatorMoment(time, shifts = DEFAULT_SHIFTS) {
+  if (!hasShifts(shifts)) return time;
+  const today = startOfDay(time);
+  for (let d = 0; d >= -15; d--) {
+    const shift = shiftOnDay(addDays(today, d), shifts);
+    if (shift && shift.start <= time) return Math.min(shift.end, time);
+  }
+  return null;
+}
+
+/**
+ * Typical working hours per weekday from TimeTracker entries: the median
+ * first clock-in and last clock-out over the last weeks
+ * @returns {object} weekday -> { start, end, days } or null
+ */
+export function trackedHoursByWeekday(timeEntries = [], now = Date.now()) {
+  const since = now - TRACKING_WEEKS * 7 * DAY;
+  const days = {};
+  timeEntries.forEach(entry => {
+    const start = new Date(entry.started_at).getTime();
+    const end = new Date(entry.ended_at).getTime();
+    if (!(start >= since && end > start && start <= now)) return;
+    const dayStart = startOfDay(start);
+    const key = dateKey(start);
+    const first = (start - dayStart) / MINUTE;
+    const last = Math.min(24 * 60, (end - dayStart) / MINUTE);
+    const day = days[key] || { weekday: new Date(start).getDay(), first, last };
+    days[key] = { ...day, first: Math.min(day.first, first), last: Math.max(day.last, last) };
+  });
+
+  return Object.fromEntries(WEEKDAYS.map((_, weekday) => {
+    const worked = Object.values(days).filter(day => day.weekday === weekday);
+    if (worked.length < MIN_TRACKED_DAYS) return [weekday, null];
+    return [weekday, {
+      start: formatClock(median(worked.map(day => day.first))),
+      end: formatClock(median(worked.map(day => day.last))),
+      days: worked.length,
+    }];
+  }));
+}
+
+/**
+ * Dated staffing from ShiftNotes: { 'YYYY-MM-DD': { start, end } | null };
+ * a note without times means nobody is in. The newest note for a date wins.
+ */
+export function staffingByDate(shiftNotes = []) {
+  const dates = {};
+  [...shiftNotes]
+    .filter(note => note.category === 'staffing' && note.staffing?.date)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(({ staffing }) => {
+      dates[staffing.date] = isRange(staffing) ? { start: staffing.start, end: staffing.end, source: 'shift_note' } : null;
+    });
+  return dates;
+}
+
+/**
+ * When operators are in, from every source
+ * @param {object} params
+ * @param {object} [params.openingHours] - DEFAULT_SHIFTS shape
+ * @param {Array} [params.timeEntries] - TimeTracker entries
+ * @param {Array} [params.shiftNotes] - ShiftNotes notes
+ * @param {boolean} [params.useTimeTracking=true] - prefer clocked hours over opening hours
+ * @returns {object} weekday -> { start, end, source } or null, plus `dates`
+ */
+export function operatorAvailability({
+  openingHours = DEFAULT_SHIFTS,
+  timeEntries = [],
+  shiftNotes = [],
+  useTimeTracking = true,
+  now = Date.now(),
+} = {}) {
+  const tracked = useTimeTracking ? trackedHoursByWeekday(timeEntries, now) : {};
+  const weekly = Object.fromEntries(WEEKDAYS.map((_, day) => {
+    if (tracked[day]) return [day, { ...tracked[day], source: 'time_tracking' }];
+    if (isRange(openingHours[day])) return [day, { ...openingHours[day], source: 'opening_hours' }];
+    return [day, null];
+  }));
+  return { ...weekly, dates: staffingByDate(shiftNotes) };
+}
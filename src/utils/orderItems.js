@@ -0,0 +1,177 @@
+/**
+ * Order line items
+ *
+ * An order holds one line per part: its own file, material, colour,
+ * quantity, status and the print jobs made for it. Orders from before line
+ * items (one item_name / file_path on the order) read as a single line.
+ *
+ * A line's status comes from its linked print jobs when those are known
+ * (jobs carry `order_item_id`, lines keep `job_ids`), else from what was
+ * stored on the line.
+ */
+
+import { jobIdOf, jobStatusOf } from './jobStates';
+
+export const ITEM_STATUSES = {
+  pending: { label: 'Not started', icon: '⏸️', color: 'text-slate-400' },
+  queued: { label: 'Queued', icon: '📋', color: 'text-blue-400' },
+  printing: { label: 'Printing', icon: '🖨️', color: 'text-cyan-400' },
+  completed: { label: 'Printed', icon: '✅', color: 'text-green-400' },
+  failed: { label: 'Failed', icon: '❌', color: 'text-red-400' },
+};
+
+// Line status of a single-line legacy order, read off the order's status
+const LEGACY_STATUS = {
+  in_progress: 'queued',
+  preparing: 'queued',
+  slicing: 'queued',
+  printing: 'printing',
+  quality_check: 'completed',
+  qc: 'completed',
+  checking: 'completed',
+  ready: 'completed',
+  ready_for_pickup: 'completed',
+  completed: 'completed',
+  shipped: 'completed',
+  delivered: 'completed',
+};
+
+const ACTIVE_JOB_STATES = ['assigned', 'preparing', 'printing', 'paused'];
+
+/**
+ * New line item
+ */
+export const createOrderItem = (fields = {}) => ({
+  id: `item-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name: '',
+  file_path: '',
+  material: 'PLA',
+  color: '',
+  quantity: 1,
+  unit_price: 0,
+  total: 0,
+  weight_g: 0,
+  print_time_hours: 0,
+  status: 'pending',
+  job_ids: [],
+  ...fields,
+});
+
+/**
+ * Line items of an order; legacy orders get one line built from their
+ * item fields, marked `legacy`
+ */
+export function orderItemsOf(order) {
+  if (!order) return [];
+  const orderId = order.order_id || order.id;
+  if (Array.isArray(order.items) && order.items.length > 0) {
+    return order.items.map((item, i) => ({
+      ...item,
+      id: item.id || `${orderId}-${i + 1}`,
+      name: item.name || item.description || `Item ${i + 1}`,
+      quantity: Number(item.quantity) || 1,
+      status: item.status || 'pending',
+      job_ids: item.job_ids || [],
+    }));
+  }
+  const quantity = Number(order.quantity) || 1;
+  return [{
+    id: `${orderId}-1`,
+    name: order.item_name || 'Print',
+    file_path: order.file_path || '',
+    material: order.material_type,
+    color: order.color || '',
+    quantity,
+    unit_price: order.quote?.unit_price || 0,
+    total: order.quote?.total || order.total_price || order.total || 0,
+    status: LEGACY_STATUS[String(order.status || '').toLowerCase()] || 'pending',
+    job_ids: order.job_ids || [],
+    legacy: true,
+  }];
+}
+
+export const isMultiItemOrder = (order) => Array.isArray(order?.items) && order.items.length > 1;
+
+/**
+ * Print jobs made for a line. Once a line lists its jobs only those count -
+ * a reprint replaces the list, so the rejected prints drop out.
+ */
+export const jobsForItem = (item, jobs = []) => (item.job_ids.length > 0
+  ? jobs.filter(job => item.job_ids.includes(jobIdOf(job)))
+  : jobs.filter(job => job.order_item_id === item.id));
+
+/**
+ * Line status and printed quantity from its jobs; lines without known jobs
+ * keep their stored status
+ * @returns {{ status: string, done: number }}
+ */
+export function itemProgress(item, jobs = []) {
+  const linked = jobsForItem(item, jobs);
+  if (linked.length === 0) {
+    return { status: item.status, done: item.status === 'completed' ? item.quantity : 0 };
+  }
+
+  const states = linked.map(jobStatusOf);
+  const done = Math.min(item.quantity, linked
+    .filter(job => jobStatusOf(job) === 'completed')
+    .reduce((sum, job) => sum + (Number(job.quantity) || 1), 0));
+
+  let status = 'pending';
+  if (done >= item.quantity) status = 'completed';
+  else if (states.some(state => ACTIVE_JOB_STATES.includes(state))) status = 'printing';
+  else if (states.includes('queued')) status = 'queued';
+  else if (states.includes('failed')) status = 'failed';
+  return { status, done };
+}
+
+/**
+ * An order's lines with status and printed quantity worked out, plus totals
+ * @returns {{ items: Array, completed: number, total: number, percent: number, allComplete: boolean }}
+ */
+export function orderItemsSummary(order, jobs = []) {
+  const items = orderItemsOf(order).map(item => ({ ...item, ...itemProgress(item, jobs) }));
+  const units = items.reduce((sum, item) => sum + item.quantity, 0);
+  const unitsDone = items.reduce((sum, item) => sum + item.done, 0);
+  const completed = items.filter(item => item.status === 'completed').length;
+  return {
+    items,
+    completed,
+    total: items.length,
+    percent: units > 0 ? Math.round((unitsDone / units) * 100) : 0,
+    allComplete: items.length > 0 && completed === items.length,
+  };
+}
+
+/**
+ * Order with its stored line statuses brought up to date from its jobs.
+ * Legacy orders are returned as they are.
+ */
+export function withItemProgress(order, jobs = []) {
+  if (!Array.isArray(order?.items) || order.items.length === 0) return order;
+  const { items } = orderItemsSummary(order, jobs);
+  return { ...order, items: items.map(({ done, ...item }) => item) };
+}
+
+/**
+ * Invoice lines for an order, one per line item
+ */
+export const invoiceLinesOf = (order) => orderItemsOf(order).map(item => ({
+  description: [item.name, item.color].filter(Boolean).join(' - '),
+  quantity: item.quantity,
+  unit_price: item.unit_price || (item.total ? item.total / item.quantity : 0),
+  material: item.material,
+}));
+
+/**
+ * Order fields summing a set of lines - what older screens read
+ */
+export function orderFieldsFromItems(items) {
+  const [first] = items;
+  return {
+    item_name: items.length > 1 ? `${first.name} +${items.length - 1}` : first?.name,
+    file_path: first?.file_path || '',
+    material_type: first?.material,
+    quantity: items.reduce((sum, item) => sum + (Number(item.quantity) || 1), 0),
+    items,
+  };
+}
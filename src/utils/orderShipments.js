@@ -0,0 +1,112 @@
+/**
+ * Order shipments
+ *
+ * An order can leave in several batches. Each shipment lists the line items
+ * and quantities in the box, the carrier, tracking number, ship date,
+ * package weight and shipping cost. Shipments are kept on the order
+ * (`shipments`); it counts as shipped once every line has left in full.
+ */
+
+import { orderItemsOf } from './orderItems';
+
+export const SHIPPING_COUNTRIES = [
+  { code: 'EE', name: 'Estonia', flag: '🇪🇪' },
+  { code: 'LV', name: 'Latvia', flag: '🇱🇻' },
+  { code: 'LT', name: 'Lithuania', flag: '🇱🇹' },
+  { code: 'FI', name: 'Finland', flag: '🇫🇮' },
+  { code: 'SE', name: 'Sweden', flag: '🇸🇪' },
+  { code: 'NO', name: 'Norway', flag: '🇳🇴' },
+  { code: 'DK', name: 'Denmark', flag: '🇩🇰' },
+  { code: 'DE', name: 'Germany', flag: '🇩🇪' },
+  { code: 'FR', name: 'France', flag: '🇫🇷' },
+  { code: 'NL', name: 'Netherlands', flag: '🇳🇱' },
+  { code: 'BE', name: 'Belgium', flag: '🇧🇪' },
+  { code: 'PL', name: 'Poland', flag: '🇵🇱' },
+  { code: 'ES', name: 'Spain', flag: '🇪🇸' },
+  { code: 'IT', name: 'Italy', flag: '🇮🇹' },
+  { code: 'GB', name: 'United Kingdom', flag: '🇬🇧' },
+  { code: 'US', name: 'United States', flag: '🇺🇸' },
+  { code: 'CA', name: 'Canada', flag: '🇨🇦' },
+  { code: 'AU', name: 'Australia', flag: '🇦🇺' },
+];
+
+export const CARRIERS = ['Omniva', 'DPD', 'Itella SmartPost', 'Venipak', 'DHL Express', 'UPS', 'Courier', 'Pickup'];
+
+/**
+ * New shipment record; `items` is [{ item_id, name, quantity }]
+ */
+export const createShipment = (fields = {}) => ({
+  id: `ship-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  items: [],
+  carrier: '',
+  tracking_number: '',
+  tracking_url: '',
+  shipped_at: new Date().toISOString(),
+  weight_kg: 0,
+  shipping_cost: null,
+  country: 'EE',
+  notes: '',
+  ...fields,
+});
+
+export const shipmentsOf = (order) => (Array.isArray(order?.shipments) ? order.shipments : []);
+
+/**
+ * Quantity shipped so far per line item id
+ */
+export function shippedQuantities(order) {
+  const shipped = {};
+  shipmentsOf(order).forEach(shipment => {
+    (shipment.items || []).forEach(({ item_id, quantity }) => {
+      shipped[item_id] = (shipped[item_id] || 0) + (Number(quantity) || 0);
+    });
+  });
+  return shipped;
+}
+
+/**
+ * Lines with quantity still to ship
+ * @returns {Array<{ item_id, name, quantity, ordered }>}
+ */
+export function unshippedItems(order) {
+  const shipped = shippedQuantities(order);
+  return orderItemsOf(order)
+    .map(item => ({
+      item_id: item.id,
+      name: item.name,
+      quantity: Math.max(0, item.quantity - (shipped[item.id] || 0)),
+      ordered: item.quantity,
+      unit_value: item.total ? item.total / item.quantity : Number(item.unit_price) || 0,
+    }))
+    .filter(item => item.quantity > 0);
+}
+
+export const isPartiallyShipped = (order) => shipmentsOf(order).length > 0 && unshippedItems(order).length > 0;
+
+export const isFullyShipped = (order) => shipmentsOf(order).length > 0 && unshippedItems(order).length === 0;
+
+/**
+ * Why a shipment can't be recorded against an order
+ * @returns {string|null} null when it can
+ */
+export function checkShipment(order, shipment) {
+  const items = (shipment.items || []).filter(item => Number(item.quantity) > 0);
+  if (items.length === 0) return 'Pick at least one item to ship';
+
+  const open = Object.fromEntries(unshippedItems(order).map(item => [item.item_id, item]));
+  for (const item of items) {
+    if (!Number.isInteger(Number(item.quantity))) return `Quantity of ${item.name} must be a whole number`;
+    const left = open[item.item_id]?.quantity || 0;
+    if (Number(item.quantity) > left) {
+      return left > 0 ? `Only ${left} × ${item.name} left to ship` : `${item.name} has already shipped`;
+    }
+  }
+  return null;
+}
+
+/**
+ * "- Bracket x2" lines for emails
+ */
+export const describeShipmentItems = (items) => items
+  .map(item => `- ${item.name} x${item.quantity}`)
+  .join('\n');
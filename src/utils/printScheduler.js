@@ -0,0 +1,605 @@
+/**
+ * Print scheduling engine
+ *
+ * Assigns and orders waiting print jobs across printers and returns a Gantt
+ * plan. Works entirely in the browser, so the scheduler screens have a plan
+ * even when the backend optimizer isn't there. Constraints:
+ * - the part has to fit the printer's bed (turning it on the bed is fine)
+ * - a printer with another material or colour loaded needs a filament swap
+ * - every start needs an operator for the plate change (and any swap), so
+ *   jobs only start inside operator shifts - they may print on after hours
+ * - nothing prints through a printer's maintenance window
+ * - jobs already running keep their printer; assigned jobs stay on theirs
+ *
+ * A print that finishes while nobody is in sits on the bed until the next
+ * shift. Printers are filled as they come free, and the planner counts that
+ * wait against a job - so short jobs go in during the day and long ones
+ * run through the night or weekend.
+ *
+ * Times in the plan are ISO strings; everything else is plain data.
+ */
+
+import { getPrinterBed } from './printerBeds';
+import { jobIdOf, jobStatusOf } from './jobStates';
+import {
+  DEFAULT_SHIFTS,
+  addDays,
+  lastOperatorMoment,
+  operatorWindow,
+  shiftOnDay,
+  startOfDay,
+} from './operatorAvailability';
+
+export const SCHEDULE_STRATEGIES = {
+  edd: {
+    label: 'Earliest due date',
+    icon: '📅',
+    description: 'Jobs due soonest go first, each on the printer that finishes it earliest',
+  },
+  utilization: {
+    label: 'Maximise utilization',
+    icon: '⚙️',
+    description: 'Longest jobs first, on printers that waste the least time idle or swapping filament',
+  },
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DEFAULT_OPTIONS = {
+  plateChangeMinutes: 5,
+  filamentChangeMinutes: 15,
+  horizonDays: 30,
+  preferOvernight: true,
+};
+
+// Unattended bed time a due-date plan accepts before it looks for a job
+// that fills the night better
+const OVERNIGHT_SWAP_MINUTES = 60;
+
+const PRIORITY_RANK = { URGENT: 0, HIGH: 1, NORMAL: 2, LOW: 3 };
+
+const UNAVAILABLE_PRINTER_STATES = ['offline', 'error', 'maintenance', 'disconnected'];
+
+const RUNNING_STATES = ['preparing', 'printing', 'paused'];
+
+// ============================================
+// JOBS AND PRINTERS
+// ============================================
+
+export const printerNameOf = (printer) => printer?.name || printer?.printer_name || printer?.printer_id || printer?.id;
+
+export const jobMinutesOf = (job) =>
+  Number(job.estimated_minutes ?? job.estimated_time_minutes ?? job.print_time_minutes) || 60;
+
+export const jobMaterialOf = (job) =>
+  String(job.filament_type || job.material_type || job.material || '').toUpperCase() || null;
+
+export const jobColorOf = (job) => String(job.color || job.filament_color || '').trim().toLowerCase() || null;
+
+/**
+ * Part size in mm ({ x, y, z }), or null when the job doesn't say
+ */
+export function jobDimensionsOf(job) {
+  const d = job.dimensions || job.dimensions_mm;
+  if (!d) return null;
+  const x = Number(d.x ?? d.width);
+  const y = Number(d.y ?? d.depth);
+  const z = Number(d.z ?? d.height);
+  return x > 0 && y > 0 && z > 0 ? { x, y, z } : null;
+}
+
+export const fitsBed = (dims, bed) => !dims || (dims.z <= bed.z && (
+  (dims.x <= bed.x && dims.y <= bed.y) || (dims.y <= bed.x && dims.x <= bed.y)
+));
+
+/**
+ * Material and colour on a printer - from the printer itself, else from a
+ * spool whose location names it
+ * @returns {{ material: string|null, color: string|null }}
+ */
+export function loadedFilamentOf(printer, spools = []) {
+  const material = printer.loaded_material || printer.filament_type || printer.material;
+  const color = printer.loaded_color || printer.filament_color || printer.color;
+  if (material) {
+    return { material: String(material).toUpperCase(), color: color ? String(color).toLowerCase() : null };
+  }
+  const name = String(printerNameOf(printer) || '').toLowerCase();
+  const spool = name && spools.find(s => s.status !== 'empty' && String(s.location || '').toLowerCase().includes(name));
+  return spool
+    ? { material: String(spool.material || '').toUpperCase() || null, color: spool.color ? String(spool.color).toLowerCase() : null }
+    : { material: null, color: null };
+}
+
+/**
+ * Due date of a job - its own, else its order's
+ * @returns {number|null} ms timestamp
+ */
+export function jobDueOf(job, ordersById = {}) {
+  const order = ordersById[job.order_id];
+  const due = job.due_date || job.deadline || order?.due_date || order?.deadline;
+  const time = due ? new Date(due).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+const needsSwap = (loaded, job) => {
+  const material = jobMaterialOf(job);
+  const color = jobColorOf(job);
+  if (material && material !== loaded.material) return true;
+  return Boolean(color && loaded.color && color !== loaded.color);
+};
+
+// What a printer has loaded once it printed the job
+const loadedAfter = (loaded, job) => {
+  const material = jobMaterialOf(job);
+  return material ? { material, color: jobColorOf(job) || loaded.color } : loaded;
+};
+
+// ============================================
+// MAINTENANCE
+// ============================================
+
+/**
+ * Maintenance items (MaintenanceCalendar) as blocked time per printer.
+ * Items without a start time begin with that day's shift.
+ * @returns {Array<{ id, title, printer: string|null, start: number, end: number }>}
+ *   printer null blocks every printer
+ */
+export function maintenanceWindowsOf(items = [], printers = [], shifts = DEFAULT_SHIFTS) {
+  return items
+    .filter(item => item.status !== 'completed' && item.due_date)
+    .map(item => {
+      const date = String(item.due_date).split('T')[0];
+      const day = startOfDay(new Date(`${date}T00:00:00`));
+      if (Number.isNaN(day)) return null;
+      const start = item.start_time
+        ? new Date(`${date}T${item.start_time}:00`).getTime()
+        : shiftOnDay(day, shifts)?.start ?? day + 9 * 60 * MINUTE;
+      const printer = printers.find(p => (
+        (item.printer_id && [p.printer_id, p.id, p.name].includes(item.printer_id))
+        || (item.printer_name && p.name === item.printer_name)
+      ));
+      const forAll = !item.printer_id && (!item.printer_name || item.printer_name === 'All Printers');
+      if (!forAll && !printer) return null;
+      return {
+        id: item.id,
+        title: item.title || 'Maintenance',
+        printer: forAll ? null : printerNameOf(printer),
+        start,
+        end: start + (Number(item.estimated_minutes) || 30) * MINUTE,
+      };
+    })
+    .filter(Boolean);
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+const rankOf = (job) => PRIORITY_RANK[String(job.priority || '').toUpperCase()] ?? 2;
+
+// Where a running job ends: from its progress when known
+function runningEnd(job, now) {
+  const minutes = jobMinutesOf(job);
+  const progress = Number(job.progress) || 0;
+  if (progress > 0) return now + minutes * (1 - Math.min(progress, 100) / 100) * MINUTE;
+  const started = job.started_at ? new Date(job.started_at).getTime() : now;
+  return Math.max(now, started + minutes * MINUTE);
+}
+
+// When a finished print can come off: straight away on shift (up to the
+// last minute of it), else when the next shift starts
+const collectTime = (end, shifts) => Math.max(end, operatorWindow(end - 1, shifts)?.start ?? end);
+
+/**
+ * Earliest slot on a lane from its free time: setup (plate change and any
+ * filament swap) inside a shift, no overlap with maintenance
+ * @returns {{ setupStart: number, start: number, end: number }|null}
+ */
+function earliestSlot(lane, minutes, setupMinutes, { shifts, limit }) {
+  let time = lane.freeAt;
+  for (let guard = 0; guard < 500 && time < limit; guard++) {
+    const window = operatorWindow(time, shifts);
+    if (!window) return null;
+    const setupStart = window.start;
+    const start = setupStart + setupMinutes * MINUTE;
+    if (start > window.end) {
+      time = window.end;
+      continue;
+    }
+    const end = start + minutes * MINUTE;
+    const clash = lane.maintenance.find(w => w.start < end && w.end > setupStart);
+    if (clash) {
+      time = clash.end;
+      continue;
+    }
+    return { setupStart, start, end };
+  }
+  return null;
+}
+
+// A waiting job on a lane: its slot and what that costs
+function evaluate(lane, entry, ctx) {
+  const swap = needsSwap(lane.loaded, entry.job);
+  const setupMinutes = ctx.plateChangeMinutes + (swap ? ctx.filamentChangeMinutes : 0);
+  const slot = earliestSlot(lane, entry.minutes, setupMinutes, ctx);
+  if (!slot) return null;
+  const collect = collectTime(slot.end, ctx.shifts);
+  return {
+    lane,
+    entry,
+    slot,
+    swap,
+    setupMinutes,
+    collect,
+    wait: collect - slot.end,
+    late: entry.due ? Math.max(0, slot.end - entry.due) : 0,
+  };
+}
+
+const byUrgency = (a, b) => (a.entry.due ?? Infinity) - (b.entry.due ?? Infinity)
+  || rankOf(a.entry.job) - rankOf(b.entry.job)
+  || a.slot.end - b.slot.end;
+
+// Bed time lost: waiting for the slot, setting up and (overnight) holding a finished print
+const lostTime = (option, overnight) => (option.slot.start - option.lane.freeAt) + (overnight ? option.wait : 0);
+
+// Where a job would go on the option's printer if the option ran first
+function slotAfter(option, entry, ctx) {
+  const loaded = loadedAfter(option.lane.loaded, option.entry.job);
+  const setupMinutes = ctx.plateChangeMinutes + (needsSwap(loaded, entry.job) ? ctx.filamentChangeMinutes : 0);
+  return earliestSlot({ ...option.lane, freeAt: option.slot.end, loaded }, entry.minutes, setupMinutes, ctx);
+}
+
+/**
+ * The job a free printer takes next
+ */
+function choose(options, strategy, ctx) {
+  if (strategy === 'utilization') {
+    return [...options].sort((a, b) => lostTime(a, ctx.preferOvernight) - lostTime(b, ctx.preferOvernight)
+      || b.entry.minutes - a.entry.minutes
+      || byUrgency(a, b))[0];
+  }
+
+  const urgent = [...options].sort(byUrgency)[0];
+  if (!ctx.preferOvernight || urgent.wait <= OVERNIGHT_SWAP_MINUTES * MINUTE) return urgent;
+
+  // The most urgent job would sit finished for hours - run the longest job
+  // that fills the night instead, if the urgent one still makes its date
+  // after it (next shift, swaps and maintenance included)
+  const night = options
+    .filter(o => o !== urgent && o.late === 0 && o.wait < urgent.wait - OVERNIGHT_SWAP_MINUTES * MINUTE)
+    .sort((a, b) => b.entry.minutes - a.entry.minutes || a.wait - b.wait)
+    .find(o => {
+      if (!urgent.entry.due) return true;
+      const deferred = slotAfter(o, urgent.entry, ctx);
+      return deferred !== null && deferred.end <= urgent.entry.due;
+    });
+  return night || urgent;
+}
+
+/**
+ * Latest setup starts for a planned job: to make its due date, and to come
+ * off the bed before the shift it starts in ends
+ */
+function startByTimes({ slot, setupMinutes, entry }, ctx) {
+  const total = (setupMinutes + entry.minutes) * MINUTE;
+  const dueBy = entry.due ? lastOperatorMoment(entry.due - total, ctx.shifts) : null;
+  const shift = operatorWindow(slot.setupStart, ctx.shifts);
+  const attendedBy = shift && Number.isFinite(shift.end) ? shift.end - total : null;
+  return {
+    start_by: dueBy !== null && dueBy >= ctx.now ? iso(dueBy) : null,
+    start_by_attended: attendedBy !== null && attendedBy >= Math.max(ctx.now, startOfDay(slot.setupStart))
+      && operatorWindow(attendedBy, ctx.shifts)?.start === attendedBy
+      ? iso(attendedBy)
+      : null,
+  };
+}
+
+const iso = (time) => new Date(time).toISOString();
+
+const jobNameOf = (job) => job.item_name || job.metadata?.job_name || job.file_path?.split('/').pop() || 'Print';
+
+/**
+ * Plan the waiting jobs with one strategy
+ * @param {object} input
+ * @param {Array} input.jobs - print jobs; queued/assigned ones are planned,
+ *   running ones hold their printer
+ * @param {Array} input.printers
+ * @param {Array} [input.orders] - for due dates of jobs made from orders
+ * @param {Array} [input.maintenance] - MaintenanceCalendar items
+ * @param {Array} [input.spools] - to tell what's loaded on each printer
+ * @param {object} [input.shifts] - operator availability (utils/operatorAvailability.js)
+ * @param {number} [input.now]
+ * @param {string} [strategy] - key of SCHEDULE_STRATEGIES
+ * @param {object} [options] - plateChangeMinutes, filamentChangeMinutes,
+ *   horizonDays, preferOvernight
+ * @returns {{ strategy, generated_at, printers, slots, maintenance, unscheduled, metrics, shifts }}
+ */
+export function buildSchedule(input, strategy = 'edd', options = {}) {
+  const { jobs = [], printers = [], orders = [], maintenance = [], spools = [], shifts = DEFAULT_SHIFTS } = input;
+  const now = input.now ?? Date.now();
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const ctx = { ...settings, shifts, now, limit: now + settings.horizonDays * DAY };
+
+  const ordersById = Object.fromEntries(orders.map(order => [order.order_id || order.id, order]));
+  const windows = maintenanceWindowsOf(maintenance, printers, shifts);
+
+  const lanes = printers.map(printer => {
+    const name = printerNameOf(printer);
+    return {
+      name,
+      printer,
+      bed: getPrinterBed(printer.printer_type || printer.type),
+      loaded: loadedFilamentOf(printer, spools),
+      available: !UNAVAILABLE_PRINTER_STATES.includes(String(printer.status || '').toLowerCase()),
+      freeAt: now,
+      maintenance: windows.filter(w => w.end > now && (w.printer === null || w.printer === name)),
+    };
+  });
+  const laneByName = Object.fromEntries(lanes.map(lane => [lane.name, lane]));
+
+  const slots = [];
+  const unscheduled = [];
+  let waiting = [];
+  const unschedulable = (job, reason) => unscheduled.push({ job_id: jobIdOf(job), job, reason });
+
+  jobs.forEach(job => {
+    const status = jobStatusOf(job);
+    const printer = job.assigned_printer || job.printer_name || job.printer;
+    if (RUNNING_STATES.includes(status) && laneByName[printer]) {
+      const lane = laneByName[printer];
+      const started = job.started_at ? new Date(job.started_at).getTime() : now;
+      const end = runningEnd(job, now);
+      const collect = collectTime(end, shifts);
+      // The bed is free once the print comes off
+      lane.freeAt = Math.max(lane.freeAt, collect);
+      if (jobMaterialOf(job)) lane.loaded = { material: jobMaterialOf(job), color: jobColorOf(job) };
+      slots.push({
+        job_id: jobIdOf(job),
+        name: jobNameOf(job),
+        printer,
+        status,
+        fixed: true,
+        setup_start: iso(started),
+        start: iso(started),
+        end: iso(end),
+        setup_minutes: 0,
+        filament_swap: null,
+        due: null,
+        late_minutes: 0,
+        unattended_finish: collect > end,
+        collect_at: iso(collect),
+        bed_wait_minutes: Math.round((collect - end) / MINUTE),
+        progress: Number(job.progress) || 0,
+      });
+      return;
+    }
+    if (!['queued', 'assigned'].includes(status)) return;
+
+    const dims = jobDimensionsOf(job);
+    const pinned = status === 'assigned' ? printer : null;
+    const fitting = lanes.filter(lane => fitsBed(dims, lane.bed));
+    const candidates = fitting.filter(lane => lane.available && (!pinned || lane.name === pinned));
+    if (lanes.length === 0) {
+      unschedulable(job, 'No printers available');
+    } else if (fitting.length === 0) {
+      unschedulable(job, dims ? `Too big for every bed (${dims.x}×${dims.y}×${dims.z} mm)` : 'Too big for every bed');
+    } else if (candidates.length === 0) {
+      unschedulable(job, pinned ? `Assigned printer ${pinned} is unavailable or too small` : 'No suitable printer is available');
+    } else {
+      waiting.push({ job, due: jobDueOf(job, ordersById), minutes: jobMinutesOf(job), lanes: candidates });
+    }
+  });
+
+  // Fill printers as they come free
+  const open = new Set(lanes.filter(lane => lane.available));
+  while (waiting.length > 0 && open.size > 0) {
+    const lane = [...open].sort((a, b) => a.freeAt - b.freeAt)[0];
+    const options = waiting
+      .filter(entry => entry.lanes.includes(lane))
+      .map(entry => evaluate(lane, entry, ctx))
+      .filter(Boolean);
+    if (options.length === 0) {
+      open.delete(lane);
+      continue;
+    }
+
+    const pick = choose(options, strategy, ctx);
+    const { entry, slot, swap, setupMinutes, collect } = pick;
+    const { job, due } = entry;
+    const material = jobMaterialOf(job);
+    const color = jobColorOf(job);
+    slots.push({
+      job_id: jobIdOf(job),
+      name: jobNameOf(job),
+      printer: lane.name,
+      status: jobStatusOf(job),
+      fixed: false,
+      setup_start: iso(slot.setupStart),
+      start: iso(slot.start),
+      end: iso(slot.end),
+      setup_minutes: setupMinutes,
+      filament_swap: swap
+        ? { from: [lane.loaded.material, lane.loaded.color].filter(Boolean).join(' ') || 'unknown', to: [material, color].filter(Boolean).join(' ') }
+        : null,
+      due: due ? iso(due) : null,
+      late_minutes: due && slot.end > due ? Math.round((slot.end - due) / MINUTE) : 0,
+      unattended_finish: collect > slot.end,
+      collect_at: iso(collect),
+      bed_wait_minutes: Math.round((collect - slot.end) / MINUTE),
+      ...startByTimes(pick, ctx),
+      // Needs an assign call when accepted
+      assign: jobStatusOf(job) === 'queued' || job.assigned_printer !== lane.name,
+    });
+    lane.freeAt = slot.end;
+    lane.loaded = loadedAfter(lane.loaded, job);
+    waiting = waiting.filter(w => w !== entry);
+  }
+  waiting.forEach(entry => unschedulable(entry.job, `No free slot in the next ${settings.horizonDays} days`));
+
+  return {
+    strategy,
+    generated_at: iso(now),
+    printers: lanes.map(lane => ({
+      name: lane.name,
+      status: lane.printer.status,
+      printer_type: lane.printer.printer_type || lane.printer.type,
+      available: lane.available,
+    })),
+    slots,
+    maintenance: windows.map(w => ({ ...w, start: iso(w.start), end: iso(w.end) })),
+    unscheduled,
+    shifts,
+    metrics: scheduleMetrics(slots, lanes.filter(lane => lane.available).length, now, unscheduled.length),
+  };
+}
+
+function scheduleMetrics(slots, printerCount, now, unscheduledCount) {
+  const planned = slots.filter(slot => !slot.fixed);
+  const finish = slots.reduce((latest, slot) => Math.max(latest, new Date(slot.end).getTime()), now);
+  const span = (finish - now) * printerCount;
+  const printing = slots.reduce((sum, slot) => {
+    const start = Math.max(now, new Date(slot.start).getTime());
+    return sum + Math.max(0, new Date(slot.end).getTime() - start);
+  }, 0);
+  const late = planned.filter(slot => slot.late_minutes > 0);
+  const unattended = slots.filter(slot => slot.unattended_finish);
+  return {
+    planned: planned.length,
+    unscheduled: unscheduledCount,
+    late: late.length,
+    lateness_hours: Math.round(late.reduce((sum, slot) => sum + slot.late_minutes, 0) / 6) / 10,
+    filament_swaps: planned.filter(slot => slot.filament_swap).length,
+    unattended: unattended.length,
+    bed_wait_hours: Math.round(unattended.reduce((sum, slot) => sum + slot.bed_wait_minutes, 0) / 6) / 10,
+    finish: iso(finish),
+    makespan_hours: Math.round((finish - now) / (6 * MINUTE)) / 10,
+    utilization: span > 0 ? Math.round((printing / span) * 100) : 0,
+  };
+}
+
+/**
+ * Plans for every strategy, keyed like SCHEDULE_STRATEGIES
+ */
+export const compareSchedules = (input, options) => Object.fromEntries(
+  Object.keys(SCHEDULE_STRATEGIES).map(strategy => [strategy, buildSchedule(input, strategy, options)])
+);
+
+// Hours of [start, end) inside [from, to)
+const overlapHours = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from)) / (60 * MINUTE);
+
+const round1 = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Expected bed time per printer per week (Monday to Sunday) under a plan,
+ * from the plan's start: printing (with setup), finished but waiting for an
+ * operator, maintenance, and idle - nothing on the bed
+ * @returns {Array<{ week_start, hours, printers: Array<{ name, printing, waiting, maintenance, idle }> }>}
+ */
+export function idleBedReport(plan, weeks = 2) {
+  const now = new Date(plan.generated_at).getTime();
+  const today = startOfDay(now);
+  const monday = addDays(today, -((new Date(today).getDay() + 6) % 7));
+  const times = (slot) => ({
+    setup: new Date(slot.setup_start).getTime(),
+    end: new Date(slot.end).getTime(),
+    collect: new Date(slot.collect_at || slot.end).getTime(),
+  });
+
+  return Array.from({ length: weeks }, (_, w) => {
+    const weekStart = addDays(monday, 7 * w);
+    const to = addDays(monday, 7 * (w + 1));
+    const from = Math.max(now, weekStart);
+    const hours = (to - from) / (60 * MINUTE);
+
+    const printers = plan.printers.filter(p => p.available).map(p => {
+      const mine = plan.slots.filter(slot => slot.printer === p.name).map(times);
+      const printing = mine.reduce((sum, t) => sum + overlapHours(t.setup, t.end, from, to), 0);
+      const waiting = mine.reduce((sum, t) => sum + overlapHours(t.end, t.collect, from, to), 0);
+      const maintenance = plan.maintenance
+        .filter(m => m.printer === null || m.printer === p.name)
+        .reduce((sum, m) => sum + overlapHours(new Date(m.start).getTime(), new Date(m.end).getTime(), from, to), 0);
+      return {
+        name: p.name,
+        printing: round1(printing),
+        waiting: round1(waiting),
+        maintenance: round1(maintenance),
+        idle: round1(Math.max(0, hours - printing - waiting - maintenance)),
+      };
+    });
+    return { week_start: iso(weekStart), hours: round1(hours), printers };
+  });
+}
+
+/**
+ * Optimizer suggestions (the backend's /scheduler/optimize shape) read off a plan
+ * @returns {Array<{ type, title, description, impact, jobs }>}
+ */
+export function scheduleSuggestions(plan) {
+  if (!plan) return [];
+  const suggestions = [];
+  const planned = plan.slots.filter(slot => !slot.fixed);
+
+  const late = planned.filter(slot => slot.late_minutes > 0);
+  if (late.length > 0) {
+    suggestions.push({
+      type: 'priority',
+      title: `${late.length} job${late.length === 1 ? '' : 's'} will miss the due date`,
+      description: 'Raise their priority, free up a printer or agree a later date with the customer.',
+      impact: 'high',
+      jobs: late.map(slot => slot.job_id),
+    });
+  }
+
+  if (plan.unscheduled.length > 0) {
+    suggestions.push({
+      type: 'load_balance',
+      title: `${plan.unscheduled.length} job${plan.unscheduled.length === 1 ? '' : 's'} can't be scheduled`,
+      description: [...new Set(plan.unscheduled.map(u => u.reason))].join(' · '),
+      impact: 'high',
+      jobs: plan.unscheduled.map(u => u.job_id),
+    });
+  }
+
+  const overnight = plan.slots.filter(slot => slot.bed_wait_minutes >= 120);
+  if (overnight.length > 0) {
+    const hours = Math.round(overnight.reduce((sum, slot) => sum + slot.bed_wait_minutes, 0) / 6) / 10;
+    suggestions.push({
+      type: 'unattended',
+      title: `${overnight.length} print${overnight.length === 1 ? '' : 's'} will sit finished until an operator is in`,
+      description: `${hours}h of bed time lost waiting. Start them earlier, or put longer jobs on overnight.`,
+      impact: hours > 12 ? 'medium' : 'low',
+      jobs: overnight.map(slot => slot.job_id),
+    });
+  }
+
+  const swaps = planned.filter(slot => slot.filament_swap);
+  if (swaps.length > 1) {
+    suggestions.push({
+      type: 'material_grouping',
+      title: `${swaps.length} filament swaps in this plan`,
+      description: 'Group jobs by material and colour on the printers that already have it loaded.',
+      impact: swaps.length > 3 ? 'medium' : 'low',
+      jobs: swaps.map(slot => slot.job_id),
+    });
+  }
+
+  const busy = plan.printers.filter(p => p.available).map(p => ({
+    name: p.name,
+    hours: plan.slots.filter(slot => slot.printer === p.name).reduce(
+      (sum, slot) => sum + (new Date(slot.end) - new Date(slot.start)) / (60 * MINUTE), 0),
+  }));
+  const idle = busy.filter(p => p.hours === 0);
+  if (idle.length > 0 && planned.length > 0) {
+    suggestions.push({
+      type: 'load_balance',
+      title: `${idle.length} printer${idle.length === 1 ? '' : 's'} left idle`,
+      description: `${idle.map(p => p.name).join(', ')} get no jobs - check their bed size, status and loaded material.`,
+      impact: 'medium',
+      jobs: [],
+    });
+  }
+
+  return suggestions;
+}
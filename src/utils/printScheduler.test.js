@@ -0,0 +1,165 @@
+import { buildSchedule, compareSchedules, fitsBed, maintenanceWindowsOf } from './printScheduler';
+
+// Monday 5 January 2026, local time; the default shifts run 08:00-20:00 on weekdays
+const at = (day, hour, minute = 0) => new Date(2026, 0, 5 + day, hour, minute).getTime();
+const MONDAY_4PM = at(0, 16);
+
+const printer = (name, extra = {}) => ({ name, status: 'idle', loaded_material: 'PLA', ...extra });
+
+const job = (id, minutes, extra = {}) => ({
+  job_id: id,
+  status: 'queued',
+  estimated_minutes: minutes,
+  filament_type: 'PLA',
+  ...extra,
+});
+
+const slotOf = (plan, id) => plan.slots.find(slot => slot.job_id === id);
+const time = (value) => new Date(value).getTime();
+
+describe('buildSchedule', () => {
+  it('starts jobs inside operator shifts and lets them print on after hours', () => {
+    const plan = buildSchedule({ jobs: [job('a', 300), job('b', 60)], printers: [printer('P1')], now: MONDAY_4PM });
+
+    const a = slotOf(plan, 'a');
+    const b = slotOf(plan, 'b');
+    expect(time(b.setup_start)).toBe(MONDAY_4PM);
+    expect(time(a.setup_start)).toBe(at(0, 17, 5));
+    expect(time(a.end)).toBe(at(0, 22, 10));
+    // Nobody is in to clear the bed until Tuesday morning
+    expect(a).toMatchObject({ unattended_finish: true, bed_wait_minutes: 590 });
+    expect(time(a.collect_at)).toBe(at(1, 8));
+    expect(plan.metrics.planned).toBe(2);
+  });
+
+  it('adds a filament swap to the setup', () => {
+    const plan = buildSchedule({
+      jobs: [job('petg', 60, { filament_type: 'PETG', color: 'black' })],
+      printers: [printer('P1')],
+      now: MONDAY_4PM,
+    });
+
+    expect(slotOf(plan, 'petg')).toMatchObject({ setup_minutes: 20, filament_swap: { from: 'PLA', to: 'PETG black' } });
+  });
+
+  it('keeps running jobs on their printer and assigned jobs on theirs', () => {
+    const plan = buildSchedule({
+      jobs: [
+        job('running', 120, { status: 'printing', assigned_printer: 'P1', progress: 50 }),
+        job('pinned', 30, { status: 'assigned', assigned_printer: 'P1' }),
+      ],
+      printers: [printer('P1'), printer('P2')],
+      now: MONDAY_4PM,
+    });
+
+    expect(slotOf(plan, 'running')).toMatchObject({ fixed: true, printer: 'P1' });
+    expect(slotOf(plan, 'pinned')).toMatchObject({ printer: 'P1', assign: false });
+    expect(time(slotOf(plan, 'pinned').setup_start)).toBe(at(0, 17));
+  });
+
+  it('reports jobs no printer can take', () => {
+    const plan = buildSchedule({
+      jobs: [job('huge', 60, { dimensions: { x: 900, y: 900, z: 10 } })],
+      printers: [printer('P1')],
+      now: MONDAY_4PM,
+    });
+
+    expect(plan.slots).toEqual([]);
+    expect(plan.unscheduled[0]).toMatchObject({ job_id: 'huge', reason: expect.stringMatching(/Too big/) });
+  });
+
+  it('reports every job when there are no printers', () => {
+    const plan = buildSchedule({ jobs: [job('a', 60), job('b', 30, { dimensions: { x: 100, y: 100, z: 10 } })], printers: [], now: MONDAY_4PM });
+
+    expect(plan.slots).toEqual([]);
+    expect(plan.unscheduled.map(u => [u.job_id, u.reason])).toEqual([['a', 'No printers available'], ['b', 'No printers available']]);
+  });
+
+  it('plans around maintenance', () => {
+    const maintenance = [{ id: 'm', printer_name: 'P1', due_date: '2026-01-05', start_time: '16:30', estimated_minutes: 60 }];
+    const plan = buildSchedule({ jobs: [job('a', 60)], printers: [printer('P1')], maintenance, now: MONDAY_4PM });
+
+    expect(time(slotOf(plan, 'a').setup_start)).toBe(at(0, 17, 30));
+  });
+});
+
+describe('earliest due date', () => {
+  const urgent = (extra = {}) => job('urgent', 360, { due_date: new Date(at(2, 12)).toISOString(), ...extra });
+
+  it('fills the night with the longest job while the urgent one waits for the morning', () => {
+    const plan = buildSchedule({
+      jobs: [urgent(), job('short', 60), job('long', 780)],
+      printers: [printer('P1')],
+      now: MONDAY_4PM,
+    }, 'edd');
+
+    expect(slotOf(plan, 'long').setup_start).toBe(new Date(MONDAY_4PM).toISOString());
+    expect(slotOf(plan, 'urgent').late_minutes).toBe(0);
+    expect(time(slotOf(plan, 'urgent').setup_start)).toBe(at(1, 8));
+  });
+
+  it("doesn't defer an urgent job the swap after the night job would make late", () => {
+    // After the PETG job the urgent PLA job needs a swap: Tuesday 08:00 + 20 min setup + 6 h = 14:20
+    const plan = buildSchedule({
+      jobs: [urgent({ due_date: new Date(at(1, 14, 10)).toISOString() }), job('night', 780, { filament_type: 'PETG' })],
+      printers: [printer('P1')],
+      now: MONDAY_4PM,
+    }, 'edd');
+
+    expect(time(slotOf(plan, 'urgent').setup_start)).toBe(MONDAY_4PM);
+    expect(slotOf(plan, 'urgent').late_minutes).toBe(0);
+  });
+
+  it("doesn't defer an urgent job into maintenance", () => {
+    const maintenance = [{ id: 'm', printer_name: 'P1', due_date: '2026-01-06', start_time: '08:00', estimated_minutes: 180 }];
+    const plan = buildSchedule({
+      jobs: [urgent({ due_date: new Date(at(1, 15)).toISOString() }), job('night', 780)],
+      printers: [printer('P1')],
+      maintenance,
+      now: MONDAY_4PM,
+    }, 'edd');
+
+    expect(time(slotOf(plan, 'urgent').setup_start)).toBe(MONDAY_4PM);
+    expect(slotOf(plan, 'urgent').late_minutes).toBe(0);
+  });
+});
+
+describe('compareSchedules', () => {
+  // A week of mixed work on a small fleet, the same every run
+  const syntheticFleet = () => {
+    let seed = 99;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const jobs = Array.from({ length: 80 }, (_, i) => job(`j${i}`, 30 + Math.round(random() * 20) * 45, {
+      filament_type: random() < 0.7 ? 'PLA' : 'PETG',
+      due_date: random() < 0.6 ? new Date(at(1 + Math.floor(random() * 6), 12)).toISOString() : undefined,
+    }));
+    return { jobs, printers: ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'].map(name => printer(name)), now: MONDAY_4PM };
+  };
+
+  it('keeps the due-date plan on time and about as busy as the utilization plan', () => {
+    const { edd, utilization } = compareSchedules(syntheticFleet());
+
+    expect(edd.metrics.planned).toBe(80);
+    expect(edd.metrics.late).toBe(0);
+    expect(edd.metrics.utilization).toBeGreaterThanOrEqual(utilization.metrics.utilization - 5);
+  });
+});
+
+describe('helpers', () => {
+  it('fits parts turned on the bed', () => {
+    const bed = { x: 250, y: 210, z: 220 };
+
+    expect(fitsBed({ x: 200, y: 240, z: 100 }, bed)).toBe(true);
+    expect(fitsBed({ x: 260, y: 260, z: 100 }, bed)).toBe(false);
+    expect(fitsBed(null, bed)).toBe(true);
+  });
+
+  it('blocks all printers for fleet-wide maintenance', () => {
+    const [window] = maintenanceWindowsOf([{ id: 'm', due_date: '2026-01-06', estimated_minutes: 45 }], [printer('P1')]);
+
+    expect(window).toMatchObject({ printer: null, start: at(1, 8), end: at(1, 8, 45) });
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Printer build volumes (mm) used by the slicer preview, orientation
+ * optimizer, plate packing and quoting.
+ */
+export const PRINTER_BEDS = {
+  'bambu_p1s': { x: 256, y: 256, z: 256, name: 'Bambu P1S' },
+  'bambu_x1c': { x: 256, y: 256, z: 256, name: 'Bambu X1C' },
+  'bambu_a1': { x: 256, y: 256, z: 256, name: 'Bambu A1' },
+  'creality_k1': { x: 220, y: 220, z: 250, name: 'Creality K1' },
+  'creality_k1_max': { x: 300, y: 300, z: 300, name: 'Creality K1 Max' },
+  'ender3': { x: 220, y: 220, z: 250, name: 'Ender 3' },
+  'default': { x: 256, y: 256, z: 256, name: 'Standard' }
+};
+
+/**
+ * Bed for a printer type key, falling back to the standard bed
+ */
+export const getPrinterBed = (printerType) => PRINTER_BEDS[printerType] || PRINTER_BEDS.default;
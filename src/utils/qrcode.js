@@ -0,0 +1,620 @@
+/**
+ * QR Code Encoder (ISO/IEC 18004)
+ *
+ * Encodes text into a scannable QR code symbol:
+ * - Byte mode (UTF-8) segment
+ * - Automatic version selection (1-40)
+ * - Reed-Solomon error correction with block interleaving
+ * - Mask selection using the standard penalty rules
+ *
+ * Used for spool labels, so the payload must survive phone cameras and
+ * cheap label printers - keep the quiet zone when rendering.
+ */
+
+/**
+ * Error correction levels.
+ * `ordinal` indexes the capacity tables, `formatBits` goes into format info.
+ */
+export const QR_EC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 }, // ~7% recovery
+  M: { ordinal: 1, formatBits: 0 }, // ~15% recovery
+  Q: { ordinal: 2, formatBits: 3 }, // ~25% recovery
+  H: { ordinal: 3, formatBits: 2 }, // ~30% recovery
+};
+
+export const QR_MIN_VERSION = 1;
+export const QR_MAX_VERSION = 40;
+
+// Error correction codewords per block, indexed [ecLevel][version]
+export const EC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Number of error correction blocks, indexed [ecLevel][version]
+export const NUM_EC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+/**
+ * Data mask conditions - a module is inverted when the condition is true.
+ * x is the column, y is the row.
+ */
+export const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Penalty weights from the specification (section 7.8.3)
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const BYTE_MODE_INDICATOR = 0x4;
+
+// ============================================
+// GALOIS FIELD / REED-SOLOMON
+// ============================================
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+export const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+};
+
+/**
+ * Build the Reed-Solomon generator polynomial of the given degree.
+ * Coefficients are stored highest power first, leading 1 omitted.
+ */
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Compute the error correction codewords for a block of data codewords
+ */
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+};
+
+// ============================================
+// CAPACITY
+// ============================================
+
+/**
+ * Number of modules (bits) available for data + error correction in a version,
+ * after all function patterns are placed. Includes remainder bits.
+ */
+export const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+/**
+ * Number of 8-bit data codewords (excluding error correction) for a version and level
+ */
+export const getNumDataCodewords = (version, ecLevel) => {
+  const { ordinal } = QR_EC_LEVELS[ecLevel];
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - EC_CODEWORDS_PER_BLOCK[ordinal][version] * NUM_EC_BLOCKS[ordinal][version];
+};
+
+/**
+ * Width of the character count field for byte mode
+ */
+export const getByteModeCountBits = (version) => (version <= 9 ? 8 : 16);
+
+/**
+ * Centre coordinates of the alignment patterns, shared by rows and columns
+ */
+export const getAlignmentPatternPositions = (version) => {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+};
+
+// ============================================
+// BCH CODES (FORMAT / VERSION INFO)
+// ============================================
+
+/**
+ * 15-bit format information (EC level + mask) with BCH check bits, already XOR-masked
+ */
+export const getFormatBits = (ecLevel, mask) => {
+  const data = (QR_EC_LEVELS[ecLevel].formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  return ((data << 10) | rem) ^ 0x5412;
+};
+
+/**
+ * 18-bit version information with BCH check bits (versions 7+)
+ */
+export const getVersionBits = (version) => {
+  let rem = version;
+  for (let i = 0; i < 12; i++) {
+    rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  }
+  return (version << 12) | rem;
+};
+
+// ============================================
+// MATRIX CONSTRUCTION
+// ============================================
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/**
+ * Build an empty symbol with all function patterns drawn.
+ * Returns the module grid and a parallel grid flagging function modules.
+ */
+export const buildFunctionPatterns = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  const drawFinder = (cx, cy) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  };
+  drawFinder(3, 3);
+  drawFinder(size - 4, 3);
+  drawFinder(3, size - 4);
+
+  // Alignment patterns (skipping the three finder corners)
+  const alignPositions = getAlignmentPatternPositions(version);
+  const numAlign = alignPositions.length;
+  for (let i = 0; i < numAlign; i++) {
+    for (let j = 0; j < numAlign; j++) {
+      const isFinderCorner = (i === 0 && j === 0)
+        || (i === 0 && j === numAlign - 1)
+        || (i === numAlign - 1 && j === 0);
+      if (isFinderCorner) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(alignPositions[i] + dx, alignPositions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  // Reserve format areas (real bits are drawn once the mask is known)
+  drawFormatBits(modules, isFunction, 0);
+
+  // Version information
+  if (version >= 7) {
+    const bits = getVersionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  return { size, modules, isFunction };
+};
+
+/**
+ * Draw both copies of the 15 format bits plus the always-dark module
+ */
+const drawFormatBits = (modules, isFunction, bits) => {
+  const size = modules.length;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+};
+
+/**
+ * Visit data modules in placement order: two-column strips from the
+ * bottom-right, zig-zagging up and down, skipping the vertical timing column.
+ */
+export const forEachDataModule = (isFunction, callback) => {
+  const size = isFunction.length;
+  let index = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!isFunction[y][x]) {
+          callback(x, y, index);
+          index++;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Split data codewords into blocks, append error correction, and interleave
+ */
+const addErrorCorrectionAndInterleave = (data, version, ecLevel) => {
+  const { ordinal } = QR_EC_LEVELS[ecLevel];
+  const numBlocks = NUM_EC_BLOCKS[ordinal][version];
+  const blockEcLength = EC_CODEWORDS_PER_BLOCK[ordinal][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEcLength);
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < numBlocks; i++) {
+    const length = shortBlockLength - blockEcLength + (i < numShortBlocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+    const ec = reedSolomonRemainder(blockData, divisor);
+    // Pad short blocks so every block has the same column layout
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push(blockData.concat(ec));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLength - blockEcLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+// ============================================
+// PENALTY SCORING
+// ============================================
+
+const FINDER_LIKE = [true, false, true, true, true, false, true];
+
+/**
+ * Score a finished symbol; lower is better
+ */
+const getPenaltyScore = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  const at = (x, y, vertical) => (vertical ? modules[x][y] : modules[y][x]);
+
+  // Rule 3 helper: 1:1:3:1:1 pattern with 4 light modules on either side
+  const isLightRun = (line, from, to, vertical) => {
+    for (let i = from; i < to; i++) {
+      if (i >= 0 && i < size && at(i, line, vertical)) return false;
+    }
+    return true;
+  };
+
+  [false, true].forEach((vertical) => {
+    for (let line = 0; line < size; line++) {
+      // Rule 1: runs of five or more same-coloured modules
+      let runColor = at(0, line, vertical);
+      let runLength = 1;
+      for (let i = 1; i < size; i++) {
+        const color = at(i, line, vertical);
+        if (color === runColor) {
+          runLength++;
+        } else {
+          if (runLength >= 5) penalty += PENALTY_N1 + (runLength - 5);
+          runColor = color;
+          runLength = 1;
+        }
+      }
+      if (runLength >= 5) penalty += PENALTY_N1 + (runLength - 5);
+
+      // Rule 3: finder-like patterns
+      for (let i = 0; i + 7 <= size; i++) {
+        let matches = true;
+        for (let k = 0; k < 7; k++) {
+          if (at(i + k, line, vertical) !== FINDER_LIKE[k]) {
+            matches = false;
+            break;
+          }
+        }
+        if (matches && (isLightRun(line, i - 4, i, vertical) || isLightRun(line, i + 7, i + 11, vertical))) {
+          penalty += PENALTY_N3;
+        }
+      }
+    }
+  });
+
+  // Rule 2: 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += PENALTY_N2;
+      }
+    }
+  }
+
+  // Rule 4: dark/light balance
+  modules.forEach((row) => row.forEach((cell) => { if (cell) dark++; }));
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  penalty += Math.max(0, k) * PENALTY_N4;
+
+  return penalty;
+};
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * UTF-8 encode a string to a byte array
+ */
+const toUtf8Bytes = (text) => Array.from(new TextEncoder().encode(text));
+
+/**
+ * Pick the smallest version that fits the payload at the given level
+ */
+const selectVersion = (byteLength, ecLevel, minVersion, maxVersion) => {
+  for (let version = minVersion; version <= maxVersion; version++) {
+    const countBits = getByteModeCountBits(version);
+    const usedBits = 4 + countBits + byteLength * 8;
+    if (byteLength < (1 << countBits) && usedBits <= getNumDataCodewords(version, ecLevel) * 8) {
+      return version;
+    }
+  }
+  return null;
+};
+
+/**
+ * Encode text as a QR code.
+ *
+ * @param {string} text - Payload (encoded as UTF-8 bytes)
+ * @param {Object} options
+ * @param {string} options.ecLevel - Minimum error correction level: L, M, Q or H (default M)
+ * @param {boolean} options.boostEcLevel - Raise the level while it still fits the chosen version (default true)
+ * @param {number} options.minVersion - Smallest version to consider (default 1)
+ * @param {number} options.maxVersion - Largest version to consider (default 40)
+ * @param {number} options.mask - Force a mask 0-7, or -1 to choose automatically (default -1)
+ * @returns {{ version: number, size: number, ecLevel: string, mask: number, modules: boolean[][] }}
+ *   modules[y][x] is true for dark modules
+ * @throws {Error} If the payload does not fit in the allowed versions
+ */
+export function encodeQR(text, options = {}) {
+  const {
+    ecLevel: requestedLevel = 'M',
+    boostEcLevel = true,
+    minVersion = QR_MIN_VERSION,
+    maxVersion = QR_MAX_VERSION,
+    mask: forcedMask = -1,
+  } = options;
+
+  if (!QR_EC_LEVELS[requestedLevel]) {
+    throw new Error(`Unknown QR error correction level: ${requestedLevel}`);
+  }
+  if (minVersion < QR_MIN_VERSION || maxVersion > QR_MAX_VERSION || minVersion > maxVersion) {
+    throw new Error(`Invalid QR version range: ${minVersion}-${maxVersion}`);
+  }
+  if (forcedMask < -1 || forcedMask > 7) {
+    throw new Error(`Invalid QR mask: ${forcedMask}`);
+  }
+
+  const bytes = toUtf8Bytes(String(text ?? ''));
+  const version = selectVersion(bytes.length, requestedLevel, minVersion, maxVersion);
+  if (!version) {
+    throw new Error(`Data too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  // Use the highest level that still fits without growing the symbol
+  let ecLevel = requestedLevel;
+  if (boostEcLevel) {
+    ['M', 'Q', 'H'].forEach((level) => {
+      if (QR_EC_LEVELS[level].ordinal > QR_EC_LEVELS[ecLevel].ordinal
+        && selectVersion(bytes.length, level, version, version)) {
+        ecLevel = level;
+      }
+    });
+  }
+
+  // Bit stream: mode, count, data, terminator, padding
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  appendBits(BYTE_MODE_INDICATOR, 4);
+  appendBits(bytes.length, getByteModeCountBits(version));
+  bytes.forEach((b) => appendBits(b, 8));
+
+  const capacityBits = getNumDataCodewords(version, ecLevel) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    dataCodewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+
+  const codewords = addErrorCorrectionAndInterleave(dataCodewords, version, ecLevel);
+
+  // Place codewords
+  const { size, modules, isFunction } = buildFunctionPatterns(version);
+  forEachDataModule(isFunction, (x, y, i) => {
+    // Remainder bits past the last codeword stay light
+    if (i < codewords.length * 8) {
+      modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+    }
+  });
+
+  const applyMask = (grid, mask) => {
+    const condition = MASK_PATTERNS[mask];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && condition(x, y)) grid[y][x] = !grid[y][x];
+      }
+    }
+  };
+
+  const withMask = (mask) => {
+    const grid = modules.map((row) => row.slice());
+    applyMask(grid, mask);
+    drawFormatBits(grid, isFunction.map((row) => row.slice()), getFormatBits(ecLevel, mask));
+    return grid;
+  };
+
+  let bestMask = forcedMask;
+  let bestModules = forcedMask >= 0 ? withMask(forcedMask) : null;
+  if (forcedMask === -1) {
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      const candidate = withMask(mask);
+      const penalty = getPenaltyScore(candidate);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestMask = mask;
+        bestModules = candidate;
+      }
+    }
+  }
+
+  return {
+    version,
+    size,
+    ecLevel,
+    mask: bestMask,
+    modules: bestModules,
+  };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render an encoded QR code as an SVG string.
+ *
+ * @param {Object} qr - Result of encodeQR()
+ * @param {Object} options
+ * @param {number} options.size - Output width/height in pixels (default 200)
+ * @param {number} options.margin - Quiet zone in modules (default 4, as required by the spec)
+ * @param {string} options.dark - Dark module colour (default black)
+ * @param {string} options.light - Background colour (default white)
+ * @returns {string} SVG markup
+ */
+export function qrToSVG(qr, options = {}) {
+  const {
+    size = 200,
+    margin = 4,
+    dark = 'black',
+    light = 'white',
+  } = options;
+
+  const dimension = qr.size + margin * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      if (cell) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="${light}"/>`
+    + `<path d="${path}" fill="${dark}"/>`
+    + '</svg>';
+}
+
+/**
+ * Encode text and render it as an SVG string in one step
+ *
+ * @param {string} text - Payload
+ * @param {number} size - Output width/height in pixels
+ * @param {Object} options - encodeQR() and qrToSVG() options
+ * @returns {string} SVG markup
+ */
+export function generateQRCodeSVG(text, size = 200, options = {}) {
+  return qrToSVG(encodeQR(text, options), { ...options, size });
+}
@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+import {
+  encodeQR,
+  forEachDataModule,
+  buildFunctionPatterns,
+  getAlignmentPatternPositions,
+  getFormatBits,
+  getNumDataCodewords,
+  getNumRawDataModules,
+  getVersionBits,
+  gfMultiply,
+  MASK_PATTERNS,
+  qrToSVG,
+} from './qrcode';
+
+// Data codewords of a version 1 symbol (one block, so no interleaving)
+const readVersion1Codewords = (qr) => {
+  const { isFunction } = buildFunctionPatterns(1);
+  const bits = [];
+  forEachDataModule(isFunction, (x, y) => {
+    bits.push(qr.modules[y][x] !== MASK_PATTERNS[qr.mask](x, y) ? 1 : 0);
+  });
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords.slice(0, getNumDataCodewords(1, qr.ecLevel));
+};
+
+const finderAt = (modules, left, top) => {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+      if (modules[top + dy][left + dx] !== (ring !== 2)) return false;
+    }
+  }
+  return true;
+};
+
+describe('tables', () => {
+  it('multiplies in GF(256) modulo 0x11D', () => {
+    expect(gfMultiply(0x80, 0x02)).toBe(0x1d);
+    expect(gfMultiply(0x53, 1)).toBe(0x53);
+    expect(gfMultiply(0, 0xff)).toBe(0);
+  });
+
+  it('matches the capacity tables of the standard', () => {
+    expect(getNumRawDataModules(1)).toBe(208);
+    expect(getNumRawDataModules(40)).toBe(29648);
+    expect(getNumDataCodewords(1, 'L')).toBe(19);
+    expect(getNumDataCodewords(1, 'H')).toBe(9);
+    expect(getNumDataCodewords(10, 'M')).toBe(216);
+    expect(getNumDataCodewords(40, 'L')).toBe(2956);
+  });
+
+  it('places alignment patterns as in Annex E', () => {
+    expect(getAlignmentPatternPositions(1)).toEqual([]);
+    expect(getAlignmentPatternPositions(2)).toEqual([6, 18]);
+    expect(getAlignmentPatternPositions(7)).toEqual([6, 22, 38]);
+    expect(getAlignmentPatternPositions(32)).toEqual([6, 34, 60, 86, 112, 138]);
+  });
+
+  it('builds the BCH format and version words', () => {
+    expect(getFormatBits('M', 0)).toBe(0x5412);
+    expect(getFormatBits('L', 4)).toBe(0x662f);
+    expect(getVersionBits(7)).toBe(0x07c94);
+    expect(getVersionBits(40)).toBe(0x28c69);
+  });
+});
+
+describe('encodeQR', () => {
+  it('draws finders, timing and the dark module', () => {
+    const qr = encodeQR('PLA-0042');
+    const { modules, size } = qr;
+
+    expect(size).toBe(qr.version * 4 + 17);
+    expect(finderAt(modules, 0, 0)).toBe(true);
+    expect(finderAt(modules, size - 7, 0)).toBe(true);
+    expect(finderAt(modules, 0, size - 7)).toBe(true);
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('writes the format bits for the chosen level and mask', () => {
+    const qr = encodeQR('spool', { ecLevel: 'L', boostEcLevel: false, mask: 5 });
+    const bits = getFormatBits('L', 5);
+    const read = (x, y) => (qr.modules[y][x] ? 1 : 0);
+
+    const firstCopy = [read(8, 0), read(8, 1), read(8, 2), read(8, 3), read(8, 4), read(8, 5), read(8, 7), read(8, 8), read(7, 8)];
+    firstCopy.forEach((bit, i) => expect(bit).toBe((bits >>> i) & 1));
+    expect(qr).toMatchObject({ ecLevel: 'L', mask: 5 });
+  });
+
+  it('encodes a byte segment with terminator and padding', () => {
+    const qr = encodeQR('Hi', { ecLevel: 'M', boostEcLevel: false });
+    const codewords = readVersion1Codewords(qr);
+
+    // 0100 | 00000010 | 'H' 'i' | 0000, then 0xEC 0x11 ...
+    expect(qr.version).toBe(1);
+    expect(codewords.slice(0, 5)).toEqual([0x40, 0x24, 0x86, 0x90, 0xec]);
+    expect(codewords.slice(4)).toEqual([0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11]);
+  });
+
+  it('encodes UTF-8 and grows the version with the payload', () => {
+    const short = encodeQR('Ü', { boostEcLevel: false });
+    const long = encodeQR('x'.repeat(300), { ecLevel: 'M' });
+
+    expect(readVersion1Codewords(short).slice(0, 3)).toEqual([0x40, 0x2c, 0x39]);
+    expect(long.version).toBe(13);
+  });
+
+  it('raises the level while it fits the same version', () => {
+    expect(encodeQR('1', { ecLevel: 'L' }).ecLevel).toBe('H');
+    expect(encodeQR('1', { ecLevel: 'L', boostEcLevel: false }).ecLevel).toBe('L');
+  });
+
+  it('adds version information from version 7', () => {
+    const qr = encodeQR('x'.repeat(120), { ecLevel: 'M', minVersion: 7 });
+    const bits = getVersionBits(qr.version);
+
+    expect(qr.version).toBe(7);
+    for (let i = 0; i < 18; i++) {
+      expect(qr.modules[Math.floor(i / 3)][qr.size - 11 + (i % 3)]).toBe(((bits >>> i) & 1) === 1);
+    }
+  });
+
+  it('rejects payloads and options it cannot encode', () => {
+    expect(() => encodeQR('x'.repeat(3000))).toThrow(/too long/);
+    expect(() => encodeQR('x', { ecLevel: 'Z' })).toThrow(/error correction level/);
+    expect(() => encodeQR('x', { mask: 8 })).toThrow(/mask/);
+  });
+});
+
+describe('qrToSVG', () => {
+  it('keeps the quiet zone in the view box', () => {
+    const qr = encodeQR('PLA');
+    const svg = qrToSVG(qr, { size: 100, margin: 4 });
+
+    expect(svg).toContain(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`);
+  });
+});
@@ -0,0 +1,863 @@
+/**
+ * QR Code Decoder (ISO/IEC 18004)
+ *
+ * Reads QR codes from camera frames or photos entirely in the browser:
+ * - Adaptive binarization (handles uneven workshop lighting)
+ * - Finder pattern detection and orientation
+ * - Alignment pattern search + perspective correction
+ * - Format/version info recovery with BCH nearest-match
+ * - Reed-Solomon error correction
+ * - Numeric, alphanumeric and byte (UTF-8) segments
+ *
+ * Companion to ./qrcode.js, which owns the symbol layout tables.
+ */
+
+import {
+  QR_EC_LEVELS,
+  QR_MIN_VERSION,
+  QR_MAX_VERSION,
+  EC_CODEWORDS_PER_BLOCK,
+  NUM_EC_BLOCKS,
+  MASK_PATTERNS,
+  getNumRawDataModules,
+  getFormatBits,
+  getVersionBits,
+  buildFunctionPatterns,
+  forEachDataModule,
+} from './qrcode';
+
+const EC_LEVEL_NAMES = ['L', 'M', 'Q', 'H'];
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Largest edge fed to the decoder; bigger frames are downscaled first
+const DEFAULT_MAX_DIMENSION = 800;
+
+// ============================================
+// GALOIS FIELD
+// ============================================
+
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+})();
+
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+const gfDiv = (a, b) => (a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255]);
+const gfPow = (power) => GF_EXP[((power % 255) + 255) % 255];
+
+/**
+ * Evaluate a polynomial stored lowest power first
+ */
+const evalPoly = (coefficients, x) => {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = gfMul(result, x) ^ coefficients[i];
+  }
+  return result;
+};
+
+/**
+ * Correct a Reed-Solomon block in place (data followed by EC codewords).
+ * Uses Berlekamp-Massey, Chien search and Forney (first consecutive root α^0).
+ *
+ * @returns {number} Number of corrected codewords, or -1 if unrecoverable
+ */
+export const correctReedSolomon = (block, numEcCodewords) => {
+  const n = block.length;
+
+  // Syndromes S_i = r(α^i); block[0] is the highest power
+  const syndromes = [];
+  let hasErrors = false;
+  for (let i = 0; i < numEcCodewords; i++) {
+    let s = 0;
+    const alpha = gfPow(i);
+    for (let k = 0; k < n; k++) s = gfMul(s, alpha) ^ block[k];
+    syndromes.push(s);
+    if (s !== 0) hasErrors = true;
+  }
+  if (!hasErrors) return 0;
+
+  // Berlekamp-Massey: error locator polynomial (lowest power first)
+  let locator = [1];
+  let previous = [1];
+  let errorCount = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let step = 0; step < numEcCodewords; step++) {
+    let discrepancy = syndromes[step];
+    for (let i = 1; i <= errorCount; i++) {
+      discrepancy ^= gfMul(locator[i] || 0, syndromes[step - i]);
+    }
+    if (discrepancy === 0) {
+      shift++;
+      continue;
+    }
+    const scale = gfDiv(discrepancy, lastDiscrepancy);
+    const next = locator.slice();
+    for (let i = 0; i < previous.length; i++) {
+      while (next.length <= i + shift) next.push(0);
+      next[i + shift] ^= gfMul(scale, previous[i]);
+    }
+    if (2 * errorCount <= step) {
+      previous = locator;
+      errorCount = step + 1 - errorCount;
+      lastDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (errorCount * 2 > numEcCodewords) return -1;
+
+  // Chien search: Λ(α^-p) = 0 means an error at the coefficient of x^p
+  const positions = [];
+  for (let p = 0; p < n; p++) {
+    if (evalPoly(locator, gfPow(-p)) === 0) positions.push(p);
+  }
+  if (positions.length !== errorCount) return -1;
+
+  // Forney: Ω(x) = S(x)Λ(x) mod x^2t, e = X · Ω(X^-1) / Λ'(X^-1)
+  const evaluator = new Array(numEcCodewords).fill(0);
+  for (let i = 0; i < numEcCodewords; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) {
+      evaluator[i] ^= gfMul(syndromes[i - j], locator[j]);
+    }
+  }
+  const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+
+  for (const p of positions) {
+    const xInverse = gfPow(-p);
+    const denominator = evalPoly(derivative, xInverse);
+    if (denominator === 0) return -1;
+    const magnitude = gfMul(gfPow(p), gfDiv(evalPoly(evaluator, xInverse), denominator));
+    block[n - 1 - p] ^= magnitude;
+  }
+  return positions.length;
+};
+
+// ============================================
+// BINARIZATION
+// ============================================
+
+/**
+ * Convert RGBA pixels to a dark/light bitmap using local block thresholds,
+ * so shadows across a label don't wipe out half the code.
+ *
+ * @returns {Uint8Array} 1 = dark, 0 = light, row-major
+ */
+export const binarize = ({ data, width, height }) => {
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+    luminance[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+
+  const blockSize = 8;
+  const blocksX = Math.ceil(width / blockSize);
+  const blocksY = Math.ceil(height / blockSize);
+  const blockAverage = new Float32Array(blocksX * blocksY);
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let sum = 0;
+      let count = 0;
+      let min = 255;
+      let max = 0;
+      for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+        for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+          const v = luminance[y * width + x];
+          sum += v;
+          count++;
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+      }
+      let average = sum / count;
+      // Flat block: assume background unless neighbours already say otherwise
+      if (max - min <= 24) {
+        average = min / 2;
+        if (by > 0 && bx > 0) {
+          const neighbours = (blockAverage[(by - 1) * blocksX + bx]
+            + 2 * blockAverage[by * blocksX + bx - 1]
+            + blockAverage[(by - 1) * blocksX + bx - 1]) / 4;
+          if (min < neighbours) average = neighbours;
+        }
+      }
+      blockAverage[by * blocksX + bx] = average;
+    }
+  }
+
+  const bits = new Uint8Array(width * height);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      // Threshold = mean of the surrounding 5x5 blocks
+      let sum = 0;
+      let count = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const nx = Math.min(blocksX - 1, Math.max(0, bx + dx));
+          const ny = Math.min(blocksY - 1, Math.max(0, by + dy));
+          sum += blockAverage[ny * blocksX + nx];
+          count++;
+        }
+      }
+      const threshold = sum / count;
+      for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+        for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+          bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+        }
+      }
+    }
+  }
+  return bits;
+};
+
+// ============================================
+// FINDER PATTERNS
+// ============================================
+
+/**
+ * Check run lengths for the 1:1:3:1:1 finder ratio
+ */
+const isFinderRatio = (counts) => {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  if (total < 7 || counts.some((c) => c === 0)) return false;
+  const moduleSize = total / 7;
+  const maxVariance = moduleSize / 2;
+  return Math.abs(moduleSize - counts[0]) < maxVariance
+    && Math.abs(moduleSize - counts[1]) < maxVariance
+    && Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance
+    && Math.abs(moduleSize - counts[3]) < maxVariance
+    && Math.abs(moduleSize - counts[4]) < maxVariance;
+};
+
+const centerFromEnd = (counts, end) => end - counts[4] - counts[3] - counts[2] / 2;
+
+/**
+ * Walk outwards from (x, y) along (dx, dy) and re-measure the finder runs.
+ * Returns the refined centre coordinate along that axis, or NaN.
+ */
+const crossCheck = (bitmap, width, height, x, y, dx, dy, maxCount, originalTotal) => {
+  const inBounds = (i) => {
+    const px = x + i * dx;
+    const py = y + i * dy;
+    return px >= 0 && py >= 0 && px < width && py < height;
+  };
+  const isDark = (i) => inBounds(i) && bitmap[(y + i * dy) * width + x + i * dx] === 1;
+  const counts = [0, 0, 0, 0, 0];
+
+  // Backwards: centre, light ring, outer dark ring
+  let i = 0;
+  while (isDark(i)) { counts[2]++; i--; }
+  if (counts[2] === 0) return NaN;
+  while (inBounds(i) && !isDark(i) && counts[1] <= maxCount) { counts[1]++; i--; }
+  if (!inBounds(i) || counts[1] > maxCount) return NaN;
+  while (isDark(i) && counts[0] <= maxCount) { counts[0]++; i--; }
+  if (counts[0] > maxCount) return NaN;
+
+  // Forwards
+  i = 1;
+  while (isDark(i)) { counts[2]++; i++; }
+  if (!inBounds(i)) return NaN;
+  while (inBounds(i) && !isDark(i) && counts[3] < maxCount) { counts[3]++; i++; }
+  if (!inBounds(i) || counts[3] >= maxCount) return NaN;
+  while (isDark(i) && counts[4] < maxCount) { counts[4]++; i++; }
+  if (counts[4] >= maxCount) return NaN;
+
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return NaN;
+  if (!isFinderRatio(counts)) return NaN;
+
+  return centerFromEnd(counts, (dx ? x : y) + i);
+};
+
+/**
+ * Scan rows for finder pattern candidates, cross-checked vertically and horizontally
+ */
+const findFinderCandidates = (bitmap, width, height) => {
+  const candidates = [];
+
+  const addCandidate = (counts, row, end) => {
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    let cx = centerFromEnd(counts, end);
+    const cy = crossCheck(bitmap, width, height, Math.floor(cx), row, 0, 1, counts[2], total);
+    if (Number.isNaN(cy)) return;
+    cx = crossCheck(bitmap, width, height, Math.floor(cx), Math.floor(cy), 1, 0, counts[2], total);
+    if (Number.isNaN(cx)) return;
+
+    const moduleSize = total / 7;
+    const existing = candidates.find((c) => Math.abs(c.y - cy) <= moduleSize
+      && Math.abs(c.x - cx) <= moduleSize
+      && Math.abs(c.moduleSize - moduleSize) <= Math.max(1, c.moduleSize));
+    if (existing) {
+      const n = existing.count;
+      existing.x = (existing.x * n + cx) / (n + 1);
+      existing.y = (existing.y * n + cy) / (n + 1);
+      existing.moduleSize = (existing.moduleSize * n + moduleSize) / (n + 1);
+      existing.count++;
+    } else {
+      candidates.push({ x: cx, y: cy, moduleSize, count: 1 });
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    let counts = [0, 0, 0, 0, 0];
+    let state = 0;
+    for (let x = 0; x < width; x++) {
+      const dark = bitmap[y * width + x] === 1;
+      if (dark) {
+        if (state % 2 === 1) state++;
+        counts[state]++;
+      } else if (state % 2 === 0) {
+        if (state === 4) {
+          if (isFinderRatio(counts)) {
+            addCandidate(counts, y, x);
+          }
+          // Slide the window by one dark/light pair
+          counts = [counts[2], counts[3], counts[4], 1, 0];
+          state = 3;
+        } else {
+          state++;
+          counts[state]++;
+        }
+      } else {
+        counts[state]++;
+      }
+    }
+    if (state === 4 && isFinderRatio(counts)) addCandidate(counts, y, width);
+  }
+
+  return candidates;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Choose the three candidates that best form a QR corner triangle,
+ * ordered as [topLeft, topRight, bottomLeft].
+ */
+const selectFinderTriple = (candidates) => {
+  let pool = candidates.filter((c) => c.count >= 2);
+  if (pool.length < 3) pool = candidates;
+  pool = pool.slice().sort((a, b) => b.count - a.count).slice(0, 12);
+  if (pool.length < 3) return null;
+
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = 0; i < pool.length; i++) {
+    for (let j = i + 1; j < pool.length; j++) {
+      for (let k = j + 1; k < pool.length; k++) {
+        const triple = [pool[i], pool[j], pool[k]];
+        const sizes = triple.map((c) => c.moduleSize);
+        const sizeSpread = (Math.max(...sizes) - Math.min(...sizes)) / Math.min(...sizes);
+        if (sizeSpread > 0.5) continue;
+
+        // Right-angle corner sits opposite the longest side
+        const sides = [
+          { corner: 0, length: distance(triple[1], triple[2]) },
+          { corner: 1, length: distance(triple[0], triple[2]) },
+          { corner: 2, length: distance(triple[0], triple[1]) },
+        ].sort((a, b) => a.length - b.length);
+        const [a, b, c] = sides.map((s) => s.length);
+        if (a < Math.min(...sizes) * 10) continue;
+        const rightAngleError = Math.abs(c * c - (a * a + b * b)) / (c * c);
+        const isoscelesError = Math.abs(a - b) / b;
+        const score = rightAngleError + isoscelesError + sizeSpread;
+        if (score < bestScore) {
+          bestScore = score;
+          const topLeft = triple[sides[2].corner];
+          const others = triple.filter((_, idx) => idx !== sides[2].corner);
+          best = { topLeft, a: others[0], b: others[1] };
+        }
+      }
+    }
+  }
+  if (!best || bestScore > 0.6) return null;
+
+  // Orient with a cross product so topRight is clockwise from bottomLeft (image y grows down)
+  const { topLeft, a, b } = best;
+  const cross = (a.x - topLeft.x) * (b.y - topLeft.y) - (a.y - topLeft.y) * (b.x - topLeft.x);
+  return cross > 0 ? [topLeft, a, b] : [topLeft, b, a];
+};
+
+// ============================================
+// PERSPECTIVE TRANSFORM
+// ============================================
+
+// 3x3 matrices, row-major, mapping column vectors [x, y, 1]
+const multiply3 = (m, n) => {
+  const r = new Array(9).fill(0);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      for (let k = 0; k < 3; k++) r[i * 3 + j] += m[i * 3 + k] * n[k * 3 + j];
+    }
+  }
+  return r;
+};
+
+const adjugate3 = ([a, b, c, d, e, f, g, h, i]) => [
+  e * i - f * h, c * h - b * i, b * f - c * e,
+  f * g - d * i, a * i - c * g, c * d - a * f,
+  d * h - e * g, b * g - a * h, a * e - b * d,
+];
+
+/**
+ * Map the unit square (0,0),(1,0),(1,1),(0,1) onto a quadrilateral
+ */
+const squareToQuad = ([p0, p1, p2, p3]) => {
+  const dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy3 = p0.y - p1.y + p2.y - p3.y;
+  if (Math.abs(dx3) < 1e-9 && Math.abs(dy3) < 1e-9) {
+    return [
+      p1.x - p0.x, p2.x - p1.x, p0.x,
+      p1.y - p0.y, p2.y - p1.y, p0.y,
+      0, 0, 1,
+    ];
+  }
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const denominator = dx1 * dy2 - dx2 * dy1;
+  const g = (dx3 * dy2 - dx2 * dy3) / denominator;
+  const h = (dx1 * dy3 - dx3 * dy1) / denominator;
+  return [
+    p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+    p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+    g, h, 1,
+  ];
+};
+
+/**
+ * Transform that maps the `from` quadrilateral onto the `to` quadrilateral
+ */
+const quadToQuad = (from, to) => multiply3(squareToQuad(to), adjugate3(squareToQuad(from)));
+
+const applyTransform = (m, x, y) => {
+  const w = m[6] * x + m[7] * y + m[8];
+  return {
+    x: (m[0] * x + m[1] * y + m[2]) / w,
+    y: (m[3] * x + m[4] * y + m[5]) / w,
+  };
+};
+
+// ============================================
+// SAMPLING
+// ============================================
+
+/**
+ * Search near an estimated position for the bottom-right alignment pattern
+ * by template matching along the symbol's own module axes.
+ */
+const findAlignmentPattern = (bitmap, width, height, estimate, axisX, axisY, moduleSize) => {
+  const isDark = (x, y) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    return px >= 0 && py >= 0 && px < width && py < height && bitmap[py * width + px] === 1;
+  };
+
+  const radius = Math.ceil(moduleSize * 4);
+  let bestScore = -1;
+  let matches = [];
+  for (let oy = -radius; oy <= radius; oy++) {
+    for (let ox = -radius; ox <= radius; ox++) {
+      const cx = estimate.x + ox;
+      const cy = estimate.y + oy;
+      let score = 0;
+      for (let j = -2; j <= 2; j++) {
+        for (let i = -2; i <= 2; i++) {
+          const expectDark = Math.max(Math.abs(i), Math.abs(j)) !== 1;
+          const dark = isDark(cx + i * axisX.x + j * axisY.x, cy + i * axisX.y + j * axisY.y);
+          if (dark === expectDark) score++;
+        }
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        matches = [];
+      }
+      if (score === bestScore) matches.push({ x: cx, y: cy });
+    }
+  }
+  if (bestScore < 23) return null;
+
+  // Every offset inside the centre module matches equally well - use their centroid
+  return {
+    x: matches.reduce((sum, p) => sum + p.x, 0) / matches.length,
+    y: matches.reduce((sum, p) => sum + p.y, 0) / matches.length,
+  };
+};
+
+/**
+ * Sample the symbol into a module grid for a given version
+ */
+const sampleGrid = (bitmap, width, height, finders, version) => {
+  const [topLeft, topRight, bottomLeft] = finders;
+  const dimension = version * 4 + 17;
+  const span = dimension - 7;
+  const axisX = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+  const axisY = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+
+  // Fourth reference point: alignment pattern centre, or the parallelogram corner for version 1
+  let corner = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+  let cornerModule = dimension - 3.5;
+  if (version >= 2) {
+    const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+    const correction = 1 - 3 / span;
+    const estimate = {
+      x: topLeft.x + correction * (corner.x - topLeft.x),
+      y: topLeft.y + correction * (corner.y - topLeft.y),
+    };
+    const alignment = findAlignmentPattern(bitmap, width, height, estimate, axisX, axisY, moduleSize);
+    corner = alignment || estimate;
+    cornerModule = dimension - 6.5;
+  }
+
+  const transform = quadToQuad(
+    [
+      { x: 3.5, y: 3.5 },
+      { x: dimension - 3.5, y: 3.5 },
+      { x: cornerModule, y: cornerModule },
+      { x: 3.5, y: dimension - 3.5 },
+    ],
+    [topLeft, topRight, corner, bottomLeft],
+  );
+
+  const grid = [];
+  for (let y = 0; y < dimension; y++) {
+    const row = [];
+    for (let x = 0; x < dimension; x++) {
+      const p = applyTransform(transform, x + 0.5, y + 0.5);
+      const px = Math.round(p.x);
+      const py = Math.round(p.y);
+      if (px < 0 || py < 0 || px >= width || py >= height) return null;
+      row.push(bitmap[py * width + px] === 1);
+    }
+    grid.push(row);
+  }
+  return grid;
+};
+
+// ============================================
+// FORMAT / VERSION INFO
+// ============================================
+
+const hammingDistance = (a, b) => {
+  let v = a ^ b;
+  let count = 0;
+  while (v) {
+    count += v & 1;
+    v >>>= 1;
+  }
+  return count;
+};
+
+/**
+ * Read both format info copies and return the closest valid { ecLevel, mask }
+ */
+const readFormatInfo = (grid) => {
+  const size = grid.length;
+  const bit = (x, y) => (grid[y][x] ? 1 : 0);
+
+  let first = 0;
+  let second = 0;
+  const firstPositions = [];
+  for (let i = 0; i <= 5; i++) firstPositions.push([8, i]);
+  firstPositions.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) firstPositions.push([14 - i, 8]);
+  firstPositions.forEach(([x, y], i) => { first |= bit(x, y) << i; });
+
+  for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+  for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+
+  let best = null;
+  let bestDistance = Infinity;
+  EC_LEVEL_NAMES.forEach((ecLevel) => {
+    for (let mask = 0; mask < 8; mask++) {
+      const expected = getFormatBits(ecLevel, mask);
+      const d = Math.min(hammingDistance(first, expected), hammingDistance(second, expected));
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = { ecLevel, mask };
+      }
+    }
+  });
+  return bestDistance <= 3 ? best : null;
+};
+
+/**
+ * Read the version info blocks (versions 7+), or null if unreadable
+ */
+const readVersionInfo = (grid) => {
+  const size = grid.length;
+  let topRight = 0;
+  let bottomLeft = 0;
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    if (grid[b][a]) topRight |= 1 << i;
+    if (grid[a][b]) bottomLeft |= 1 << i;
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (let version = 7; version <= QR_MAX_VERSION; version++) {
+    const expected = getVersionBits(version);
+    const d = Math.min(hammingDistance(topRight, expected), hammingDistance(bottomLeft, expected));
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = version;
+    }
+  }
+  return bestDistance <= 3 ? best : null;
+};
+
+// ============================================
+// DATA EXTRACTION
+// ============================================
+
+/**
+ * Unmask, read, de-interleave and error-correct the data codewords
+ */
+const extractDataCodewords = (grid, version, ecLevel, mask) => {
+  const { isFunction } = buildFunctionPatterns(version);
+  const condition = MASK_PATTERNS[mask];
+  const numCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const codewords = new Array(numCodewords).fill(0);
+
+  forEachDataModule(isFunction, (x, y, i) => {
+    if (i >= numCodewords * 8) return;
+    const dark = grid[y][x] !== condition(x, y);
+    if (dark) codewords[i >>> 3] |= 1 << (7 - (i & 7));
+  });
+
+  const { ordinal } = QR_EC_LEVELS[ecLevel];
+  const numBlocks = NUM_EC_BLOCKS[ordinal][version];
+  const blockEcLength = EC_CODEWORDS_PER_BLOCK[ordinal][version];
+  const numShortBlocks = numBlocks - (numCodewords % numBlocks);
+  const shortBlockLength = Math.floor(numCodewords / numBlocks);
+  const shortDataLength = shortBlockLength - blockEcLength;
+
+  // Undo interleaving (short blocks have a gap at the last data column)
+  const blocks = Array.from({ length: numBlocks }, () => []);
+  let index = 0;
+  for (let i = 0; i <= shortBlockLength; i++) {
+    for (let j = 0; j < numBlocks; j++) {
+      if (i === shortDataLength && j < numShortBlocks) continue;
+      blocks[j].push(codewords[index++]);
+    }
+  }
+
+  const data = [];
+  for (const block of blocks) {
+    if (correctReedSolomon(block, blockEcLength) < 0) return null;
+    data.push(...block.slice(0, block.length - blockEcLength));
+  }
+  return data;
+};
+
+/**
+ * Parse the segment bit stream into bytes / text
+ */
+const parseSegments = (codewords, version) => {
+  let position = 0;
+  const totalBits = codewords.length * 8;
+  const readBits = (length) => {
+    if (position + length > totalBits) throw new Error('Unexpected end of QR data');
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      const bitIndex = position + i;
+      value = (value << 1) | ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1);
+    }
+    position += length;
+    return value;
+  };
+  const countBits = (small, medium, large) => {
+    if (version <= 9) return small;
+    return version <= 26 ? medium : large;
+  };
+
+  const bytes = [];
+  let text = '';
+  const flushBytes = () => {
+    if (bytes.length) {
+      text += new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+      bytes.length = 0;
+    }
+  };
+
+  while (position + 4 <= totalBits) {
+    const mode = readBits(4);
+    if (mode === 0x0) break;
+
+    if (mode === 0x1) {
+      // Numeric
+      flushBytes();
+      let count = readBits(countBits(10, 12, 14));
+      while (count >= 3) {
+        text += String(readBits(10)).padStart(3, '0');
+        count -= 3;
+      }
+      if (count === 2) text += String(readBits(7)).padStart(2, '0');
+      else if (count === 1) text += String(readBits(4));
+    } else if (mode === 0x2) {
+      // Alphanumeric
+      flushBytes();
+      let count = readBits(countBits(9, 11, 13));
+      while (count >= 2) {
+        const value = readBits(11);
+        text += ALPHANUMERIC_CHARSET[Math.floor(value / 45)] + ALPHANUMERIC_CHARSET[value % 45];
+        count -= 2;
+      }
+      if (count === 1) text += ALPHANUMERIC_CHARSET[readBits(6)];
+    } else if (mode === 0x4) {
+      // Byte - treated as UTF-8
+      const count = readBits(countBits(8, 16, 16));
+      for (let i = 0; i < count; i++) bytes.push(readBits(8));
+    } else if (mode === 0x7) {
+      // ECI designator - consumed, payload still decoded as UTF-8
+      const first = readBits(8);
+      if ((first & 0xc0) === 0x80) readBits(8);
+      else if ((first & 0xe0) === 0xc0) readBits(16);
+    } else {
+      throw new Error(`Unsupported QR segment mode: ${mode}`);
+    }
+  }
+
+  flushBytes();
+  return text;
+};
+
+/**
+ * Try to decode a sampled grid; returns null on any failure
+ */
+const decodeGrid = (grid, version) => {
+  const format = readFormatInfo(grid);
+  if (!format) return null;
+  const data = extractDataCodewords(grid, version, format.ecLevel, format.mask);
+  if (!data) return null;
+  try {
+    return {
+      text: parseSegments(data, version),
+      version,
+      ecLevel: format.ecLevel,
+      mask: format.mask,
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Candidate versions to try, nearest to the estimate from finder spacing first
+ */
+const estimateVersions = (finders) => {
+  const [topLeft, topRight, bottomLeft] = finders;
+  const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+  const modules = (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / 2 / moduleSize;
+  const estimate = (modules + 7 - 17) / 4;
+  const base = Math.round(estimate);
+  return [base, base + 1, base - 1, base + 2, base - 2]
+    .filter((v) => v >= QR_MIN_VERSION && v <= QR_MAX_VERSION);
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Decode a QR code from RGBA pixel data.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData - e.g. from canvas getImageData()
+ * @returns {{ text: string, version: number, ecLevel: string, mask: number } | null} null if no readable code
+ */
+export function decodeQR(imageData) {
+  const { width, height } = imageData;
+  if (!width || !height) return null;
+
+  const bitmap = binarize(imageData);
+  const finders = selectFinderTriple(findFinderCandidates(bitmap, width, height));
+  if (!finders) return null;
+
+  const tried = new Set();
+  const tryVersion = (version) => {
+    if (tried.has(version)) return null;
+    tried.add(version);
+    const grid = sampleGrid(bitmap, width, height, finders, version);
+    if (!grid) return null;
+
+    // Large symbols carry their version explicitly - trust it over the estimate
+    if (version >= 7) {
+      const declared = readVersionInfo(grid);
+      if (declared && declared !== version) return tryVersion(declared);
+    }
+    return decodeGrid(grid, version);
+  };
+
+  for (const version of estimateVersions(finders)) {
+    const result = tryVersion(version);
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * Grab pixels from a video, image or canvas element, downscaled so
+ * decoding stays fast on phones.
+ *
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.canvas - Reusable canvas (a new one is created if omitted)
+ * @param {number} options.maxDimension - Longest edge in pixels (default 800)
+ * @returns {ImageData|null} null if the source has no pixels yet
+ */
+export function getImageDataFromSource(source, options = {}) {
+  const { canvas = document.createElement('canvas'), maxDimension = DEFAULT_MAX_DIMENSION } = options;
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return null;
+
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Decode a QR code from a still photo (File/Blob from an <input type="file">).
+ * Tries a couple of scales since phone photos are often much larger than the code.
+ *
+ * @param {Blob} file - Image file
+ * @returns {Promise<{ text: string, version: number, ecLevel: string, mask: number } | null>}
+ */
+export async function decodeQRFromFile(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not read image file'));
+      img.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    for (const maxDimension of [DEFAULT_MAX_DIMENSION, 1600, 400]) {
+      const imageData = getImageDataFromSource(image, { canvas, maxDimension });
+      const result = imageData && decodeQR(imageData);
+      if (result) return result;
+    }
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+import { encodeQR } from './qrcode';
+import { binarize, correctReedSolomon, decodeQR } from './qrdecode';
+
+// Version 1-M "01234567" from Annex I of ISO/IEC 18004
+const ANNEX_I_BLOCK = [
+  0x10, 0x20, 0x0c, 0x56, 0x61, 0x80, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11,
+  0xa5, 0x24, 0xd4, 0xc1, 0xed, 0x36, 0xc7, 0x87, 0x2c, 0x55,
+];
+
+const rotate = grid => grid.map((row, y) => row.map((_, x) => grid[grid.length - 1 - x][y]));
+
+// Draw the symbol as RGBA pixels with a quiet zone, optionally turned by quarter turns
+const render = (modules, { scale = 4, quiet = 4, turns = 0 } = {}) => {
+  let grid = modules;
+  for (let t = 0; t < turns; t++) grid = rotate(grid);
+  const width = (grid.length + quiet * 2) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  grid.forEach((row, y) => row.forEach((dark, x) => {
+    if (!dark) return;
+    for (let py = 0; py < scale; py++) {
+      for (let px = 0; px < scale; px++) {
+        const offset = (((y + quiet) * scale + py) * width + (x + quiet) * scale + px) * 4;
+        data[offset] = data[offset + 1] = data[offset + 2] = 0;
+      }
+    }
+  }));
+  return { data, width, height: width };
+};
+
+describe('correctReedSolomon', () => {
+  it('leaves a valid block alone', () => {
+    const block = [...ANNEX_I_BLOCK];
+
+    expect(correctReedSolomon(block, 10)).toBe(0);
+    expect(block).toEqual(ANNEX_I_BLOCK);
+  });
+
+  it('corrects up to half the EC codewords', () => {
+    const block = [...ANNEX_I_BLOCK];
+    [0, 3, 7, 15, 22].forEach(i => { block[i] ^= 0x5a; });
+
+    expect(correctReedSolomon(block, 10)).toBe(5);
+    expect(block).toEqual(ANNEX_I_BLOCK);
+  });
+
+  it('gives up when there are too many errors', () => {
+    const block = [...ANNEX_I_BLOCK];
+    [0, 2, 4, 6, 8, 10, 12].forEach(i => { block[i] ^= 0xff; });
+
+    expect(correctReedSolomon(block, 10)).toBe(-1);
+  });
+});
+
+describe('binarize', () => {
+  it('marks dark pixels', () => {
+    const image = render([[true, false], [false, true]], { scale: 1, quiet: 0 });
+
+    expect(Array.from(binarize(image))).toEqual([1, 0, 0, 1]);
+  });
+});
+
+describe('decodeQR', () => {
+  it('reads back what the encoder wrote', () => {
+    const qr = encodeQR('PW-ORD-2024-0117');
+
+    expect(decodeQR(render(qr.modules))).toEqual({
+      text: 'PW-ORD-2024-0117',
+      version: qr.version,
+      ecLevel: qr.ecLevel,
+      mask: qr.mask,
+    });
+  });
+
+  it('reads UTF-8 text in any orientation', () => {
+    const qr = encodeQR('Spool: PETG must, 1 kg – Põltsamaa');
+
+    [1, 2, 3].forEach(turns => {
+      expect(decodeQR(render(qr.modules, { turns }))?.text).toBe('Spool: PETG must, 1 kg – Põltsamaa');
+    });
+  });
+
+  it('reads symbols that carry version information', () => {
+    const text = `https://polywerk.ee/track/${'a'.repeat(150)}`;
+    const qr = encodeQR(text, { ecLevel: 'M', minVersion: 8 });
+
+    expect(qr.version).toBeGreaterThanOrEqual(8);
+    expect(decodeQR(render(qr.modules, { scale: 3 }))?.text).toBe(text);
+  });
+
+  it('recovers from damaged modules', () => {
+    const qr = encodeQR('PRN-07', { ecLevel: 'H' });
+    const modules = qr.modules.map(row => [...row]);
+    for (let y = 10; y < 14; y++) {
+      for (let x = 10; x < 14; x++) modules[y][x] = !modules[y][x];
+    }
+
+    expect(decodeQR(render(modules))?.text).toBe('PRN-07');
+  });
+
+  it('returns null without a code', () => {
+    expect(decodeQR(render([[false]], { quiet: 20 }))).toBeNull();
+    expect(decodeQR({ data: new Uint8ClampedArray(0), width: 0, height: 0 })).toBeNull();
+  });
+});
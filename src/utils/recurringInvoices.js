@@ -0,0 +1,224 @@
+/**
+ * Recurring Invoices
+ *
+ * Templates for invoices that repeat on a fixed interval (monthly retainers,
+ * subscriptions). Each template is tied to a client, carries its own numbering
+ * sequence and is advanced to the next issue date once its invoice is created.
+ *
+ * Templates are stored locally (the recurring_invoices collection) until the
+ * backend grows an endpoint for them.
+ */
+
+import { calculateDueDate, formatEstonianDate } from './estonianInvoice';
+import { getStandardVatRate } from './estonianEInvoice';
+
+export const RECURRENCE_INTERVALS = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 },
+  yearly: { label: 'Yearly', months: 12 },
+};
+
+/**
+ * New template with sensible defaults for a monthly retainer
+ */
+export const createRecurringTemplate = (overrides = {}) => ({
+  id: `rec-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name: '',
+  client_id: '',
+  interval: 'monthly',
+  next_issue_date: toDateInput(new Date()),
+  due_days: 14,
+  number_prefix: 'R{YYYY}-',
+  sequence_next: 1,
+  sequence_padding: 3,
+  items: [{ description: '', quantity: 1, unit: 'kuu', unit_price: 0 }],
+  notes: '',
+  auto_email: false,
+  email_to: '',
+  active: true,
+  issued_count: 0,
+  last_issued_at: null,
+  last_invoice_number: null,
+  created_at: new Date().toISOString(),
+  ...overrides,
+});
+
+// ============================================
+// DATES
+// ============================================
+
+/**
+ * Format a date as YYYY-MM-DD (local time) for date inputs and storage
+ */
+export const toDateInput = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+export const parseDateInput = (value) => {
+  if (!value) return new Date();
+  const [y, m, d] = String(value).split('-').map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+};
+
+/**
+ * Advance a date by one interval. Month-based intervals clamp to the last
+ * day of the target month (31 Jan + 1 month = 28/29 Feb); `anchorDay` keeps
+ * a template on its original day of month after such a short month.
+ */
+export const addInterval = (date, interval, anchorDay) => {
+  const spec = RECURRENCE_INTERVALS[interval] || RECURRENCE_INTERVALS.monthly;
+  const d = new Date(date);
+  if (spec.days) {
+    d.setDate(d.getDate() + spec.days);
+    return d;
+  }
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + spec.months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(anchorDay || day, lastDay));
+  return d;
+};
+
+/**
+ * Number of issue dates that have passed (including today) and not been issued
+ */
+export const countPendingPeriods = (template, asOf = new Date()) => {
+  const today = parseDateInput(toDateInput(asOf));
+  let date = parseDateInput(template.next_issue_date);
+  let count = 0;
+  while (date <= today && count < 120) {
+    count++;
+    date = addInterval(date, template.interval, template.anchor_day);
+  }
+  return count;
+};
+
+/**
+ * Active templates whose next issue date is today or earlier
+ */
+export const getDueTemplates = (templates, asOf = new Date()) =>
+  templates
+    .filter(tpl => tpl.active && countPendingPeriods(tpl, asOf) > 0)
+    .sort((a, b) => String(a.next_issue_date).localeCompare(String(b.next_issue_date)));
+
+// ============================================
+// NUMBERING
+// ============================================
+
+/**
+ * Invoice number for the template's next sequence value.
+ * The prefix may contain {YYYY} and {MM}, filled from the issue date.
+ */
+export const formatSequenceNumber = (template, issueDate = template.next_issue_date) => {
+  const date = parseDateInput(issueDate);
+  const prefix = String(template.number_prefix || '')
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'));
+  const seq = String(template.sequence_next || 1).padStart(template.sequence_padding || 1, '0');
+  return `${prefix}${seq}`;
+};
+
+// ============================================
+// INVOICE GENERATION
+// ============================================
+
+/**
+ * Totals at the standard VAT rate in force on the issue date
+ * (defaults to the template's next issue date); vatRate is a percent
+ */
+export const getTemplateTotals = (template, issueDate = parseDateInput(template.next_issue_date)) => {
+  const subtotal = (template.items || []).reduce(
+    (sum, item) => sum + (parseFloat(item.quantity) || 0) * (parseFloat(item.unit_price) || 0),
+    0
+  );
+  const vatRate = getStandardVatRate(issueDate);
+  const vatAmount = subtotal * vatRate / 100;
+  return {
+    vatRate,
+    subtotal: Math.round(subtotal * 100) / 100,
+    vatAmount: Math.round(vatAmount * 100) / 100,
+    total: Math.round((subtotal + vatAmount) * 100) / 100,
+  };
+};
+
+export const findTemplateClient = (template, clients = []) =>
+  clients.find(c => c.client_id === template.client_id || c.id === template.client_id) || null;
+
+/**
+ * Build the createInvoice payload for the template's current period.
+ * Mirrors the shape InvoiceManagement sends for order invoices.
+ */
+export const buildInvoiceFromTemplate = (template, client) => {
+  const issueDate = parseDateInput(template.next_issue_date);
+  const periodEnd = addInterval(issueDate, template.interval, template.anchor_day);
+  periodEnd.setDate(periodEnd.getDate() - 1);
+  const { subtotal, vatRate, vatAmount, total } = getTemplateTotals(template, issueDate);
+  const period = `${formatEstonianDate(issueDate)} – ${formatEstonianDate(periodEnd)}`;
+
+  return {
+    invoice_number: formatSequenceNumber(template),
+    invoice_date: issueDate.toISOString(),
+    due_date: calculateDueDate(issueDate, template.due_days || 14).toISOString(),
+    client_id: client?.client_id || template.client_id,
+    client_name: client?.company || client?.name || template.client_name || '',
+    client_email: template.email_to || client?.email || '',
+    client: {
+      name: client?.company || client?.name || template.client_name || '',
+      company: client?.company || '',
+      email: client?.email || '',
+      phone: client?.phone || '',
+      address: client?.address || '',
+      city: client?.city || '',
+      postal_code: client?.postal_code || '',
+      county: client?.county || '',
+      reg_number: client?.reg_number || '',
+      vat_number: client?.vat_number || '',
+    },
+    items: (template.items || []).map(item => ({
+      description: item.description,
+      quantity: parseFloat(item.quantity) || 1,
+      unit: item.unit || 'tk',
+      unit_price: parseFloat(item.unit_price) || 0,
+    })),
+    subtotal,
+    vat_rate: vatRate / 100,
+    vat_amount: vatAmount,
+    total,
+    notes: [`Periood: ${period}`, template.notes].filter(Boolean).join('\n'),
+    recurring_template_id: template.id,
+    period_start: issueDate.toISOString(),
+    period_end: periodEnd.toISOString(),
+  };
+};
+
+/**
+ * Template state after an invoice has been issued for its current period
+ */
+export const advanceTemplate = (template, invoiceNumber) => ({
+  ...template,
+  next_issue_date: toDateInput(addInterval(parseDateInput(template.next_issue_date), template.interval, template.anchor_day)),
+  sequence_next: (template.sequence_next || 1) + 1,
+  issued_count: (template.issued_count || 0) + 1,
+  last_issued_at: new Date().toISOString(),
+  last_invoice_number: invoiceNumber,
+});
+
+/**
+ * Email sent with an auto-emailed recurring invoice
+ */
+export const buildRecurringInvoiceEmail = (invoice, company) => ({
+  to: invoice.client_email,
+  subject: `Arve ${invoice.invoice_number} – ${company?.name || ''}`.trim(),
+  body: [
+    `Tere${invoice.client_name ? `, ${invoice.client_name}` : ''}!`,
+    '',
+    `Saadame arve nr ${invoice.invoice_number} summas ${invoice.total.toFixed(2).replace('.', ',')} EUR.`,
+    `Maksetähtpäev: ${formatEstonianDate(invoice.due_date)}.`,
+    '',
+    'Lugupidamisega,',
+    company?.name || '',
+  ].join('\n'),
+});
@@ -1,18 +1,20 @@
 import * as THREE from 'three';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { analyzeMesh } from './mesh';
+import { createMeshGeometry } from './mesh/geometry';
 
 /**
- * STLThumbnailGenerator - Generate preview images from STL files
- * Uses Three.js to render STL to canvas, then exports as data URL
+ * STLThumbnailGenerator - Generate preview images from mesh files
+ * Parses STL/3MF/OBJ in the mesh worker, renders with Three.js to a canvas,
+ * then exports as data URL
  */
 
 // Cache for generated thumbnails
 const thumbnailCache = new Map();
 
 /**
- * Generate a thumbnail image from an STL file URL
- * @param {string} stlUrl - URL to the STL file
- * @param {object} options - Configuration options
+ * Generate a thumbnail image from a mesh file URL
+ * @param {string} stlUrl - URL to the STL, 3MF or OBJ file
+ * @param {object} options - Configuration options (filename helps detect the format)
  * @returns {Promise<string>} - Data URL of the thumbnail image
  */
 export async function generateSTLThumbnail(stlUrl, options = {}) {
@@ -22,6 +24,7 @@ export async function generateSTLThumbnail(stlUrl, options = {}) {
     backgroundColor = 0x1e293b,
     modelColor = 0x3b82f6,
     cameraAngle = { x: 1, y: 0.8, z: 1 },
+    filename,
   } = options;
 
   // Check cache first
@@ -30,107 +33,140 @@ export async function generateSTLThumbnail(stlUrl, options = {}) {
     return thumbnailCache.get(cacheKey);
   }
 
-  return new Promise((resolve, reject) => {
-    // Create scene
-    const scene = new THREE.Scene();
-    scene.background = new THREE.Color(backgroundColor);
+  let mesh;
+  try {
+    mesh = await analyzeMesh(stlUrl, { filename, includePositions: true });
+  } catch (error) {
+    console.error('Mesh load error for thumbnail:', error);
+    throw error;
+  }
 
-    // Create camera
-    const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+  const dataUrl = renderThumbnails(mesh.positions, [null], {
+    width, height, backgroundColor, modelColor, cameraAngle,
+  })[0];
 
-    // Create renderer
-    const renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      preserveDrawingBuffer: true 
-    });
-    renderer.setSize(width, height);
-    renderer.setPixelRatio(1);
-
-    // Add lights
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
-
-    const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight1.position.set(1, 1, 1);
-    scene.add(directionalLight1);
-
-    const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
-    directionalLight2.position.set(-1, 0.5, -1);
-    scene.add(directionalLight2);
-
-    // Load STL
-    const loader = new STLLoader();
-    loader.load(
-      stlUrl,
-      (geometry) => {
-        try {
-          // Process geometry
-          geometry.computeVertexNormals();
-          geometry.computeBoundingBox();
-          geometry.center();
-
-          // Rotate to Y-up orientation
-          geometry.rotateX(-Math.PI / 2);
-          geometry.computeBoundingBox();
-
-          // Get bounding box for camera positioning
-          const box = geometry.boundingBox;
-          const size = new THREE.Vector3();
-          box.getSize(size);
-          const maxDim = Math.max(size.x, size.y, size.z);
-
-          // Create mesh
-          const material = new THREE.MeshStandardMaterial({
-            color: modelColor,
-            roughness: 0.4,
-            metalness: 0.1,
-          });
-          const mesh = new THREE.Mesh(geometry, material);
-          
-          // Center on ground
-          mesh.position.y = size.y / 2;
-          scene.add(mesh);
-
-          // Position camera
-          const distance = maxDim * 2;
-          camera.position.set(
-            distance * cameraAngle.x,
-            distance * cameraAngle.y,
-            distance * cameraAngle.z
-          );
-          camera.lookAt(0, size.y / 3, 0);
-
-          // Render
-          renderer.render(scene, camera);
-
-          // Export to data URL
-          const dataUrl = renderer.domElement.toDataURL('image/png');
-
-          // Cache the result
-          thumbnailCache.set(cacheKey, dataUrl);
-
-          // Cleanup
-          geometry.dispose();
-          material.dispose();
-          renderer.dispose();
-
-          resolve(dataUrl);
-        } catch (err) {
-          reject(err);
+  // Cache the result
+  thumbnailCache.set(cacheKey, dataUrl);
+
+  return dataUrl;
+}
+
+/**
+ * Render previews of already-parsed positions in several orientations
+ * (e.g. orientation optimizer suggestions). Not cached - the caller owns them.
+ * @param {Float32Array} positions - 9 floats per triangle, Z up
+ * @param {Array<{x: number, y: number, z: number}>} rotations - degrees, applied X, Y, Z
+ * @param {object} options - same rendering options as generateSTLThumbnail
+ * @returns {string[]} - Data URLs in the order of `rotations`
+ */
+export function generateOrientationThumbnails(positions, rotations, options = {}) {
+  const {
+    width = 120,
+    height = 120,
+    backgroundColor = 0x1e293b,
+    modelColor = 0x3b82f6,
+    cameraAngle = { x: 1, y: 0.8, z: 1 },
+  } = options;
+
+  return renderThumbnails(positions, rotations, {
+    width, height, backgroundColor, modelColor, cameraAngle,
+  });
+}
+
+/**
+ * Render one image per rotation with a single renderer
+ */
+function renderThumbnails(positions, rotations, { width, height, backgroundColor, modelColor, cameraAngle }) {
+  // Create scene
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(backgroundColor);
+
+  // Create camera
+  const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+
+  // Create renderer
+  const renderer = new THREE.WebGLRenderer({ 
+    antialias: true,
+    preserveDrawingBuffer: true 
+  });
+  renderer.setSize(width, height);
+  renderer.setPixelRatio(1);
+
+  // Add lights
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+  scene.add(ambientLight);
+
+  const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight1.position.set(1, 1, 1);
+  scene.add(directionalLight1);
+
+  const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
+  directionalLight2.position.set(-1, 0.5, -1);
+  scene.add(directionalLight2);
+
+  const baseGeometry = createMeshGeometry(positions);
+  const material = new THREE.MeshStandardMaterial({
+    color: modelColor,
+    roughness: 0.4,
+    metalness: 0.1,
+  });
+
+  try {
+    return rotations.map((rotation) => {
+      const geometry = baseGeometry.clone();
+      try {
+        if (rotation) {
+          geometry.rotateX(THREE.MathUtils.degToRad(rotation.x || 0));
+          geometry.rotateY(THREE.MathUtils.degToRad(rotation.y || 0));
+          geometry.rotateZ(THREE.MathUtils.degToRad(rotation.z || 0));
         }
-      },
-      undefined,
-      (error) => {
-        console.error('STL load error for thumbnail:', error);
-        reject(error);
+
+        // Rotate to Y-up orientation
+        geometry.rotateX(-Math.PI / 2);
+        geometry.center();
+        geometry.computeBoundingBox();
+
+        // Get bounding box for camera positioning
+        const box = geometry.boundingBox;
+        const size = new THREE.Vector3();
+        box.getSize(size);
+        const maxDim = Math.max(size.x, size.y, size.z);
+
+        // Create mesh
+        const object = new THREE.Mesh(geometry, material);
+
+        // Center on ground
+        object.position.y = size.y / 2;
+        scene.add(object);
+
+        // Position camera
+        const distance = maxDim * 2;
+        camera.position.set(
+          distance * cameraAngle.x,
+          distance * cameraAngle.y,
+          distance * cameraAngle.z
+        );
+        camera.lookAt(0, size.y / 3, 0);
+
+        // Render and export to data URL
+        renderer.render(scene, camera);
+        scene.remove(object);
+        return renderer.domElement.toDataURL('image/png');
+      } finally {
+        geometry.dispose();
       }
-    );
-  });
+    });
+  } finally {
+    // Cleanup
+    baseGeometry.dispose();
+    material.dispose();
+    renderer.dispose();
+  }
 }
 
 /**
  * Generate thumbnails for multiple STL files
- * @param {Array<{url: string, id: string}>} files - Array of file objects
+ * @param {Array<{url: string, id: string, name?: string}>} files - Array of file objects
  * @param {function} onProgress - Progress callback (current, total)
  * @returns {Promise<Map<string, string>>} - Map of file IDs to thumbnail data URLs
  */
@@ -140,7 +176,7 @@ export async function generateBatchThumbnails(files, onProgress) {
   for (let i = 0; i < files.length; i++) {
     const file = files[i];
     try {
-      const thumbnail = await generateSTLThumbnail(file.url);
+      const thumbnail = await generateSTLThumbnail(file.url, { filename: file.name });
       results.set(file.id, thumbnail);
     } catch (err) {
       console.error(`Failed to generate thumbnail for ${file.id}:`, err);
@@ -209,6 +245,7 @@ export function clearThumbnailCache() {
 
 export default {
   generateSTLThumbnail,
+  generateOrientationThumbnails,
   generateBatchThumbnails,
   cacheThumbnail,
   getCachedThumbnail,
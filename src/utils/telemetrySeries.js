@@ -0,0 +1,134 @@
+/**
+ * Telemetry series
+ *
+ * Pure helpers over recorded printer telemetry samples
+ * (services/telemetry.js): thinning a range down to what a chart can draw,
+ * state bands, and finding one print job inside a printer's history.
+ *
+ * A sample is { t, state, nozzle, nozzle_target, bed, bed_target, chamber,
+ * fan, speed, progress, layer, layer_total, job, file } with t in ms.
+ */
+
+export const TELEMETRY_RANGES = {
+  '24h': { label: '24 h', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: '7 d', ms: 7 * 24 * 60 * 60 * 1000 },
+};
+
+export const NUMERIC_FIELDS = [
+  'nozzle', 'nozzle_target', 'bed', 'bed_target', 'chamber', 'fan', 'speed', 'progress', 'layer', 'layer_total',
+];
+
+// States a print job is running in
+export const ACTIVE_STATES = ['printing', 'paused', 'prepare', 'running', 'heating', 'busy'];
+
+// No sample for this long means the printer wasn't reporting - the chart breaks the line
+const GAP_MS = 5 * 60 * 1000;
+
+// Fields that only go up during a job: a bucket shows its highest value
+const RISING_FIELDS = ['progress', 'layer', 'layer_total'];
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Samples in [from, to], thinned to about `points` by averaging into equal
+ * buckets. Gaps come back as { t, gap: true } so charts can break the line.
+ */
+export function downsample(samples, from, to, points = 400) {
+  const inRange = samples.filter(s => s.t >= from && s.t <= to);
+  const bucketMs = Math.max(1, (to - from) / points);
+
+  let thinned = inRange;
+  if (inRange.length > points) {
+    const buckets = new Map();
+    inRange.forEach(sample => {
+      const index = Math.floor((sample.t - from) / bucketMs);
+      if (!buckets.has(index)) buckets.set(index, []);
+      buckets.get(index).push(sample);
+    });
+    thinned = [...buckets.values()].map(bucket => {
+      const last = bucket[bucket.length - 1];
+      const merged = { ...last, t: Math.round(average(bucket.map(s => s.t))) };
+      NUMERIC_FIELDS.forEach(field => {
+        const values = bucket.map(s => s[field]).filter(v => typeof v === 'number');
+        if (values.length === 0) return;
+        merged[field] = RISING_FIELDS.includes(field) ? Math.max(...values) : Math.round(average(values) * 10) / 10;
+      });
+      return merged;
+    });
+  }
+
+  const gapMs = Math.max(GAP_MS, bucketMs * 2);
+  return thinned.flatMap((sample, i) => {
+    const previous = thinned[i - 1];
+    return previous && sample.t - previous.t > gapMs
+      ? [{ t: Math.round((previous.t + sample.t) / 2), gap: true }, sample]
+      : [sample];
+  });
+}
+
+/**
+ * Runs of one state: [{ state, from, to }]; a reporting gap ends a run
+ */
+export function stateSegments(samples) {
+  const segments = [];
+  samples.forEach(sample => {
+    const current = segments[segments.length - 1];
+    if (sample.gap) {
+      if (current) current.closed = true;
+      return;
+    }
+    if (current && !current.closed && current.state === sample.state) {
+      current.to = sample.t;
+    } else {
+      if (current && !current.closed) current.to = sample.t;
+      segments.push({ state: sample.state, from: sample.t, to: sample.t });
+    }
+  });
+  return segments.map(({ state, from, to }) => ({ state, from, to }));
+}
+
+/**
+ * The last sample at or before `t` (samples sorted by time)
+ */
+export function sampleAt(samples, t) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].t <= t) {
+      found = samples[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+const isActive = (sample) => ACTIVE_STATES.includes(sample.state);
+
+/**
+ * Where one print job sits in a printer's samples: the samples tagged with
+ * its job id or file, else the run of printing states that ends at or just
+ * before `end`
+ * @returns {{ from: number, to: number }|null}
+ */
+export function jobWindow(samples, { jobId, fileName, end }) {
+  const tagged = samples.filter(s => (jobId && String(s.job) === String(jobId)) || (fileName && s.file === fileName));
+  if (tagged.length > 0) return { from: tagged[0].t, to: tagged[tagged.length - 1].t };
+
+  const before = samples.filter(s => !end || s.t <= end);
+  let last = before.length - 1;
+  while (last >= 0 && !isActive(before[last])) last--;
+  if (last < 0) return null;
+
+  // Walk back through the run; across a reporting gap only while progress
+  // says it's still the same job
+  const sameJob = (earlier, later) => later.t - earlier.t <= GAP_MS || (earlier.progress ?? 0) <= (later.progress ?? 0);
+  let first = last;
+  while (first > 0 && isActive(before[first - 1]) && sameJob(before[first - 1], before[first])) first--;
+  // The job ends where the printer next reports something other than printing
+  const after = samples.find(s => s.t > before[last].t && !isActive(s));
+  return { from: before[first].t, to: after ? after.t : before[last].t };
+}
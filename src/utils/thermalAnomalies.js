@@ -0,0 +1,213 @@
+/**
+ * Thermal anomalies
+ *
+ * Detectors run over a printer's recent telemetry samples (the shape from
+ * utils/telemetrySeries.js, oldest first):
+ * - runaway: the target holds steady but the temperature, having reached it,
+ *   drifts away and stays away
+ * - heating_timeout: a heater doesn't get to its target in time
+ * - bed_oscillation: the bed swings around a steady target
+ * - progress_stall: the printer says "printing" but neither progress nor
+ *   layer moves
+ *
+ * Thresholds come per printer type; durations are in seconds, temperatures
+ * in °C.
+ */
+
+export const ANOMALY_TYPES = {
+  runaway: { label: 'Thermal runaway', icon: '🔥', severity: 'critical' },
+  heating_timeout: { label: 'Heater not reaching target', icon: '🌡️', severity: 'high' },
+  bed_oscillation: { label: 'Bed temperature oscillation', icon: '〰️', severity: 'medium' },
+  progress_stall: { label: 'Progress stalled', icon: '⏳', severity: 'high' },
+};
+
+export const DEFAULT_THRESHOLDS = {
+  runaway: { enabled: true, auto_pause: false, drift_c: 15, hold_s: 30 },
+  heating_timeout: { enabled: true, auto_pause: false, nozzle_s: 300, bed_s: 900, tolerance_c: 3 },
+  bed_oscillation: { enabled: true, auto_pause: false, window_s: 300, amplitude_c: 3, min_crossings: 6 },
+  progress_stall: { enabled: true, auto_pause: false, stall_s: 1200 },
+};
+
+// What differs from the defaults per printer type (keys as in utils/printerBeds.js)
+export const PRINTER_TYPE_THRESHOLDS = {
+  bambu_x1c: { heating_timeout: { bed_s: 600 } },
+  bambu_p1s: { heating_timeout: { bed_s: 600 } },
+  bambu_a1: { heating_timeout: { bed_s: 600 } },
+  creality_k1: { heating_timeout: { bed_s: 720 } },
+  creality_k1_max: { heating_timeout: { bed_s: 1200 }, bed_oscillation: { amplitude_c: 4 } },
+  ender3: { heating_timeout: { nozzle_s: 420, bed_s: 1200 }, runaway: { drift_c: 20 } },
+};
+
+const HEATERS = ['nozzle', 'bed'];
+// Within this of its target a heater counts as having got there
+const REACHED_C = 3;
+// Readings this close to the target count as on it when counting crossings
+const OSCILLATION_DEADBAND_C = 0.5;
+
+const mergeDetectors = (...layers) => Object.fromEntries(
+  Object.keys(DEFAULT_THRESHOLDS).map(type => [
+    type,
+    Object.assign({}, ...layers.map(layer => layer?.[type] || {})),
+  ]),
+);
+
+/**
+ * Thresholds for a printer type: defaults, then the type's built-in
+ * differences, then the shop's own overrides ({ [printerType]: { [detector]: {...} } })
+ */
+export function thresholdsFor(printerType, overrides = {}) {
+  return mergeDetectors(
+    DEFAULT_THRESHOLDS,
+    PRINTER_TYPE_THRESHOLDS[printerType],
+    overrides[printerType],
+  );
+}
+
+const seconds = (ms) => Math.round(ms / 1000);
+
+/**
+ * Index of the first sample of the trailing run where `same(sample)` holds
+ */
+const trailingRunStart = (samples, same) => {
+  let i = samples.length;
+  while (i > 0 && same(samples[i - 1])) i--;
+  return i;
+};
+
+// The trailing run of samples heating towards the current target
+const steadyTarget = (samples, heater) => {
+  const last = samples[samples.length - 1];
+  const target = last?.[`${heater}_target`];
+  if (!target || target <= 0) return null;
+  const from = trailingRunStart(samples, s => s[`${heater}_target`] === target);
+  return { target, run: samples.slice(from) };
+};
+
+// ============================================
+// DETECTORS
+// ============================================
+
+function detectRunaway(samples, config, now) {
+  return HEATERS.map(heater => {
+    const steady = steadyTarget(samples, heater);
+    if (!steady) return null;
+    const { target, run } = steady;
+    const reached = run.findIndex(s => typeof s[heater] === 'number' && Math.abs(s[heater] - target) <= REACHED_C);
+    if (reached < 0) return null;
+
+    const afterReached = run.slice(reached);
+    const off = (s) => typeof s[heater] === 'number' && Math.abs(s[heater] - target) > config.drift_c;
+    const since = afterReached[trailingRunStart(afterReached, off)];
+    if (!since || now - since.t < config.hold_s * 1000) return null;
+
+    const value = run[run.length - 1][heater];
+    const direction = value > target ? 'above' : 'below';
+    return {
+      type: 'runaway',
+      heater,
+      since: since.t,
+      value,
+      target,
+      message: `${heater === 'bed' ? 'Bed' : 'Nozzle'} at ${value}°C, ${Math.abs(Math.round(value - target))}°C ${direction} its steady ${target}°C target for ${seconds(now - since.t)}s`,
+    };
+  }).filter(Boolean);
+}
+
+function detectHeatingTimeout(samples, config, now) {
+  return HEATERS.map(heater => {
+    const steady = steadyTarget(samples, heater);
+    if (!steady) return null;
+    const { target, run } = steady;
+    if (run.some(s => typeof s[heater] === 'number' && s[heater] >= target - config.tolerance_c)) return null;
+
+    const limit = config[`${heater}_s`];
+    const since = run[0].t;
+    if (!limit || now - since < limit * 1000) return null;
+
+    const value = run[run.length - 1][heater];
+    return {
+      type: 'heating_timeout',
+      heater,
+      since,
+      value,
+      target,
+      message: `${heater === 'bed' ? 'Bed' : 'Nozzle'} still at ${value ?? '--'}°C after ${Math.round((now - since) / 60000)} min heating to ${target}°C (limit ${Math.round(limit / 60)} min)`,
+    };
+  }).filter(Boolean);
+}
+
+function detectBedOscillation(samples, config, now) {
+  const steady = steadyTarget(samples, 'bed');
+  if (!steady) return [];
+  const { target, run } = steady;
+  const recent = run.filter(s => s.t >= now - config.window_s * 1000 && typeof s.bed === 'number');
+  // Only once the target has held for the whole window and the bed got there
+  if (recent.length < 4 || now - run[0].t < config.window_s * 1000) return [];
+  if (!run.some(s => typeof s.bed === 'number' && Math.abs(s.bed - target) <= REACHED_C)) return [];
+
+  const readings = recent.map(s => s.bed);
+  const amplitude = Math.max(...readings) - Math.min(...readings);
+  let crossings = 0;
+  let side = 0;
+  readings.forEach(value => {
+    const deviation = value - target;
+    if (Math.abs(deviation) < OSCILLATION_DEADBAND_C) return;
+    const next = Math.sign(deviation);
+    if (side !== 0 && next !== side) crossings++;
+    side = next;
+  });
+  if (crossings < config.min_crossings || amplitude < config.amplitude_c) return [];
+
+  return [{
+    type: 'bed_oscillation',
+    heater: 'bed',
+    since: recent[0].t,
+    value: Math.round(amplitude * 10) / 10,
+    target,
+    message: `Bed swinging ${Math.round(amplitude * 10) / 10}°C around ${target}°C, crossing it ${crossings} times in ${Math.round(config.window_s / 60)} min`,
+  }];
+}
+
+function detectProgressStall(samples, config, now) {
+  const last = samples[samples.length - 1];
+  if (!last || last.state !== 'printing' || typeof last.progress !== 'number') return [];
+  const from = trailingRunStart(samples, s => s.state === 'printing'
+    && s.progress === last.progress
+    && (s.layer ?? null) === (last.layer ?? null));
+  const since = samples[from].t;
+  if (now - since < config.stall_s * 1000) return [];
+
+  return [{
+    type: 'progress_stall',
+    since,
+    value: last.progress,
+    message: `Printing but stuck at ${last.progress}%${last.layer ? `, layer ${last.layer}` : ''} for ${Math.round((now - since) / 60000)} min`,
+  }];
+}
+
+const DETECTORS = {
+  runaway: detectRunaway,
+  heating_timeout: detectHeatingTimeout,
+  bed_oscillation: detectBedOscillation,
+  progress_stall: detectProgressStall,
+};
+
+/**
+ * Everything wrong with a printer right now
+ * @param {Array} samples - recent samples, oldest first
+ * @param {object} thresholds - from thresholdsFor()
+ * @returns {Array<{ type, heater?, since, value, target?, message, severity }>}
+ */
+export function detectAnomalies(samples, thresholds, now = Date.now()) {
+  if (!samples || samples.length === 0) return [];
+  return Object.entries(DETECTORS).flatMap(([type, detect]) => {
+    const config = thresholds[type];
+    if (!config?.enabled) return [];
+    return detect(samples, config, now).map(found => ({ ...found, severity: ANOMALY_TYPES[type].severity }));
+  });
+}
+
+/**
+ * Stable key for one anomaly on one printer, so it's raised once while it lasts
+ */
+export const anomalyKey = (printer, anomaly) => [printer, anomaly.type, anomaly.heater || ''].join('|');